@@ -220,6 +220,14 @@ module.exports = function BaseControllerModule(pb) {
 
             localized_alternate: function(flag, cb) {
                 self.onLocalizedAlternateFlagFound(props.routeLocalized, cb);
+            },
+
+            csp_nonce: function(flag, cb) {
+                cb(null, pb.SecurityHeadersService.getNonce(self.req));
+            },
+
+            csrf_token: function(flag, cb) {
+                cb(null, pb.CsrfService.getToken(self.session));
             }
         };
         ts.registerModel(model);
@@ -42,7 +42,9 @@ module.exports = function(pb) {
      * Responsible for gathering the payload data from the request and parsing it.
      * The result is passed down to the controller's onPostParamsRetrieved function.
      * In addition and the <i>autoSanitize</i> property is TRUE, the posted
-     * parameters will be sanitized.
+     * parameters will be sanitized.  When the request handler left the CSRF
+     * token to be verified from the form the posted token is verified and
+     * then removed from the parameters.
      * @see BaseController#render
      * @method render
      * @param {Function} cb
@@ -55,6 +57,11 @@ module.exports = function(pb) {
                 return;
             }
 
+            if (self.reqHandler && self.reqHandler.csrfPending && !pb.CsrfService.isValid(self.session, params[pb.CsrfService.PARAM])) {
+                return cb(pb.CsrfService.createError(self.ls));
+            }
+            delete params[pb.CsrfService.PARAM];
+
             if (self.getAutoSanitize()) {
                 self.sanitizeObject(params);
             }
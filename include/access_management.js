@@ -167,7 +167,11 @@ module.exports = function(pb) {
     };
 
     /**
-     * Authenticates a session
+     * Authenticates a session.  When the user has enrolled a second factor,
+     * and the authenticator does not skip it, the session is not marked as
+     * authenticated.  Instead the pending login is recorded in the session
+     * until it is completed by providing a valid code.  See
+     * SecurityService.getPendingSecondFactor.
      * @static
      * @method authenticateSession
      * @param {Object} session
@@ -176,29 +180,70 @@ module.exports = function(pb) {
      * @param {Function} cb
      */
     SecurityService.authenticateSession = function(session, options, authenticator, cb){
-        var doAuthentication = function(session, options, authenticator, cb) {
-            authenticator.authenticate(options, function(err, user) {
-                if (util.isError(err) || !util.isObject(user)) {
-                    return cb(err, user);
-                }
-
-                //remove password from data to be cached
-                delete user.password;
-
-                //build out session object
-                user.permissions                   = pb.PluginService.getPermissionsForRole(user.admin);
-                session.authentication.user        = user;
-                session.authentication.user_id     = user[pb.DAO.getIdField()].toString();
-                session.authentication.admin_level = user.admin;
-
-                //set locale if no preference already indicated for the session
-                if (!session.locale) {
-                    session.locale = user.locale;
-                }
-                cb(null, user);
-            });
-        };
-        doAuthentication(session, options, authenticator, cb);
+        authenticator.authenticate(options, function(err, user) {
+            if (util.isError(err) || !util.isObject(user)) {
+                return cb(err, user);
+            }
+
+            //remove password from data to be cached
+            delete user.password;
+
+            if (authenticator.skipSecondFactor !== true && pb.TwoFactorService.isEnabled(user)) {
+                session.authentication.two_factor = {
+                    user_id: user[pb.DAO.getIdField()].toString(),
+                    expires: Date.now() + (pb.config.security.two_factor.pending_timeout * 1000)
+                };
+                return cb(null, user);
+            }
+            SecurityService.completeAuthentication(session, user);
+            cb(null, user);
+        });
+    };
+
+    /**
+     * Marks the session as authenticated for the user
+     * @static
+     * @method completeAuthentication
+     * @param {Object} session
+     * @param {Object} user
+     */
+    SecurityService.completeAuthentication = function(session, user) {
+
+        //remove secrets from data to be cached
+        delete user.password;
+        pb.TwoFactorService.sanitize(user);
+        delete session.authentication.two_factor;
+
+        //build out session object
+        user.permissions                   = pb.PluginService.getPermissionsForRole(user.admin);
+        session.authentication.user        = user;
+        session.authentication.user_id     = user[pb.DAO.getIdField()].toString();
+        session.authentication.admin_level = user.admin;
+
+        //set locale if no preference already indicated for the session
+        if (!session.locale) {
+            session.locale = user.locale;
+        }
+    };
+
+    /**
+     * Retrieves the login that is waiting on a second factor
+     * @static
+     * @method getPendingSecondFactor
+     * @param {Object} session
+     * @return {Object} The pending login, providing the "user_id", or NULL
+     * when there is none or it has expired
+     */
+    SecurityService.getPendingSecondFactor = function(session) {
+        var pending = util.isObject(session) && util.isObject(session.authentication) ? session.authentication.two_factor : null;
+        if (!util.isObject(pending)) {
+            return null;
+        }
+        else if (pending.expires < Date.now()) {
+            delete session.authentication.two_factor;
+            return null;
+        }
+        return pending;
     };
 
     /**
@@ -246,6 +291,9 @@ module.exports = function(pb) {
     /**
      * One way encrypt a string
      *
+     * @deprecated Since 0.6.0.  Produces the legacy, unsalted, password digest.
+     * It is only used to verify passwords that have not yet been upgraded.
+     * Use hashPassword and verifyPassword instead.
      * @method encrypt
      * @param {String} valString
      * #return {String} Encrypted string
@@ -256,6 +304,248 @@ module.exports = function(pb) {
         return whirlpool.digest('hex');
     };
 
+    /**
+     * The identifier of the algorithm used to hash passwords.  It is the first
+     * segment of every stored password hash.
+     * @static
+     * @readonly
+     * @property PASSWORD_SCHEME
+     * @type {String}
+     */
+    SecurityService.PASSWORD_SCHEME = 'pbkdf2';
+
+    /**
+     * The version of the stored password hash format.  Stored hashes take the
+     * form: $scheme$version$digest$iterations$salt$hash where the salt and hash
+     * are base64 encoded.
+     * @static
+     * @readonly
+     * @property PASSWORD_HASH_VERSION
+     * @type {String}
+     */
+    SecurityService.PASSWORD_HASH_VERSION = 'v1';
+
+    /**
+     * The parameters used to hash passwords when none are configured
+     * @private
+     * @static
+     * @readonly
+     * @property DEFAULT_PASSWORD_OPTIONS
+     * @type {Object}
+     */
+    var DEFAULT_PASSWORD_OPTIONS = Object.freeze({
+        digest: 'sha512',
+        iterations: 100000,
+        keyLength: 64,
+        saltLength: 16
+    });
+
+    /**
+     * Matches the hex encoded whirlpool digest produced by encrypt
+     * @private
+     * @static
+     * @readonly
+     * @property LEGACY_HASH_PATTERN
+     * @type {RegExp}
+     */
+    var LEGACY_HASH_PATTERN = /^[0-9a-f]{128}$/i;
+
+    /**
+     * Retrieves the parameters used to hash new passwords.  The "passwords"
+     * block of the configuration overrides the defaults.
+     * @static
+     * @method getPasswordOptions
+     * @return {Object} Contains the digest, iterations, keyLength, and
+     * saltLength
+     */
+    SecurityService.getPasswordOptions = function() {
+        var options = pb.config && util.isObject(pb.config.passwords) ? pb.config.passwords : {};
+        return util.union(DEFAULT_PASSWORD_OPTIONS, options);
+    };
+
+    /**
+     * Hashes a password with a new random salt
+     * @static
+     * @method hashPassword
+     * @param {String} password
+     * @param {Function} cb (Error, String) Provides the hash to be stored
+     */
+    SecurityService.hashPassword = function(password, cb) {
+        if (!util.isString(password)) {
+            return cb(new Error('The password must be a string'));
+        }
+
+        var options = SecurityService.getPasswordOptions();
+        crypto.randomBytes(options.saltLength, function(err, salt) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            crypto.pbkdf2(password, salt, options.iterations, options.keyLength, options.digest, function(err, key) {
+                cb(err, util.isError(err) ? null : SecurityService.formatPasswordHash(options, salt, key));
+            });
+        });
+    };
+
+    /**
+     * Hashes a password with a new random salt.  The calling thread is blocked
+     * while the hash is computed so the asynchronous hashPassword should be
+     * preferred.
+     * @static
+     * @method hashPasswordSync
+     * @param {String} password
+     * @return {String} The hash to be stored
+     */
+    SecurityService.hashPasswordSync = function(password) {
+        if (!util.isString(password)) {
+            throw new Error('The password must be a string');
+        }
+
+        var options = SecurityService.getPasswordOptions();
+        var salt    = crypto.randomBytes(options.saltLength);
+        var key     = crypto.pbkdf2Sync(password, salt, options.iterations, options.keyLength, options.digest);
+        return SecurityService.formatPasswordHash(options, salt, key);
+    };
+
+    /**
+     * Serializes the parameters, salt, and derived key of a password hash
+     * @static
+     * @method formatPasswordHash
+     * @param {Object} options
+     * @param {String} options.digest
+     * @param {Integer} options.iterations
+     * @param {Buffer} salt
+     * @param {Buffer} key
+     * @return {String}
+     */
+    SecurityService.formatPasswordHash = function(options, salt, key) {
+        return ['', SecurityService.PASSWORD_SCHEME, SecurityService.PASSWORD_HASH_VERSION, options.digest, options.iterations, salt.toString('base64'), key.toString('base64')].join('$');
+    };
+
+    /**
+     * Parses a stored password hash
+     * @static
+     * @method parsePasswordHash
+     * @param {String} hash
+     * @return {Object} Contains the scheme, version, digest, iterations, salt,
+     * and key.  NULL is returned when the hash is not in the current format.
+     */
+    SecurityService.parsePasswordHash = function(hash) {
+        if (!util.isString(hash)) {
+            return null;
+        }
+
+        var parts = hash.split('$');
+        if (parts.length !== 7 || parts[0] !== '' || parts[1] !== SecurityService.PASSWORD_SCHEME || parts[2] !== SecurityService.PASSWORD_HASH_VERSION) {
+            return null;
+        }
+
+        var iterations = parseInt(parts[4], 10);
+        if (isNaN(iterations) || iterations <= 0 || !parts[3] || !parts[5] || !parts[6]) {
+            return null;
+        }
+        return {
+            scheme: parts[1],
+            version: parts[2],
+            digest: parts[3],
+            iterations: iterations,
+            salt: new Buffer(parts[5], 'base64'),
+            key: new Buffer(parts[6], 'base64')
+        };
+    };
+
+    /**
+     * Indicates if the stored hash is the legacy, unsalted, digest
+     * @static
+     * @method isLegacyPasswordHash
+     * @param {String} hash
+     * @return {Boolean}
+     */
+    SecurityService.isLegacyPasswordHash = function(hash) {
+        return util.isString(hash) && LEGACY_HASH_PATTERN.test(hash);
+    };
+
+    /**
+     * Indicates if a stored hash should be replaced the next time the
+     * password is available.  This is the case for legacy hashes and for
+     * hashes created with parameters other than those currently configured.
+     * @static
+     * @method needsPasswordRehash
+     * @param {String} hash
+     * @return {Boolean}
+     */
+    SecurityService.needsPasswordRehash = function(hash) {
+        var parsed = SecurityService.parsePasswordHash(hash);
+        if (parsed === null) {
+            return true;
+        }
+
+        var options = SecurityService.getPasswordOptions();
+        return parsed.digest !== options.digest || parsed.iterations !== options.iterations || parsed.key.length !== options.keyLength;
+    };
+
+    /**
+     * Verifies a password against a stored hash.  Both the current format and
+     * the legacy digest are supported.
+     * @static
+     * @method verifyPassword
+     * @param {String} password
+     * @param {String} hash The stored hash
+     * @param {Function} cb (Error, Boolean) Provides TRUE when the password
+     * matches
+     */
+    SecurityService.verifyPassword = function(password, hash, cb) {
+        if (!util.isString(password) || !util.isString(hash)) {
+            return cb(null, false);
+        }
+
+        if (SecurityService.isLegacyPasswordHash(hash)) {
+            var digest;
+            try {
+                digest = SecurityService.encrypt(password);
+            }
+            catch(err) {
+                return cb(err, false);
+            }
+            return cb(null, SecurityService.safeEquals(new Buffer(digest.toLowerCase()), new Buffer(hash.toLowerCase())));
+        }
+
+        var parsed = SecurityService.parsePasswordHash(hash);
+        if (parsed === null) {
+            return cb(null, false);
+        }
+        crypto.pbkdf2(password, parsed.salt, parsed.iterations, parsed.key.length, parsed.digest, function(err, key) {
+            cb(err, !util.isError(err) && SecurityService.safeEquals(key, parsed.key));
+        });
+    };
+
+    /**
+     * Compares two values in an amount of time that depends only on their
+     * length so that the comparison does not leak how much of a secret matched
+     * @static
+     * @method safeEquals
+     * @param {Buffer|String} a
+     * @param {Buffer|String} b
+     * @return {Boolean}
+     */
+    SecurityService.safeEquals = function(a, b) {
+        if (util.isString(a)) {
+            a = new Buffer(a);
+        }
+        if (util.isString(b)) {
+            b = new Buffer(b);
+        }
+        if (a.length !== b.length) {
+            return false;
+        }
+
+        var result = 0;
+        for (var i = 0; i < a.length; i++) {
+            result |= a[i] ^ b[i];
+        }
+        return result === 0;
+    };
+
     /**
      * @static
      * @method generatePassword
@@ -114,6 +114,13 @@ module.exports = function AdminNavigationModule(pb) {
                 href: '/admin/content/articles',
                 access: SecurityService.ACCESS_WRITER
             },
+            {
+                id: 'expiring',
+                title: 'admin.EXPIRING_CONTENT',
+                icon: 'clock-o',
+                href: '/admin/content/expiring',
+                access: SecurityService.ACCESS_EDITOR
+            },
             {
                 id: 'media',
                 title: 'admin.MEDIA',
@@ -166,7 +173,7 @@ module.exports = function AdminNavigationModule(pb) {
         title: 'admin.USERS',
         icon: 'users',
         href: '#',
-        access: SecurityService.ACCESS_EDITOR,
+        access: SecurityService.ACCESS_WRITER,
         children: [
             {
                 id: 'manage',
@@ -181,6 +188,13 @@ module.exports = function AdminNavigationModule(pb) {
                 icon: 'lock',
                 href: '/admin/users/permissions',
                 access: SecurityService.ACCESS_ADMINISTRATOR
+            },
+            {
+                id: 'api_keys',
+                title: 'users.API_KEYS',
+                icon: 'key',
+                href: '/admin/users/api_keys',
+                access: SecurityService.ACCESS_WRITER
             }
         ]
     });
@@ -229,6 +243,20 @@ module.exports = function AdminNavigationModule(pb) {
                     icon: 'envelope',
                     href: '/admin/site_settings/email',
                     access: SecurityService.ACCESS_ADMINISTRATOR
+                },
+                {
+                    id: 'webhooks',
+                    title: 'site_settings.WEBHOOKS',
+                    icon: 'exchange',
+                    href: '/admin/site_settings/webhooks',
+                    access: SecurityService.ACCESS_ADMINISTRATOR
+                },
+                {
+                    id: 'translations',
+                    title: 'translations.TRANSLATIONS',
+                    icon: 'language',
+                    href: '/admin/site_settings/translations',
+                    access: SecurityService.ACCESS_ADMINISTRATOR
                 }
             ]
         };
@@ -241,6 +269,13 @@ module.exports = function AdminNavigationModule(pb) {
                 href: '/admin/site_settings/libraries',
                 access: SecurityService.ACCESS_ADMINISTRATOR
             });
+            settingsNav.children.push({
+                id: 'scheduled_jobs',
+                title: 'site_settings.SCHEDULED_JOBS',
+                icon: 'clock-o',
+                href: '/admin/site_settings/scheduled_jobs',
+                access: SecurityService.ACCESS_ADMINISTRATOR
+            });
         }
         return Object.freeze(settingsNav);
     }
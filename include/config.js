@@ -199,6 +199,140 @@ Configuration.getBaseConfig = function(multisite) {
             timeout: 2000000
         },
 
+        //Controls how user passwords are hashed.  Each password is stored with
+        //its own random salt using PBKDF2.  The parameters are recorded in the
+        //stored hash so they can be raised at any time.  Hashes created with
+        //weaker parameters, or with the legacy unsalted digest, are upgraded
+        //the next time the user successfully logs in.
+        passwords: {
+            digest: 'sha512',
+            iterations: 100000,
+            keyLength: 64,
+            saltLength: 16
+        },
+
+        //Protects the login and password reset forms from brute-force and
+        //abuse.  Attempts are counted per account (the username or email
+        //provided) and per client IP address in the cache so that the limits
+        //are shared by every process in the cluster.  The "window" is the
+        //number of seconds that attempts are remembered.  Once either limit is
+        //reached the account or IP is locked out for "lockout" seconds.  Each
+        //failed login is answered after a delay (ms) that doubles with every
+        //consecutive failure up to "max_delay".  When PB runs behind a load
+        //balancer or reverse proxy "trust_proxy" should be set to the number of
+        //proxies in front of PB (true is the same as 1) so that the client IP
+        //is read from the X-Forwarded-For header.  The header is read from the
+        //right so that addresses added by the client are ignored.
+        security: {
+            trust_proxy: false,
+            login: {
+                enabled: true,
+                max_account_attempts: 5,
+                max_ip_attempts: 20,
+                window: 900,
+                lockout: 900,
+                delay: 250,
+                max_delay: 5000
+            },
+            password_reset: {
+                enabled: true,
+                max_account_attempts: 3,
+                max_ip_attempts: 10,
+                window: 3600,
+                lockout: 3600,
+                delay: 0,
+                max_delay: 0
+            },
+
+            //RFC 6238 time-based one time passwords used as a second factor.
+            //The "issuer" is displayed by authenticator apps and defaults to
+            //the site name.  The "window" is the number of time steps before
+            //and after the current one that are accepted to allow for clock
+            //drift.  The "pending_timeout" is the number of seconds a user has
+            //to provide the code after providing a valid password.
+            two_factor: {
+                issuer: null,
+                step: 30,
+                digits: 6,
+                window: 1,
+                recovery_codes: 10,
+                pending_timeout: 300
+            },
+
+            //Requests other than GET, HEAD and OPTIONS must provide the token
+            //that is kept in the session.  Pages provide it through the
+            //^csrf_token^ flag.  It is sent in the X-CSRF-Token header or, for
+            //forms posted to a FormController, in the "csrf_token" field.
+            //Requests authenticated with an API key and routes that set "csrf"
+            //to false in their descriptor are exempt.
+            csrf: {
+                enabled: true
+            }
+        },
+
+        //Limits the rate at which each client can make requests to a route.  A
+        //limit is a token bucket that holds "capacity" requests and is refilled
+        //at a rate of "capacity" requests every "interval" seconds.  Requests
+        //are counted by "key": 'ip' (the default), 'user', 'session', or
+        //'api_key'.  Requests that are not authenticated by a user or an API
+        //key are counted by IP address.  The "default" limit applies to every
+        //route that does not declare a "rate_limit" in its descriptor.  Routes may set "rate_limit" to false
+        //to opt out.  The limits of individual routes can be overridden by
+        //path in "routes" (e.g. '/api/content/search').  The buckets are kept
+        //in the cache so that the limits are shared across the cluster.
+        rate_limit: {
+            enabled: true,
+            default: null,
+            routes: {}
+        },
+
+        //The security headers sent with every response rendered by a
+        //controller.  Strict-Transport-Security is only sent when SSL is
+        //enabled.  Any header may be disabled by setting it to false.  The
+        //Content-Security-Policy is built from the "directives" below and is
+        //extended with the hosts of the CDN libraries (see the libraries site
+        //settings) and the sources declared by active plugins in the
+        //"content_security_policy" block of their details.json.  When
+        //"report_only" is true violations are only reported, to "report_uri",
+        //and nothing is blocked.  When "nonce" is true a nonce is added to
+        //"script-src" for each page that renders the ^csp_nonce^ flag.  Browsers
+        //then ignore 'unsafe-inline' so every inline script must carry the
+        //nonce.  Routes may override these settings through the
+        //"security_headers" property of their descriptor, or set it to false to
+        //opt out.  The settings of individual routes can also be overridden by
+        //path in "routes".
+        security_headers: {
+            enabled: true,
+            hsts: {
+                max_age: 15552000,
+                include_subdomains: false,
+                preload: false
+            },
+            frame_options: 'SAMEORIGIN',
+            content_type_options: 'nosniff',
+            referrer_policy: 'strict-origin-when-cross-origin',
+            csp: {
+                enabled: true,
+                report_only: true,
+                report_uri: '/api/security/csp_report',
+                nonce: false,
+                directives: {
+                    'default-src': ["'self'"],
+                    'script-src': ["'self'", "'unsafe-inline'", "'unsafe-eval'"],
+                    'style-src': ["'self'", "'unsafe-inline'"],
+                    'font-src': ["'self'", 'data:'],
+                    'img-src': ['*', 'data:', 'blob:'],
+                    'media-src': ['*'],
+                    'frame-src': ['*'],
+                    'connect-src': ["'self'"],
+                    'object-src': ["'none'"],
+                    'base-uri': ["'self'"],
+                    'frame-ancestors': ["'self'"]
+                }
+            },
+            routes: {}
+        },
+
         //The logging settings.  The level property specifies at what level to log.
         //It can be of any of the following: silly, debug, info, warn, error.  The
         //file property specifes the absolute file path where the log file should
@@ -360,8 +494,10 @@ Configuration.getBaseConfig = function(multisite) {
         //changed to a different provider.  The second provider, 'mongo', is a media
         //storage mechanism powered by MongoDB's GridFS.  The 'mongo' provider does
         //support the distributed PencilBlue configuration although it is not
-        //recommended for large scale use.  Systems that have larger or more
-        //performant data needs should look at other plugins to support that need.
+        //recommended for large scale use.  The third provider, 's3', stores media
+        //in a bucket of any S3-compatible object store (Amazon S3, MinIO, Ceph,
+        //etc) and is configured by the "s3" block below.  Systems that have
+        //other data needs should look at plugins to support that need.
         media: {
 
             provider: 'fs',
@@ -372,9 +508,77 @@ Configuration.getBaseConfig = function(multisite) {
             //if media is served from a domain other than the site root.
             urlRoot: '',
 
+            //The options for the 's3' provider.  Objects are keyed by their media
+            //path beneath the optional "prefix".  "path_style" addresses the bucket
+            //as part of the path (http://endpoint/bucket/key), which is what most
+            //self-hosted stores expect, instead of as part of the host name.  When
+            //"public_url" is true, requests for /media/* are redirected to a
+            //pre-signed URL, valid for "signed_url_expiry" seconds, so that clients
+            //download the content directly from the store.
+            s3: {
+                bucket: '',
+                prefix: '',
+                endpoint: 'https://s3.amazonaws.com',
+                region: 'us-east-1',
+                access_key_id: '',
+                secret_access_key: '',
+                path_style: true,
+                public_url: false,
+                signed_url_expiry: 900
+            },
+
             //The maximum size of media files that can be uploaded to the server in
             //bytes
-            max_upload_size: 2 * 1024 * 1024
+            max_upload_size: 2 * 1024 * 1024,
+
+            //Restricts what can be uploaded.  An empty "allowed" list allows
+            //anything that is not denied.  MIME types ending with a slash match
+            //all subtypes (e.g. 'video/').  Each site may override the lists and
+            //the "max_sizes", in bytes, keyed by role (e.g. ACCESS_WRITER) from
+            //its security settings.  Roles without a size use "max_upload_size".
+            //The content of each file must agree with its extension.  SVG images
+            //are rebuilt from an allow-list of elements and attributes when
+            //"sanitize_svg" is true.  When "detect_duplicates" is true, a file
+            //with the same content as existing media is not stored again and the
+            //existing media is offered instead.
+            uploads: {
+                allowed_extensions: [],
+                denied_extensions: ['htm', 'html', 'xhtml', 'shtml', 'js', 'php', 'phtml', 'asp', 'aspx', 'jsp', 'cgi', 'pl', 'py', 'sh', 'bat', 'cmd', 'com', 'exe', 'dll', 'msi', 'jar', 'vbs', 'swf'],
+                allowed_mime_types: [],
+                denied_mime_types: ['text/html', 'application/xhtml+xml', 'application/javascript', 'application/x-msdownload', 'application/x-shockwave-flash'],
+                max_sizes: {},
+                max_files: 10,
+                sanitize_svg: true,
+                detect_duplicates: true
+            },
+
+            //Controls the deletion of media that is still embedded in, or attached
+            //to, articles and pages.  'warn' requires the deletion to be confirmed,
+            //'block' prevents it until the references are removed, and 'allow'
+            //deletes the media without checking.
+            referenced_delete: 'warn',
+
+            //Controls the resized, cropped, and re-encoded copies of uploaded images.
+            //A derivative is requested by adding "width", "height", "fit" (cover,
+            //contain, or inside), "format" (jpeg or png), or "preset" parameters to
+            //a /media/* URL.  Derivatives are generated once and stored through the
+            //media provider.  The named "presets" can be overridden by the active
+            //theme's "image_presets".  Rendered images list a derivative for each
+            //of the "srcset_widths".  Only the sizes of the presets and the
+            //"srcset_widths" can be requested.  Derivatives are removed along with
+            //the original.
+            derivatives: {
+                enabled: true,
+                max_dimension: 2400,
+                quality: 85,
+                srcset_widths: [320, 640, 1024, 1600],
+                presets: {
+                    thumbnail: {width: 150, height: 150, fit: 'cover'},
+                    small: {width: 320},
+                    medium: {width: 640},
+                    large: {width: 1280}
+                }
+            }
         },
 
         //Contains all of the configuration for localization and internationalization.
@@ -409,6 +613,161 @@ Configuration.getBaseConfig = function(multisite) {
             timeout: 50
         },
 
+        //Controls the revision history kept for content.  A full snapshot of an
+        //article, page, or custom object is stored each time it is saved.
+        revisions: {
+
+            //The maximum number of revisions kept for each object, keyed by
+            //object type.  Types without an entry use the default.  A value of 0
+            //keeps every revision.
+            retention: {
+                default: 25,
+                article: 50,
+                page: 50,
+                custom_object: 25
+            }
+        },
+
+        //Controls the editorial workflow that articles and pages move through
+        //before and after they are published.
+        workflow: {
+
+            //The state assigned to new content
+            initial: 'draft',
+
+            //The state in which content is visible to the public.  Content in
+            //any other state is treated as a draft.
+            published: 'published',
+
+            //The available states.  Each state lists the states it may move to
+            //along with what is required to make the move: either a minimum
+            //access level (0 = user, 1 = writer, 2 = editor, 3 = managing
+            //editor, 4 = administrator) or the name of a plugin permission.
+            //When "notify" is set, users with at least that access level are
+            //emailed when content enters the state.
+            states: {
+                draft: {
+                    transitions: {
+                        in_review: 1,
+                        published: 2
+                    }
+                },
+                in_review: {
+                    notify: 2,
+                    transitions: {
+                        draft: 1,
+                        approved: 2
+                    }
+                },
+                approved: {
+                    transitions: {
+                        draft: 2,
+                        published: 2
+                    }
+                },
+                published: {
+                    transitions: {
+                        draft: 2,
+                        archived: 2
+                    }
+                },
+                archived: {
+                    transitions: {
+                        draft: 2
+                    }
+                }
+            }
+        },
+
+        //Controls the webhooks that notify other systems when content is
+        //created, updated, or deleted.  Deliveries are queued in the DB and a
+        //single process in the cluster sends those that are due every
+        //"poll_interval" milliseconds, up to "batch_size" at a time.  An endpoint
+        //has "timeout" milliseconds to respond.  A delivery that is not
+        //answered with a 2xx status code is retried after "retry_delay" seconds,
+        //doubling with each attempt up to "max_retry_delay" seconds, until
+        //"max_attempts" have been made.  Deliveries that succeeded or failed are
+        //removed "retention" days after they completed by a scheduled job that
+        //runs at "cleanup", a cron expression.  A retention of 0 keeps every
+        //delivery.
+        webhooks: {
+            enabled: true,
+            poll_interval: 10000,
+            batch_size: 25,
+            timeout: 10000,
+            max_attempts: 8,
+            retry_delay: 30,
+            max_retry_delay: 21600,
+            retention: 30,
+            cleanup: '30 3 * * *'
+        },
+
+        //Configures the scheduler that runs recurring jobs registered by core
+        //and plugins.  Every process keeps the schedule but each occurrence of
+        //a job runs on only one of them: the process that claims the
+        //occurrence's lock, which is held for "lock_timeout" seconds.  Cron
+        //expressions are evaluated in "time_zone" unless the job provides its
+        //own.
+        scheduler: {
+            enabled: true,
+            time_zone: 'UTC',
+            lock_timeout: 300
+        },
+
+        //Controls the records kept of jobs such as plugin installs and media
+        //migrations.  Jobs and their log entries are removed "retention" days
+        //after they were created by a scheduled job that runs at "cleanup", a
+        //cron expression.  A retention of 0 keeps every job.  Clients that
+        //follow the progress of a job through its event stream receive updates
+        //every "stream_interval" milliseconds.
+        jobs: {
+            retention: 30,
+            cleanup: '0 3 * * *',
+            stream_interval: 1000
+        },
+
+        //Controls what happens when articles and pages pass their expiry date.
+        //Expired content is removed from listings, feeds, and the sitemap.
+        //Direct requests are answered with a 410 (Gone) unless "redirect" is set
+        //to a URL, in which case the visitor is sent there instead.  The
+        //"expiring_soon" setting is the number of days ahead that the admin
+        //section looks for content that is about to expire.
+        expiry: {
+            redirect: null,
+            expiring_soon: 7
+        },
+
+        //Controls the Cache-Control header sent with successful responses.  Each
+        //class of route gets its own value: "public" for static assets served
+        //from the public directories, "media" for uploaded media, "html" for
+        //rendered pages, and "api" for the API.  Set a value to null to omit
+        //the header.  Static assets and media also carry a strong ETag and a
+        //Last-Modified header so that conditional requests can be answered with
+        //a 304 (Not Modified).
+        cache_control: {
+            public: 'public, max-age=86400',
+            media: 'public, max-age=604800',
+            html: 'no-cache',
+            api: 'no-cache, no-store'
+        },
+
+        //Controls the compression of responses.  When the client accepts it, a
+        //response body of at least "threshold" bytes whose content type matches
+        //one of the "mime_types" is compressed with gzip or deflate.  An entry
+        //that ends with a "/" matches every subtype.
+        compression: {
+            enabled: true,
+            threshold: 1024,
+            mime_types: [
+                'text/',
+                'application/json',
+                'application/javascript',
+                'application/xml',
+                'application/rss+xml',
+                'image/svg+xml'
+            ]
+        },
+
         //Pulls in the package.json file for PB and extracts the version so it is
         //available in the configuration.
         version: require(path.join(Configuration.DOCUMENT_ROOT, 'package.json')).version
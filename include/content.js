@@ -47,6 +47,34 @@ module.exports = function(pb) {
      */
     var CONTENT_SETTINGS_REF = 'content_settings';
 
+    /**
+     * The number of milliseconds in a minute
+     * @private
+     * @static
+     * @readonly
+     * @property MINUTE
+     * @type {Integer}
+     */
+    var MINUTE = 60 * 1000;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property MINUTES_PER_HOUR
+     * @type {Integer}
+     */
+    var MINUTES_PER_HOUR = 60;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property MINUTES_PER_DAY
+     * @type {Integer}
+     */
+    var MINUTES_PER_DAY = 24 * MINUTES_PER_HOUR;
+
     /**
      *
      * @private
@@ -71,7 +99,14 @@ module.exports = function(pb) {
         allow_comments: 1,
         default_comments: 1,
         require_account: 0,
-        require_verification: 0
+        moderate_comments: 0,
+        auto_approve_trusted: 1,
+        comment_max_links: 2,
+        comment_blocked_words: '',
+        require_verification: 0,
+        feed_item_count: 100,
+        feed_full_content: 1,
+        feed_thumbnail_enclosure: 0
     });
 
     /**
@@ -93,7 +128,9 @@ module.exports = function(pb) {
         var self = this;
         this.settingService.get(CONTENT_SETTINGS_REF, function(err, settings){
             if (settings) {
-                return cb(err, settings);
+
+                //backfill any settings that were introduced after these were persisted
+                return cb(err, util.union(ContentService.getDefaultSettings(), settings));
             }
 
             //set default settings if they don't exist
@@ -146,6 +183,9 @@ module.exports = function(pb) {
      * @param {String} options.timeFormat
      * @param {Boolean} options.twoDigitTime
      * @param {Localization} options.ls
+     * @param {Boolean} [options.relative=false] When TRUE dates from the past
+     * week are described relative to now, such as "5 minutes ago"
+     * @param {Date} [options.now] The date that relative text is based on
      */
     ContentService.getTimestampText = function(options) {
         var date         = options.date;
@@ -159,6 +199,13 @@ module.exports = function(pb) {
             ls = new pb.Localization();
         }
 
+        if (options.relative) {
+            var relativeText = ContentService.getRelativeTimestampText(date, ls, options.now);
+            if (relativeText !== null) {
+                return relativeText;
+            }
+        }
+
         var dateString = format;
         var monthNames = [
           ls.g('timestamp.JAN'),
@@ -215,6 +262,35 @@ module.exports = function(pb) {
         return dateString;
     };
 
+    /**
+     * Describes a date from the past week relative to now, such as
+     * "5 minutes ago".  The text is pluralized for the locale of the
+     * Localization instance.
+     * @static
+     * @method getRelativeTimestampText
+     * @param {Date} date
+     * @param {Localization} ls
+     * @param {Date} [now=new Date()]
+     * @return {String} The relative text or NULL when the date is in the
+     * future or more than a week old
+     */
+    ContentService.getRelativeTimestampText = function(date, ls, now) {
+        var minutes = Math.floor(((now || new Date()).getTime() - date.getTime()) / MINUTE);
+        if (minutes < 0 || minutes >= 7 * MINUTES_PER_DAY) {
+            return null;
+        }
+        else if (minutes < 1) {
+            return ls.g('timestamp.JUST_NOW');
+        }
+        else if (minutes < MINUTES_PER_HOUR) {
+            return ls.g('timestamp.MINUTES_AGO', {params: {count: minutes}});
+        }
+        else if (minutes < MINUTES_PER_DAY) {
+            return ls.g('timestamp.HOURS_AGO', {params: {count: Math.floor(minutes / MINUTES_PER_HOUR)}});
+        }
+        return ls.g('timestamp.DAYS_AGO', {params: {count: Math.floor(minutes / MINUTES_PER_DAY)}});
+    };
+
     //exports
     return ContentService;
 };
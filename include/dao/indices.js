@@ -33,11 +33,6 @@ module.exports = function IndicesModule(multisite) {
             spec: multisite ?  {email: ASC, site: ASC} : {email: ASC},
             options: {unique: true}
         },
-        {
-            collection: 'user',
-            spec: {username: ASC, password: ASC},
-            options: {}
-        },
         {
             collection: 'user',
             spec: {created: ASC},
@@ -144,10 +139,54 @@ module.exports = function IndicesModule(multisite) {
             spec: {created: ASC},
             options: {}
         },
+        {
+            collection: 'media',
+            spec: {content_hash: ASC},
+            options: {}
+        },
+        {
+            collection: 'media',
+            spec: {folder: ASC},
+            options: {}
+        },
+        {
+            collection: 'media',
+            spec: {tags: ASC},
+            options: {}
+        },
+        {
+            collection: 'media',
+            spec: {uploader: ASC},
+            options: {}
+        },
+
+        //media usage
+        {
+            collection: 'media_usage',
+            spec: {object_type: ASC, object_id: ASC},
+            options: {unique: true}
+        },
+        {
+            collection: 'media_usage',
+            spec: {media: ASC},
+            options: {}
+        },
 
         //job run
         //NOTHING YET
 
+        //job run
+        {
+            collection: 'job_run',
+            spec: {created: ASC},
+            options: {}
+        },
+        {
+            collection: 'job_run',
+            spec: {type: ASC, status: ASC},
+            options: {}
+        },
+
         //job log
         {
             collection: 'job_log',
@@ -240,6 +279,11 @@ module.exports = function IndicesModule(multisite) {
             spec: {created: ASC},
             options: {}
         },
+        {
+            collection: 'article',
+            spec: {expiry_date: ASC},
+            options: {}
+        },
 
         //comment
         {
@@ -252,6 +296,21 @@ module.exports = function IndicesModule(multisite) {
             spec: {commenter: ASC},
             options: {}
         },
+        {
+            collection: 'comment',
+            spec: {article: ASC, status: ASC, created: ASC},
+            options: {}
+        },
+        {
+            collection: 'comment',
+            spec: {status: ASC, created: DESC},
+            options: {}
+        },
+        {
+            collection: 'comment',
+            spec: {parent: ASC},
+            options: {}
+        },
 
         //topic
         {
@@ -311,6 +370,52 @@ module.exports = function IndicesModule(multisite) {
             spec: {created: ASC},
             options: {}
         },
+        {
+            collection: 'page',
+            spec: {expiry_date: ASC},
+            options: {}
+        },
+
+        //search index
+        {
+            collection: 'search_index',
+            spec: {object_type: ASC, object_id: ASC},
+            options: {unique: true}
+        },
+        {
+            collection: 'search_index',
+            spec: {site: ASC, publish_date: DESC, draft: ASC},
+            options: {}
+        },
+        {
+            collection: 'search_index',
+            spec: {headline: 'text', subheading: 'text', keywords: 'text', topics: 'text', sections: 'text', body: 'text', translations: 'text'},
+            options: {
+                name: 'search_index_text',
+                weights: {headline: 10, subheading: 5, keywords: 5, topics: 3, sections: 3, body: 1, translations: 1}
+            }
+        },
+
+        //revision
+        {
+            collection: 'revision',
+            spec: {revision_type: ASC, revision_of: ASC, revision: DESC},
+            options: {unique: true}
+        },
+
+        //workflow history
+        {
+            collection: 'workflow_history',
+            spec: {content_type: ASC, content_id: ASC, created: DESC},
+            options: {}
+        },
+
+        //audit log
+        {
+            collection: 'audit_log',
+            spec: {event: ASC, created: DESC},
+            options: {}
+        },
 
         //lock
         {
@@ -334,6 +439,63 @@ module.exports = function IndicesModule(multisite) {
             collection: 'auth_token',
             spec: {created: ASC},
             options: {expireAfterSeconds: 25920000}
+        },
+
+        //api key
+        {
+            collection: 'api_key',
+            spec: {key_hash: ASC},
+            options: {unique: true}
+        },
+        {
+            collection: 'api_key',
+            spec: {owner: ASC, created: DESC},
+            options: {}
+        },
+
+        //webhook
+        {
+            collection: 'webhook',
+            spec: {active: ASC, object_types: ASC, events: ASC},
+            options: {}
+        },
+
+        //webhook delivery
+        {
+            collection: 'webhook_delivery',
+            spec: {status: ASC, next_attempt: ASC},
+            options: {}
+        },
+        {
+            collection: 'webhook_delivery',
+            spec: {webhook: ASC, created: DESC},
+            options: {}
+        },
+        {
+            collection: 'webhook_delivery',
+            spec: {status: ASC, completed: ASC},
+            options: {}
+        },
+
+        //content security policy reports
+        {
+            collection: 'csp_report',
+            spec: {created: ASC},
+            options: {expireAfterSeconds: 2592000}
+        },
+
+        //localization overrides
+        {
+            collection: 'localization_override',
+            spec: {site: ASC, locale: ASC, key: ASC},
+            options: {unique: true}
+        },
+
+        //scheduled jobs
+        {
+            collection: 'job_schedule',
+            spec: {name: ASC},
+            options: {unique: true}
         }
     ];
 };
\ No newline at end of file
@@ -22,6 +22,8 @@ var path    = require('path');
 var process = require('process');
 var async   = require('async');
 var domain  = require('domain');
+var zlib    = require('zlib');
+var crypto  = require('crypto');
 var Cookies = require('cookies');
 var util    = require('../util.js');
 var _ = require('lodash');
@@ -72,6 +74,17 @@ module.exports = function RequestHandlerModule(pb) {
         'multipart/form-data': pb.FormBodyParser
     };
 
+    /**
+     * The content encodings that responses can be compressed with, in order of
+     * preference
+     * @private
+     * @static
+     * @readonly
+     * @property ENCODINGS
+     * @type {Array}
+     */
+    var ENCODINGS = ['gzip', 'deflate'];
+
     /**
      * The fallback theme (pencilblue)
      * @static
@@ -315,8 +328,19 @@ module.exports = function RequestHandlerModule(pb) {
      * through the setup process in order to pass validation
      * @param {Boolean} [descriptor.auth_required=false] If true, the user making the
      * request must have successfully authenticated against the system.
+     * @param {Boolean} [descriptor.two_factor_enrolment=false] If true, the route
+     * remains available to authenticated users that must enrol a second factor
+     * before accessing anything else.
      * @param {String} [descriptor.content_type='text/html'] The content type header sent with the response
      * @param {Boolean} [descriptor.localization=false]
+     * @param {Object|Boolean} [descriptor.rate_limit] The "capacity", "interval"
+     * (seconds), and "key" of the route's rate limit or FALSE to opt out of
+     * the default limit.  See RateLimitService.getLimit
+     * @param {Object|Boolean} [descriptor.security_headers] Overrides the
+     * security headers settings for the route or FALSE to send none.  See
+     * SecurityHeadersService.getOptions
+     * @param {Boolean} [descriptor.csrf=true] When FALSE requests to the route
+     * do not need to provide the CSRF token.  See CsrfService.isRequired
      * @param {String} theme The plugin/theme UID
      * @param {String} site The UID of site that owns the route
      * @return {Boolean} TRUE if the route was registered, FALSE if not
@@ -572,6 +596,7 @@ module.exports = function RequestHandlerModule(pb) {
         ];
         if (this.siteObj) {
             opts.supported = Object.keys(this.siteObj.supportedLocales);
+            opts.site = this.siteObj.uid;
             sources.push(this.siteObj.defaultLocale);
         }
         var localePrefStr = sources.reduce(function(prev, curr, i) {
@@ -583,7 +608,10 @@ module.exports = function RequestHandlerModule(pb) {
     };
 
     /**
-     * Serves up public content from an absolute file path
+     * Serves up public content from an absolute file path.  The response
+     * carries an ETag, derived from the file's size and last modified date,
+     * and the last modified date itself so that conditional requests can be
+     * answered with a 304.
      * @method servePublicContent
      * @param {String} absolutePath An absolute file path to the resource
      */
@@ -595,25 +623,35 @@ module.exports = function RequestHandlerModule(pb) {
         }
 
         var self = this;
-        fs.readFile(absolutePath, function(err, content){
-            if (err) {
-                self.serve404();
-                return;
+        fs.stat(absolutePath, function(err, stat) {
+            if (err || !stat.isFile()) {
+                return self.serve404();
             }
 
-            //build response structure
-            var data = {
-                content: content
-            };
+            fs.readFile(absolutePath, function(err, content){
+                if (err) {
+                    self.serve404();
+                    return;
+                }
 
-            //guess at content-type
-            var mime = RequestHandler.getMimeFromPath(absolutePath);
-            if (mime) {
-                data.content_type = mime;
-            }
+                //build response structure
+                var data = {
+                    content: content,
+                    headers: {
+                        'etag': RequestHandler.generateStatETag(stat),
+                        'last-modified': stat.mtime.toUTCString()
+                    }
+                };
 
-            //send response
-            self.writeResponse(data);
+                //guess at content-type
+                var mime = RequestHandler.getMimeFromPath(absolutePath);
+                if (mime) {
+                    data.content_type = mime;
+                }
+
+                //send response
+                self.writeResponse(data);
+            });
         });
     };
 
@@ -650,6 +688,267 @@ module.exports = function RequestHandlerModule(pb) {
         return undefined;
     };
 
+    /**
+     * Generates a strong entity tag from the content of a response
+     * @static
+     * @method generateETag
+     * @param {Buffer|String} content
+     * @return {String} The quoted entity tag
+     */
+    RequestHandler.generateETag = function(content) {
+        return '"' + crypto.createHash('sha1').update(content).digest('hex') + '"';
+    };
+
+    /**
+     * Generates an entity tag from the stats of a stored file.  Media files are
+     * never modified in place so the size and the time of the last modification
+     * are enough to identify the content.  Both the file system and the GridFS
+     * stats are supported.
+     * @static
+     * @method generateStatETag
+     * @param {Object} stat
+     * @return {String} The quoted entity tag or NULL when the stats do not
+     * provide a modification time
+     */
+    RequestHandler.generateStatETag = function(stat) {
+        var size = util.isNullOrUndefined(stat.size) ? stat.length : stat.size;
+        var modified = stat.mtime || stat.uploadDate;
+        if (!util.isDate(modified) || isNaN(size)) {
+            return null;
+        }
+        return '"' + size.toString(16) + '-' + modified.getTime().toString(16) + '"';
+    };
+
+    /**
+     * Derives the entity tag of a compressed representation from the tag of
+     * the identity representation.  The content-coding is appended inside the
+     * quotes so that caches never confuse the two bodies.  A weak tag stays
+     * weak.
+     * @static
+     * @method getEncodedETag
+     * @param {String} etag The quoted entity tag of the uncompressed body
+     * @param {String} encoding The content-coding, e.g. "gzip"
+     * @return {String} The quoted entity tag of the compressed body
+     */
+    RequestHandler.getEncodedETag = function(etag, encoding) {
+        var match = etag.match(/^(W\/)?"(.*)"$/);
+        if (!match) {
+            return etag;
+        }
+        return (match[1] || '') + '"' + match[2] + '-' + encoding + '"';
+    };
+
+    /**
+     * Determines the class of route that a response belongs to.  The class
+     * decides which Cache-Control header is sent.
+     * @static
+     * @method getCacheClass
+     * @param {String} pathname The path of the request
+     * @param {String} [contentType] The content type of the response
+     * @return {String} One of "public", "media", "api", or "html"
+     */
+    RequestHandler.getCacheClass = function(pathname, contentType) {
+        if (!util.isString(pathname)) {
+            pathname = '';
+        }
+
+        if (pathname.indexOf('/media/') === 0) {
+            return 'media';
+        }
+        else if (pathname.indexOf('/public/') === 0 || RequestHandler.isPublicRoute(pathname)) {
+            return 'public';
+        }
+        else if (RequestHandler.isApiURL(pathname) || (util.isString(contentType) && contentType.indexOf('application/json') === 0)) {
+            return 'api';
+        }
+        return 'html';
+    };
+
+    /**
+     * Retrieves the configured Cache-Control header for a class of route
+     * @static
+     * @method getCacheControl
+     * @param {String} cacheClass See getCacheClass
+     * @return {String} The header value or NULL when the header should be omitted
+     */
+    RequestHandler.getCacheControl = function(cacheClass) {
+        var value = pb.config.cache_control[cacheClass];
+        return util.isString(value) && value.length > 0 ? value : null;
+    };
+
+    /**
+     * Determines if the client's copy of the resource is still fresh based on
+     * the If-None-Match and If-Modified-Since request headers.  If-None-Match
+     * takes precedence when both are provided.  Only GET and HEAD requests are
+     * considered.
+     * @static
+     * @method isNotModified
+     * @param {Request} req
+     * @param {Object} headers The response headers, keyed by lower case name
+     * @return {Boolean} TRUE when a 304 should be sent
+     */
+    RequestHandler.isNotModified = function(req, headers) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return false;
+        }
+
+        var reqHeaders = req.headers || {};
+        var ifNoneMatch = reqHeaders['if-none-match'];
+        if (util.isString(ifNoneMatch)) {
+            if (!util.isString(headers.etag)) {
+                return false;
+            }
+
+            //GET & HEAD use the weak comparison
+            var etag = headers.etag.replace(/^W\//, '');
+            return ifNoneMatch.split(',').some(function(tag) {
+                tag = tag.trim();
+                return tag === '*' || tag.replace(/^W\//, '') === etag;
+            });
+        }
+
+        var ifModifiedSince = reqHeaders['if-modified-since'];
+        if (util.isString(ifModifiedSince) && headers['last-modified']) {
+            var since = Date.parse(ifModifiedSince);
+            var modified = Date.parse(headers['last-modified']);
+            return !isNaN(since) && !isNaN(modified) && modified <= since;
+        }
+        return false;
+    };
+
+    /**
+     * Parses the Range request header for a resource of the provided size.
+     * Only a single range of bytes is supported.  Any other form of the
+     * header is ignored so that the full resource is sent.
+     * @static
+     * @method parseRange
+     * @param {String} rangeHeader The value of the Range header
+     * @param {Integer} size The size of the resource in bytes
+     * @return {Object|Boolean} An object with the inclusive "start" and "end"
+     * offsets, NULL when the header should be ignored, or FALSE when the range
+     * cannot be satisfied
+     */
+    RequestHandler.parseRange = function(rangeHeader, size) {
+        if (!util.isString(rangeHeader) || !util.isNumber(size) || isNaN(size)) {
+            return null;
+        }
+
+        var match = rangeHeader.trim().match(/^bytes=(\d*)-(\d*)$/i);
+        if (!match || (match[1] === '' && match[2] === '')) {
+            return null;
+        }
+
+        var start, end;
+        if (match[1] === '') {
+
+            //suffix range: the last N bytes
+            var suffix = parseInt(match[2], 10);
+            if (suffix === 0) {
+                return false;
+            }
+            start = Math.max(size - suffix, 0);
+            end = size - 1;
+        }
+        else {
+            start = parseInt(match[1], 10);
+            end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+            if (end < start && start < size) {
+                return null;
+            }
+        }
+
+        if (start >= size) {
+            return false;
+        }
+        return {
+            start: start,
+            end: end
+        };
+    };
+
+    /**
+     * Determines if a Range request header should be honored based on the
+     * If-Range request header.  The range is honored when If-Range is not
+     * provided or when it matches the current entity tag, using the strong
+     * comparison, or the current modification date.
+     * @static
+     * @method isRangeFresh
+     * @param {Request} req
+     * @param {Object} headers The response headers, keyed by lower case name
+     * @return {Boolean}
+     */
+    RequestHandler.isRangeFresh = function(req, headers) {
+        var ifRange = req.headers ? req.headers['if-range'] : undefined;
+        if (!util.isString(ifRange)) {
+            return true;
+        }
+
+        ifRange = ifRange.trim();
+        if (ifRange.indexOf('"') === 0 || ifRange.indexOf('W/') === 0) {
+            return ifRange.indexOf('W/') !== 0 && ifRange === headers.etag;
+        }
+
+        var since = Date.parse(ifRange);
+        return !isNaN(since) && !!headers['last-modified'] && since === Date.parse(headers['last-modified']);
+    };
+
+    /**
+     * Determines if a response of the content type should be compressed
+     * @static
+     * @method isCompressible
+     * @param {String} contentType
+     * @return {Boolean}
+     */
+    RequestHandler.isCompressible = function(contentType) {
+        if (!pb.config.compression.enabled || !util.isString(contentType)) {
+            return false;
+        }
+
+        var mime = contentType.split(';')[0].trim().toLowerCase();
+        return pb.config.compression.mime_types.some(function(type) {
+            return type.charAt(type.length - 1) === '/' ? mime.indexOf(type) === 0 : mime === type;
+        });
+    };
+
+    /**
+     * Negotiates the encoding of a compressed response from the
+     * Accept-Encoding request header.  gzip is preferred over deflate when the
+     * client values them equally.
+     * @static
+     * @method getEncoding
+     * @param {String} acceptEncoding The value of the Accept-Encoding header
+     * @return {String} "gzip", "deflate", or NULL when neither is acceptable
+     */
+    RequestHandler.getEncoding = function(acceptEncoding) {
+        if (!util.isString(acceptEncoding)) {
+            return null;
+        }
+
+        var qualities = {};
+        acceptEncoding.split(',').forEach(function(part) {
+            var params = part.split(';');
+            var quality = 1;
+            for (var i = 1; i < params.length; i++) {
+                var match = params[i].trim().match(/^q=([0-9.]+)$/i);
+                if (match) {
+                    quality = parseFloat(match[1]);
+                }
+            }
+            qualities[params[0].trim().toLowerCase()] = quality;
+        });
+
+        var encoding = null;
+        var best = 0;
+        ENCODINGS.forEach(function(candidate) {
+            var quality = candidate in qualities ? qualities[candidate] : qualities['*'];
+            if (quality > best) {
+                best = quality;
+                encoding = candidate;
+            }
+        });
+        return encoding;
+    };
+
     /**
      * Determines if the path is mapped to static resources
      * @static
@@ -681,12 +980,32 @@ module.exports = function RequestHandlerModule(pb) {
         }
     };
 
+    /**
+     * Serves the response for content that has passed its expiry date.  The
+     * visitor is redirected when the "expiry.redirect" configuration property
+     * is set.  Otherwise, a 410 (Gone) is served.
+     * @method serveExpired
+     */
+    RequestHandler.prototype.serveExpired = function() {
+        if (pb.log.isSilly()) {
+            pb.log.silly("RequestHandler: Content has expired for URL="+this.url.href);
+        }
+        if (util.isString(pb.config.expiry.redirect) && pb.config.expiry.redirect.length > 0) {
+            return this.doRedirect(pb.config.expiry.redirect, pb.HttpStatus.MOVED_TEMPORARILY);
+        }
+
+        var error = new Error('GONE');
+        error.code = pb.HttpStatus.GONE;
+        this.serveError(error);
+    };
+
     /**
      * Serves up an error page.  The page is responsible for displaying an error page
      * TODO Church this up a bit.  Make it a template and controller like 404.
      * TODO install an encoder entity since node prints out function names in angle brackets
      * @method serveError
      * @param {Error} err The failure that was generated by the executed controller
+     * @param {Object} [err.headers] Headers to send with the error, such as Retry-After
      * @return {Boolean} TRUE when the error is rendered, FALSE if the request had already been handled
      */
     RequestHandler.prototype.serveError = function(err) {
@@ -736,7 +1055,8 @@ module.exports = function RequestHandlerModule(pb) {
                     reqHandler: self,
                     content: result.content,
                     content_type: result.mime,
-                    code: err.code || 500
+                    code: err.code || 500,
+                    headers: err.headers
                 };
                 self.onRenderComplete(data);
             });
@@ -1198,7 +1518,7 @@ module.exports = function RequestHandlerModule(pb) {
         //close session after data sent
         //public content doesn't require a session so in order to not error out we
         //check if the session exists first.
-        if (this.session) {
+        if (this.session && !this.statelessSession) {
             var self = this;
             pb.session.close(this.session, function(err, result) {
                 if (util.isError(err)) {
@@ -1209,11 +1529,17 @@ module.exports = function RequestHandlerModule(pb) {
     };
 
     /**
-     *
+     * Writes the result of a controller to the response.  Successful responses
+     * receive the Cache-Control header configured for the class of route and
+     * are answered with a 304 when the client's copy is still fresh.  Bodies
+     * of a compressible content type are compressed when the client accepts
+     * it and the body meets the configured threshold.  The security headers
+     * for the route are added unless the controller provided them.
      * @method writeResponse
      * @param {Object} data
      */
     RequestHandler.prototype.writeResponse = function(data){
+        var self = this;
 
         //infer a response code when not provided
         if(typeof data.code === 'undefined'){
@@ -1229,35 +1555,99 @@ module.exports = function RequestHandlerModule(pb) {
             contentType = this.themeRoute.content_type;
         }
 
+        //normalize any custom headers so they can be inspected
+        var headers = {};
+        if (util.isObject(data.headers)) {
+            for(var header in data.headers) {
+                headers[header.toLowerCase()] = data.headers[header];
+            }
+        }
+
+        //apply the security headers unless the controller provided its own
+        var securityHeaders = pb.SecurityHeadersService.getHeaders(this.req, this.themeRoute, this.site);
+        Object.keys(securityHeaders).forEach(function(header) {
+            if (typeof headers[header] === 'undefined') {
+                headers[header] = securityHeaders[header];
+            }
+        });
+
+        //serialize the content
+        var content = data.content;
+        if (Buffer.isBuffer(content)) {
+            /* no op */
+        }
+        else if (util.isObject(content)) {
+            content = JSON.stringify(content);
+        }
+
+        //negotiate compression
+        var encoding = null;
+        if (RequestHandler.isCompressible(contentType)) {
+            headers.vary = headers.vary ? headers.vary + ', Accept-Encoding' : 'Accept-Encoding';
+
+            var length = Buffer.isBuffer(content) ? content.length : (util.isString(content) ? Buffer.byteLength(content) : 0);
+            if (!headers['content-encoding'] && length > 0 && length >= pb.config.compression.threshold) {
+                encoding = RequestHandler.getEncoding(this.req.headers['accept-encoding']);
+            }
+        }
+
+        //the compressed body is a different representation so it gets its own tag
+        var identityETag = headers.etag;
+        if (encoding && util.isString(identityETag)) {
+            headers.etag = RequestHandler.getEncodedETag(identityETag, encoding);
+        }
+
+        //apply caching
+        if (data.code === pb.HttpStatus.OK) {
+            if (typeof headers['cache-control'] === 'undefined') {
+                var cacheControl = RequestHandler.getCacheControl(RequestHandler.getCacheClass(this.url.pathname, contentType));
+                if (cacheControl) {
+                    headers['cache-control'] = cacheControl;
+                }
+            }
+            if (RequestHandler.isNotModified(this.req, headers)) {
+                data.code = pb.HttpStatus.NOT_MODIFIED;
+                content = undefined;
+                encoding = null;
+            }
+        }
+
         //send response
         //the catch allows us to prevent any plugins that callback trwice from
         //screwing us over due to the attempt to write headers twice.
-        try {
-            //set any custom headers
-            if (util.isObject(data.headers)) {
-                for(var header in data.headers) {
-                    this.resp.setHeader(header, data.headers[header]);
+        var send = function(body) {
+            try {
+                //set any custom headers
+                for(var header in headers) {
+                    self.resp.setHeader(header, headers[header]);
                 }
-            }
-            if (pb.config.server.x_powered_by) {
-                this.resp.setHeader('x-powered-by', pb.config.server.x_powered_by);
-            }
-            this.resp.setHeader('content-type', contentType);
-            this.resp.writeHead(data.code);
+                if (pb.config.server.x_powered_by) {
+                    self.resp.setHeader('x-powered-by', pb.config.server.x_powered_by);
+                }
+                self.resp.setHeader('content-type', contentType);
+                self.resp.writeHead(data.code);
 
-            //write content
-            var content = data.content;
-            if (Buffer.isBuffer(content)) {
-                /* no op */
+                //write content
+                self.resp.end(body);
             }
-            else if (util.isObject(data.content)) {
-                content = JSON.stringify(content);
+            catch(e) {
+                pb.log.error('RequestHandler: '+e.stack);
             }
-            this.resp.end(content);
-        }
-        catch(e) {
-            pb.log.error('RequestHandler: '+e.stack);
+        };
+        if (!encoding) {
+            return send(content);
         }
+
+        zlib[encoding === 'gzip' ? 'gzip' : 'deflate'](content, function(err, compressed) {
+            if (util.isError(err)) {
+                pb.log.warn('RequestHandler: Failed to compress the response for URL=[%s]. Sending it uncompressed. %s', self.req.url, err.stack);
+                headers.etag = identityETag;
+                return send(content);
+            }
+
+            headers['content-encoding'] = encoding;
+            send(compressed);
+        });
     };
 
     /**
@@ -1311,6 +1701,60 @@ module.exports = function RequestHandlerModule(pb) {
             }
         };
 
+        //requests to the API may authenticate with a key instead of a session
+        var checkApiKey = function(callback) {
+
+            var result = {success: true};
+            var key    = RequestHandler.getBearerToken(self.req);
+            if (key === null || !RequestHandler.isApiURL(self.url.pathname)) {
+                return callback(null, result);
+            }
+
+            self.authenticateApiKey(key, function(err, user) {
+                if (util.isError(err)) {
+                    return callback(err, result);
+                }
+                else if (!user) {
+                    result.success      = false;
+                    result.code         = 401;
+                    result.content_type = 'application/json';
+                    result.headers      = {'WWW-Authenticate': 'Bearer error="invalid_token"'};
+                    result.content      = pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, self.localizationService.get('INVALID_API_KEY'));
+                    return callback(result, result);
+                }
+                callback(null, result);
+            });
+        };
+
+        //requests are counted after API key authentication so that limits
+        //can be applied per key
+        var checkRateLimit = function(callback) {
+
+            var result = {success: true};
+            var limit  = pb.RateLimitService.getLimit(self.themeRoute);
+            if (limit === null) {
+                return callback(null, result);
+            }
+
+            var service = new pb.RateLimitService({site: site});
+            var client  = pb.RateLimitService.getClientKey(limit, self.req, self.session);
+            service.consume(method + ' ' + self.themeRoute.path, client, limit, function(err, status) {
+                if (util.isError(err)) {
+
+                    //the cache being unavailable should not take the site down with it
+                    pb.log.warn('RequestHandler: Failed to check the rate limit for URL=[%s:%s]. %s', self.req.method, self.url.href, err.stack);
+                    return callback(null, result);
+                }
+                else if (!status.allowed) {
+                    var error = new Error(self.localizationService.get('TOO_MANY_REQUESTS'));
+                    error.code = pb.HttpStatus.TOO_MANY_REQUESTS;
+                    error.headers = {'Retry-After': status.retryAfter};
+                    return callback(error, result);
+                }
+                callback(null, result);
+            });
+        };
+
         var checkRequiresAuth = function(callback) {
 
             var result = {success: true};
@@ -1324,6 +1768,14 @@ module.exports = function RequestHandlerModule(pb) {
                     callback(result, result);
                     return;
                 }
+
+                //the site requires a second factor that has not been enrolled
+                if (self.session.authentication.two_factor_enrolment && self.themeRoute.two_factor_enrolment !== true) {
+                    result.success  = false;
+                    result.redirect = '/user/manage_account/two_factor';
+                    callback(result, result);
+                    return;
+                }
                 callback(null, result);
             }
             else{
@@ -1355,6 +1807,20 @@ module.exports = function RequestHandlerModule(pb) {
             var result   = {success: true};
             var reqPerms = self.themeRoute.permissions;
             var auth     = self.session.authentication;
+
+            //keys can be limited to a set of permissions
+            if (auth && auth.api_key && util.isArray(reqPerms)) {
+                for(var j = 0; j < reqPerms.length; j++) {
+
+                    if (!auth.permissions[reqPerms[j]]) {
+                        result.success = false;
+                        result.content = '403 Forbidden';
+                        result.code    = 403;
+                        return callback(result, result);
+                    }
+                }
+            }
+
             if (auth && auth.user &&
                 auth.access_level !== pb.SecurityService.ACCESS_ADMINISTRATOR &&
                 auth.user.permissisions &&
@@ -1378,11 +1844,35 @@ module.exports = function RequestHandlerModule(pb) {
             }
         };
 
+        //requests that change state must prove that they came from a page of
+        //the site.  Forms posted to a FormController are verified once the
+        //controller has parsed the posted token.
+        var checkCsrf = function(callback) {
+
+            var result = {success: true};
+            if (!pb.CsrfService.isRequired(self.themeRoute, self.req.method, self.statelessSession)) {
+                return callback(null, result);
+            }
+
+            var token = self.req.headers[pb.CsrfService.HEADER];
+            if (util.isNullOrUndefined(token) && pb.CsrfService.isDeferrable(self.req, self.themeRoute.controller)) {
+                self.csrfPending = true;
+                return callback(null, result);
+            }
+            else if (!pb.CsrfService.isValid(self.session, token)) {
+                return callback(pb.CsrfService.createError(self.localizationService), result);
+            }
+            callback(null, result);
+        };
+
         var tasks = {
             checkSystemSetup: checkSystemSetup,
+            checkApiKey: checkApiKey,
+            checkRateLimit: checkRateLimit,
             checkRequiresAuth: checkRequiresAuth,
             checkAdminLevel: checkAdminLevel,
-            checkPermissions: checkPermissions
+            checkPermissions: checkPermissions,
+            checkCsrf: checkCsrf
         };
         async.series(tasks, function(err, results){
             if (err) {
@@ -1394,6 +1884,34 @@ module.exports = function RequestHandlerModule(pb) {
         });
     };
 
+    /**
+     * Authenticates the request with an API key.  The request is given its own
+     * session that is never persisted or sent back as a cookie.
+     * @method authenticateApiKey
+     * @param {String} key
+     * @param {Function} cb (Error, Object) Provides the owner of the key or
+     * NULL when the key is not valid
+     */
+    RequestHandler.prototype.authenticateApiKey = function(key, cb) {
+        var self    = this;
+        var session = pb.session.create(this.req);
+        pb.security.authenticateSession(session, key, new pb.ApiKeyAuthentication({site: this.site}), function(err, user) {
+            if (util.isError(err) || !user) {
+                return cb(err, null);
+            }
+
+            var permissions = pb.ApiKeyService.restrictPermissions(user.api_key, session.authentication.user.permissions);
+            session.authentication.user.permissions = permissions;
+            session.authentication.permissions      = permissions;
+            session.authentication.api_key          = user.api_key[pb.DAO.getIdField()].toString();
+
+            self.session          = session;
+            self.setSessionCookie = false;
+            self.statelessSession = true;
+            cb(null, user);
+        });
+    };
+
     /**
      *
      * @method doRedirect
@@ -1438,6 +1956,62 @@ module.exports = function RequestHandlerModule(pb) {
         return parsedCookies;
     };
 
+    /**
+     * Retrieves the IP address of the client that made the request.  When the
+     * "security.trust_proxy" configuration is enabled the X-Forwarded-For
+     * header is read from the right, skipping the addresses appended by the
+     * trusted proxies.  The entries to the left of those are provided by the
+     * client and can not be trusted.
+     * @static
+     * @method getClientIp
+     * @param {Request} req
+     * @return {String}
+     */
+    RequestHandler.getClientIp = function(req) {
+        var hops      = RequestHandler.getTrustedProxyHops();
+        var forwarded = req.headers ? req.headers['x-forwarded-for'] : null;
+        if (hops > 0 && util.isString(forwarded) && forwarded.length > 0) {
+            var addresses = forwarded.split(',').map(function(address) {
+                return address.trim();
+            });
+            return addresses[Math.max(0, addresses.length - hops)];
+        }
+        return req.connection ? req.connection.remoteAddress : undefined;
+    };
+
+    /**
+     * Retrieves the number of proxies in front of PB that are trusted to
+     * append the client's address to the X-Forwarded-For header.
+     * "security.trust_proxy" may be the number of proxies or TRUE for one.
+     * @static
+     * @method getTrustedProxyHops
+     * @return {Integer}
+     */
+    RequestHandler.getTrustedProxyHops = function() {
+        var trustProxy = pb.config.security.trust_proxy;
+        if (trustProxy === true) {
+            return 1;
+        }
+        return pb.validation.isInt(trustProxy, true, true) && trustProxy > 0 ? trustProxy : 0;
+    };
+
+    /**
+     * Retrieves the token from an "Authorization: Bearer" header
+     * @static
+     * @method getBearerToken
+     * @param {Request} req
+     * @return {String} The token or NULL when not provided
+     */
+    RequestHandler.getBearerToken = function(req) {
+        var header = req.headers ? req.headers.authorization : null;
+        if (!util.isString(header)) {
+            return null;
+        }
+
+        var match = header.match(/^\s*Bearer\s+(\S+)\s*$/i);
+        return match ? match[1] : null;
+    };
+
     /**
      *
      * @static
@@ -1495,6 +2069,17 @@ module.exports = function RequestHandlerModule(pb) {
         return false;
     };
 
+    /**
+     * Determines if the path belongs to the API
+     * @static
+     * @method isApiURL
+     * @param {String} url The path of the request
+     * @return {Boolean}
+     */
+    RequestHandler.isApiURL = function(url) {
+        return util.isString(url) && /^\/api(\/|$)/.test(url);
+    };
+
     /**
      *
      * @static
@@ -75,7 +75,8 @@ module.exports = function LibrariesServiceModule(pb) {
         ng_sortable_style_css: '/css/lib/ng-sortable/ng-sortable.style.min.css',
         ng_sortable_js: '/js/lib/ng-sortable/ng-sortable.min.js',
         rangy: '//cdnjs.cloudflare.com/ajax/libs/rangy/1.3.0/rangy-core.min.js',
-        rangy_saverestore: '//cdnjs.cloudflare.com/ajax/libs/rangy/1.3.0/rangy-selectionsaverestore.min.js'
+        rangy_saverestore: '//cdnjs.cloudflare.com/ajax/libs/rangy/1.3.0/rangy-selectionsaverestore.min.js',
+        qrcode: '//cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js'
     });
 
     /**
@@ -114,7 +115,8 @@ module.exports = function LibrariesServiceModule(pb) {
             ng_sortable_style_css: '/bower_components/ng-sortable/dist/ng-sortable.style.min.css',
             ng_sortable_js: '/bower_components/ng-sortable/dist/ng-sortable.min.js',
             rangy: '/bower_components/rangy-release/rangy-core.min.js',
-            rangy_saverestore: '/bower_components/rangy-release/rangy-selectionsaverestore.js'
+            rangy_saverestore: '/bower_components/rangy-release/rangy-selectionsaverestore.js',
+            qrcode: '/bower_components/qrcodejs/qrcode.min.js'
         });
 
     /**
@@ -126,6 +128,14 @@ module.exports = function LibrariesServiceModule(pb) {
     LibrariesService.prototype.getSettings = function(cb){
         pb.settings.get(LIBRARIES_SETTINGS_REF, function(err, settings){
             if (settings) {
+
+                //libraries added after the settings were first stored fall back to the CDN
+                var defaults = LibrariesService.getCDNDefaults();
+                Object.keys(defaults).forEach(function(key) {
+                    if (!settings[key]) {
+                        settings[key] = defaults[key];
+                    }
+                });
                 return cb(err, settings);
             }
 
@@ -138,7 +148,8 @@ module.exports = function LibrariesServiceModule(pb) {
     };
 
     /**
-     * Loads the libraries settings into template service globals. Called on system
+     * Loads the libraries settings into template service globals and registers
+     * the library hosts with the security headers. Called on system
      * startup
      *
      * @method init
@@ -154,6 +165,7 @@ module.exports = function LibrariesServiceModule(pb) {
             Object.keys(settings).forEach(function(key) {
                 pb.TemplateService.registerGlobal(key + '_src', settings[key]);
             });
+            pb.SecurityHeadersService.registerLibraries(settings);
             cb(null, true);
         });
     };
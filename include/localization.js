@@ -24,7 +24,8 @@ var util   = require('./util.js');
 module.exports = function LocalizationModule(pb) {
 
     //pb dependencies
-    var config = pb.config;
+    var config        = pb.config;
+    var MessageFormat = pb.MessageFormat;
 
     /**
      * Provides functions to translate items based on keys.  Also
@@ -38,6 +39,8 @@ module.exports = function LocalizationModule(pb) {
      * @param {String} [options.activeTheme]
      * @param {Array} [options.supported] The languages that the localization
      * instance should be limited to.
+     * @param {String} [options.site] The site whose overrides take precedence
+     * over the registered values
      */
     function Localization(request, options){
         if (!util.isObject(options)) {
@@ -71,6 +74,14 @@ module.exports = function LocalizationModule(pb) {
          * @type {string}
          */
         this.activeTheme = options.activeTheme;
+
+        /**
+         * The site whose overrides take precedence when a site is not
+         * provided to the "g" function
+         * @property site
+         * @type {String}
+         */
+        this.site = options.site;
     }
 
     /**
@@ -134,6 +145,16 @@ module.exports = function LocalizationModule(pb) {
      */
     Localization.storage   = {};
 
+    /**
+     * The values that take precedence over the registered values.  They are
+     * keyed by site, then locale, then localization key.
+     * @static
+     * @readonly
+     * @property overrides
+     * @type {Object}
+     */
+    Localization.overrides = {};
+
     /**
      *
      * @static
@@ -214,7 +235,9 @@ module.exports = function LocalizationModule(pb) {
      * situations where the key is found and the nuber of arguments passed to the
      * function is greater than 1.  See
      * http://nodejs.org/api/util.html#util_util_format_format for details on
-     * suppored formatting.
+     * suppored formatting.  When the only other parameter is an object it is
+     * treated as the named parameters of the value, the same as the "params"
+     * option of Localization.g, so that MessageFormat values can be formatted.
      * @deprecated Since 0.5.0
      * @method get
      * @param {String} key
@@ -255,6 +278,10 @@ module.exports = function LocalizationModule(pb) {
         }
 
 
+        if (arguments.length === 2 && util.isObject(arguments[1]) && !util.isArray(arguments[1])) {
+            return this.g(convertedKey, { params: arguments[1] });
+        }
+
         var val = this.g(convertedKey/*, {empty options}*/);
         if (val !== null) {
 
@@ -265,20 +292,27 @@ module.exports = function LocalizationModule(pb) {
     };
 
     /**
-     *
+     * Translates a single key.  Values written in the ICU MessageFormat syntax
+     * (plural, selectordinal, select, number, date and time arguments) are
+     * formatted for the locale the value was found in.  Other values have
+     * their named parameters replaced.
      * @method g
      * @param {String} key
-     * @param {Object} params
      * @param {Object} [options]
-     * @param {String} [options.site=global]
+     * @param {String} [options.site] The site whose overrides take precedence.
+     * Defaults to the site of the instance.
      * @param {Object} [options.params={}]
      * @param {Object} [options.plugin]
+     * @param {String} [options.defaultVal]
+     * @param {String} [options.defaultParamVal]
+     * @param {Boolean} [options.raw=false] When TRUE MessageFormat values are
+     * returned without being formatted so that they can be formatted later,
+     * such as by the client side script.
      * @return {String}
      */
     Localization.prototype.g = function() {
         var key = arguments[0];
         var options = arguments[1] || {
-            site: pb.SiteService.GLOBAL_SITE,
             params: {}
         };
 
@@ -309,6 +343,9 @@ module.exports = function LocalizationModule(pb) {
         //get theme to prioritize
         var plugin = options.plugin || this.activeTheme;
 
+        //get the site whose overrides take precedence
+        var site = options.site || this.site;
+
         //define convenience functions
         var self = this;
         var processValue = function(localization) {
@@ -317,6 +354,10 @@ module.exports = function LocalizationModule(pb) {
             self.cache[key] = localization;
 
             //finish processing the value
+            if (localization.isMessageFormat) {
+                return options.raw ? localization.value :
+                    MessageFormat.format(localization.value, params, localization.locale, options.defaultParamVal);
+            }
             return localization.isParameterized ?
                 Localization.replaceParameters(localization.value, params, options.defaultParamVal) :
                 localization.value;
@@ -399,6 +440,12 @@ module.exports = function LocalizationModule(pb) {
         if (!Localization.keys[key]) {
             return finalize(options.defaultVal);
         }
+
+        //overrides take precedence over the registered values
+        var override = getOverride(site, locale, key);
+        if (override !== null) {
+            return finalize(processValue(override));
+        }
         else if (this.cache[key]) {
 
             //we have already processed this key once for this instance
@@ -429,6 +476,11 @@ module.exports = function LocalizationModule(pb) {
             if (defaultLocale.language !== this.localeObj.language || defaultLocale.countryCode !== this.localeObj.countryCode) {
 
                 locale = defaultLocale;
+                override = getOverride(site, locale, key);
+                if (override !== null) {
+                    return finalize(processValue(override));
+                }
+
                 langKey = k(defaultLocale.language);
                 result = processLanguageBlock(keyBlock[langKey]);
             }
@@ -441,6 +493,53 @@ module.exports = function LocalizationModule(pb) {
         return finalize(result);
     };
 
+    /**
+     * Formats a number for the locale of the instance
+     * @method formatNumber
+     * @param {Number} value
+     * @param {Object} [options] The options of Intl.NumberFormat
+     * @return {String}
+     */
+    Localization.prototype.formatNumber = function(value, options) {
+        return MessageFormat.formatNumber(value, this.language, options);
+    };
+
+    /**
+     * Formats an amount of money for the locale of the instance
+     * @method formatCurrency
+     * @param {Number} value
+     * @param {String} currency The ISO 4217 code of the currency, such as "USD"
+     * @param {Object} [options] The options of Intl.NumberFormat
+     * @return {String}
+     */
+    Localization.prototype.formatCurrency = function(value, currency, options) {
+        return MessageFormat.formatCurrency(value, currency, this.language, options);
+    };
+
+    /**
+     * Formats a date for the locale of the instance
+     * @method formatDate
+     * @param {Date|Number|String} date
+     * @param {String|Object} [options='medium'] One of "short", "medium",
+     * "long" or "full" or the options of Intl.DateTimeFormat
+     * @return {String}
+     */
+    Localization.prototype.formatDate = function(date, options) {
+        return MessageFormat.formatDate(date, this.language, options);
+    };
+
+    /**
+     * Formats the time of a date for the locale of the instance
+     * @method formatTime
+     * @param {Date|Number|String} date
+     * @param {String|Object} [options='medium'] One of "short", "medium",
+     * "long" or "full" or the options of Intl.DateTimeFormat
+     * @return {String}
+     */
+    Localization.prototype.formatTime = function(date, options) {
+        return MessageFormat.formatTime(date, this.language, options);
+    };
+
     /**
      * Determines the best language to send a user based on the 'accept-language'
      * header in the request
@@ -512,6 +611,14 @@ module.exports = function LocalizationModule(pb) {
 
             //set the supported locales
             pb.log.debug("Localization: Supporting - " + JSON.stringify(Object.keys(Localization.supportedLookup)));
+            if (pb.log.isDebug()) {
+                Object.keys(Localization.supportedLookup).forEach(function(locale) {
+                    var missing = Localization.getMissingKeys(locale);
+                    if (missing.length > 0) {
+                        pb.log.debug('Localization: Locale [%s] is missing %d keys that fall back to the default locale', locale, missing.length);
+                    }
+                });
+            }
             cb(null, compoundedResult);
         });
     };
@@ -714,6 +821,17 @@ module.exports = function LocalizationModule(pb) {
             options = {};
         }
 
+        //messages that can not be formatted are not registered so that the
+        //value falls back to the default locale
+        var isMessageFormat = MessageFormat.isMessage(value);
+        if (isMessageFormat) {
+            var errors = MessageFormat.validate(value);
+            if (errors.length > 0) {
+                pb.log.warn('Localization: Locale [%s] key [%s] provided a malformed message: %s', Localization.formatLocale(locale.language, locale.countryCode), key, errors.join('. '));
+                return false;
+            }
+        }
+
         //parse the key
         var keyParts = key.split(Localization.KEY_SEP);
 
@@ -743,10 +861,7 @@ module.exports = function LocalizationModule(pb) {
         }
 
         //check to see if we are setting a default localization or a plugin specific one
-        var valueBlock = {
-            value: value,
-            isParameterized: Localization.containsParameters(value)
-        };
+        var valueBlock = createValueBlock(locale, value);
         if (util.isString(options.plugin)) {
             if (util.isNullOrUndefined(insertionBlock.__plugins)) {
                 insertionBlock.__plugins = {};
@@ -764,6 +879,171 @@ module.exports = function LocalizationModule(pb) {
         return true;
     };
 
+    /**
+     * Registers a value for a site that takes precedence over the values
+     * registered for the key by the system and by plugins.  Values registered
+     * for the global site apply to every site that does not register its own.
+     * @static
+     * @method registerOverride
+     * @param {String} site
+     * @param {String|Object} locale
+     * @param {String} key
+     * @param {String} value
+     * @return {Boolean} FALSE when the value is a malformed MessageFormat message
+     */
+    Localization.registerOverride = function(site, locale, key, value) {
+        locale = parseLocale(locale);
+        if (!util.isString(key)) {
+            throw new Error('key parameter is required');
+        }
+        if (!util.isString(value)) {
+            throw new Error('value parameter is required');
+        }
+        if (MessageFormat.isMessage(value) && MessageFormat.validate(value).length > 0) {
+            return false;
+        }
+
+        site = pb.SiteService.getCurrentSite(site);
+        var localeStr = Localization.formatLocale(locale.language, locale.countryCode);
+        if (!util.isObject(Localization.overrides[site])) {
+            Localization.overrides[site] = {};
+        }
+        if (!util.isObject(Localization.overrides[site][localeStr])) {
+            Localization.overrides[site][localeStr] = {};
+        }
+        Localization.overrides[site][localeStr][key] = createValueBlock(locale, value);
+        return true;
+    };
+
+    /**
+     * Removes the value that a site registered to take precedence over the
+     * registered values of a key
+     * @static
+     * @method unregisterOverride
+     * @param {String} site
+     * @param {String|Object} locale
+     * @param {String} key
+     * @return {Boolean} TRUE when an override was removed
+     */
+    Localization.unregisterOverride = function(site, locale, key) {
+        locale = parseLocale(locale);
+
+        var siteOverrides = Localization.overrides[pb.SiteService.getCurrentSite(site)];
+        var localeStr = Localization.formatLocale(locale.language, locale.countryCode);
+        if (!util.isObject(siteOverrides) || !util.isObject(siteOverrides[localeStr]) || !siteOverrides[localeStr].hasOwnProperty(key)) {
+            return false;
+        }
+        delete siteOverrides[localeStr][key];
+        return true;
+    };
+
+    /**
+     * Retrieves the values that a site registered to take precedence over the
+     * registered values for a locale.  Overrides of the global site are not
+     * included unless the global site is requested.
+     * @static
+     * @method getOverrides
+     * @param {String} site
+     * @param {String|Object} locale
+     * @return {Object} The values keyed by localization key
+     */
+    Localization.getOverrides = function(site, locale) {
+        locale = parseLocale(locale);
+
+        var siteOverrides = Localization.overrides[pb.SiteService.getCurrentSite(site)] || {};
+        var localeOverrides = siteOverrides[Localization.formatLocale(locale.language, locale.countryCode)] || {};
+        var result = {};
+        util.forEach(localeOverrides, function(valueBlock, key) {
+            result[key] = valueBlock.value;
+        });
+        return result;
+    };
+
+    /**
+     * Retrieves the registered value of a key for a locale without falling
+     * back to the default locale or applying overrides.  A value registered
+     * for the language alone satisfies a locale with a country code.
+     * @static
+     * @method getLocalization
+     * @param {String|Object} locale
+     * @param {String} key
+     * @param {Object} [options]
+     * @param {String} [options.plugin] When provided only the plugin's value
+     * is inspected.  Otherwise, the system default is preferred over the
+     * values of plugins.
+     * @return {String} The raw value or NULL when there isn't one
+     */
+    Localization.getLocalization = function(locale, key, options) {
+        locale = parseLocale(locale);
+        if (!util.isObject(options)) {
+            options = {};
+        }
+
+        var keyBlock = getKeyBlock(key);
+        if (keyBlock === null) {
+            return null;
+        }
+        var valueBlock = getValueBlock(keyBlock, locale, options.plugin);
+        if (valueBlock === null && !util.isString(options.plugin)) {
+            var plugins = Localization.getPlugins(key);
+            for (var i = 0; i < plugins.length && valueBlock === null; i++) {
+                valueBlock = getValueBlock(keyBlock, locale, plugins[i]);
+            }
+        }
+        return valueBlock === null ? null : valueBlock.value;
+    };
+
+    /**
+     * Retrieves the plugins that registered a value for the key in any locale
+     * @static
+     * @method getPlugins
+     * @param {String} key
+     * @return {Array} The sorted plugin UIDs
+     */
+    Localization.getPlugins = function(key) {
+        var keyBlock = getKeyBlock(key);
+        if (keyBlock === null) {
+            return [];
+        }
+
+        var plugins = {};
+        var inspect = function(block) {
+            util.forEach(block.__plugins || {}, function(valueBlock, plugin) {
+                plugins[plugin] = true;
+            });
+        };
+        util.forEach(keyBlock, function(langBlock, langKey) {
+            if (langKey.indexOf('__') !== 0 || !util.isObject(langBlock) || langKey === '__isKey') {
+                return;
+            }
+            inspect(langBlock);
+            util.forEach(langBlock, function(countryBlock, countryKey) {
+                if (countryKey.indexOf('__') === 0 && countryKey !== '__plugins' && countryKey !== '__default' && util.isObject(countryBlock)) {
+                    inspect(countryBlock);
+                }
+            });
+        });
+        return Object.keys(plugins).sort();
+    };
+
+    /**
+     * Determines if the system, rather than a plugin, registered a value for
+     * the key in any locale
+     * @static
+     * @method isSystemKey
+     * @param {String} key
+     * @return {Boolean}
+     */
+    Localization.isSystemKey = function(key) {
+        var keyBlock = getKeyBlock(key);
+        if (keyBlock === null) {
+            return false;
+        }
+        return Object.keys(Localization.supportedLookup).some(function(locale) {
+            return getValueBlock(keyBlock, Localization.supportedLookup[locale]) !== null;
+        });
+    };
+
     /**
      * Removes a locale and all keys associated with it.  Optionally, the
      * operation can be scoped to a single plugin.
@@ -872,6 +1152,33 @@ module.exports = function LocalizationModule(pb) {
         return false;
     };
 
+    /**
+     * Retrieves the keys that have a value for the default locale but not for
+     * the provided locale.  A value for the language alone, such as "pl",
+     * satisfies a locale with a country code, such as "pl-PL".  Optionally,
+     * the inspection can be scoped to the values provided by a single plugin.
+     * @static
+     * @method getMissingKeys
+     * @param {String|Object} locale
+     * @param {Object} [options]
+     * @param {String} [options.plugin]
+     * @return {Array} The sorted keys
+     */
+    Localization.getMissingKeys = function(locale, options) {
+        locale = parseLocale(locale);
+        if (!util.isObject(options)) {
+            options = {};
+        }
+
+        var defaultLocale = Localization.parseLocaleStr(Localization.getDefaultLocale());
+        return Object.keys(Localization.keys).filter(function(key) {
+            var keyBlock = getKeyBlock(key);
+            return keyBlock !== null &&
+                hasLocalization(keyBlock, defaultLocale, options.plugin) &&
+                !hasLocalization(keyBlock, locale, options.plugin);
+        }).sort();
+    };
+
     /**
      * Retrieves the default locale for the instance.  It first inspects the
      * Configuration property localization.defaultLocale.  As a last resort it
@@ -1136,5 +1443,118 @@ module.exports = function LocalizationModule(pb) {
         return keyBlock;
     }
 
+    /**
+     * Navigates the storage structure to find where a localization key's
+     * values live without creating any part of the structure
+     * @private
+     * @static
+     * @method getKeyBlock
+     * @param {String} key
+     * @return {Object} The object that contains the values for the key or
+     * NULL when the key does not exist
+     */
+    function getKeyBlock(key) {
+        var keyBlock = Localization.storage;
+        var parts = key.split(Localization.KEY_SEP);
+        for (var i = 0; i < parts.length; i++) {
+            if (util.isNullOrUndefined(keyBlock[parts[i]]) || !keyBlock[parts[i]].__isKey) {
+                return null;
+            }
+            keyBlock = keyBlock[parts[i]];
+        }
+        return keyBlock;
+    }
+
+    /**
+     * Determines if a key has a value for the locale, either for the locale's
+     * country or for its language
+     * @private
+     * @static
+     * @method hasLocalization
+     * @param {Object} keyBlock
+     * @param {Object} locale
+     * @param {String} [plugin] When provided only the plugin's values are
+     * inspected.  Otherwise, only the system defaults are inspected.
+     * @return {Boolean}
+     */
+    function hasLocalization(keyBlock, locale, plugin) {
+        return getValueBlock(keyBlock, locale, plugin) !== null;
+    }
+
+    /**
+     * Retrieves the value block of a key for the locale.  The locale's country
+     * is preferred over its language.
+     * @private
+     * @static
+     * @method getValueBlock
+     * @param {Object} keyBlock
+     * @param {Object} locale
+     * @param {String} [plugin] When provided only the plugin's values are
+     * inspected.  Otherwise, only the system defaults are inspected.
+     * @return {Object} The value block or NULL when there isn't one
+     */
+    function getValueBlock(keyBlock, locale, plugin) {
+        var langBlock = keyBlock[k(locale.language)];
+        if (!util.isObject(langBlock)) {
+            return null;
+        }
+
+        var blocks = [langBlock];
+        if (util.isString(locale.countryCode) && util.isObject(langBlock[k(locale.countryCode)])) {
+            blocks.unshift(langBlock[k(locale.countryCode)]);
+        }
+        for (var i = 0; i < blocks.length; i++) {
+            var valueBlock = util.isString(plugin) ?
+                (util.isObject(blocks[i].__plugins) ? blocks[i].__plugins[plugin] : null) :
+                blocks[i].__default;
+            if (util.isObject(valueBlock)) {
+                return valueBlock;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Retrieves the override of a key for the site, or for the global site
+     * when the site does not override the key
+     * @private
+     * @static
+     * @method getOverride
+     * @param {String} [site]
+     * @param {Object} locale
+     * @param {String} key
+     * @return {Object} The value block or NULL when the key is not overridden
+     */
+    function getOverride(site, locale, key) {
+        var localeStr = Localization.formatLocale(locale.language, locale.countryCode);
+        var sites = [pb.SiteService.getCurrentSite(site), pb.SiteService.GLOBAL_SITE];
+        for (var i = 0; i < sites.length; i++) {
+            var localeOverrides = Localization.overrides[sites[i]] && Localization.overrides[sites[i]][localeStr];
+            if (util.isObject(localeOverrides) && localeOverrides.hasOwnProperty(key)) {
+                return localeOverrides[key];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Creates the structure that stores a value along with how it should be
+     * processed when it is retrieved
+     * @private
+     * @static
+     * @method createValueBlock
+     * @param {Object} locale
+     * @param {String} value
+     * @return {Object}
+     */
+    function createValueBlock(locale, value) {
+        return {
+            value: value,
+            isParameterized: Localization.containsParameters(value),
+            isMessageFormat: MessageFormat.isMessage(value),
+            locale: Localization.formatLocale(locale.language, locale.countryCode)
+        };
+    }
+
     return Localization;
 };
@@ -72,7 +72,9 @@ module.exports = function DocumentCreatorModule(pb) {
     };
 
     /**
-     * Hashes all password fields
+     * Hashes all password fields with a per-user salt.  The hash is computed
+     * synchronously.  Callers that are able to should hash the password with
+     * SecurityService.hashPassword before creating the document instead.
      *
      * @method passwordHash
      * @param {Object} post Key value pair object
@@ -83,7 +85,7 @@ module.exports = function DocumentCreatorModule(pb) {
         }
         
         if (post.hasOwnProperty('password')) {
-            post['password'] = pb.security.encrypt(post['password']);
+            post['password'] = pb.security.hashPasswordSync(post['password']);
         }
 
         if(post['confirm_password']) {
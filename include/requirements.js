@@ -110,6 +110,12 @@ module.exports = function PB(config) {
     pb.UsernamePasswordAuthentication = Authentication.UsernamePasswordAuthentication;
     pb.FormAuthentication             = Authentication.FormAuthentication;
     pb.TokenAuthentication            = Authentication.TokenAuthentication;
+    pb.ApiKeyAuthentication           = Authentication.ApiKeyAuthentication;
+    pb.LoginThrottleService           = require(path.join(config.docRoot, '/include/security/login_throttle_service.js'))(pb);
+    pb.RateLimitService               = require(path.join(config.docRoot, '/include/security/rate_limit_service.js'))(pb);
+    pb.SecurityHeadersService         = require(path.join(config.docRoot, '/include/security/security_headers_service.js'))(pb);
+    pb.CsrfService                    = require(path.join(config.docRoot, '/include/security/csrf_service.js'))(pb);
+    pb.TwoFactorService               = require(path.join(config.docRoot, '/include/security/two_factor_service.js'))(pb);
 
     //setup user service
     pb.UserService       = require(path.join(config.docRoot, '/include/service/entities/user_service.js'))(pb);
@@ -142,6 +148,7 @@ module.exports = function PB(config) {
     pb.ErrorFormatters = require(path.join(config.docRoot, '/include/error/formatters/error_formatters.js'))(pb);
 
     //setup localization
+    pb.MessageFormat = require(path.join(config.docRoot, '/public/js/message_format.js'));
     pb.Localization = require(path.join(config.docRoot, '/include/localization.js'))(pb);
 
     //server registration
@@ -172,6 +179,10 @@ module.exports = function PB(config) {
     pb.SiteActivateJob       = require(path.join(config.docRoot, '/include/service/jobs/sites/site_activate_job.js'))(pb);
     pb.SiteDeactivateJob     = require(path.join(config.docRoot, '/include/service/jobs/sites/site_deactivate_job.js'))(pb);
     pb.SiteCreateEditJob     = require(path.join(config.docRoot, '/include/service/jobs/sites/site_create_edit_job.js'))(pb);
+    pb.MediaMigrationJob     = require(path.join(config.docRoot, '/include/service/jobs/media/media_migration_job.js'))(pb);
+    pb.CronExpression        = require(path.join(config.docRoot, '/include/service/jobs/cron_expression.js'))(pb);
+    pb.ScheduledJobRunner    = require(path.join(config.docRoot, '/include/service/jobs/scheduled_job_runner.js'))(pb);
+    pb.JobScheduler          = require(path.join(config.docRoot, '/include/service/jobs/job_scheduler.js'))(pb);
 
     //Email settings and functions
     pb.EmailService = require(path.join(config.docRoot, '/include/email'))(pb);
@@ -206,6 +217,7 @@ module.exports = function PB(config) {
     pb.CallHomeService    = require(path.join(config.docRoot, '/include/system/call_home_service.js'))(pb);
     pb.JobService         = require(path.join(config.docRoot, '/include/service/entities/job_service.js'))(pb);
     pb.TokenService       = require(path.join(config.docRoot, '/include/service/entities/token_service.js'))(pb);
+    pb.ApiKeyService      = require(path.join(config.docRoot, '/include/service/entities/api_key_service.js'))(pb);
 
     //create plugin service
     pb.PluginService = require(path.join(config.docRoot, '/include/service/entities/plugin_service.js'))(pb);
@@ -228,7 +240,8 @@ module.exports = function PB(config) {
 
         providers: {
             FsMediaProvider: require(path.join(config.docRoot, '/include/service/media/fs_media_provider.js'))(pb),
-            MongoMediaProvider: require(path.join(config.docRoot, '/include/service/media/mongo_media_provider.js'))(pb)
+            MongoMediaProvider: require(path.join(config.docRoot, '/include/service/media/mongo_media_provider.js'))(pb),
+            S3MediaProvider: require(path.join(config.docRoot, '/include/service/media/s3_media_provider.js'))(pb)
         }
     };
     pb.media.renderers.ImageMediaRenderer = require(path.join(config.docRoot, '/include/service/media/renderers/image_media_renderer.js'))(pb),
@@ -246,8 +259,12 @@ module.exports = function PB(config) {
 
     //providers and service
     pb.MediaService = require(path.join(config.docRoot, '/include/service/entities/media_service.js'))(pb);
+    pb.ImageDerivativeService = require(path.join(config.docRoot, '/include/service/media/image_derivative_service.js'))(pb);
+    pb.MediaUploadService = require(path.join(config.docRoot, '/include/service/media/media_upload_service.js'))(pb);
+    pb.MediaUsageService = require(path.join(config.docRoot, '/include/service/media/media_usage_service.js'))(pb);
 
     //content services
+    pb.ContentTranslationService = require(path.join(config.docRoot, '/include/service/entities/content/content_translation_service.js'))(pb);
     pb.SectionService = require(config.docRoot+'/include/service/entities/section_service.js')(pb);
     pb.TopMenuService = require(config.docRoot+'/include/theme/top_menu.js')(pb);
 
@@ -259,6 +276,12 @@ module.exports = function PB(config) {
     pb.PageRenderer         = require(path.join(config.docRoot, '/include/service/entities/content/page_renderer.js'))(pb);
     pb.PageService          = require(path.join(config.docRoot, '/include/service/entities/content/page_service.js'))(pb);
     pb.ContentViewLoader    = require(path.join(config.docRoot, '/include/service/entities/content/content_view_loader.js'))(pb);
+    pb.ContentSearchService = require(path.join(config.docRoot, '/include/service/entities/content/content_search_service.js'))(pb);
+    pb.RevisionService      = require(path.join(config.docRoot, '/include/service/entities/revision_service.js'))(pb);
+    pb.WorkflowService      = require(path.join(config.docRoot, '/include/service/entities/content/workflow_service.js'))(pb);
+    pb.WebhookService         = require(path.join(config.docRoot, '/include/service/entities/webhook_service.js'))(pb);
+    pb.WebhookDeliveryService = require(path.join(config.docRoot, '/include/service/entities/webhook_delivery_service.js'))(pb);
+    pb.TranslationService     = require(path.join(config.docRoot, '/include/service/entities/translation_service.js'))(pb);
 
     pb.SiteMapService = require(path.join(config.docRoot, '/include/service/entities/site_map_service.js'))(pb);
 
@@ -28,7 +28,10 @@ module.exports = function AuthenticationModule(pb) {
     function UsernamePasswordAuthentication() {}
     
     /**
-     *
+     * Looks up the user by username or email and verifies the password
+     * against the stored hash.  When the stored hash is the legacy digest, or
+     * was created with weaker parameters than currently configured, it is
+     * replaced with a new hash of the password.
      * @method authenticate
      * @param {Object} credentials
      * @param {String} credentials.username
@@ -50,8 +53,7 @@ module.exports = function AuthenticationModule(pb) {
                 {
                     email : credentials.username
                 }
-            ],
-            password : credentials.password
+            ]
         };
 
         //check for required access level
@@ -68,7 +70,50 @@ module.exports = function AuthenticationModule(pb) {
             dao = new pb.DAO();
         }
         //search for user
-        dao.loadByValues(query, 'user', cb);
+        dao.loadByValues(query, 'user', function(err, user) {
+            if (util.isError(err) || !util.isObject(user)) {
+                return cb(err, null);
+            }
+
+            pb.security.verifyPassword(credentials.password, user.password, function(err, isValid) {
+                if (util.isError(err) || !isValid) {
+                    return cb(err, null);
+                }
+                else if (!pb.security.needsPasswordRehash(user.password)) {
+                    return cb(null, user);
+                }
+
+                UsernamePasswordAuthentication.upgradePassword(dao, user, credentials.password, cb);
+            });
+        });
+    };
+
+    /**
+     * Replaces the stored password hash of a user that just authenticated.
+     * A failure to persist the new hash is logged but does not prevent the
+     * user from logging in.
+     * @static
+     * @method upgradePassword
+     * @param {DAO} dao
+     * @param {Object} user
+     * @param {String} password The verified password
+     * @param {Function} cb (Error, Object) Provides the user
+     */
+    UsernamePasswordAuthentication.upgradePassword = function(dao, user, password, cb) {
+        pb.security.hashPassword(password, function(err, hash) {
+            if (util.isError(err)) {
+                pb.log.error('UsernamePasswordAuthentication: Failed to hash the password of user %s. %s', user[pb.DAO.getIdField()], err.stack);
+                return cb(null, user);
+            }
+
+            user.password = hash;
+            dao.save(user, function(err) {
+                if (util.isError(err)) {
+                    pb.log.error('UsernamePasswordAuthentication: Failed to upgrade the password hash of user %s. %s', user[pb.DAO.getIdField()], err.stack);
+                }
+                cb(null, user);
+            });
+        });
     };
 
     /**
@@ -92,8 +137,14 @@ module.exports = function AuthenticationModule(pb) {
             return cb(new Error("FormAuthentication: The postObj parameter must be an object: "+postObj), null);
         }
 
+        //format the username and email.  The password is kept out of the
+        //document so that it is verified against the stored hash as provided.
+        var password = postObj.password;
+        delete postObj.password;
+
         //call the parent function
         var userDocument = pb.DocumentCreator.create('user', postObj);
+        userDocument.password = password;
         FormAuthentication.super_.prototype.authenticate.apply(this, [userDocument, cb]);
     };
 
@@ -111,6 +162,15 @@ module.exports = function AuthenticationModule(pb) {
         this.userService = new pb.UserService(options);
     }
 
+    /**
+     * Tokens are only issued to sessions that have already been fully
+     * authenticated, including any second factor, so a second factor is not
+     * requested again when the token is redeemed.
+     * @property skipSecondFactor
+     * @type {Boolean}
+     */
+    TokenAuthentication.prototype.skipSecondFactor = true;
+
     /**
      * @method authenticate
      * @param {String} token
@@ -130,10 +190,51 @@ module.exports = function AuthenticationModule(pb) {
         });
     };
 
+    /**
+     * Authenticates requests made with a long-lived API key
+     * @class ApiKeyAuthentication
+     * @constructor
+     * @param {Object} options
+     * @param {String} options.site - site uid
+     */
+    function ApiKeyAuthentication(options) {
+        this.options = options;
+        this.apiKeyService = new pb.ApiKeyService(options);
+    }
+
+    /**
+     * Keys are created by fully authenticated sessions and are meant for
+     * unattended use so a second factor is never requested.
+     * @property skipSecondFactor
+     * @type {Boolean}
+     */
+    ApiKeyAuthentication.prototype.skipSecondFactor = true;
+
+    /**
+     * Provides the owner of the key.  The access level of the user is lowered
+     * to the level granted by the key and the key is provided as "api_key".
+     * @method authenticate
+     * @param {String} key
+     * @param {Function} cb
+     */
+    ApiKeyAuthentication.prototype.authenticate = function(key, cb) {
+        this.apiKeyService.authenticate(key, function(err, result) {
+            if (util.isError(err) || !result) {
+                return cb(err, null);
+            }
+
+            var user = result.user;
+            user.admin = pb.ApiKeyService.getAccessLevel(result.apiKey, user);
+            user.api_key = result.apiKey;
+            cb(null, user);
+        });
+    };
+
     //exports
     return {
         UsernamePasswordAuthentication: UsernamePasswordAuthentication,
         FormAuthentication: FormAuthentication,
-        TokenAuthentication: TokenAuthentication
+        TokenAuthentication: TokenAuthentication,
+        ApiKeyAuthentication: ApiKeyAuthentication
     };
 };
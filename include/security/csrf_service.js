@@ -0,0 +1,169 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var crypto = require('crypto');
+
+module.exports = function CsrfServiceModule(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Protects requests that change state from cross-site request forgery with
+     * a synchronizer token.  A random token is kept in the session and must be
+     * provided with each request that is not GET, HEAD, or OPTIONS.  Another
+     * site can not read the token so it can not forge a valid request.
+     * @class CsrfService
+     * @constructor
+     */
+    function CsrfService(){}
+
+    /**
+     * The header that carries the token
+     * @static
+     * @readonly
+     * @property HEADER
+     * @type {String}
+     */
+    CsrfService.HEADER = 'x-csrf-token';
+
+    /**
+     * The form field that carries the token
+     * @static
+     * @readonly
+     * @property PARAM
+     * @type {String}
+     */
+    CsrfService.PARAM = 'csrf_token';
+
+    /**
+     * The methods that must not change state and therefore do not require a
+     * token
+     * @static
+     * @readonly
+     * @property SAFE_METHODS
+     * @type {Array}
+     */
+    CsrfService.SAFE_METHODS = Object.freeze(['GET', 'HEAD', 'OPTIONS']);
+
+    /**
+     * The session property that holds the token
+     * @private
+     * @static
+     * @readonly
+     * @property SESSION_KEY
+     * @type {String}
+     */
+    var SESSION_KEY = 'csrf_token';
+
+    /**
+     * The content type of forms posted by the browser without script
+     * @private
+     * @static
+     * @readonly
+     * @property FORM_CONTENT_TYPE
+     * @type {String}
+     */
+    var FORM_CONTENT_TYPE = 'application/x-www-form-urlencoded';
+
+    /**
+     * Provides the token for the session.  The token is generated the first
+     * time it is requested and lasts as long as the session.
+     * @static
+     * @method getToken
+     * @param {Object} session
+     * @return {String}
+     */
+    CsrfService.getToken = function(session) {
+        if (!util.isString(session[SESSION_KEY])) {
+            session[SESSION_KEY] = crypto.randomBytes(32).toString('hex');
+        }
+        return session[SESSION_KEY];
+    };
+
+    /**
+     * Verifies that a token matches the token of the session
+     * @static
+     * @method isValid
+     * @param {Object} session
+     * @param {String} token
+     * @return {Boolean}
+     */
+    CsrfService.isValid = function(session, token) {
+        if (!util.isObject(session) || !util.isString(session[SESSION_KEY]) || !util.isString(token)) {
+            return false;
+        }
+        return pb.SecurityService.safeEquals(session[SESSION_KEY], token);
+    };
+
+    /**
+     * Determines if a request must provide a token
+     * @static
+     * @method isRequired
+     * @param {Object} descriptor The route descriptor.  The route is exempt
+     * when its "csrf" property is FALSE.
+     * @param {String} method The HTTP method of the request
+     * @param {Boolean} [stateless=false] TRUE when the request is not
+     * authenticated by the session cookie, such as with an API key
+     * @return {Boolean}
+     */
+    CsrfService.isRequired = function(descriptor, method, stateless) {
+        var options = pb.config.security.csrf;
+        if (!util.isObject(options) || !options.enabled || stateless) {
+            return false;
+        }
+        if (util.isObject(descriptor) && descriptor.csrf === false) {
+            return false;
+        }
+        return CsrfService.SAFE_METHODS.indexOf((method || '').toUpperCase()) === -1;
+    };
+
+    /**
+     * Determines if the token of a request may be verified by the controller
+     * after the body is parsed instead of from the header.  This is the case
+     * for forms posted to a FormController.
+     * @static
+     * @method isDeferrable
+     * @param {Request} req
+     * @param {Function} Controller The prototype of the route's controller
+     * @return {Boolean}
+     */
+    CsrfService.isDeferrable = function(req, Controller) {
+        var contentType = req.headers['content-type'];
+        if (!util.isString(contentType) || contentType.split(';')[0].trim().toLowerCase() !== FORM_CONTENT_TYPE) {
+            return false;
+        }
+        return util.isFunction(Controller) && (Controller === pb.FormController || Controller.prototype instanceof pb.FormController);
+    };
+
+    /**
+     * Creates the error that rejects a request without a valid token
+     * @static
+     * @method createError
+     * @param {Localization} ls
+     * @return {Error}
+     */
+    CsrfService.createError = function(ls) {
+        var error = new Error(ls.get('CSRF_TOKEN_INVALID'));
+        error.code = pb.HttpStatus.FORBIDDEN;
+        return error;
+    };
+
+    //exports
+    return CsrfService;
+};
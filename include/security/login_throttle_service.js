@@ -0,0 +1,460 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var async = require('async');
+
+module.exports = function LoginThrottleServiceModule(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Counts attempts against the login and password reset forms per account
+     * and per client IP address.  The counters and lockouts are kept in the
+     * cache so that they are shared across the cluster.  Each lockout is
+     * recorded in the audit log.
+     * @class LoginThrottleService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.scope='login'] One of the values of
+     * LoginThrottleService.SCOPES
+     * @param {String} [context.site]
+     */
+    function LoginThrottleService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property scope
+         * @type {String}
+         */
+        this.scope = context.scope || LoginThrottleService.SCOPES.LOGIN;
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = context.site || pb.SiteService.GLOBAL_SITE;
+
+        /**
+         * @property dao
+         * @type {DAO}
+         */
+        this.dao = new pb.DAO();
+    }
+
+    /**
+     * The set of forms that are throttled.  Each scope is configured by the
+     * property of the same name in the "security" configuration block.
+     * @static
+     * @readonly
+     * @property SCOPES
+     * @type {Object}
+     */
+    LoginThrottleService.SCOPES = Object.freeze({
+        LOGIN: 'login',
+        PASSWORD_RESET: 'password_reset'
+    });
+
+    /**
+     * The things that attempts are counted against
+     * @static
+     * @readonly
+     * @property TARGETS
+     * @type {Object}
+     */
+    LoginThrottleService.TARGETS = Object.freeze({
+        ACCOUNT: 'account',
+        IP: 'ip'
+    });
+
+    /**
+     * The collection that lockouts are recorded in
+     * @static
+     * @readonly
+     * @property AUDIT_COLLECTION
+     * @type {String}
+     */
+    LoginThrottleService.AUDIT_COLLECTION = 'audit_log';
+
+    /**
+     * The events written to the audit log
+     * @static
+     * @readonly
+     * @property EVENTS
+     * @type {Object}
+     */
+    LoginThrottleService.EVENTS = Object.freeze({
+        LOCKOUT: 'lockout',
+        UNLOCK: 'unlock'
+    });
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property KEY_PREFIX
+     * @type {String}
+     */
+    var KEY_PREFIX = 'LOGIN_THROTTLE';
+
+    /**
+     * @method getOptions
+     * @return {Object} The configuration for the scope of the service
+     */
+    LoginThrottleService.prototype.getOptions = function() {
+        return pb.config.security[this.scope] || {enabled: false};
+    };
+
+    /**
+     * Determines if the account or the IP address is currently locked out
+     * @method getStatus
+     * @param {String} identifier The username or email address provided
+     * @param {String} ip The IP address of the client
+     * @param {Function} cb (Error, Object) The status provides the "locked"
+     * flag.  When locked the "target" and "retryAfter" (seconds) properties
+     * are also provided.
+     */
+    LoginThrottleService.prototype.getStatus = function(identifier, ip, cb) {
+        var unlocked = {locked: false};
+        if (!this.getOptions().enabled) {
+            return cb(null, unlocked);
+        }
+
+        var self = this;
+        var targets = this.getTargets(identifier, ip);
+        async.mapSeries(targets, function(target, callback) {
+            pb.cache.get(self.getLockKey(target.type, target.value), callback);
+        },
+        function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var now = Date.now();
+            for (var i = 0; i < results.length; i++) {
+                var lockedUntil = parseInt(results[i]);
+                if (!isNaN(lockedUntil) && lockedUntil > now) {
+                    return cb(null, {
+                        locked: true,
+                        target: targets[i].type,
+                        retryAfter: Math.ceil((lockedUntil - now) / 1000)
+                    });
+                }
+            }
+            cb(null, unlocked);
+        });
+    };
+
+    /**
+     * Records an attempt against the account and the IP address.  When either
+     * limit is reached the target is locked out and the lockout is written to
+     * the audit log.
+     * @method recordAttempt
+     * @param {String} identifier The username or email address provided
+     * @param {String} ip The IP address of the client
+     * @param {Function} cb (Error, Object) The result provides the number of
+     * "attempts" made against the account, the "delay" (ms) that should be
+     * applied before responding, and the "locked" flag.
+     */
+    LoginThrottleService.prototype.recordAttempt = function(identifier, ip, cb) {
+        var options = this.getOptions();
+        if (!options.enabled) {
+            return cb(null, {attempts: 0, delay: 0, locked: false});
+        }
+
+        var self = this;
+        var result = {attempts: 0, delay: 0, locked: false};
+        async.eachSeries(this.getTargets(identifier, ip), function(target, callback) {
+            self.increment(target, function(err, attempts) {
+                if (util.isError(err)) {
+                    return callback(err);
+                }
+                if (target.type === LoginThrottleService.TARGETS.ACCOUNT) {
+                    result.attempts = attempts;
+                }
+
+                var max = target.type === LoginThrottleService.TARGETS.ACCOUNT ? options.max_account_attempts : options.max_ip_attempts;
+                if (!max || attempts < max) {
+                    return callback();
+                }
+
+                result.locked = true;
+                self.lock(target, {identifier: identifier, ip: ip, attempts: attempts}, callback);
+            });
+        },
+        function(err) {
+            result.delay = LoginThrottleService.getDelay(result.attempts, options);
+            cb(err || null, result);
+        });
+    };
+
+    /**
+     * Clears the attempts made against an account.  Called after a successful
+     * login.  The attempts made from the IP address are intentionally kept so
+     * that a valid account can not be used to reset the counter.
+     * @method reset
+     * @param {String} identifier
+     * @param {Function} cb (Error)
+     */
+    LoginThrottleService.prototype.reset = function(identifier, cb) {
+        if (!this.getOptions().enabled || !util.isString(identifier)) {
+            return cb(null);
+        }
+        pb.cache.del(this.getAttemptKey(LoginThrottleService.TARGETS.ACCOUNT, identifier), function(err) {
+            cb(err);
+        });
+    };
+
+    /**
+     * Removes any lockout and attempts for the provided user in every scope.
+     * The user can be identified by either the username or the email address
+     * so both are cleared.
+     * @method unlock
+     * @param {Object} user
+     * @param {Object} [actor] The user that removed the lockout
+     * @param {Function} cb (Error, Boolean) TRUE when a lockout was removed
+     */
+    LoginThrottleService.prototype.unlock = function(user, actor, cb) {
+        if (util.isFunction(actor)) {
+            cb = actor;
+            actor = null;
+        }
+
+        var self = this;
+        var account = LoginThrottleService.TARGETS.ACCOUNT;
+        var identifiers = [user.username, user.email].filter(util.isString);
+        var lockKeys = [];
+        var keys = [];
+        Object.keys(LoginThrottleService.SCOPES).forEach(function(key) {
+            var service = new LoginThrottleService({scope: LoginThrottleService.SCOPES[key], site: self.site});
+            identifiers.forEach(function(identifier) {
+                lockKeys.push(service.getLockKey(account, identifier));
+                keys.push(service.getAttemptKey(account, identifier));
+            });
+        });
+        if (lockKeys.length === 0) {
+            return cb(null, false);
+        }
+
+        pb.cache.del(lockKeys, function(err, removed) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            pb.cache.del(keys, function(err) {
+                if (util.isError(err) || !removed) {
+                    return cb(err, false);
+                }
+
+                var entry = {
+                    target: account,
+                    identifier: user.username,
+                    user_id: user[pb.DAO.getIdField()] + '',
+                    actor: actor ? actor[pb.DAO.getIdField()] + '' : null
+                };
+                self.audit(LoginThrottleService.EVENTS.UNLOCK, entry, function(err) {
+                    cb(err, true);
+                });
+            });
+        });
+    };
+
+    /**
+     * Determines if the provided user is locked out of logging in
+     * @method isLocked
+     * @param {Object} user
+     * @param {Function} cb (Error, Boolean)
+     */
+    LoginThrottleService.prototype.isLocked = function(user, cb) {
+        var self = this;
+        var identifiers = [user.username, user.email].filter(util.isString);
+        var locked = false;
+        async.eachSeries(identifiers, function(identifier, callback) {
+            if (locked) {
+                return callback();
+            }
+            self.getStatus(identifier, null, function(err, status) {
+                locked = !util.isError(err) && status.locked;
+                callback(err);
+            });
+        },
+        function(err) {
+            cb(err || null, locked);
+        });
+    };
+
+    /**
+     * Increments the attempts for the target.  The counter expires after the
+     * configured window.
+     * @method increment
+     * @param {Object} target
+     * @param {Function} cb (Error, Integer)
+     */
+    LoginThrottleService.prototype.increment = function(target, cb) {
+        var key = this.getAttemptKey(target.type, target.value);
+        var window = this.getOptions().window;
+        pb.cache.incr(key, function(err, attempts) {
+            if (util.isError(err) || attempts !== 1) {
+                return cb(err, attempts);
+            }
+            pb.cache.expire(key, window, function(err) {
+                cb(err, attempts);
+            });
+        });
+    };
+
+    /**
+     * Locks out the target for the configured amount of time and records the
+     * lockout in the audit log
+     * @method lock
+     * @param {Object} target
+     * @param {Object} details
+     * @param {String} details.identifier
+     * @param {String} details.ip
+     * @param {Integer} details.attempts
+     * @param {Function} cb (Error)
+     */
+    LoginThrottleService.prototype.lock = function(target, details, cb) {
+        var self = this;
+        var lockout = this.getOptions().lockout;
+        var lockedUntil = Date.now() + (lockout * 1000);
+        pb.cache.setex(this.getLockKey(target.type, target.value), lockout, lockedUntil + '', function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            pb.cache.del(self.getAttemptKey(target.type, target.value), function(err) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                pb.log.warn('LoginThrottleService: Locked out %s [%s] for %ss after %s %s attempts', target.type, target.value, lockout, details.attempts, self.scope);
+                var entry = {
+                    target: target.type,
+                    identifier: details.identifier,
+                    ip: details.ip,
+                    attempts: details.attempts,
+                    locked_until: new Date(lockedUntil)
+                };
+                self.audit(LoginThrottleService.EVENTS.LOCKOUT, entry, cb);
+            });
+        });
+    };
+
+    /**
+     * Writes an entry to the audit log.  Failures are logged but not
+     * provided to the callback so that the caller is never blocked by the
+     * audit log.
+     * @method audit
+     * @param {String} event
+     * @param {Object} entry
+     * @param {Function} cb (Error)
+     */
+    LoginThrottleService.prototype.audit = function(event, entry, cb) {
+        var doc = util.merge(entry, {
+            object_type: LoginThrottleService.AUDIT_COLLECTION,
+            event: event,
+            scope: this.scope,
+            site: this.site
+        });
+        this.dao.save(doc, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('LoginThrottleService: Failed to write %s to the audit log: %s', event, err.stack);
+            }
+            cb(null);
+        });
+    };
+
+    /**
+     * @method getTargets
+     * @param {String} identifier
+     * @param {String} ip
+     * @return {Array} The account and IP targets that have a value
+     */
+    LoginThrottleService.prototype.getTargets = function(identifier, ip) {
+        var targets = [];
+        if (util.isString(identifier) && identifier.length > 0) {
+            targets.push({type: LoginThrottleService.TARGETS.ACCOUNT, value: identifier});
+        }
+        if (util.isString(ip) && ip.length > 0) {
+            targets.push({type: LoginThrottleService.TARGETS.IP, value: ip});
+        }
+        return targets;
+    };
+
+    /**
+     * @method getAttemptKey
+     * @param {String} type
+     * @param {String} value
+     * @return {String}
+     */
+    LoginThrottleService.prototype.getAttemptKey = function(type, value) {
+        return LoginThrottleService.getKey(this.site, this.scope, 'ATTEMPTS', type, value);
+    };
+
+    /**
+     * @method getLockKey
+     * @param {String} type
+     * @param {String} value
+     * @return {String}
+     */
+    LoginThrottleService.prototype.getLockKey = function(type, value) {
+        return LoginThrottleService.getKey(this.site, this.scope, 'LOCK', type, value);
+    };
+
+    /**
+     * Builds a cache key.  The value is lower cased so that the username and
+     * email address are not case sensitive.  Keys are separated by site so
+     * that failures on one site do not lock out the same identifier on
+     * another.
+     * @static
+     * @method getKey
+     * @param {String} site
+     * @param {String} scope
+     * @param {String} kind
+     * @param {String} type
+     * @param {String} value
+     * @return {String}
+     */
+    LoginThrottleService.getKey = function(site, scope, kind, type, value) {
+        return [KEY_PREFIX, site, scope, kind, type, (value + '').toLowerCase()].join(':');
+    };
+
+    /**
+     * Calculates the progressive delay for the number of consecutive failed
+     * attempts.  The delay doubles with each attempt.
+     * @static
+     * @method getDelay
+     * @param {Integer} attempts
+     * @param {Object} options
+     * @param {Integer} options.delay The delay, in ms, for the first attempt
+     * @param {Integer} options.max_delay
+     * @return {Integer} The number of milliseconds to wait
+     */
+    LoginThrottleService.getDelay = function(attempts, options) {
+        if (!attempts || !options.delay) {
+            return 0;
+        }
+        return Math.min(options.delay * Math.pow(2, attempts - 1), options.max_delay || Infinity);
+    };
+
+    //exports
+    return LoginThrottleService;
+};
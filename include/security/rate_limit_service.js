@@ -0,0 +1,376 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var async = require('async');
+
+module.exports = function RateLimitServiceModule(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Limits the rate at which clients can make requests to a route.  Each
+     * client of a route is given a token bucket that holds "capacity" tokens
+     * and is refilled at a steady rate of "capacity" tokens every "interval"
+     * seconds.  Each request takes a token and is rejected when the bucket is
+     * empty.  The buckets are kept in the cache so that the limits are shared
+     * by every process in the cluster.  Each bucket is read and written in a
+     * transaction that watches its key so that concurrent requests from the
+     * same client can not take the same token.
+     * @class RateLimitService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site]
+     */
+    function RateLimitService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = context.site || pb.SiteService.GLOBAL_SITE;
+    }
+
+    /**
+     * The things that requests can be counted against
+     * @static
+     * @readonly
+     * @property KEY_TYPES
+     * @type {Object}
+     */
+    RateLimitService.KEY_TYPES = Object.freeze({
+        IP: 'ip',
+        SESSION: 'session',
+        USER: 'user',
+        API_KEY: 'api_key'
+    });
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property KEY_PREFIX
+     * @type {String}
+     */
+    var KEY_PREFIX = 'RATE_LIMIT';
+
+    /**
+     * The number of times a token is attempted to be taken when the bucket is
+     * changed by another request while it is being taken
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_ATTEMPTS
+     * @type {Integer}
+     */
+    var MAX_ATTEMPTS = 10;
+
+    /**
+     * The number of cache connections that buckets are read and written with
+     * @private
+     * @static
+     * @readonly
+     * @property CONNECTIONS
+     * @type {Integer}
+     */
+    var CONNECTIONS = 4;
+
+    /**
+     * The idle cache connections.  Redis watches keys per connection so each
+     * connection may only be used by one transaction at a time.
+     * @private
+     * @static
+     * @property clients
+     * @type {Array}
+     */
+    var clients = [];
+
+    /**
+     * Runs the transactions as connections become available
+     * @private
+     * @static
+     * @property queue
+     * @type {Object}
+     */
+    var queue = null;
+
+    /**
+     * Takes a token from the client's bucket for the route
+     * @method consume
+     * @param {String} route Identifies the route, such as its method and path
+     * @param {String} client Identifies the client (see RateLimitService.getClientKey)
+     * @param {Object} limit (see RateLimitService.getLimit)
+     * @param {Function} cb (Error, Object) Provides the result of
+     * RateLimitService.take
+     */
+    RateLimitService.prototype.consume = function(route, client, limit, cb) {
+        var key = [KEY_PREFIX, this.site, route, client].join(':');
+        getQueue().push(function(connection, callback) {
+            takeToken(connection, key, limit, 1, callback);
+        }, cb);
+    };
+
+    /**
+     * Closes the cache connections
+     * @static
+     * @method shutdown
+     * @param {Function} cb
+     */
+    RateLimitService.shutdown = function(cb) {
+        cb = cb || util.cb;
+
+        clients.forEach(function(connection) {
+            connection.quit();
+        });
+        clients = [];
+        queue   = null;
+        cb(null, true);
+    };
+
+    /**
+     * Creates the queue, and the connections it uses, on first use
+     * @private
+     * @static
+     * @method getQueue
+     * @return {Object}
+     */
+    function getQueue() {
+        if (queue !== null) {
+            return queue;
+        }
+
+        for (var i = 0; i < CONNECTIONS; i++) {
+            clients.push(pb.CacheFactory.createInstance());
+        }
+        queue = async.queue(function(task, callback) {
+            var connection = clients.pop();
+            task(connection, function(err, result) {
+                clients.push(connection);
+                callback(err, result);
+            });
+        }, CONNECTIONS);
+        pb.system.registerShutdownHook('RateLimitService', RateLimitService.shutdown);
+        return queue;
+    }
+
+    /**
+     * Reads the bucket, takes a token from it and writes it back.  The write
+     * is discarded when the bucket was changed after it was read, in which
+     * case the token is taken again from the changed bucket.
+     * @private
+     * @static
+     * @method takeToken
+     * @param {RedisClient} connection A connection that is not in use
+     * @param {String} key
+     * @param {Object} limit
+     * @param {Integer} attempt
+     * @param {Function} cb (Error, Object)
+     */
+    function takeToken(connection, key, limit, attempt, cb) {
+        connection.watch(key, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            connection.get(key, function(err, value) {
+                if (util.isError(err)) {
+                    return connection.unwatch(function() {
+                        cb(err);
+                    });
+                }
+
+                var result = RateLimitService.take(RateLimitService.parseBucket(value), limit, Date.now());
+                if (!result.allowed) {
+                    return connection.unwatch(function(err) {
+                        cb(err, result);
+                    });
+                }
+
+                //the bucket expires once it would have been refilled
+                connection.multi()
+                    .psetex(key, RateLimitService.getTimeToFull(result.bucket, limit), RateLimitService.serializeBucket(result.bucket))
+                    .exec(function(err, replies) {
+                        if (util.isError(err)) {
+                            return cb(err);
+                        }
+                        else if (replies !== null && replies[0] !== null) {
+                            return cb(null, result);
+                        }
+                        else if (attempt >= MAX_ATTEMPTS) {
+                            return cb(new Error('RateLimitService: The bucket ['+key+'] changed on each of '+MAX_ATTEMPTS+' attempts to take a token'));
+                        }
+                        takeToken(connection, key, limit, attempt + 1, cb);
+                    });
+            });
+        });
+    }
+
+    /**
+     * Determines the limit that applies to a route.  The "routes" of the
+     * "rate_limit" configuration take precedence over the "rate_limit"
+     * property of the route descriptor which takes precedence over the
+     * configured "default".  A descriptor may set its "rate_limit" to FALSE to
+     * opt out of the default.
+     * @static
+     * @method getLimit
+     * @param {Object} descriptor The route descriptor
+     * @return {Object} The limit's "capacity", "interval", and "key" or NULL
+     * when the route is not limited
+     */
+    RateLimitService.getLimit = function(descriptor) {
+        var options = pb.config.rate_limit;
+        if (!util.isObject(options) || !options.enabled || !util.isObject(descriptor)) {
+            return null;
+        }
+
+        var limit = util.isObject(options.routes) ? options.routes[descriptor.path] : undefined;
+        if (util.isNullOrUndefined(limit)) {
+            limit = descriptor.rate_limit;
+        }
+        if (util.isNullOrUndefined(limit)) {
+            limit = options.default;
+        }
+        if (!util.isObject(limit)) {
+            return null;
+        }
+
+        if (!(limit.capacity > 0) || !(limit.interval > 0)) {
+            pb.log.warn('RateLimitService: The rate limit for route [%s] must have a positive capacity and interval', descriptor.path);
+            return null;
+        }
+        return {
+            capacity: limit.capacity,
+            interval: limit.interval,
+            key: limit.key || RateLimitService.KEY_TYPES.IP
+        };
+    };
+
+    /**
+     * Identifies the client that requests are counted against.  Requests that
+     * are not authenticated, by a user or an API key, are counted against the
+     * client's IP address because a client can start a new session whenever
+     * it likes.
+     * @static
+     * @method getClientKey
+     * @param {Object} limit
+     * @param {Request} req
+     * @param {Object} [session]
+     * @return {String}
+     */
+    RateLimitService.getClientKey = function(limit, req, session) {
+        var auth   = session ? session.authentication : null;
+        var userId = auth && auth.user_id ? auth.user_id + '' : null;
+        if (limit.key === RateLimitService.KEY_TYPES.API_KEY && auth && auth.api_key) {
+            return RateLimitService.KEY_TYPES.API_KEY + ':' + auth.api_key;
+        }
+        else if (limit.key === RateLimitService.KEY_TYPES.USER && userId) {
+            return RateLimitService.KEY_TYPES.USER + ':' + userId;
+        }
+        else if (limit.key === RateLimitService.KEY_TYPES.SESSION && userId && session.uid) {
+            return RateLimitService.KEY_TYPES.SESSION + ':' + session.uid;
+        }
+        return RateLimitService.KEY_TYPES.IP + ':' + pb.RequestHandler.getClientIp(req);
+    };
+
+    /**
+     * Refills the bucket for the time that has passed and takes a token from
+     * it when one is available
+     * @static
+     * @method take
+     * @param {Object} bucket The "tokens" remaining and the time, in ms, the
+     * bucket was "updated".  A NULL bucket is full.
+     * @param {Object} limit
+     * @param {Integer} now The current time in ms
+     * @return {Object} Provides whether the request is "allowed", the tokens
+     * "remaining", the number of seconds to wait before retrying
+     * ("retryAfter"), and the new state of the "bucket"
+     */
+    RateLimitService.take = function(bucket, limit, now) {
+        var rate   = limit.capacity / (limit.interval * 1000);
+        var tokens = limit.capacity;
+        if (bucket) {
+            tokens = Math.min(limit.capacity, bucket.tokens + Math.max(0, now - bucket.updated) * rate);
+        }
+
+        var allowed = tokens >= 1;
+        if (allowed) {
+            tokens--;
+        }
+        return {
+            allowed: allowed,
+            remaining: Math.floor(tokens),
+            retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / rate / 1000),
+            bucket: {
+                tokens: tokens,
+                updated: now
+            }
+        };
+    };
+
+    /**
+     * Calculates the number of ms until the bucket is full
+     * @static
+     * @method getTimeToFull
+     * @param {Object} bucket
+     * @param {Object} limit
+     * @return {Integer} At least 1
+     */
+    RateLimitService.getTimeToFull = function(bucket, limit) {
+        var rate = limit.capacity / (limit.interval * 1000);
+        return Math.max(1, Math.ceil((limit.capacity - bucket.tokens) / rate));
+    };
+
+    /**
+     * @static
+     * @method serializeBucket
+     * @param {Object} bucket
+     * @return {String}
+     */
+    RateLimitService.serializeBucket = function(bucket) {
+        return bucket.tokens + ':' + bucket.updated;
+    };
+
+    /**
+     * @static
+     * @method parseBucket
+     * @param {String} value The cached value
+     * @return {Object} The bucket or NULL when the value is not valid
+     */
+    RateLimitService.parseBucket = function(value) {
+        if (!util.isString(value)) {
+            return null;
+        }
+
+        var parts   = value.split(':');
+        var tokens  = parseFloat(parts[0]);
+        var updated = parseInt(parts[1], 10);
+        if (parts.length !== 2 || isNaN(tokens) || isNaN(updated)) {
+            return null;
+        }
+        return {
+            tokens: tokens,
+            updated: updated
+        };
+    };
+
+    //exports
+    return RateLimitService;
+};
@@ -0,0 +1,556 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var crypto = require('crypto');
+var async  = require('async');
+
+module.exports = function SecurityHeadersServiceModule(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Builds the security headers that are sent with each response and
+     * collects the Content-Security-Policy violations reported by browsers.
+     * The policy starts from the configured directives and is extended with
+     * the hosts of the CDN libraries and the sources declared by the active
+     * plugins.
+     * @class SecurityHeadersService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site]
+     */
+    function SecurityHeadersService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = context.site || pb.SiteService.GLOBAL_SITE;
+
+        /**
+         * @property dao
+         * @type {SiteQueryService}
+         */
+        this.dao = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
+    }
+
+    /**
+     * The collection that stores the reported policy violations
+     * @static
+     * @readonly
+     * @property COLLECTION
+     * @type {String}
+     */
+    SecurityHeadersService.COLLECTION = 'csp_report';
+
+    /**
+     * The maximum number of violations accepted from a single report request
+     * @static
+     * @readonly
+     * @property MAX_REPORTS
+     * @type {Integer}
+     */
+    SecurityHeadersService.MAX_REPORTS = 20;
+
+    /**
+     * The maximum number of violations provided by getReports
+     * @static
+     * @readonly
+     * @property MAX_LIMIT
+     * @type {Integer}
+     */
+    SecurityHeadersService.MAX_LIMIT = 500;
+
+    /**
+     * The property of the request that holds its nonce
+     * @private
+     * @static
+     * @readonly
+     * @property NONCE_PROPERTY
+     * @type {String}
+     */
+    var NONCE_PROPERTY = 'csp_nonce';
+
+    /**
+     * The directives that the hosts of the CDN libraries are added to
+     * @private
+     * @static
+     * @readonly
+     * @property LIBRARY_DIRECTIVES
+     * @type {Array}
+     */
+    var LIBRARY_DIRECTIVES = Object.freeze(['script-src', 'style-src', 'font-src']);
+
+    /**
+     * The fields kept from a violation report mapped to the name of the field
+     * in a "report-uri" report and then in a Reporting API report
+     * @private
+     * @static
+     * @readonly
+     * @property REPORT_FIELDS
+     * @type {Object}
+     */
+    var REPORT_FIELDS = Object.freeze({
+        document_uri: ['document-uri', 'documentURL'],
+        referrer: ['referrer', 'referrer'],
+        blocked_uri: ['blocked-uri', 'blockedURL'],
+        violated_directive: ['violated-directive', 'effectiveDirective'],
+        effective_directive: ['effective-directive', 'effectiveDirective'],
+        disposition: ['disposition', 'disposition'],
+        source_file: ['source-file', 'sourceFile'],
+        line_number: ['line-number', 'lineNumber'],
+        column_number: ['column-number', 'columnNumber'],
+        sample: ['script-sample', 'sample']
+    });
+
+    /**
+     * The maximum length of each string field kept from a violation report
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_FIELD_LENGTH
+     * @type {Integer}
+     */
+    var MAX_FIELD_LENGTH = 1024;
+
+    /**
+     * The sources, one for each host, that serve the configured libraries
+     * @private
+     * @static
+     * @property LIBRARY_SOURCES
+     * @type {Array}
+     */
+    var LIBRARY_SOURCES = [];
+
+    /**
+     * Stores the violations provided by a browser
+     * @method saveReports
+     * @param {Array} reports The violations as provided by
+     * SecurityHeadersService.parseReports
+     * @param {String} [userAgent]
+     * @param {Function} cb (Error, Integer) Provides the number of violations
+     * stored
+     */
+    SecurityHeadersService.prototype.saveReports = function(reports, userAgent, cb) {
+        var self = this;
+
+        var tasks = util.getTasks(reports, function(reports, i) {
+            return function(callback) {
+                var report = util.clone(reports[i]);
+                report.object_type = SecurityHeadersService.COLLECTION;
+                report.user_agent = util.isString(userAgent) ? userAgent.substring(0, MAX_FIELD_LENGTH) : null;
+                self.dao.save(report, callback);
+            };
+        });
+        async.parallel(tasks, function(err) {
+            cb(err || null, tasks.length);
+        });
+    };
+
+    /**
+     * Retrieves the most recently reported violations
+     * @method getReports
+     * @param {Object} [options]
+     * @param {Integer} [options.limit=100]
+     * @param {Function} cb (Error, Array)
+     */
+    SecurityHeadersService.prototype.getReports = function(options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+
+        var limit = parseInt(options.limit);
+        var opts = {
+            where: {},
+            order: {created: pb.DAO.DESC},
+            limit: limit > 0 ? Math.min(limit, SecurityHeadersService.MAX_LIMIT) : 100
+        };
+        this.dao.q(SecurityHeadersService.COLLECTION, opts, cb);
+    };
+
+    /**
+     * Determines the headers for a response
+     * @static
+     * @method getHeaders
+     * @param {Request} [req] The request being answered.  Its nonce is added
+     * to the policy when one was generated and nonces are enabled.
+     * @param {Object} [descriptor] The descriptor of the route being answered
+     * @param {String} [site] The UID of the site being answered
+     * @return {Object} The headers keyed by lower case name
+     */
+    SecurityHeadersService.getHeaders = function(req, descriptor, site) {
+        var options = SecurityHeadersService.getOptions(descriptor);
+        if (!options) {
+            return {};
+        }
+
+        var headers = {};
+        if (util.isObject(options.hsts) && util.isObject(pb.config.server.ssl) && pb.config.server.ssl.enabled) {
+            headers['strict-transport-security'] = SecurityHeadersService.getHstsValue(options.hsts);
+        }
+        if (options.frame_options) {
+            headers['x-frame-options'] = options.frame_options;
+        }
+        if (options.content_type_options) {
+            headers['x-content-type-options'] = options.content_type_options;
+        }
+        if (options.referrer_policy) {
+            headers['referrer-policy'] = options.referrer_policy;
+        }
+
+        var csp = options.csp;
+        if (util.isObject(csp) && csp.enabled) {
+            var nonce = csp.nonce && util.isObject(req) ? req[NONCE_PROPERTY] : null;
+            var name = csp.report_only ? 'content-security-policy-report-only' : 'content-security-policy';
+            headers[name] = SecurityHeadersService.buildPolicy(SecurityHeadersService.getDirectives(csp, site, nonce), csp.report_uri);
+        }
+        return headers;
+    };
+
+    /**
+     * Determines the settings that apply to a route.  The "routes" of the
+     * "security_headers" configuration take precedence over the
+     * "security_headers" property of the route descriptor which takes
+     * precedence over the configuration.  Either may be FALSE to opt the route
+     * out of the headers.
+     * @static
+     * @method getOptions
+     * @param {Object} [descriptor] The route descriptor
+     * @return {Object} The settings or NULL when no headers should be sent
+     */
+    SecurityHeadersService.getOptions = function(descriptor) {
+        var config = pb.config.security_headers;
+        if (!util.isObject(config) || !config.enabled) {
+            return null;
+        }
+        if (!util.isObject(descriptor)) {
+            descriptor = {};
+        }
+
+        var overrides = [
+            descriptor.security_headers,
+            util.isObject(config.routes) && descriptor.path ? config.routes[descriptor.path] : undefined
+        ];
+        var options = SecurityHeadersService.mergeOptions(config, {});
+        for (var i = 0; i < overrides.length; i++) {
+            if (overrides[i] === false) {
+                return null;
+            }
+            else if (util.isObject(overrides[i])) {
+                options = SecurityHeadersService.mergeOptions(options, overrides[i]);
+            }
+        }
+        delete options.routes;
+        return options;
+    };
+
+    /**
+     * Applies the overrides of a route to the settings.  The "hsts" and "csp"
+     * settings are merged property by property and the CSP directives are
+     * merged directive by directive so that a route only needs to provide what
+     * it changes.  A directive set to FALSE is removed.
+     * @static
+     * @method mergeOptions
+     * @param {Object} options
+     * @param {Object} overrides
+     * @return {Object} A new settings object
+     */
+    SecurityHeadersService.mergeOptions = function(options, overrides) {
+        var result = util.clone(options);
+        Object.keys(overrides).forEach(function(key) {
+            var value = overrides[key];
+            if ((key !== 'hsts' && key !== 'csp') || !util.isObject(value) || !util.isObject(result[key])) {
+                result[key] = util.clone(value);
+                return;
+            }
+
+            Object.keys(value).forEach(function(prop) {
+                if (prop !== 'directives' || !util.isObject(value.directives) || !util.isObject(result[key].directives)) {
+                    result[key][prop] = util.clone(value[prop]);
+                    return;
+                }
+
+                Object.keys(value.directives).forEach(function(directive) {
+                    if (util.isArray(value.directives[directive])) {
+                        result[key].directives[directive] = value.directives[directive].slice();
+                    }
+                    else {
+                        delete result[key].directives[directive];
+                    }
+                });
+            });
+        });
+        return result;
+    };
+
+    /**
+     * Builds the directives of the Content-Security-Policy.  The sources of
+     * the libraries and plugins are added to the directives that they apply
+     * to.  A directive that is not configured starts from "default-src" so
+     * that adding sources to it never removes any.
+     * @static
+     * @method getDirectives
+     * @param {Object} csp The "csp" settings
+     * @param {String} [site] The UID of the site whose plugins' sources are added
+     * @param {String} [nonce] A nonce to add to "script-src"
+     * @return {Object} The sources keyed by directive name
+     */
+    SecurityHeadersService.getDirectives = function(csp, site, nonce) {
+        var directives = {};
+        util.forEach(csp.directives, function(sources, name) {
+            if (util.isArray(sources)) {
+                directives[name] = sources.slice();
+            }
+        });
+
+        var add = function(name, sources) {
+            if (!util.isArray(sources) || sources.length === 0) {
+                return;
+            }
+            if (!directives[name]) {
+
+                //without a default every source is already allowed
+                if (!directives['default-src']) {
+                    return;
+                }
+                directives[name] = directives['default-src'].slice();
+            }
+            directives[name] = directives[name].filter(function(source) {
+                return source !== "'none'";
+            });
+            sources.forEach(function(source) {
+                if (directives[name].indexOf(source) === -1) {
+                    directives[name].push(source);
+                }
+            });
+        };
+
+        LIBRARY_DIRECTIVES.forEach(function(name) {
+            add(name, LIBRARY_SOURCES);
+        });
+        pb.PluginService.getActiveContentSecurityPolicies(site).forEach(function(policy) {
+            Object.keys(policy).forEach(function(name) {
+                add(name, policy[name]);
+            });
+        });
+        if (nonce) {
+            add('script-src', ["'nonce-" + nonce + "'"]);
+        }
+        return directives;
+    };
+
+    /**
+     * Serializes the directives of a Content-Security-Policy
+     * @static
+     * @method buildPolicy
+     * @param {Object} directives The sources keyed by directive name
+     * @param {String} [reportUri] The URI that violations are reported to
+     * @return {String}
+     */
+    SecurityHeadersService.buildPolicy = function(directives, reportUri) {
+        var parts = Object.keys(directives).map(function(name) {
+            return [name].concat(directives[name]).join(' ');
+        });
+        if (reportUri) {
+            parts.push('report-uri ' + reportUri);
+        }
+        return parts.join('; ');
+    };
+
+    /**
+     * Serializes the Strict-Transport-Security settings
+     * @static
+     * @method getHstsValue
+     * @param {Object} hsts
+     * @param {Integer} hsts.max_age The number of seconds that the browser
+     * should only use HTTPS
+     * @param {Boolean} [hsts.include_subdomains=false]
+     * @param {Boolean} [hsts.preload=false]
+     * @return {String}
+     */
+    SecurityHeadersService.getHstsValue = function(hsts) {
+        var value = 'max-age=' + (parseInt(hsts.max_age) || 0);
+        if (hsts.include_subdomains) {
+            value += '; includeSubDomains';
+        }
+        if (hsts.preload) {
+            value += '; preload';
+        }
+        return value;
+    };
+
+    /**
+     * Provides the nonce for a request.  The nonce is generated the first time
+     * it is requested and is only added to the policy of requests that have
+     * one.
+     * @static
+     * @method getNonce
+     * @param {Request} req
+     * @return {String}
+     */
+    SecurityHeadersService.getNonce = function(req) {
+        if (!req[NONCE_PROPERTY]) {
+            req[NONCE_PROPERTY] = SecurityHeadersService.generateNonce();
+        }
+        return req[NONCE_PROPERTY];
+    };
+
+    /**
+     * Generates a random base64 nonce
+     * @static
+     * @method generateNonce
+     * @return {String}
+     */
+    SecurityHeadersService.generateNonce = function() {
+        return crypto.randomBytes(16).toString('base64');
+    };
+
+    /**
+     * Stores the sources of the hosts that serve the libraries so that they
+     * can be added to the policy.  Libraries served locally are covered by
+     * 'self'.  Called when the library settings are loaded or changed.
+     * @static
+     * @method registerLibraries
+     * @param {Object} settings The library URLs keyed by library name
+     */
+    SecurityHeadersService.registerLibraries = function(settings) {
+        var sources = [];
+        util.forEach(settings, function(url) {
+            var source = SecurityHeadersService.getSourceFromUrl(url);
+            if (source && sources.indexOf(source) === -1) {
+                sources.push(source);
+            }
+        });
+        LIBRARY_SOURCES = sources;
+    };
+
+    /**
+     * Provides the sources of the hosts that serve the libraries
+     * @static
+     * @method getLibrarySources
+     * @return {Array}
+     */
+    SecurityHeadersService.getLibrarySources = function() {
+        return LIBRARY_SOURCES.slice();
+    };
+
+    /**
+     * Derives the source that allows a URL.  Protocol relative URLs provide
+     * only the host so that the page's scheme applies.
+     * @static
+     * @method getSourceFromUrl
+     * @param {String} url
+     * @return {String} The source or NULL when the URL is relative
+     */
+    SecurityHeadersService.getSourceFromUrl = function(url) {
+        var match = util.isString(url) ? url.match(/^(https?:)?\/\/([^\/?#\s]+)/i) : null;
+        if (!match) {
+            return null;
+        }
+        return (match[1] ? match[1].toLowerCase() + '//' : '') + match[2].toLowerCase();
+    };
+
+    /**
+     * Validates the "content_security_policy" block of a plugin's details
+     * @static
+     * @method validatePolicy
+     * @param {Object} policy The sources keyed by directive name
+     * @return {Array} The validation error messages
+     */
+    SecurityHeadersService.validatePolicy = function(policy) {
+        if (!util.isObject(policy) || util.isArray(policy)) {
+            return ['The content security policy must be an object'];
+        }
+
+        var errors = [];
+        Object.keys(policy).forEach(function(name) {
+            if (!/^[a-z-]+$/.test(name)) {
+                errors.push('The content security policy directive ['+name+'] is invalid');
+            }
+            else if (!util.isArray(policy[name])) {
+                errors.push('The content security policy directive ['+name+'] must provide an array of sources');
+            }
+            else {
+                policy[name].forEach(function(source, i) {
+                    if (!util.isString(source) || !/^[^\s;,]+$/.test(source)) {
+                        errors.push('The source at position '+i+' of the content security policy directive ['+name+'] is invalid');
+                    }
+                });
+            }
+        });
+        return errors;
+    };
+
+    /**
+     * Extracts the violations from the body of a report request.  Both the
+     * "report-uri" format ({"csp-report": {...}}) and the Reporting API format
+     * (an array of reports of type "csp-violation") are supported.
+     * @static
+     * @method parseReports
+     * @param {Object|Array} body The parsed JSON body
+     * @return {Array} The violations with the fields described by
+     * REPORT_FIELDS
+     */
+    SecurityHeadersService.parseReports = function(body) {
+        var reports = [];
+        if (util.isArray(body)) {
+            body.forEach(function(report) {
+                if (util.isObject(report) && report.type === 'csp-violation' && util.isObject(report.body)) {
+                    reports.push(SecurityHeadersService.normalizeReport(report.body, 1));
+                }
+            });
+        }
+        else if (util.isObject(body) && util.isObject(body['csp-report'])) {
+            reports.push(SecurityHeadersService.normalizeReport(body['csp-report'], 0));
+        }
+        return reports.filter(function(report) {
+            return Object.keys(report).length > 0;
+        }).slice(0, SecurityHeadersService.MAX_REPORTS);
+    };
+
+    /**
+     * Copies the known fields of a violation.  Strings are truncated.
+     * @static
+     * @method normalizeReport
+     * @param {Object} report
+     * @param {Integer} format 0 for "report-uri" reports and 1 for Reporting
+     * API reports
+     * @return {Object}
+     */
+    SecurityHeadersService.normalizeReport = function(report, format) {
+        var result = {};
+        Object.keys(REPORT_FIELDS).forEach(function(field) {
+            var value = report[REPORT_FIELDS[field][format]];
+            if (util.isString(value)) {
+                result[field] = value.substring(0, MAX_FIELD_LENGTH);
+            }
+            else if (util.isNumber(value) && isFinite(value)) {
+                result[field] = value;
+            }
+        });
+        return result;
+    };
+
+    //exports
+    return SecurityHeadersService;
+};
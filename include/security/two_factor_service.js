@@ -0,0 +1,652 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var crypto = require('crypto');
+
+module.exports = function TwoFactorServiceModule(pb) {
+
+    //pb dependencies
+    var util              = pb.util;
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * Provides RFC 6238 time-based one time passwords (TOTP) as a second
+     * factor for authentication.  The shared secret, the hashed recovery
+     * codes, and the last accepted time step are stored on the user under the
+     * "two_factor" property.
+     * @class TwoFactorService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site]
+     */
+    function TwoFactorService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = context.site;
+
+        /**
+         * @property dao
+         * @type {DAO}
+         */
+        this.dao = new pb.DAO();
+    }
+
+    /**
+     * The name of the site setting that indicates which users must use a
+     * second factor
+     * @static
+     * @readonly
+     * @property SETTINGS_KEY
+     * @type {String}
+     */
+    TwoFactorService.SETTINGS_KEY = 'two_factor_settings';
+
+    /**
+     * The access levels that a site can require a second factor for
+     * @static
+     * @readonly
+     * @property REQUIRED_LEVELS
+     * @type {Array}
+     */
+    TwoFactorService.REQUIRED_LEVELS = Object.freeze([
+        pb.SecurityService.ACCESS_MANAGING_EDITOR,
+        pb.SecurityService.ACCESS_ADMINISTRATOR
+    ]);
+
+    /**
+     * The RFC 4648 base32 alphabet
+     * @private
+     * @static
+     * @readonly
+     * @property BASE32_ALPHABET
+     * @type {String}
+     */
+    var BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+    /**
+     * The number of random bytes in a shared secret.  RFC 4226 recommends 160
+     * bits.
+     * @private
+     * @static
+     * @readonly
+     * @property SECRET_LENGTH
+     * @type {Integer}
+     */
+    var SECRET_LENGTH = 20;
+
+    /**
+     * @static
+     * @method getOptions
+     * @return {Object} The two factor configuration
+     */
+    TwoFactorService.getOptions = function() {
+        return pb.config.security.two_factor;
+    };
+
+    /**
+     * @static
+     * @method isEnabled
+     * @param {Object} user
+     * @return {Boolean} TRUE if the user has completed enrolment
+     */
+    TwoFactorService.isEnabled = function(user) {
+        return util.isObject(user) && util.isObject(user.two_factor) && user.two_factor.enabled === true;
+    };
+
+    /**
+     * Replaces the second factor details of a user with a summary that is
+     * safe to provide to the client or to store in the session
+     * @static
+     * @method sanitize
+     * @param {Object} user
+     * @return {Object} The user
+     */
+    TwoFactorService.sanitize = function(user) {
+        if (util.isObject(user) && util.isObject(user.two_factor)) {
+            var enabled = TwoFactorService.isEnabled(user);
+            user.two_factor = {
+                enabled: enabled,
+                recovery_codes_remaining: enabled && util.isArray(user.two_factor.recovery_codes) ? user.two_factor.recovery_codes.length : 0
+            };
+        }
+        return user;
+    };
+
+    /**
+     * Encodes a buffer as an unpadded base32 string
+     * @static
+     * @method encodeBase32
+     * @param {Buffer} buffer
+     * @return {String}
+     */
+    TwoFactorService.encodeBase32 = function(buffer) {
+        var result = '';
+        var bits = 0;
+        var value = 0;
+        for (var i = 0; i < buffer.length; i++) {
+            value = (value << 8) | buffer[i];
+            bits += 8;
+            while (bits >= 5) {
+                result += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            result += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return result;
+    };
+
+    /**
+     * Decodes a base32 string.  Padding, whitespace, and case are ignored.
+     * @static
+     * @method decodeBase32
+     * @param {String} str
+     * @return {Buffer} NULL when the string contains invalid characters
+     */
+    TwoFactorService.decodeBase32 = function(str) {
+        var clean = (str + '').toUpperCase().replace(/[\s=]/g, '');
+        var bytes = [];
+        var bits = 0;
+        var value = 0;
+        for (var i = 0; i < clean.length; i++) {
+            var index = BASE32_ALPHABET.indexOf(clean[i]);
+            if (index < 0) {
+                return null;
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return new Buffer(bytes);
+    };
+
+    /**
+     * @static
+     * @method generateSecret
+     * @return {String} A random base32 encoded shared secret
+     */
+    TwoFactorService.generateSecret = function() {
+        return TwoFactorService.encodeBase32(crypto.randomBytes(SECRET_LENGTH));
+    };
+
+    /**
+     * Calculates the time step for the provided time
+     * @static
+     * @method getCounter
+     * @param {Integer} [time=Date.now()] The time in ms
+     * @return {Integer}
+     */
+    TwoFactorService.getCounter = function(time) {
+        if (!util.isNumber(time)) {
+            time = Date.now();
+        }
+        return Math.floor(time / 1000 / TwoFactorService.getOptions().step);
+    };
+
+    /**
+     * Generates the RFC 4226 HMAC-SHA1 one time password for the counter
+     * @static
+     * @method generateCode
+     * @param {String} secret The base32 encoded secret
+     * @param {Integer} counter
+     * @param {Integer} [digits] Defaults to the configured number of digits
+     * @return {String}
+     */
+    TwoFactorService.generateCode = function(secret, counter, digits) {
+        if (!util.isNumber(digits)) {
+            digits = TwoFactorService.getOptions().digits;
+        }
+
+        var message = new Buffer(8);
+        message.fill(0);
+        message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+        message.writeUInt32BE(counter % 0x100000000, 4);
+
+        var hmac = crypto.createHmac('sha1', TwoFactorService.decodeBase32(secret)).update(message).digest();
+        var offset = hmac[hmac.length - 1] & 0xf;
+        var binary = ((hmac[offset] & 0x7f) << 24) |
+            ((hmac[offset + 1] & 0xff) << 16) |
+            ((hmac[offset + 2] & 0xff) << 8) |
+            (hmac[offset + 3] & 0xff);
+
+        var code = (binary % Math.pow(10, digits)) + '';
+        while (code.length < digits) {
+            code = '0' + code;
+        }
+        return code;
+    };
+
+    /**
+     * Verifies a one time password against the secret.  Time steps within the
+     * configured window are accepted.  Time steps at or before the last one
+     * accepted are rejected so that a code can only be used once.
+     * @static
+     * @method verifyCode
+     * @param {String} secret The base32 encoded secret
+     * @param {String} code
+     * @param {Object} [options]
+     * @param {Integer} [options.time=Date.now()]
+     * @param {Integer} [options.lastCounter] The last time step accepted
+     * @return {Integer} The matching time step or -1 when the code is invalid
+     */
+    TwoFactorService.verifyCode = function(secret, code, options) {
+        options = options || {};
+
+        var config = TwoFactorService.getOptions();
+        var normalized = (code + '').replace(/\s/g, '');
+        if (!util.isString(secret) || normalized.length !== config.digits || !/^\d+$/.test(normalized)) {
+            return -1;
+        }
+
+        var current = TwoFactorService.getCounter(options.time);
+        for (var i = -config.window; i <= config.window; i++) {
+            var counter = current + i;
+            if (util.isNumber(options.lastCounter) && counter <= options.lastCounter) {
+                continue;
+            }
+            if (pb.SecurityService.safeEquals(TwoFactorService.generateCode(secret, counter, config.digits), normalized)) {
+                return counter;
+            }
+        }
+        return -1;
+    };
+
+    /**
+     * Builds the "otpauth" URI that authenticator apps scan as a QR code
+     * @static
+     * @method getProvisioningUri
+     * @param {String} secret The base32 encoded secret
+     * @param {String} account The name of the account, typically the username
+     * @param {String} [issuer] Defaults to the configured issuer or site name
+     * @return {String}
+     */
+    TwoFactorService.getProvisioningUri = function(secret, account, issuer) {
+        var config = TwoFactorService.getOptions();
+        issuer = issuer || config.issuer || pb.config.siteName;
+        return 'otpauth://totp/' + encodeURIComponent(issuer) + ':' + encodeURIComponent(account) +
+            '?secret=' + secret +
+            '&issuer=' + encodeURIComponent(issuer) +
+            '&algorithm=SHA1&digits=' + config.digits +
+            '&period=' + config.step;
+    };
+
+    /**
+     * Generates the configured number of single use recovery codes
+     * @static
+     * @method generateRecoveryCodes
+     * @return {Array} The plain text codes in the form "xxxxx-xxxxx"
+     */
+    TwoFactorService.generateRecoveryCodes = function() {
+        var codes = [];
+        for (var i = 0; i < TwoFactorService.getOptions().recovery_codes; i++) {
+            var hex = crypto.randomBytes(5).toString('hex');
+            codes.push(hex.substr(0, 5) + '-' + hex.substr(5));
+        }
+        return codes;
+    };
+
+    /**
+     * Hashes a recovery code for storage.  Dashes, whitespace, and case are
+     * ignored.
+     * @static
+     * @method hashRecoveryCode
+     * @param {String} code
+     * @return {String}
+     */
+    TwoFactorService.hashRecoveryCode = function(code) {
+        var normalized = (code + '').toLowerCase().replace(/[\s-]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    };
+
+    /**
+     * Determines if the site requires the user to use a second factor
+     * @method isRequired
+     * @param {Object} user
+     * @param {Function} cb (Error, Boolean)
+     */
+    TwoFactorService.prototype.isRequired = function(user, cb) {
+        this.getSettings(function(err, settings) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            var level = settings.required_level;
+            cb(null, util.isNumber(level) && util.isObject(user) && user.admin >= level);
+        });
+    };
+
+    /**
+     * Retrieves the second factor settings for the site
+     * @method getSettings
+     * @param {Function} cb (Error, Object)
+     */
+    TwoFactorService.prototype.getSettings = function(cb) {
+        var settings = pb.SettingServiceFactory.getServiceBySite(this.site);
+        settings.get(TwoFactorService.SETTINGS_KEY, function(err, result) {
+            cb(err, util.isObject(result) ? result : {required_level: null});
+        });
+    };
+
+    /**
+     * Persists the second factor settings for the site
+     * @method saveSettings
+     * @param {Object} dto
+     * @param {Integer} [dto.required_level] The minimum access level that must
+     * use a second factor.  Must be one of TwoFactorService.REQUIRED_LEVELS or
+     * empty when a second factor is optional.
+     * @param {Function} cb (Error, Object)
+     */
+    TwoFactorService.prototype.saveSettings = function(dto, cb) {
+        var level = util.isObject(dto) ? dto.required_level : null;
+        if (level === '' || util.isNullOrUndefined(level)) {
+            level = null;
+        }
+        else {
+            level = parseInt(level);
+            if (TwoFactorService.REQUIRED_LEVELS.indexOf(level) < 0) {
+                return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('required_level', 'An invalid access level was provided')]));
+            }
+        }
+
+        var settings = {required_level: level};
+        var service = pb.SettingServiceFactory.getServiceBySite(this.site, true);
+        service.set(TwoFactorService.SETTINGS_KEY, settings, function(err) {
+            cb(err, settings);
+        });
+    };
+
+    /**
+     * Starts enrolment by generating a new secret for the user.  The secret is
+     * not used for authentication until it has been confirmed with a valid
+     * code.
+     * @method beginEnrolment
+     * @param {String} userId
+     * @param {Function} cb (Error, Object) Provides the "secret" and the
+     * provisioning "uri"
+     */
+    TwoFactorService.prototype.beginEnrolment = function(userId, cb) {
+        var self = this;
+        this.loadUser(userId, function(err, user) {
+            if (util.isError(err) || !user) {
+                return cb(err, null);
+            }
+            else if (TwoFactorService.isEnabled(user)) {
+                return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('two_factor', 'Two-factor authentication is already enabled')]));
+            }
+
+            var secret = TwoFactorService.generateSecret();
+            user.two_factor = {enabled: false, pending_secret: secret};
+            self.dao.save(user, function(err) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                cb(null, {
+                    secret: secret,
+                    uri: TwoFactorService.getProvisioningUri(secret, user.username)
+                });
+            });
+        });
+    };
+
+    /**
+     * Completes enrolment when the code matches the pending secret
+     * @method confirmEnrolment
+     * @param {String} userId
+     * @param {String} code
+     * @param {Function} cb (Error, Object) Provides the plain text
+     * "recovery_codes".  They are only available at this time.
+     */
+    TwoFactorService.prototype.confirmEnrolment = function(userId, code, cb) {
+        var self = this;
+        this.loadUser(userId, function(err, user) {
+            if (util.isError(err) || !user) {
+                return cb(err, null);
+            }
+
+            var secret = util.isObject(user.two_factor) ? user.two_factor.pending_secret : null;
+            if (TwoFactorService.isEnabled(user) || !util.isString(secret)) {
+                return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('two_factor', 'Enrolment has not been started')]));
+            }
+
+            var counter = TwoFactorService.verifyCode(secret, code);
+            if (counter < 0) {
+                return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('code', 'The code is invalid')]));
+            }
+
+            var recoveryCodes = TwoFactorService.generateRecoveryCodes();
+            user.two_factor = {
+                enabled: true,
+                secret: secret,
+                recovery_codes: recoveryCodes.map(TwoFactorService.hashRecoveryCode),
+                last_counter: counter,
+                enrolled: new Date()
+            };
+            self.dao.save(user, function(err) {
+                cb(err, err ? null : {recovery_codes: recoveryCodes});
+            });
+        });
+    };
+
+    /**
+     * Replaces the recovery codes of a user.  A valid code is required.
+     * @method regenerateRecoveryCodes
+     * @param {String} userId
+     * @param {String} code
+     * @param {Function} cb (Error, Object) Provides the plain text
+     * "recovery_codes"
+     */
+    TwoFactorService.prototype.regenerateRecoveryCodes = function(userId, code, cb) {
+        var self = this;
+        this.loadEnrolledUser(userId, code, function(err, user) {
+            if (util.isError(err) || !user) {
+                return cb(err, null);
+            }
+
+            var recoveryCodes = TwoFactorService.generateRecoveryCodes();
+            user.two_factor.recovery_codes = recoveryCodes.map(TwoFactorService.hashRecoveryCode);
+            self.dao.save(user, function(err) {
+                cb(err, err ? null : {recovery_codes: recoveryCodes});
+            });
+        });
+    };
+
+    /**
+     * Turns off the second factor for a user.  A valid code is required and
+     * the site must not require a second factor for the user.
+     * @method disable
+     * @param {String} userId
+     * @param {String} code
+     * @param {Function} cb (Error, Boolean)
+     */
+    TwoFactorService.prototype.disable = function(userId, code, cb) {
+        var self = this;
+        this.loadEnrolledUser(userId, code, function(err, user) {
+            if (util.isError(err) || !user) {
+                return cb(err, false);
+            }
+
+            self.isRequired(user, function(err, required) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                else if (required) {
+                    return cb(BaseObjectService.forbiddenError('Two-factor authentication is required by the site'));
+                }
+                self.remove(user, cb);
+            });
+        });
+    };
+
+    /**
+     * Removes the second factor of a user without requiring a code.  Intended
+     * for administrators when a user has lost access to their device and
+     * recovery codes.
+     * @method reset
+     * @param {String} userId
+     * @param {Function} cb (Error, Boolean) TRUE when a second factor was
+     * removed
+     */
+    TwoFactorService.prototype.reset = function(userId, cb) {
+        var self = this;
+        this.loadUser(userId, function(err, user) {
+            if (util.isError(err) || !user || !util.isObject(user.two_factor)) {
+                return cb(err, false);
+            }
+            self.remove(user, cb);
+        });
+    };
+
+    /**
+     * Verifies the code provided as the second step of a login.  Either a one
+     * time password or an unused recovery code is accepted.  Recovery codes
+     * are removed once used.  The code is used up with a conditional update so
+     * that concurrent requests with the same code can not both be verified.
+     * @method verify
+     * @param {Object} user The user as persisted
+     * @param {String} code
+     * @param {Function} cb (Error, Boolean)
+     */
+    TwoFactorService.prototype.verify = function(user, code, cb) {
+        if (!TwoFactorService.isEnabled(user) || !util.isString(code) || code.length === 0) {
+            return cb(null, false);
+        }
+
+        var twoFactor = user.two_factor;
+        var where     = pb.DAO.getIdWhere(user[pb.DAO.getIdField()]);
+        var updates   = null;
+        var onUsed    = null;
+        var counter   = TwoFactorService.verifyCode(twoFactor.secret, code, {lastCounter: twoFactor.last_counter});
+        if (counter >= 0) {
+
+            //only a later time step than the last one used is accepted
+            where.$or = [
+                {'two_factor.last_counter': {$lt: counter}},
+                {'two_factor.last_counter': null}
+            ];
+            updates = {$set: {'two_factor.last_counter': counter}};
+            onUsed  = function() {
+                twoFactor.last_counter = counter;
+            };
+        }
+        else {
+            var hash  = TwoFactorService.hashRecoveryCode(code);
+            var index = util.isArray(twoFactor.recovery_codes) ? twoFactor.recovery_codes.indexOf(hash) : -1;
+            if (index < 0) {
+                return cb(null, false);
+            }
+
+            where['two_factor.recovery_codes'] = hash;
+            updates = {$pull: {'two_factor.recovery_codes': hash}};
+            onUsed  = function() {
+                twoFactor.recovery_codes.splice(index, 1);
+            };
+        }
+
+        this.dao.updateFields('user', where, updates, function(err, result) {
+            if (util.isError(err)) {
+                return cb(err, false);
+            }
+
+            //nothing is updated when another request used the code first
+            var used = getCount(result) > 0;
+            if (used) {
+                onUsed();
+            }
+            cb(null, used);
+        });
+    };
+
+    /**
+     * Loads the user and ensures that the code is valid for the enrolled
+     * second factor
+     * @method loadEnrolledUser
+     * @param {String} userId
+     * @param {String} code
+     * @param {Function} cb (Error, Object)
+     */
+    TwoFactorService.prototype.loadEnrolledUser = function(userId, code, cb) {
+        var self = this;
+        this.loadUser(userId, function(err, user) {
+            if (util.isError(err) || !user) {
+                return cb(err, null);
+            }
+            else if (!TwoFactorService.isEnabled(user)) {
+                return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('two_factor', 'Two-factor authentication is not enabled')]));
+            }
+
+            self.verify(user, code, function(err, isValid) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                else if (!isValid) {
+                    return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('code', 'The code is invalid')]));
+                }
+                cb(null, user);
+            });
+        });
+    };
+
+    /**
+     * @method loadUser
+     * @param {String} userId
+     * @param {Function} cb (Error, Object) The user as persisted
+     */
+    TwoFactorService.prototype.loadUser = function(userId, cb) {
+        if (!pb.ValidationService.isIdStr(userId, true)) {
+            return cb(null, null);
+        }
+        this.dao.loadById(userId, 'user', cb);
+    };
+
+    /**
+     * @method remove
+     * @param {Object} user
+     * @param {Function} cb (Error, Boolean)
+     */
+    TwoFactorService.prototype.remove = function(user, cb) {
+        var wasEnabled = TwoFactorService.isEnabled(user);
+        delete user.two_factor;
+        this.dao.save(user, function(err) {
+            cb(err, !util.isError(err) && wasEnabled);
+        });
+    };
+
+    /**
+     * Retrieves the number of records affected from the result of an update
+     * @private
+     * @static
+     * @method getCount
+     * @param {Object|Integer} result
+     * @return {Integer}
+     */
+    function getCount(result) {
+        return util.isObject(result) && result.result ? result.result.n : result;
+    }
+
+    //exports
+    return TwoFactorService;
+};
@@ -0,0 +1,415 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var crypto = require('crypto');
+var util   = require('../../util.js');
+
+module.exports = function ApiKeyServiceModule(pb) {
+
+    //pb dependencies
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'api_key';
+
+    /**
+     * Manages long-lived keys that allow scripts and build servers to call the
+     * API on behalf of a user.  Only a hash of each key is persisted.  The key
+     * itself is provided once, when it is created.
+     * @class ApiKeyService
+     * @extends BaseObjectService
+     * @constructor
+     * @param {Object} context
+     * @param {String} [context.site]
+     * @param {Object} [context.session] The session of the user that owns the
+     * keys being created
+     */
+    function ApiKeyService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        context.type = TYPE;
+        context.onlyThisSite = true;
+        ApiKeyService.super_.call(this, context);
+    }
+    util.inherits(ApiKeyService, BaseObjectService);
+
+    /**
+     * The prefix that identifies a value as an API key
+     * @static
+     * @readonly
+     * @property KEY_PREFIX
+     * @type {String}
+     */
+    ApiKeyService.KEY_PREFIX = 'pbk_';
+
+    /**
+     * The number of random bytes in a key
+     * @static
+     * @readonly
+     * @property KEY_BYTES
+     * @type {Integer}
+     */
+    ApiKeyService.KEY_BYTES = 24;
+
+    /**
+     * The minimum number of milliseconds between updates of the last used
+     * timestamp.  Prevents a write for every request made with a key.
+     * @static
+     * @readonly
+     * @property LAST_USED_INTERVAL
+     * @type {Integer}
+     */
+    ApiKeyService.LAST_USED_INTERVAL = 60 * 1000;
+
+    /**
+     * Generates a new key
+     * @static
+     * @method generateKey
+     * @return {String}
+     */
+    ApiKeyService.generateKey = function() {
+        return ApiKeyService.KEY_PREFIX + crypto.randomBytes(ApiKeyService.KEY_BYTES).toString('hex');
+    };
+
+    /**
+     * Determines if the value has the form of a key
+     * @static
+     * @method isKey
+     * @param {String} key
+     * @return {Boolean}
+     */
+    ApiKeyService.isKey = function(key) {
+        return util.isString(key) &&
+            key.length === ApiKeyService.KEY_PREFIX.length + (ApiKeyService.KEY_BYTES * 2) &&
+            key.indexOf(ApiKeyService.KEY_PREFIX) === 0 &&
+            /^[a-f0-9]+$/.test(key.substr(ApiKeyService.KEY_PREFIX.length));
+    };
+
+    /**
+     * Creates the hash that is persisted in place of the key.  Keys are long
+     * random values so a fast digest is sufficient and allows the key to be
+     * looked up by its hash.
+     * @static
+     * @method hashKey
+     * @param {String} key
+     * @return {String}
+     */
+    ApiKeyService.hashKey = function(key) {
+        return crypto.createHash('sha256').update(key + '', 'utf8').digest('hex');
+    };
+
+    /**
+     * Provides the beginning of the key so that it can be recognized by its
+     * owner without exposing it
+     * @static
+     * @method getKeyPrefix
+     * @param {String} key
+     * @return {String}
+     */
+    ApiKeyService.getKeyPrefix = function(key) {
+        return key.substr(0, ApiKeyService.KEY_PREFIX.length + 8);
+    };
+
+    /**
+     * Determines if the key can still be used to authenticate
+     * @static
+     * @method isActive
+     * @param {Object} apiKey
+     * @return {Boolean}
+     */
+    ApiKeyService.isActive = function(apiKey) {
+        return util.isObject(apiKey) && !apiKey.revoked;
+    };
+
+    /**
+     * Calculates the access level granted to a request made with the key.  The
+     * key never grants more than its owner currently has.
+     * @static
+     * @method getAccessLevel
+     * @param {Object} apiKey
+     * @param {Object} user The owner of the key
+     * @return {Integer}
+     */
+    ApiKeyService.getAccessLevel = function(apiKey, user) {
+        return Math.min(apiKey.access_level, user.admin);
+    };
+
+    /**
+     * Restricts a permission map to the permissions of the key.  When the key
+     * does not specify permissions the map is returned as is.
+     * @static
+     * @method restrictPermissions
+     * @param {Object} apiKey
+     * @param {Object} permissions A hash of permission names to booleans
+     * @return {Object}
+     */
+    ApiKeyService.restrictPermissions = function(apiKey, permissions) {
+        if (!util.isArray(apiKey.permissions)) {
+            return permissions;
+        }
+
+        var restricted = {};
+        apiKey.permissions.forEach(function(permission) {
+            if (permissions[permission]) {
+                restricted[permission] = permissions[permission];
+            }
+        });
+        return restricted;
+    };
+
+    /**
+     * Creates a new key.  The key is provided on the result as "key".  It is
+     * not persisted and cannot be retrieved again.
+     * @method add
+     * @param {Object} dto
+     * @param {Object} [options]
+     * @param {Function} cb
+     */
+    ApiKeyService.prototype.add = function(dto, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
+
+        var key = ApiKeyService.generateKey();
+        if (util.isObject(dto)) {
+            dto.key = key;
+        }
+        ApiKeyService.super_.prototype.add.call(this, dto, options, function(err, apiKey) {
+            if (util.isError(err) || !apiKey) {
+                return cb(err, apiKey);
+            }
+
+            apiKey.key = key;
+            cb(null, apiKey);
+        });
+    };
+
+    /**
+     * Revokes the key so that it can no longer be used
+     * @method revoke
+     * @param {String} id
+     * @param {Function} cb (Error, Object) Provides the revoked key or NULL
+     * when the key does not exist
+     */
+    ApiKeyService.prototype.revoke = function(id, cb) {
+        var self = this;
+        this.dao.loadById(id, TYPE, function(err, apiKey) {
+            if (util.isError(err) || !apiKey) {
+                return cb(err, null);
+            }
+            else if (apiKey.revoked) {
+                return cb(null, ApiKeyService.sanitize(apiKey));
+            }
+
+            apiKey.revoked = new Date();
+            self.dao.save(apiKey, function(err) {
+                cb(err, ApiKeyService.sanitize(apiKey));
+            });
+        });
+    };
+
+    /**
+     * Finds the active key and its owner
+     * @method authenticate
+     * @param {String} key
+     * @param {Function} cb (Error, Object) Provides an object with the
+     * "apiKey" and its owner as "user" or NULL when the key is not valid
+     */
+    ApiKeyService.prototype.authenticate = function(key, cb) {
+        if (!ApiKeyService.isKey(key)) {
+            return cb(null, null);
+        }
+
+        var self = this;
+        this.dao.loadByValue('key_hash', ApiKeyService.hashKey(key), TYPE, function(err, apiKey) {
+            if (util.isError(err) || !ApiKeyService.isActive(apiKey)) {
+                return cb(err, null);
+            }
+
+            var dao = new pb.DAO();
+            dao.loadById(apiKey.owner, 'user', function(err, user) {
+                if (util.isError(err) || !user) {
+                    return cb(err, null);
+                }
+
+                self.touch(apiKey);
+                cb(null, {apiKey: ApiKeyService.sanitize(apiKey), user: user});
+            });
+        });
+    };
+
+    /**
+     * Records when the key was last used.  The update happens in the
+     * background and at most once per LAST_USED_INTERVAL.
+     * @method touch
+     * @param {Object} apiKey
+     */
+    ApiKeyService.prototype.touch = function(apiKey) {
+        var now = new Date();
+        if (apiKey.last_used && now.getTime() - new Date(apiKey.last_used).getTime() < ApiKeyService.LAST_USED_INTERVAL) {
+            return;
+        }
+
+        apiKey.last_used = now;
+        var where = pb.DAO.getIdWhere(apiKey[pb.DAO.getIdField()]);
+        this.dao.updateFields(TYPE, where, {$set: {last_used: now}}, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('ApiKeyService: Failed to update the last used time of key [%s]: %s', apiKey.key_prefix, err.stack);
+            }
+        });
+    };
+
+    /**
+     * Removes the key hash so that the key can be provided to the client
+     * @static
+     * @method sanitize
+     * @param {Object} apiKey
+     * @return {Object}
+     */
+    ApiKeyService.sanitize = function(apiKey) {
+        if (util.isObject(apiKey)) {
+            delete apiKey.key_hash;
+        }
+        return apiKey;
+    };
+
+    /**
+     *
+     * @static
+     * @method format
+     * @param {Object} context
+     * @param {ApiKeyService} context.service An instance of the service that
+     * triggered the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    ApiKeyService.format = function(context, cb) {
+        var dto = context.data;
+        dto.name = BaseObjectService.sanitize(dto.name);
+
+        if (pb.ValidationService.isInt(dto.access_level, true)) {
+            dto.access_level = parseInt(dto.access_level);
+        }
+        if (util.isArray(dto.permissions)) {
+            dto.permissions = dto.permissions.filter(function(permission) {
+                return pb.ValidationService.isNonEmptyStr(permission, true);
+            });
+        }
+        else {
+            dto.permissions = null;
+        }
+        cb(null);
+    };
+
+    /**
+     *
+     * @static
+     * @method merge
+     * @param {Object} context
+     * @param {Object} context.data The DTO
+     * @param {Object} context.object The object to be persisted
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    ApiKeyService.merge = function(context, cb) {
+        var dto = context.data;
+        var obj = context.object;
+
+        obj.name = dto.name;
+        obj.access_level = dto.access_level;
+        obj.permissions = dto.permissions;
+
+        if (context.isCreate) {
+            var session = context.service.context.session;
+            obj.owner = session && session.authentication ? session.authentication.user_id : null;
+            obj.key_hash = ApiKeyService.isKey(dto.key) ? ApiKeyService.hashKey(dto.key) : null;
+            obj.key_prefix = ApiKeyService.isKey(dto.key) ? ApiKeyService.getKeyPrefix(dto.key) : null;
+            obj.last_used = null;
+            obj.revoked = null;
+        }
+        cb(null);
+    };
+
+    /**
+     *
+     * @static
+     * @method validate
+     * @param {Object} context
+     * @param {Object} context.data The object to be persisted
+     * @param {Array} context.validationErrors
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    ApiKeyService.validate = function(context, cb) {
+        var obj = context.data;
+        var errors = context.validationErrors;
+
+        if (!pb.ValidationService.isNonEmptyStr(obj.name, true)) {
+            errors.push(BaseObjectService.validationFailure('name', 'Name is required'));
+        }
+        if (!pb.ValidationService.isNonEmptyStr(obj.key_hash, true)) {
+            errors.push(BaseObjectService.validationFailure('key', 'Keys can only be generated by the service'));
+        }
+        if (!pb.ValidationService.isNonEmptyStr(obj.owner, true)) {
+            errors.push(BaseObjectService.validationFailure('owner', 'An authenticated owner is required'));
+        }
+
+        //a key cannot grant more access than the user creating it has
+        var session = context.service.context.session;
+        var maxLevel = session && session.authentication ? session.authentication.admin_level : pb.SecurityService.ACCESS_USER;
+        if (!util.isNumber(obj.access_level) || obj.access_level < pb.SecurityService.ACCESS_USER || obj.access_level > maxLevel) {
+            errors.push(BaseObjectService.validationFailure('access_level', 'An access level no greater than your own is required'));
+        }
+        cb(null);
+    };
+
+    /**
+     * Removes the key hash from keys provided by the service
+     * @static
+     * @method removeKeyHash
+     * @param {Object} context
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    ApiKeyService.removeKeyHash = function(context, cb) {
+        var data = context.data;
+        if (util.isArray(data)) {
+            data.forEach(ApiKeyService.sanitize);
+        }
+        else {
+            ApiKeyService.sanitize(data);
+        }
+        cb(null);
+    };
+
+    //Event Registries
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, ApiKeyService.format);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, ApiKeyService.merge);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, ApiKeyService.validate);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.GET, ApiKeyService.removeKeyHash);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.GET_ALL, ApiKeyService.removeKeyHash);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.AFTER_SAVE, ApiKeyService.removeKeyHash);
+
+    //exports
+    return ApiKeyService;
+};
@@ -152,6 +152,9 @@ module.exports = function ArticleServiceModule(pb) {
         if(!where.draft) {
             where.draft = {$ne: 1};
         }
+        if(!where.expiry_date) {
+            pb.ContentObjectService.setUnexpiredClause(where);
+        }
 
         //build out the ordering
         var order;
@@ -359,6 +362,7 @@ module.exports = function ArticleServiceModule(pb) {
                         created: pb.DAO.ASC
                     }
                 };
+                pb.CommentService.setVisibleClause(opts.where);
                 var dao   = new pb.DAO();
                 dao.q('comment', opts, function(err, comments) {
                     if(util.isError(err) || comments.length == 0) {
@@ -366,7 +370,7 @@ module.exports = function ArticleServiceModule(pb) {
                     }
 
                     self.getCommenters(comments, contentSettings, function(err, commentsWithCommenters) {
-                        article.comments = commentsWithCommenters;
+                        article.comments = pb.CommentService.buildThreads(commentsWithCommenters);
                         cb(null, null);
                     });
                 });
@@ -689,6 +693,11 @@ module.exports = function ArticleServiceModule(pb) {
 
         var mediaStyleString = flag.style;
 
+        //the placement is no longer displayed once it has expired
+        if (pb.MediaService.isFlagExpired(flag)) {
+            return cb(null, layout.replace(flag.flag, ''));
+        }
+
         var data = mediaCache[flag.id];
         if (!data) {
             pb.log.warn("MediaLoader: Content contains reference to missing media [%s].", flag.id);
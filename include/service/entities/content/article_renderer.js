@@ -219,13 +219,14 @@ module.exports = function(pb) {
                 created: pb.DAO.ASC
             }
         };
+        pb.CommentService.setVisibleClause(opts.where);
         this.commentService.getAll(opts, function(err, comments) {
             if(util.isError(err) || comments.length == 0) {
                 return cb(err);
             }
 
             self.getCommenters(comments, context.contentSettings, function(err, commentsWithCommenters) {
-                content.comments = commentsWithCommenters;
+                content.comments = pb.CommentService.buildThreads(commentsWithCommenters);
                 cb(null, null);
             });
         });
@@ -26,6 +26,7 @@ module.exports = function(pb) {
     var BaseObjectService    = pb.BaseObjectService;
     var ContentObjectService = pb.ContentObjectService;
     var ValidationService    = pb.ValidationService;
+    var ContentTranslationService = pb.ContentTranslationService;
 
     /**
      * Provides functions to interact with articles
@@ -141,12 +142,18 @@ module.exports = function(pb) {
         dto.meta_desc = BaseObjectService.sanitize(dto.meta_desc);
         dto.url = BaseObjectService.sanitize(dto.url);
         dto.publish_date = BaseObjectService.getDate(dto.publish_date);
+        if (!util.isNullOrUndefined(dto.expiry_date)) {
+            dto.expiry_date = BaseObjectService.getDate(dto.expiry_date);
+        }
 
         if (util.isArray(dto.meta_keywords)) {
             for (var i = 0; i < dto.meta_keywords.length; i++) {
                 dto.meta_keywords[i] = BaseObjectService.sanitize(dto.meta_keywords[i]);
             }
         }
+        if (!util.isNullOrUndefined(dto.translations)) {
+            dto.translations = ContentTranslationService.sanitize(TYPE, dto.translations);
+        }
 
         cb(null);
     };
@@ -166,6 +173,9 @@ module.exports = function(pb) {
 
         obj.author = dto.author;
         obj.publish_date = dto.publish_date;
+        if (dto.expiry_date !== undefined) {
+            obj.expiry_date = dto.expiry_date;
+        }
         obj.meta_keywords = dto.meta_keywords;
         obj.article_media = dto.article_media;
         obj.article_sections = dto.article_sections;
@@ -181,6 +191,9 @@ module.exports = function(pb) {
         obj.thumbnail = dto.thumbnail;
         obj.draft = dto.draft;
         obj.article_layout = dto.article_layout;
+        if (dto.translations !== undefined) {
+            obj.translations = dto.translations;
+        }
 
         cb(null);
     };
@@ -206,6 +219,7 @@ module.exports = function(pb) {
         if (!ValidationService.isDate(obj.publish_date, true)) {
             errors.push(BaseObjectService.validationFailure('publish_date', 'Publish date is required'));
         }
+        ContentObjectService.validateExpiryDate(obj, errors);
 
         if (!util.isArray(obj.meta_keywords)) {
             if (!util.isNullOrUndefined(obj.meta_keywords)) {
@@ -316,6 +330,8 @@ module.exports = function(pb) {
             errors.push(BaseObjectService.validationFailure('article_layout', 'The layout is required'));
         }
 
+        ContentTranslationService.validate(TYPE, obj.translations, errors);
+
         cb(null);
     };
 
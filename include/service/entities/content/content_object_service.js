@@ -27,6 +27,7 @@ module.exports = function(pb) {
     var BaseObjectService = pb.BaseObjectService;
     var ValidationService = pb.ValidationService;
     var TopicService      = pb.TopicService;
+    var ContentTranslationService = pb.ContentTranslationService;
 
     /**
      * Provides functions to interact with content such as articles and pages.  
@@ -62,6 +63,20 @@ module.exports = function(pb) {
          */
         this.site = context.site;
 
+        /**
+         * The locale that content is translated into when rendered
+         * @property locale
+         * @type {String}
+         */
+        this.locale = util.isObject(context.ls) ? context.ls.language : null;
+
+        /**
+         * The locale of the content's own fields
+         * @property defaultLocale
+         * @type {String}
+         */
+        this.defaultLocale = util.isObject(context.siteObj) ? context.siteObj.defaultLocale : null;
+
         //call the super constructor
         ContentObjectService.super_.call(this, context);
     }
@@ -164,7 +179,8 @@ module.exports = function(pb) {
 
             var renderOptions = self.getRenderOptions(options, false);
 
-            //complete the rendering
+            //complete the rendering in the requested locale
+            self.localize([content]);
             self.render([content], renderOptions, function(err/*, contentArray*/) {
                 cb(err, content);
             });
@@ -238,7 +254,8 @@ module.exports = function(pb) {
 
             var renderOptions = self.getRenderOptions(options, true);
 
-            //complete the rendering
+            //complete the rendering in the requested locale
+            self.localize(contentArray);
             self.render(contentArray, renderOptions, cb);
         };
         ContentObjectService.super_.prototype.getAll.apply(this, [options, afterGetAll]);
@@ -308,6 +325,18 @@ module.exports = function(pb) {
         });
     };
     
+    /**
+     * Replaces the translatable fields of each piece of content with the
+     * variant for the service's locale.  Content without a translation for the
+     * locale falls back to the default locale.
+     * @method localize
+     * @param {Array} contentArray
+     * @return {Array} The content
+     */
+    ContentObjectService.prototype.localize = function(contentArray) {
+        return ContentTranslationService.resolveAll(this.getType(), contentArray, this.locale, this.defaultLocale);
+    };
+
     /**
      *
      * @method gatherDataForRender
@@ -363,11 +392,12 @@ module.exports = function(pb) {
      * @method getMetaInfo
      * @param {Object} content The content to retrieve information for
      * @param {Function} cb A callback that takes two parameters.  The first is 
-     * an Error, if occurred.  The second is an object that contains 4 
+     * an Error, if occurred.  The second is an object that contains 5 
      * properties: 
      * title - the SEO title, 
      * description - the SEO description, 
      * keywords - an array of SEO keywords that describe the content, 
+     * locale - the locale of the content, when it has been localized, 
      * thumbnail - a URI path to the thumbnail image 
      */
     ContentObjectService.prototype.getMetaInfo = function(content, cb) {
@@ -427,7 +457,8 @@ module.exports = function(pb) {
                 //meta keywords
                 var opts = {
                     select: {
-                        name: 1
+                        name: 1,
+                        translations: 1
                     },
                     where: pb.DAO.getIdInWhere(topics)
                 };
@@ -435,6 +466,7 @@ module.exports = function(pb) {
                     if (util.isError(err)) {
                         return callback(err);
                     }
+                    ContentTranslationService.resolveAll('topic', topics, self.locale, self.defaultLocale);
 
                     //add to the key word hash.  It is ok if we overwrite an existing 
                     //value since it is a hash. We just want a unique set.
@@ -446,6 +478,11 @@ module.exports = function(pb) {
                 });
             },
             
+            //the locale the content is represented in
+            locale: function(callback) {
+                callback(null, content.locale || null);
+            },
+
             thumbnail: function(callback) {
                 
                 //no media so skip
@@ -480,7 +517,9 @@ module.exports = function(pb) {
     };
     
     /**
-     *
+     * Restricts a query to content that is in the published workflow state
+     * and whose publish date has passed.  Content persisted before the
+     * workflow was introduced has no state and relies on the draft flag.
      * @static
      * @method setPublishedClause
      * @param {Object} where
@@ -489,9 +528,95 @@ module.exports = function(pb) {
         where.draft = {
             $nin: [1, true]
         };
+        where.workflow_state = {
+            $in: [pb.config.workflow.published, null]
+        };
         where.publish_date = {
             $lte: new Date()
         };
+        ContentObjectService.setUnexpiredClause(where);
+    };
+    
+    /**
+     * Restricts a query to content that either has no expiry date or whose
+     * expiry date has not yet passed.
+     * @static
+     * @method setUnexpiredClause
+     * @param {Object} where
+     * @param {Date} [now] The point in time to compare against.  Defaults to
+     * the current date & time
+     */
+    ContentObjectService.setUnexpiredClause = function(where, now) {
+        where.expiry_date = {
+            $not: {
+                $lte: now || new Date()
+            }
+        };
+    };
+    
+    /**
+     * Determines if the content has passed its expiry date
+     * @static
+     * @method isExpired
+     * @param {Object} content
+     * @param {Date} [now] The point in time to compare against.  Defaults to
+     * the current date & time
+     * @return {Boolean}
+     */
+    ContentObjectService.isExpired = function(content, now) {
+        if (!util.isObject(content) || !util.isDate(content.expiry_date)) {
+            return false;
+        }
+        return content.expiry_date.getTime() <= (now || new Date()).getTime();
+    };
+    
+    /**
+     * Validates the optional expiry date of a piece of content.  When provided
+     * it must be a date that comes after the publish date.
+     * @static
+     * @method validateExpiryDate
+     * @param {Object} content The formatted DTO
+     * @param {Array} errors The list of validation failures to append to
+     */
+    ContentObjectService.validateExpiryDate = function(content, errors) {
+        if (util.isNullOrUndefined(content.expiry_date)) {
+            return;
+        }
+        
+        if (!ValidationService.isDate(content.expiry_date, true)) {
+            errors.push(BaseObjectService.validationFailure('expiry_date', 'An invalid expiry date was provided'));
+        }
+        else if (util.isDate(content.publish_date) && content.expiry_date.getTime() <= content.publish_date.getTime()) {
+            errors.push(BaseObjectService.validationFailure('expiry_date', 'The expiry date must come after the publish date'));
+        }
+    };
+    
+    /**
+     * Retrieves the published content that will expire within the specified
+     * number of days.  The content that expires first is provided first.
+     * @method getExpiring
+     * @param {Integer} [days] Defaults to the "expiry.expiring_soon" configuration
+     * @param {Function} cb (Error, Array)
+     */
+    ContentObjectService.prototype.getExpiring = function(days, cb) {
+        if (util.isFunction(days)) {
+            cb = days;
+            days = pb.config.expiry.expiring_soon;
+        }
+        
+        var now = new Date();
+        var where = {};
+        ContentObjectService.setPublishedClause(where);
+        where.expiry_date = {
+            $gt: now,
+            $lte: new Date(now.getTime() + (days * util.TIME.MILLIS_PER_DAY))
+        };
+        
+        var options = {
+            where: where,
+            order: [{expiry_date: DAO.ASC}]
+        };
+        this.getAll(options, cb);
     };
     
     return ContentObjectService;
@@ -0,0 +1,728 @@
+/*
+ Copyright (C) 2016  PencilBlue, LLC
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+//dependencies
+var util        = require('../../../util.js');
+var async       = require('async');
+var HtmlEncoder = require('htmlencode');
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var DAO                       = pb.DAO;
+    var BaseObjectService         = pb.BaseObjectService;
+    var ContentObjectService      = pb.ContentObjectService;
+    var ContentTranslationService = pb.ContentTranslationService;
+
+    /**
+     * Maintains and queries the full-text search index for articles and pages.
+     * Each piece of content is flattened into a single document in the search
+     * index collection that carries the searchable text along with the fields
+     * required to filter out unpublished content.  The text of the content's
+     * translations is indexed with it.  The index is kept current by
+     * listening to the AFTER_SAVE and AFTER_DELETE events of the
+     * BaseObjectService and content that is missing from it is indexed at
+     * startup.
+     * @class ContentSearchService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site] The site UID to search within
+     * @param {String} [context.hostname] The hostname used to build links to results
+     */
+    function ContentSearchService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = pb.SiteService.getCurrentSite(context.site);
+
+        /**
+         * @property hostname
+         * @type {String}
+         */
+        this.hostname = context.hostname;
+
+        /**
+         * @property dao
+         * @type {SiteQueryService}
+         */
+        this.dao = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
+    }
+
+    /**
+     * The collection that stores the search index
+     * @static
+     * @readonly
+     * @property COLLECTION
+     * @type {String}
+     */
+    ContentSearchService.COLLECTION = 'search_index';
+
+    /**
+     * The minimum number of characters a search term must contain
+     * @static
+     * @readonly
+     * @property MIN_TERM_LENGTH
+     * @type {Integer}
+     */
+    ContentSearchService.MIN_TERM_LENGTH = 2;
+
+    /**
+     * The approximate number of characters provided in a result snippet
+     * @static
+     * @readonly
+     * @property SNIPPET_LENGTH
+     * @type {Integer}
+     */
+    ContentSearchService.SNIPPET_LENGTH = 160;
+
+    /**
+     * The name of the lock that ensures only one process in the cluster builds
+     * missing index entries at a time
+     * @private
+     * @static
+     * @readonly
+     * @property BUILD_LOCK_NAME
+     * @type {String}
+     */
+    var BUILD_LOCK_NAME = 'content_search_build';
+
+    /**
+     * The number of seconds that the build lock is held for
+     * @private
+     * @static
+     * @readonly
+     * @property BUILD_LOCK_TIMEOUT
+     * @type {Integer}
+     */
+    var BUILD_LOCK_TIMEOUT = 600;
+
+    /**
+     * Describes where the searchable fields live for each supported content
+     * type
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE_DESCRIPTORS
+     * @type {Object}
+     */
+    var TYPE_DESCRIPTORS = Object.freeze({
+        article: {
+            layout: 'article_layout',
+            topics: 'article_topics',
+            sections: 'article_sections',
+            urlPrefix: '/article'
+        },
+        page: {
+            layout: 'page_layout',
+            topics: 'page_topics',
+            sections: null,
+            urlPrefix: '/page'
+        }
+    });
+
+    /**
+     * Matches the media flags that are embedded in content layouts
+     * @private
+     * @static
+     * @readonly
+     * @property MEDIA_FLAG_REGEX
+     * @type {RegExp}
+     */
+    var MEDIA_FLAG_REGEX = /\^media_display_[^\^]*\^/g;
+
+    /**
+     * Retrieves the content types that can be searched
+     * @static
+     * @method getSupportedTypes
+     * @return {Array}
+     */
+    ContentSearchService.getSupportedTypes = function() {
+        return Object.keys(TYPE_DESCRIPTORS);
+    };
+
+    /**
+     * Determines if the specified content type can be searched
+     * @static
+     * @method isSupportedType
+     * @param {String} type
+     * @return {Boolean}
+     */
+    ContentSearchService.isSupportedType = function(type) {
+        return util.isString(type) && TYPE_DESCRIPTORS.hasOwnProperty(type);
+    };
+
+    /**
+     * Executes a search against the index.  Only published content is
+     * considered.  Results are ranked by relevance.
+     * @method search
+     * @param {String} query The raw search string
+     * @param {Object} [options]
+     * @param {Array} [options.types] The content types to search. Defaults to all supported types
+     * @param {Integer} [options.limit]
+     * @param {Integer} [options.offset=0]
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and a paged result (see BaseObjectService.getPagedResult)
+     */
+    ContentSearchService.prototype.search = function(query, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
+
+        var limit  = BaseObjectService.getLimit(options.limit);
+        var offset = options.offset > 0 ? options.offset : 0;
+        var terms  = ContentSearchService.tokenize(query);
+        if (terms.length === 0) {
+            return cb(null, BaseObjectService.getPagedResult([], 0, limit, offset));
+        }
+
+        var types = util.isArray(options.types) && options.types.length ? options.types : ContentSearchService.getSupportedTypes();
+        var where = {
+            $text: {
+                $search: terms.join(' ')
+            },
+            object_type: {
+                $in: types
+            }
+        };
+        ContentObjectService.setPublishedClause(where);
+
+        var self = this;
+        var tasks = {
+
+            total: util.wrapTask(this.dao, this.dao.count, [ContentSearchService.COLLECTION, where]),
+
+            data: function(callback) {
+                var opts = {
+                    where: where,
+                    select: {
+                        score: {$meta: 'textScore'}
+                    },
+                    order: {
+                        score: {$meta: 'textScore'}
+                    },
+                    limit: limit,
+                    offset: offset
+                };
+                self.dao.q(ContentSearchService.COLLECTION, opts, callback);
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var items = results.data.map(function(entry) {
+                return self.formatResult(entry, terms);
+            });
+            cb(null, BaseObjectService.getPagedResult(items, results.total, limit, offset));
+        });
+    };
+
+    /**
+     * Converts an index entry into a search result that contains a snippet of
+     * the matching text and highlighted versions of the headline and
+     * subheading.
+     * @method formatResult
+     * @param {Object} entry The search index document
+     * @param {Array} terms The search terms
+     * @return {Object}
+     */
+    ContentSearchService.prototype.formatResult = function(entry, terms) {
+        var descriptor = TYPE_DESCRIPTORS[entry.object_type];
+        var link = descriptor ?
+            pb.UrlService.createSystemUrl(pb.UrlService.urlJoin(descriptor.urlPrefix, entry.url), { hostname: this.hostname }) : null;
+
+        var result = {
+            object_type: entry.object_type,
+            headline: entry.headline,
+            subheading: entry.subheading,
+            url: entry.url,
+            link: link,
+            publish_date: entry.publish_date,
+            score: entry.score,
+            snippet: ContentSearchService.getSnippet(entry.body, terms),
+            highlights: {
+                headline: ContentSearchService.highlight(entry.headline, terms),
+                subheading: ContentSearchService.highlight(entry.subheading, terms)
+            }
+        };
+        result[DAO.getIdField()] = entry.object_id;
+        return result;
+    };
+
+    /**
+     * Adds or replaces the index entry for the provided content object
+     * @method index
+     * @param {String} type The content type (article, page)
+     * @param {Object} content The persisted content object
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and the entry that was indexed
+     */
+    ContentSearchService.prototype.index = function(type, content, cb) {
+        if (!ContentSearchService.isSupportedType(type)) {
+            return cb(new Error('The type '+type+' cannot be indexed for search'));
+        }
+        if (!util.isObject(content) || util.isNullOrUndefined(content[DAO.getIdField()])) {
+            return cb(new Error('The content parameter must be a persisted object'));
+        }
+
+        var self       = this;
+        var descriptor = TYPE_DESCRIPTORS[type];
+        var tasks = {
+            topics: util.wrapTask(this, this.getNames, ['topic', content[descriptor.topics]]),
+            sections: util.wrapTask(this, this.getNames, ['section', descriptor.sections ? content[descriptor.sections] : null])
+        };
+        async.parallel(tasks, function(err, names) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var entry = ContentSearchService.buildEntry(type, content, names.topics, names.sections);
+            entry.site = self.site;
+
+            var where = {
+                object_type: type,
+                object_id: entry.object_id
+            };
+            self.dao.updateFields(ContentSearchService.COLLECTION, where, {$set: entry}, {upsert: true}, function(err) {
+                cb(err, entry);
+            });
+        });
+    };
+
+    /**
+     * Removes the index entry for the specified content
+     * @method remove
+     * @param {String} type The content type
+     * @param {String} id The content ID
+     * @param {Function} cb
+     */
+    ContentSearchService.prototype.remove = function(type, id, cb) {
+        var where = {
+            object_type: type,
+            object_id: id + ''
+        };
+        this.dao.delete(where, ContentSearchService.COLLECTION, cb);
+    };
+
+    /**
+     * Drops all index entries for the site and re-indexes every article and
+     * page that belongs to it.
+     * @method rebuild
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and the number of content objects indexed
+     */
+    ContentSearchService.prototype.rebuild = function(cb) {
+        var self  = this;
+        var count = 0;
+
+        var where = {};
+        where[pb.SiteService.SITE_FIELD] = this.site;
+        this.dao.delete(where, ContentSearchService.COLLECTION, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            async.eachSeries(ContentSearchService.getSupportedTypes(), function(type, typeCallback) {
+                self.dao.q(type, {}, function(err, contentArray) {
+                    if (util.isError(err)) {
+                        return typeCallback(err);
+                    }
+
+                    async.eachSeries(contentArray, function(content, contentCallback) {
+                        count++;
+                        self.index(type, content, contentCallback);
+                    }, typeCallback);
+                });
+            }, function(err) {
+                cb(err, count);
+            });
+        });
+    };
+
+    /**
+     * Indexes the articles and pages of the site that do not have an entry in
+     * the index.  Used to add content that was created before search was
+     * indexed.
+     * @method indexMissing
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and the number of content objects indexed
+     */
+    ContentSearchService.prototype.indexMissing = function(cb) {
+        var self  = this;
+        var count = 0;
+        async.eachSeries(ContentSearchService.getSupportedTypes(), function(type, typeCallback) {
+            var opts = {
+                select: {object_id: 1},
+                where: {object_type: type}
+            };
+            self.dao.q(ContentSearchService.COLLECTION, opts, function(err, entries) {
+                if (util.isError(err)) {
+                    return typeCallback(err);
+                }
+
+                var indexed = util.arrayToHash(entries.map(function(entry) {
+                    return entry.object_id;
+                }));
+                self.dao.q(type, {}, function(err, contentArray) {
+                    if (util.isError(err)) {
+                        return typeCallback(err);
+                    }
+
+                    async.eachSeries(contentArray, function(content, contentCallback) {
+                        if (indexed[content[DAO.getIdField()] + '']) {
+                            return contentCallback();
+                        }
+                        count++;
+                        self.index(type, content, contentCallback);
+                    }, typeCallback);
+                });
+            });
+        }, function(err) {
+            cb(err || null, count);
+        });
+    };
+
+    /**
+     * Retrieves the names of the referenced objects (topics or sections)
+     * @method getNames
+     * @param {String} collection
+     * @param {Array} ids
+     * @param {Function} cb A callback that provides an error, if occurred, and
+     * an array of names
+     */
+    ContentSearchService.prototype.getNames = function(collection, ids, cb) {
+        if (!util.isArray(ids) || ids.length === 0) {
+            return cb(null, []);
+        }
+
+        var opts = {
+            select: {
+                name: 1
+            },
+            where: DAO.getIdInWhere(ids)
+        };
+        this.dao.q(collection, opts, function(err, items) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, items.map(function(item) {
+                return item.name;
+            }));
+        });
+    };
+
+    /**
+     * Flattens a content object into a search index entry
+     * @static
+     * @method buildEntry
+     * @param {String} type
+     * @param {Object} content
+     * @param {Array} [topicNames]
+     * @param {Array} [sectionNames]
+     * @return {Object}
+     */
+    ContentSearchService.buildEntry = function(type, content, topicNames, sectionNames) {
+        var descriptor = TYPE_DESCRIPTORS[type];
+        return {
+            object_type: type,
+            object_id: content[DAO.getIdField()] + '',
+            headline: content.headline || '',
+            subheading: content.subheading || '',
+            body: ContentSearchService.getText(content[descriptor.layout]),
+            keywords: util.isArray(content.meta_keywords) ? content.meta_keywords.join(' ') : '',
+            topics: util.isArray(topicNames) ? topicNames.join(' ') : '',
+            sections: util.isArray(sectionNames) ? sectionNames.join(' ') : '',
+            translations: ContentSearchService.getTranslatedText(type, content),
+            url: content.url,
+            draft: content.draft,
+            publish_date: content.publish_date,
+            expiry_date: content.expiry_date || null
+        };
+    };
+
+    /**
+     * Combines the searchable text of every translation of a content object
+     * so that content can be found in any of its locales
+     * @static
+     * @method getTranslatedText
+     * @param {String} type
+     * @param {Object} content
+     * @return {String}
+     */
+    ContentSearchService.getTranslatedText = function(type, content) {
+        var descriptor = TYPE_DESCRIPTORS[type];
+        var parts = ContentTranslationService.getValues(content, 'headline')
+            .concat(ContentTranslationService.getValues(content, 'subheading'))
+            .concat(ContentTranslationService.getValues(content, 'meta_keywords').map(function(keywords) {
+                return util.isArray(keywords) ? keywords.join(' ') : '';
+            }))
+            .concat(ContentTranslationService.getValues(content, descriptor.layout).map(ContentSearchService.getText));
+        return parts.filter(function(part) {
+            return util.isString(part) && part.length > 0;
+        }).join(' ');
+    };
+
+    /**
+     * Strips HTML markup, media flags and HTML entities from a layout leaving
+     * only the readable text
+     * @static
+     * @method getText
+     * @param {String} layout
+     * @return {String}
+     */
+    ContentSearchService.getText = function(layout) {
+        if (!util.isString(layout)) {
+            return '';
+        }
+
+        var text = layout.replace(MEDIA_FLAG_REGEX, ' ')
+            .replace(/<\/?[^>]+(>|$)/g, ' ');
+        return HtmlEncoder.htmlDecode(text).replace(/\s+/g, ' ').trim();
+    };
+
+    /**
+     * Splits a raw search string into distinct, lower case terms.  Terms that
+     * are shorter than MIN_TERM_LENGTH are discarded.
+     * @static
+     * @method tokenize
+     * @param {String} query
+     * @return {Array}
+     */
+    ContentSearchService.tokenize = function(query) {
+        if (!util.isString(query)) {
+            return [];
+        }
+
+        var seen = {};
+        return query.toLowerCase().split(/[^\w\u00C0-\uFFFF]+/).filter(function(term) {
+            if (term.length < ContentSearchService.MIN_TERM_LENGTH || seen[term]) {
+                return false;
+            }
+            return (seen[term] = true);
+        });
+    };
+
+    /**
+     * Builds a regular expression that matches any of the terms at the start of
+     * a word.  The remainder of the word is included so that stemmed matches
+     * (e.g. "run" -> "running") are captured.
+     * @private
+     * @static
+     * @method getTermPattern
+     * @param {Array} terms
+     * @return {RegExp}
+     */
+    function getTermPattern(terms) {
+        var escaped = terms.map(function(term) {
+            return util.escapeRegExp(term);
+        });
+        return new RegExp('(^|[^\\w])((?:' + escaped.join('|') + ')\\w*)', 'gi');
+    }
+
+    /**
+     * HTML encodes the text and wraps each occurrence of the terms in a
+     * "mark" element
+     * @static
+     * @method highlight
+     * @param {String} text
+     * @param {Array} terms
+     * @return {String}
+     */
+    ContentSearchService.highlight = function(text, terms) {
+        if (!util.isString(text) || text.length === 0) {
+            return '';
+        }
+        else if (!util.isArray(terms) || terms.length === 0) {
+            return HtmlEncoder.htmlEncode(text);
+        }
+
+        var pattern = getTermPattern(terms);
+        var result  = '';
+        var last    = 0;
+        var match;
+        while ((match = pattern.exec(text)) !== null) {
+            var start = match.index + match[1].length;
+            result += HtmlEncoder.htmlEncode(text.substring(last, start)) +
+                '<mark>' + HtmlEncoder.htmlEncode(match[2]) + '</mark>';
+            last = start + match[2].length;
+        }
+        return result + HtmlEncoder.htmlEncode(text.substring(last));
+    };
+
+    /**
+     * Extracts a highlighted window of text centered around the first
+     * occurrence of any of the terms.  When none of the terms occur in the text
+     * the beginning of the text is used.
+     * @static
+     * @method getSnippet
+     * @param {String} text
+     * @param {Array} terms
+     * @param {Integer} [length=SNIPPET_LENGTH]
+     * @return {String}
+     */
+    ContentSearchService.getSnippet = function(text, terms, length) {
+        if (!util.isString(text) || text.length === 0) {
+            return '';
+        }
+        if (!pb.ValidationService.isInt(length, true, true) || length <= 0) {
+            length = ContentSearchService.SNIPPET_LENGTH;
+        }
+
+        var start = 0;
+        if (util.isArray(terms) && terms.length > 0) {
+            var match = getTermPattern(terms).exec(text);
+            if (match) {
+                start = Math.max(0, match.index - Math.floor(length / 4));
+            }
+        }
+
+        //snap to word boundaries so we don't cut words in half
+        if (start > 0) {
+            var space = text.indexOf(' ', start);
+            start = space >= 0 && space < start + length ? space + 1 : start;
+        }
+        var end = Math.min(text.length, start + length);
+        if (end < text.length) {
+            var lastSpace = text.lastIndexOf(' ', end);
+            end = lastSpace > start ? lastSpace : end;
+        }
+
+        return (start > 0 ? '&hellip;' : '') +
+            ContentSearchService.highlight(text.substring(start, end), terms) +
+            (end < text.length ? '&hellip;' : '');
+    };
+
+    /**
+     * Indexes the content of each site that is missing from the index so that
+     * content created before search was indexed can be found.  Only one
+     * process in the cluster builds at a time.
+     * @static
+     * @method buildMissing
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and the UIDs of the sites that had content indexed
+     */
+    ContentSearchService.buildMissing = function(cb) {
+        var lockService = new pb.LockService();
+        lockService.acquire(BUILD_LOCK_NAME, {timeout: BUILD_LOCK_TIMEOUT}, function(err, acquired) {
+            if (util.isError(err) || !acquired) {
+                return cb(err, []);
+            }
+
+            var built = [];
+            var siteService = new pb.SiteService();
+            siteService.getAllSites(function(err, sites) {
+                if (util.isError(err)) {
+                    return lockService.release(BUILD_LOCK_NAME, function() {
+                        cb(err, built);
+                    });
+                }
+
+                var uids = [pb.SiteService.GLOBAL_SITE].concat(sites.map(function(site) {
+                    return site.uid;
+                }));
+                async.eachSeries(uids, function(site, callback) {
+                    var service = new ContentSearchService({site: site});
+                    service.indexMissing(function(err, count) {
+                        if (!util.isError(err) && count > 0) {
+                            pb.log.info('ContentSearchService: Indexed %d articles and pages of site %s for search', count, site);
+                            built.push(site);
+                        }
+                        callback(err);
+                    });
+                }, function(err) {
+                    lockService.release(BUILD_LOCK_NAME, function(releaseErr) {
+                        cb(err || releaseErr || null, built);
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Builds the missing index entries in the background.  Should only be
+     * called once at startup.
+     * @static
+     * @method init
+     * @param {Function} cb
+     */
+    ContentSearchService.init = function(cb) {
+        ContentSearchService.buildMissing(function(err) {
+            if (util.isError(err)) {
+                pb.log.error('ContentSearchService: Failed to build the missing search index entries. %s', err.stack);
+            }
+        });
+        cb(null, true);
+    };
+
+    /**
+     * Updates the search index when an article or page is saved
+     * @static
+     * @method onAfterSave
+     * @param {Object} context
+     * @param {Object} context.data The object that was persisted
+     * @param {ContentObjectService} context.service
+     * @param {Function} cb
+     */
+    ContentSearchService.onAfterSave = function(context, cb) {
+        var type    = context.service.getType();
+        var service = new ContentSearchService({site: context.service.site || context.site});
+        service.index(type, context.data, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('ContentSearchService: Failed to index %s %s. %s', type, context.data[DAO.getIdField()], err.stack);
+            }
+
+            //indexing failures should not fail the save
+            cb(null);
+        });
+    };
+
+    /**
+     * Removes the index entry when an article or page is deleted
+     * @static
+     * @method onAfterDelete
+     * @param {Object} context
+     * @param {Object} context.data The object that was deleted
+     * @param {ContentObjectService} context.service
+     * @param {Function} cb
+     */
+    ContentSearchService.onAfterDelete = function(context, cb) {
+        var type    = context.service.getType();
+        var service = new ContentSearchService({site: context.service.site || context.site});
+        service.remove(type, context.data[DAO.getIdField()], function(err) {
+            if (util.isError(err)) {
+                pb.log.error('ContentSearchService: Failed to remove %s %s from the index. %s', type, context.data[DAO.getIdField()], err.stack);
+            }
+            cb(null);
+        });
+    };
+
+    //Event Registries
+    ContentSearchService.getSupportedTypes().forEach(function(type) {
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, ContentSearchService.onAfterSave);
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_DELETE, ContentSearchService.onAfterDelete);
+    });
+
+    //exports
+    return ContentSearchService;
+};
@@ -0,0 +1,527 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var util  = require('../../../util.js');
+var async = require('async');
+
+module.exports = function ContentTranslationServiceModule(pb) {
+
+    //pb dependencies
+    var BaseObjectService = pb.BaseObjectService;
+    var ValidationService = pb.ValidationService;
+
+    /**
+     * Provides the per-locale variants of content.  The fields of a document
+     * are written in the site's default locale.  Translations for the other
+     * supported locales are kept on the document under the "translations"
+     * property, keyed by locale, and only need to provide the fields that
+     * differ.  Any field that is not translated falls back to the default.
+     * @class ContentTranslationService
+     * @constructor
+     */
+    function ContentTranslationService(){}
+
+    /**
+     * The property of a document that holds its translations
+     * @static
+     * @readonly
+     * @property PROPERTY
+     * @type {String}
+     */
+    ContentTranslationService.PROPERTY = 'translations';
+
+    /**
+     * The fields that can be translated for each type of document
+     * @private
+     * @static
+     * @readonly
+     * @property FIELDS
+     * @type {Object}
+     */
+    var FIELDS = Object.freeze({
+        article: ['headline', 'subheading', 'article_layout', 'seo_title', 'meta_desc', 'meta_keywords', 'url'],
+        page: ['headline', 'subheading', 'page_layout', 'seo_title', 'meta_desc', 'meta_keywords', 'url'],
+        section: ['name', 'description', 'url'],
+        topic: ['name']
+    });
+
+    /**
+     * The fields that may contain HTML
+     * @private
+     * @static
+     * @readonly
+     * @property LAYOUT_FIELDS
+     * @type {Object}
+     */
+    var LAYOUT_FIELDS = Object.freeze({
+        article_layout: true,
+        page_layout: true
+    });
+
+    /**
+     * The fields that hold an array of strings
+     * @private
+     * @static
+     * @readonly
+     * @property ARRAY_FIELDS
+     * @type {Object}
+     */
+    var ARRAY_FIELDS = Object.freeze({
+        meta_keywords: true
+    });
+
+    /**
+     * The pattern a locale must match to be used as a key.  It also keeps keys
+     * that the database would interpret (such as those with a "." or "$") out
+     * of the translations.
+     * @private
+     * @static
+     * @readonly
+     * @property LOCALE_PATTERN
+     * @type {RegExp}
+     */
+    var LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2})?$/;
+
+    /**
+     * The pattern a translated URL slug must match.  A slug is a single path
+     * segment so it may not contain whitespace, slashes or the characters that
+     * start a query string or fragment.
+     * @private
+     * @static
+     * @readonly
+     * @property SLUG_PATTERN
+     * @type {RegExp}
+     */
+    var SLUG_PATTERN = /^[^\s\/\\?#]+$/;
+
+    /**
+     * The types of document whose URL slugs must be unique.  Sections are
+     * validated by the SectionService.
+     * @private
+     * @static
+     * @readonly
+     * @property URL_TYPES
+     * @type {Array}
+     */
+    var URL_TYPES = Object.freeze(['article', 'page']);
+
+    /**
+     * Retrieves the fields that can be translated for the type of document
+     * @static
+     * @method getFields
+     * @param {String} type The type of document. For example, "article"
+     * @return {Array} An empty array when the type can not be translated
+     */
+    ContentTranslationService.getFields = function(type) {
+        return FIELDS[type] ? FIELDS[type].slice() : [];
+    };
+
+    /**
+     * Retrieves the locales of a site that content can be translated into.
+     * The default locale is excluded because it is provided by the document's
+     * own fields.
+     * @static
+     * @method getLocales
+     * @param {Object} siteObj
+     * @param {Object} siteObj.supportedLocales
+     * @param {String} siteObj.defaultLocale
+     * @return {Array}
+     */
+    ContentTranslationService.getLocales = function(siteObj) {
+        if (!util.isObject(siteObj) || !util.isObject(siteObj.supportedLocales)) {
+            return [];
+        }
+        return Object.keys(siteObj.supportedLocales).filter(function(locale) {
+            return siteObj.supportedLocales[locale] && locale !== siteObj.defaultLocale;
+        }).sort();
+    };
+
+    /**
+     * Provides what an admin form needs to edit the translations of a type of
+     * document
+     * @static
+     * @method getFormOptions
+     * @param {String} type The type of document
+     * @param {Object} siteObj
+     * @return {Object} Contains the site's "defaultLocale", the "locales" that
+     * can be translated into, the "fields" that can be translated and the
+     * "urlPrefix" of the document's translated URL slugs
+     */
+    ContentTranslationService.getFormOptions = function(type, siteObj) {
+        return {
+            defaultLocale: util.isObject(siteObj) ? siteObj.defaultLocale : null,
+            locales: ContentTranslationService.getLocales(siteObj),
+            fields: ContentTranslationService.getFields(type),
+            urlPrefix: '/' + type + '/'
+        };
+    };
+
+    /**
+     * Retrieves the translation of a document for a locale
+     * @static
+     * @method getTranslation
+     * @param {Object} obj
+     * @param {String} locale
+     * @return {Object} NULL when the document is not translated into the locale
+     */
+    ContentTranslationService.getTranslation = function(obj, locale) {
+        if (!util.isObject(obj) || !util.isObject(obj.translations) || !util.isString(locale)) {
+            return null;
+        }
+        var translation = obj.translations[locale];
+        return util.isObject(translation) ? translation : null;
+    };
+
+    /**
+     * Replaces the translatable fields of a document with their variants for
+     * the locale.  Fields that are not translated keep the default value.  The
+     * locale of the result is set on the document's "locale" property so that
+     * a document is only ever resolved once.
+     * @static
+     * @method resolve
+     * @param {String} type The type of document
+     * @param {Object} obj The document to resolve
+     * @param {String} locale The locale being requested
+     * @param {String} [defaultLocale] The locale of the document's own fields
+     * @return {String} The locale the document is now represented in.  When
+     * the document has no translation for the locale the default locale is
+     * returned.
+     */
+    ContentTranslationService.resolve = function(type, obj, locale, defaultLocale) {
+        if (!util.isObject(obj)) {
+            return defaultLocale || null;
+        }
+        else if (obj.locale !== undefined) {
+            return obj.locale;
+        }
+
+        var translation = locale === defaultLocale ? null : ContentTranslationService.getTranslation(obj, locale);
+        if (translation === null) {
+            obj.locale = defaultLocale || null;
+            return obj.locale;
+        }
+
+        ContentTranslationService.getFields(type).forEach(function(field) {
+            if (ContentTranslationService.hasValue(translation[field])) {
+                obj[field] = translation[field];
+            }
+        });
+        obj.locale = locale;
+        return locale;
+    };
+
+    /**
+     * Resolves each document in the array
+     * @static
+     * @method resolveAll
+     * @param {String} type The type of document
+     * @param {Array} objs The documents to resolve
+     * @param {String} locale The locale being requested
+     * @param {String} [defaultLocale] The locale of the documents' own fields
+     * @return {Array} The documents
+     */
+    ContentTranslationService.resolveAll = function(type, objs, locale, defaultLocale) {
+        if (util.isArray(objs)) {
+            objs.forEach(function(obj) {
+                ContentTranslationService.resolve(type, obj, locale, defaultLocale);
+            });
+        }
+        return objs;
+    };
+
+    /**
+     * Sanitizes the translations provided for a document.  Empty values and
+     * fields that can not be translated are removed as are locales that are
+     * left without a value.  Values of an unexpected type are kept so that
+     * validation can report them.
+     * @static
+     * @method sanitize
+     * @param {String} type The type of document
+     * @param {Object} translations
+     * @return {Object} The sanitized translations or the original value when it
+     * is not an object
+     */
+    ContentTranslationService.sanitize = function(type, translations) {
+        if (!util.isObject(translations) || util.isArray(translations)) {
+            return translations;
+        }
+
+        var fields = ContentTranslationService.getFields(type);
+        var result = {};
+        util.forEach(translations, function(translation, locale) {
+            if (!util.isObject(translation) || util.isArray(translation)) {
+                result[locale] = translation;
+                return;
+            }
+
+            var sanitized = {};
+            fields.forEach(function(field) {
+                var value = ContentTranslationService.sanitizeValue(field, translation[field]);
+                if (ContentTranslationService.hasValue(value)) {
+                    sanitized[field] = value;
+                }
+            });
+            if (Object.keys(sanitized).length > 0) {
+                result[locale] = sanitized;
+            }
+        });
+        return result;
+    };
+
+    /**
+     * Sanitizes a single translated value
+     * @static
+     * @method sanitizeValue
+     * @param {String} field
+     * @param {*} value
+     * @return {*}
+     */
+    ContentTranslationService.sanitizeValue = function(field, value) {
+        if (ARRAY_FIELDS[field]) {
+            if (util.isString(value)) {
+                value = value.split(',');
+            }
+            if (!util.isArray(value)) {
+                return value;
+            }
+            return value.reduce(function(values, item) {
+                if (util.isString(item)) {
+                    item = BaseObjectService.sanitize(item.trim());
+                }
+                if (ContentTranslationService.hasValue(item)) {
+                    values.push(item);
+                }
+                return values;
+            }, []);
+        }
+        else if (!util.isString(value)) {
+            return value;
+        }
+        return BaseObjectService.sanitize(value.trim(), LAYOUT_FIELDS[field] ? BaseObjectService.getContentSanitizationRules() : undefined);
+    };
+
+    /**
+     * Validates the translations of a document.  Intended to be called from
+     * the validation handler of the document's type.
+     * @static
+     * @method validate
+     * @param {String} type The type of document
+     * @param {Object} translations
+     * @param {Array} errors The array that validation failures are added to
+     */
+    ContentTranslationService.validate = function(type, translations, errors) {
+        if (util.isNullOrUndefined(translations)) {
+            return;
+        }
+        else if (!util.isObject(translations) || util.isArray(translations)) {
+            errors.push(BaseObjectService.validationFailure(ContentTranslationService.PROPERTY, 'The translations must be an object keyed by locale'));
+            return;
+        }
+
+        var fields = util.arrayToHash(ContentTranslationService.getFields(type));
+        util.forEach(translations, function(translation, locale) {
+            var prefix = ContentTranslationService.PROPERTY + '.' + locale;
+            if (!LOCALE_PATTERN.test(locale)) {
+                errors.push(BaseObjectService.validationFailure(prefix, 'An invalid locale was provided'));
+                return;
+            }
+            else if (!util.isObject(translation) || util.isArray(translation)) {
+                errors.push(BaseObjectService.validationFailure(prefix, 'The translation must be an object'));
+                return;
+            }
+
+            util.forEach(translation, function(value, field) {
+                if (!fields[field]) {
+                    errors.push(BaseObjectService.validationFailure(prefix + '.' + field, 'The field can not be translated'));
+                }
+                else if (ARRAY_FIELDS[field]) {
+                    if (!util.isArray(value) || !value.every(function(item) { return ValidationService.isNonEmptyStr(item, true); })) {
+                        errors.push(BaseObjectService.validationFailure(prefix + '.' + field, 'The translated value must be an array of strings'));
+                    }
+                }
+                else if (!ValidationService.isStr(value, true)) {
+                    errors.push(BaseObjectService.validationFailure(prefix + '.' + field, 'The translated value must be a string'));
+                }
+                else if (field === 'url' && !ContentTranslationService.isValidSlug(value)) {
+                    errors.push(BaseObjectService.validationFailure(prefix + '.' + field, 'An invalid URL slug was provided'));
+                }
+            });
+        });
+    };
+
+    /**
+     * Verifies that the URL slugs of a document do not collide with those of
+     * other documents of the same type in the site.  Each translated slug must
+     * not be used as the URL of another document, checked the same way as the
+     * document's own URL, or as the translated slug of another document for
+     * the same locale.  The document's own URL must not be used as a
+     * translated slug of another document.  Invalid slugs are skipped because
+     * they are reported by ContentTranslationService.validate.
+     * @static
+     * @method validateUrls
+     * @param {String} type The type of document
+     * @param {Object} obj The document being validated
+     * @param {String} site The UID of the site that owns the document
+     * @param {Array} errors The array that validation failures are added to
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    ContentTranslationService.validateUrls = function(type, obj, site, errors, cb) {
+        var id         = obj[pb.DAO.getIdField()];
+        var dao        = new pb.SiteQueryService({site: site, onlyThisSite: true});
+        var urlService = new pb.UrlService(site, true);
+        var onExists   = function(field, url, callback) {
+            return function(err, exists) {
+                if (exists) {
+                    errors.push(BaseObjectService.validationFailure(field, 'The URL slug ['+url+'] already exists'));
+                }
+                callback(err);
+            };
+        };
+
+        var tasks = [];
+        if (util.isObject(obj.translations)) {
+            util.forEach(obj.translations, function(translation, locale) {
+                if (!LOCALE_PATTERN.test(locale) || !util.isObject(translation) || !ContentTranslationService.isValidSlug(translation.url)) {
+                    return;
+                }
+
+                var field = [ContentTranslationService.PROPERTY, locale, 'url'].join('.');
+                tasks.push(function(callback) {
+                    var params = {
+                        type: type,
+                        id: id,
+                        url: translation.url,
+                        site: site
+                    };
+                    urlService.existsForType(params, onExists(field, translation.url, callback));
+                });
+                tasks.push(function(callback) {
+                    dao.unique(type, ContentTranslationService.getUrlWhere(translation.url, locale), id, function(err, isUnique) {
+                        onExists(field, translation.url, callback)(err, !isUnique);
+                    });
+                });
+            });
+        }
+
+        var locales = pb.Localization.getSupported();
+        if (ValidationService.isNonEmptyStr(obj.url, true) && util.isArray(locales) && locales.length > 0) {
+            tasks.push(function(callback) {
+                var where = {
+                    $or: locales.map(function(locale) {
+                        return ContentTranslationService.getUrlWhere(obj.url, locale + '');
+                    }).filter(function(clause) {
+                        return clause !== null;
+                    })
+                };
+                dao.unique(type, where, id, function(err, isUnique) {
+                    onExists('url', obj.url, callback)(err, !isUnique);
+                });
+            });
+        }
+        async.series(tasks, function(err) {
+            cb(err || null);
+        });
+    };
+
+    /**
+     * Validates the URL slugs of articles and pages
+     * @static
+     * @method onValidate
+     * @param {Object} context
+     * @param {Object} context.data The object that will be persisted
+     * @param {BaseObjectService} context.service
+     * @param {Function} cb
+     */
+    ContentTranslationService.onValidate = function(context, cb) {
+        var site = context.service.site || context.site;
+        ContentTranslationService.validateUrls(context.service.getType(), context.data, site, context.validationErrors, cb);
+    };
+
+    /**
+     * Determines if a translated URL slug is valid
+     * @static
+     * @method isValidSlug
+     * @param {String} url
+     * @return {Boolean}
+     */
+    ContentTranslationService.isValidSlug = function(url) {
+        return util.isString(url) && SLUG_PATTERN.test(url);
+    };
+
+    /**
+     * Retrieves the values that a document's translations provide for a field
+     * @static
+     * @method getValues
+     * @param {Object} obj
+     * @param {String} field
+     * @return {Array} The values in order of locale
+     */
+    ContentTranslationService.getValues = function(obj, field) {
+        if (!util.isObject(obj) || !util.isObject(obj.translations)) {
+            return [];
+        }
+        return Object.keys(obj.translations).sort().reduce(function(values, locale) {
+            var translation = obj.translations[locale];
+            if (util.isObject(translation) && ContentTranslationService.hasValue(translation[field])) {
+                values.push(translation[field]);
+            }
+            return values;
+        }, []);
+    };
+
+    /**
+     * Builds a where clause that matches documents with a translated URL
+     * slug for the locale
+     * @static
+     * @method getUrlWhere
+     * @param {String} url The URL slug
+     * @param {String} locale
+     * @return {Object} NULL when the locale is not valid
+     */
+    ContentTranslationService.getUrlWhere = function(url, locale) {
+        if (!util.isString(locale) || !LOCALE_PATTERN.test(locale)) {
+            return null;
+        }
+
+        var where = {};
+        where[[ContentTranslationService.PROPERTY, locale, 'url'].join('.')] = url;
+        return where;
+    };
+
+    /**
+     * Indicates if a translated value was provided
+     * @static
+     * @method hasValue
+     * @param {*} value
+     * @return {Boolean}
+     */
+    ContentTranslationService.hasValue = function(value) {
+        if (util.isArray(value)) {
+            return value.length > 0;
+        }
+        return !util.isNullOrUndefined(value) && value !== '';
+    };
+
+    //Event Registries
+    URL_TYPES.forEach(function(type) {
+        BaseObjectService.on(type + '.' + BaseObjectService.VALIDATE, ContentTranslationService.onValidate);
+    });
+
+    //exports
+    return ContentTranslationService;
+};
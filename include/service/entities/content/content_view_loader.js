@@ -26,6 +26,7 @@ module.exports = function(pb) {
     var DAO          = pb.DAO;
     var Localization = pb.Localization;
     var ClientJs     = pb.ClientJs;
+    var ContentTranslationService = pb.ContentTranslationService;
 
     /**
      * Renders a 1 or more pieces of content such as articles or pages
@@ -86,6 +87,7 @@ module.exports = function(pb) {
     ContentViewLoader.prototype.render = function(contentArray, options, cb) {
         var self = this;
 
+        this.localize(contentArray, options);
         this.gatherData(contentArray, options, function(err, data) {
             if (util.isError(err)) {
                 return cb(err);
@@ -118,6 +120,34 @@ module.exports = function(pb) {
         });
     };
 
+    /**
+     * Resolves the variant of the content, as well as the section or topic
+     * that it is displayed for, in the locale of the request.  Content that
+     * was already resolved by the service is left as is.
+     * @method localize
+     * @param {Array} contentArray
+     * @param {Object} options
+     * @param {Object} [options.topic]
+     * @param {Object} [options.section]
+     */
+    ContentViewLoader.prototype.localize = function(contentArray, options) {
+        var locale        = this.ls.language;
+        var defaultLocale = this.getDefaultLocale();
+
+        ContentTranslationService.resolveAll(this.service.getType(), contentArray, locale, defaultLocale);
+        ContentTranslationService.resolve('section', options.section, locale, defaultLocale);
+        ContentTranslationService.resolve('topic', options.topic, locale, defaultLocale);
+    };
+
+    /**
+     * Retrieves the locale that the site's content is written in
+     * @method getDefaultLocale
+     * @return {String}
+     */
+    ContentViewLoader.prototype.getDefaultLocale = function() {
+        return util.isObject(this.siteObj) ? this.siteObj.defaultLocale : null;
+    };
+
     /**
      *
      * @method getTemplate
@@ -342,7 +372,7 @@ module.exports = function(pb) {
         this.ts.registerLocal('meta_desc', options.metaDescription || meta.description);
         this.ts.registerLocal('meta_title', options.metaTitle || meta.title);
         this.ts.registerLocal('meta_thumbnail', meta.thumbnail || '');
-        this.ts.registerLocal('meta_lang', options.metaLang || this.ls.language);
+        this.ts.registerLocal('meta_lang', options.metaLang || meta.locale || this.ls.language);
     };
 
     /**
@@ -448,7 +478,7 @@ module.exports = function(pb) {
         ts.registerLocal('user_name', commentingUser ? commentingUser.name : '');
         ts.registerLocal('display_submit', commentingUser ? 'block' : 'none');
         ts.registerLocal('display_login', commentingUser ? 'none' : 'block');
-        ts.registerLocal('comments_length', util.isArray(content.comments) ? content.comments.length : 0);
+        ts.registerLocal('comments_length', pb.CommentService.countThreads(content.comments));
         ts.registerLocal('individual_comments', function(flag, cb) {
             if (!util.isArray(content.comments) || content.comments.length == 0) {
                 return cb(null, '');
@@ -485,17 +515,46 @@ module.exports = function(pb) {
      * @param {Function} cb
      */
     ContentViewLoader.prototype.renderComment = function(comment, cts, cb) {
+        var self = this;
 
         cts.reprocess = false;
+        cts.registerLocal('comment_id', comment[pb.DAO.getIdField()] + '');
         cts.registerLocal('commenter_photo', comment.commenter_photo ? comment.commenter_photo : '');
         cts.registerLocal('display_photo', comment.commenter_photo ? 'block' : 'none');
         cts.registerLocal('commenter_name', comment.commenter_name);
         cts.registerLocal('commenter_position', comment.commenter_position ? ', ' + comment.commenter_position : '');
         cts.registerLocal('content', comment.content);
         cts.registerLocal('timestamp', comment.timestamp);
+        cts.registerLocal('replies', function(flag, cb) {
+            self.renderReplies(comment, cts, cb);
+        });
         cts.load(this.getDefaultCommentTemplatePath(), cb);
     };
 
+    /**
+     * Renders the replies to a comment, and the replies to those, in the order
+     * they were made
+     * @method renderReplies
+     * @param {Object} comment
+     * @param {TemplateService} cts The template service used to render the comment
+     * @param {Function} cb
+     */
+    ContentViewLoader.prototype.renderReplies = function(comment, cts, cb) {
+        if (!util.isArray(comment.replies) || comment.replies.length === 0) {
+            return cb(null, '');
+        }
+
+        var self  = this;
+        var tasks = util.getTasks(comment.replies, function(replies, i) {
+            return function(callback) {
+                self.renderComment(replies[i], cts.getChildInstance(), callback);
+            };
+        });
+        async.series(tasks, function(err, results) {
+            cb(err, new pb.TemplateValue(results.join(''), false));
+        });
+    };
+
     /**
      *
      * @method getDefaultCommentTemplatePath
@@ -567,7 +626,13 @@ module.exports = function(pb) {
      */
     ContentViewLoader.prototype.createContentPermalink = function(content) {
         var prefix = '/' + this.service.getType();
-        return pb.UrlService.createSystemUrl(pb.UrlService.urlJoin(prefix, content.url), { hostname: this.hostname });
+        var opts = {
+            hostname: this.hostname,
+
+            //translated URL slugs are only found through their locale
+            locale: content.locale && content.locale !== this.getDefaultLocale() ? content.locale : null
+        };
+        return pb.UrlService.createSystemUrl(pb.UrlService.urlJoin(prefix, content.url), opts);
     };
 
     /**
@@ -0,0 +1,706 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var async = require('async');
+
+module.exports = function WorkflowServiceModule(pb) {
+
+    //pb dependencies
+    var util              = pb.util;
+    var BaseObjectService = pb.BaseObjectService;
+    var SecurityService   = pb.SecurityService;
+
+    /**
+     * Moves articles and pages through the editorial workflow described by
+     * the "workflow" block of the configuration.  Each state lists the states
+     * that content may move to along with the access level or plugin
+     * permission required to make the move.  The legacy "draft" flag is kept
+     * in sync so that content is only public while in the published state.
+     * Transitions and internal notes are recorded in the workflow history.
+     * @class WorkflowService
+     * @constructor
+     * @param {Object} context
+     * @param {String} [context.site]
+     * @param {Object} [context.session] The session of the user performing
+     * operations
+     */
+    function WorkflowService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property context
+         * @type {Object}
+         */
+        this.context = context;
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = pb.SiteService.getCurrentSite(context.site);
+
+        /**
+         * @property dao
+         * @type {SiteQueryService}
+         */
+        this.dao = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
+    }
+
+    /**
+     * The collection where transitions and notes are persisted
+     * @static
+     * @readonly
+     * @property COLLECTION
+     * @type {String}
+     */
+    WorkflowService.COLLECTION = 'workflow_history';
+
+    /**
+     * The object types that move through the workflow
+     * @static
+     * @readonly
+     * @property TYPES
+     * @type {Array}
+     */
+    WorkflowService.TYPES = Object.freeze(['article', 'page']);
+
+    /**
+     * The kinds of entries kept in the workflow history
+     * @static
+     * @readonly
+     * @property ACTIONS
+     * @type {Object}
+     */
+    WorkflowService.ACTIONS = Object.freeze({
+        TRANSITION: 'transition',
+        NOTE: 'note'
+    });
+
+    /**
+     * @static
+     * @method isSupportedType
+     * @param {String} type
+     * @return {Boolean}
+     */
+    WorkflowService.isSupportedType = function(type) {
+        return WorkflowService.TYPES.indexOf(type) >= 0;
+    };
+
+    /**
+     * @static
+     * @method getStates
+     * @return {Object} The states, keyed by name, as described by the
+     * configuration
+     */
+    WorkflowService.getStates = function() {
+        return pb.config.workflow && util.isObject(pb.config.workflow.states) ? pb.config.workflow.states : {};
+    };
+
+    /**
+     * @static
+     * @method getInitialState
+     * @return {String} The state assigned to new content
+     */
+    WorkflowService.getInitialState = function() {
+        return pb.config.workflow.initial;
+    };
+
+    /**
+     * @static
+     * @method getPublishedState
+     * @return {String} The state in which content is public
+     */
+    WorkflowService.getPublishedState = function() {
+        return pb.config.workflow.published;
+    };
+
+    /**
+     * @static
+     * @method isState
+     * @param {String} state
+     * @return {Boolean}
+     */
+    WorkflowService.isState = function(state) {
+        return util.isString(state) && WorkflowService.getStates().hasOwnProperty(state);
+    };
+
+    /**
+     * Determines the state of a piece of content.  Content persisted before
+     * the workflow was introduced is derived from its draft flag.
+     * @static
+     * @method getState
+     * @param {Object} obj An article or page
+     * @return {String}
+     */
+    WorkflowService.getState = function(obj) {
+        if (WorkflowService.isState(obj.workflow_state)) {
+            return obj.workflow_state;
+        }
+        return obj.draft ? WorkflowService.getInitialState() : WorkflowService.getPublishedState();
+    };
+
+    /**
+     * Determines the state requested by a DTO.  An explicit "workflow_state"
+     * that differs from the current state takes precedence.  Otherwise the
+     * draft flag is honoured: saving as a draft keeps unpublished content in
+     * its current state and returns published content to the initial state,
+     * while saving without the flag publishes.
+     * @static
+     * @method resolveState
+     * @param {String} current The current state.  NULL for new content.
+     * @param {Object} dto
+     * @return {String}
+     */
+    WorkflowService.resolveState = function(current, dto) {
+        var requested = dto.workflow_state;
+        if (pb.ValidationService.isNonEmptyStr(requested, true) && requested !== current) {
+            return requested;
+        }
+        else if (util.isNullOrUndefined(dto.draft)) {
+            return current || WorkflowService.getInitialState();
+        }
+        else if (!dto.draft) {
+            return WorkflowService.getPublishedState();
+        }
+        return current && current !== WorkflowService.getPublishedState() ? current : WorkflowService.getInitialState();
+    };
+
+    /**
+     * Retrieves what is required to move content from one state to another
+     * @static
+     * @method getRequirement
+     * @param {String} from
+     * @param {String} to
+     * @return {Integer|String} The minimum access level or the name of a
+     * plugin permission.  NULL when the transition does not exist.
+     */
+    WorkflowService.getRequirement = function(from, to) {
+        var states = WorkflowService.getStates();
+        if (!states.hasOwnProperty(from) || !util.isObject(states[from].transitions)) {
+            return null;
+        }
+
+        var transitions = states[from].transitions;
+        return transitions.hasOwnProperty(to) ? transitions[to] : null;
+    };
+
+    /**
+     * Indicates if the session is allowed to move content from one state to
+     * another.  Remaining in the same state is always allowed.  When no
+     * session is provided the operation is considered to be performed by the
+     * system and is allowed as long as the transition exists.
+     * @static
+     * @method isAuthorized
+     * @param {Object} [session]
+     * @param {String} from
+     * @param {String} to
+     * @return {Boolean}
+     */
+    WorkflowService.isAuthorized = function(session, from, to) {
+        if (from === to) {
+            return true;
+        }
+
+        var requirement = WorkflowService.getRequirement(from, to);
+        if (requirement === null) {
+            return false;
+        }
+        else if (!util.isObject(session) || !util.isObject(session.authentication)) {
+            return true;
+        }
+
+        var auth = session.authentication;
+        if (util.isString(requirement)) {
+            if (auth.admin_level >= SecurityService.ACCESS_ADMINISTRATOR) {
+                return true;
+            }
+            var permissions = util.isObject(auth.user) ? auth.user.permissions : null;
+            return util.isObject(permissions) && !!permissions[requirement];
+        }
+
+        var reqs = {};
+        reqs[SecurityService.ADMIN_LEVEL] = requirement;
+        return SecurityService.isAuthorized(session, reqs);
+    };
+
+    /**
+     * Retrieves the states that the session may move content to from the
+     * provided state
+     * @static
+     * @method getAllowedTransitions
+     * @param {Object} [session]
+     * @param {String} state
+     * @return {Array}
+     */
+    WorkflowService.getAllowedTransitions = function(session, state) {
+        var states = WorkflowService.getStates();
+        if (!states.hasOwnProperty(state) || !util.isObject(states[state].transitions)) {
+            return [];
+        }
+
+        return Object.keys(states[state].transitions).filter(function(to) {
+            return WorkflowService.isAuthorized(session, state, to);
+        });
+    };
+
+    /**
+     * Provides the state of the content along with the states that may be
+     * selected for it when editing.  New content starts in the initial state.
+     * @static
+     * @method getFormOptions
+     * @param {Object} [session]
+     * @param {Object} obj An article or page
+     * @return {Object} Contains the "state" and the selectable "states"
+     */
+    WorkflowService.getFormOptions = function(session, obj) {
+        var state = obj[pb.DAO.getIdField()] ? WorkflowService.getState(obj) : WorkflowService.getInitialState();
+        return {
+            state: state,
+            states: [state].concat(WorkflowService.getAllowedTransitions(session, state))
+        };
+    };
+
+    /**
+     * Creates the where clause used to find content in the specified state.
+     * Content persisted before the workflow was introduced is matched on its
+     * draft flag.
+     * @static
+     * @method getStateWhere
+     * @param {String} state
+     * @return {Object}
+     */
+    WorkflowService.getStateWhere = function(state) {
+        var legacy = {workflow_state: null};
+        if (state === WorkflowService.getPublishedState()) {
+            legacy.draft = {$nin: [1, true]};
+        }
+        else if (state === WorkflowService.getInitialState()) {
+            legacy.draft = {$in: [1, true]};
+        }
+        else {
+            return {workflow_state: state};
+        }
+        return {$or: [{workflow_state: state}, legacy]};
+    };
+
+    /**
+     * @static
+     * @method getUserName
+     * @param {Object} user
+     * @return {String}
+     */
+    WorkflowService.getUserName = function(user) {
+        return user.first_name ? user.first_name + ' ' + user.last_name : user.username;
+    };
+
+    /**
+     * Retrieves the current state of an object, the states that the current
+     * user may move it to, and the most recent workflow history
+     * @method getStatus
+     * @param {String} type
+     * @param {String} objectId
+     * @param {Object} [options]
+     * @param {Integer} [options.limit]
+     * @param {Integer} [options.offset]
+     * @param {Function} cb (Error, Object) NULL is provided when the object
+     * does not exist
+     */
+    WorkflowService.prototype.getStatus = function(type, objectId, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
+
+        var self = this;
+        this.dao.loadById(objectId, type, function(err, obj) {
+            if (util.isError(err) || !util.isObject(obj)) {
+                return cb(err, null);
+            }
+
+            self.getHistory(type, objectId, options, function(err, history) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                var state = WorkflowService.getState(obj);
+                cb(null, {
+                    state: state,
+                    transitions: WorkflowService.getAllowedTransitions(self.context.session, state),
+                    history: history
+                });
+            });
+        });
+    };
+
+    /**
+     * Retrieves a page of the workflow history for an object, newest first
+     * @method getHistory
+     * @param {String} type
+     * @param {String} objectId
+     * @param {Object} [options]
+     * @param {Integer} [options.limit]
+     * @param {Integer} [options.offset]
+     * @param {Function} cb (Error, Object) Provides a paged result
+     */
+    WorkflowService.prototype.getHistory = function(type, objectId, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
+
+        var self  = this;
+        var where = {content_type: type, content_id: objectId + ''};
+        var limit = BaseObjectService.getLimit(options.limit);
+        var tasks = {
+
+            total: function(callback) {
+                self.dao.count(WorkflowService.COLLECTION, where, callback);
+            },
+
+            data: function(callback) {
+                var opts = {
+                    where: where,
+                    order: {created: pb.DAO.DESC},
+                    limit: limit,
+                    offset: options.offset
+                };
+                self.dao.q(WorkflowService.COLLECTION, opts, callback);
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, BaseObjectService.getPagedResult(results.data, results.total, limit, options.offset));
+        });
+    };
+
+    /**
+     * Adds an internal note to the workflow history of an object
+     * @method addNote
+     * @param {String} type
+     * @param {String} objectId
+     * @param {String} note
+     * @param {Function} cb (Error, Object) Provides the history entry.  NULL
+     * is provided when the object does not exist.
+     */
+    WorkflowService.prototype.addNote = function(type, objectId, note, cb) {
+        note = BaseObjectService.sanitize(note);
+        if (!pb.ValidationService.isNonEmptyStr(note, true)) {
+            var failures = [BaseObjectService.validationFailure('note', 'A note is required')];
+            return cb(BaseObjectService.validationError(failures));
+        }
+
+        var self = this;
+        this.dao.loadById(objectId, type, function(err, obj) {
+            if (util.isError(err) || !util.isObject(obj)) {
+                return cb(err, null);
+            }
+
+            var entry = {
+                action: WorkflowService.ACTIONS.NOTE,
+                note: note
+            };
+            self.addEntry(type, obj, entry, WorkflowService.getSessionUser(self.context), cb);
+        });
+    };
+
+    /**
+     * Persists an entry in the workflow history of an object
+     * @method addEntry
+     * @param {String} type
+     * @param {Object} obj The article or page
+     * @param {Object} entry
+     * @param {String} entry.action One of the values of ACTIONS
+     * @param {String} [entry.from]
+     * @param {String} [entry.to]
+     * @param {String} [entry.note]
+     * @param {Object} [user] The user responsible for the entry
+     * @param {Function} cb (Error, Object) Provides the persisted entry
+     */
+    WorkflowService.prototype.addEntry = function(type, obj, entry, user, cb) {
+        var doc = {
+            object_type: WorkflowService.COLLECTION,
+            content_type: type,
+            content_id: obj[pb.DAO.getIdField()] + '',
+            action: entry.action,
+            from: entry.from || null,
+            to: entry.to || null,
+            note: entry.note || null,
+            user: user ? user[pb.DAO.getIdField()] + '' : null,
+            user_name: user ? WorkflowService.getUserName(user) : null
+        };
+        this.dao.save(doc, function(err) {
+            cb(err, doc);
+        });
+    };
+
+    /**
+     * Emails the users that review content in the state that the content
+     * just moved to.  Users are notified when the state has a "notify" access
+     * level.  The user that made the transition is not notified.
+     * @method notify
+     * @param {String} type
+     * @param {Object} obj The article or page
+     * @param {Object} transition
+     * @param {String} transition.from
+     * @param {String} transition.to
+     * @param {String} [note]
+     * @param {Object} [user] The user that made the transition
+     * @param {Function} cb (Error, Integer) Provides the number of users
+     * notified
+     */
+    WorkflowService.prototype.notify = function(type, obj, transition, note, user, cb) {
+        var states = WorkflowService.getStates();
+        var level  = states[transition.to] ? states[transition.to].notify : undefined;
+        if (!pb.ValidationService.isInt(level, true, true)) {
+            return cb(null, 0);
+        }
+
+        var self = this;
+        var opts = {
+            select: {email: 1, first_name: 1, last_name: 1, username: 1},
+            where: {
+                admin: {$gte: level},
+                $or: [
+                    { site: this.site },
+                    { site: pb.SiteService.GLOBAL_SITE },
+                    { site: { $exists: false } }
+                ]
+            }
+        };
+        if (user) {
+            opts.where[pb.DAO.getIdField()] = {$ne: user[pb.DAO.getIdField()]};
+        }
+        var dao = new pb.DAO();
+        dao.q('user', opts, function(err, reviewers) {
+            if (util.isError(err) || reviewers.length === 0) {
+                return cb(err, 0);
+            }
+
+            var siteService = new pb.SiteService();
+            siteService.getByUid(self.site, function(err, siteInfo) {
+                if (util.isError(err) || !util.isObject(siteInfo)) {
+                    return cb(err, 0);
+                }
+
+                var root    = pb.SiteService.getHostWithProtocol(siteInfo.hostname);
+                var editUrl = pb.UrlService.urlJoin(root, '/admin/content', type + 's', obj[pb.DAO.getIdField()] + '');
+                var emailService = new pb.EmailService({site: self.site});
+                var tasks = reviewers.map(function(reviewer) {
+                    return function(callback) {
+                        var options = {
+                            to: reviewer.email,
+                            subject: siteInfo.displayName + ' - "' + obj.headline + '" is ' + transition.to.replace(/_/g, ' '),
+                            template: 'admin/elements/workflow_notification_email',
+                            replacements: {
+                                first_name: reviewer.first_name,
+                                last_name: reviewer.last_name,
+                                headline: obj.headline,
+                                from_state: transition.from ? transition.from.replace(/_/g, ' ') : 'new',
+                                to_state: transition.to.replace(/_/g, ' '),
+                                user_name: user ? WorkflowService.getUserName(user) : siteInfo.displayName,
+                                note: note || '',
+                                edit_url: editUrl
+                            }
+                        };
+                        emailService.sendFromTemplate(options, function(err) {
+                            if (util.isError(err)) {
+                                pb.log.error('WorkflowService: Failed to notify %s of %s %s. %s', reviewer.email, type, options.replacements.headline, err.stack);
+                            }
+                            callback(null);
+                        });
+                    };
+                });
+                async.parallelLimit(tasks, 2, function() {
+                    cb(null, reviewers.length);
+                });
+            });
+        });
+    };
+
+    /**
+     * Extracts the authenticated user from a service context
+     * @static
+     * @method getSessionUser
+     * @param {Object} context
+     * @return {Object} The user or NULL when there is no authenticated user
+     */
+    WorkflowService.getSessionUser = function(context) {
+        var session = context ? context.session : null;
+        return session && session.authentication && util.isObject(session.authentication.user) ? session.authentication.user : null;
+    };
+
+    /**
+     * Pulls the optional "workflow_note" off of the DTO so that it is recorded
+     * in the workflow history rather than on the content itself
+     * @static
+     * @method onFormat
+     * @param {Object} context
+     * @param {Object} context.data The DTO that was provided for persistence
+     * @param {Function} cb
+     */
+    WorkflowService.onFormat = function(context, cb) {
+        var dto = context.data;
+        context.workflowNote = BaseObjectService.sanitize(dto.workflow_note) || null;
+        delete dto.workflow_note;
+        cb(null);
+    };
+
+    /**
+     * Sets the workflow state of the content and keeps the draft flag in sync
+     * with it
+     * @static
+     * @method onMerge
+     * @param {Object} context
+     * @param {Object} context.data The DTO that was provided for persistence
+     * @param {Object} context.object The object that will be persisted
+     * @param {Function} cb
+     */
+    WorkflowService.onMerge = function(context, cb) {
+        var obj = context.object;
+        var onCurrent = function(err, current) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            obj.workflow_state = WorkflowService.resolveState(current, context.data);
+            obj.draft = obj.workflow_state === WorkflowService.getPublishedState() ? 0 : 1;
+            cb(null);
+        };
+        if (context.isCreate) {
+            return onCurrent(null, null);
+        }
+        else if (WorkflowService.isState(obj.workflow_state)) {
+            return onCurrent(null, obj.workflow_state);
+        }
+
+        //the content was persisted before the workflow was introduced.  Its
+        //draft flag has already been overwritten by the DTO so the persisted
+        //copy is consulted.
+        context.service.dao.loadById(obj[pb.DAO.getIdField()], context.service.getType(), function(err, persisted) {
+            onCurrent(err, util.isObject(persisted) ? WorkflowService.getState(persisted) : null);
+        });
+    };
+
+    /**
+     * Verifies that the content is moving to a known state and that the
+     * current user is allowed to make the transition.  The transition is
+     * stored on the context so that it can be recorded after the save.
+     * @static
+     * @method onValidate
+     * @param {Object} context
+     * @param {Object} context.data The object that will be persisted
+     * @param {BaseObjectService} context.service
+     * @param {Function} cb
+     */
+    WorkflowService.onValidate = function(context, cb) {
+        var obj  = context.data;
+        var type = context.service.getType();
+        var to   = obj.workflow_state;
+        if (!WorkflowService.isState(to)) {
+            context.validationErrors.push(BaseObjectService.validationFailure('workflow_state', 'An invalid workflow state was provided'));
+            return cb(null);
+        }
+
+        var onFrom = function(err, from) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var check = from === null ? WorkflowService.getInitialState() : from;
+            if (check !== to && WorkflowService.getRequirement(check, to) === null) {
+                var msg = util.format('Content cannot move from the %s state to the %s state', check, to);
+                context.validationErrors.push(BaseObjectService.validationFailure('workflow_state', msg));
+                return cb(null);
+            }
+            else if (!WorkflowService.isAuthorized(context.session, check, to)) {
+                return cb(BaseObjectService.forbiddenError(util.format('You are not allowed to move content to the %s state', to)));
+            }
+
+            if (from !== to) {
+                context.workflowTransition = {from: from, to: to};
+            }
+            cb(null);
+        };
+        if (context.isCreate) {
+            return onFrom(null, null);
+        }
+
+        context.service.dao.loadById(obj[pb.DAO.getIdField()], type, function(err, persisted) {
+            onFrom(err, util.isObject(persisted) ? WorkflowService.getState(persisted) : null);
+        });
+    };
+
+    /**
+     * Records the transition, or note, in the workflow history and notifies
+     * reviewers.  Failures are logged rather than failing the save since the
+     * object has already been persisted.
+     * @static
+     * @method onAfterSave
+     * @param {Object} context
+     * @param {Object} context.data The object that was persisted
+     * @param {BaseObjectService} context.service
+     * @param {Function} cb
+     */
+    WorkflowService.onAfterSave = function(context, cb) {
+        var transition = context.workflowTransition;
+        if (!transition && !context.workflowNote) {
+            return cb(null);
+        }
+
+        var type    = context.service.getType();
+        var obj     = context.data;
+        var user    = WorkflowService.getSessionUser(context);
+        var service = new WorkflowService({site: context.site, session: context.session});
+        var entry   = {
+            action: transition ? WorkflowService.ACTIONS.TRANSITION : WorkflowService.ACTIONS.NOTE,
+            from: transition ? transition.from : null,
+            to: transition ? transition.to : null,
+            note: context.workflowNote
+        };
+        service.addEntry(type, obj, entry, user, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('WorkflowService: Failed to record workflow history of %s %s. %s', type, obj[pb.DAO.getIdField()], err.stack);
+            }
+            if (!transition) {
+                return cb(null);
+            }
+
+            service.notify(type, obj, transition, context.workflowNote, user, function(err) {
+                if (util.isError(err)) {
+                    pb.log.error('WorkflowService: Failed to notify reviewers of %s %s. %s', type, obj[pb.DAO.getIdField()], err.stack);
+                }
+                cb(null);
+            });
+        });
+    };
+
+    //Event Registries
+    WorkflowService.TYPES.forEach(function(type) {
+        BaseObjectService.on(type + '.' + BaseObjectService.FORMAT, WorkflowService.onFormat);
+        BaseObjectService.on(type + '.' + BaseObjectService.MERGE, WorkflowService.onMerge);
+        BaseObjectService.on(type + '.' + BaseObjectService.VALIDATE, WorkflowService.onValidate);
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, WorkflowService.onAfterSave);
+    });
+
+    //exports
+    return WorkflowService;
+};
@@ -886,16 +886,24 @@ module.exports = function CustomObjectServiceModule(pb) {
     };
 
     /**
-     * Validates and persists a custom object
+     * Validates and persists a custom object.  A revision of the object is
+     * recorded after it is successfully persisted.
      * @method save
      * @param {Object} custObj The object to validate
      * @param {Object} custObjType The custom object type to validate against
+     * @param {Object} [options]
+     * @param {Object} [options.user] The user persisting the object.  It is
+     * recorded with the revision.
      * @param {Function} cb A callback that takes two parameters. The first is an
      * error if occurred. The second is an array of validation error objects or the
      * result of the persistence operation.
      *
      */
-    CustomObjectService.prototype.save = function(custObj, custObjType, cb) {
+    CustomObjectService.prototype.save = function(custObj, custObjType, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
         if (!pb.validation.isObj(custObj, true)) {
             throw new Error('The custom object must be a valid object.');
         }
@@ -907,8 +915,19 @@ module.exports = function CustomObjectServiceModule(pb) {
                 return cb(err, errors);
             }
 
-            var dao = new pb.DAO();
-            self.siteQueryService.save(custObj, cb);
+            self.siteQueryService.save(custObj, function(err, result) {
+                if (util.isError(err)) {
+                    return cb(err, result);
+                }
+
+                var revisionService = new pb.RevisionService({site: self.site});
+                revisionService.create(CustomObjectService.CUST_OBJ_COLL, custObj, {user: options.user}, function(err) {
+                    if (util.isError(err)) {
+                        pb.log.error('CustomObjectService: Failed to record revision of custom object %s. %s', custObj[pb.DAO.getIdField()], err.stack);
+                    }
+                    cb(null, result);
+                });
+            });
         });
     };
 
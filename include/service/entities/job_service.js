@@ -15,7 +15,8 @@
     along with this program.  If not, see <http://www.gnu.org/licenses/>.
 */
 
-var util = require('../../util.js');
+var async = require('async');
+var util  = require('../../util.js');
 
 module.exports = function JobServiceModule(pb) {
 
@@ -28,6 +29,72 @@ module.exports = function JobServiceModule(pb) {
         this.type = 'job_run';
     }
 
+    /**
+     * The name of the persistence entity that contains the log statements for
+     * each job
+     * @private
+     * @static
+     * @readonly
+     * @property LOG_TYPE
+     * @type {String}
+     */
+    var LOG_TYPE = 'job_log';
+
+    /**
+     * The command that is broadcast to the cluster when a job is cancelled
+     * @private
+     * @static
+     * @readonly
+     * @property CANCEL_COMMAND
+     * @type {String}
+     */
+    var CANCEL_COMMAND = 'cancel_job';
+
+    /**
+     * The name of the scheduled job that removes old jobs and their logs
+     * @private
+     * @static
+     * @readonly
+     * @property CLEANUP_JOB_NAME
+     * @type {String}
+     */
+    var CLEANUP_JOB_NAME = 'job_cleanup';
+
+    /**
+     * The functions that start a job of each type again, keyed by type
+     * @private
+     * @static
+     * @property RETRY_HANDLERS
+     * @type {Object}
+     */
+    var RETRY_HANDLERS = {};
+
+    /**
+     * The value of a failed job's "retried_by" property while its retry is
+     * being started.  Claiming the job before starting the retry ensures that
+     * concurrent requests can only start a single retry.
+     * @private
+     * @static
+     * @readonly
+     * @property RETRY_PENDING
+     * @type {String}
+     */
+    var RETRY_PENDING = 'PENDING';
+
+    /**
+     * The statuses that a job can complete with
+     * @private
+     * @static
+     * @readonly
+     * @property FINAL_STATUSES
+     * @type {Array}
+     */
+    var FINAL_STATUSES = [
+        pb.JobRunner.STATUSES.COMPLETED,
+        pb.JobRunner.STATUSES.ERRORED,
+        pb.JobRunner.STATUSES.CANCELLED
+    ];
+
     /**
      * Retrieves the log entries for the specified job from the start date up until
      * the current time.
@@ -64,6 +131,395 @@ module.exports = function JobServiceModule(pb) {
         dao.loadById(jid, this.type, cb);
     };
 
+    /**
+     * Retrieves a page of jobs, most recent first
+     * @method getAll
+     * @param {Object} [options]
+     * @param {Object} [options.where] See JobService.buildWhere
+     * @param {Integer} [options.limit]
+     * @param {Integer} [options.offset=0]
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     * where the Object is a paged result.  See BaseObjectService.getPagedResult.
+     */
+    JobService.prototype.getAll = function(options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
+
+        var where  = options.where || {};
+        var limit  = pb.BaseObjectService.getLimit(options.limit);
+        var offset = options.offset || 0;
+        var opts = {
+            where: where,
+            order: {created: pb.DAO.DESC},
+            limit: limit,
+            offset: offset
+        };
+
+        var self = this;
+        var dao  = new pb.DAO();
+        var tasks = {
+            data: function(callback) {
+                dao.q(self.type, opts, callback);
+            },
+            total: function(callback) {
+                dao.count(self.type, where, callback);
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, pb.BaseObjectService.getPagedResult(results.data, results.total, limit, offset));
+        });
+    };
+
+    /**
+     * Cancels a running job across the cluster.  The cancellation is recorded
+     * with the job and broadcast to every process.  The job stops at the next
+     * point where it checks for cancellation and is then marked as cancelled.
+     * See JobRunner#isCancelled.
+     * @method cancel
+     * @param {String} jid The job's ID
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     * where the Object is the job or NULL when it does not exist.  The error has
+     * a code of 400 when the job is not running.
+     */
+    JobService.prototype.cancel = function(jid, cb) {
+        var self = this;
+        this.loadById(jid, function(err, job) {
+            if (util.isError(err) || !job) {
+                return cb(err, null);
+            }
+            else if (JobService.isFinished(job)) {
+                return cb(badRequest('Job [%s] is not running', jid));
+            }
+
+            var dao = new pb.DAO();
+            dao.updateFields(self.type, pb.DAO.getIdWhere(jid), {$set: {cancel_requested: true}}, function(err) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                //apply locally then let the rest of the cluster know
+                job.cancel_requested = true;
+                JobService.onCancelCommandReceived({jobId: jid});
+                pb.CommandService.getInstance().sendCommand(CANCEL_COMMAND, {jobId: jid}, function(err) {
+                    if (util.isError(err)) {
+                        pb.log.error('JobService: Failed to broadcast the cancellation of job [%s]. %s', jid, err.stack);
+                    }
+                });
+                cb(null, job);
+            });
+        });
+    };
+
+    /**
+     * Starts a job that failed again with the parameters that it was originally
+     * started with.  A job can only be retried once and only when a retry
+     * handler is registered for its type.
+     * @method retry
+     * @param {String} jid The ID of the failed job
+     * @param {Function} cb A callback that takes two parameters: cb(Error, String)
+     * where the String is the ID of the new job or NULL when the failed job does
+     * not exist.  The error has a code of 400 when the job can not be retried.
+     */
+    JobService.prototype.retry = function(jid, cb) {
+        var self = this;
+        this.loadById(jid, function(err, job) {
+            if (util.isError(err) || !job) {
+                return cb(err, null);
+            }
+            else if (job.status !== pb.JobRunner.STATUSES.ERRORED) {
+                return cb(badRequest('Job [%s] can only be retried when it has failed', jid));
+            }
+            else if (job.retried_by === RETRY_PENDING) {
+                return cb(badRequest('Job [%s] is already being retried', jid));
+            }
+            else if (job.retried_by) {
+                return cb(badRequest('Job [%s] was already retried as job [%s]', jid, job.retried_by));
+            }
+            else if (!JobService.hasRetryHandler(job.type)) {
+                return cb(badRequest('Jobs of type [%s] can not be retried', job.type));
+            }
+
+            //claim the job so that a concurrent request can not retry it too
+            var dao   = new pb.DAO();
+            var where = pb.DAO.getIdWhere(jid);
+            where.status     = pb.JobRunner.STATUSES.ERRORED;
+            where.retried_by = {$exists: false};
+            dao.updateFields(self.type, where, {$set: {retried_by: RETRY_PENDING}}, function(err, result) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                else if (getCount(result) !== 1) {
+                    return cb(badRequest('Job [%s] is already being retried', jid));
+                }
+
+                RETRY_HANDLERS[job.type](job.parameters || {}, function(err, retryJid) {
+                    var claimed = pb.DAO.getIdWhere(jid);
+                    claimed.retried_by = RETRY_PENDING;
+                    if (util.isError(err)) {
+
+                        //release the claim so that the job can be retried again
+                        return dao.updateFields(self.type, claimed, {$unset: {retried_by: ''}}, function(releaseErr) {
+                            if (util.isError(releaseErr)) {
+                                pb.log.error('JobService: Failed to release the retry of job [%s]. %s', jid, releaseErr.stack);
+                            }
+                            cb(err);
+                        });
+                    }
+
+                    pb.log.info('JobService: Retrying job [%s] as job [%s]', jid, retryJid);
+                    dao.updateFields(self.type, claimed, {$set: {retried_by: retryJid}}, function(err) {
+                        cb(err, retryJid);
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Removes the jobs, along with their log entries, that were created before
+     * the specified date
+     * @method cleanup
+     * @param {Date} before
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     * where the Object provides the number of "jobs" and "logs" that were removed
+     */
+    JobService.prototype.cleanup = function(before, cb) {
+        var self = this;
+        var dao  = new pb.DAO();
+        var where = {
+            created: {$lt: before}
+        };
+        var tasks = {
+            jobs: function(callback) {
+                dao.delete(where, self.type, callback);
+            },
+            logs: function(callback) {
+                dao.delete(where, LOG_TYPE, callback);
+            }
+        };
+        async.series(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, {jobs: getCount(results.jobs), logs: getCount(results.logs)});
+        });
+    };
+
+    /**
+     * Builds the query that finds jobs from a set of filters.  Jobs are matched
+     * on all of the provided filters.
+     * @static
+     * @method buildWhere
+     * @param {Object} filters
+     * @param {String} [filters.type] See JobRunner#setType
+     * @param {String} [filters.status]
+     * @param {String} [filters.site]
+     * @param {String|Integer} [filters.from] The earliest date, as an ISO date
+     * or milliseconds since the epoch, that the job was created
+     * @param {String|Integer} [filters.to] The latest date that the job was created
+     * @return {Object|Error} The query or an error with a code of 400 when a
+     * filter is not valid
+     */
+    JobService.buildWhere = function(filters) {
+        filters = filters || {};
+
+        var where = {};
+        var errors = [];
+        ['type', 'status', 'site'].forEach(function(field) {
+            if (util.isNullOrUndefined(filters[field]) || filters[field] === '') {
+                return;
+            }
+            if (!util.isString(filters[field])) {
+                return errors.push(util.format('The %s filter must be a string', field));
+            }
+            where[field] = filters[field];
+        });
+
+        var created = {};
+        [{filter: 'from', operator: '$gte'}, {filter: 'to', operator: '$lte'}].forEach(function(range) {
+            var value = filters[range.filter];
+            if (util.isNullOrUndefined(value) || value === '') {
+                return;
+            }
+
+            var date = parseDate(value);
+            if (date === null) {
+                return errors.push(util.format('The %s filter must be a valid date', range.filter));
+            }
+            created[range.operator] = date;
+        });
+        if (Object.keys(created).length > 0) {
+            where.created = created;
+        }
+
+        if (errors.length > 0) {
+            return badRequest(errors.join('. '));
+        }
+        return where;
+    };
+
+    /**
+     * Determines if a job has completed, whether successfully, by error, or by
+     * being cancelled
+     * @static
+     * @method isFinished
+     * @param {Object} job
+     * @return {Boolean}
+     */
+    JobService.isFinished = function(job) {
+        return util.isDate(job.completed) || FINAL_STATUSES.indexOf(job.status) >= 0;
+    };
+
+    /**
+     * Registers the function that starts a job of the specified type again.
+     * The function is provided the parameters that the failed job was started
+     * with and must call back with the ID of the new job.
+     * @static
+     * @method registerRetryHandler
+     * @param {String} type See JobRunner#setType
+     * @param {Function} handler (Object, Function)
+     * @return {Boolean} TRUE when an existing handler was replaced
+     */
+    JobService.registerRetryHandler = function(type, handler) {
+        if (!pb.ValidationService.isNonEmptyStr(type, true) || !util.isFunction(handler)) {
+            throw new Error('A type and a handler function are required to retry jobs');
+        }
+
+        var replaced = JobService.hasRetryHandler(type);
+        RETRY_HANDLERS[type] = handler;
+        return replaced;
+    };
+
+    /**
+     * Removes the function that starts jobs of the specified type again
+     * @static
+     * @method unregisterRetryHandler
+     * @param {String} type
+     * @return {Boolean} TRUE when a handler was registered
+     */
+    JobService.unregisterRetryHandler = function(type) {
+        var exists = JobService.hasRetryHandler(type);
+        delete RETRY_HANDLERS[type];
+        return exists;
+    };
+
+    /**
+     * Determines if jobs of the specified type can be retried
+     * @static
+     * @method hasRetryHandler
+     * @param {String} type
+     * @return {Boolean}
+     */
+    JobService.hasRetryHandler = function(type) {
+        return util.isString(type) && RETRY_HANDLERS.hasOwnProperty(type);
+    };
+
+    /**
+     * <b>NOTE: DO NOT CALL THIS DIRECTLY</b><br/>
+     * Called when a job was cancelled by any process in the cluster so that
+     * the parts of the job running on this process stop.
+     * @static
+     * @method onCancelCommandReceived
+     * @param {Object} command
+     * @param {String} command.jobId
+     */
+    JobService.onCancelCommandReceived = function(command) {
+        if (!util.isObject(command) || !util.isString(command.jobId)) {
+            pb.log.error('JobService: an invalid %s command object was passed. %s', CANCEL_COMMAND, util.inspect(command));
+            return;
+        }
+        pb.JobRunner.cancel(command.jobId);
+    };
+
+    /**
+     * Registers for cancellations from the rest of the cluster, allows failed
+     * media migrations to be retried, and schedules the removal of jobs that
+     * are older than the configured retention.
+     * @static
+     * @method init
+     * @param {Function} cb
+     */
+    JobService.init = function(cb) {
+        pb.CommandService.getInstance().registerForType(CANCEL_COMMAND, JobService.onCancelCommandReceived);
+
+        JobService.registerRetryHandler(pb.MediaService.MIGRATION_JOB_TYPE, function(parameters, cb) {
+            var jid;
+            try {
+                jid = pb.MediaService.migrateContent(parameters);
+            }
+            catch(e) {
+                return cb(e);
+            }
+            cb(null, jid);
+        });
+
+        var retention = pb.config.jobs.retention;
+        if (retention > 0) {
+            pb.JobScheduler.register(CLEANUP_JOB_NAME, {
+                cron: pb.config.jobs.cleanup,
+                description: util.format('Removes jobs and their logs after %d days', retention),
+                handler: function(job, cb) {
+                    var before = new Date(Date.now() - retention * 24 * 60 * 60 * 1000);
+                    job.log('Removing jobs created before %s', before.toISOString());
+
+                    var service = new JobService();
+                    service.cleanup(before, function(err, result) {
+                        if (!util.isError(err)) {
+                            job.log('Removed %d jobs and %d log entries', result.jobs, result.logs);
+                        }
+                        cb(err, result);
+                    });
+                }
+            });
+        }
+        cb(null, true);
+    };
+
+    /**
+     * Creates an error that indicates that the request can not be fulfilled.
+     * Takes the same parameters as util.format.
+     * @private
+     * @static
+     * @method badRequest
+     * @return {Error}
+     */
+    function badRequest() {
+        var err = new Error(util.format.apply(util, arguments));
+        err.code = 400;
+        return err;
+    }
+
+    /**
+     * Parses a date provided as an ISO date or as milliseconds since the epoch
+     * @private
+     * @static
+     * @method parseDate
+     * @param {String|Integer} value
+     * @return {Date} NULL when the value is not a valid date
+     */
+    function parseDate(value) {
+        var date = new Date(/^\d+$/.test(value) ? parseInt(value, 10) : value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Retrieves the number of records affected from the result of a delete or
+     * an update
+     * @private
+     * @static
+     * @method getCount
+     * @param {Object|Integer} result
+     * @return {Integer}
+     */
+    function getCount(result) {
+        return util.isObject(result) && result.result ? result.result.n : result;
+    }
+
     //exports
     return JobService;
 };
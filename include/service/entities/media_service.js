@@ -87,6 +87,24 @@ module.exports = function MediaServiceModule(pb) {
      */
     MediaService.COLL = 'media';
 
+    /**
+     * The folder that contains media that has not been placed in a folder
+     * @static
+     * @readonly
+     * @property ROOT_FOLDER
+     * @type {String}
+     */
+    MediaService.ROOT_FOLDER = '/';
+
+    /**
+     * The type of the job that migrates media from one provider to another
+     * @static
+     * @readonly
+     * @property MIGRATION_JOB_TYPE
+     * @type {String}
+     */
+    MediaService.MIGRATION_JOB_TYPE = 'migrate_media';
+
     /**
      * @private
      * @static
@@ -95,7 +113,8 @@ module.exports = function MediaServiceModule(pb) {
      */
     var MEDIA_PROVIDERS = Object.freeze({
         fs: pb.media.providers.FsMediaProvider,
-        mongo: pb.media.providers.MongoMediaProvider
+        mongo: pb.media.providers.MongoMediaProvider,
+        s3: pb.media.providers.S3MediaProvider
     });
 
     /**
@@ -161,6 +180,11 @@ module.exports = function MediaServiceModule(pb) {
             options = {};
         }
 
+        if (util.isObject(media)) {
+            media.folder = MediaService.normalizeFolder(media.folder);
+            media.tags   = MediaService.normalizeTags(media.tags);
+        }
+
         var self = this;
         self.validate(media, function(err, validationErrors) {
             if (util.isError(err)) {
@@ -238,6 +262,78 @@ module.exports = function MediaServiceModule(pb) {
         });
     };
 
+    /**
+     * Finds the media whose content has the provided hash.  The hash is
+     * recorded as "content_hash" when uploaded media is saved.
+     * @method findByContentHash
+     * @param {String} hash The hex encoded SHA256 hash of the content
+     * @param {Function} cb (Error, Object) Provides the formatted media or NULL
+     */
+    MediaService.prototype.findByContentHash = function(hash, cb) {
+        var options = {
+            where: {content_hash: hash},
+            limit: 1,
+            format_media: true
+        };
+        this.get(options, function(err, media) {
+            cb(err, media.length > 0 ? media[0] : null);
+        });
+    };
+
+    /**
+     * Collects the values that media can be filtered by.  Every ancestor of a
+     * folder that contains media is included so that the folders can be
+     * displayed as a tree.
+     * @method getFacets
+     * @param {Function} cb A callback that provides two parameters: an Error, if
+     * occurred, and an object that contains the "folders" (see
+     * MediaService.getFolderList), the "tags" with the number of media that
+     * carry each, the distinct media "types", and the IDs of the "uploaders"
+     */
+    MediaService.prototype.getFacets = function(cb) {
+        var options = {
+            select: {
+                folder: 1,
+                tags: 1,
+                media_type: 1,
+                uploader: 1
+            }
+        };
+        this.siteQueryService.q(MediaService.COLL, options, function(err, media) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var folders   = [];
+            var tags      = {};
+            var types     = {};
+            var uploaders = {};
+            media.forEach(function(item) {
+                folders.push(item.folder);
+                if (util.isArray(item.tags)) {
+                    item.tags.forEach(function(tag) {
+                        tags[tag] = (tags[tag] || 0) + 1;
+                    });
+                }
+                if (item.media_type) {
+                    types[item.media_type] = true;
+                }
+                if (item.uploader) {
+                    uploaders[item.uploader] = true;
+                }
+            });
+
+            cb(null, {
+                folders: MediaService.getFolderList(folders),
+                tags: Object.keys(tags).sort().map(function(tag) {
+                    return {name: tag, count: tags[tag]};
+                }),
+                types: Object.keys(types).sort(),
+                uploaders: Object.keys(uploaders)
+            });
+        });
+    };
+
     /**
      *
      * @method getContentByPath
@@ -252,12 +348,35 @@ module.exports = function MediaServiceModule(pb) {
      *
      * @method getContentStreamByPath
      * @param {String} mediaPath
+     * @param {Object} [options]
+     * @param {Integer} [options.start] The offset of the first byte to read
+     * @param {Integer} [options.end] The offset of the last byte to read (inclusive)
      * @param {Function} cb
      */
-    MediaService.prototype.getContentStreamByPath = function(mediaPath, cb) {
+    MediaService.prototype.getContentStreamByPath = function(mediaPath, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = null;
+        }
+
+        //providers that do not support ranges only accept the path
+        if (util.isObject(options) && this.supportsRanges()) {
+            return this.provider.getStream(mediaPath, options, cb);
+        }
         this.provider.getStream(mediaPath, cb);
     };
 
+    /**
+     * Determines if the provider is able to stream a range of bytes.  Providers
+     * that do are expected to accept an options object, with "start" and "end"
+     * offsets, as the second parameter to "getStream".
+     * @method supportsRanges
+     * @return {Boolean}
+     */
+    MediaService.prototype.supportsRanges = function() {
+        return this.provider.getStream.length >= 3;
+    };
+
     /**
      *
      * @method setContent
@@ -303,6 +422,17 @@ module.exports = function MediaServiceModule(pb) {
         });
     };
 
+    /**
+     * Stores content at the exact media path provided
+     * @method setContentByPath
+     * @param {String|Buffer} fileDataStrOrBuff
+     * @param {String} mediaPath
+     * @param {Function} cb
+     */
+    MediaService.prototype.setContentByPath = function(fileDataStrOrBuff, mediaPath, cb) {
+        this.provider.set(fileDataStrOrBuff, mediaPath, cb);
+    };
+
     /**
      *
      * @method existsByPath
@@ -333,6 +463,22 @@ module.exports = function MediaServiceModule(pb) {
         this.provider.stat(mediaPath, cb);
     };
 
+    /**
+     * Retrieves the URL that the client should be redirected to in order to
+     * download the media directly from where it is stored.  Only providers that
+     * implement "getUrl" are able to provide one.
+     * @method getRedirectUrl
+     * @param {String} mediaPath
+     * @param {Function} cb (Error, String) Provides NULL when the media should
+     * be streamed to the client
+     */
+    MediaService.prototype.getRedirectUrl = function(mediaPath, cb) {
+        if (!util.isFunction(this.provider.getUrl)) {
+            return cb(null, null);
+        }
+        this.provider.getUrl(mediaPath, cb);
+    };
+
     /**
      * Retrieves whether a media's file path is valid
      *
@@ -775,6 +921,26 @@ module.exports = function MediaServiceModule(pb) {
         };
     };
 
+    /**
+     * Determines if the placement represented by a parsed media flag has passed
+     * the date declared by its "expires" style property.  The expiry is
+     * formatted as an ISO 8601 date (YYYY-MM-DD).
+     * @static
+     * @method isFlagExpired
+     * @param {Object} flag The result of parsing a media flag
+     * @param {Date} [now] The point in time to compare against.  Defaults to
+     * the current date & time
+     * @return {Boolean}
+     */
+    MediaService.isFlagExpired = function(flag, now) {
+        if (!util.isObject(flag) || !util.isObject(flag.style) || !flag.style.expires) {
+            return false;
+        }
+
+        var expires = Date.parse(flag.style.expires);
+        return !isNaN(expires) && expires <= (now || new Date()).getTime();
+    };
+
     /**
      * The default editor implementations all for three position values to declared
      * for embeded media (none, left, right, center).  These values map to HTML
@@ -873,6 +1039,151 @@ module.exports = function MediaServiceModule(pb) {
         return media;
     };
 
+    /**
+     * Converts a folder into its canonical form: a path that starts with a
+     * forward slash and has no trailing slash, empty segments, or relative
+     * segments.  Media without a folder lives in the root folder ("/").
+     * @static
+     * @method normalizeFolder
+     * @param {String} folder
+     * @return {String}
+     */
+    MediaService.normalizeFolder = function(folder) {
+        if (!util.isString(folder)) {
+            return MediaService.ROOT_FOLDER;
+        }
+
+        var segments = folder.split('/').map(function(segment) {
+            return segment.trim();
+        })
+        .filter(function(segment) {
+            return segment.length > 0 && segment !== '.' && segment !== '..';
+        });
+        return MediaService.ROOT_FOLDER + segments.join('/');
+    };
+
+    /**
+     * Converts tags into a list of distinct, trimmed, lower case strings
+     * @static
+     * @method normalizeTags
+     * @param {Array|String} tags An array of tags or a comma separated string
+     * @return {Array}
+     */
+    MediaService.normalizeTags = function(tags) {
+        if (util.isString(tags)) {
+            tags = tags.split(',');
+        }
+        else if (!util.isArray(tags)) {
+            return [];
+        }
+
+        var result = [];
+        tags.forEach(function(tag) {
+            if (!util.isString(tag)) {
+                return;
+            }
+
+            tag = tag.trim().toLowerCase();
+            if (tag.length > 0 && result.indexOf(tag) < 0) {
+                result.push(tag);
+            }
+        });
+        return result;
+    };
+
+    /**
+     * Builds the sorted list of folders, including each of their ancestors
+     * and the root folder
+     * @static
+     * @method getFolderList
+     * @param {Array} folders
+     * @return {Array} Objects that describe each folder's "path", "name", and
+     * "depth" where the root folder has a depth of 0
+     */
+    MediaService.getFolderList = function(folders) {
+        var paths = {};
+        paths[MediaService.ROOT_FOLDER] = true;
+        (folders || []).forEach(function(folder) {
+            var segments = MediaService.normalizeFolder(folder).split('/').slice(1);
+            for (var i = 1; i <= segments.length && segments[0].length; i++) {
+                paths[MediaService.ROOT_FOLDER + segments.slice(0, i).join('/')] = true;
+            }
+        });
+
+        return Object.keys(paths).sort().map(function(path) {
+            var segments = path === MediaService.ROOT_FOLDER ? [] : path.split('/').slice(1);
+            return {
+                path: path,
+                name: segments.length ? segments[segments.length - 1] : MediaService.ROOT_FOLDER,
+                depth: segments.length
+            };
+        });
+    };
+
+    /**
+     * Builds the query that finds the media matching a set of filters
+     * @static
+     * @method getFilterWhere
+     * @param {Object} [filters]
+     * @param {String} [filters.folder] Media in the folder
+     * @param {Boolean} [filters.recursive=false] When TRUE media in the
+     * sub-folders of "folder" is also matched
+     * @param {Array|String} [filters.tags] Media that carries all of the tags
+     * @param {Array|String} [filters.type] Media of any of the types
+     * @param {String} [filters.uploader] The ID of the user who added the media
+     * @param {Date} [filters.from] Media created on or after the date
+     * @param {Date} [filters.to] Media created on or before the date
+     * @param {String} [filters.name] Media whose name contains the text
+     * @return {Object}
+     */
+    MediaService.getFilterWhere = function(filters) {
+        var where = {};
+        if (!util.isObject(filters)) {
+            return where;
+        }
+
+        if (util.isString(filters.folder) && filters.folder.length > 0) {
+            var folder = MediaService.normalizeFolder(filters.folder);
+            if (!filters.recursive) {
+
+                //media created before folders existed lives in the root
+                where.folder = folder === MediaService.ROOT_FOLDER ? {$in: [folder, null]} : folder;
+            }
+            else if (folder !== MediaService.ROOT_FOLDER) {
+                where.folder = new RegExp('^' + util.escapeRegExp(folder) + '(/|$)');
+            }
+        }
+
+        var tags = MediaService.normalizeTags(filters.tags);
+        if (tags.length > 0) {
+            where.tags = {$all: tags};
+        }
+
+        var types = util.isString(filters.type) ? [filters.type] : filters.type;
+        if (util.isArray(types) && types.length > 0) {
+            where.media_type = {$in: types};
+        }
+
+        if (util.isString(filters.uploader) && filters.uploader.length > 0) {
+            where.uploader = filters.uploader;
+        }
+
+        if (util.isDate(filters.from) || util.isDate(filters.to)) {
+            where.created = {};
+            if (util.isDate(filters.from)) {
+                where.created.$gte = filters.from;
+            }
+            if (util.isDate(filters.to)) {
+                where.created.$lte = filters.to;
+            }
+        }
+
+        if (util.isString(filters.name) && filters.name.trim().length > 0) {
+            where.name = new RegExp(util.escapeRegExp(filters.name.trim()), 'i');
+        }
+        return where;
+    };
+
     /**
      * Provides a mechanism to retrieve all of the supported extension types
      * that can be uploaded into the system.
@@ -906,6 +1217,28 @@ module.exports = function MediaServiceModule(pb) {
         return Object.keys(extensions);
     };
 
+    /**
+     * Starts a job that copies all uploaded media from one provider to another.
+     * An error is thrown when either provider cannot be loaded.
+     * @static
+     * @method migrateContent
+     * @param {Object} options
+     * @param {String} options.from The name or module path of the provider to copy from
+     * @param {String} options.to The name or module path of the provider to copy to
+     * @param {Boolean} [options.overwrite=false]
+     * @param {Function} [cb] Called once the job has completed
+     * @return {String} The job ID
+     */
+    MediaService.migrateContent = function(options, cb) {
+        cb = cb || util.cb;
+
+        var job = new pb.MediaMigrationJob(options);
+        job.init(util.format('MIGRATE_MEDIA_%s_TO_%s', options.from, options.to));
+        job.setType(MediaService.MIGRATION_JOB_TYPE, {from: options.from, to: options.to, overwrite: !!options.overwrite});
+        job.run(cb);
+        return job.getId();
+    };
+
     /**
      * Retrieves the singleton instance of MediaProvider.
      * @deprecated
@@ -932,13 +1265,17 @@ module.exports = function MediaServiceModule(pb) {
      * @method loadMediaProvider
      * @param {Object} context
      * @param {String} context.site
+     * @param {String} [provider] The name ("fs", "mongo", "s3") or module path
+     * of the provider to load.  Defaults to the configured provider.
      * @return {MediaProvider} An instance of a media provider or NULL when no
      * provider can be loaded.
      */
-    MediaService.loadMediaProvider = function(context) {
-        var ProviderType = MEDIA_PROVIDERS[pb.config.media.provider];
+    MediaService.loadMediaProvider = function(context, provider) {
+        provider = provider || pb.config.media.provider;
+
+        var ProviderType = MEDIA_PROVIDERS[provider];
         if (util.isNullOrUndefined(ProviderType)) {
-            ProviderType = MediaService.findProviderType();
+            ProviderType = MediaService.findProviderType(provider);
         }
         return !!ProviderType ? new ProviderType(context) : null;
     };
@@ -947,11 +1284,14 @@ module.exports = function MediaServiceModule(pb) {
      * Looks up the prototype for the media provider based on the configuration
      * @static
      * @method findProviderType
+     * @param {String} [provider] The module path of the provider.  Defaults to
+     * the configured provider.
      * @return {MediaProvider}
      */
-    MediaService.findProviderType = function() {
-        var instance = null;
-        var paths = [path.join(pb.config.docRoot, pb.config.media.provider), pb.config.media.provider];
+    MediaService.findProviderType = function(provider) {
+        provider = provider || pb.config.media.provider;
+
+        var paths = [path.join(pb.config.docRoot, provider), provider];
         for(var i = 0; i < paths.length; i++) {
             try{
                 return require(paths[i])(pb);
@@ -104,6 +104,18 @@ module.exports = function PluginServiceModule(pb) {
      */
     var PUBLIC_DIR_NAME   = 'public';
 
+    /**
+     * The types of the jobs that install and uninstall plugins
+     * @static
+     * @readonly
+     * @property JOB_TYPES
+     * @type {Object}
+     */
+    PluginService.JOB_TYPES = Object.freeze({
+        INSTALL: 'install_plugin',
+        UNINSTALL: 'uninstall_plugin'
+    });
+
     // Statics
     /**
      * A hash of the plugins that are installed and active in this instance of PB.
@@ -827,6 +839,44 @@ module.exports = function PluginServiceModule(pb) {
         return templates;
     };
 
+    /**
+     * Retrieves the image presets provided by a theme that is active for the site
+     * @static
+     * @method getActiveImagePresets
+     * @param {String} theme The UID of the theme
+     * @param {String} site
+     * @return {Object} The presets keyed by name or NULL when the theme does not
+     * provide any
+     */
+    PluginService.getActiveImagePresets = function(theme, site) {
+        var plugin = getPluginForSite(theme, site);
+        return plugin && plugin.image_presets ? util.clone(plugin.image_presets) : null;
+    };
+
+    /**
+     * Retrieves the Content-Security-Policy sources declared by the plugins
+     * that are active for the site, including those active for all sites
+     * @static
+     * @method getActiveContentSecurityPolicies
+     * @param {String} [site]
+     * @return {Array} The sources of each plugin keyed by directive name
+     */
+    PluginService.getActiveContentSecurityPolicies = function(site) {
+        var policies = [];
+        [GLOBAL_SITE, site].forEach(function(targetSite, i) {
+            if (!ACTIVE_PLUGINS[targetSite] || (i > 0 && targetSite === GLOBAL_SITE)) {
+                return;
+            }
+            for (var uid in ACTIVE_PLUGINS[targetSite]) {
+                var policy = ACTIVE_PLUGINS[targetSite][uid].content_security_policy;
+                if (policy) {
+                    policies.push(policy);
+                }
+            }
+        });
+        return policies;
+    };
+
     /**
      * Retrieves the inactive plugins for this instance of PencilBlue.  An inactive
      * plugin is considered one who failed to install or one that failed to start
@@ -987,6 +1037,7 @@ module.exports = function PluginServiceModule(pb) {
         var site = this.site;
         var job = new pb.PluginUninstallJob();
         job.init(name, jobId);
+        job.setType(PluginService.JOB_TYPES.UNINSTALL, {pluginUid: pluginUid, site: site});
         job.setPluginUid(pluginUid);
         job.setSite(site);
         job.setRunAsInitiator(options.forCluster === false ? false : true);
@@ -1020,6 +1071,7 @@ module.exports = function PluginServiceModule(pb) {
         var name = util.format('INSTALL_PLUGIN_%s', pluginDirName);
         var job  = new pb.PluginInstallJob();
         job.init(name);
+        job.setType(PluginService.JOB_TYPES.INSTALL, {pluginUid: pluginDirName, site: this.site});
         job.setRunAsInitiator(true);
         job.setSite(this.site);
         job.setPluginUid(pluginDirName);
@@ -1266,7 +1318,9 @@ module.exports = function PluginServiceModule(pb) {
                     main_module: mainModule,
                     public_dir: PluginService.getPublicPath(plugin.dirName),
                     permissions: map,
-                    templates: templates
+                    templates: templates,
+                    image_presets: details.theme ? details.theme.image_presets : null,
+                    content_security_policy: details.content_security_policy || null
                 };
 
                 //set icon url (if exists)
@@ -1375,6 +1429,14 @@ module.exports = function PluginServiceModule(pb) {
                             pb.log.debug('PluginService:[%s] Failed to register localizations for locale [%s].  Is the locale supported in your configuration?', details.uid, locale);
                         }
                     }
+
+                    //flag the keys that a locale does not translate now that all of the plugin's locales are registered
+                    for (var locale in localizations) {
+                        var missing = pb.Localization.getMissingKeys(locale, { plugin: details.uid });
+                        if (missing.length > 0) {
+                            pb.log.warn('PluginService:[%s] Locale [%s] is missing localizations that fall back to the default locale: %s', details.uid, locale, missing.join(', '));
+                        }
+                    }
                     callback(null, !util.isError(err) && result);
                 });
             }
@@ -2015,12 +2077,41 @@ module.exports = function PluginServiceModule(pb) {
                         errors.push("The content templates property must be an array");
                     }
                 }
+
+                //validate theme image presets
+                if (details.theme.image_presets) {
+
+                    if (v.validateObject(details.theme.image_presets, true)) {
+                        for (var presetName in details.theme.image_presets) {
+
+                            var preset = details.theme.image_presets[presetName];
+                            if (v.validateObject(preset, true)) {
+                                pb.ImageDerivativeService.validateOptions(preset).forEach(function(msg) {
+                                    errors.push("The image preset "+presetName+" is invalid. "+msg);
+                                });
+                            }
+                            else {
+                                errors.push("The image preset "+presetName+" is invalid");
+                            }
+                        }
+                    }
+                    else {
+                        errors.push("The image presets property must be an object");
+                    }
+                }
             }
             else {
                 errors.push("The theme block must be an object");
             }
         }
 
+        //validate the sources the plugin adds to the content security policy
+        if (details.content_security_policy) {
+            pb.SecurityHeadersService.validatePolicy(details.content_security_policy).forEach(function(msg) {
+                errors.push(msg);
+            });
+        }
+
         //validate the plugin's dependencies
         if (details.dependencies) {
             if (!util.isObject(details.dependencies)) {
@@ -2479,6 +2570,16 @@ module.exports = function PluginServiceModule(pb) {
         commandService.registerForType('is_plugin_available', PluginService.onIsPluginAvailableCommandReceived);
         commandService.registerForType('install_plugin_dependencies', PluginService.onInstallPluginDependenciesCommandReceived);
         commandService.registerForType('initialize_plugin', PluginService.onInitializePluginCommandReceived);
+
+        //failed installs and uninstalls can be retried
+        pb.JobService.registerRetryHandler(PluginService.JOB_TYPES.INSTALL, function(parameters, cb) {
+            var service = new PluginService({site: parameters.site});
+            cb(null, service.installPlugin(parameters.pluginUid));
+        });
+        pb.JobService.registerRetryHandler(PluginService.JOB_TYPES.UNINSTALL, function(parameters, cb) {
+            var service = new PluginService({site: parameters.site});
+            cb(null, service.uninstallPlugin(parameters.pluginUid));
+        });
     };
 
     function getPluginSettingService(self) {
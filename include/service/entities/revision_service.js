@@ -0,0 +1,571 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var async = require('async');
+
+module.exports = function RevisionServiceModule(pb) {
+
+    //pb dependencies
+    var util              = pb.util;
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * Keeps a history of full snapshots for articles, pages, and custom
+     * objects.  A revision is stored each time one of those objects is
+     * persisted.  Revisions can be compared against the current state of the
+     * object and restored through the normal validation path of the owning
+     * service.
+     * @class RevisionService
+     * @constructor
+     * @param {Object} context
+     * @param {String} [context.site]
+     * @param {Boolean} [context.onlyThisSite=true]
+     * @param {Object} [context.session] The session of the user performing
+     * operations.  Required when restoring.
+     */
+    function RevisionService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property context
+         * @type {Object}
+         */
+        this.context = context;
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = pb.SiteService.getCurrentSite(context.site);
+
+        /**
+         * @property dao
+         * @type {SiteQueryService}
+         */
+        this.dao = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
+    }
+
+    /**
+     * The collection where revisions are persisted
+     * @static
+     * @readonly
+     * @property COLLECTION
+     * @type {String}
+     */
+    RevisionService.COLLECTION = 'revision';
+
+    /**
+     * The object types that have revisions recorded
+     * @static
+     * @readonly
+     * @property TYPES
+     * @type {Array}
+     */
+    RevisionService.TYPES = Object.freeze(['article', 'page', 'custom_object']);
+
+    /**
+     * Fields that are managed by the persistence layer and are therefore
+     * neither snapshotted nor compared
+     * @private
+     * @static
+     * @readonly
+     * @property IGNORED_FIELDS
+     * @type {Array}
+     */
+    var IGNORED_FIELDS = [pb.DAO.getIdField(), 'id', 'object_type', 'site', 'created', 'last_modified'];
+
+    /**
+     * The error code reported when an insert violates a unique index
+     * @private
+     * @static
+     * @readonly
+     * @property DUPLICATE_KEY_ERROR_CODE
+     * @type {Integer}
+     */
+    var DUPLICATE_KEY_ERROR_CODE = 11000;
+
+    /**
+     * The number of times a revision number is claimed before giving up when
+     * concurrent saves keep taking the next number
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_CREATE_ATTEMPTS
+     * @type {Integer}
+     */
+    var MAX_CREATE_ATTEMPTS = 5;
+
+    /**
+     * The fields returned when listing revisions.  The snapshot is left out
+     * as it can be large.
+     * @private
+     * @static
+     * @readonly
+     * @property SUMMARY_SELECT
+     * @type {Object}
+     */
+    var SUMMARY_SELECT = Object.freeze({
+        revision_type: 1,
+        revision_of: 1,
+        revision: 1,
+        user: 1,
+        user_name: 1,
+        created: 1
+    });
+
+    /**
+     * @static
+     * @method isSupportedType
+     * @param {String} type
+     * @return {Boolean}
+     */
+    RevisionService.isSupportedType = function(type) {
+        return RevisionService.TYPES.indexOf(type) >= 0;
+    };
+
+    /**
+     * Provides the minimum admin level required to view and restore the
+     * revisions of the given type.  The level matches the one required to
+     * manage objects of the type in the admin section.
+     * @static
+     * @method getAccessLevel
+     * @param {String} type
+     * @return {Integer}
+     */
+    RevisionService.getAccessLevel = function(type) {
+        return type === 'article' ? pb.SecurityService.ACCESS_WRITER : pb.SecurityService.ACCESS_EDITOR;
+    };
+
+    /**
+     * Determines if the session's user may view and restore revisions of the
+     * given type
+     * @static
+     * @method isAuthorized
+     * @param {Object} session
+     * @param {String} type
+     * @return {Boolean}
+     */
+    RevisionService.isAuthorized = function(session, type) {
+        return pb.SecurityService.isAuthorized(session, {admin_level: RevisionService.getAccessLevel(type)});
+    };
+
+    /**
+     * Retrieves the maximum number of revisions to keep for the given type.
+     * The value is driven by the "revisions.retention" block of the
+     * configuration.  Types without an explicit entry fall back to the
+     * default.
+     * @static
+     * @method getRetentionLimit
+     * @param {String} type
+     * @return {Integer} The maximum number of revisions.  Zero indicates that
+     * all revisions are kept.
+     */
+    RevisionService.getRetentionLimit = function(type) {
+        var retention = pb.config.revisions && pb.config.revisions.retention ? pb.config.revisions.retention : {};
+        var limit     = retention.hasOwnProperty(type) ? retention[type] : retention.default;
+        return pb.ValidationService.isInt(limit, true, true) && limit > 0 ? limit : 0;
+    };
+
+    /**
+     * Creates a copy of the object that can be stored as a revision.  Fields
+     * maintained by the persistence layer are excluded.
+     * @static
+     * @method getSnapshot
+     * @param {Object} obj
+     * @return {Object}
+     */
+    RevisionService.getSnapshot = function(obj) {
+        var snapshot = {};
+        Object.keys(obj || {}).forEach(function(field) {
+            if (IGNORED_FIELDS.indexOf(field) < 0) {
+                snapshot[field] = obj[field];
+            }
+        });
+        return snapshot;
+    };
+
+    /**
+     * Performs a field level comparison between two snapshots.  Values are
+     * compared by their serialized form so that nested objects and arrays
+     * are compared by content.
+     * @static
+     * @method diff
+     * @param {Object} before
+     * @param {Object} after
+     * @return {Array} An array of objects, sorted by field name, that describe
+     * each changed field: field, change ("added", "removed", or "modified"),
+     * before, and after.
+     */
+    RevisionService.diff = function(before, after) {
+        before = RevisionService.getSnapshot(before);
+        after  = RevisionService.getSnapshot(after);
+
+        var fields = util.union(util.arrayToHash(Object.keys(before)), util.arrayToHash(Object.keys(after)));
+        return Object.keys(fields).sort().reduce(function(changes, field) {
+            var hasBefore = before.hasOwnProperty(field) && !util.isNullOrUndefined(before[field]);
+            var hasAfter  = after.hasOwnProperty(field) && !util.isNullOrUndefined(after[field]);
+            if (!hasBefore && !hasAfter) {
+                return changes;
+            }
+            else if (hasBefore && hasAfter && JSON.stringify(before[field]) === JSON.stringify(after[field])) {
+                return changes;
+            }
+
+            changes.push({
+                field: field,
+                change: !hasBefore ? 'added' : (!hasAfter ? 'removed' : 'modified'),
+                before: hasBefore ? before[field] : null,
+                after: hasAfter ? after[field] : null
+            });
+            return changes;
+        }, []);
+    };
+
+    /**
+     * Stores a revision for the provided object and then prunes revisions
+     * that fall outside of the retention limit for the type.
+     * @method create
+     * @param {String} type The object type (article, page, custom_object)
+     * @param {Object} obj The object as it was persisted
+     * @param {Object} [options]
+     * @param {Object} [options.user] The user that persisted the object
+     * @param {Function} cb (Error, Object) Provides the revision that was
+     * created
+     */
+    RevisionService.prototype.create = function(type, obj, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
+        if (!RevisionService.isSupportedType(type)) {
+            return cb(new Error('Revisions are not supported for type '+type));
+        }
+        else if (!util.isObject(obj) || util.isNullOrUndefined(obj[pb.DAO.getIdField()])) {
+            return cb(new Error('The object must be persisted before a revision can be created'));
+        }
+
+        var self     = this;
+        var objectId = obj[pb.DAO.getIdField()] + '';
+        var user     = options.user;
+        var attempts = 0;
+
+        //concurrent saves of the same object can claim the same number.  The
+        //unique index rejects all but one so the others re-read the latest
+        //number and try again.
+        var attempt = function() {
+            attempts++;
+            self.getLatestNumber(type, objectId, function(err, latest) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                var revision = {
+                    object_type: RevisionService.COLLECTION,
+                    revision_type: type,
+                    revision_of: objectId,
+                    revision: latest + 1,
+                    user: user ? user[pb.DAO.getIdField()] + '' : null,
+                    user_name: user ? (user.first_name ? user.first_name + ' ' + user.last_name : user.username) : null,
+                    data: RevisionService.getSnapshot(obj)
+                };
+                self.dao.save(revision, function(err) {
+                    if (util.isError(err)) {
+                        if (err.code === DUPLICATE_KEY_ERROR_CODE && attempts < MAX_CREATE_ATTEMPTS) {
+                            return attempt();
+                        }
+                        return cb(err);
+                    }
+
+                    self.prune(type, objectId, function(err) {
+                        cb(err, revision);
+                    });
+                });
+            });
+        };
+        attempt();
+    };
+
+    /**
+     * Retrieves the highest revision number for an object
+     * @method getLatestNumber
+     * @param {String} type
+     * @param {String} objectId
+     * @param {Function} cb (Error, Integer) Zero is provided when no revisions
+     * exist
+     */
+    RevisionService.prototype.getLatestNumber = function(type, objectId, cb) {
+        var opts = {
+            select: {revision: 1},
+            where: {revision_type: type, revision_of: objectId + ''},
+            order: {revision: pb.DAO.DESC},
+            limit: 1
+        };
+        this.dao.q(RevisionService.COLLECTION, opts, function(err, revisions) {
+            cb(err, util.isArray(revisions) && revisions.length > 0 ? revisions[0].revision : 0);
+        });
+    };
+
+    /**
+     * Removes the oldest revisions of an object so that no more than the
+     * retention limit for the type remain
+     * @method prune
+     * @param {String} type
+     * @param {String} objectId
+     * @param {Function} cb (Error, Integer) Provides the number of revisions
+     * removed
+     */
+    RevisionService.prototype.prune = function(type, objectId, cb) {
+        var limit = RevisionService.getRetentionLimit(type);
+        if (limit === 0) {
+            return cb(null, 0);
+        }
+
+        var self = this;
+        var opts = {
+            select: {revision: 1},
+            where: {revision_type: type, revision_of: objectId + ''},
+            order: {revision: pb.DAO.DESC},
+            offset: limit
+        };
+        this.dao.q(RevisionService.COLLECTION, opts, function(err, expired) {
+            if (util.isError(err) || expired.length === 0) {
+                return cb(err, 0);
+            }
+
+            var ids = expired.map(function(revision) {
+                return revision[pb.DAO.getIdField()];
+            });
+            self.dao.delete(pb.DAO.getIdInWhere(ids), RevisionService.COLLECTION, function(err) {
+                cb(err, ids.length);
+            });
+        });
+    };
+
+    /**
+     * Retrieves a page of revision summaries for an object, newest first.
+     * The snapshots are not included.
+     * @method getAll
+     * @param {String} type
+     * @param {String} objectId
+     * @param {Object} [options]
+     * @param {Integer} [options.limit]
+     * @param {Integer} [options.offset]
+     * @param {Function} cb (Error, Object) Provides a paged result
+     */
+    RevisionService.prototype.getAll = function(type, objectId, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
+
+        var self  = this;
+        var where = {revision_type: type, revision_of: objectId + ''};
+        var limit = BaseObjectService.getLimit(options.limit);
+        var tasks = {
+
+            total: function(callback) {
+                self.dao.count(RevisionService.COLLECTION, where, callback);
+            },
+
+            data: function(callback) {
+                var opts = {
+                    select: SUMMARY_SELECT,
+                    where: where,
+                    order: {revision: pb.DAO.DESC},
+                    limit: limit,
+                    offset: options.offset
+                };
+                self.dao.q(RevisionService.COLLECTION, opts, callback);
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, BaseObjectService.getPagedResult(results.data, results.total, limit, options.offset));
+        });
+    };
+
+    /**
+     * Retrieves a single revision of an object
+     * @method get
+     * @param {String} type
+     * @param {String} objectId
+     * @param {String} revisionId
+     * @param {Function} cb (Error, Object) NULL is provided when the revision
+     * does not exist or does not belong to the object
+     */
+    RevisionService.prototype.get = function(type, objectId, revisionId, cb) {
+        if (!pb.ValidationService.isIdStr(revisionId, true)) {
+            return cb(null, null);
+        }
+
+        var where = pb.DAO.getIdWhere(revisionId);
+        where.revision_type = type;
+        where.revision_of   = objectId + '';
+        this.dao.loadByValues(where, RevisionService.COLLECTION, cb);
+    };
+
+    /**
+     * Retrieves a revision along with a field level comparison against the
+     * current state of the object.  The changes describe what restoring the
+     * revision would do: "before" is the current value and "after" is the
+     * value in the revision.
+     * @method compare
+     * @param {String} type
+     * @param {String} objectId
+     * @param {String} revisionId
+     * @param {Function} cb (Error, Object) Provides the revision with an
+     * additional "changes" property or NULL when the revision or the object
+     * does not exist
+     */
+    RevisionService.prototype.compare = function(type, objectId, revisionId, cb) {
+        var self = this;
+        this.get(type, objectId, revisionId, function(err, revision) {
+            if (util.isError(err) || !revision) {
+                return cb(err, null);
+            }
+
+            self.dao.loadById(objectId, type, function(err, current) {
+                if (util.isError(err) || !current) {
+                    return cb(err, null);
+                }
+
+                revision.changes = RevisionService.diff(current, revision.data);
+                cb(null, revision);
+            });
+        });
+    };
+
+    /**
+     * Restores an object to the state captured by a revision.  The snapshot
+     * is handed to the service that owns the type so that it goes through the
+     * same formatting and validation as any other save.  A successful restore
+     * is recorded as a new revision.
+     * @method restore
+     * @param {String} type
+     * @param {String} objectId
+     * @param {String} revisionId
+     * @param {Function} cb (Error, Object) Provides the restored object or
+     * NULL when the revision or the object does not exist
+     */
+    RevisionService.prototype.restore = function(type, objectId, revisionId, cb) {
+        var self = this;
+        this.get(type, objectId, revisionId, function(err, revision) {
+            if (util.isError(err) || !revision) {
+                return cb(err, null);
+            }
+
+            var dto = RevisionService.getSnapshot(revision.data);
+            dto[pb.DAO.getIdField()] = objectId;
+            if (type === 'custom_object') {
+                return self.restoreCustomObject(dto, cb);
+            }
+
+            var context          = util.merge(self.context, {});
+            context.site         = self.site;
+            context.onlyThisSite = true;
+            var service = type === 'article' ? new pb.ArticleServiceV2(context) : new pb.PageService(context);
+            service.update(dto, cb);
+        });
+    };
+
+    /**
+     * Restores a custom object by validating the snapshot against the
+     * current definition of its type
+     * @method restoreCustomObject
+     * @param {Object} dto
+     * @param {Function} cb
+     */
+    RevisionService.prototype.restoreCustomObject = function(dto, cb) {
+        var self    = this;
+        var service = new pb.CustomObjectService(this.site, true);
+        service.loadById(dto[pb.DAO.getIdField()], function(err, custObj) {
+            if (util.isError(err) || !custObj) {
+                return cb(err, null);
+            }
+
+            service.loadTypeById(dto.type, function(err, custObjType) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                else if (!custObjType) {
+                    return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('type', 'The custom object type no longer exists')]));
+                }
+
+                //keep the identity of the existing object
+                dto.object_type = custObj.object_type;
+                dto.created     = custObj.created;
+
+                var options = {user: RevisionService.getSessionUser(self.context)};
+                service.save(dto, custObjType, options, function(err, result) {
+                    if (util.isError(err)) {
+                        return cb(err);
+                    }
+                    else if (util.isArray(result) && result.length > 0) {
+                        return cb(BaseObjectService.validationError(result));
+                    }
+                    cb(null, dto);
+                });
+            });
+        });
+    };
+
+    /**
+     * Extracts the authenticated user from a service context
+     * @static
+     * @method getSessionUser
+     * @param {Object} context
+     * @return {Object} The user or NULL when there is no authenticated user
+     */
+    RevisionService.getSessionUser = function(context) {
+        var session = context ? context.session : null;
+        return session && session.authentication && util.isObject(session.authentication.user) ? session.authentication.user : null;
+    };
+
+    /**
+     * Records a revision each time an article or page is saved.  Failures are
+     * logged rather than failing the save since the object has already been
+     * persisted.
+     * @static
+     * @method onAfterSave
+     * @param {Object} context
+     * @param {Object} context.data The object that was persisted
+     * @param {BaseObjectService} context.service
+     * @param {Function} cb
+     */
+    RevisionService.onAfterSave = function(context, cb) {
+        var type    = context.service.getType();
+        var service = new RevisionService({site: context.site});
+        service.create(type, context.data, {user: RevisionService.getSessionUser(context)}, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('RevisionService: Failed to record revision of %s %s. %s', type, context.data[pb.DAO.getIdField()], err.stack);
+            }
+            cb(null);
+        });
+    };
+
+    //Event Registries
+    BaseObjectService.on('article' + '.' + BaseObjectService.AFTER_SAVE, RevisionService.onAfterSave);
+    BaseObjectService.on('page' + '.' + BaseObjectService.AFTER_SAVE, RevisionService.onAfterSave);
+
+    //exports
+    return RevisionService;
+};
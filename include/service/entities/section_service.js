@@ -316,6 +316,11 @@ module.exports = function SectionServiceModule(pb) {
                     return cb(err, []);
                 }
 
+                //display the names in the requested locale.  The default locale
+                //is not offered for translation so it does not need to be known.
+                var locale = util.isObject(localizationService) ? localizationService.language : null;
+                pb.ContentTranslationService.resolveAll('section', sections, locale);
+
                 var formattedSections = [];
                 for(var i = 0; i < sectionMap.length; i++) {
                     var section    = SectionService.getSectionData(sectionMap[i].uid, sections, currUrl);
@@ -413,6 +418,15 @@ module.exports = function SectionServiceModule(pb) {
             navItem.url    = null;
             navItem.item   = null;
         }
+
+        //only sections have a URL slug to translate
+        if (navItem.type !== 'section' && util.isObject(navItem.translations)) {
+            util.forEach(navItem.translations, function(translation) {
+                if (util.isObject(translation)) {
+                    delete translation.url;
+                }
+            });
+        }
     };
 
     /**
@@ -453,6 +467,9 @@ module.exports = function SectionServiceModule(pb) {
                 errors.push({field: 'name', message: 'An invalid name ['+navItem.name+'] was provided'});
             }
 
+            //translations
+            pb.ContentTranslationService.validate('section', navItem.translations, errors);
+
             //compile all errors and call back
             var onDone = function(err, validationErrors) {
                 util.arrayPushAll(validationErrors, errors);
@@ -585,6 +602,11 @@ module.exports = function SectionServiceModule(pb) {
                 });
             },
 
+            //translated urls
+            function(callback) {
+                pb.ContentTranslationService.validateUrls('section', navItem, self.site, errors, callback);
+            },
+
             //parent
             function(callback) {
                 self.validateNavItemParent(navItem.parent, function(err, validationError) {
@@ -705,6 +727,11 @@ module.exports = function SectionServiceModule(pb) {
             options = {};
         }
 
+        //clean up the translated values
+        if (util.isObject(navItem) && !util.isNullOrUndefined(navItem.translations)) {
+            navItem.translations = pb.ContentTranslationService.sanitize('section', navItem.translations);
+        }
+
         //validate
         var self = this;
         self.validate(navItem, function(err, validationErrors) {
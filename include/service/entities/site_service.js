@@ -55,6 +55,19 @@ module.exports = function SiteServiceModule(pb) {
      */
     SiteService.GLOBAL_SITE = 'global';
 
+    /**
+     * The types of the jobs that activate, deactivate, and edit sites
+     * @static
+     * @readonly
+     * @property JOB_TYPES
+     * @type {Object}
+     */
+    SiteService.JOB_TYPES = Object.freeze({
+        ACTIVATE: 'activate_site',
+        DEACTIVATE: 'deactivate_site',
+        EDIT: 'edit_site'
+    });
+
     /**
      * represents a site that doesn't exist
      * @static
@@ -254,6 +267,7 @@ module.exports = function SiteServiceModule(pb) {
         var job = new pb.SiteActivateJob();
         job.setRunAsInitiator(true);
         job.init(name);
+        job.setType(SiteService.JOB_TYPES.ACTIVATE, {uid: siteUid});
         job.setSite({uid: siteUid});
         job.run(cb);
         return job.getId();
@@ -273,6 +287,7 @@ module.exports = function SiteServiceModule(pb) {
         var job = new pb.SiteDeactivateJob();
         job.setRunAsInitiator(true);
         job.init(name);
+        job.setType(SiteService.JOB_TYPES.DEACTIVATE, {uid: siteUid});
         job.setSite({uid: siteUid});
         job.run(cb);
         return job.getId();
@@ -294,6 +309,7 @@ module.exports = function SiteServiceModule(pb) {
         var job = new pb.SiteCreateEditJob();
         job.setRunAsInitiator(true);
         job.init(name);
+        job.setType(SiteService.JOB_TYPES.EDIT, options);
         job.setSite(options);
         job.run(cb);
         return job.getId();
@@ -490,6 +506,17 @@ module.exports = function SiteServiceModule(pb) {
         commandService.registerForType('activate_site', SiteService.onActivateSiteCommandReceived);
         commandService.registerForType('deactivate_site'  , SiteService.onDeactivateSiteCommandReceived);
         commandService.registerForType('create_edit_site', SiteService.onCreateEditSiteCommandReceived);
+
+        //failed jobs can be retried
+        pb.JobService.registerRetryHandler(SiteService.JOB_TYPES.ACTIVATE, function(parameters, cb) {
+            cb(null, new SiteService().activateSite(parameters.uid));
+        });
+        pb.JobService.registerRetryHandler(SiteService.JOB_TYPES.DEACTIVATE, function(parameters, cb) {
+            cb(null, new SiteService().deactivateSite(parameters.uid));
+        });
+        pb.JobService.registerRetryHandler(SiteService.JOB_TYPES.EDIT, function(parameters, cb) {
+            cb(null, new SiteService().editSite(parameters));
+        });
     };
 
     /**
@@ -118,6 +118,14 @@ module.exports = function(pb) {
          */
         this.unregisteredFlagHandler = null;
 
+        /**
+         * The registered values provided to localization flags.  It is built
+         * on first use and cleared when a local value is registered.
+         * @property localizationParams
+         * @type {Object}
+         */
+        this.localizationParams = null;
+
         /**
          * @property siteUid
          * @type {String}
@@ -146,6 +154,9 @@ module.exports = function(pb) {
     var LOCALIZATION_PREFIX_LEN = LOCALIZATION_PREFIX.length;
     var SYSTEM_PREFIX           = 'system_';
     var SYSTEM_PREFIX_LEN       = SYSTEM_PREFIX.length;
+    var FORMAT_PREFIX           = 'fmt_';
+    var FORMAT_PREFIX_LEN       = FORMAT_PREFIX.length;
+    var FORMAT_SEP              = '=';
 
     var TEMPLATE_LOADER = null;
 
@@ -475,7 +486,15 @@ module.exports = function(pb) {
      * sub-template that should be loaded processed.  The file is expected to have
      * a .html extension.
      * </li>
+     * <li>^fmt_type=flag=style^ - Formats the value of another flag for the
+     * locale of the Localization instance.  See handleFormatReplacement.
+     * </li>
      * </ul>
+     * The values registered with the service are provided as the named
+     * parameters of localization flags so that a value such as
+     * "{count, plural, one {# comment} other {# comments}}" can be formatted
+     * from a registered "count".
+     * 
      *
      * @method processFlag
      * @param {string} flag The flag to be processed. The value should NOT contain
@@ -496,19 +515,18 @@ module.exports = function(pb) {
             }
             else if (flag.indexOf(LOCALIZATION_PREFIX) == 0 && self.localizationService) {//localization
 
-                //TODO how do we express params?  Other template vars?
                 var key = flag.substring(LOCALIZATION_PREFIX_LEN);
                 var opts = {
                     site: self.siteUid,
                     plugin: self.activeTheme,
                     defaultVal: null,
-                    params: {/*TODO use the model for this*/}
+                    params: self.getLocalizationParams()
                 };
                 var val = self.localizationService.g(key, opts);
                 if (!util.isString(val)) {
 
                     //TODO this is here to be backwards compatible. Remove in 0.6.0
-                    val = self.localizationService.get(key);
+                    val = self.localizationService.get(key, opts.params);
                 }
                 return cb(null, val);
             }
@@ -518,26 +536,125 @@ module.exports = function(pb) {
                 });
                 return;
             }
+            else if (flag.indexOf(FORMAT_PREFIX) == 0) {//formatted values
+                self.handleFormatReplacement(flag, function(err, content) {
+                    if (util.isString(content)) {
+                        return cb(err, content);
+                    }
+                    handleUnregisteredFlag(flag, cb);
+                });
+                return;
+            }
             else {
+                handleUnregisteredFlag(flag, cb);
+            }
+        };
+        var handleUnregisteredFlag = function(flag, cb) {
 
-                //log result
-                if (pb.log.isSilly()) {
-                    pb.log.silly("TemplateService: Failed to process flag [%s]", flag);
-                }
+            //log result
+            if (pb.log.isSilly()) {
+                pb.log.silly("TemplateService: Failed to process flag [%s]", flag);
+            }
 
-                //the flag was not registered.  Hand it off to a handler for any
-                //catch-all processing.
-                if (util.isFunction(self.unregisteredFlagHandler)) {
-                    self.unregisteredFlagHandler(flag, cb);
-                }
-                else {
-                    TemplateService.unregisteredFlagHandler(flag, cb);
-                }
+            //the flag was not registered.  Hand it off to a handler for any
+            //catch-all processing.
+            if (util.isFunction(self.unregisteredFlagHandler)) {
+                self.unregisteredFlagHandler(flag, cb);
+            }
+            else {
+                TemplateService.unregisteredFlagHandler(flag, cb);
             }
         };
         doFlagProcessing(flag, cb);
     };
 
+    /**
+     * Formats the value of a registered flag for the locale of the
+     * Localization instance.  The flag takes the form
+     * "fmt_type=flag=style" where the type is one of "number", "currency",
+     * "date" or "time".  The style is optional.  Numbers may be styled as
+     * "integer" or "percent".  Currencies require the currency code, as in
+     * ^fmt_currency=price=EUR^.  Dates and times may be styled as "short",
+     * "medium", "long" or "full".  The callback provides NULL content when
+     * the flag or the value to format can not be found.
+     * @method handleFormatReplacement
+     * @param {String} flag
+     * @param {Function} cb (Error, String)
+     */
+    TemplateService.prototype.handleFormatReplacement = function(flag, cb) {
+        var parts     = flag.substring(FORMAT_PREFIX_LEN).split(FORMAT_SEP);
+        var type      = parts[0];
+        var valueFlag = parts[1];
+        var style     = parts[2];
+        if (type === 'currency') {
+            type  = pb.MessageFormat.TYPES.NUMBER;
+            style = 'currency/' + style;
+        }
+
+        var message = '{value, ' + type + (style ? ', ' + style : '') + '}';
+        if (!valueFlag || pb.MessageFormat.validate(message).length > 0) {
+            return cb(null, null);
+        }
+
+        var replacement = this.localCallbacks[valueFlag];
+        if (replacement === undefined) {
+            replacement = GLOBAL_CALLBACKS[valueFlag];
+        }
+        if (replacement === undefined) {
+            return cb(null, null);
+        }
+
+        var locale = this.localizationService ? this.localizationService.language : pb.Localization.getDefaultLocale();
+        var handler = function(err, value) {
+            if (value instanceof TemplateValue) {
+                value = value.raw;
+            }
+            if (util.isError(err) || util.isNullOrUndefined(value)) {
+                return cb(err, '');
+            }
+            cb(null, HtmlEncoder.htmlEncode(pb.MessageFormat.format(message, {value: value}, locale)));
+        };
+        if (util.isFunction(replacement)) {
+            return replacement(valueFlag, handler);
+        }
+        handler(null, replacement);
+    };
+
+    /**
+     * Retrieves the values registered with the service, locally or globally,
+     * so that they can be provided as the named parameters of localization
+     * flags.  Values registered as functions are not included.  Strings are
+     * HTML encoded unless they were registered as a TemplateValue that skips
+     * encoding.
+     * @method getLocalizationParams
+     * @return {Object}
+     */
+    TemplateService.prototype.getLocalizationParams = function() {
+        if (this.localizationParams) {
+            return this.localizationParams;
+        }
+
+        var params = {};
+        var add = function(value, flag) {
+            if (value instanceof TemplateValue) {
+                value = util.isString(value.raw) ? value.val() : value.raw;
+                if (util.isString(value)) {
+                    params[flag] = value;
+                    return;
+                }
+            }
+            if (util.isString(value)) {
+                params[flag] = HtmlEncoder.htmlEncode(value);
+            }
+            else if (util.isNumber(value) || util.isBoolean(value) || util.isDate(value)) {
+                params[flag] = value;
+            }
+        };
+        util.forEach(GLOBAL_CALLBACKS, add);
+        util.forEach(this.localCallbacks, add);
+        return (this.localizationParams = params);
+    };
+
     /**
      * When a sub-template flag is encountered by the processing engine this
      * function is called to parse the flag and delegate out the loading and
@@ -617,6 +734,7 @@ module.exports = function(pb) {
      */
     TemplateService.prototype.registerLocal = function(flag, callbackFunctionOrValue) {
         this.localCallbacks[flag] = callbackFunctionOrValue;
+        this.localizationParams = null;
         return true;
     };
 
@@ -61,6 +61,9 @@ module.exports = function(pb) {
     TopicService.format = function(context, cb) {
         var dto = context.data;
         dto.name = pb.BaseController.sanitize(dto.name);
+        if (!util.isNullOrUndefined(dto.translations)) {
+            dto.translations = pb.ContentTranslationService.sanitize(TYPE, dto.translations);
+        }
         cb(null);
     };
 
@@ -75,6 +78,9 @@ module.exports = function(pb) {
      */
     TopicService.merge = function(context, cb) {
         context.object.name = context.data.name;
+        if (context.data.translations !== undefined) {
+            context.object.translations = context.data.translations;
+        }
         cb(null);
     };
 
@@ -92,6 +98,7 @@ module.exports = function(pb) {
         var obj = context.data;
         var errors = context.validationErrors;
 
+        pb.ContentTranslationService.validate(TYPE, obj.translations, errors);
         if (!pb.ValidationService.isNonEmptyStr(obj.name, true)) {
             errors.push(BaseObjectService.validationFailure('name', 'Name is required'));
 
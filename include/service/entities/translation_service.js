@@ -0,0 +1,969 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var async = require('async');
+var util  = require('../../util.js');
+
+module.exports = function TranslationServiceModule(pb) {
+
+    //pb dependencies
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'localization_override';
+
+    /**
+     * The command that is broadcast to the cluster when an override changes
+     * @private
+     * @static
+     * @readonly
+     * @property CHANGE_COMMAND
+     * @type {String}
+     */
+    var CHANGE_COMMAND = 'localization_override_change';
+
+    /**
+     * Determines if a value can be used as the ID of an XLIFF element
+     * @private
+     * @static
+     * @readonly
+     * @property NMTOKEN_REGEX
+     * @type {RegExp}
+     */
+    var NMTOKEN_REGEX = /^[A-Za-z0-9_.:-]+$/;
+
+    /**
+     * Provides the tools translators need to work on the localizations of a
+     * site without editing code.  It reports the keys that each locale
+     * translates, stores the values that a site uses in place of the
+     * registered ones, and exports and imports the localizations as XLIFF 2.0
+     * and gettext PO.  Overrides are kept in memory by Localization so that
+     * they can be retrieved synchronously.  Changes are broadcast to the
+     * cluster.
+     * @class TranslationService
+     * @extends BaseObjectService
+     * @constructor
+     * @param {Object} context
+     * @param {String} [context.site]
+     */
+    function TranslationService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        context.type = TYPE;
+        context.onlyThisSite = true;
+        TranslationService.super_.call(this, context);
+    }
+    util.inherits(TranslationService, BaseObjectService);
+
+    /**
+     * The name used in place of a plugin for the values registered by the system
+     * @static
+     * @readonly
+     * @property SYSTEM
+     * @type {String}
+     */
+    TranslationService.SYSTEM = 'system';
+
+    /**
+     * The supported file formats
+     * @static
+     * @readonly
+     * @property FORMATS
+     * @type {Object}
+     */
+    TranslationService.FORMATS = Object.freeze({
+        XLIFF: 'xliff',
+        PO: 'po'
+    });
+
+    /**
+     * The state of a key for a locale
+     * @static
+     * @readonly
+     * @property STATUSES
+     * @type {Object}
+     */
+    TranslationService.STATUSES = Object.freeze({
+        TRANSLATED: 'translated',
+        MISSING: 'missing',
+        OVERRIDDEN: 'overridden'
+    });
+
+    /**
+     * The MIME type and file extension of each format
+     * @static
+     * @readonly
+     * @property FILE_TYPES
+     * @type {Object}
+     */
+    TranslationService.FILE_TYPES = Object.freeze({
+        xliff: {mime: 'application/xliff+xml', ext: '.xlf'},
+        po: {mime: 'text/x-gettext-translation', ext: '.po'}
+    });
+
+    /**
+     * Loads the overrides of every site into memory and listens for the
+     * changes made by the other members of the cluster
+     * @static
+     * @method init
+     * @param {Function} cb (Error, Boolean)
+     */
+    TranslationService.init = function(cb) {
+        pb.CommandService.getInstance().registerForType(CHANGE_COMMAND, TranslationService.onChangeCommandReceived);
+
+        var opts = {
+            select: {site: 1, locale: 1, key: 1, value: 1}
+        };
+        var dao = new pb.DAO();
+        dao.q(TYPE, opts, function(err, overrides) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            overrides.forEach(function(override) {
+                TranslationService.apply(override.site, override.locale, override.key, override.value);
+            });
+            pb.log.debug('TranslationService: Loaded %d localization overrides', overrides.length);
+            cb(null, true);
+        });
+    };
+
+    /**
+     * Registers or removes an override in memory
+     * @static
+     * @method apply
+     * @param {String} site
+     * @param {String} locale
+     * @param {String} key
+     * @param {String} [value] When not provided the override is removed
+     * @return {Boolean}
+     */
+    TranslationService.apply = function(site, locale, key, value) {
+        try {
+            return util.isString(value) ?
+                pb.Localization.registerOverride(site, locale, key, value) :
+                pb.Localization.unregisterOverride(site, locale, key);
+        }
+        catch(e) {
+            pb.log.warn('TranslationService: Failed to apply the override of key [%s] for locale [%s] of site [%s]. %s', key, locale, site, e.message);
+            return false;
+        }
+    };
+
+    /**
+     * Applies an override that was changed by another member of the cluster
+     * @static
+     * @method onChangeCommandReceived
+     * @param {Object} command
+     * @param {String} command.site
+     * @param {String} command.locale
+     * @param {String} command.key
+     * @param {String} [command.value]
+     */
+    TranslationService.onChangeCommandReceived = function(command) {
+        if (!util.isObject(command)) {
+            pb.log.error('TranslationService: an invalid %s command object was passed. %s', CHANGE_COMMAND, util.inspect(command));
+            return;
+        }
+        TranslationService.apply(command.site, command.locale, command.key, command.value);
+    };
+
+    /**
+     * Applies the change to an override in memory and broadcasts it to the
+     * cluster.  A failure to broadcast is logged but does not fail the
+     * operation.
+     * @static
+     * @method onChange
+     * @param {Object} context
+     * @param {String} [value] When not provided the override was removed
+     * @param {Function} cb
+     */
+    TranslationService.onChange = function(context, value, cb) {
+        var obj = context.data;
+        var site = pb.SiteService.getCurrentSite(obj[pb.SiteService.SITE_FIELD] || context.site);
+        TranslationService.apply(site, obj.locale, obj.key, value);
+
+        var command = {
+            site: site,
+            locale: obj.locale,
+            key: obj.key,
+            value: value
+        };
+        pb.CommandService.getInstance().sendCommand(CHANGE_COMMAND, command, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('TranslationService: Failed to broadcast the change to key [%s] for locale [%s]. %s', obj.key, obj.locale, err.stack);
+            }
+            cb(null);
+        });
+    };
+
+    /**
+     * Retrieves the names of the providers of localizations: the system and
+     * each plugin that registered a key
+     * @static
+     * @method getProviders
+     * @return {Array}
+     */
+    TranslationService.getProviders = function() {
+        var providers = {};
+        Object.keys(pb.Localization.keys).forEach(function(key) {
+            pb.Localization.getPlugins(key).forEach(function(plugin) {
+                providers[plugin] = true;
+            });
+        });
+        return [TranslationService.SYSTEM].concat(Object.keys(providers).sort());
+    };
+
+    /**
+     * Builds a row of the report for each registered key.  The source of a
+     * row is the value for the default locale.  The translation is the value
+     * registered for the locale and the override is the value that the site
+     * stored in its place.
+     * @method getReport
+     * @param {Object} options
+     * @param {String} options.locale
+     * @param {String} [options.plugin] Limits the report to the keys provided
+     * by the plugin or, when TranslationService.SYSTEM, by the system
+     * @param {String} [options.status] One of TranslationService.STATUSES
+     * @param {String} [options.q] Limits the report to the rows whose key or
+     * values contain the text
+     * @param {Integer} [options.offset=0]
+     * @param {Integer} [options.limit] All rows are provided when not set
+     * @param {Function} cb (Error, Object) Provides the "total" number of
+     * rows that matched and the requested rows as "data"
+     */
+    TranslationService.prototype.getReport = function(options, cb) {
+        if (!util.isObject(options) || !pb.Localization.isSupported(options.locale)) {
+            return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('locale', 'A supported locale is required')]));
+        }
+
+        var locale = options.locale;
+        var defaultLocale = pb.Localization.getDefaultLocale();
+        var overrides = pb.Localization.getOverrides(this.context.site, locale);
+        var q = util.isString(options.q) && options.q.length > 0 ? options.q.toLowerCase() : null;
+
+        var rows = [];
+        Object.keys(pb.Localization.keys).sort().forEach(function(key) {
+            var plugins = pb.Localization.getPlugins(key);
+            if (pb.Localization.isSystemKey(key)) {
+                plugins.unshift(TranslationService.SYSTEM);
+            }
+            if (options.plugin && plugins.indexOf(options.plugin) < 0) {
+                return;
+            }
+
+            var opts = {
+                plugin: options.plugin && options.plugin !== TranslationService.SYSTEM ? options.plugin : undefined
+            };
+            var row = {
+                key: key,
+                plugins: plugins,
+                source: pb.Localization.getLocalization(defaultLocale, key, opts),
+                translation: pb.Localization.getLocalization(locale, key, opts),
+                override: overrides.hasOwnProperty(key) ? overrides[key] : null
+            };
+            row.status = TranslationService.getStatus(row);
+
+            if (options.status && row.status !== options.status) {
+                return;
+            }
+            if (q && ![row.key, row.source, row.translation, row.override].some(function(val) {
+                return util.isString(val) && val.toLowerCase().indexOf(q) >= 0;
+            })) {
+                return;
+            }
+            rows.push(row);
+        });
+
+        var offset = parseInt(options.offset) || 0;
+        var limit = parseInt(options.limit);
+        cb(null, {
+            total: rows.length,
+            data: isNaN(limit) ? rows.slice(offset) : rows.slice(offset, offset + limit)
+        });
+    };
+
+    /**
+     * Determines the status of a row of the report
+     * @static
+     * @method getStatus
+     * @param {Object} row
+     * @return {String} One of TranslationService.STATUSES
+     */
+    TranslationService.getStatus = function(row) {
+        if (util.isString(row.override)) {
+            return TranslationService.STATUSES.OVERRIDDEN;
+        }
+        return util.isString(row.translation) ? TranslationService.STATUSES.TRANSLATED : TranslationService.STATUSES.MISSING;
+    };
+
+    /**
+     * Stores the value that the site uses in place of the registered value
+     * of a key.  An existing override of the key is updated.
+     * @method setOverride
+     * @param {String} locale
+     * @param {String} key
+     * @param {String} value
+     * @param {Function} cb (Error, Object) Provides the persisted override
+     */
+    TranslationService.prototype.setOverride = function(locale, key, value, cb) {
+        var self = this;
+        this.getOverride(locale, key, function(err, override) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var dto = {
+                locale: locale,
+                key: key,
+                value: value
+            };
+            if (override) {
+                dto[pb.DAO.getIdField()] = override[pb.DAO.getIdField()];
+            }
+            self.save(dto, cb);
+        });
+    };
+
+    /**
+     * Removes the override of a key so that the registered value is used
+     * @method removeOverride
+     * @param {String} locale
+     * @param {String} key
+     * @param {Function} cb (Error, Object) Provides the removed override or
+     * NULL when the key was not overridden
+     */
+    TranslationService.prototype.removeOverride = function(locale, key, cb) {
+        var self = this;
+        this.getOverride(locale, key, function(err, override) {
+            if (util.isError(err) || !override) {
+                return cb(err, null);
+            }
+
+            //delete by ID because deletes are not limited to the site
+            self.deleteSingle({where: pb.DAO.getIdWhere(override[pb.DAO.getIdField()])}, cb);
+        });
+    };
+
+    /**
+     * Retrieves the override of a key
+     * @method getOverride
+     * @param {String} locale
+     * @param {String} key
+     * @param {Function} cb (Error, Object)
+     */
+    TranslationService.prototype.getOverride = function(locale, key, cb) {
+        this.getSingle({where: {locale: locale, key: key}}, cb);
+    };
+
+    /**
+     * Exports the localizations of a locale.  The source of each entry is the
+     * value for the default locale.  The target is the site's override or,
+     * when the key is not overridden, the value registered for the locale.
+     * @method export
+     * @param {Object} options
+     * @param {String} options.format One of TranslationService.FORMATS
+     * @param {String} options.locale
+     * @param {String} [options.plugin] See getReport
+     * @param {Boolean} [options.missingOnly=false] When TRUE only the keys
+     * that the locale does not translate are exported
+     * @param {Function} cb (Error, String)
+     */
+    TranslationService.prototype.export = function(options, cb) {
+        if (!util.isObject(options) || !TranslationService.isFormat(options.format)) {
+            return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('format', 'The format must be one of: ' + TranslationService.getFormats().join(', '))]));
+        }
+
+        var reportOptions = {
+            locale: options.locale,
+            plugin: options.plugin,
+            status: options.missingOnly ? TranslationService.STATUSES.MISSING : null
+        };
+        this.getReport(reportOptions, function(err, report) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var entries = report.data.map(function(row) {
+                return {
+                    key: row.key,
+                    plugin: options.plugin || row.plugins[0] || TranslationService.SYSTEM,
+                    source: row.source || '',
+                    target: util.isString(row.override) ? row.override : row.translation
+                };
+            });
+            var sourceLocale = pb.Localization.getDefaultLocale();
+            var content = options.format === TranslationService.FORMATS.XLIFF ?
+                TranslationService.buildXliff(entries, sourceLocale, options.locale) :
+                TranslationService.buildPo(entries, sourceLocale, options.locale);
+            cb(null, content);
+        });
+    };
+
+    /**
+     * Imports the translations in an XLIFF 2.0 or PO file as overrides of the
+     * site.  A translation that matches the registered value of the key
+     * removes the key's override, if any.  Entries without a translation are
+     * ignored.  Entries for unknown keys or with malformed values are skipped.
+     * @method import
+     * @param {Object} options
+     * @param {String} options.format One of TranslationService.FORMATS
+     * @param {String} options.content The content of the file
+     * @param {String} [options.locale] The locale of the translations.  By
+     * default, the locale is read from the file.
+     * @param {Function} cb (Error, Object) Provides the locale along with the
+     * number of overrides "saved", "removed", and "unchanged" and the
+     * "skipped" entries with the reason they were skipped
+     */
+    TranslationService.prototype.import = function(options, cb) {
+        if (!util.isObject(options) || !TranslationService.isFormat(options.format)) {
+            return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('format', 'The format must be one of: ' + TranslationService.getFormats().join(', '))]));
+        }
+
+        var parsed;
+        try {
+            parsed = options.format === TranslationService.FORMATS.XLIFF ?
+                TranslationService.parseXliff(options.content) :
+                TranslationService.parsePo(options.content);
+        }
+        catch(e) {
+            return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('content', e.message)]));
+        }
+
+        var locale = options.locale || parsed.locale;
+        if (!pb.Localization.isSupported(locale)) {
+            return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('locale', 'A supported locale is required')]));
+        }
+
+        var self = this;
+        var overrides = pb.Localization.getOverrides(this.context.site, locale);
+        var summary = {
+            locale: locale,
+            saved: 0,
+            removed: 0,
+            unchanged: 0,
+            skipped: []
+        };
+        async.eachSeries(parsed.entries, function(entry, callback) {
+            var skip = function(reason) {
+                summary.skipped.push({key: entry.key, reason: reason});
+                callback(null);
+            };
+            if (!pb.Localization.keys[entry.key]) {
+                return skip('The key does not exist');
+            }
+            if (util.isError(entry.error)) {
+                return skip(entry.error.message);
+            }
+            if (!util.isString(entry.value) || entry.value.length === 0) {
+                return callback(null);
+            }
+
+            var isOverridden = overrides.hasOwnProperty(entry.key);
+            if (entry.value === (isOverridden ? overrides[entry.key] : null)) {
+                summary.unchanged++;
+                return callback(null);
+            }
+            if (entry.value === pb.Localization.getLocalization(locale, entry.key)) {
+                if (!isOverridden) {
+                    summary.unchanged++;
+                    return callback(null);
+                }
+                return self.removeOverride(locale, entry.key, function(err) {
+                    summary.removed += util.isError(err) ? 0 : 1;
+                    callback(err);
+                });
+            }
+
+            self.setOverride(locale, entry.key, entry.value, function(err) {
+                if (err && util.isArray(err.validationErrors)) {
+                    return skip(err.validationErrors.map(function(failure) {
+                        return failure.message;
+                    }).join('. '));
+                }
+                summary.saved += util.isError(err) ? 0 : 1;
+                callback(err);
+            });
+        }, function(err) {
+            cb(err || null, summary);
+        });
+    };
+
+    /**
+     * Provides the supported file formats
+     * @static
+     * @method getFormats
+     * @return {Array}
+     */
+    TranslationService.getFormats = function() {
+        return Object.keys(TranslationService.FORMATS).map(function(key) {
+            return TranslationService.FORMATS[key];
+        });
+    };
+
+    /**
+     * Determines if the value is a supported file format
+     * @static
+     * @method isFormat
+     * @param {String} format
+     * @return {Boolean}
+     */
+    TranslationService.isFormat = function(format) {
+        return TranslationService.getFormats().indexOf(format) >= 0;
+    };
+
+    /**
+     * Builds an XLIFF 2.0 document.  Entries are grouped in a file per
+     * plugin.  Each key is a unit whose name is the key.  Units with a
+     * target are marked as translated.
+     * @static
+     * @method buildXliff
+     * @param {Array} entries Objects with a "key", "plugin", "source" and optional "target"
+     * @param {String} sourceLocale
+     * @param {String} targetLocale
+     * @return {String}
+     */
+    TranslationService.buildXliff = function(entries, sourceLocale, targetLocale) {
+        var files = {};
+        entries.forEach(function(entry) {
+            if (!files[entry.plugin]) {
+                files[entry.plugin] = [];
+            }
+            files[entry.plugin].push(entry);
+        });
+
+        var lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="' + encodeXml(sourceLocale) + '" trgLang="' + encodeXml(targetLocale) + '">'
+        ];
+        var i = 0;
+        Object.keys(files).forEach(function(plugin) {
+            lines.push('  <file id="' + encodeXml(toNmtoken(plugin, 'f' + i)) + '" original="' + encodeXml(plugin) + '">');
+            files[plugin].forEach(function(entry) {
+                var hasTarget = util.isString(entry.target) && entry.target.length > 0;
+                lines.push('    <unit id="' + encodeXml(toNmtoken(entry.key, 'u' + i++)) + '" name="' + encodeXml(entry.key) + '">');
+                lines.push('      <segment state="' + (hasTarget ? 'translated' : 'initial') + '">');
+                lines.push('        <source>' + encodeXml(entry.source) + '</source>');
+                if (hasTarget) {
+                    lines.push('        <target>' + encodeXml(entry.target) + '</target>');
+                }
+                lines.push('      </segment>');
+                lines.push('    </unit>');
+            });
+            lines.push('  </file>');
+        });
+        lines.push('</xliff>');
+        return lines.join('\n') + '\n';
+    };
+
+    /**
+     * Reads the translations from an XLIFF 2.0 document.  The key of a unit
+     * is its name or, when it does not have one, its ID.  The targets of the
+     * unit's segments are joined.  Targets with inline markup can not be
+     * imported and are provided with an error.
+     * @static
+     * @method parseXliff
+     * @param {String} content
+     * @return {Object} The target "locale" and the "entries", each with a
+     * "key" and a "value" or an "error"
+     * @throws {Error} When the content is not an XLIFF 2.0 document
+     */
+    TranslationService.parseXliff = function(content) {
+        if (!util.isString(content)) {
+            throw new Error('The content of the file is required');
+        }
+
+        var root = /<xliff\b([^>]*)>/.exec(content);
+        var rootAttrs = root ? parseXmlAttributes(root[1]) : {};
+        if (!root || !/^2\./.test(rootAttrs.version || '')) {
+            throw new Error('The file is not an XLIFF 2.0 document');
+        }
+
+        var entries = [];
+        var unitRegex = /<unit\b([^>]*)>([\s\S]*?)<\/unit>/g;
+        var unit;
+        while ((unit = unitRegex.exec(content)) !== null) {
+            var attrs = parseXmlAttributes(unit[1]);
+            var entry = {key: attrs.name || attrs.id};
+
+            var targets = [];
+            var targetRegex = /<target\b[^>]*?(?:\/>|>([\s\S]*?)<\/target>)/g;
+            var target;
+            while ((target = targetRegex.exec(unit[2])) !== null) {
+                targets.push(target[1] || '');
+            }
+            var value = targets.join('');
+            var text = value.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+            if (text.indexOf('<') >= 0) {
+                entry.error = new Error('Targets with inline markup can not be imported');
+            }
+            else if (targets.length > 0) {
+                entry.value = decodeXml(value);
+            }
+            entries.push(entry);
+        }
+
+        return {
+            locale: rootAttrs.trgLang,
+            entries: entries
+        };
+    };
+
+    /**
+     * Builds a gettext PO file.  The key of each entry is its message
+     * context.  The plugin that provides the key is noted as a comment.
+     * @static
+     * @method buildPo
+     * @param {Array} entries Objects with a "key", "plugin", "source" and optional "target"
+     * @param {String} sourceLocale
+     * @param {String} targetLocale
+     * @return {String}
+     */
+    TranslationService.buildPo = function(entries, sourceLocale, targetLocale) {
+        var lines = [
+            'msgid ""',
+            'msgstr ""',
+            encodePoString('Content-Type: text/plain; charset=UTF-8\n'),
+            encodePoString('Content-Transfer-Encoding: 8bit\n'),
+            encodePoString('Language: ' + targetLocale.replace('-', '_') + '\n'),
+            encodePoString('X-Source-Language: ' + sourceLocale.replace('-', '_') + '\n'),
+            ''
+        ];
+        entries.forEach(function(entry) {
+            lines.push('#. ' + entry.plugin);
+            lines.push('msgctxt ' + encodePoString(entry.key));
+            lines.push('msgid ' + encodePoString(entry.source));
+            lines.push('msgstr ' + encodePoString(util.isString(entry.target) ? entry.target : ''));
+            lines.push('');
+        });
+        return lines.join('\n');
+    };
+
+    /**
+     * Reads the translations from a gettext PO file.  Entries without a
+     * message context are not localization keys and are ignored.  Fuzzy
+     * entries are ignored because they have not been reviewed.
+     * @static
+     * @method parsePo
+     * @param {String} content
+     * @return {Object} The "locale" from the Language header and the
+     * "entries", each with a "key" and a "value"
+     * @throws {Error} When a line can not be parsed
+     */
+    TranslationService.parsePo = function(content) {
+        if (!util.isString(content)) {
+            throw new Error('The content of the file is required');
+        }
+
+        var result = {
+            locale: null,
+            entries: []
+        };
+        var entry = {};
+        var field = null;
+        var flush = function() {
+            if (entry.msgid === '' && !entry.msgctxt) {
+                var language = /^Language:\s*(\S+)/m.exec(entry.msgstr || '');
+                if (language) {
+                    result.locale = language[1].replace('_', '-');
+                }
+            }
+            else if (util.isString(entry.msgctxt) && !entry.fuzzy) {
+                result.entries.push({key: entry.msgctxt, value: entry.msgstr});
+            }
+            entry = {};
+            field = null;
+        };
+
+        content.split(/\r?\n/).forEach(function(line, i) {
+            line = line.trim();
+            var match;
+            if (line.length === 0) {
+                return;
+            }
+            else if (line.indexOf('#,') === 0) {
+                if (field === 'msgstr') {
+                    flush();
+                }
+                entry.fuzzy = /\bfuzzy\b/.test(line);
+            }
+            else if (line.charAt(0) === '#') {
+                if (field === 'msgstr') {
+                    flush();
+                }
+            }
+            else if ((match = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+(".*")$/.exec(line)) !== null) {
+                var name = match[1].indexOf('msgstr') === 0 ? 'msgstr' : match[1];
+                if (field === 'msgstr' && name !== 'msgstr') {
+                    flush();
+                }
+
+                //only the first plural form is imported
+                if (match[2] && match[2] !== '0') {
+                    field = 'ignored';
+                    return;
+                }
+                field = name;
+                entry[field] = decodePoString(match[3], i);
+            }
+            else if (line.charAt(0) === '"' && field) {
+                if (field !== 'ignored') {
+                    entry[field] += decodePoString(line, i);
+                }
+            }
+            else {
+                throw new Error('Line ' + (i + 1) + ' of the file could not be parsed');
+            }
+        });
+        flush();
+        return result;
+    };
+
+    /**
+     *
+     * @static
+     * @method format
+     * @param {Object} context
+     * @param {TranslationService} context.service An instance of the service that
+     * triggered the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    TranslationService.format = function(context, cb) {
+        var dto = context.data;
+        dto.locale = util.isString(dto.locale) ? dto.locale.trim() : dto.locale;
+        dto.key = util.isString(dto.key) ? dto.key.trim() : dto.key;
+        cb(null);
+    };
+
+    /**
+     *
+     * @static
+     * @method merge
+     * @param {Object} context
+     * @param {Object} context.data The DTO
+     * @param {Object} context.object The object to be persisted
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    TranslationService.merge = function(context, cb) {
+        var dto = context.data;
+        var obj = context.object;
+
+        obj.locale = dto.locale;
+        obj.key = dto.key;
+        obj.value = dto.value;
+        cb(null);
+    };
+
+    /**
+     *
+     * @static
+     * @method validate
+     * @param {Object} context
+     * @param {Object} context.data The object to be persisted
+     * @param {Array} context.validationErrors
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    TranslationService.validate = function(context, cb) {
+        var obj = context.data;
+        var errors = context.validationErrors;
+
+        if (!util.isString(obj.locale) || !pb.Localization.isSupported(obj.locale)) {
+            errors.push(BaseObjectService.validationFailure('locale', 'A supported locale is required'));
+        }
+        if (!util.isString(obj.key) || !pb.Localization.keys[obj.key]) {
+            errors.push(BaseObjectService.validationFailure('key', 'The key does not exist'));
+        }
+        if (!pb.ValidationService.isNonEmptyStr(obj.value, true)) {
+            errors.push(BaseObjectService.validationFailure('value', 'A value is required'));
+        }
+        else if (pb.MessageFormat.isMessage(obj.value)) {
+            pb.MessageFormat.validate(obj.value).forEach(function(message) {
+                errors.push(BaseObjectService.validationFailure('value', message));
+            });
+        }
+        if (errors.length > 0) {
+
+            //no need to check the DB.  Short circuit it here
+            return cb(null);
+        }
+
+        //validate the key is not already overridden for the locale
+        var where = pb.DAO.getNotIdWhere(obj[pb.DAO.getIdField()]);
+        where.locale = obj.locale;
+        where.key = obj.key;
+        context.service.dao.exists(TYPE, where, function(err, exists) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (exists) {
+                errors.push(BaseObjectService.validationFailure('key', 'The key is already overridden for the locale'));
+            }
+            cb(null);
+        });
+    };
+
+    /**
+     * Applies the override once it is saved
+     * @static
+     * @method onAfterSave
+     * @param {Object} context
+     * @param {Object} context.data The override that was saved
+     * @param {Function} cb
+     */
+    TranslationService.onAfterSave = function(context, cb) {
+        TranslationService.onChange(context, context.data.value, cb);
+    };
+
+    /**
+     * Removes the override from memory once it is deleted
+     * @static
+     * @method onAfterDelete
+     * @param {Object} context
+     * @param {Object} context.data The override that was deleted
+     * @param {Function} cb
+     */
+    TranslationService.onAfterDelete = function(context, cb) {
+        TranslationService.onChange(context, undefined, cb);
+    };
+
+    /**
+     * Converts a value to one that can be used as the ID of an XLIFF element
+     * @private
+     * @static
+     * @method toNmtoken
+     * @param {String} value
+     * @param {String} fallback Used when the value is not valid
+     * @return {String}
+     */
+    function toNmtoken(value, fallback) {
+        return NMTOKEN_REGEX.test(value) ? value : fallback;
+    }
+
+    /**
+     * Escapes the characters that are reserved in XML content and attributes
+     * @private
+     * @static
+     * @method encodeXml
+     * @param {String} value
+     * @return {String}
+     */
+    function encodeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Converts XML entities and CDATA sections to text
+     * @private
+     * @static
+     * @method decodeXml
+     * @param {String} value
+     * @return {String}
+     */
+    function decodeXml(value) {
+        var entities = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''};
+        return value.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map(function(part) {
+            if (part.indexOf('<![CDATA[') === 0) {
+                return part.substring(9, part.length - 3);
+            }
+            return part.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, function(match, entity) {
+                if (entity.charAt(0) !== '#') {
+                    return entities[entity];
+                }
+                return String.fromCharCode(entity.charAt(1) === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10));
+            });
+        }).join('');
+    }
+
+    /**
+     * Parses the attributes of an XML element
+     * @private
+     * @static
+     * @method parseXmlAttributes
+     * @param {String} value The content of the element's start tag after its name
+     * @return {Object}
+     */
+    function parseXmlAttributes(value) {
+        var attrs = {};
+        var regex = /([A-Za-z_][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        var match;
+        while ((match = regex.exec(value)) !== null) {
+            attrs[match[1]] = decodeXml(match[2] !== undefined ? match[2] : match[3]);
+        }
+        return attrs;
+    }
+
+    /**
+     * Converts a value to a quoted PO string
+     * @private
+     * @static
+     * @method encodePoString
+     * @param {String} value
+     * @return {String}
+     */
+    function encodePoString(value) {
+        return '"' + String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r')
+            .replace(/\t/g, '\\t') + '"';
+    }
+
+    /**
+     * Converts a quoted PO string to its value
+     * @private
+     * @static
+     * @method decodePoString
+     * @param {String} value
+     * @param {Integer} lineIndex Used to describe where an error occurred
+     * @return {String}
+     * @throws {Error} When the value is not a valid quoted string
+     */
+    function decodePoString(value, lineIndex) {
+        if (value.length < 2 || value.charAt(0) !== '"' || value.charAt(value.length - 1) !== '"') {
+            throw new Error('Line ' + (lineIndex + 1) + ' of the file could not be parsed');
+        }
+
+        var escapes = {n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\'};
+        return value.substring(1, value.length - 1).replace(/\\(.)/g, function(match, c) {
+            return escapes.hasOwnProperty(c) ? escapes[c] : c;
+        });
+    }
+
+    //Event Registries
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, TranslationService.format);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, TranslationService.merge);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, TranslationService.validate);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.AFTER_SAVE, TranslationService.onAfterSave);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.AFTER_DELETE, TranslationService.onAfterDelete);
+
+    //exports
+    return TranslationService;
+};
@@ -698,10 +698,14 @@ module.exports = function(pb) {
         obj.locale = dto.locale;
         obj.photo = dto.photo;
         obj.position = dto.position;
-        if (context.isCreate && dto.password) {
-            obj.password = pb.security.encrypt(dto.password);
+        if (!context.isCreate || !dto.password) {
+            return cb(null);
         }
-        cb(null);
+
+        pb.security.hashPassword(dto.password, function(err, hash) {
+            obj.password = hash;
+            cb(err);
+        });
     };
 
     /**
@@ -719,8 +723,8 @@ module.exports = function(pb) {
     };
 
     /**
-     * Strips the password from one or more user objects when passed a valid
-     * base object service event context
+     * Strips the password and the second factor secrets from one or more user
+     * objects when passed a valid base object service event context
      * @static
      * @method removePassword
      * @param {Object} context
@@ -734,10 +738,12 @@ module.exports = function(pb) {
         if (util.isArray(data)) {
             data.forEach(function(user) {
                 delete user.password;
+                pb.TwoFactorService.sanitize(user);
             });
         }
         else if (util.isObject(data)) {
             delete data.password;
+            pb.TwoFactorService.sanitize(data);
         }
         cb();
     };
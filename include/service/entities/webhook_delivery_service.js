@@ -0,0 +1,517 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var url    = require('url');
+var http   = require('http');
+var https  = require('https');
+var crypto = require('crypto');
+var async  = require('async');
+var util   = require('../../util.js');
+
+module.exports = function WebhookDeliveryServiceModule(pb) {
+
+    //pb dependencies
+    var DAO               = pb.DAO;
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'webhook_delivery';
+
+    /**
+     * The name of the lock that ensures only one process in the cluster works
+     * the queue at a time
+     * @private
+     * @static
+     * @readonly
+     * @property LOCK_NAME
+     * @type {String}
+     */
+    var LOCK_NAME = 'webhook_delivery_queue';
+
+    /**
+     * The name of the scheduled job that removes old deliveries
+     * @private
+     * @static
+     * @readonly
+     * @property CLEANUP_JOB_NAME
+     * @type {String}
+     */
+    var CLEANUP_JOB_NAME = 'webhook_delivery_cleanup';
+
+    /**
+     * The handle to the timer that periodically works the queue
+     * @private
+     * @static
+     * @property timerHandle
+     * @type {Object}
+     */
+    var timerHandle = null;
+
+    /**
+     * Queues, sends, and records the deliveries of events to webhooks.
+     * Deliveries are persisted so that those pending survive a restart.  A
+     * delivery that is not answered with a 2xx status code is retried with an
+     * exponential backoff until the maximum number of attempts is reached.
+     * @class WebhookDeliveryService
+     * @extends BaseObjectService
+     * @constructor
+     * @param {Object} context
+     * @param {String} [context.site]
+     */
+    function WebhookDeliveryService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        context.type = TYPE;
+        context.onlyThisSite = true;
+        WebhookDeliveryService.super_.call(this, context);
+    }
+    util.inherits(WebhookDeliveryService, BaseObjectService);
+
+    /**
+     * The states of a delivery
+     * @static
+     * @readonly
+     * @property STATUSES
+     * @type {Object}
+     */
+    WebhookDeliveryService.STATUSES = Object.freeze({
+        PENDING: 'pending',
+        SUCCEEDED: 'succeeded',
+        FAILED: 'failed'
+    });
+
+    /**
+     * The headers sent along with each delivery
+     * @static
+     * @readonly
+     * @property HEADERS
+     * @type {Object}
+     */
+    WebhookDeliveryService.HEADERS = Object.freeze({
+        EVENT: 'X-PencilBlue-Event',
+        DELIVERY: 'X-PencilBlue-Delivery',
+        SIGNATURE: 'X-PencilBlue-Signature'
+    });
+
+    /**
+     * The maximum number of characters of the response body that are kept in
+     * the delivery log
+     * @static
+     * @readonly
+     * @property MAX_RESPONSE_LENGTH
+     * @type {Integer}
+     */
+    WebhookDeliveryService.MAX_RESPONSE_LENGTH = 1024;
+
+    /**
+     * Creates the signature of the body.  Endpoints verify a delivery by
+     * computing the HMAC SHA-256 of the raw body with the secret of the
+     * webhook and comparing it to the signature header.
+     * @static
+     * @method sign
+     * @param {String} secret
+     * @param {String} body
+     * @return {String} The signature in the form "sha256=[HEX]"
+     */
+    WebhookDeliveryService.sign = function(secret, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(body, 'utf8').digest('hex');
+    };
+
+    /**
+     * Calculates the number of milliseconds to wait before retrying a delivery.
+     * The delay doubles with each attempt up to the configured maximum.
+     * @static
+     * @method getRetryDelay
+     * @param {Integer} attempts The number of attempts made so far
+     * @return {Integer}
+     */
+    WebhookDeliveryService.getRetryDelay = function(attempts) {
+        var config = pb.config.webhooks;
+        var delay = config.retry_delay * Math.pow(2, Math.max(attempts - 1, 0));
+        return Math.min(delay, config.max_retry_delay) * 1000;
+    };
+
+    /**
+     * @static
+     * @method isSuccess
+     * @param {Integer} statusCode
+     * @return {Boolean} TRUE when the endpoint accepted the delivery
+     */
+    WebhookDeliveryService.isSuccess = function(statusCode) {
+        return statusCode >= 200 && statusCode < 300;
+    };
+
+    /**
+     * Creates a new pending delivery
+     * @static
+     * @method createDelivery
+     * @param {Object} webhook
+     * @param {String} event The name of the event.  For example: "article.created"
+     * @param {String} body The serialized payload
+     * @return {Object}
+     */
+    WebhookDeliveryService.createDelivery = function(webhook, event, body) {
+        var delivery = {
+            object_type: TYPE,
+            webhook: webhook[DAO.getIdField()].toString(),
+            event: event,
+            body: body,
+            status: WebhookDeliveryService.STATUSES.PENDING,
+            attempts: 0,
+            next_attempt: new Date(),
+            last_status_code: null,
+            responses: [],
+            replay_of: null,
+            completed: null
+        };
+        if (webhook[pb.SiteService.SITE_FIELD]) {
+            delivery[pb.SiteService.SITE_FIELD] = webhook[pb.SiteService.SITE_FIELD];
+        }
+        return delivery;
+    };
+
+    /**
+     * Persists a pending delivery of the payload to the webhook.  The body is
+     * serialized once so that retries and replays send exactly what was
+     * signed.
+     * @method queue
+     * @param {Object} webhook
+     * @param {Object} payload
+     * @param {String} payload.event
+     * @param {Function} cb (Error, Object) Provides the delivery
+     */
+    WebhookDeliveryService.prototype.queue = function(webhook, payload, cb) {
+        var delivery = WebhookDeliveryService.createDelivery(webhook, payload.event, JSON.stringify(payload));
+        this.dao.save(delivery, function(err) {
+            cb(err, delivery);
+        });
+    };
+
+    /**
+     * Queues a new delivery with the body of an existing delivery
+     * @method replay
+     * @param {String} id The ID of the delivery to replay
+     * @param {Function} cb (Error, Object) Provides the new delivery or NULL
+     * when the delivery does not exist
+     */
+    WebhookDeliveryService.prototype.replay = function(id, cb) {
+        var self = this;
+        this.dao.loadById(id, TYPE, function(err, original) {
+            if (util.isError(err) || !original) {
+                return cb(err, null);
+            }
+
+            var webhook = {};
+            webhook[DAO.getIdField()] = original.webhook;
+            webhook[pb.SiteService.SITE_FIELD] = original[pb.SiteService.SITE_FIELD];
+
+            var delivery = WebhookDeliveryService.createDelivery(webhook, original.event, original.body);
+            delivery.replay_of = original[DAO.getIdField()].toString();
+            self.dao.save(delivery, function(err) {
+                cb(err, delivery);
+            });
+        });
+    };
+
+    /**
+     * Sends the delivery to the endpoint of the webhook.  The callback never
+     * provides an error.  Connection failures and timeouts are reported in
+     * the result so that they can be recorded.
+     * @static
+     * @method send
+     * @param {Object} webhook
+     * @param {Object} delivery
+     * @param {Function} cb (Error, Object) Provides the result of the attempt:
+     * date, status_code, response, error, and duration
+     */
+    WebhookDeliveryService.send = function(webhook, delivery, cb) {
+        var result = {
+            date: new Date(),
+            status_code: null,
+            response: null,
+            error: null,
+            duration: 0
+        };
+        var start = Date.now();
+        var done = false;
+        var finish = function(err) {
+            if (done) {
+                return;
+            }
+            done = true;
+
+            result.duration = Date.now() - start;
+            if (util.isError(err)) {
+                result.error = err.message;
+            }
+            cb(null, result);
+        };
+
+        var headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(delivery.body, 'utf8'),
+            'User-Agent': 'PencilBlue-Webhooks/' + pb.config.version
+        };
+        headers[WebhookDeliveryService.HEADERS.EVENT] = delivery.event;
+        headers[WebhookDeliveryService.HEADERS.DELIVERY] = delivery[DAO.getIdField()] + '';
+        headers[WebhookDeliveryService.HEADERS.SIGNATURE] = WebhookDeliveryService.sign(webhook.secret, delivery.body);
+
+        var endpoint = url.parse(webhook.url);
+        var options = {
+            protocol: endpoint.protocol,
+            hostname: endpoint.hostname,
+            port: endpoint.port,
+            path: endpoint.path,
+            method: 'POST',
+            headers: headers
+        };
+        var transport = endpoint.protocol === 'https:' ? https : http;
+        var req = transport.request(options, function(res) {
+            var response = '';
+            result.status_code = res.statusCode;
+
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                if (response.length < WebhookDeliveryService.MAX_RESPONSE_LENGTH) {
+                    response = (response + chunk).substr(0, WebhookDeliveryService.MAX_RESPONSE_LENGTH);
+                }
+            });
+            res.on('end', function() {
+                result.response = response;
+                finish();
+            });
+            res.on('error', finish);
+        });
+        req.on('error', finish);
+        req.setTimeout(pb.config.webhooks.timeout, function() {
+            finish(new Error('The endpoint did not respond within ' + pb.config.webhooks.timeout + 'ms'));
+            req.abort();
+        });
+        req.end(delivery.body);
+    };
+
+    /**
+     * Updates the delivery with the result of an attempt.  The delivery is
+     * marked as succeeded, scheduled for a retry, or marked as failed when no
+     * attempts remain.
+     * @static
+     * @method recordAttempt
+     * @param {Object} delivery
+     * @param {Object} result The result provided by send
+     * @param {Boolean} [retry=true] When FALSE an unsuccessful attempt is not
+     * retried
+     * @return {Object} The delivery
+     */
+    WebhookDeliveryService.recordAttempt = function(delivery, result, retry) {
+        var STATUSES = WebhookDeliveryService.STATUSES;
+
+        delivery.attempts++;
+        delivery.last_status_code = result.status_code;
+        delivery.responses.push(result);
+
+        if (WebhookDeliveryService.isSuccess(result.status_code)) {
+            delivery.status = STATUSES.SUCCEEDED;
+            delivery.completed = result.date;
+        }
+        else if (retry === false || delivery.attempts >= pb.config.webhooks.max_attempts) {
+            delivery.status = STATUSES.FAILED;
+            delivery.completed = result.date;
+        }
+        else {
+            delivery.next_attempt = new Date(result.date.getTime() + WebhookDeliveryService.getRetryDelay(delivery.attempts));
+        }
+        return delivery;
+    };
+
+    /**
+     * Attempts a delivery and persists the result.  Deliveries for webhooks
+     * that were deleted or deactivated are marked as failed.
+     * @static
+     * @method attempt
+     * @param {Object} delivery
+     * @param {Function} cb (Error, Object) Provides the updated delivery
+     */
+    WebhookDeliveryService.attempt = function(delivery, cb) {
+        var dao = new pb.DAO();
+        dao.loadById(delivery.webhook, 'webhook', function(err, webhook) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var save = function() {
+                dao.save(delivery, function(err) {
+                    cb(err, delivery);
+                });
+            };
+            if (!webhook || !webhook.active) {
+                var result = {
+                    date: new Date(),
+                    status_code: null,
+                    response: null,
+                    error: 'The webhook has been deleted or deactivated',
+                    duration: 0
+                };
+                WebhookDeliveryService.recordAttempt(delivery, result, false);
+                return save();
+            }
+            WebhookDeliveryService.send(webhook, delivery, function(err, result) {
+                WebhookDeliveryService.recordAttempt(delivery, result, true);
+                save();
+            });
+        });
+    };
+
+    /**
+     * Attempts the deliveries that are due.  The queue is worked by a single
+     * process in the cluster at a time.
+     * @static
+     * @method processQueue
+     * @param {Function} cb (Error, Integer) Provides the number of deliveries
+     * attempted
+     */
+    WebhookDeliveryService.processQueue = function(cb) {
+        var config = pb.config.webhooks;
+        var lockService = new pb.LockService();
+        var lockOptions = {
+            timeout: Math.ceil(config.batch_size * config.timeout / 1000)
+        };
+        lockService.acquire(LOCK_NAME, lockOptions, function(err, acquired) {
+            if (util.isError(err) || !acquired) {
+                return cb(err, 0);
+            }
+
+            var opts = {
+                where: {
+                    status: WebhookDeliveryService.STATUSES.PENDING,
+                    next_attempt: {$lte: new Date()}
+                },
+                order: {next_attempt: DAO.ASC},
+                limit: config.batch_size
+            };
+            var dao = new pb.DAO();
+            dao.q(TYPE, opts, function(err, deliveries) {
+                if (util.isError(err)) {
+                    return lockService.release(LOCK_NAME, function() {
+                        cb(err, 0);
+                    });
+                }
+
+                async.eachSeries(deliveries, WebhookDeliveryService.attempt, function(err) {
+                    lockService.release(LOCK_NAME, function(releaseErr) {
+                        cb(err || releaseErr || null, deliveries.length);
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Removes the deliveries that succeeded or failed before the provided
+     * date.  Pending deliveries are never removed.
+     * @static
+     * @method cleanup
+     * @param {Date} before
+     * @param {Function} cb (Error, Integer) Provides the number of deliveries
+     * removed
+     */
+    WebhookDeliveryService.cleanup = function(before, cb) {
+        var where = {
+            status: {$in: [WebhookDeliveryService.STATUSES.SUCCEEDED, WebhookDeliveryService.STATUSES.FAILED]},
+            completed: {$lt: before}
+        };
+        var dao = new pb.DAO();
+        dao.delete(where, TYPE, function(err, result) {
+            cb(err, util.isObject(result) && result.result ? result.result.n : result);
+        });
+    };
+
+    /**
+     * Starts working the queue at the configured interval and schedules the
+     * removal of deliveries that are older than the configured retention.
+     * Should only be called once at startup.
+     * @static
+     * @method init
+     * @param {Function} cb
+     */
+    WebhookDeliveryService.init = function(cb) {
+
+        //deliveries made before webhooks were disabled still need to expire
+        var retention = pb.config.webhooks.retention;
+        if (retention > 0) {
+            pb.JobScheduler.register(CLEANUP_JOB_NAME, {
+                cron: pb.config.webhooks.cleanup,
+                description: util.format('Removes webhook deliveries %d days after they complete', retention),
+                handler: function(job, cb) {
+                    var before = new Date(Date.now() - retention * 24 * 60 * 60 * 1000);
+                    job.log('Removing deliveries completed before %s', before.toISOString());
+
+                    WebhookDeliveryService.cleanup(before, function(err, count) {
+                        if (!util.isError(err)) {
+                            job.log('Removed %d deliveries', count);
+                        }
+                        cb(err, count);
+                    });
+                }
+            });
+        }
+
+        if (!pb.config.webhooks.enabled || timerHandle !== null) {
+            return cb(null, false);
+        }
+
+        timerHandle = setInterval(function() {
+            WebhookDeliveryService.processQueue(function(err, count) {
+                if (util.isError(err)) {
+                    pb.log.error('WebhookDeliveryService: Failed to process the delivery queue. %s', err.stack);
+                }
+                else if (count > 0) {
+                    pb.log.debug('WebhookDeliveryService: Attempted %s deliveries', count);
+                }
+            });
+        }, pb.config.webhooks.poll_interval);
+        pb.system.registerShutdownHook('WebhookDeliveryService', WebhookDeliveryService.shutdown);
+        cb(null, true);
+    };
+
+    /**
+     * Stops working the queue
+     * @static
+     * @method shutdown
+     * @param {Function} cb
+     */
+    WebhookDeliveryService.shutdown = function(cb) {
+        cb = cb || util.cb;
+
+        if (timerHandle !== null) {
+            clearInterval(timerHandle);
+            timerHandle = null;
+        }
+        cb(null, true);
+    };
+
+    //exports
+    return WebhookDeliveryService;
+};
@@ -0,0 +1,377 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var url    = require('url');
+var crypto = require('crypto');
+var async  = require('async');
+var util   = require('../../util.js');
+
+module.exports = function WebhookServiceModule(pb) {
+
+    //pb dependencies
+    var DAO               = pb.DAO;
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'webhook';
+
+    /**
+     * The fields that are never sent to an endpoint
+     * @private
+     * @static
+     * @readonly
+     * @property SENSITIVE_FIELDS
+     * @type {Array}
+     */
+    var SENSITIVE_FIELDS = ['password', 'two_factor', 'key_hash'];
+
+    /**
+     * Manages the endpoints that are notified when objects are created,
+     * updated, or deleted.  Each endpoint subscribes to a set of object types
+     * and events.  When a matching event occurs a delivery is queued with the
+     * WebhookDeliveryService.
+     * @class WebhookService
+     * @extends BaseObjectService
+     * @constructor
+     * @param {Object} context
+     * @param {String} [context.site]
+     */
+    function WebhookService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        context.type = TYPE;
+        context.onlyThisSite = true;
+        WebhookService.super_.call(this, context);
+    }
+    util.inherits(WebhookService, BaseObjectService);
+
+    /**
+     * The events that an endpoint can subscribe to
+     * @static
+     * @readonly
+     * @property EVENTS
+     * @type {Object}
+     */
+    WebhookService.EVENTS = Object.freeze({
+        CREATED: 'created',
+        UPDATED: 'updated',
+        DELETED: 'deleted'
+    });
+
+    /**
+     * The number of random bytes in a signing secret
+     * @static
+     * @readonly
+     * @property SECRET_BYTES
+     * @type {Integer}
+     */
+    WebhookService.SECRET_BYTES = 32;
+
+    /**
+     * Provides the object types that endpoints can subscribe to
+     * @static
+     * @method getSupportedTypes
+     * @return {Array}
+     */
+    WebhookService.getSupportedTypes = function() {
+        return ['article', 'page', 'topic', 'comment', 'user'];
+    };
+
+    /**
+     * Provides the events that endpoints can subscribe to
+     * @static
+     * @method getEvents
+     * @return {Array}
+     */
+    WebhookService.getEvents = function() {
+        return Object.keys(WebhookService.EVENTS).map(function(key) {
+            return WebhookService.EVENTS[key];
+        });
+    };
+
+    /**
+     * Provides the name of the event as it is sent to the endpoint
+     * @static
+     * @method getEventName
+     * @param {String} objectType
+     * @param {String} event
+     * @return {String} For example: "article.created"
+     */
+    WebhookService.getEventName = function(objectType, event) {
+        return objectType + '.' + event;
+    };
+
+    /**
+     * Generates a new secret that is used to sign the deliveries to an endpoint
+     * @static
+     * @method generateSecret
+     * @return {String}
+     */
+    WebhookService.generateSecret = function() {
+        return crypto.randomBytes(WebhookService.SECRET_BYTES).toString('hex');
+    };
+
+    /**
+     * Determines if the value is an absolute HTTP or HTTPS URL
+     * @static
+     * @method isEndpoint
+     * @param {String} value
+     * @return {Boolean}
+     */
+    WebhookService.isEndpoint = function(value) {
+        if (!util.isString(value)) {
+            return false;
+        }
+
+        var parsed = url.parse(value);
+        return (parsed.protocol === 'http:' || parsed.protocol === 'https:') && !!parsed.hostname;
+    };
+
+    /**
+     * Builds the body that is sent to subscribed endpoints.  Sensitive fields,
+     * such as password hashes, are removed from the object.
+     * @static
+     * @method buildPayload
+     * @param {String} objectType
+     * @param {String} event
+     * @param {Object} obj
+     * @param {String} site
+     * @return {Object}
+     */
+    WebhookService.buildPayload = function(objectType, event, obj, site) {
+        var data = JSON.parse(JSON.stringify(obj));
+        SENSITIVE_FIELDS.forEach(function(field) {
+            delete data[field];
+        });
+
+        return {
+            event: WebhookService.getEventName(objectType, event),
+            object_type: objectType,
+            site: site,
+            timestamp: new Date().toISOString(),
+            data: data
+        };
+    };
+
+    /**
+     * Retrieves the active webhooks for the site that subscribe to the event
+     * @method getSubscribers
+     * @param {String} objectType
+     * @param {String} event
+     * @param {Function} cb (Error, Array)
+     */
+    WebhookService.prototype.getSubscribers = function(objectType, event, cb) {
+        var opts = {
+            where: {
+                active: true,
+                object_types: objectType,
+                events: event
+            }
+        };
+        this.dao.q(TYPE, opts, cb);
+    };
+
+    /**
+     * Queues a delivery of the event for each subscribed webhook
+     * @method trigger
+     * @param {String} objectType
+     * @param {String} event
+     * @param {Object} obj The object that was created, updated, or deleted
+     * @param {Function} cb (Error, Array) Provides the queued deliveries
+     */
+    WebhookService.prototype.trigger = function(objectType, event, obj, cb) {
+        var site = this.context.site;
+        this.getSubscribers(objectType, event, function(err, webhooks) {
+            if (util.isError(err) || webhooks.length === 0) {
+                return cb(err, []);
+            }
+
+            var payload = WebhookService.buildPayload(objectType, event, obj, site);
+            var deliveryService = new pb.WebhookDeliveryService({site: site});
+            async.mapSeries(webhooks, function(webhook, callback) {
+                deliveryService.queue(webhook, payload, callback);
+            }, function(err, deliveries) {
+                cb(err || null, deliveries);
+            });
+        });
+    };
+
+    /**
+     *
+     * @static
+     * @method format
+     * @param {Object} context
+     * @param {WebhookService} context.service An instance of the service that
+     * triggered the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    WebhookService.format = function(context, cb) {
+        var dto = context.data;
+        dto.name = BaseObjectService.sanitize(dto.name);
+        dto.url = util.isString(dto.url) ? dto.url.trim() : dto.url;
+        dto.object_types = util.isArray(dto.object_types) ? dto.object_types.filter(util.isString) : [];
+        dto.events = util.isArray(dto.events) ? dto.events.filter(util.isString) : [];
+        dto.active = dto.active !== false && dto.active !== 'false';
+        dto.regenerate_secret = dto.regenerate_secret === true || dto.regenerate_secret === 'true';
+        cb(null);
+    };
+
+    /**
+     *
+     * @static
+     * @method merge
+     * @param {Object} context
+     * @param {Object} context.data The DTO
+     * @param {Object} context.object The object to be persisted
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    WebhookService.merge = function(context, cb) {
+        var dto = context.data;
+        var obj = context.object;
+
+        obj.name = dto.name;
+        obj.url = dto.url;
+        obj.object_types = dto.object_types;
+        obj.events = dto.events;
+        obj.active = dto.active;
+
+        if (context.isCreate || dto.regenerate_secret) {
+            obj.secret = WebhookService.generateSecret();
+        }
+        cb(null);
+    };
+
+    /**
+     *
+     * @static
+     * @method validate
+     * @param {Object} context
+     * @param {Object} context.data The object to be persisted
+     * @param {Array} context.validationErrors
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    WebhookService.validate = function(context, cb) {
+        var obj = context.data;
+        var errors = context.validationErrors;
+
+        if (!pb.ValidationService.isNonEmptyStr(obj.name, true)) {
+            errors.push(BaseObjectService.validationFailure('name', 'Name is required'));
+        }
+        if (!WebhookService.isEndpoint(obj.url)) {
+            errors.push(BaseObjectService.validationFailure('url', 'An absolute HTTP or HTTPS URL is required'));
+        }
+
+        var supportedTypes = WebhookService.getSupportedTypes();
+        if (obj.object_types.length === 0) {
+            errors.push(BaseObjectService.validationFailure('object_types', 'At least one object type is required'));
+        }
+        obj.object_types.forEach(function(objectType, i) {
+            if (supportedTypes.indexOf(objectType) < 0) {
+                errors.push(BaseObjectService.validationFailure('object_types[' + i + ']', 'The object type ' + objectType + ' is not supported'));
+            }
+        });
+
+        var events = WebhookService.getEvents();
+        if (obj.events.length === 0) {
+            errors.push(BaseObjectService.validationFailure('events', 'At least one event is required'));
+        }
+        obj.events.forEach(function(event, i) {
+            if (events.indexOf(event) < 0) {
+                errors.push(BaseObjectService.validationFailure('events[' + i + ']', 'The event ' + event + ' is not supported'));
+            }
+        });
+        cb(null);
+    };
+
+    /**
+     * Queues deliveries when a supported object is created or updated
+     * @static
+     * @method onAfterSave
+     * @param {Object} context
+     * @param {Object} context.data The object that was saved
+     * @param {Boolean} context.isCreate
+     * @param {BaseObjectService} context.service
+     * @param {Function} cb
+     */
+    WebhookService.onAfterSave = function(context, cb) {
+        var event = context.isCreate ? WebhookService.EVENTS.CREATED : WebhookService.EVENTS.UPDATED;
+        WebhookService.onEvent(context, event, cb);
+    };
+
+    /**
+     * Queues deliveries when a supported object is deleted
+     * @static
+     * @method onAfterDelete
+     * @param {Object} context
+     * @param {Object} context.data The object that was deleted
+     * @param {BaseObjectService} context.service
+     * @param {Function} cb
+     */
+    WebhookService.onAfterDelete = function(context, cb) {
+        WebhookService.onEvent(context, WebhookService.EVENTS.DELETED, cb);
+    };
+
+    /**
+     * Queues deliveries for the event.  Failing to queue a delivery does not
+     * fail the operation that triggered the event.
+     * @static
+     * @method onEvent
+     * @param {Object} context
+     * @param {String} event
+     * @param {Function} cb
+     */
+    WebhookService.onEvent = function(context, event, cb) {
+        if (!pb.config.webhooks.enabled) {
+            return cb(null);
+        }
+
+        var type = context.service.getType();
+        var obj = context.data;
+        var site = pb.SiteService.getCurrentSite(obj[pb.SiteService.SITE_FIELD] || context.site);
+        var service = new WebhookService({site: site});
+        service.trigger(type, event, obj, function(err, deliveries) {
+            if (util.isError(err)) {
+                pb.log.error('WebhookService: Failed to queue deliveries for %s of %s %s. %s', event, type, obj[DAO.getIdField()], err.stack);
+            }
+            else if (deliveries.length > 0) {
+                pb.log.debug('WebhookService: Queued %s deliveries for %s of %s %s', deliveries.length, event, type, obj[DAO.getIdField()]);
+            }
+            cb(null);
+        });
+    };
+
+    //Event Registries
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, WebhookService.format);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, WebhookService.merge);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, WebhookService.validate);
+    WebhookService.getSupportedTypes().forEach(function(type) {
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, WebhookService.onAfterSave);
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_DELETE, WebhookService.onAfterDelete);
+    });
+
+    //exports
+    return WebhookService;
+};
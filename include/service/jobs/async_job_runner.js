@@ -57,7 +57,10 @@ module.exports = function AsyncJobRunnerModule(pb) {
      * Kicks off the set of tasks for the job.  The implementation wraps the items
      * in a domain in an attempt to provide a level of error handling.  When a
      * qualifying error is intercepted by the domain processResults is called
-     * providing the error and all other task execution is halted.
+     * providing the error and all other task execution is halted.  The job is
+     * checked for cancellation before each task.  Once cancelled, the remaining
+     * tasks are skipped and processResults is provided the error created by
+     * JobRunner.createCancelledError.
      * @see JobRunner#run
      * @method run
      * @param {Function} cb
@@ -76,6 +79,7 @@ module.exports = function AsyncJobRunnerModule(pb) {
                     if (util.isError(err)) {
                         throw err;
                     }
+                    tasks = self.wrapTasks(tasks);
 
                     self.onBeforeFirstTask(function(err) {
                         if (util.isError(err)) {
@@ -98,6 +102,34 @@ module.exports = function AsyncJobRunnerModule(pb) {
         });
     };
 
+    /**
+     * Wraps each task so that it is skipped once the job is cancelled
+     * @method wrapTasks
+     * @param {Object|Array} tasks
+     * @return {Object|Array} The wrapped tasks in the same structure
+     */
+    AsyncJobRunner.prototype.wrapTasks = function(tasks) {
+        var self = this;
+        var wrap = function(task) {
+            return function(callback) {
+                if (self.isCancelled()) {
+                    return callback(pb.JobRunner.createCancelledError(self.getId()));
+                }
+                task(callback);
+            };
+        };
+
+        if (util.isArray(tasks)) {
+            return tasks.map(wrap);
+        }
+
+        var wrapped = {};
+        util.forEach(tasks, function(task, key) {
+            wrapped[key] = wrap(task);
+        });
+        return wrapped;
+    };
+
     /**
      * Responsible for providing an array or hash of tasks that will be executed by
      * the job.  The extending implmentation MUST override this function or an
@@ -104,6 +104,11 @@ module.exports = function ClusterJobRunnerModule(pb) {
      */
     ClusterJobRunner.prototype.processResults = function(err, results, cb) {
         if (util.isError(err)) {
+
+            //mark the job as failed or cancelled so that it is not left running
+            if (this.isInitiator && this.getChunkOfWorkPercentage() === 1) {
+                this.onCompleted(err);
+            }
             cb(err, results);
             return;
         }
@@ -0,0 +1,454 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var util = require('../../util.js');
+
+module.exports = function CronExpressionModule(pb) {
+
+    /**
+     * The number of milliseconds in a minute
+     * @private
+     * @static
+     * @readonly
+     * @property MINUTE
+     * @type {Integer}
+     */
+    var MINUTE = 60 * 1000;
+
+    /**
+     * The number of years searched for the next occurrence before the
+     * expression is considered to never occur (for example, "0 0 30 2 *")
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_YEARS
+     * @type {Integer}
+     */
+    var MAX_YEARS = 5;
+
+    /**
+     * The fields of an expression, in order, along with the range of values
+     * that each accepts
+     * @private
+     * @static
+     * @readonly
+     * @property FIELDS
+     * @type {Array}
+     */
+    var FIELDS = [
+        {name: 'minute', min: 0, max: 59},
+        {name: 'hour', min: 0, max: 23},
+        {name: 'dayOfMonth', min: 1, max: 31},
+        {name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']},
+        {name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']}
+    ];
+
+    /**
+     * Formatters used to read the wall clock time of a time zone, keyed by
+     * time zone
+     * @private
+     * @static
+     * @property FORMATTERS
+     * @type {Object}
+     */
+    var FORMATTERS = {};
+
+    /**
+     * A schedule described by a standard five field cron expression:
+     * minute, hour, day of the month, month, and day of the week.  Each field
+     * accepts "*", values, ranges ("1-5"), lists ("1,15") and steps ("0-30/10"
+     * or "*" followed by "/15").  Months and days of the week may also be provided by their
+     * three letter English names.  Sunday is either 0 or 7.  As with cron,
+     * when both the day of the month and the day of the week are restricted a
+     * day that matches either one matches the expression.  The macros in
+     * CronExpression.MACROS are also accepted.
+     * @class CronExpression
+     * @constructor
+     * @param {String} expression
+     * @throws {Error} When the expression is not valid
+     */
+    function CronExpression(expression) {
+        if (!util.isString(expression)) {
+            throw new Error('A cron expression is required');
+        }
+
+        /**
+         * The expression as it was provided
+         * @property expression
+         * @type {String}
+         */
+        this.expression = expression.trim();
+
+        var source = CronExpression.MACROS[this.expression.toLowerCase()] || this.expression;
+        var parts = source.split(/\s+/);
+        if (parts.length !== FIELDS.length) {
+            throw new Error(util.format('The cron expression [%s] must have %d fields', this.expression, FIELDS.length));
+        }
+
+        /**
+         * The values allowed by each field.  Each field is an array that is
+         * indexed by value.
+         * @property fields
+         * @type {Object}
+         */
+        this.fields = {};
+
+        var self = this;
+        FIELDS.forEach(function(field, i) {
+            self.fields[field.name] = parseField(parts[i], field, self.expression);
+        });
+
+        //Sunday can be 0 or 7
+        this.fields.dayOfWeek[0] = this.fields.dayOfWeek[0] || this.fields.dayOfWeek[7];
+
+        /**
+         * Indicates if the day of the month field is restricted.  Like cron, a
+         * field that starts with "*" is not considered restricted.
+         * @property dayOfMonthRestricted
+         * @type {Boolean}
+         */
+        this.dayOfMonthRestricted = parts[2].charAt(0) !== '*';
+
+        /**
+         * Indicates if the day of the week field is restricted
+         * @property dayOfWeekRestricted
+         * @type {Boolean}
+         */
+        this.dayOfWeekRestricted = parts[4].charAt(0) !== '*';
+    }
+
+    /**
+     * The macros that can be used in place of an expression
+     * @static
+     * @readonly
+     * @property MACROS
+     * @type {Object}
+     */
+    CronExpression.MACROS = Object.freeze({
+        '@yearly': '0 0 1 1 *',
+        '@annually': '0 0 1 1 *',
+        '@monthly': '0 0 1 * *',
+        '@weekly': '0 0 * * 0',
+        '@daily': '0 0 * * *',
+        '@midnight': '0 0 * * *',
+        '@hourly': '0 * * * *'
+    });
+
+    /**
+     * Determines if the date matches the expression.  Seconds are ignored.
+     * @method matches
+     * @param {Date} date
+     * @param {String} [timeZone='UTC'] The time zone in which to evaluate the date
+     * @return {Boolean}
+     */
+    CronExpression.prototype.matches = function(date, timeZone) {
+        var wall = CronExpression.getWallTime(date, timeZone);
+        return this.fields.month[wall.month] && this.matchesDay(wall) && this.fields.hour[wall.hour] && this.fields.minute[wall.minute];
+    };
+
+    /**
+     * Determines if the day of a wall clock time matches the expression
+     * @method matchesDay
+     * @param {Object} wall See CronExpression.getWallTime
+     * @return {Boolean}
+     */
+    CronExpression.prototype.matchesDay = function(wall) {
+        var dayOfMonth = this.fields.dayOfMonth[wall.day];
+        var dayOfWeek = this.fields.dayOfWeek[wall.dayOfWeek];
+        if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+            return dayOfMonth || dayOfWeek;
+        }
+        return dayOfMonth && dayOfWeek;
+    };
+
+    /**
+     * Calculates the first minute after the provided date that matches the
+     * expression.  The expression is evaluated against the wall clock of the
+     * time zone.  An occurrence that falls in the hour skipped when daylight
+     * saving time starts happens at the end of the gap.  An occurrence that
+     * falls in the hour repeated when it ends happens once, the first time.
+     * @method next
+     * @param {Date} [from=new Date()]
+     * @param {String} [timeZone='UTC']
+     * @return {Date} The next occurrence or NULL when the expression does not
+     * occur within the next few years
+     */
+    CronExpression.prototype.next = function(from, timeZone) {
+        from = util.isDate(from) ? from : new Date();
+
+        var start = Math.floor(from.getTime() / MINUTE) * MINUTE + MINUTE;
+        var wall = toUtcTime(CronExpression.getWallTime(new Date(start), timeZone));
+        var end = new Date(wall);
+        end.setUTCFullYear(end.getUTCFullYear() + MAX_YEARS);
+
+        while (wall <= end.getTime()) {
+            var date = new Date(wall);
+            var parts = {
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate(),
+                hour: date.getUTCHours(),
+                minute: date.getUTCMinutes(),
+                dayOfWeek: date.getUTCDay()
+            };
+
+            if (!this.fields.month[parts.month]) {
+                wall = Date.UTC(parts.year, parts.month, 1);
+            }
+            else if (!this.matchesDay(parts)) {
+                wall = Date.UTC(parts.year, parts.month - 1, parts.day + 1);
+            }
+            else if (!this.fields.hour[parts.hour]) {
+                wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour + 1);
+            }
+            else if (!this.fields.minute[parts.minute]) {
+                wall += MINUTE;
+            }
+            else {
+                var occurrence = CronExpression.fromWallTime(parts, timeZone);
+                if (occurrence.getTime() >= start) {
+                    return occurrence;
+                }
+                wall += MINUTE;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Determines if the expression is valid
+     * @static
+     * @method isValid
+     * @param {String} expression
+     * @return {Boolean}
+     */
+    CronExpression.isValid = function(expression) {
+        try {
+            new CronExpression(expression);
+            return true;
+        }
+        catch(e) {
+            return false;
+        }
+    };
+
+    /**
+     * Determines if the value is a time zone known to the runtime, such as
+     * "UTC" or "America/New_York"
+     * @static
+     * @method isTimeZone
+     * @param {String} timeZone
+     * @return {Boolean}
+     */
+    CronExpression.isTimeZone = function(timeZone) {
+        if (!util.isString(timeZone) || timeZone.length === 0) {
+            return false;
+        }
+        try {
+            getFormatter(timeZone);
+            return true;
+        }
+        catch(e) {
+            return false;
+        }
+    };
+
+    /**
+     * Retrieves the wall clock time of a date in a time zone
+     * @static
+     * @method getWallTime
+     * @param {Date} date
+     * @param {String} [timeZone='UTC']
+     * @return {Object} The "year", "month" (1-12), "day", "hour", "minute"
+     * and "dayOfWeek" (0-6, Sunday is 0)
+     */
+    CronExpression.getWallTime = function(date, timeZone) {
+        var wall = {};
+        getFormatter(timeZone || 'UTC').formatToParts(date).forEach(function(part) {
+            if (part.type !== 'literal') {
+                wall[part.type] = parseInt(part.value, 10);
+            }
+        });
+
+        var result = {
+            year: wall.year,
+            month: wall.month,
+            day: wall.day,
+            hour: wall.hour % 24,
+            minute: wall.minute
+        };
+        result.dayOfWeek = new Date(toUtcTime(result)).getUTCDay();
+        return result;
+    };
+
+    /**
+     * Converts a wall clock time in a time zone to a date.  A time that is
+     * skipped when daylight saving time starts is moved to the end of the
+     * gap.  A time that is repeated when it ends resolves to its first
+     * occurrence.
+     * @static
+     * @method fromWallTime
+     * @param {Object} wall See CronExpression.getWallTime
+     * @param {String} [timeZone='UTC']
+     * @return {Date}
+     */
+    CronExpression.fromWallTime = function(wall, timeZone) {
+        var time = toUtcTime(wall);
+
+        //the offset of the wall time is not known until the instant is so
+        //each candidate offset is tried
+        var candidates = [];
+        [time - 12 * 60 * MINUTE, time, time + 12 * 60 * MINUTE].forEach(function(probe) {
+            var candidate = time - getOffset(new Date(probe), timeZone);
+            if (candidates.indexOf(candidate) < 0) {
+                candidates.push(candidate);
+            }
+        });
+        candidates.sort(function(a, b) {
+            return a - b;
+        });
+
+        var exact = candidates.filter(function(candidate) {
+            return toUtcTime(CronExpression.getWallTime(new Date(candidate), timeZone)) === time;
+        });
+        return new Date(exact.length > 0 ? exact[0] : candidates[candidates.length - 1]);
+    };
+
+    /**
+     * Parses a single field of an expression
+     * @private
+     * @static
+     * @method parseField
+     * @param {String} value
+     * @param {Object} field The descriptor of the field from FIELDS
+     * @param {String} expression Used to describe errors
+     * @return {Array} Indexed by value
+     */
+    function parseField(value, field, expression) {
+        var allowed = [];
+        for (var i = 0; i <= field.max; i++) {
+            allowed.push(false);
+        }
+
+        var invalid = function() {
+            return new Error(util.format('The %s field [%s] of cron expression [%s] is not valid', field.name, value, expression));
+        };
+        var toNumber = function(str) {
+            var index = field.names ? field.names.indexOf(str.toUpperCase()) : -1;
+            if (index >= 0) {
+                return index + (field.name === 'month' ? 1 : 0);
+            }
+            if (!/^\d+$/.test(str)) {
+                throw invalid();
+            }
+
+            var num = parseInt(str, 10);
+            if (num < field.min || num > field.max) {
+                throw invalid();
+            }
+            return num;
+        };
+
+        value.split(',').forEach(function(part) {
+            var match = /^([^\/]+)(?:\/(\d+))?$/.exec(part);
+            if (!match) {
+                throw invalid();
+            }
+
+            var step = match[2] ? parseInt(match[2], 10) : 1;
+            if (step < 1) {
+                throw invalid();
+            }
+
+            var low, high;
+            if (match[1] === '*') {
+                low = field.min;
+                high = field.name === 'dayOfWeek' ? 6 : field.max;
+            }
+            else {
+                var range = match[1].split('-');
+                if (range.length > 2) {
+                    throw invalid();
+                }
+                low = toNumber(range[0]);
+                high = range.length === 2 ? toNumber(range[1]) : (match[2] ? field.max : low);
+                if (high < low) {
+                    throw invalid();
+                }
+            }
+
+            for (var j = low; j <= high; j += step) {
+                allowed[j] = true;
+            }
+        });
+        return allowed;
+    }
+
+    /**
+     * Retrieves the formatter that provides the wall clock time of a time zone
+     * @private
+     * @static
+     * @method getFormatter
+     * @param {String} timeZone
+     * @return {Intl.DateTimeFormat}
+     * @throws {RangeError} When the time zone is not known
+     */
+    function getFormatter(timeZone) {
+        if (!FORMATTERS[timeZone]) {
+            FORMATTERS[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hour12: false,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric'
+            });
+        }
+        return FORMATTERS[timeZone];
+    }
+
+    /**
+     * Calculates the offset of a time zone from UTC at the provided instant
+     * @private
+     * @static
+     * @method getOffset
+     * @param {Date} date
+     * @param {String} timeZone
+     * @return {Integer} The offset in milliseconds
+     */
+    function getOffset(date, timeZone) {
+        var truncated = Math.floor(date.getTime() / MINUTE) * MINUTE;
+        return toUtcTime(CronExpression.getWallTime(new Date(truncated), timeZone)) - truncated;
+    }
+
+    /**
+     * Treats a wall clock time as if it were UTC
+     * @private
+     * @static
+     * @method toUtcTime
+     * @param {Object} wall See CronExpression.getWallTime
+     * @return {Integer} The milliseconds since the epoch
+     */
+    function toUtcTime(wall) {
+        return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute);
+    }
+
+    //exports
+    return CronExpression;
+};
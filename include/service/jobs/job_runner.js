@@ -61,6 +61,22 @@ module.exports = function JobRunnerModule(pb) {
          * @type {Float}
          */
         this.chunkOfWorkPercentage = 1;
+
+        /**
+         * Identifies what the job does so that jobs can be found by type and
+         * retried.  See setType.
+         * @property type
+         * @type {String}
+         */
+        this.type = null;
+
+        /**
+         * The parameters that the job was started with.  They are persisted
+         * with the job so that a failed job can be started again.
+         * @property parameters
+         * @type {Object}
+         */
+        this.parameters = null;
     }
 
     /**
@@ -109,6 +125,61 @@ module.exports = function JobRunnerModule(pb) {
      */
     var DEFAULT_ERROR_STATUS = 'ERRORED';
 
+    /**
+     * The status code for a job that stopped because it was cancelled
+     * @private
+     * @static
+     * @property DEFAULT_CANCELLED_STATUS
+     * @type {String}
+     */
+    var DEFAULT_CANCELLED_STATUS = 'CANCELLED';
+
+    /**
+     * The code of the error that a job completes with when it stops because it
+     * was cancelled
+     * @private
+     * @static
+     * @property CANCELLED_ERROR_CODE
+     * @type {String}
+     */
+    var CANCELLED_ERROR_CODE = 'JOB_CANCELLED';
+
+    /**
+     * The number of milliseconds that a cancellation is remembered by this
+     * process.  Processes that are asked to join a job after it was cancelled
+     * stop immediately.
+     * @private
+     * @static
+     * @property CANCELLATION_TTL
+     * @type {Integer}
+     */
+    var CANCELLATION_TTL = 24 * 60 * 60 * 1000;
+
+    /**
+     * The IDs of the jobs that were cancelled mapped to the time at which the
+     * cancellation was received
+     * @private
+     * @static
+     * @property CANCELLATIONS
+     * @type {Object}
+     */
+    var CANCELLATIONS = {};
+
+    /**
+     * The standard statuses of a job.  Implementations may report their own
+     * statuses while the job is in progress.
+     * @static
+     * @readonly
+     * @property STATUSES
+     * @type {Object}
+     */
+    JobRunner.STATUSES = Object.freeze({
+        RUNNING: DEFAULT_START_STATUS,
+        COMPLETED: DEFAULT_DONE_STATUS,
+        ERRORED: DEFAULT_ERROR_STATUS,
+        CANCELLED: DEFAULT_CANCELLED_STATUS
+    });
+
     /**
      * The initialization function sets the job's name and ID as well as provide an
      * instace of DAO.
@@ -158,6 +229,44 @@ module.exports = function JobRunnerModule(pb) {
         return this.chunkOfWorkPercentage;
     };
 
+    /**
+     * Identifies what the job does and the parameters that it was started with.
+     * Both are persisted when the job starts.  A job that fails can be started
+     * again with the same parameters when a retry handler is registered for
+     * its type.  See JobService.registerRetryHandler.
+     * @method setType
+     * @param {String} type
+     * @param {Object} [parameters]
+     * @return {JobRunner}
+     */
+    JobRunner.prototype.setType = function(type, parameters) {
+        this.type       = type;
+        this.parameters = parameters || {};
+        return this;
+    };
+
+    /**
+     * Retrieves the site that the job is performed for.  It is persisted with
+     * the job so that jobs can be found by site.
+     * @method getSiteUid
+     * @return {String} The global site unless overriden
+     */
+    JobRunner.prototype.getSiteUid = function() {
+        return pb.SiteService.GLOBAL_SITE;
+    };
+
+    /**
+     * Determines if the job was cancelled.  Cancellation is cooperative:
+     * implementations that perform a lot of work should check between units of
+     * work and, when cancelled, stop by completing with the error provided by
+     * JobRunner.createCancelledError.
+     * @method isCancelled
+     * @return {Boolean}
+     */
+    JobRunner.prototype.isCancelled = function() {
+        return JobRunner.isCancelled(this.getId());
+    };
+
     /**
      * Call this function once to start the job.  The job will execute the callback
      * upon completion.
@@ -215,6 +324,10 @@ module.exports = function JobRunnerModule(pb) {
         job.name        = this.name;
         job.status      = status || DEFAULT_START_STATUS;
         job.progress    = 0;
+        job.type        = this.type;
+        job.parameters  = this.parameters;
+        job.site        = this.getSiteUid();
+        job.worker_id   = pb.system.getWorkerId();
         this.dao.save(job, function(err, result) {
             if (util.isError(err)) {
                 pb.log.error('JobRunner: Failed to mark job as started %s', err.stack);
@@ -256,7 +369,9 @@ module.exports = function JobRunnerModule(pb) {
 
     /**
      * Called once by the extending implementation when the job has completed
-     * execution whether that be successful completion or by error.
+     * execution whether that be successful completion or by error.  A job that
+     * completes with the error provided by JobRunner.createCancelledError is
+     * marked as 'CANCELLED'.
      * @method onCompleted
      * @param {String} [status] The final status of the job.  If not provided the
      * status will default to 'COMPLETED' or 'ERRORED' when an error is provided as
@@ -272,6 +387,11 @@ module.exports = function JobRunnerModule(pb) {
         else if (!status) {
             status = DEFAULT_DONE_STATUS;
         }
+        if (JobRunner.isCancelledError(err)) {
+            status = DEFAULT_CANCELLED_STATUS;
+            err = undefined;
+        }
+        delete CANCELLATIONS[this.getId()];
 
         //log result
         this.log('Setting job [%s:%s] as completed with status: %s', this.getId(), this.name, status);
@@ -282,7 +402,8 @@ module.exports = function JobRunnerModule(pb) {
             $set: {
                 status: status,
                 progress: 100,
-                error: err ? err.stack : undefined
+                error: err ? err.stack : undefined,
+                completed: new Date()
             }
         };
         this.dao.updateFields(JOB_STORE_NAME, query, sets, function(err, result) {
@@ -292,6 +413,59 @@ module.exports = function JobRunnerModule(pb) {
         });
     };
 
+    /**
+     * Marks a job as cancelled on this process.  Use JobService#cancel to
+     * cancel a job across the cluster.
+     * @static
+     * @method cancel
+     * @param {String} jobId
+     */
+    JobRunner.cancel = function(jobId) {
+        var now = Date.now();
+        Object.keys(CANCELLATIONS).forEach(function(id) {
+            if (now - CANCELLATIONS[id] > CANCELLATION_TTL) {
+                delete CANCELLATIONS[id];
+            }
+        });
+        CANCELLATIONS[jobId] = now;
+    };
+
+    /**
+     * Determines if a job was cancelled
+     * @static
+     * @method isCancelled
+     * @param {String} jobId
+     * @return {Boolean}
+     */
+    JobRunner.isCancelled = function(jobId) {
+        return CANCELLATIONS.hasOwnProperty(jobId);
+    };
+
+    /**
+     * Creates the error that a job completes with when it stops because it was
+     * cancelled
+     * @static
+     * @method createCancelledError
+     * @param {String} jobId
+     * @return {Error}
+     */
+    JobRunner.createCancelledError = function(jobId) {
+        var err = new Error(util.format('Job [%s] was cancelled', jobId));
+        err.code = CANCELLED_ERROR_CODE;
+        return err;
+    };
+
+    /**
+     * Determines if an error indicates that a job was cancelled
+     * @static
+     * @method isCancelledError
+     * @param {Error} err
+     * @return {Boolean}
+     */
+    JobRunner.isCancelledError = function(err) {
+        return util.isError(err) && err.code === CANCELLED_ERROR_CODE;
+    };
+
     //exports
     return JobRunner;
 };
@@ -0,0 +1,567 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var util = require('../../util.js');
+
+module.exports = function JobSchedulerModule(pb) {
+
+    //pb dependencies
+    var CronExpression = pb.CronExpression;
+
+    /**
+     * The name of the persistence entity that holds the state of each
+     * scheduled job: whether it is paused and the outcome of its last run
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'job_schedule';
+
+    /**
+     * The longest a timer is set for.  Long waits are broken up so that the
+     * next run is not thrown off by changes to the system clock.
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_TIMER_DELAY
+     * @type {Integer}
+     */
+    var MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+    /**
+     * The registered jobs keyed by name
+     * @private
+     * @static
+     * @property SCHEDULES
+     * @type {Object}
+     */
+    var SCHEDULES = {};
+
+    /**
+     * Indicates that the scheduler was started so that jobs registered
+     * afterward are scheduled immediately
+     * @private
+     * @static
+     * @property isStarted
+     * @type {Boolean}
+     */
+    var isStarted = false;
+
+    /**
+     * Runs recurring jobs on a cron schedule.  Core and plugins register a
+     * named job with a cron expression, an optional time zone, and the work to
+     * perform.  Every process keeps a timer for each job but an occurrence
+     * runs on only one of them: the process that acquires the occurrence's
+     * lock through the LockService.  Each run is recorded as a job with its
+     * log so that it can be inspected through the JobService.  Jobs can be
+     * paused, which applies to the entire cluster, and triggered on demand.
+     * @class JobScheduler
+     */
+    function JobScheduler() {}
+
+    /**
+     * The status of the last run of a job
+     * @static
+     * @readonly
+     * @property STATUSES
+     * @type {Object}
+     */
+    JobScheduler.STATUSES = Object.freeze({
+        RUNNING: 'RUNNING',
+        COMPLETED: 'COMPLETED',
+        ERRORED: 'ERRORED',
+        CANCELLED: 'CANCELLED'
+    });
+
+    /**
+     * The type of the jobs that run scheduled jobs
+     * @static
+     * @readonly
+     * @property JOB_TYPE
+     * @type {String}
+     */
+    JobScheduler.JOB_TYPE = 'scheduled_job';
+
+    /**
+     * Registers a recurring job.  A job registered with the name of an
+     * existing job replaces it.
+     * @static
+     * @method register
+     * @param {String} name Uniquely identifies the job across the cluster
+     * @param {Object} options
+     * @param {String} options.cron The cron expression. See CronExpression.
+     * @param {Function} options.handler The work to perform.  Either a function
+     * that takes the job runner and a callback or a JobRunner prototype, which
+     * is instantiated for each run.
+     * @param {String} [options.timeZone] The time zone in which the expression
+     * is evaluated.  Defaults to the configured time zone.
+     * @param {String} [options.description]
+     * @param {String} [options.plugin] The UID of the plugin that registered the job
+     * @param {String} [options.site] The site of the plugin that registered the job
+     * @param {Integer} [options.lockTimeout] The number of seconds that the
+     * lock for an occurrence is held.  Defaults to the configured timeout.
+     * @return {Boolean} TRUE when an existing job was replaced
+     * @throws {Error} When the name, expression, time zone or handler is not valid
+     */
+    JobScheduler.register = function(name, options) {
+        if (!pb.ValidationService.isNonEmptyStr(name, true)) {
+            throw new Error('A name is required to schedule a job');
+        }
+        if (!util.isObject(options) || !util.isFunction(options.handler)) {
+            throw new Error(util.format('A handler is required to schedule job [%s]', name));
+        }
+
+        var timeZone = options.timeZone || pb.config.scheduler.time_zone;
+        if (!CronExpression.isTimeZone(timeZone)) {
+            throw new Error(util.format('The time zone [%s] of job [%s] is not valid', timeZone, name));
+        }
+
+        var schedule = {
+            name: name,
+            expression: new CronExpression(options.cron),
+            timeZone: timeZone,
+            handler: options.handler,
+            description: options.description || '',
+            plugin: options.plugin || null,
+            site: options.plugin ? pb.SiteService.getCurrentSite(options.site) : null,
+            lockTimeout: options.lockTimeout || pb.config.scheduler.lock_timeout,
+            timerHandle: null,
+            nextRun: null
+        };
+
+        var replaced = JobScheduler.unregister(name);
+        SCHEDULES[name] = schedule;
+        if (isStarted) {
+            scheduleNext(schedule);
+        }
+        pb.log.debug('JobScheduler: Registered job [%s] to run at [%s] in time zone [%s]', name, schedule.expression.expression, timeZone);
+        return replaced;
+    };
+
+    /**
+     * Removes a job so that it no longer runs on this process
+     * @static
+     * @method unregister
+     * @param {String} name
+     * @return {Boolean} TRUE when the job was registered
+     */
+    JobScheduler.unregister = function(name) {
+        var schedule = SCHEDULES[name];
+        if (!schedule) {
+            return false;
+        }
+
+        clearTimeout(schedule.timerHandle);
+        delete SCHEDULES[name];
+        return true;
+    };
+
+    /**
+     * Removes the jobs registered by a plugin for a site
+     * @static
+     * @method unregisterForPlugin
+     * @param {String} pluginUid
+     * @param {String} [site] Defaults to the global site
+     * @return {Integer} The number of jobs that were removed
+     */
+    JobScheduler.unregisterForPlugin = function(pluginUid, site) {
+        site = pb.SiteService.getCurrentSite(site);
+
+        var count = 0;
+        Object.keys(SCHEDULES).forEach(function(name) {
+            if (SCHEDULES[name].plugin === pluginUid && SCHEDULES[name].site === site) {
+                count += JobScheduler.unregister(name) ? 1 : 0;
+            }
+        });
+        return count;
+    };
+
+    /**
+     * Determines if a job is registered
+     * @static
+     * @method isRegistered
+     * @param {String} name
+     * @return {Boolean}
+     */
+    JobScheduler.isRegistered = function(name) {
+        return SCHEDULES.hasOwnProperty(name);
+    };
+
+    /**
+     * Retrieves the registered jobs along with their state: whether they are
+     * paused and the outcome of their last run
+     * @static
+     * @method getSchedules
+     * @param {Function} cb (Error, Array) The jobs sorted by name
+     */
+    JobScheduler.getSchedules = function(cb) {
+        var names = Object.keys(SCHEDULES).sort();
+        var opts = {
+            where: {name: {$in: names}}
+        };
+        var dao = new pb.DAO();
+        dao.q(TYPE, opts, function(err, states) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var stateMap = util.objArrayToHash(states, 'name');
+            cb(null, names.map(function(name) {
+                return JobScheduler.describe(SCHEDULES[name], stateMap[name]);
+            }));
+        });
+    };
+
+    /**
+     * Retrieves a registered job along with its state
+     * @static
+     * @method getSchedule
+     * @param {String} name
+     * @param {Function} cb (Error, Object) NULL when the job is not registered
+     */
+    JobScheduler.getSchedule = function(name, cb) {
+        if (!JobScheduler.isRegistered(name)) {
+            return cb(null, null);
+        }
+        getState(name, function(err, state) {
+            cb(err, util.isError(err) ? null : JobScheduler.describe(SCHEDULES[name], state));
+        });
+    };
+
+    /**
+     * Builds the descriptor of a job that is provided to clients
+     * @static
+     * @method describe
+     * @param {Object} schedule
+     * @param {Object} [state] The persisted state of the job
+     * @return {Object}
+     */
+    JobScheduler.describe = function(schedule, state) {
+        state = state || {};
+        return {
+            name: schedule.name,
+            description: schedule.description,
+            cron: schedule.expression.expression,
+            time_zone: schedule.timeZone,
+            plugin: schedule.plugin,
+            site: schedule.site,
+            paused: state.paused === true,
+            next_run: schedule.nextRun || schedule.expression.next(new Date(), schedule.timeZone),
+            last_run: state.last_run || null,
+            last_completed: state.last_completed || null,
+            last_status: state.last_status || null,
+            last_error: state.last_error || null,
+            last_job_id: state.last_job_id || null
+        };
+    };
+
+    /**
+     * Pauses a job across the cluster.  Occurrences are skipped until the job
+     * is resumed.  A run that is in progress is not affected.
+     * @static
+     * @method pause
+     * @param {String} name
+     * @param {Function} cb (Error, Boolean) FALSE when the job is not registered
+     */
+    JobScheduler.pause = function(name, cb) {
+        setPaused(name, true, cb);
+    };
+
+    /**
+     * Resumes a paused job across the cluster
+     * @static
+     * @method resume
+     * @param {String} name
+     * @param {Function} cb (Error, Boolean) FALSE when the job is not registered
+     */
+    JobScheduler.resume = function(name, cb) {
+        setPaused(name, false, cb);
+    };
+
+    /**
+     * Runs a job immediately on this process, whether or not it is paused
+     * @static
+     * @method trigger
+     * @param {String} name
+     * @param {Function} cb (Error, String) Provides the ID of the job run or
+     * NULL when the job is not registered.  The callback does not wait for
+     * the run to complete.
+     */
+    JobScheduler.trigger = function(name, cb) {
+        var schedule = SCHEDULES[name];
+        if (!schedule) {
+            return cb(null, null);
+        }
+        JobScheduler.execute(schedule, null, cb);
+    };
+
+    /**
+     * Runs the occurrence of a job unless another process already claimed it,
+     * the job is paused, or the occurrence already ran.  The lock for the
+     * occurrence is left to expire so that processes whose timer fires late
+     * still find it.
+     * @static
+     * @method runOccurrence
+     * @param {Object} schedule
+     * @param {Date} occurrence
+     * @param {Function} [cb] (Error, String) Provides the ID of the job run or
+     * NULL when the occurrence was skipped
+     */
+    JobScheduler.runOccurrence = function(schedule, occurrence, cb) {
+        cb = cb || util.cb;
+
+        var lockName = JobScheduler.getLockName(schedule.name, occurrence);
+        var lockService = new pb.LockService();
+        lockService.acquire(lockName, {timeout: schedule.lockTimeout}, function(err, acquired) {
+            if (util.isError(err) || !acquired) {
+                pb.log.silly('JobScheduler: Occurrence [%s] of job [%s] is claimed by another process', occurrence.toISOString(), schedule.name);
+                return cb(err || null, null);
+            }
+
+            getState(schedule.name, function(err, state) {
+                if (util.isError(err)) {
+                    return cb(err, null);
+                }
+                else if (state && state.paused) {
+                    pb.log.debug('JobScheduler: Skipping occurrence [%s] of paused job [%s]', occurrence.toISOString(), schedule.name);
+                    return cb(null, null);
+                }
+                else if (state && util.isDate(state.last_scheduled) && state.last_scheduled >= occurrence) {
+                    return cb(null, null);
+                }
+                JobScheduler.execute(schedule, occurrence, cb);
+            });
+        });
+    };
+
+    /**
+     * Runs a job and records the outcome in its state
+     * @static
+     * @method execute
+     * @param {Object} schedule
+     * @param {Date} [occurrence] The scheduled time being run.  NULL when the
+     * job was triggered.
+     * @param {Function} cb (Error, String) Provides the ID of the job run once
+     * it has started
+     */
+    JobScheduler.execute = function(schedule, occurrence, cb) {
+        var runner;
+        try {
+            runner = JobScheduler.createRunner(schedule);
+        }
+        catch(e) {
+            return cb(e);
+        }
+
+        var state = {
+            last_run: new Date(),
+            last_status: JobScheduler.STATUSES.RUNNING,
+            last_error: null,
+            last_job_id: runner.getId()
+        };
+        if (occurrence) {
+            state.last_scheduled = occurrence;
+        }
+        setState(schedule.name, state, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            pb.log.info('JobScheduler: Starting job [%s] as [%s]', schedule.name, runner.getId());
+            runner.run(function(err) {
+                var result = {
+                    last_completed: new Date(),
+                    last_status: util.isError(err) ? JobScheduler.STATUSES.ERRORED : JobScheduler.STATUSES.COMPLETED,
+                    last_error: util.isError(err) ? err.message : null
+                };
+                if (pb.JobRunner.isCancelledError(err)) {
+                    result.last_status = JobScheduler.STATUSES.CANCELLED;
+                    result.last_error = null;
+                    pb.log.info('JobScheduler: Job [%s] was cancelled', schedule.name);
+                }
+                else if (util.isError(err)) {
+                    pb.log.error('JobScheduler: Job [%s] failed. %s', schedule.name, err.stack);
+                }
+                setState(schedule.name, result, function(err) {
+                    if (util.isError(err)) {
+                        pb.log.error('JobScheduler: Failed to record the outcome of job [%s]. %s', schedule.name, err.stack);
+                    }
+                });
+            });
+            cb(null, runner.getId());
+        });
+    };
+
+    /**
+     * Creates the JobRunner that performs a run of the job
+     * @static
+     * @method createRunner
+     * @param {Object} schedule
+     * @return {JobRunner}
+     */
+    JobScheduler.createRunner = function(schedule) {
+        var Handler = schedule.handler;
+        var runner = Handler.prototype instanceof pb.JobRunner ? new Handler() : new pb.ScheduledJobRunner(Handler);
+        return runner.init(schedule.name).setType(JobScheduler.JOB_TYPE, {name: schedule.name});
+    };
+
+    /**
+     * Builds the name of the lock that claims an occurrence of a job
+     * @static
+     * @method getLockName
+     * @param {String} name
+     * @param {Date} occurrence
+     * @return {String}
+     */
+    JobScheduler.getLockName = function(name, occurrence) {
+        return 'job_schedule_' + name + '_' + occurrence.getTime();
+    };
+
+    /**
+     * Starts the timers of the registered jobs.  Should only be called once
+     * at startup.  Runs of scheduled jobs that failed can be retried whether or
+     * not the scheduler is enabled.
+     * @static
+     * @method init
+     * @param {Function} cb
+     */
+    JobScheduler.init = function(cb) {
+        pb.JobService.registerRetryHandler(JobScheduler.JOB_TYPE, function(parameters, cb) {
+            JobScheduler.trigger(parameters.name, function(err, jobId) {
+                if (!util.isError(err) && !jobId) {
+                    err = new Error(util.format('The scheduled job [%s] is no longer registered', parameters.name));
+                    err.code = 400;
+                }
+                cb(err, jobId);
+            });
+        });
+
+        if (!pb.config.scheduler.enabled || isStarted) {
+            return cb(null, false);
+        }
+
+        isStarted = true;
+        util.forEach(SCHEDULES, scheduleNext);
+        pb.system.registerShutdownHook('JobScheduler', JobScheduler.shutdown);
+        cb(null, true);
+    };
+
+    /**
+     * Stops the timers of the registered jobs
+     * @static
+     * @method shutdown
+     * @param {Function} cb
+     */
+    JobScheduler.shutdown = function(cb) {
+        cb = cb || util.cb;
+
+        isStarted = false;
+        util.forEach(SCHEDULES, function(schedule) {
+            clearTimeout(schedule.timerHandle);
+            schedule.timerHandle = null;
+            schedule.nextRun = null;
+        });
+        cb(null, true);
+    };
+
+    /**
+     * Sets the timer for the next occurrence of a job.  When the timer fires
+     * the timer for the following occurrence is set before the occurrence is
+     * run.  Occurrences missed while the process was not running are skipped.
+     * @private
+     * @static
+     * @method scheduleNext
+     * @param {Object} schedule
+     */
+    function scheduleNext(schedule) {
+        clearTimeout(schedule.timerHandle);
+
+        schedule.nextRun = schedule.expression.next(new Date(), schedule.timeZone);
+        if (schedule.nextRun === null) {
+            pb.log.warn('JobScheduler: Job [%s] will not run again', schedule.name);
+            return;
+        }
+
+        var occurrence = schedule.nextRun;
+        var wait = function() {
+            var delay = occurrence.getTime() - Date.now();
+            if (delay > 0) {
+                schedule.timerHandle = setTimeout(wait, Math.min(delay, MAX_TIMER_DELAY));
+                return;
+            }
+
+            scheduleNext(schedule);
+            JobScheduler.runOccurrence(schedule, occurrence, function(err) {
+                if (util.isError(err)) {
+                    pb.log.error('JobScheduler: Failed to run occurrence [%s] of job [%s]. %s', occurrence.toISOString(), schedule.name, err.stack);
+                }
+            });
+        };
+        wait();
+    }
+
+    /**
+     * Sets whether a job is paused
+     * @private
+     * @static
+     * @method setPaused
+     * @param {String} name
+     * @param {Boolean} paused
+     * @param {Function} cb
+     */
+    function setPaused(name, paused, cb) {
+        if (!JobScheduler.isRegistered(name)) {
+            return cb(null, false);
+        }
+        setState(name, {paused: paused}, function(err) {
+            cb(err, !util.isError(err));
+        });
+    }
+
+    /**
+     * Retrieves the persisted state of a job
+     * @private
+     * @static
+     * @method getState
+     * @param {String} name
+     * @param {Function} cb
+     */
+    function getState(name, cb) {
+        var dao = new pb.DAO();
+        dao.loadByValue('name', name, TYPE, cb);
+    }
+
+    /**
+     * Updates the persisted state of a job
+     * @private
+     * @static
+     * @method setState
+     * @param {String} name
+     * @param {Object} fields
+     * @param {Function} cb
+     */
+    function setState(name, fields, cb) {
+        var dao = new pb.DAO();
+        dao.updateFields(TYPE, {name: name}, {$set: fields}, {upsert: true}, cb);
+    }
+
+    //exports
+    return JobScheduler;
+};
@@ -0,0 +1,216 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var async = require('async');
+var util  = require('../../../util.js');
+
+module.exports = function MediaMigrationJobModule(pb) {
+
+    /**
+     * A system job that copies the content of every uploaded media file from
+     * one media provider to another.  It is used when the configured provider
+     * is changed (for example, from "fs" to "s3") so that the existing media
+     * remains available.  Media descriptors are not modified because media is
+     * always referenced by its path.  A failure to copy one file does not stop
+     * the job.  Each failure is logged and counted in the final status.
+     * @class MediaMigrationJob
+     * @constructor
+     * @extends AsyncJobRunner
+     * @param {Object} options
+     * @param {String} options.from The name or module path of the provider to copy from
+     * @param {String} options.to The name or module path of the provider to copy to
+     * @param {Boolean} [options.overwrite=false] When TRUE media that already
+     * exists in the target provider is copied again
+     * @param {Object} [options.source] An instance of the provider to copy from.
+     * Takes precedence over "from".
+     * @param {Object} [options.target] An instance of the provider to copy to.
+     * Takes precedence over "to".
+     */
+    function MediaMigrationJob(options) {
+        MediaMigrationJob.super_.call(this);
+
+        var context = {site: pb.SiteService.GLOBAL_SITE};
+
+        /**
+         * @property source
+         * @type {MediaProvider}
+         */
+        this.source = options.source || pb.MediaService.loadMediaProvider(context, options.from);
+
+        /**
+         * @property target
+         * @type {MediaProvider}
+         */
+        this.target = options.target || pb.MediaService.loadMediaProvider(context, options.to);
+
+        /**
+         * @property overwrite
+         * @type {Boolean}
+         */
+        this.overwrite = !!options.overwrite;
+
+        if (!this.source || !this.target) {
+            throw new Error(util.format('MediaMigrationJob: The media providers [%s] and [%s] must both be available', options.from, options.to));
+        }
+    }
+    util.inherits(MediaMigrationJob, pb.AsyncJobRunner);
+
+    /**
+     * The outcome of copying a single media file
+     * @static
+     * @readonly
+     * @property RESULTS
+     * @type {Object}
+     */
+    MediaMigrationJob.RESULTS = Object.freeze({
+        COPIED: 'copied',
+        SKIPPED: 'skipped',
+        FAILED: 'failed'
+    });
+
+    /**
+     * Creates a task to copy each media file
+     * @method getTasks
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Array)
+     */
+    MediaMigrationJob.prototype.getTasks = function(cb) {
+        var self = this;
+
+        var opts = {
+            select: {location: 1},
+            where: {is_file: true}
+        };
+        this.dao.q(pb.MediaService.COLL, opts, function(err, media) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            self.log('Found %d media files to migrate', media.length);
+            var increment = media.length > 0 ? 100 / media.length : 0;
+            var tasks = util.getTasks(media, function(media, i) {
+                return function(callback) {
+                    var mediaPath = media[i].location;
+                    self.migrate(mediaPath, function(err, result) {
+                        if (util.isError(err)) {
+                            self.log('Failed to migrate media [%s]: %s', mediaPath, err.message);
+                            result = MediaMigrationJob.RESULTS.FAILED;
+                        }
+                        self.onUpdate(increment);
+                        callback(null, result);
+                    });
+                };
+            });
+            cb(null, tasks);
+        });
+    };
+
+    /**
+     * Copies a single media file from the source provider to the target
+     * provider.  The file is skipped when it already exists in the target and
+     * the job is not configured to overwrite.
+     * @method migrate
+     * @param {String} mediaPath
+     * @param {Function} cb A callback that takes two parameters: cb(Error, String)
+     * where the String is one of MediaMigrationJob.RESULTS
+     */
+    MediaMigrationJob.prototype.migrate = function(mediaPath, cb) {
+        var self = this;
+
+        var tasks = [
+            function(callback) {
+                if (self.overwrite) {
+                    return callback(null, false);
+                }
+                self.target.exists(mediaPath, callback);
+            },
+            function(exists, callback) {
+                if (exists) {
+                    return callback(null, MediaMigrationJob.RESULTS.SKIPPED);
+                }
+
+                self.source.getStream(mediaPath, function(err, stream) {
+                    if (util.isError(err)) {
+                        return callback(err);
+                    }
+                    self.target.setStream(stream, mediaPath, function(err) {
+                        callback(err, MediaMigrationJob.RESULTS.COPIED);
+                    });
+                });
+            }
+        ];
+        async.waterfall(tasks, function(err, result) {
+            cb(err || null, result);
+        });
+    };
+
+    /**
+     * Marks the job as started
+     * @method onBeforeFirstTask
+     * @param {Function} cb
+     */
+    MediaMigrationJob.prototype.onBeforeFirstTask = function(cb) {
+        this.onStart('MIGRATING');
+        cb(null);
+    };
+
+    /**
+     * Tallies the outcome of each task and marks the job as completed.  The
+     * job completes with an error when any of the files failed to copy.
+     * @method processResults
+     * @param {Error} err
+     * @param {Array} results
+     * @param {Function} cb A callback that provides two parameters: an Error,
+     * if occurred, and an object with the number of files "copied", "skipped",
+     * and "failed"
+     */
+    MediaMigrationJob.prototype.processResults = function(err, results, cb) {
+        if (util.isError(err)) {
+            this.onCompleted(err);
+            return cb(err);
+        }
+
+        var summary = MediaMigrationJob.summarize(results);
+        var status  = util.format('COMPLETED: %d copied, %d skipped, %d failed', summary.copied, summary.skipped, summary.failed);
+        if (summary.failed > 0) {
+            err = new Error(util.format('MediaMigrationJob: %d media files could not be migrated', summary.failed));
+        }
+        this.onCompleted(status, err);
+        cb(err, summary);
+    };
+
+    /**
+     * Counts the occurrences of each result
+     * @static
+     * @method summarize
+     * @param {Array} results
+     * @return {Object} The number of files "copied", "skipped", and "failed"
+     */
+    MediaMigrationJob.summarize = function(results) {
+        var summary = {};
+        Object.keys(MediaMigrationJob.RESULTS).forEach(function(key) {
+            summary[MediaMigrationJob.RESULTS[key]] = 0;
+        });
+        (results || []).forEach(function(result) {
+            summary[result]++;
+        });
+        return summary;
+    };
+
+    //exports
+    return MediaMigrationJob;
+};
@@ -75,6 +75,16 @@ module.exports = function PluginJobRunnerModule(pb) {
         return this.site;
     };
 
+    /**
+     * Retrieves the site that the plugin is managed for
+     * @see JobRunner#getSiteUid
+     * @method getSiteUid
+     * @return {String}
+     */
+    PluginJobRunner.prototype.getSiteUid = function() {
+        return pb.SiteService.getCurrentSite(this.site);
+    };
+
     /**
      * Called when the tasks have completed execution and isInitiator = FALSE.  The
      * function ispects the results of each processes' execution and attempts to
@@ -156,6 +156,13 @@ module.exports = function PluginUninstallJobModule(pb) {
                 process.nextTick(function(){callback(null, true);});
             },
 
+            //unregister scheduled jobs
+            function(callback) {
+                var jobsRemoved = pb.JobScheduler.unregisterForPlugin(pluginUid, site);
+                self.log('Unregistered %d scheduled jobs', jobsRemoved);
+                process.nextTick(function(){callback(null, true);});
+            },
+
             //remove localization
             function(callback) {
                 
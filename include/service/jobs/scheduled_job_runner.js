@@ -0,0 +1,89 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var process = require('process');
+var domain  = require('domain');
+var util    = require('../../util.js');
+
+module.exports = function ScheduledJobRunnerModule(pb) {
+
+    /**
+     * Runs the function registered for a scheduled job as a JobRunner so that
+     * each execution is recorded along with its log.  The function is called
+     * with the runner, which provides "log" and "onUpdate", and a callback.
+     * @class ScheduledJobRunner
+     * @constructor
+     * @extends JobRunner
+     * @param {Function} handler (ScheduledJobRunner, Function)
+     */
+    function ScheduledJobRunner(handler) {
+        ScheduledJobRunner.super_.call(this);
+
+        if (!util.isFunction(handler)) {
+            throw new Error('A handler function is required');
+        }
+
+        /**
+         * The function that performs the work of the job
+         * @property handler
+         * @type {Function}
+         */
+        this.handler = handler;
+    }
+    util.inherits(ScheduledJobRunner, pb.JobRunner);
+
+    /**
+     * Marks the job as started, calls the handler, and marks the job as
+     * completed with the outcome.  An error thrown by the handler fails the
+     * job.
+     * @method run
+     * @param {Function} cb (Error, Object) Provides the result of the handler
+     */
+    ScheduledJobRunner.prototype.run = function(cb) {
+        var self = this;
+
+        var isDone = false;
+        var done = function(err, result) {
+            if (isDone) {
+                return pb.log.error('ScheduledJobRunner: The handler of job [%s] called back more than once', self.name);
+            }
+            isDone = true;
+
+            if (util.isError(err)) {
+                self.log('Failed: %s', err.message);
+                self.onCompleted(err);
+            }
+            else {
+                self.onCompleted();
+            }
+            cb(err || null, result);
+        };
+
+        this.onStart();
+        var d = domain.create();
+        d.on('error', done);
+        d.run(function() {
+            process.nextTick(function() {
+                self.handler(self, done);
+            });
+        });
+    };
+
+    //exports
+    return ScheduledJobRunner;
+};
@@ -45,6 +45,17 @@ module.exports = function SiteJobRunnerModule(pb) {
         return this.site;
     };
 
+    /**
+     * Retrieves the unique ID of the site that the job is performed for
+     * @see JobRunner#getSiteUid
+     * @method getSiteUid
+     * @return {String}
+     */
+    SiteJobRunner.prototype.getSiteUid = function() {
+        var site = this.getSite();
+        return pb.SiteService.getCurrentSite(util.isObject(site) ? site.uid : site);
+    };
+
     /**
      *  Called when the tasks have completed execution and isInitiator = FALSE.  The
      * function ispects the results of each processes' execution and attempts to
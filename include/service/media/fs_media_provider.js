@@ -42,14 +42,28 @@ module.exports = function FsMediaProviderModule(pb) {
      * @method getStream
      * @param {String} mediaPath The path/key to the media.  Typically this is a 
      * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
-     * @param {Object} [options] Options for interacting with S3
-     * @param {String} [options.bucket] The S3 bucket to interact with
+     * @param {Object} [options]
+     * @param {Integer} [options.start] The offset of the first byte to read
+     * @param {Integer} [options.end] The offset of the last byte to read (inclusive)
      * @param {Function} cb A callback that provides two parameters: An Error, if 
      * occurred and a ReadableStream that contains the media content.
      */
-    FsMediaProvider.prototype.getStream = function(mediaPath, cb) {
+    FsMediaProvider.prototype.getStream = function(mediaPath, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
+
+        var streamOptions = {};
+        if (util.isNumber(options.start)) {
+            streamOptions.start = options.start;
+        }
+        if (util.isNumber(options.end)) {
+            streamOptions.end = options.end;
+        }
+
         var ap = FsMediaProvider.getMediaPath(this.parentDir, mediaPath);
-        cb(null, fs.createReadStream(ap));
+        cb(null, fs.createReadStream(ap, streamOptions));
     };
 
     /**
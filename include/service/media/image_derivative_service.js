@@ -0,0 +1,511 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var path  = require('path');
+var async = require('async');
+var Jimp  = require('jimp');
+var util  = require('../../util.js');
+
+module.exports = function ImageDerivativeServiceModule(pb) {
+
+    /**
+     * The extensions of the uploaded images that derivatives can be generated
+     * from
+     * @private
+     * @static
+     * @readonly
+     * @property SOURCE_EXTENSIONS
+     * @type {Array}
+     */
+    var SOURCE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'bmp', 'gif'];
+
+    /**
+     * The query string parameters that request a derivative
+     * @private
+     * @static
+     * @readonly
+     * @property PARAMETERS
+     * @type {Array}
+     */
+    var PARAMETERS = ['preset', 'width', 'height', 'fit', 'format'];
+
+    /**
+     * The callbacks waiting on derivatives that are being generated, keyed by
+     * the path of the derivative.  Concurrent requests for the same derivative
+     * share a single generation.
+     * @private
+     * @static
+     * @property PENDING
+     * @type {Object}
+     */
+    var PENDING = {};
+
+    /**
+     * Generates resized, cropped, and re-encoded copies of uploaded images.
+     * Each derivative is generated once and then stored through the active
+     * media provider alongside the original.  The orientation recorded in the
+     * EXIF data of the original is applied and, because the image is
+     * re-encoded, no metadata is carried over to the derivative.
+     * @class ImageDerivativeService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site]
+     * @param {MediaService} [context.mediaService] The service used to load
+     * originals and store derivatives.  Defaults to one that uses the
+     * configured media provider.
+     */
+    function ImageDerivativeService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = pb.SiteService.getCurrentSite(context.site);
+
+        /**
+         * @property mediaService
+         * @type {MediaService}
+         */
+        this.mediaService = context.mediaService || new pb.MediaService(null, this.site, true);
+    }
+
+    /**
+     * The ways an image can be fit into the requested width and height.
+     * "cover" fills the box and crops the overflow, "contain" fits the whole
+     * image in the box and pads the remainder, and "inside" scales the image
+     * down until it fits in the box without padding.
+     * @static
+     * @readonly
+     * @property FITS
+     * @type {Object}
+     */
+    ImageDerivativeService.FITS = Object.freeze({
+        COVER: 'cover',
+        CONTAIN: 'contain',
+        INSIDE: 'inside'
+    });
+
+    /**
+     * The formats that derivatives can be encoded in, mapped to their MIME type
+     * @static
+     * @readonly
+     * @property FORMATS
+     * @type {Object}
+     */
+    ImageDerivativeService.FORMATS = Object.freeze({
+        jpeg: 'image/jpeg',
+        png: 'image/png'
+    });
+
+    /**
+     * The media path prefix under which derivatives are stored
+     * @static
+     * @readonly
+     * @property PATH_PREFIX
+     * @type {String}
+     */
+    ImageDerivativeService.PATH_PREFIX = '/media/derivatives';
+
+    /**
+     * Determines if derivatives can be generated for the media path
+     * @static
+     * @method isSupported
+     * @param {String} mediaPath
+     * @return {Boolean}
+     */
+    ImageDerivativeService.isSupported = function(mediaPath) {
+        if (!util.isString(mediaPath) || mediaPath.indexOf('/media/') !== 0 || mediaPath.indexOf(ImageDerivativeService.PATH_PREFIX + '/') === 0) {
+            return false;
+        }
+        return SOURCE_EXTENSIONS.indexOf(util.getExtension(mediaPath, {lower: true, sep: '/'})) >= 0;
+    };
+
+    /**
+     * Determines if the query string of a request asks for a derivative
+     * @static
+     * @method isRequested
+     * @param {Object} query The parsed query string
+     * @return {Boolean}
+     */
+    ImageDerivativeService.isRequested = function(query) {
+        return util.isObject(query) && PARAMETERS.some(function(param) {
+            return !util.isNullOrUndefined(query[param]);
+        });
+    };
+
+    /**
+     * Validates the options that describe a derivative
+     * @static
+     * @method validateOptions
+     * @param {Object} options
+     * @param {Integer} [options.width]
+     * @param {Integer} [options.height]
+     * @param {String} [options.fit]
+     * @param {String} [options.format]
+     * @return {Array} The error messages.  Empty when the options are valid.
+     */
+    ImageDerivativeService.validateOptions = function(options) {
+        var errors = [];
+        var max = pb.config.media.derivatives.max_dimension;
+        ['width', 'height'].forEach(function(dimension) {
+            var value = options[dimension];
+            if (!util.isNullOrUndefined(value) && !(util.isNumber(value) && value % 1 === 0 && value > 0 && value <= max)) {
+                errors.push('The ' + dimension + ' must be a whole number between 1 and ' + max);
+            }
+        });
+
+        var fits = Object.keys(ImageDerivativeService.FITS).map(function(key) {
+            return ImageDerivativeService.FITS[key];
+        });
+        if (!util.isNullOrUndefined(options.fit) && fits.indexOf(options.fit) < 0) {
+            errors.push('The fit must be one of ' + fits.join(', '));
+        }
+        if (!util.isNullOrUndefined(options.format) && !ImageDerivativeService.FORMATS[options.format]) {
+            errors.push('The format must be one of ' + Object.keys(ImageDerivativeService.FORMATS).join(', '));
+        }
+        return errors;
+    };
+
+    /**
+     * Builds the options for a derivative from the query string of a request.
+     * A named preset provides the defaults which the other parameters
+     * override.  When no format is requested the format of the original is
+     * kept, falling back to PNG for formats that cannot be encoded.
+     * @static
+     * @method parseOptions
+     * @param {Object} query The parsed query string
+     * @param {Object} presets The available presets keyed by name
+     * @param {String} mediaPath The path to the original
+     * @return {Object|Error} The options or an Error, with a 400 code, when the
+     * parameters are invalid
+     */
+    ImageDerivativeService.parseOptions = function(query, presets, mediaPath) {
+        var options = {};
+        var errors = [];
+        if (!util.isNullOrUndefined(query.preset)) {
+            if (!util.isObject(presets[query.preset])) {
+                errors.push('The preset ' + query.preset + ' does not exist');
+            }
+            else {
+                options = util.clone(presets[query.preset]);
+            }
+        }
+
+        ['width', 'height'].forEach(function(dimension) {
+            if (!util.isNullOrUndefined(query[dimension])) {
+                options[dimension] = /^\d+$/.test(query[dimension]) ? parseInt(query[dimension], 10) : query[dimension];
+            }
+        });
+        if (!util.isNullOrUndefined(query.fit)) {
+            options.fit = query.fit;
+        }
+        if (!util.isNullOrUndefined(query.format)) {
+            options.format = query.format === 'jpg' ? 'jpeg' : query.format;
+        }
+
+        errors = errors.concat(ImageDerivativeService.validateOptions(options));
+        if (errors.length > 0) {
+            var err = new Error(errors.join('. '));
+            err.code = 400;
+            return err;
+        }
+
+        if (!options.fit) {
+            options.fit = ImageDerivativeService.FITS.INSIDE;
+        }
+        if (!options.format) {
+            var ext = util.getExtension(mediaPath, {lower: true, sep: '/'});
+            options.format = ext === 'jpg' || ext === 'jpeg' ? 'jpeg' : 'png';
+        }
+        return {
+            width: options.width || null,
+            height: options.height || null,
+            fit: options.fit,
+            format: options.format
+        };
+    };
+
+    /**
+     * Provides the sizes that derivatives may be generated at on demand: the
+     * size of each preset and each of the "srcset_widths".  Limiting the
+     * sizes keeps anonymous visitors from filling the media store and tying
+     * up the server with arbitrary resizes.
+     * @static
+     * @method getAllowedSizes
+     * @param {Object} presets The available presets keyed by name
+     * @return {Array} Objects with a "width", "height", and "fit"
+     */
+    ImageDerivativeService.getAllowedSizes = function(presets) {
+        var sizes = [];
+        util.forEach(presets, function(preset) {
+            sizes.push({
+                width: preset.width || null,
+                height: preset.height || null,
+                fit: preset.fit || ImageDerivativeService.FITS.INSIDE
+            });
+        });
+        (pb.config.media.derivatives.srcset_widths || []).forEach(function(width) {
+            sizes.push({width: width, height: null, fit: ImageDerivativeService.FITS.INSIDE});
+        });
+        return sizes;
+    };
+
+    /**
+     * Determines if a derivative may be generated at the size described by the
+     * options.  Any of the formats may be requested.
+     * @static
+     * @method isAllowedSize
+     * @param {Object} options See parseOptions
+     * @param {Object} presets The available presets keyed by name
+     * @return {Boolean}
+     */
+    ImageDerivativeService.isAllowedSize = function(options, presets) {
+        return ImageDerivativeService.getAllowedSizes(presets).some(function(size) {
+            return size.width === options.width && size.height === options.height && size.fit === options.fit;
+        });
+    };
+
+    /**
+     * Generates the media path where a derivative of the original is stored.
+     * For example, a 320 pixel wide JPEG of /media/2016/1/abc.png is stored at
+     * /media/derivatives/2016/1/abc-320xauto-inside.jpeg
+     * @static
+     * @method getDerivativePath
+     * @param {String} mediaPath The path to the original
+     * @param {Object} options See parseOptions
+     * @return {String}
+     */
+    ImageDerivativeService.getDerivativePath = function(mediaPath, options) {
+        var dir = path.posix.dirname(mediaPath).substring('/media'.length);
+        var name = path.posix.basename(mediaPath, path.posix.extname(mediaPath));
+        var size = (options.width || 'auto') + 'x' + (options.height || 'auto');
+        return ImageDerivativeService.PATH_PREFIX + dir + '/' + name + '-' + size + '-' + options.fit + '.' + options.format;
+    };
+
+    /**
+     * Calculates the size of a derivative.  Images are never enlarged unless
+     * they must fill a box with an explicit width and height.
+     * @static
+     * @method getDimensions
+     * @param {Integer} width The width of the original
+     * @param {Integer} height The height of the original
+     * @param {Object} options See parseOptions
+     * @return {Object} The "width" and "height" of the derivative
+     */
+    ImageDerivativeService.getDimensions = function(width, height, options) {
+        var ratio = 1;
+        if (options.width && options.height) {
+            if (options.fit !== ImageDerivativeService.FITS.INSIDE) {
+                return {
+                    width: options.width,
+                    height: options.height
+                };
+            }
+            ratio = Math.min(options.width / width, options.height / height, 1);
+        }
+        else if (options.width) {
+            ratio = Math.min(options.width / width, 1);
+        }
+        else if (options.height) {
+            ratio = Math.min(options.height / height, 1);
+        }
+        return {
+            width: Math.max(Math.round(width * ratio), 1),
+            height: Math.max(Math.round(height * ratio), 1)
+        };
+    };
+
+    /**
+     * Generates a derivative from the content of an original
+     * @static
+     * @method transform
+     * @param {Buffer} content The original image
+     * @param {Object} options See parseOptions
+     * @param {Function} cb (Error, Buffer)
+     */
+    ImageDerivativeService.transform = function(content, options, cb) {
+        //Jimp reports some failures without an error so the image is checked too
+        new Jimp(content, function(err, image) {
+            if (err || !image) {
+                return cb(util.isError(err) ? err : new Error('The content could not be decoded as an image'));
+            }
+
+            //undo the camera's rotation before measuring
+            image.exifRotate();
+
+            var width = image.bitmap.width;
+            var height = image.bitmap.height;
+            var size = ImageDerivativeService.getDimensions(width, height, options);
+            var box = options.width && options.height;
+            if (box && options.fit === ImageDerivativeService.FITS.COVER) {
+                image.cover(size.width, size.height);
+            }
+            else if (box && options.fit === ImageDerivativeService.FITS.CONTAIN) {
+                image.contain(size.width, size.height);
+            }
+            else if (size.width !== width || size.height !== height) {
+                image.resize(size.width, size.height);
+            }
+
+            //JPEG has no transparency so any padding is filled with white
+            if (options.format === 'jpeg') {
+                image.background(0xFFFFFFFF);
+            }
+            image.quality(pb.config.media.derivatives.quality);
+            image.getBuffer(ImageDerivativeService.FORMATS[options.format], function(err, buffer) {
+                if (err) {
+                    return cb(util.isError(err) ? err : new Error(err));
+                }
+                cb(null, buffer);
+            });
+        });
+    };
+
+    /**
+     * Retrieves the presets available to the site.  The presets in the
+     * configuration are overridden by those provided by the site's active
+     * theme.
+     * @method getPresets
+     * @param {Function} cb (Error, Object) Provides the presets keyed by name
+     */
+    ImageDerivativeService.prototype.getPresets = function(cb) {
+        var site = this.site;
+        var settings = pb.SettingServiceFactory.getService(pb.config.settings.use_memory, pb.config.settings.use_cache, site);
+        settings.get('active_theme', function(err, theme) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var presets = util.clone(pb.config.media.derivatives.presets || {});
+            cb(null, util.merge(pb.PluginService.getActiveImagePresets(theme, site) || {}, presets));
+        });
+    };
+
+    /**
+     * Retrieves the media path of a derivative, generating and storing it
+     * first when it does not already exist.  Concurrent requests for the same
+     * derivative wait on the first instead of generating it again.
+     * @method getDerivative
+     * @param {String} mediaPath The path to the original
+     * @param {Object} options See parseOptions
+     * @param {Function} cb (Error, String) Provides the path to the derivative
+     */
+    ImageDerivativeService.prototype.getDerivative = function(mediaPath, options, cb) {
+        var derivativePath = ImageDerivativeService.getDerivativePath(mediaPath, options);
+        if (PENDING[derivativePath]) {
+            return PENDING[derivativePath].push(cb);
+        }
+        PENDING[derivativePath] = [cb];
+
+        this.generate(mediaPath, derivativePath, options, function(err) {
+            var callbacks = PENDING[derivativePath];
+            delete PENDING[derivativePath];
+
+            callbacks.forEach(function(callback) {
+                callback(err, err ? undefined : derivativePath);
+            });
+        });
+    };
+
+    /**
+     * Generates and stores a derivative when it does not already exist
+     * @method generate
+     * @param {String} mediaPath The path to the original
+     * @param {String} derivativePath The path to store the derivative at
+     * @param {Object} options See parseOptions
+     * @param {Function} cb (Error)
+     */
+    ImageDerivativeService.prototype.generate = function(mediaPath, derivativePath, options, cb) {
+        var self = this;
+        this.mediaService.existsByPath(derivativePath, function(err, exists) {
+            if (util.isError(err) || exists) {
+                return cb(err || null);
+            }
+
+            self.mediaService.getContentByPath(mediaPath, function(err, content) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                ImageDerivativeService.transform(content, options, function(err, derivative) {
+                    if (util.isError(err)) {
+                        return cb(err);
+                    }
+
+                    pb.log.silly('ImageDerivativeService: Generated derivative %s', derivativePath);
+                    self.mediaService.setContentByPath(derivative, derivativePath, function(err) {
+                        cb(err || null);
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Removes every derivative of an original that may have been generated:
+     * one for each of the allowed sizes in each of the formats
+     * @method deleteDerivatives
+     * @param {String} mediaPath The path to the original
+     * @param {Function} cb (Error, Integer) Provides the number of derivatives
+     * removed
+     */
+    ImageDerivativeService.prototype.deleteDerivatives = function(mediaPath, cb) {
+        if (!ImageDerivativeService.isSupported(mediaPath)) {
+            return cb(null, 0);
+        }
+
+        var self = this;
+        this.getPresets(function(err, presets) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var paths = {};
+            ImageDerivativeService.getAllowedSizes(presets).forEach(function(size) {
+                Object.keys(ImageDerivativeService.FORMATS).forEach(function(format) {
+                    var options = {width: size.width, height: size.height, fit: size.fit, format: format};
+                    paths[ImageDerivativeService.getDerivativePath(mediaPath, options)] = true;
+                });
+            });
+
+            var tasks = util.getTasks(Object.keys(paths), function(derivativePaths, i) {
+                return function(callback) {
+                    self.mediaService.existsByPath(derivativePaths[i], function(err, exists) {
+                        if (util.isError(err) || !exists) {
+                            return callback(err, 0);
+                        }
+                        self.mediaService.deleteContentByPath(derivativePaths[i], function(err) {
+                            callback(err, 1);
+                        });
+                    });
+                };
+            });
+            async.series(tasks, function(err, results) {
+                cb(err, (results || []).reduce(function(count, removed) {
+                    return count + (removed || 0);
+                }, 0));
+            });
+        });
+    };
+
+    //exports
+    return ImageDerivativeService;
+};
@@ -0,0 +1,855 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var fs         = require('fs');
+var crypto     = require('crypto');
+var htmlparser = require('htmlparser2');
+
+module.exports = function MediaUploadServiceModule(pb) {
+
+    //pb dependencies
+    var util              = pb.util;
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * Inspects and stores uploaded media files.  Each file must pass the site's
+     * extension and MIME type allow/deny lists and the size limit for the
+     * uploader's role.  The type is determined from the content of the file
+     * ("sniffed") and must agree with the extension so that, for example, an
+     * HTML document can not be uploaded as a .jpg.  SVG images are sanitized
+     * and files with the same content as existing media can be detected.
+     * @class MediaUploadService
+     * @constructor
+     * @param {Object} context
+     * @param {String} context.site
+     * @param {MediaService} [context.mediaService]
+     */
+    function MediaUploadService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = pb.SiteService.getCurrentSite(context.site);
+
+        /**
+         * @property mediaService
+         * @type {MediaService}
+         */
+        this.mediaService = context.mediaService || new pb.MediaService(null, this.site, true);
+    }
+
+    /**
+     * The name of the site setting that holds the site's upload restrictions
+     * @static
+     * @readonly
+     * @property SETTINGS_KEY
+     * @type {String}
+     */
+    MediaUploadService.SETTINGS_KEY = 'media_upload_settings';
+
+    /**
+     * The settings that a site can override
+     * @static
+     * @readonly
+     * @property SITE_SETTINGS
+     * @type {Array}
+     */
+    MediaUploadService.SITE_SETTINGS = Object.freeze(['allowed_extensions', 'denied_extensions', 'allowed_mime_types', 'denied_mime_types', 'max_sizes']);
+
+    /**
+     * The actions that can be taken when an uploaded file has the same content
+     * as existing media.  "reuse" does not store the file and provides the
+     * existing media instead.  "upload" stores the file anyway.
+     * @static
+     * @readonly
+     * @property ON_DUPLICATE
+     * @type {Object}
+     */
+    MediaUploadService.ON_DUPLICATE = Object.freeze({
+        REUSE: 'reuse',
+        UPLOAD: 'upload'
+    });
+
+    /**
+     * The known file signatures.  Each provides the MIME type that the content
+     * represents and the extensions that content of that type may be uploaded
+     * with.
+     * @private
+     * @static
+     * @property SIGNATURES
+     * @type {Array}
+     */
+    var SIGNATURES = [
+        {mime: 'image/jpeg', extensions: ['jpg', 'jpeg', 'jpe'], test: startsWith([0xFF, 0xD8, 0xFF])},
+        {mime: 'image/png', extensions: ['png'], test: startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])},
+        {mime: 'image/gif', extensions: ['gif'], test: any(startsWith('GIF87a'), startsWith('GIF89a'))},
+        {mime: 'image/bmp', extensions: ['bmp'], test: startsWith('BM')},
+        {mime: 'image/webp', extensions: ['webp'], test: all(startsWith('RIFF'), startsWith('WEBP', 8))},
+        {mime: 'image/tiff', extensions: ['tif', 'tiff'], test: any(startsWith([0x49, 0x49, 0x2A, 0x00]), startsWith([0x4D, 0x4D, 0x00, 0x2A]))},
+        {mime: 'image/x-icon', extensions: ['ico', 'cur'], test: any(startsWith([0x00, 0x00, 0x01, 0x00]), startsWith([0x00, 0x00, 0x02, 0x00]))},
+        {mime: 'application/pdf', extensions: ['pdf'], test: startsWith('%PDF-')},
+        {mime: 'application/zip', extensions: ['zip', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub', 'jar'], test: startsWith([0x50, 0x4B, 0x03, 0x04])},
+        {mime: 'video/mp4', extensions: ['mp4', 'm4v', 'm4a', 'mov', '3gp'], test: startsWith('ftyp', 4)},
+        {mime: 'video/webm', extensions: ['webm', 'mkv'], test: startsWith([0x1A, 0x45, 0xDF, 0xA3])},
+        {mime: 'audio/ogg', extensions: ['ogg', 'oga', 'ogv'], test: startsWith('OggS')},
+        {mime: 'audio/mpeg', extensions: ['mp3'], test: any(startsWith('ID3'), startsWith([0xFF, 0xFB]), startsWith([0xFF, 0xF3]), startsWith([0xFF, 0xF2]))},
+        {mime: 'audio/wav', extensions: ['wav'], test: all(startsWith('RIFF'), startsWith('WAVE', 8))},
+        {mime: 'image/svg+xml', extensions: ['svg'], test: isSvg},
+        {mime: 'text/html', extensions: ['htm', 'html', 'xhtml', 'shtml'], test: isHtml}
+    ];
+
+    /**
+     * The MIME types of extensions that do not have a signature
+     * @private
+     * @static
+     * @property EXTENSION_MIME_TYPES
+     * @type {Object}
+     */
+    var EXTENSION_MIME_TYPES = Object.freeze({
+        txt: 'text/plain',
+        csv: 'text/csv',
+        json: 'application/json',
+        xml: 'application/xml',
+        rtf: 'application/rtf',
+        doc: 'application/msword',
+        xls: 'application/vnd.ms-excel',
+        ppt: 'application/vnd.ms-powerpoint',
+        js: 'application/javascript',
+        css: 'text/css'
+    });
+
+    /**
+     * The tags that identify content as HTML when found at the start of the
+     * content.  Based on the WHATWG MIME sniffing standard.
+     * @private
+     * @static
+     * @property HTML_TAGS
+     * @type {Array}
+     */
+    var HTML_TAGS = ['!doctype html', 'html', 'head', 'script', 'iframe', 'h1', 'div', 'font', 'table', 'a', 'style', 'title', 'b', 'body', 'br', 'p', '!--'];
+
+    /**
+     * The elements kept when an SVG image is sanitized.  Elements that run
+     * script, embed other documents, or can animate attributes to script URLs
+     * are left out.
+     * @private
+     * @static
+     * @readonly
+     * @property SVG_ELEMENTS
+     * @type {Object}
+     */
+    var SVG_ELEMENTS = Object.freeze(util.arrayToHash([
+        'svg', 'g', 'defs', 'desc', 'title', 'symbol', 'use', 'image', 'switch', 'a', 'view',
+        'style', 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text',
+        'tspan', 'textPath', 'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath',
+        'mask', 'marker', 'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer',
+        'feComposite', 'feConvolveMatrix', 'feDiffuseLighting', 'feDisplacementMap',
+        'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+        'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode', 'feMorphology', 'feOffset',
+        'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence',
+        'animateTransform', 'animateMotion', 'mpath'
+    ]));
+
+    /**
+     * The attributes kept when an SVG image is sanitized.  Event handlers are
+     * never included.
+     * @private
+     * @static
+     * @readonly
+     * @property SVG_ATTRIBUTES
+     * @type {Object}
+     */
+    var SVG_ATTRIBUTES = Object.freeze(util.arrayToHash([
+        'id', 'class', 'style', 'lang', 'xml:lang', 'xml:space', 'xmlns', 'xmlns:xlink', 'version',
+        'baseProfile', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy',
+        'fr', 'dx', 'dy', 'd', 'points', 'width', 'height', 'viewBox', 'preserveAspectRatio',
+        'transform', 'pathLength', 'href', 'xlink:href', 'xlink:title', 'target', 'fill',
+        'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap',
+        'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset', 'opacity',
+        'color', 'display', 'visibility', 'overflow', 'clip-path', 'clip-rule', 'clipPathUnits',
+        'mask', 'maskUnits', 'maskContentUnits', 'filter', 'filterUnits', 'primitiveUnits',
+        'marker-start', 'marker-mid', 'marker-end', 'markerWidth', 'markerHeight', 'markerUnits',
+        'refX', 'refY', 'orient', 'gradientUnits', 'gradientTransform', 'spreadMethod', 'offset',
+        'stop-color', 'stop-opacity', 'patternUnits', 'patternContentUnits', 'patternTransform',
+        'font-family', 'font-size', 'font-weight', 'font-style', 'font-variant', 'font-stretch',
+        'text-anchor', 'dominant-baseline', 'alignment-baseline', 'baseline-shift',
+        'letter-spacing', 'word-spacing', 'text-decoration', 'writing-mode', 'rotate', 'textLength',
+        'lengthAdjust', 'startOffset', 'method', 'spacing', 'side', 'in', 'in2', 'result',
+        'stdDeviation', 'mode', 'type', 'values', 'operator', 'k1', 'k2', 'k3', 'k4', 'order',
+        'kernelMatrix', 'divisor', 'bias', 'targetX', 'targetY', 'edgeMode', 'kernelUnitLength',
+        'preserveAlpha', 'surfaceScale', 'diffuseConstant', 'specularConstant', 'specularExponent',
+        'scale', 'xChannelSelector', 'yChannelSelector', 'flood-color', 'flood-opacity',
+        'lighting-color', 'azimuth', 'elevation', 'pointsAtX', 'pointsAtY', 'pointsAtZ',
+        'limitingConeAngle', 'z', 'radius', 'baseFrequency', 'numOctaves', 'seed', 'stitchTiles',
+        'tableValues', 'slope', 'intercept', 'amplitude', 'exponent', 'color-interpolation',
+        'color-interpolation-filters', 'color-rendering', 'shape-rendering', 'image-rendering',
+        'text-rendering', 'vector-effect', 'mix-blend-mode', 'isolation', 'paint-order',
+        'requiredFeatures', 'requiredExtensions', 'systemLanguage', 'attributeType', 'from', 'to',
+        'by', 'dur', 'begin', 'end', 'repeatCount', 'repeatDur', 'restart', 'additive',
+        'accumulate', 'calcMode', 'keyTimes', 'keySplines', 'keyPoints', 'path'
+    ]));
+
+    /**
+     * The attributes of an SVG image whose values are URLs
+     * @private
+     * @static
+     * @readonly
+     * @property SVG_URL_ATTRIBUTES
+     * @type {Array}
+     */
+    var SVG_URL_ATTRIBUTES = ['href', 'xlink:href'];
+
+    /**
+     * The characters represented by the entities that XML predefines
+     * @private
+     * @static
+     * @readonly
+     * @property XML_ENTITIES
+     * @type {Object}
+     */
+    var XML_ENTITIES = Object.freeze({
+        amp: '&',
+        lt: '<',
+        gt: '>',
+        quot: '"',
+        apos: "'"
+    });
+
+    /**
+     * Retrieves the upload settings for the site.  The site's settings take
+     * precedence over the "media.uploads" configuration.
+     * @method getSettings
+     * @param {Function} cb (Error, Object)
+     */
+    MediaUploadService.prototype.getSettings = function(cb) {
+        var settings = pb.SettingServiceFactory.getServiceBySite(this.site);
+        settings.get(MediaUploadService.SETTINGS_KEY, function(err, result) {
+            var merged = util.clone(pb.config.media.uploads);
+            if (util.isObject(result)) {
+                MediaUploadService.SITE_SETTINGS.forEach(function(key) {
+                    if (!util.isNullOrUndefined(result[key])) {
+                        merged[key] = result[key];
+                    }
+                });
+            }
+            cb(err, merged);
+        });
+    };
+
+    /**
+     * Persists the site's upload settings
+     * @method saveSettings
+     * @param {Object} dto
+     * @param {Array|String} [dto.allowed_extensions] An array or comma separated list
+     * @param {Array|String} [dto.denied_extensions] An array or comma separated list
+     * @param {Array|String} [dto.allowed_mime_types] An array or comma separated list
+     * @param {Array|String} [dto.denied_mime_types] An array or comma separated list
+     * @param {Object} [dto.max_sizes] The maximum size, in bytes, keyed by role name
+     * @param {Function} cb (Error, Object)
+     */
+    MediaUploadService.prototype.saveSettings = function(dto, cb) {
+        if (!util.isObject(dto)) {
+            dto = {};
+        }
+
+        var errors = [];
+        var settings = {
+            allowed_extensions: MediaUploadService.normalizeList(dto.allowed_extensions, true),
+            denied_extensions: MediaUploadService.normalizeList(dto.denied_extensions, true),
+            allowed_mime_types: MediaUploadService.normalizeList(dto.allowed_mime_types),
+            denied_mime_types: MediaUploadService.normalizeList(dto.denied_mime_types),
+            max_sizes: {}
+        };
+        settings.allowed_mime_types.concat(settings.denied_mime_types).forEach(function(mime) {
+            if (!/^[a-z0-9!#$&^_.+-]+\/([a-z0-9!#$&^_.+-]+)?$/.test(mime)) {
+                errors.push(BaseObjectService.validationFailure('mime_types', util.format('%s is not a valid MIME type', mime)));
+            }
+        });
+
+        var sizes = util.isObject(dto.max_sizes) ? dto.max_sizes : {};
+        Object.keys(sizes).forEach(function(role) {
+            var size = sizes[role];
+            if (size === '' || util.isNullOrUndefined(size)) {
+                return;
+            }
+            else if (util.isNullOrUndefined(pb.SecurityService[role]) || !pb.validation.isInt(size, true, true) || parseInt(size) <= 0) {
+                return errors.push(BaseObjectService.validationFailure('max_sizes.' + role, 'The maximum size must be a positive number of bytes'));
+            }
+            settings.max_sizes[role] = parseInt(size);
+        });
+        if (errors.length > 0) {
+            return cb(BaseObjectService.validationError(errors));
+        }
+
+        var service = pb.SettingServiceFactory.getServiceBySite(this.site, true);
+        service.set(MediaUploadService.SETTINGS_KEY, settings, function(err) {
+            cb(err, settings);
+        });
+    };
+
+    /**
+     * Inspects a single uploaded file and, when it is acceptable, stores it.
+     * When the site already has media with the same content the file is not
+     * stored unless the "onDuplicate" option is "upload".
+     * @method upload
+     * @param {Object} file
+     * @param {String} file.name The name of the file provided by the client
+     * @param {String} file.path The location of the temporary file
+     * @param {Object} options
+     * @param {Object} options.settings The settings from MediaUploadService#getSettings
+     * @param {Integer} options.accessLevel The access level of the uploader
+     * @param {String} [options.onDuplicate="reuse"]
+     * @param {Function} cb (Error, Object) Provides the result: "name", "mime",
+     * "size", "content_hash", "filename" (the media path, when stored), and
+     * "duplicate" (the existing media, if any).  The error carries an HTTP
+     * status as its "code".
+     */
+    MediaUploadService.prototype.upload = function(file, options, cb) {
+        var self = this;
+
+        this.inspect(file, options, function(err, result) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var content = result.content;
+            delete result.content;
+            if (result.duplicate && options.onDuplicate !== MediaUploadService.ON_DUPLICATE.UPLOAD) {
+                return cb(null, result);
+            }
+
+            self.mediaService.setContent(content, file.name, function(err, sresult) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                result.filename = sresult.mediaPath;
+                cb(null, result);
+            });
+        });
+    };
+
+    /**
+     * Reads an uploaded file and verifies that it is acceptable
+     * @method inspect
+     * @param {Object} file
+     * @param {String} file.name
+     * @param {String} file.path
+     * @param {Object} options See MediaUploadService#upload
+     * @param {Function} cb (Error, Object) The result also provides the
+     * "content" to store, which may have been sanitized
+     */
+    MediaUploadService.prototype.inspect = function(file, options, cb) {
+        var self = this;
+        var settings = options.settings;
+
+        fs.readFile(file.path, function(err, content) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var maxSize = MediaUploadService.getMaxSize(settings, options.accessLevel);
+            if (content.length > maxSize) {
+                return cb(MediaUploadService.error(413, util.format('%s is larger than the allowed limit of %d bytes', file.name, maxSize)));
+            }
+
+            var type = MediaUploadService.getType(file.name, content, settings);
+            if (util.isError(type)) {
+                return cb(type);
+            }
+            if (type.mime === 'image/svg+xml' && settings.sanitize_svg) {
+                var svg = MediaUploadService.sanitizeSvg(content);
+                if (svg.length === 0) {
+                    return cb(MediaUploadService.error(415, util.format('The content of %s is not a valid SVG image', file.name)));
+                }
+                content = new Buffer(svg);
+            }
+
+            var result = {
+                name: file.name,
+                mime: type.mime,
+                size: content.length,
+                content_hash: MediaUploadService.hash(content),
+                content: content
+            };
+            if (!settings.detect_duplicates) {
+                return cb(null, result);
+            }
+
+            self.mediaService.findByContentHash(result.content_hash, function(err, media) {
+                if (media) {
+                    result.duplicate = {
+                        _id: media[pb.DAO.getIdField()],
+                        name: media.name,
+                        location: media.location,
+                        media_type: media.media_type,
+                        icon: media.icon
+                    };
+                }
+                cb(err, result);
+            });
+        });
+    };
+
+    /**
+     * Determines the type of a file from its name and content and verifies it
+     * against the settings
+     * @static
+     * @method getType
+     * @param {String} name The name of the file
+     * @param {Buffer} content
+     * @param {Object} settings
+     * @return {Object|Error} Provides the "extension" and "mime" of the file.
+     * An Error with the code 415 when the file is not acceptable.
+     */
+    MediaUploadService.getType = function(name, content, settings) {
+        var extension = util.getExtension(name, {lower: true, sep: '/'});
+        if (!extension) {
+            return MediaUploadService.error(415, util.format('%s does not have an extension', name));
+        }
+        if (!MediaUploadService.isAllowed(extension, settings.allowed_extensions, settings.denied_extensions)) {
+            return MediaUploadService.error(415, util.format('Files with the extension .%s are not allowed', extension));
+        }
+
+        //the content must agree with the extension
+        var detected = MediaUploadService.sniff(content);
+        if (detected && detected.extensions.indexOf(extension) < 0) {
+            return MediaUploadService.error(415, util.format('The content of %s is %s which does not match its extension', name, detected.mime));
+        }
+        if (!detected && MediaUploadService.getSignature(extension)) {
+            return MediaUploadService.error(415, util.format('The content of %s is not a valid .%s file', name, extension));
+        }
+
+        var mime = detected ? detected.mime : (EXTENSION_MIME_TYPES[extension] || 'application/octet-stream');
+        if (!MediaUploadService.isAllowed(mime, settings.allowed_mime_types, settings.denied_mime_types)) {
+            return MediaUploadService.error(415, util.format('Files of type %s are not allowed', mime));
+        }
+        return {
+            extension: extension,
+            mime: mime
+        };
+    };
+
+    /**
+     * Determines the type of content from its leading bytes
+     * @static
+     * @method sniff
+     * @param {Buffer} content
+     * @return {Object} The matching signature, providing the "mime" and the
+     * "extensions" it may be uploaded with, or NULL when unknown
+     */
+    MediaUploadService.sniff = function(content) {
+        for (var i = 0; i < SIGNATURES.length; i++) {
+            if (SIGNATURES[i].test(content)) {
+                return SIGNATURES[i];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * @static
+     * @method getSignature
+     * @param {String} extension
+     * @return {Object} The signature that files with the extension must match
+     * or NULL when the extension does not have one
+     */
+    MediaUploadService.getSignature = function(extension) {
+        for (var i = 0; i < SIGNATURES.length; i++) {
+            if (SIGNATURES[i].extensions.indexOf(extension) >= 0) {
+                return SIGNATURES[i];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Checks a value against allow and deny lists.  An empty allow list allows
+     * anything that is not denied.  MIME types in the lists may end with a
+     * slash to match all subtypes (e.g. "video/").
+     * @static
+     * @method isAllowed
+     * @param {String} value
+     * @param {Array} [allowed]
+     * @param {Array} [denied]
+     * @return {Boolean}
+     */
+    MediaUploadService.isAllowed = function(value, allowed, denied) {
+        var matches = function(item) {
+            return item === value || (item.charAt(item.length - 1) === '/' && value.indexOf(item) === 0);
+        };
+        if (util.isArray(denied) && denied.some(matches)) {
+            return false;
+        }
+        return !util.isArray(allowed) || allowed.length === 0 || allowed.some(matches);
+    };
+
+    /**
+     * Determines the maximum size of a file that can be uploaded by a user
+     * @static
+     * @method getMaxSize
+     * @param {Object} settings
+     * @param {Integer} accessLevel
+     * @return {Integer} The size in bytes
+     */
+    MediaUploadService.getMaxSize = function(settings, accessLevel) {
+        var role = pb.SecurityService.getRoleName(accessLevel);
+        var size = util.isObject(settings.max_sizes) ? settings.max_sizes[role] : null;
+        return util.isNumber(size) && size > 0 ? size : pb.config.media.max_upload_size;
+    };
+
+    /**
+     * Rebuilds an SVG image from the elements and attributes that are known to
+     * be safe.  The document is parsed and only the allowed elements, with
+     * their allowed attributes, are written back out.  Everything else, such
+     * as scripts, event handlers, embedded documents, entity declarations,
+     * comments, and processing instructions, is dropped along with the content
+     * of any element that is not allowed.  Names are never copied from the
+     * input and all text and attribute values are escaped so that malformed
+     * markup can not be reassembled into a tag.  URLs that would execute
+     * script and CSS that would load other documents are removed.
+     * @static
+     * @method sanitizeSvg
+     * @param {String|Buffer} content
+     * @return {String} The sanitized image.  Empty when the content does not
+     * have an "svg" root element.
+     */
+    MediaUploadService.sanitizeSvg = function(content) {
+        var result   = '';
+        var stack    = [];
+        var skipping = 0;
+        var started  = false;
+        var open     = false;
+
+        //completes the start tag of the current element once it has content
+        var closeStartTag = function() {
+            if (open) {
+                result += '>';
+                open = false;
+            }
+        };
+
+        var parser = new htmlparser.Parser({
+            onopentag: function(name, attribs) {
+                var isRoot  = stack.length === 0;
+                var allowed = skipping === 0 && SVG_ELEMENTS.hasOwnProperty(name) && (isRoot ? !started && name === 'svg' : true);
+                stack.push({name: name, allowed: allowed});
+                if (isRoot) {
+                    started = true;
+                }
+                if (!allowed) {
+                    skipping++;
+                    return;
+                }
+
+                closeStartTag();
+                result += '<' + name;
+                Object.keys(attribs).forEach(function(attr) {
+                    var value = sanitizeSvgAttribute(attr, decodeXml(attribs[attr]));
+                    if (value !== null) {
+                        result += ' ' + attr + '="' + escapeXml(value) + '"';
+                    }
+                });
+                open = true;
+            },
+            ontext: function(text) {
+                if (skipping > 0 || stack.length === 0) {
+                    return;
+                }
+                closeStartTag();
+                text = decodeXml(text);
+                result += escapeXml(stack[stack.length - 1].name === 'style' ? sanitizeCss(text) : text);
+            },
+            onclosetag: function(name) {
+                var element = stack.pop();
+                if (!element.allowed) {
+                    skipping--;
+                }
+                else if (open) {
+                    result += '/>';
+                    open = false;
+                }
+                else {
+                    result += '</' + element.name + '>';
+                }
+            }
+        }, {xmlMode: true});
+        parser.write(content.toString());
+        parser.end();
+        return result;
+    };
+
+    /**
+     * @static
+     * @method hash
+     * @param {Buffer} content
+     * @return {String} The hex encoded SHA256 hash of the content
+     */
+    MediaUploadService.hash = function(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    };
+
+    /**
+     * Converts a comma separated list or array into a lower case array without
+     * empty items
+     * @static
+     * @method normalizeList
+     * @param {Array|String} value
+     * @param {Boolean} [isExtension=false] When TRUE leading dots are removed
+     * @return {Array}
+     */
+    MediaUploadService.normalizeList = function(value, isExtension) {
+        if (util.isString(value)) {
+            value = value.split(',');
+        }
+        if (!util.isArray(value)) {
+            return [];
+        }
+        return value.map(function(item) {
+            item = (item + '').trim().toLowerCase();
+            return isExtension ? item.replace(/^\.+/, '') : item;
+        })
+        .filter(function(item) {
+            return item.length > 0;
+        });
+    };
+
+    /**
+     * @static
+     * @method error
+     * @param {Integer} code The HTTP status
+     * @param {String} message
+     * @return {Error}
+     */
+    MediaUploadService.error = function(code, message) {
+        var err = new Error(message);
+        err.code = code;
+        return err;
+    };
+
+    /**
+     * Creates a test for content that starts with the provided bytes or text
+     * @private
+     * @static
+     * @method startsWith
+     * @param {Array|String} bytes
+     * @param {Integer} [offset=0]
+     * @return {Function}
+     */
+    function startsWith(bytes, offset) {
+        var expected = new Buffer(bytes);
+        offset = offset || 0;
+        return function(content) {
+            if (content.length < offset + expected.length) {
+                return false;
+            }
+            for (var i = 0; i < expected.length; i++) {
+                if (content[offset + i] !== expected[i]) {
+                    return false;
+                }
+            }
+            return true;
+        };
+    }
+
+    /**
+     * @private
+     * @static
+     * @method any
+     * @return {Function} A test that passes when any of the provided tests pass
+     */
+    function any(/*tests...*/) {
+        var tests = Array.prototype.slice.call(arguments);
+        return function(content) {
+            return tests.some(function(test) {
+                return test(content);
+            });
+        };
+    }
+
+    /**
+     * @private
+     * @static
+     * @method all
+     * @return {Function} A test that passes when all of the provided tests pass
+     */
+    function all(/*tests...*/) {
+        var tests = Array.prototype.slice.call(arguments);
+        return function(content) {
+            return tests.every(function(test) {
+                return test(content);
+            });
+        };
+    }
+
+    /**
+     * @private
+     * @static
+     * @method getLeadingText
+     * @param {Buffer} content
+     * @return {String} The start of the content, without leading whitespace
+     * (which includes a byte order mark), in lower case
+     */
+    function getLeadingText(content) {
+        return content.slice(0, 1024).toString().replace(/^\s+/, '').toLowerCase();
+    }
+
+    /**
+     * @private
+     * @static
+     * @method isSvg
+     * @param {Buffer} content
+     * @return {Boolean}
+     */
+    function isSvg(content) {
+        var text = getLeadingText(content);
+        return /^(<\?xml|<!--|<!doctype svg|<svg)/.test(text) && text.indexOf('<svg') >= 0;
+    }
+
+    /**
+     * @private
+     * @static
+     * @method isHtml
+     * @param {Buffer} content
+     * @return {Boolean}
+     */
+    function isHtml(content) {
+        var text = getLeadingText(content);
+        return HTML_TAGS.some(function(tag) {
+            var next = text.charAt(tag.length + 1);
+            return text.indexOf('<' + tag) === 0 && (next === ' ' || next === '>' || (tag === '!--' && next !== ''));
+        });
+    }
+
+    /**
+     * @private
+     * @static
+     * @method isSafeUrl
+     * @param {String} value An attribute value, possibly quoted
+     * @return {Boolean} FALSE when the URL would execute script or load a
+     * document that is not an image
+     */
+    function isSafeUrl(value) {
+        var url = value.replace(/^["']|["']$/g, '')
+            .replace(/&#x([0-9a-f]+);?/gi, function(match, hex) {
+                return String.fromCharCode(parseInt(hex, 16));
+            })
+            .replace(/&#(\d+);?/g, function(match, dec) {
+                return String.fromCharCode(parseInt(dec, 10));
+            })
+            .replace(/[\s\u0000-\u001F]+/g, '')
+            .toLowerCase();
+        if (/^(javascript|vbscript):/.test(url)) {
+            return false;
+        }
+        return url.indexOf('data:') !== 0 || /^data:image\/(png|jpe?g|gif|webp)[;,]/.test(url);
+    }
+
+    /**
+     * Determines the value to keep for an attribute of an SVG element
+     * @private
+     * @static
+     * @method sanitizeSvgAttribute
+     * @param {String} name
+     * @param {String} value The decoded value
+     * @return {String} The value or NULL when the attribute should be dropped
+     */
+    function sanitizeSvgAttribute(name, value) {
+        if (!SVG_ATTRIBUTES.hasOwnProperty(name)) {
+            return null;
+        }
+        else if (SVG_URL_ATTRIBUTES.indexOf(name) >= 0) {
+            return isSafeUrl(value) ? value : null;
+        }
+        return sanitizeCss(value);
+    }
+
+    /**
+     * Removes the parts of a style sheet, style attribute, or presentation
+     * attribute that could load another document or run script: imports,
+     * bindings, expressions, and URLs that do not refer to the image itself or
+     * to an embedded image.
+     * @private
+     * @static
+     * @method sanitizeCss
+     * @param {String} css The decoded value
+     * @return {String}
+     */
+    function sanitizeCss(css) {
+        var decoded = css.replace(/\\([0-9a-f]{1,6})\s?/gi, function(match, hex) {
+            return fromCodePoint(parseInt(hex, 16));
+        }).replace(/\\(.)/g, '$1');
+        if (/@import|expression\s*\(|-moz-binding|behavior\s*:|javascript:/i.test(decoded)) {
+            return '';
+        }
+        return css.replace(/url\s*\(\s*(["']?)([^"')]*)\1\s*\)/gi, function(match, quote, url) {
+            url = url.trim();
+            return url.charAt(0) === '#' || (url.indexOf('data:') === 0 && isSafeUrl(url)) ? match : 'none';
+        });
+    }
+
+    /**
+     * Replaces the predefined and numeric XML entities with the characters
+     * they represent.  Other entities can only be defined by a DOCTYPE, which
+     * is never kept, so they are left as text.
+     * @private
+     * @static
+     * @method decodeXml
+     * @param {String} value
+     * @return {String}
+     */
+    function decodeXml(value) {
+        return value.replace(/&(#x[0-9a-f]+|#[0-9]+|amp|lt|gt|quot|apos);/gi, function(match, entity) {
+            if (entity.charAt(0) === '#') {
+                var hex = entity.charAt(1).toLowerCase() === 'x';
+                return fromCodePoint(parseInt(entity.substring(hex ? 2 : 1), hex ? 16 : 10));
+            }
+            return XML_ENTITIES[entity.toLowerCase()];
+        });
+    }
+
+    /**
+     * @private
+     * @static
+     * @method escapeXml
+     * @param {String} value
+     * @return {String} The value escaped for use as text or a double quoted
+     * attribute value
+     */
+    function escapeXml(value) {
+        return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * @private
+     * @static
+     * @method fromCodePoint
+     * @param {Integer} code
+     * @return {String} The character or the replacement character when the
+     * code point is not valid
+     */
+    function fromCodePoint(code) {
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '\uFFFD';
+    }
+
+    //exports
+    return MediaUploadService;
+};
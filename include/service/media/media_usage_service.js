@@ -0,0 +1,519 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var util  = require('../../util.js');
+var async = require('async');
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var DAO               = pb.DAO;
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * Maintains and queries the "where used" index for media.  Each article and
+     * page that references media, either by embedding a media flag in its
+     * layout or by attaching the media, is recorded as a single entry in the
+     * usage collection that lists the IDs of the media it references.  The
+     * index is kept current by listening to the AFTER_SAVE and AFTER_DELETE
+     * events of the BaseObjectService and is built at startup for sites that
+     * do not have one yet.
+     * @class MediaUsageService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site] The site UID
+     */
+    function MediaUsageService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = pb.SiteService.getCurrentSite(context.site);
+
+        /**
+         * @property dao
+         * @type {SiteQueryService}
+         */
+        this.dao = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
+    }
+
+    /**
+     * The collection that stores the usage index
+     * @static
+     * @readonly
+     * @property COLLECTION
+     * @type {String}
+     */
+    MediaUsageService.COLLECTION = 'media_usage';
+
+    /**
+     * The name of the lock that ensures only one process in the cluster builds
+     * missing indices at a time
+     * @private
+     * @static
+     * @readonly
+     * @property BUILD_LOCK_NAME
+     * @type {String}
+     */
+    var BUILD_LOCK_NAME = 'media_usage_build';
+
+    /**
+     * The number of seconds that the build lock is held for
+     * @private
+     * @static
+     * @readonly
+     * @property BUILD_LOCK_TIMEOUT
+     * @type {Integer}
+     */
+    var BUILD_LOCK_TIMEOUT = 600;
+
+    /**
+     * Describes where media is referenced for each supported content type
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE_DESCRIPTORS
+     * @type {Object}
+     */
+    var TYPE_DESCRIPTORS = Object.freeze({
+        article: {
+            layout: 'article_layout',
+            media: 'article_media',
+            adminPath: '/admin/content/articles/'
+        },
+        page: {
+            layout: 'page_layout',
+            media: 'page_media',
+            adminPath: '/admin/content/pages/'
+        }
+    });
+
+    /**
+     * Retrieves the content types that are scanned for media references
+     * @static
+     * @method getSupportedTypes
+     * @return {Array}
+     */
+    MediaUsageService.getSupportedTypes = function() {
+        return Object.keys(TYPE_DESCRIPTORS);
+    };
+
+    /**
+     * Determines if the specified content type is scanned for media references
+     * @static
+     * @method isSupportedType
+     * @param {String} type
+     * @return {Boolean}
+     */
+    MediaUsageService.isSupportedType = function(type) {
+        return util.isString(type) && TYPE_DESCRIPTORS.hasOwnProperty(type);
+    };
+
+    /**
+     * Retrieves the content that references the specified media
+     * @method getUsage
+     * @param {String} mediaId
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and an array of usages ordered by headline.  Each usage
+     * provides the "object_type", "object_id", "headline", "url", and the
+     * "admin_link" of the content along with whether the media is "embedded"
+     * in the layout and/or "attached" to the content.
+     */
+    MediaUsageService.prototype.getUsage = function(mediaId, cb) {
+        var opts = {
+            where: {
+                media: mediaId + ''
+            },
+            order: {headline: pb.DAO.ASC}
+        };
+        this.dao.q(MediaUsageService.COLLECTION, opts, function(err, entries) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, entries.map(function(entry) {
+                return MediaUsageService.formatUsage(entry, mediaId);
+            }));
+        });
+    };
+
+    /**
+     * Counts the number of articles and pages that reference each of the
+     * specified media
+     * @method countUsage
+     * @param {Array} mediaIds
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and an object where the keys are the media IDs and the values
+     * are the number of content objects that reference the media
+     */
+    MediaUsageService.prototype.countUsage = function(mediaIds, cb) {
+        var counts = {};
+        if (!util.isArray(mediaIds) || mediaIds.length === 0) {
+            return cb(null, counts);
+        }
+
+        mediaIds = mediaIds.map(function(mediaId) {
+            counts[mediaId + ''] = 0;
+            return mediaId + '';
+        });
+        var opts = {
+            select: {media: 1},
+            where: {
+                media: {$in: mediaIds}
+            }
+        };
+        this.dao.q(MediaUsageService.COLLECTION, opts, function(err, entries) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            entries.forEach(function(entry) {
+                entry.media.forEach(function(mediaId) {
+                    if (counts.hasOwnProperty(mediaId)) {
+                        counts[mediaId]++;
+                    }
+                });
+            });
+            cb(null, counts);
+        });
+    };
+
+    /**
+     * Adds or replaces the index entry for the provided content object.  The
+     * entry is removed when the content no longer references any media.
+     * @method index
+     * @param {String} type The content type (article, page)
+     * @param {Object} content The persisted content object
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and the entry that was indexed
+     */
+    MediaUsageService.prototype.index = function(type, content, cb) {
+        if (!MediaUsageService.isSupportedType(type)) {
+            return cb(new Error('The type '+type+' cannot be indexed for media usage'));
+        }
+        if (!util.isObject(content) || util.isNullOrUndefined(content[DAO.getIdField()])) {
+            return cb(new Error('The content parameter must be a persisted object'));
+        }
+
+        var entry = MediaUsageService.buildEntry(type, content);
+        if (entry.media.length === 0) {
+            return this.remove(type, entry.object_id, function(err) {
+                cb(err, entry);
+            });
+        }
+
+        entry.site = this.site;
+        var where = {
+            object_type: type,
+            object_id: entry.object_id
+        };
+        this.dao.updateFields(MediaUsageService.COLLECTION, where, {$set: entry}, {upsert: true}, function(err) {
+            cb(err, entry);
+        });
+    };
+
+    /**
+     * Removes the index entry for the specified content
+     * @method remove
+     * @param {String} type The content type
+     * @param {String} id The content ID
+     * @param {Function} cb
+     */
+    MediaUsageService.prototype.remove = function(type, id, cb) {
+        var where = {
+            object_type: type,
+            object_id: id + ''
+        };
+        this.dao.delete(where, MediaUsageService.COLLECTION, cb);
+    };
+
+    /**
+     * Drops all index entries for the site and scans every article and page
+     * that belongs to it.  Used to build the index for content that was
+     * created before media usage was tracked.
+     * @method rebuild
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and the number of content objects scanned
+     */
+    MediaUsageService.prototype.rebuild = function(cb) {
+        var self  = this;
+        var count = 0;
+
+        var where = {};
+        where[pb.SiteService.SITE_FIELD] = this.site;
+        this.dao.delete(where, MediaUsageService.COLLECTION, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            async.eachSeries(MediaUsageService.getSupportedTypes(), function(type, typeCallback) {
+                var descriptor = TYPE_DESCRIPTORS[type];
+                var opts = {
+                    select: {headline: 1, url: 1}
+                };
+                opts.select[descriptor.layout] = 1;
+                opts.select[descriptor.media] = 1;
+                opts.select[pb.ContentTranslationService.PROPERTY] = 1;
+                self.dao.q(type, opts, function(err, contentArray) {
+                    if (util.isError(err)) {
+                        return typeCallback(err);
+                    }
+
+                    async.eachSeries(contentArray, function(content, contentCallback) {
+                        count++;
+                        self.index(type, content, contentCallback);
+                    }, typeCallback);
+                });
+            }, function(err) {
+                cb(err || null, count);
+            });
+        });
+    };
+
+    /**
+     * Determines if the site has any entries in the usage index
+     * @method hasIndex
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and TRUE when at least one entry exists
+     */
+    MediaUsageService.prototype.hasIndex = function(cb) {
+        this.dao.count(MediaUsageService.COLLECTION, {}, function(err, count) {
+            cb(err, count > 0);
+        });
+    };
+
+    /**
+     * Rebuilds the index of each site that does not have any entries so that
+     * content created before media usage was tracked is accounted for.  Only
+     * one process in the cluster builds at a time.
+     * @static
+     * @method buildMissing
+     * @param {Function} cb A callback that takes two parameters: an error, if
+     * occurred, and the UIDs of the sites whose index was built
+     */
+    MediaUsageService.buildMissing = function(cb) {
+        var lockService = new pb.LockService();
+        lockService.acquire(BUILD_LOCK_NAME, {timeout: BUILD_LOCK_TIMEOUT}, function(err, acquired) {
+            if (util.isError(err) || !acquired) {
+                return cb(err, []);
+            }
+
+            var built = [];
+            var siteService = new pb.SiteService();
+            siteService.getAllSites(function(err, sites) {
+                if (util.isError(err)) {
+                    return lockService.release(BUILD_LOCK_NAME, function() {
+                        cb(err, built);
+                    });
+                }
+
+                var uids = [pb.SiteService.GLOBAL_SITE].concat(sites.map(function(site) {
+                    return site.uid;
+                }));
+                async.eachSeries(uids, function(site, callback) {
+                    var service = new MediaUsageService({site: site});
+                    service.hasIndex(function(err, exists) {
+                        if (util.isError(err) || exists) {
+                            return callback(err);
+                        }
+
+                        service.rebuild(function(err, count) {
+                            if (!util.isError(err)) {
+                                pb.log.info('MediaUsageService: Built the media usage index of site %s from %d articles and pages', site, count);
+                                built.push(site);
+                            }
+                            callback(err);
+                        });
+                    });
+                }, function(err) {
+                    lockService.release(BUILD_LOCK_NAME, function(releaseErr) {
+                        cb(err || releaseErr || null, built);
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Builds the missing indices in the background.  Should only be called
+     * once at startup.
+     * @static
+     * @method init
+     * @param {Function} cb
+     */
+    MediaUsageService.init = function(cb) {
+        MediaUsageService.buildMissing(function(err) {
+            if (util.isError(err)) {
+                pb.log.error('MediaUsageService: Failed to build the missing media usage indices. %s', err.stack);
+            }
+        });
+        cb(null, true);
+    };
+
+    /**
+     * Builds the index entry for a content object.  The "media" property lists
+     * every referenced media ID so that a single indexed field can be queried.
+     * @static
+     * @method buildEntry
+     * @param {String} type
+     * @param {Object} content
+     * @return {Object}
+     */
+    MediaUsageService.buildEntry = function(type, content) {
+        var descriptor = TYPE_DESCRIPTORS[type];
+        var attached   = MediaUsageService.getAttachedMedia(content[descriptor.media]);
+
+        //media embedded in a translated layout is in use too
+        var layouts  = [content[descriptor.layout]].concat(pb.ContentTranslationService.getValues(content, descriptor.layout));
+        var embedded = [];
+        layouts.forEach(function(layout) {
+            MediaUsageService.getEmbeddedMedia(layout).forEach(function(mediaId) {
+                if (embedded.indexOf(mediaId) < 0) {
+                    embedded.push(mediaId);
+                }
+            });
+        });
+        return {
+            object_type: type,
+            object_id: content[DAO.getIdField()] + '',
+            headline: content.headline || '',
+            url: content.url,
+            media: embedded.concat(attached.filter(function(mediaId) {
+                return embedded.indexOf(mediaId) < 0;
+            })),
+            embedded: embedded,
+            attached: attached
+        };
+    };
+
+    /**
+     * Extracts the IDs of the media whose flags are embedded in a layout
+     * @static
+     * @method getEmbeddedMedia
+     * @param {String} layout
+     * @return {Array} The distinct media IDs in the order they first appear
+     */
+    MediaUsageService.getEmbeddedMedia = function(layout) {
+        var ids = [];
+
+        var flag;
+        while ((flag = pb.MediaService.extractNextMediaFlag(layout)) !== null) {
+            if (flag.id && ids.indexOf(flag.id) < 0) {
+                ids.push(flag.id);
+            }
+            layout = layout.substring(flag.endIndex + 1);
+        }
+        return ids;
+    };
+
+    /**
+     * Converts the media attached to a content object into distinct IDs
+     * @static
+     * @method getAttachedMedia
+     * @param {Array} media
+     * @return {Array}
+     */
+    MediaUsageService.getAttachedMedia = function(media) {
+        if (!util.isArray(media)) {
+            return [];
+        }
+
+        var ids = [];
+        media.forEach(function(mediaId) {
+            if (!util.isNullOrUndefined(mediaId) && ids.indexOf(mediaId + '') < 0) {
+                ids.push(mediaId + '');
+            }
+        });
+        return ids;
+    };
+
+    /**
+     * Converts an index entry into a description of how the media is used
+     * @static
+     * @method formatUsage
+     * @param {Object} entry The usage index document
+     * @param {String} mediaId
+     * @return {Object}
+     */
+    MediaUsageService.formatUsage = function(entry, mediaId) {
+        var descriptor = TYPE_DESCRIPTORS[entry.object_type];
+        return {
+            object_type: entry.object_type,
+            object_id: entry.object_id,
+            headline: entry.headline,
+            url: entry.url,
+            admin_link: descriptor ? descriptor.adminPath + entry.object_id : null,
+            embedded: util.isArray(entry.embedded) && entry.embedded.indexOf(mediaId + '') >= 0,
+            attached: util.isArray(entry.attached) && entry.attached.indexOf(mediaId + '') >= 0
+        };
+    };
+
+    /**
+     * Updates the usage index when an article or page is saved
+     * @static
+     * @method onAfterSave
+     * @param {Object} context
+     * @param {Object} context.data The object that was persisted
+     * @param {ContentObjectService} context.service
+     * @param {Function} cb
+     */
+    MediaUsageService.onAfterSave = function(context, cb) {
+        var type    = context.service.getType();
+        var service = new MediaUsageService({site: context.service.site || context.site});
+        service.index(type, context.data, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('MediaUsageService: Failed to index the media used by %s %s. %s', type, context.data[DAO.getIdField()], err.stack);
+            }
+
+            //indexing failures should not fail the save
+            cb(null);
+        });
+    };
+
+    /**
+     * Removes the index entry when an article or page is deleted
+     * @static
+     * @method onAfterDelete
+     * @param {Object} context
+     * @param {Object} context.data The object that was deleted
+     * @param {ContentObjectService} context.service
+     * @param {Function} cb
+     */
+    MediaUsageService.onAfterDelete = function(context, cb) {
+        var type    = context.service.getType();
+        var service = new MediaUsageService({site: context.service.site || context.site});
+        service.remove(type, context.data[DAO.getIdField()], function(err) {
+            if (util.isError(err)) {
+                pb.log.error('MediaUsageService: Failed to remove %s %s from the media usage index. %s', type, context.data[DAO.getIdField()], err.stack);
+            }
+            cb(null);
+        });
+    };
+
+    //Event Registries
+    MediaUsageService.getSupportedTypes().forEach(function(type) {
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, MediaUsageService.onAfterSave);
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_DELETE, MediaUsageService.onAfterDelete);
+    });
+
+    //exports
+    return MediaUsageService;
+};
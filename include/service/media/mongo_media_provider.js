@@ -18,6 +18,7 @@
 //dependencies
 var MongoDB   = require('mongodb');
 var GridStore = MongoDB.GridStore;
+var Readable  = require('stream').Readable;
 var util      = require('../../util.js');
 
 module.exports = function MongoMediaProviderModule(pb) {
@@ -32,16 +33,23 @@ module.exports = function MongoMediaProviderModule(pb) {
     function MongoMediaProvider(/*context*/) {};
 
     /**
-     * Retrieves the item in GridFS as a stream. 
+     * Retrieves the item in GridFS as a stream.  When a range is requested the
+     * store seeks to the chunk that contains the first byte and only the bytes
+     * up to the end of the range are read.
      * @method getStream
      * @param {String} mediaPath The path/key to the media.  Typically this is a 
      * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
-     * @param {Object} [options] Options for interacting with S3
-     * @param {String} [options.bucket] The S3 bucket to interact with
+     * @param {Object} [options]
+     * @param {Integer} [options.start] The offset of the first byte to read
+     * @param {Integer} [options.end] The offset of the last byte to read (inclusive)
      * @param {Function} cb A callback that provides two parameters: An Error, if 
      * occurred and a ReadableStream that contains the media content.
      */
-    MongoMediaProvider.prototype.getStream = function(mediaPath, cb) {
+    MongoMediaProvider.prototype.getStream = function(mediaPath, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
 
         pb.dbm.getDb(pb.config.db.name, function(err, db) {
             if (util.isError(err)) {
@@ -54,11 +62,63 @@ module.exports = function MongoMediaProviderModule(pb) {
                     return cb(err);
                 }
 
-                cb(null, gs.stream(true));
+                if (!util.isNumber(options.start) && !util.isNumber(options.end)) {
+                    return cb(null, gs.stream(true));
+                }
+
+                var start = util.isNumber(options.start) ? options.start : 0;
+                var end   = util.isNumber(options.end) ? Math.min(options.end, gs.length - 1) : gs.length - 1;
+                gs.seek(start, function(err) {
+                    if (util.isError(err)) {
+                        return cb(err);
+                    }
+                    cb(null, MongoMediaProvider.getRangeStream(gs, end - start + 1));
+                });
             });
         });
     };
 
+    /**
+     * Creates a stream that reads the provided number of bytes from the
+     * current position of an open GridStore.  The store is closed once the
+     * bytes have been read.
+     * @static
+     * @method getRangeStream
+     * @param {GridStore} gs
+     * @param {Integer} length The number of bytes to read
+     * @return {ReadableStream}
+     */
+    MongoMediaProvider.getRangeStream = function(gs, length) {
+        var remaining = length;
+        var stream = new Readable();
+        stream._read = function() {
+            if (remaining <= 0) {
+                gs.close(function(err) {
+                    if (util.isError(err)) {
+                        pb.log.warn('MongoMediaProvider: Failed to close GridStore. %s', err.stack);
+                    }
+                });
+                return stream.push(null);
+            }
+
+            gs.read(Math.min(remaining, gs.chunkSize), function(err, data) {
+                if (util.isError(err)) {
+                    return stream.emit('error', err);
+                }
+                else if (!data || data.length === 0) {
+
+                    //the store was shorter than expected
+                    remaining = 0;
+                    return stream._read();
+                }
+
+                remaining -= data.length;
+                stream.push(data);
+            });
+        };
+        return stream;
+    };
+
     /**
      * Retrieves the content from GridFS as a String or Buffer.
      * @method get
@@ -213,7 +213,34 @@ module.exports = function ImageMediaRendererModule(pb) {
         }
 
         var embedUrl = ImageMediaRenderer.getEmbedUrl(media.location);
-        cb(null, BaseMediaRenderer.renderSingleElementEmbed('image', embedUrl, options.attrs, options.style));
+        var attrs = options.attrs;
+        var srcset = ImageMediaRenderer.getSrcset(media.location);
+        if (srcset) {
+            attrs = util.clone(attrs || {});
+            attrs.srcset = srcset;
+        }
+        cb(null, BaseMediaRenderer.renderSingleElementEmbed('image', embedUrl, attrs, options.style));
+    };
+
+    /**
+     * Builds the value of the "srcset" attribute that lists a derivative of an
+     * uploaded image for each of the configured widths
+     * @static
+     * @method getSrcset
+     * @param {String} mediaId The unique (only to the type) media identifier
+     * @return {String} The attribute value or NULL when derivatives are not
+     * available for the image
+     */
+    ImageMediaRenderer.getSrcset = function(mediaId) {
+        var derivatives = pb.config.media.derivatives;
+        if (!derivatives.enabled || !pb.ImageDerivativeService.isSupported(mediaId)) {
+            return null;
+        }
+
+        var embedUrl = ImageMediaRenderer.getEmbedUrl(mediaId);
+        return derivatives.srcset_widths.map(function(width) {
+            return embedUrl + '?width=' + width + ' ' + width + 'w';
+        }).join(', ');
     };
 
     /**
@@ -256,7 +283,8 @@ module.exports = function ImageMediaRendererModule(pb) {
     };
 
     /**
-     * Retrieves a URI to a thumbnail for the media resource
+     * Retrieves a URI to a thumbnail for the media resource.  Uploaded images
+     * use the "thumbnail" derivative preset.
      * @static
      * @method getThumbnail
      * @param {String} urlStr
@@ -265,6 +293,9 @@ module.exports = function ImageMediaRendererModule(pb) {
      * NULL if no thumbnail is available
      */
     ImageMediaRenderer.getThumbnail = function(urlStr, cb) {
+        if (pb.config.media.derivatives.enabled && pb.ImageDerivativeService.isSupported(urlStr)) {
+            return cb(null, urlStr + '?preset=thumbnail');
+        }
         cb(null, urlStr);
     };
 
@@ -0,0 +1,612 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var url         = require('url');
+var http        = require('http');
+var https       = require('https');
+var crypto      = require('crypto');
+var PassThrough = require('stream').PassThrough;
+var util        = require('../../util.js');
+
+module.exports = function S3MediaProviderModule(pb) {
+
+    /**
+     * A media provider that stores media as objects in a bucket of an
+     * S3-compatible object store (Amazon S3, MinIO, Ceph, etc).  Requests are
+     * signed with AWS Signature Version 4.  Each object is keyed by its media
+     * path beneath the configured prefix.
+     * @class S3MediaProvider
+     * @constructor
+     * @param {Object} context
+     * @param {String} context.site
+     * @param {Object} [context.s3] Overrides the options found in the
+     * "media.s3" configuration block
+     */
+    function S3MediaProvider(context) {
+
+        /**
+         * @property options
+         * @type {Object}
+         */
+        this.options = util.merge((context && context.s3) || {}, util.clone(pb.config.media.s3));
+        if (!pb.validation.isNonEmptyStr(this.options.bucket, true)) {
+            throw new Error('S3MediaProvider: A bucket must be provided in the "media.s3" configuration');
+        }
+    };
+
+    /**
+     * The algorithm used to sign requests
+     * @static
+     * @readonly
+     * @property ALGORITHM
+     * @type {String}
+     */
+    S3MediaProvider.ALGORITHM = 'AWS4-HMAC-SHA256';
+
+    /**
+     * The payload hash used when the content of a request is not signed, as is
+     * the case for pre-signed URLs
+     * @static
+     * @readonly
+     * @property UNSIGNED_PAYLOAD
+     * @type {String}
+     */
+    S3MediaProvider.UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property SERVICE
+     * @type {String}
+     */
+    var SERVICE = 's3';
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property EMPTY_BODY
+     * @type {Buffer}
+     */
+    var EMPTY_BODY = new Buffer(0);
+
+    /**
+     * Retrieves the object as a stream.
+     * @method getStream
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Object} [options]
+     * @param {Integer} [options.start] The offset of the first byte to read
+     * @param {Integer} [options.end] The offset of the last byte to read (inclusive)
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and a ReadableStream that contains the media content.
+     */
+    S3MediaProvider.prototype.getStream = function(mediaPath, options, cb) {
+        if (util.isFunction(options)) {
+            cb      = options;
+            options = {};
+        }
+
+        var headers = {};
+        if (util.isNumber(options.start) || util.isNumber(options.end)) {
+            headers.range = 'bytes=' + (options.start || 0) + '-' + (util.isNumber(options.end) ? options.end : '');
+        }
+        this.request('GET', mediaPath, {headers: headers}, cb);
+    };
+
+    /**
+     * Retrieves the content of the object as a Buffer.
+     * @method get
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and a Buffer that contains the media content.
+     */
+    S3MediaProvider.prototype.get = function(mediaPath, cb) {
+        this.request('GET', mediaPath, {}, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            S3MediaProvider.readBody(res, cb);
+        });
+    };
+
+    /**
+     * Sets media content into the bucket based on the specified media path.
+     * The stream is buffered because the store needs to know the length and
+     * hash of the content before it is sent.
+     * @method setStream
+     * @param {ReadableStream} stream The content stream
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and the success of the operation.
+     */
+    S3MediaProvider.prototype.setStream = function(stream, mediaPath, cb) {
+        var self = this;
+        S3MediaProvider.readBody(stream, function(err, buffer) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            self.set(buffer, mediaPath, cb);
+        });
+    };
+
+    /**
+     * Sets media content into the bucket based on the specified media path.
+     * The data must be in the form of a String or Buffer.
+     * @method set
+     * @param {String|Buffer} fileDataStrOrBuff The content to persist
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and the success of the operation.
+     */
+    S3MediaProvider.prototype.set = function(fileDataStrOrBuff, mediaPath, cb) {
+        var options = {
+            body: Buffer.isBuffer(fileDataStrOrBuff) ? fileDataStrOrBuff : new Buffer(fileDataStrOrBuff + ''),
+            headers: {
+                'content-type': pb.RequestHandler.getMimeFromPath(mediaPath) || 'application/octet-stream'
+            }
+        };
+        this.request('PUT', mediaPath, options, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            res.resume();
+            cb(null, true);
+        });
+    };
+
+    /**
+     * Creates a writable stream for the object with the specified path.  The
+     * object is overwritten if it already exists.  The content is buffered and
+     * uploaded once the stream is ended.  The stream emits "close" once the
+     * object has been stored or "error" if the upload failed.
+     * @method createWriteStream
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and a WriteableStream.
+     */
+    S3MediaProvider.prototype.createWriteStream = function(mediaPath, cb) {
+        //the stream must not close itself before the upload completes
+        var stream = new PassThrough({autoDestroy: false, emitClose: false});
+        this.setStream(stream, mediaPath, function(err) {
+            if (util.isError(err)) {
+                return stream.emit('error', err);
+            }
+            stream.emit('close');
+        });
+        cb(null, stream);
+    };
+
+    /**
+     * Checks to see if the object exists in the bucket
+     * @method exists
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and a Boolean.
+     */
+    S3MediaProvider.prototype.exists = function(mediaPath, cb) {
+        this.stat(mediaPath, function(err, stat) {
+            if (util.isError(err) && err.code === 'ENOENT') {
+                return cb(null, false);
+            }
+            cb(err, !!stat);
+        });
+    };
+
+    /**
+     * Deletes the object from the bucket
+     * @method delete
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and the success of the operation.
+     */
+    S3MediaProvider.prototype.delete = function(mediaPath, cb) {
+        this.request('DELETE', mediaPath, {}, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            res.resume();
+            cb(null, true);
+        });
+    };
+
+    /**
+     * Retrieve the stats on the object.  The result provides the "size",
+     * "mtime", "contentType", and "etag" of the object.
+     * @method stat
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and an object that contains the file stats
+     */
+    S3MediaProvider.prototype.stat = function(mediaPath, cb) {
+        this.request('HEAD', mediaPath, {}, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            res.resume();
+
+            var lastModified = res.headers['last-modified'];
+            cb(null, {
+                size: parseInt(res.headers['content-length'], 10),
+                mtime: lastModified ? new Date(lastModified) : null,
+                contentType: res.headers['content-type'],
+                etag: res.headers.etag
+            });
+        });
+    };
+
+    /**
+     * Provides the URL that clients should be redirected to in order to
+     * download the media directly from the store.  A URL is only provided when
+     * the "public_url" option is enabled.
+     * @method getUrl
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and the URL or NULL when media should be streamed by PencilBlue
+     */
+    S3MediaProvider.prototype.getUrl = function(mediaPath, cb) {
+        cb(null, this.options.public_url ? this.getSignedUrl(mediaPath) : null);
+    };
+
+    /**
+     * Generates a pre-signed URL that grants read access to the object until
+     * it expires
+     * @method getSignedUrl
+     * @param {String} mediaPath The path/key to the media
+     * @param {Integer} [expires] The number of seconds the URL is valid for.
+     * Defaults to the "signed_url_expiry" option.
+     * @param {Date} [date=new Date()] The time at which the URL is signed
+     * @return {String}
+     */
+    S3MediaProvider.prototype.getSignedUrl = function(mediaPath, expires, date) {
+        date = date || new Date();
+
+        var endpoint = this.getEndpoint(mediaPath);
+        var query = {
+            'X-Amz-Algorithm': S3MediaProvider.ALGORITHM,
+            'X-Amz-Credential': this.options.access_key_id + '/' + S3MediaProvider.getScope(date, this.options.region),
+            'X-Amz-Date': S3MediaProvider.getAmzDate(date),
+            'X-Amz-Expires': expires || this.options.signed_url_expiry,
+            'X-Amz-SignedHeaders': 'host'
+        };
+        var request = {
+            method: 'GET',
+            path: endpoint.path,
+            query: query,
+            headers: {host: endpoint.host},
+            payloadHash: S3MediaProvider.UNSIGNED_PAYLOAD
+        };
+        var signature = S3MediaProvider.sign(request, this.options, date).signature;
+        return endpoint.protocol + '//' + endpoint.host + endpoint.path + '?' + S3MediaProvider.getCanonicalQuery(query) + '&X-Amz-Signature=' + signature;
+    };
+
+    /**
+     * Issues a signed request against the object for the media path.  When the
+     * store responds with anything other than a 2xx status code the body is
+     * consumed and an error is provided.  A missing object produces an error
+     * with the code "ENOENT" to match the other providers.
+     * @method request
+     * @param {String} method The HTTP method
+     * @param {String} mediaPath The path/key to the media
+     * @param {Object} options
+     * @param {Object} [options.headers] Additional headers to sign and send
+     * @param {Buffer} [options.body]
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and the IncomingMessage
+     */
+    S3MediaProvider.prototype.request = function(method, mediaPath, options, cb) {
+        var date     = new Date();
+        var body     = options.body || EMPTY_BODY;
+        var endpoint = this.getEndpoint(mediaPath);
+
+        var headers = util.merge(options.headers || {}, {
+            host: endpoint.host,
+            'x-amz-date': S3MediaProvider.getAmzDate(date),
+            'x-amz-content-sha256': S3MediaProvider.hash(body)
+        });
+        var request = {
+            method: method,
+            path: endpoint.path,
+            query: {},
+            headers: headers,
+            payloadHash: headers['x-amz-content-sha256']
+        };
+        headers.authorization = S3MediaProvider.getAuthorization(S3MediaProvider.sign(request, this.options, date), this.options.access_key_id);
+        headers['content-length'] = body.length;
+
+        var called = false;
+        var done = function(err, res) {
+            if (!called) {
+                called = true;
+                cb(err, res);
+            }
+        };
+
+        var transport = endpoint.protocol === 'https:' ? https : http;
+        var req = transport.request({
+            method: method,
+            hostname: endpoint.hostname,
+            port: endpoint.port,
+            path: endpoint.path,
+            headers: headers
+        }, function(res) {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                return done(null, res);
+            }
+            S3MediaProvider.readBody(res, function(err, content) {
+                done(err || S3MediaProvider.getError(res.statusCode, content, mediaPath));
+            });
+        });
+        req.on('error', done);
+        req.end(body);
+    };
+
+    /**
+     * Builds the location of the object for the media path.  Path style
+     * addressing places the bucket in the path (http://endpoint/bucket/key)
+     * while virtual host style places it in the host name
+     * (http://bucket.endpoint/key).
+     * @method getEndpoint
+     * @param {String} mediaPath The path/key to the media
+     * @return {Object} Provides the "protocol", "hostname", "port", "host"
+     * (hostname and port), and the encoded "path"
+     */
+    S3MediaProvider.prototype.getEndpoint = function(mediaPath) {
+        var endpoint = url.parse(this.options.endpoint);
+        var basePath = (endpoint.pathname || '/').replace(/\/+$/, '');
+        var key      = S3MediaProvider.encode(this.getKey(mediaPath), true);
+
+        var result = {
+            protocol: endpoint.protocol,
+            hostname: endpoint.hostname,
+            port: endpoint.port,
+            host: endpoint.host,
+            path: basePath + '/' + S3MediaProvider.encode(this.options.bucket) + '/' + key
+        };
+        if (!this.options.path_style) {
+            result.hostname = this.options.bucket + '.' + endpoint.hostname;
+            result.host     = this.options.bucket + '.' + endpoint.host;
+            result.path     = basePath + '/' + key;
+        }
+        return result;
+    };
+
+    /**
+     * Converts a media path into the key of the object in the bucket
+     * @method getKey
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @return {String} The object key.  For example, a prefix of "site1" results
+     * in site1/media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     */
+    S3MediaProvider.prototype.getKey = function(mediaPath) {
+        var prefix = (this.options.prefix || '').replace(/^\/+|\/+$/g, '');
+        var key    = mediaPath.replace(/^\/+/, '');
+        return prefix.length > 0 ? prefix + '/' + key : key;
+    };
+
+    /**
+     * Calculates the AWS Signature Version 4 for a request
+     * @static
+     * @method sign
+     * @param {Object} request
+     * @param {String} request.method The HTTP method
+     * @param {String} request.path The encoded path of the request
+     * @param {Object} request.query The query string parameters to sign
+     * @param {Object} request.headers The headers to sign
+     * @param {String} request.payloadHash The hex encoded SHA256 of the body
+     * @param {Object} credentials
+     * @param {String} credentials.region
+     * @param {String} credentials.secret_access_key
+     * @param {Date} date
+     * @return {Object} Provides the "scope", "signedHeaders", and "signature"
+     */
+    S3MediaProvider.sign = function(request, credentials, date) {
+        var amzDate = S3MediaProvider.getAmzDate(date);
+        var scope   = S3MediaProvider.getScope(date, credentials.region);
+        var headers = S3MediaProvider.getCanonicalHeaders(request.headers);
+
+        var canonicalRequest = [
+            request.method,
+            request.path,
+            S3MediaProvider.getCanonicalQuery(request.query),
+            headers.canonical,
+            headers.signed,
+            request.payloadHash
+        ].join('\n');
+        var stringToSign = [
+            S3MediaProvider.ALGORITHM,
+            amzDate,
+            scope,
+            S3MediaProvider.hash(canonicalRequest)
+        ].join('\n');
+
+        var key = 'AWS4' + credentials.secret_access_key;
+        [amzDate.substr(0, 8), credentials.region, SERVICE, 'aws4_request'].forEach(function(part) {
+            key = hmac(key, part);
+        });
+        return {
+            scope: scope,
+            signedHeaders: headers.signed,
+            signature: hmac(key, stringToSign).toString('hex')
+        };
+    };
+
+    /**
+     * Builds the value of the Authorization header from a signature
+     * @static
+     * @method getAuthorization
+     * @param {Object} signed The result of S3MediaProvider.sign
+     * @param {String} accessKeyId
+     * @return {String}
+     */
+    S3MediaProvider.getAuthorization = function(signed, accessKeyId) {
+        return S3MediaProvider.ALGORITHM + ' Credential=' + accessKeyId + '/' + signed.scope +
+            ', SignedHeaders=' + signed.signedHeaders + ', Signature=' + signed.signature;
+    };
+
+    /**
+     * @static
+     * @method getCanonicalHeaders
+     * @param {Object} headers
+     * @return {Object} Provides the "canonical" header block and the "signed"
+     * list of header names
+     */
+    S3MediaProvider.getCanonicalHeaders = function(headers) {
+        var names = Object.keys(headers).map(function(name) {
+            return name.toLowerCase();
+        }).sort();
+
+        var lowered = {};
+        Object.keys(headers).forEach(function(name) {
+            lowered[name.toLowerCase()] = (headers[name] + '').trim().replace(/\s+/g, ' ');
+        });
+        return {
+            canonical: names.map(function(name) {
+                return name + ':' + lowered[name] + '\n';
+            }).join(''),
+            signed: names.join(';')
+        };
+    };
+
+    /**
+     * @static
+     * @method getCanonicalQuery
+     * @param {Object} query
+     * @return {String} The encoded query string with the parameters sorted by name
+     */
+    S3MediaProvider.getCanonicalQuery = function(query) {
+        return Object.keys(query || {}).sort().map(function(name) {
+            return S3MediaProvider.encode(name) + '=' + S3MediaProvider.encode(query[name] + '');
+        }).join('&');
+    };
+
+    /**
+     * URI encodes a value as required by the signing process (RFC 3986)
+     * @static
+     * @method encode
+     * @param {String} value
+     * @param {Boolean} [keepSlashes=false] When TRUE "/" is not encoded
+     * @return {String}
+     */
+    S3MediaProvider.encode = function(value, keepSlashes) {
+        var encoded = encodeURIComponent(value).replace(/[!'()*]/g, function(c) {
+            return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+        });
+        return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+    };
+
+    /**
+     * Formats a date as required by the signing process.  For example:
+     * 20130524T000000Z
+     * @static
+     * @method getAmzDate
+     * @param {Date} date
+     * @return {String}
+     */
+    S3MediaProvider.getAmzDate = function(date) {
+        return date.toISOString().replace(/[:\-]|\.\d{3}/g, '');
+    };
+
+    /**
+     * @static
+     * @method getScope
+     * @param {Date} date
+     * @param {String} region
+     * @return {String} The credential scope. For example:
+     * 20130524/us-east-1/s3/aws4_request
+     */
+    S3MediaProvider.getScope = function(date, region) {
+        return [S3MediaProvider.getAmzDate(date).substr(0, 8), region, SERVICE, 'aws4_request'].join('/');
+    };
+
+    /**
+     * @static
+     * @method hash
+     * @param {String|Buffer} content
+     * @return {String} The hex encoded SHA256 hash of the content
+     */
+    S3MediaProvider.hash = function(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    };
+
+    /**
+     * Creates an error from a failed response.  The code and message provided
+     * by the store's XML error document are included when available.
+     * @static
+     * @method getError
+     * @param {Integer} statusCode
+     * @param {Buffer} [content]
+     * @param {String} mediaPath
+     * @return {Error}
+     */
+    S3MediaProvider.getError = function(statusCode, content, mediaPath) {
+        var body    = content ? content.toString() : '';
+        var code    = /<Code>([^<]*)<\/Code>/.exec(body);
+        var message = /<Message>([^<]*)<\/Message>/.exec(body);
+
+        var err = new Error(util.format('S3MediaProvider: The request for [%s] failed with status %s%s%s', mediaPath, statusCode,
+            code ? ': ' + code[1] : '', message ? ' - ' + message[1] : ''));
+        err.code       = statusCode === 404 ? 'ENOENT' : 500;
+        err.statusCode = statusCode;
+        return err;
+    };
+
+    /**
+     * Reads a stream into a single Buffer
+     * @static
+     * @method readBody
+     * @param {ReadableStream} stream
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and the Buffer
+     */
+    S3MediaProvider.readBody = function(stream, cb) {
+        var buffers = [];
+        stream.on('data', function(buffer) {
+            buffers.push(Buffer.isBuffer(buffer) ? buffer : new Buffer(buffer));
+        });
+        stream.on('end', function() {
+            cb(null, Buffer.concat(buffers));
+        });
+        stream.on('error', cb);
+    };
+
+    /**
+     * @private
+     * @static
+     * @method hmac
+     * @param {String|Buffer} key
+     * @param {String} content
+     * @return {Buffer}
+     */
+    function hmac(key, content) {
+        return crypto.createHmac('sha256', key).update(content).digest();
+    }
+
+    //exports
+    return S3MediaProvider;
+};
@@ -82,6 +82,41 @@ module.exports = function CommentServiceModule(pb) {
      */
     var TYPE = 'comment';
 
+    /**
+     * The registered spam checks keyed by name
+     * @private
+     * @static
+     * @property SPAM_CHECKS
+     * @type {Object}
+     */
+    var SPAM_CHECKS = {};
+
+    /**
+     * The moderation states of a comment.  Only approved comments are
+     * displayed.  Comments created before moderation was introduced have no
+     * status and are treated as approved.
+     * @static
+     * @readonly
+     * @property STATUSES
+     * @type {Object}
+     */
+    CommentService.STATUSES = Object.freeze({
+        PENDING: 'pending',
+        APPROVED: 'approved',
+        SPAM: 'spam',
+        REJECTED: 'rejected'
+    });
+
+    /**
+     * The name of the form field that is hidden from people.  Only automated
+     * submissions fill it in.
+     * @static
+     * @readonly
+     * @property HONEYPOT_FIELD
+     * @type {String}
+     */
+    CommentService.HONEYPOT_FIELD = 'website';
+
     /**
      * Validates a comment
      * @method validate
@@ -151,6 +186,24 @@ module.exports = function CommentServiceModule(pb) {
             },
 
 
+            //validate the comment being replied to belongs to the same article
+            function(callback) {
+                if (util.isNullOrUndefined(obj.parent)) {
+                    return callback();
+                }
+                else if (!ValidationService.isIdStr(obj.parent, true)) {
+                    errors.push(BaseObjectService.validationFailure('parent', 'An invalid parent comment ID was provided'));
+                    return callback();
+                }
+
+                self.get(obj.parent, function(err, parent) {
+                    if (!util.isObject(parent) || parent.article !== obj.article) {
+                        errors.push(BaseObjectService.validationFailure('parent', 'The parent comment must belong to the same article'));
+                    }
+                    callback(err);
+                });
+            },
+
             //validate article exists
             function(callback) {
 
@@ -180,6 +233,334 @@ module.exports = function CommentServiceModule(pb) {
         async.parallel(tasks, cb);
     };
 
+    /**
+     * Determines the status of a new comment.  The comment is marked as spam
+     * when any of the registered spam checks flags it.  Otherwise, it is
+     * approved unless the site pre-moderates comments.  When it does, comments
+     * from trusted users may still be approved automatically.
+     * @method moderate
+     * @param {Object} comment The comment to be persisted
+     * @param {String} [honeypot] The value submitted for the honeypot field
+     * @param {Function} cb (Error, String) Provides the status assigned to the comment
+     */
+    CommentService.prototype.moderate = function(comment, honeypot, cb) {
+        var self = this;
+        this.contentService.get(function(err, contentSettings) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var context = {
+                contentSettings: contentSettings,
+                honeypot: honeypot,
+                session: self.context.session,
+                service: self
+            };
+            CommentService.screen(comment, context, function(err, result) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                else if (result) {
+                    comment.status = CommentService.STATUSES.SPAM;
+                    comment.spam_reason = result.reason;
+                    return cb(null, comment.status);
+                }
+                else if (!contentSettings.moderate_comments) {
+                    comment.status = CommentService.STATUSES.APPROVED;
+                    return cb(null, comment.status);
+                }
+                else if (!contentSettings.auto_approve_trusted) {
+                    comment.status = CommentService.STATUSES.PENDING;
+                    return cb(null, comment.status);
+                }
+
+                self.isTrusted(comment.commenter, function(err, trusted) {
+                    comment.status = trusted ? CommentService.STATUSES.APPROVED : CommentService.STATUSES.PENDING;
+                    cb(err, comment.status);
+                });
+            });
+        });
+    };
+
+    /**
+     * Determines if comments from the user skip pre-moderation.  Writers and
+     * above are trusted as are users who have had a comment approved.
+     * @method isTrusted
+     * @param {String} commenter The ID of the user
+     * @param {Function} cb (Error, Boolean)
+     */
+    CommentService.prototype.isTrusted = function(commenter, cb) {
+        if (!ValidationService.isIdStr(commenter, true)) {
+            return cb(null, false);
+        }
+        if (pb.SecurityService.isAuthorized(this.context.session, {admin_level: pb.SecurityService.ACCESS_WRITER})) {
+            return cb(null, true);
+        }
+
+        var where = {
+            commenter: commenter,
+            status: CommentService.STATUSES.APPROVED
+        };
+        this.dao.count(TYPE, where, function(err, count) {
+            cb(err, count > 0);
+        });
+    };
+
+    /**
+     * Sets the moderation status of a set of comments
+     * @method setStatus
+     * @param {Array} ids The IDs of the comments to update
+     * @param {String} status One of the values of CommentService.STATUSES
+     * @param {Function} cb (Error, Integer) Provides the number of comments updated
+     */
+    CommentService.prototype.setStatus = function(ids, status, cb) {
+        if (!CommentService.isStatus(status)) {
+            var error = BaseObjectService.validationError([BaseObjectService.validationFailure('status', 'An invalid status was provided')]);
+            return cb(error);
+        }
+        if (!util.isArray(ids) || ids.length === 0) {
+            return cb(null, 0);
+        }
+
+        //only update the comments that are visible to this site
+        var self = this;
+        var opts = {
+            select: {_id: 1},
+            where: pb.DAO.getIdInWhere(ids)
+        };
+        this.dao.q(TYPE, opts, function(err, comments) {
+            if (util.isError(err) || comments.length === 0) {
+                return cb(err, 0);
+            }
+
+            var updates = {
+                $set: {
+                    status: status,
+                    last_modified: new Date()
+                }
+            };
+            self.dao.updateFields(TYPE, pb.DAO.getIdInWhere(comments, pb.DAO.getIdField()), updates, {multi: true}, function(err) {
+                cb(err, comments.length);
+            });
+        });
+    };
+
+    /**
+     * Determines if the value is a known moderation status
+     * @static
+     * @method isStatus
+     * @param {String} status
+     * @return {Boolean}
+     */
+    CommentService.isStatus = function(status) {
+        return Object.keys(CommentService.STATUSES).some(function(key) {
+            return CommentService.STATUSES[key] === status;
+        });
+    };
+
+    /**
+     * Restricts a query to the comments that may be displayed
+     * @static
+     * @method setVisibleClause
+     * @param {Object} where
+     */
+    CommentService.setVisibleClause = function(where) {
+        where.status = {
+            $in: [CommentService.STATUSES.APPROVED, null]
+        };
+    };
+
+    /**
+     * Arranges a list of comments into threads.  Each comment is given a
+     * "replies" array that holds the comments made in reply to it.  A reply
+     * whose parent is not in the list is treated as the start of a thread.
+     * @static
+     * @method buildThreads
+     * @param {Array} comments The comments in the order they should be displayed
+     * @return {Array} The comments that start a thread
+     */
+    CommentService.buildThreads = function(comments) {
+        var lookup = {};
+        comments.forEach(function(comment) {
+            comment.replies = [];
+            lookup[comment[pb.DAO.getIdField()] + ''] = comment;
+        });
+
+        var threads = [];
+        comments.forEach(function(comment) {
+            var parent = comment.parent ? lookup[comment.parent + ''] : null;
+            if (parent && parent !== comment) {
+                parent.replies.push(comment);
+            }
+            else {
+                threads.push(comment);
+            }
+        });
+        return threads;
+    };
+
+    /**
+     * Counts the comments in a set of threads, including all replies
+     * @static
+     * @method countThreads
+     * @param {Array} threads
+     * @return {Integer}
+     */
+    CommentService.countThreads = function(threads) {
+        if (!util.isArray(threads)) {
+            return 0;
+        }
+        return threads.reduce(function(count, comment) {
+            return count + 1 + CommentService.countThreads(comment.replies);
+        }, 0);
+    };
+
+    /**
+     * Registers a spam check.  The check is a function that takes three
+     * parameters: the comment, a context object, and a callback.  The context
+     * provides the site's content settings, the value of the honeypot field,
+     * the session, and the comment service.  The callback takes an error and
+     * a string describing why the comment is spam or null when it is not.
+     * Registering a check with an existing name replaces it.
+     * @static
+     * @method registerSpamCheck
+     * @param {String} name
+     * @param {Function} check (Object, Object, Function)
+     * @return {Boolean} TRUE if registered, FALSE if the parameters are invalid
+     */
+    CommentService.registerSpamCheck = function(name, check) {
+        if (!ValidationService.isNonEmptyStr(name, true) || !util.isFunction(check)) {
+            return false;
+        }
+        SPAM_CHECKS[name] = check;
+        return true;
+    };
+
+    /**
+     * Removes a spam check
+     * @static
+     * @method unregisterSpamCheck
+     * @param {String} name
+     * @return {Boolean} TRUE if the check was registered
+     */
+    CommentService.unregisterSpamCheck = function(name) {
+        var exists = util.isFunction(SPAM_CHECKS[name]);
+        delete SPAM_CHECKS[name];
+        return exists;
+    };
+
+    /**
+     * Runs the registered spam checks against a comment, one at a time, in
+     * the order they were registered.  Screening stops at the first check that
+     * flags the comment.
+     * @static
+     * @method screen
+     * @param {Object} comment
+     * @param {Object} context See registerSpamCheck
+     * @param {Function} cb (Error, Object) Provides NULL when the comment passes
+     * all checks.  Otherwise, an object with the name of the check that
+     * flagged it and the reason.
+     */
+    CommentService.screen = function(comment, context, cb) {
+        var result = null;
+        async.eachSeries(Object.keys(SPAM_CHECKS), function(name, callback) {
+            SPAM_CHECKS[name](comment, context, function(err, reason) {
+                if (util.isError(err)) {
+                    pb.log.error('CommentService: Spam check %s failed. %s', name, err.stack);
+                }
+                else if (reason) {
+                    result = {check: name, reason: reason};
+                    return callback(result);
+                }
+                callback();
+            });
+        }, function(err) {
+            cb(err && err !== result ? err : null, result);
+        });
+    };
+
+    /**
+     * Counts the links in the text of a comment
+     * @static
+     * @method countLinks
+     * @param {String} content
+     * @return {Integer}
+     */
+    CommentService.countLinks = function(content) {
+        if (!util.isString(content)) {
+            return 0;
+        }
+
+        var matches = content.match(/(https?:\/\/|www\.)\S+/gi);
+        return matches ? matches.length : 0;
+    };
+
+    /**
+     * Parses the site's list of blocked words.  Words may be separated by
+     * commas or new lines.
+     * @static
+     * @method getBlockedWords
+     * @param {Object} contentSettings
+     * @return {Array} The lower case words
+     */
+    CommentService.getBlockedWords = function(contentSettings) {
+        if (!util.isString(contentSettings.comment_blocked_words)) {
+            return [];
+        }
+        return contentSettings.comment_blocked_words.split(/[\n,]/).map(function(word) {
+            return word.trim().toLowerCase();
+        }).filter(function(word) {
+            return word.length > 0;
+        });
+    };
+
+    /**
+     * Flags comments with more links than the site allows
+     * @static
+     * @method checkLinks
+     * @param {Object} comment
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    CommentService.checkLinks = function(comment, context, cb) {
+        var max = parseInt(context.contentSettings.comment_max_links);
+        if (isNaN(max) || max < 0) {
+            return cb(null, null);
+        }
+
+        var count = CommentService.countLinks(comment.content);
+        cb(null, count > max ? 'The comment contains ' + count + ' links' : null);
+    };
+
+    /**
+     * Flags comments that contain one of the site's blocked words
+     * @static
+     * @method checkBlockedWords
+     * @param {Object} comment
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    CommentService.checkBlockedWords = function(comment, context, cb) {
+        var content = util.isString(comment.content) ? comment.content.toLowerCase() : '';
+        var blocked = CommentService.getBlockedWords(context.contentSettings).filter(function(word) {
+            return content.indexOf(word) >= 0;
+        });
+        cb(null, blocked.length > 0 ? 'The comment contains the blocked word "' + blocked[0] + '"' : null);
+    };
+
+    /**
+     * Flags comments that were submitted with the honeypot field filled in
+     * @static
+     * @method checkHoneypot
+     * @param {Object} comment
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    CommentService.checkHoneypot = function(comment, context, cb) {
+        var filled = util.isString(context.honeypot) && context.honeypot.trim().length > 0;
+        cb(null, filled ? 'The ' + CommentService.HONEYPOT_FIELD + ' field was completed' : null);
+    };
+
     /**
      * Retrieves the template for comments
      *
@@ -243,6 +624,9 @@ module.exports = function CommentServiceModule(pb) {
         var dto = context.data;
         dto.article = BaseObjectService.sanitize(dto.article);
         dto.content = BaseObjectService.sanitize(dto.content);
+        if (!util.isNullOrUndefined(dto.parent)) {
+            dto.parent = ValidationService.isNonEmptyStr(dto.parent, true) ? BaseObjectService.sanitize(dto.parent) : null;
+        }
         cb(null);
     };
 
@@ -256,14 +640,21 @@ module.exports = function CommentServiceModule(pb) {
      * @param {Function} cb A callback that takes a single parameter: an error if occurred
      */
     CommentService.merge = function(context, cb) {
-        if (context.isCreate) {
-            context.object.article = context.data.article;
-
-            var principal = pb.SecurityService.getPrincipal(context.session);
-            context.object.commenter = principal === null ? null : principal[pb.DAO.getIdField()] + '';
-        }
         context.object.content = context.data.content;
-        cb(null);
+        if (!context.isCreate) {
+            return cb(null);
+        }
+
+        context.object.article = context.data.article;
+        context.object.parent = context.data.parent || null;
+
+        var principal = pb.SecurityService.getPrincipal(context.session);
+        context.object.commenter = principal === null ? null : principal[pb.DAO.getIdField()] + '';
+
+        //new comments are screened for spam and held when the site pre-moderates
+        context.service.moderate(context.object, context.data[CommentService.HONEYPOT_FIELD], function(err) {
+            cb(err);
+        });
     };
 
     /**
@@ -285,6 +676,11 @@ module.exports = function CommentServiceModule(pb) {
     BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, CommentService.merge);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, CommentService.validate);
 
+    //default spam checks
+    CommentService.registerSpamCheck('links', CommentService.checkLinks);
+    CommentService.registerSpamCheck('blocked_words', CommentService.checkBlockedWords);
+    CommentService.registerSpamCheck('honeypot', CommentService.checkHoneypot);
+
     //exports
     return CommentService;
 };
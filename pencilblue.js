@@ -73,6 +73,12 @@ function PencilBlue(config){
             this.initServerRegistration,
             this.initCommandService,
             this.initLibraries,
+            this.initWebhooks,
+            this.initTranslations,
+            this.initJobs,
+            this.initMediaUsage,
+            this.initContentSearch,
+            this.initScheduler,
             this.registerMetrics,
             util.wrapTask(this, this.initServer),
         ];
@@ -318,6 +324,68 @@ function PencilBlue(config){
         pb.LibrariesService.init(cb);
     };
 
+    /**
+     * Starts sending the webhook deliveries that are queued
+     * @static
+     * @method initWebhooks
+     * @param {Function} cb A callback that provides two parameters: cb(Error, [RESULT])
+     */
+    this.initWebhooks = function(cb) {
+        pb.WebhookDeliveryService.init(cb);
+    };
+
+    /**
+     * Loads the localization overrides of every site
+     * @static
+     * @method initTranslations
+     * @param {Function} cb A callback that provides two parameters: cb(Error, [RESULT])
+     */
+    this.initTranslations = function(cb) {
+        pb.TranslationService.init(cb);
+    };
+
+    /**
+     * Listens for jobs that are cancelled and schedules the removal of old jobs
+     * @static
+     * @method initJobs
+     * @param {Function} cb A callback that provides two parameters: cb(Error, [RESULT])
+     */
+    this.initJobs = function(cb) {
+        pb.JobService.init(cb);
+    };
+
+    /**
+     * Builds the media usage index of sites that were created before media
+     * usage was tracked
+     * @static
+     * @method initMediaUsage
+     * @param {Function} cb A callback that provides two parameters: cb(Error, [RESULT])
+     */
+    this.initMediaUsage = function(cb) {
+        pb.MediaUsageService.init(cb);
+    };
+
+    /**
+     * Indexes the articles and pages that are missing from the search index,
+     * such as those created before search was indexed
+     * @static
+     * @method initContentSearch
+     * @param {Function} cb A callback that provides two parameters: cb(Error, [RESULT])
+     */
+    this.initContentSearch = function(cb) {
+        pb.ContentSearchService.init(cb);
+    };
+
+    /**
+     * Starts the timers of the scheduled jobs
+     * @static
+     * @method initScheduler
+     * @param {Function} cb A callback that provides two parameters: cb(Error, [RESULT])
+     */
+    this.initScheduler = function(cb) {
+        pb.JobScheduler.init(cb);
+    };
+
     /**
      * Initializes the metric registrations to measure request counts
      * @static
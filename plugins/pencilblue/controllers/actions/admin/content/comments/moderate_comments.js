@@ -0,0 +1,66 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function ModerateCommentsModule(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Sets the moderation status of one or more comments
+     * @class ModerateComments
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function ModerateComments(){}
+    util.inherits(ModerateComments, pb.BaseAdminController);
+
+    ModerateComments.prototype.render = function(cb) {
+        var self = this;
+
+        this.getJSONPostParams(function(err, post) {
+            var message = self.hasRequiredParams(post, ['ids', 'status']);
+            if (message) {
+                return cb({
+                    code: 400,
+                    content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, message)
+                });
+            }
+            if (!util.isArray(post.ids) || !post.ids.every(function(id) { return pb.validation.isIdStr(id, true); })) {
+                return cb({
+                    code: 400,
+                    content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, self.ls.g('generic.INVALID_UID'))
+                });
+            }
+
+            var service = new pb.CommentService(self.getServiceContext());
+            service.setStatus(post.ids, post.status, function(err, count) {
+                if (util.isError(err)) {
+                    return cb({
+                        code: err.code === 400 ? 400 : 500,
+                        content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, err.code === 400 ? err.message : self.ls.g('generic.ERROR_SAVING'), err.validationErrors)
+                    });
+                }
+
+                cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.g('comments.COMMENTS_MODERATED'), {count: count})});
+            });
+        });
+    };
+
+    //exports
+    return ModerateComments;
+};
@@ -32,6 +32,20 @@ module.exports = function(pb) {
     //constants
     var MANAGE_MEDIA_PATH = '/admin/content/media/manage_media';
 
+    /**
+     * The values of the "media.referenced_delete" setting
+     * @private
+     * @static
+     * @readonly
+     * @property REFERENCED_DELETE
+     * @type {Object}
+     */
+    var REFERENCED_DELETE = Object.freeze({
+        ALLOW: 'allow',
+        WARN: 'warn',
+        BLOCK: 'block'
+    });
+
     /**
      * @method onPostParamsRetrieved
      * @param {Object} post
@@ -60,27 +74,98 @@ module.exports = function(pb) {
                 return;
             }
 
-            mservice.deleteById(vars.id, function(err, recordsDeleted) {
-                if(util.isError(err) || recordsDeleted <= 0) {
-                    cb({
+            self.checkUsage(mediaData, function(err, conflict) {
+                if (util.isError(err)) {
+                    pb.log.error('DeleteMediaController: Failed to check where media %s is used. %s', vars.id, err.stack);
+                    return cb({
                         code: 500,
                         content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.g('generic.ERROR_DELETING'))
                     });
-                    return;
                 }
+                else if (conflict) {
+                    return cb({
+                        code: 409,
+                        content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, conflict.message, conflict)
+                    });
+                }
+
+                mservice.deleteById(vars.id, function(err, recordsDeleted) {
+                    if(util.isError(err) || recordsDeleted <= 0) {
+                        cb({
+                            code: 500,
+                            content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.g('generic.ERROR_DELETING'))
+                        });
+                        return;
+                    }
 
-                self.removeLocal(mediaData, mservice, function(err) {
-                    cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, mediaData.name + ' ' + self.ls.g('admin.DELETED'))});
+                    self.removeLocal(mediaData, mservice, function(err) {
+                        cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, mediaData.name + ' ' + self.ls.g('admin.DELETED'))});
+                    });
                 });
             });
         });
     };
 
+    /**
+     * Determines if the media may be deleted based on the articles and pages
+     * that still reference it and the "media.referenced_delete" setting.  When
+     * the setting is "warn" the deletion is allowed once the "force" query
+     * parameter is set to "true".
+     * @method checkUsage
+     * @param {Object} media
+     * @param {Function} cb A callback that provides two parameters: an Error, if
+     * occurred, and NULL when the media may be deleted.  Otherwise, an object
+     * that provides the "message", the "usage" of the media, and whether the
+     * deletion can be forced ("forceable").
+     */
+    DeleteMediaController.prototype.checkUsage = function(media, cb) {
+        var mode = pb.config.media.referenced_delete;
+        if (mode === REFERENCED_DELETE.ALLOW) {
+            return cb(null, null);
+        }
+
+        var self = this;
+        var service = new pb.MediaUsageService({site: this.site});
+        service.getUsage(media[pb.DAO.getIdField()], function(err, usage) {
+            if (util.isError(err) || usage.length === 0) {
+                return cb(err, null);
+            }
+
+            var forceable = mode !== REFERENCED_DELETE.BLOCK;
+            if (forceable && self.query.force === 'true') {
+                return cb(null, null);
+            }
+            cb(null, {
+                message: self.ls.g(forceable ? 'media.MEDIA_IN_USE' : 'media.MEDIA_IN_USE_BLOCKED'),
+                usage: usage,
+                forceable: forceable
+            });
+        });
+    };
+
+    /**
+     * Removes the stored content of uploaded media along with any derivatives
+     * that were generated from it
+     * @method removeLocal
+     * @param {Object} media
+     * @param {MediaService} mservice
+     * @param {Function} cb
+     */
     DeleteMediaController.prototype.removeLocal = function(media, mservice, cb) {
         if (!media.is_file) {
             return cb();
         }
-        mservice.deleteContentByPath(media.location, cb);
+
+        var derivativeService = new pb.ImageDerivativeService({site: this.site, mediaService: mservice});
+        derivativeService.deleteDerivatives(media.location, function(err, count) {
+            if (util.isError(err)) {
+                pb.log.error('DeleteMediaController: Failed to remove the derivatives of %s. %s', media.location, err.stack);
+            }
+            else if (count > 0) {
+                pb.log.debug('DeleteMediaController: Removed %d derivatives of %s', count, media.location);
+            }
+            mservice.deleteContentByPath(media.location, cb);
+        });
     };
 
     //exports
@@ -61,6 +61,7 @@ module.exports = function(pb) {
             delete post.created;
             delete post.last_modified;
             delete post.object_type;
+            delete post.uploader;
             pb.DocumentCreator.update(post, media);
             mediaService.save(media, function(err, result) {
                 if(util.isError(err) || util.isArray(result)) {
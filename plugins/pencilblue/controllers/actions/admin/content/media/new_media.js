@@ -42,6 +42,7 @@ module.exports = function(pb) {
                 return;
             }
 
+            post.uploader = self.session.authentication.user_id;
             var mediaDocument = pb.DocumentCreator.create('media', post);
             var mediaService = new pb.MediaService(null, self.site);
             mediaService.save(mediaDocument, function(err, result) {
@@ -78,7 +78,7 @@ module.exports = function(pb) {
                 });
 
                 //validate and persist
-                service.save(custObj, custObjType, function(err, result) {
+                service.save(custObj, custObjType, {user: self.session.authentication.user}, function(err, result) {
                     if(util.isError(err)) {
                         return cb({
                             code: 500,
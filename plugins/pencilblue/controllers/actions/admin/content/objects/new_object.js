@@ -58,7 +58,7 @@ module.exports = function(pb) {
             var customObjectDocument = pb.DocumentCreator.create('custom_object', post);
 
             //validate and persist the object
-            service.save(customObjectDocument, customObjectType, function(err, result) {
+            service.save(customObjectDocument, customObjectType, {user: self.session.authentication.user}, function(err, result) {
                 if(util.isError(err)) {
                     return cb({
                         code: 500,
@@ -51,6 +51,7 @@ module.exports = function(pb) {
                 for(var key in post) {
                     pb.TemplateService.registerGlobal(key + '_src', post[key]);
                 }
+                pb.SecurityHeadersService.registerLibraries(post);
 
                 cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.g('site_settings.LIBRARY_SETTINGS') + ' ' +  self.ls.g('admin.EDITED') + '. ' + self.ls.g('site_settings.LIBRARY_CLUSTER'))});
             });
@@ -0,0 +1,61 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var async = require('async');
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Saves the site's security settings
+     */
+    function Security(){}
+    util.inherits(Security, pb.BaseAdminController);
+
+    Security.prototype.render = function(cb) {
+        var self = this;
+
+        this.getJSONPostParams(function(err, post) {
+            var tasks = [
+                function(callback) {
+                    var service = new pb.TwoFactorService({site: self.site});
+                    service.saveSettings(post, callback);
+                },
+                function(callback) {
+                    var service = new pb.MediaUploadService({site: self.site});
+                    service.saveSettings(util.isObject(post) ? post.uploads : null, callback);
+                }
+            ];
+            async.series(tasks, function(err) {
+                if (util.isError(err)) {
+                    return cb({
+                        code: err.code === 400 ? 400 : 500,
+                        content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, self.ls.g('generic.ERROR_SAVING'), err.validationErrors)
+                    });
+                }
+
+                cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.g('site_settings.SECURITY_SETTINGS') + ' ' +  self.ls.g('admin.EDITED'))});
+            });
+        });
+    };
+
+    //exports
+    return Security;
+};
@@ -67,29 +67,42 @@ module.exports = function ChangePasswordModule(pb) {
                     return;
                 }
 
-                if(user.password != pb.security.encrypt(post.current_password)) {
-                    cb({
-                        code: 400,
-                        content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.get('INVALID_PASSWORD'))
-                    });
-                    return;
-                }
-
-                user.password = pb.security.encrypt(post.new_password);
-                pb.DocumentCreator.update(post, user);
-                delete user.new_password;
-                delete user.current_password;
-
-                self.siteQueryService.save(user, function(err, result) {
-                    if(util.isError(err)) {
-                        if (err) { pb.log.error(JSON.stringify(err)); }
-                        return cb({
-                            code: 500,
-                            content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.get('ERROR_SAVING'))
+                pb.security.verifyPassword(post.current_password, user.password, function(err, isValid) {
+                    if(util.isError(err) || !isValid) {
+                        if (err) { pb.log.error(err.stack); }
+                        cb({
+                            code: 400,
+                            content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.get('INVALID_PASSWORD'))
                         });
+                        return;
                     }
 
-                    cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.get('PASSWORD_CHANGED'))});
+                    pb.security.hashPassword(post.new_password, function(err, hash) {
+                        if(util.isError(err)) {
+                            pb.log.error(err.stack);
+                            return cb({
+                                code: 500,
+                                content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.get('ERROR_SAVING'))
+                            });
+                        }
+
+                        delete post.current_password;
+                        delete post.new_password;
+                        pb.DocumentCreator.update(post, user);
+                        user.password = hash;
+
+                        self.siteQueryService.save(user, function(err, result) {
+                            if(util.isError(err)) {
+                                if (err) { pb.log.error(JSON.stringify(err)); }
+                                return cb({
+                                    code: 500,
+                                    content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.get('ERROR_SAVING'))
+                                });
+                            }
+
+                            cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.get('PASSWORD_CHANGED'))});
+                        });
+                    });
                 });
             });
         });
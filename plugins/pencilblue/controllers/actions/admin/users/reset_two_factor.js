@@ -0,0 +1,77 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Removes the second factor of a user that can no longer provide one.  The
+     * user is asked to enrol again at the next login when the site requires it.
+     * @class ResetTwoFactor
+     * @constructor
+     * @extends FormController
+     */
+    function ResetTwoFactor(){}
+    util.inherits(ResetTwoFactor, pb.FormController);
+
+    /**
+     * Initializes the controller
+     * @method init
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    ResetTwoFactor.prototype.init = function(context, cb) {
+        var self = this;
+        var init = function(err) {
+
+            /**
+             * @property service
+             * @type {TwoFactorService}
+             */
+            self.service = new pb.TwoFactorService({site: self.site});
+
+            cb(err, true);
+        };
+        ResetTwoFactor.super_.prototype.init.apply(this, [context, init]);
+    };
+
+    ResetTwoFactor.prototype.onPostParamsRetrieved = function(post, cb) {
+        var self = this;
+        var vars = this.pathVars;
+
+        var message = this.hasRequiredParams(vars, ['id']);
+        if(message) {
+            self.formError(message, '/admin/users', cb);
+            return;
+        }
+
+        this.service.reset(vars.id, function(err, reset) {
+            if (util.isError(err)) {
+                pb.log.error('ResetTwoFactor: Failed to reset the second factor of user %s: %s', vars.id, err.stack);
+                return self.formError(self.ls.g('generic.ERROR_SAVING'), '/admin/users/' + vars.id, cb);
+            }
+
+            self.session.success = self.ls.g(reset ? 'users.TWO_FACTOR_RESET' : 'users.TWO_FACTOR_NOT_ENABLED');
+            self.redirect('/admin/users/' + vars.id, cb);
+        });
+    };
+
+    //exports
+    return ResetTwoFactor;
+};
@@ -0,0 +1,91 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+    var UserService = pb.UserService;
+
+    /**
+     * Removes the lockout placed on a user's account after too many failed
+     * login or password reset attempts
+     * @class UnlockUser
+     * @constructor
+     * @extends FormController
+     */
+    function UnlockUser(){}
+    util.inherits(UnlockUser, pb.FormController);
+
+    /**
+     * Initializes the controller
+     * @method init
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    UnlockUser.prototype.init = function(context, cb) {
+        var self = this;
+        var init = function(err) {
+
+            /**
+             * @property service
+             * @type {UserService}
+             */
+            self.service = new UserService(self.getServiceContext());
+
+            /**
+             * @property throttle
+             * @type {LoginThrottleService}
+             */
+            self.throttle = new pb.LoginThrottleService({site: self.site});
+
+            cb(err, true);
+        };
+        UnlockUser.super_.prototype.init.apply(this, [context, init]);
+    };
+
+    UnlockUser.prototype.onPostParamsRetrieved = function(post, cb) {
+        var self = this;
+        var vars = this.pathVars;
+
+        var message = this.hasRequiredParams(vars, ['id']);
+        if(message) {
+            self.formError(message, '/admin/users', cb);
+            return;
+        }
+
+        //find the user
+        this.service.get(vars.id, function(err, user) {
+            if(util.isError(err) || user === null) {
+                return self.formError(self.ls.g('generic.ERROR_SAVING'), '/admin/users', cb);
+            }
+
+            self.throttle.unlock(user, self.session.authentication.user, function(err, unlocked) {
+                if (util.isError(err)) {
+                    pb.log.error('UnlockUser: Failed to unlock user %s: %s', vars.id, err.stack);
+                    return self.formError(self.ls.g('generic.ERROR_SAVING'), '/admin/users/' + vars.id, cb);
+                }
+
+                self.session.success = self.ls.g(unlocked ? 'users.USER_UNLOCKED' : 'users.USER_NOT_LOCKED');
+                self.redirect('/admin/users/' + vars.id, cb);
+            });
+        });
+    };
+
+    //exports
+    return UnlockUser;
+};
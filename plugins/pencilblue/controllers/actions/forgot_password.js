@@ -44,6 +44,35 @@ module.exports = function ForgotPasswordControllerModule(pb) {
             return;
         }
 
+        //limit the number of reset emails that can be requested
+        var throttle = new pb.LoginThrottleService({scope: pb.LoginThrottleService.SCOPES.PASSWORD_RESET, site: self.site});
+        var ip = pb.RequestHandler.getClientIp(this.req);
+        throttle.getStatus(post.username, ip, function(err, status) {
+            if (util.isError(err)) {
+                return self.formError(err.message, returnURL, cb);
+            }
+            else if (status.locked) {
+                return self.formError(self.ls.get('TOO_MANY_RESET_REQUESTS', Math.ceil(status.retryAfter / 60)), returnURL, cb);
+            }
+
+            throttle.recordAttempt(post.username, ip, function(err) {
+                if (util.isError(err)) {
+                    return self.formError(err.message, returnURL, cb);
+                }
+                self.sendReset(post, returnURL, cb);
+            });
+        });
+    };
+
+    /**
+     * Creates the password reset record for the user and sends the email
+     * @method sendReset
+     * @param {Object} post
+     * @param {String} returnURL
+     * @param {Function} cb
+     */
+    ForgotPasswordController.prototype.sendReset = function(post, returnURL, cb) {
+        var self = this;
         var query = {
             object_type : 'user',
             $or : [
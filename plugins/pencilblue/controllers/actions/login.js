@@ -40,26 +40,102 @@ module.exports = function LoginActionControllerModule(pb) {
     LoginActionController.prototype.onPostParamsRetrieved = function(post, cb) {
         var self         = this;
         var adminAttempt = this.query.admin_attempt ? true : false;
+        var ip           = pb.RequestHandler.getClientIp(this.req);
+        var throttle     = new pb.LoginThrottleService({site: self.site});
 
-        var options = post;
-        options.access_level = adminAttempt ? pb.SecurityService.ACCESS_WRITER : pb.SecurityService.ACCESS_USER;
-        options.site = self.site;
-        pb.security.authenticateSession(this.session, options, new FormAuthentication(), function(err, user) {
-            if(util.isError(err) || user === null)  {
-                self.loginError(adminAttempt, cb);
-                return;
+        throttle.getStatus(post.username, ip, function(err, status) {
+            if (util.isError(err)) {
+                pb.log.error('LoginActionController: Failed to check the lockout status: %s', err.stack);
+            }
+            else if (status.locked) {
+                return self.lockoutError(adminAttempt, status.retryAfter, cb);
             }
 
-            //redirect
-            var location = '/';
-            if (self.session.on_login !== undefined) {
-                location = self.session.on_login;
-                delete self.session.on_login;
+            var options = post;
+            options.access_level = adminAttempt ? pb.SecurityService.ACCESS_WRITER : pb.SecurityService.ACCESS_USER;
+            options.site = self.site;
+            pb.security.authenticateSession(self.session, options, new FormAuthentication(), function(err, user) {
+                if(util.isError(err) || user === null)  {
+                    return self.onLoginFailure(throttle, post.username, ip, adminAttempt, cb);
+                }
+
+                //the password was valid but a second factor is required
+                var pending = pb.security.getPendingSecondFactor(self.session);
+                if (pending) {
+                    pending.identifier    = post.username;
+                    pending.admin_attempt = adminAttempt;
+                    return self.redirect(adminAttempt ? '/admin/login/two_factor' : '/user/login/two_factor', cb);
+                }
+                self.onLoginSuccess(throttle, post.username, user, adminAttempt, cb);
+            });
+        });
+    };
+
+    /**
+     * Clears the failed attempts and redirects the user.  When the site
+     * requires a second factor that the user has not enrolled the user is
+     * sent to enrol before anything else.
+     * @method onLoginSuccess
+     * @param {LoginThrottleService} throttle
+     * @param {String} identifier
+     * @param {Object} user
+     * @param {Boolean} adminAttempt
+     * @param {Function} cb
+     */
+    LoginActionController.prototype.onLoginSuccess = function(throttle, identifier, user, adminAttempt, cb) {
+        var self = this;
+        throttle.reset(identifier, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('LoginActionController: Failed to reset the failed login attempts: %s', err.stack);
             }
-            else if(adminAttempt) {
-                location = '/admin';
+
+            var twoFactorService = new pb.TwoFactorService({site: self.site});
+            twoFactorService.isRequired(user, function(err, required) {
+                if (util.isError(err)) {
+                    pb.log.error('LoginActionController: Failed to determine if a second factor is required: %s', err.stack);
+                }
+                else if (required && !pb.TwoFactorService.isEnabled(user)) {
+                    self.session.authentication.two_factor_enrolment = true;
+                    return self.redirect('/user/manage_account/two_factor', cb);
+                }
+
+                //redirect
+                var location = '/';
+                if (self.session.on_login !== undefined) {
+                    location = self.session.on_login;
+                    delete self.session.on_login;
+                }
+                else if(adminAttempt) {
+                    location = '/admin';
+                }
+                self.redirect(location, cb);
+            });
+        });
+    };
+
+    /**
+     * Records the failed attempt and responds after the progressive delay
+     * @method onLoginFailure
+     * @param {LoginThrottleService} throttle
+     * @param {String} identifier
+     * @param {String} ip
+     * @param {Boolean} adminAttempt
+     * @param {Function} cb
+     */
+    LoginActionController.prototype.onLoginFailure = function(throttle, identifier, ip, adminAttempt, cb) {
+        var self = this;
+        throttle.recordAttempt(identifier, ip, function(err, result) {
+            if (util.isError(err)) {
+                pb.log.error('LoginActionController: Failed to record the failed login attempt: %s', err.stack);
+                return self.loginError(adminAttempt, cb);
             }
-            self.redirect(location, cb);
+
+            setTimeout(function() {
+                if (result.locked) {
+                    return self.lockoutError(adminAttempt, throttle.getOptions().lockout, cb);
+                }
+                self.loginError(adminAttempt, cb);
+            }, result.delay);
         });
     };
 
@@ -73,6 +149,20 @@ module.exports = function LoginActionControllerModule(pb) {
         this.redirect('/user/login', cb);
     };
 
+    /**
+     * Redirects back to the login form with a message indicating that too
+     * many attempts have been made
+     * @method lockoutError
+     * @param {Boolean} adminAttempt
+     * @param {Integer} retryAfter The number of seconds until the lockout
+     * expires
+     * @param {Function} cb
+     */
+    LoginActionController.prototype.lockoutError = function(adminAttempt, retryAfter, cb) {
+        this.session.error = this.ls.get('TOO_MANY_LOGIN_ATTEMPTS', Math.ceil(retryAfter / 60));
+        this.redirect(adminAttempt ? '/admin/login' : '/user/login', cb);
+    };
+
     //exports
     return LoginActionController;
 };
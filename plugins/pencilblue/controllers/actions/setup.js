@@ -118,10 +118,18 @@ module.exports = function SetupActionControllerModule(pb) {
         //do setup events
         var tasks = [
             function(callback) {
-                var userDocument = pb.DocumentCreator.create('user', post);
-
-                var dao = new pb.SiteQueryService({site: pb.SiteService.GLOBAL_SITE});
-                dao.save(userDocument, callback);
+                pb.security.hashPassword(post.password, function(err, hash) {
+                    if (util.isError(err)) {
+                        return callback(err);
+                    }
+
+                    delete post.password;
+                    var userDocument = pb.DocumentCreator.create('user', post);
+                    userDocument.password = hash;
+
+                    var dao = new pb.SiteQueryService({site: pb.SiteService.GLOBAL_SITE});
+                    dao.save(userDocument, callback);
+                });
             },
             function(callback) {
                 pb.settings.set('active_theme',
@@ -0,0 +1,147 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function TwoFactorLoginActionControllerModule(pb) {
+
+    //dependencies
+    var util             = pb.util;
+    var TwoFactorService = pb.TwoFactorService;
+
+    /**
+     * Completes a login that is waiting on a second factor.  Failed codes
+     * count against the same limits as failed passwords.
+     * @class TwoFactorLoginActionController
+     * @constructor
+     * @extends FormController
+     */
+    function TwoFactorLoginActionController(){}
+    util.inherits(TwoFactorLoginActionController, pb.FormController);
+
+    /**
+     *
+     * @method onPostParamsRetrieved
+     * @param {Object} post
+     * @param {Function} cb
+     */
+    TwoFactorLoginActionController.prototype.onPostParamsRetrieved = function(post, cb) {
+        var self    = this;
+        var pending = pb.security.getPendingSecondFactor(this.session);
+        if (!pending) {
+            this.session.error = this.ls.get('TWO_FACTOR_EXPIRED');
+            return this.redirect('/user/login', cb);
+        }
+
+        var ip       = pb.RequestHandler.getClientIp(this.req);
+        var throttle = new pb.LoginThrottleService({site: this.site});
+        throttle.getStatus(pending.identifier, ip, function(err, status) {
+            if (util.isError(err)) {
+                pb.log.error('TwoFactorLoginActionController: Failed to check the lockout status: %s', err.stack);
+            }
+            else if (status.locked) {
+                return self.lockoutError(pending, status.retryAfter, cb);
+            }
+
+            var dao = new pb.DAO();
+            dao.loadById(pending.user_id, 'user', function(err, user) {
+                if (util.isError(err) || !user) {
+                    delete self.session.authentication.two_factor;
+                    self.session.error = self.ls.get('TWO_FACTOR_EXPIRED');
+                    return self.redirect(self.getLoginUrl(pending), cb);
+                }
+
+                var service = new TwoFactorService({site: self.site});
+                service.verify(user, post.code, function(err, isValid) {
+                    if (util.isError(err) || !isValid) {
+                        return self.onVerifyFailure(throttle, pending, ip, cb);
+                    }
+
+                    pb.security.completeAuthentication(self.session, user);
+                    throttle.reset(pending.identifier, function(err) {
+                        if (util.isError(err)) {
+                            pb.log.error('TwoFactorLoginActionController: Failed to reset the failed login attempts: %s', err.stack);
+                        }
+
+                        //redirect
+                        var location = '/';
+                        if (self.session.on_login !== undefined) {
+                            location = self.session.on_login;
+                            delete self.session.on_login;
+                        }
+                        else if(pending.admin_attempt) {
+                            location = '/admin';
+                        }
+                        self.redirect(location, cb);
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Records the failed attempt and responds after the progressive delay
+     * @method onVerifyFailure
+     * @param {LoginThrottleService} throttle
+     * @param {Object} pending
+     * @param {String} ip
+     * @param {Function} cb
+     */
+    TwoFactorLoginActionController.prototype.onVerifyFailure = function(throttle, pending, ip, cb) {
+        var self = this;
+        throttle.recordAttempt(pending.identifier, ip, function(err, result) {
+            if (util.isError(err)) {
+                pb.log.error('TwoFactorLoginActionController: Failed to record the failed attempt: %s', err.stack);
+                result = {delay: 0, locked: false};
+            }
+
+            setTimeout(function() {
+                if (result.locked) {
+                    return self.lockoutError(pending, throttle.getOptions().lockout, cb);
+                }
+
+                self.session.error = self.ls.get('INVALID_AUTHENTICATION_CODE');
+                self.redirect(pending.admin_attempt ? '/admin/login/two_factor' : '/user/login/two_factor', cb);
+            }, result.delay);
+        });
+    };
+
+    /**
+     * Abandons the pending login and redirects back to the login form with a
+     * message indicating that too many attempts have been made
+     * @method lockoutError
+     * @param {Object} pending
+     * @param {Integer} retryAfter The number of seconds until the lockout
+     * expires
+     * @param {Function} cb
+     */
+    TwoFactorLoginActionController.prototype.lockoutError = function(pending, retryAfter, cb) {
+        delete this.session.authentication.two_factor;
+        this.session.error = this.ls.get('TOO_MANY_LOGIN_ATTEMPTS', Math.ceil(retryAfter / 60));
+        this.redirect(this.getLoginUrl(pending), cb);
+    };
+
+    /**
+     * @method getLoginUrl
+     * @param {Object} pending
+     * @return {String} The URL of the first step of the login
+     */
+    TwoFactorLoginActionController.prototype.getLoginUrl = function(pending) {
+        return pending.admin_attempt ? '/admin/login' : '/user/login';
+    };
+
+    //exports
+    return TwoFactorLoginActionController;
+};
@@ -53,9 +53,7 @@ module.exports = function(pb) {
       }
 
       var where = pb.DAO.getIdWhere(self.session.authentication.user[pb.DAO.getIdField()])
-      if(!self.session.authentication.reset_password) {
-        where.password = pb.security.encrypt(post.current_password);
-      }
+      var currentPassword = post.current_password;
       delete post.current_password;
 
       if(post.new_password !== post.confirm_password) {
@@ -66,7 +64,7 @@ module.exports = function(pb) {
         return;
       }
 
-      post.password = post.new_password;
+      var newPassword = post.new_password;
       delete post.new_password;
       delete post.confirm_password;
 
@@ -80,25 +78,61 @@ module.exports = function(pb) {
           return;
         }
 
-        pb.DocumentCreator.update(post, user);
-        dao.save(user, function(err, result) {
-          if(util.isError(err)) {
+        self.verifyCurrentPassword(currentPassword, user, function(err, isValid) {
+          if(util.isError(err) || !isValid) {
             cb({
-              code: 500,
-              content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.get('ERROR_SAVING'))
+              code: 400,
+              content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.get('INVALID_PASSWORD'))
             });
             return;
           }
 
-          self.session.authentication.reset_password = false;
-          cb({
-            content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.get('PASSWORD_CHANGED'))
+          pb.security.hashPassword(newPassword, function(err, hash) {
+            if(util.isError(err)) {
+              cb({
+                code: 500,
+                content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.get('ERROR_SAVING'))
+              });
+              return;
+            }
+
+            pb.DocumentCreator.update(post, user);
+            user.password = hash;
+            dao.save(user, function(err, result) {
+              if(util.isError(err)) {
+                cb({
+                  code: 500,
+                  content: pb.BaseController.apiResponse(pb.BaseController.API_ERROR, self.ls.get('ERROR_SAVING'))
+                });
+                return;
+              }
+
+              self.session.authentication.reset_password = false;
+              cb({
+                content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.get('PASSWORD_CHANGED'))
+              });
+            });
           });
         });
       });
     });
   };
 
+  /**
+  * Verifies the user's current password.  The check is skipped when the user
+  * arrived through a password reset link.
+  * @method verifyCurrentPassword
+  * @param {String} password
+  * @param {Object} user
+  * @param {Function} cb (Error, Boolean)
+  */
+  ChangePassword.prototype.verifyCurrentPassword = function(password, user, cb) {
+    if(this.session.authentication.reset_password) {
+      return cb(null, true);
+    }
+    pb.security.verifyPassword(password, user.password, cb);
+  };
+
   //exports
   return ChangePassword;
 };
@@ -143,6 +143,8 @@ module.exports = function(pb) {
             topics: data.topics,
             media: data.media,
             article: data.article,
+            workflow: pb.WorkflowService.getFormOptions(this.session, data.article),
+            translationOptions: pb.ContentTranslationService.getFormOptions('article', this.siteObj),
             siteKey: pb.SiteService.SITE_FIELD,
             site: self.site
         };
@@ -153,17 +155,27 @@ module.exports = function(pb) {
     };
 
     ArticleForm.getSubNavItems = function(key, ls, data) {
-        return [{
+        var pills = [{
             name: 'manage_articles',
             title: data.article[pb.DAO.getIdField()] ? ls.get('EDIT') + ' ' + data.article.headline : ls.get('NEW_ARTICLE'),
             icon: 'chevron-left',
             href: '/admin/content/articles'
-        }, {
+        }];
+        if (data.article[pb.DAO.getIdField()]) {
+            pills.push({
+                name: 'manage_revisions',
+                title: ls.get('REVISIONS'),
+                icon: 'history',
+                href: '/admin/content/revisions/articles/' + data.article[pb.DAO.getIdField()]
+            });
+        }
+        pills.push({
             name: 'new_article',
             title: '',
             icon: 'plus',
             href: '/admin/content/articles/new'
-        }];
+        });
+        return pills;
     };
 
     ArticleForm.prototype.getActivePill = function() {
@@ -241,6 +253,16 @@ module.exports = function(pb) {
                 href: '#seo',
                 icon: 'tasks',
                 title: this.ls.get('SEO')
+            },
+            {
+                href: '#workflow',
+                icon: 'exchange',
+                title: this.ls.get('WORKFLOW')
+            },
+            {
+                href: '#translations',
+                icon: 'language',
+                title: this.ls.get('TRANSLATIONS')
             }
         ];
     };
@@ -38,7 +38,8 @@ module.exports = function(pb) {
 
         var angularObjects = pb.ClientJs.getAngularObjects({
             navigation: pb.AdminNavigation.get(self.session, ['content', 'articles'], self.ls, self.site),
-            pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY)
+            pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY),
+            workflowStates: Object.keys(pb.WorkflowService.getStates())
         });
 
         self.setPageName(self.ls.g('articles.MANAGE_ARTICLES'));
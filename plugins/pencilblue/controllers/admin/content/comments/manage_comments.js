@@ -45,10 +45,11 @@ module.exports = function(pb) {
     ManageComments.prototype.render = function(cb) {
         var self = this;
 
-        //query for comments (limited to 500)
+        //query for comments (limited to 500), optionally narrowed by status
+        var status = pb.CommentService.isStatus(this.query.status) ? this.query.status : null;
         var opts = {
             select: pb.DAO.PROJECT_ALL,
-            where: pb.DAO.ANYWHERE,
+            where: ManageComments.getStatusWhere(status),
             order: {created: -1},
             limit: 500
         };
@@ -57,6 +58,11 @@ module.exports = function(pb) {
                 return self.reqHandler.serveError(err);
             }
 
+            //comments created before moderation have no status and are displayed
+            comments.forEach(function(comment) {
+                comment.status = comment.status || pb.CommentService.STATUSES.APPROVED;
+            });
+
             //retrieve the content settings or defaults if they have not yet been configured
             var contentService = new pb.ContentService({site: self.site});
             contentService.getSettings(function(err, contentSettings) {
@@ -73,6 +79,8 @@ module.exports = function(pb) {
                         navigation: pb.AdminNavigation.get(self.session, ['content', 'comments'], self.ls, self.site),
                         pills: pills,
                         comments: commentsWithDetails,
+                        statuses: pb.CommentService.STATUSES,
+                        status: status,
                         allowComments: contentSettings.allow_comments,
                         siteRoot: self.siteRoot
                     });
@@ -88,6 +96,25 @@ module.exports = function(pb) {
         });
     };
 
+    /**
+     * Builds the where clause that finds comments with the specified status
+     * @static
+     * @method getStatusWhere
+     * @param {String} [status]
+     * @return {Object}
+     */
+    ManageComments.getStatusWhere = function(status) {
+        if (!status) {
+            return pb.DAO.ANYWHERE;
+        }
+        else if (status === pb.CommentService.STATUSES.APPROVED) {
+            var where = {};
+            pb.CommentService.setVisibleClause(where);
+            return where;
+        }
+        return {status: status};
+    };
+
     /**
      *
      * @method getCommentDetails
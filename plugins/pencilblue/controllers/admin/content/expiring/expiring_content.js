@@ -0,0 +1,113 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var async = require('async');
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Interface for reviewing the articles and pages that will expire soon
+     * @class ExpiringContent
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function ExpiringContent(){}
+    util.inherits(ExpiringContent, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'expiring_content';
+
+    ExpiringContent.prototype.render = function(cb) {
+        var self = this;
+
+        var days = pb.config.expiry.expiring_soon;
+        var tasks = {
+            articles: function(callback) {
+                var service = new pb.ArticleServiceV2(self.getServiceContext());
+                service.getExpiring(days, callback);
+            },
+            pages: function(callback) {
+                var service = new pb.PageService(self.getServiceContext());
+                service.getExpiring(days, callback);
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return self.reqHandler.serveError(err);
+            }
+
+            var content = ExpiringContent.summarize('article', results.articles)
+                .concat(ExpiringContent.summarize('page', results.pages))
+                .sort(function(a, b) {
+                    return a.expiry_date - b.expiry_date;
+                });
+
+            var angularObjects = pb.ClientJs.getAngularObjects({
+                navigation: pb.AdminNavigation.get(self.session, ['content', 'expiring'], self.ls, self.site),
+                pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY),
+                content: content,
+                days: days
+            });
+
+            self.setPageName(self.ls.g('admin.EXPIRING_CONTENT'));
+            self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+            self.ts.load('admin/content/expiring/expiring_content', function(err, result) {
+                cb({content: result});
+            });
+        });
+    };
+
+    /**
+     * Reduces each article or page to the properties needed for the listing
+     * @static
+     * @method summarize
+     * @param {String} type Either "article" or "page"
+     * @param {Array} content
+     * @return {Array}
+     */
+    ExpiringContent.summarize = function(type, content) {
+        return content.map(function(item) {
+            var id = item[pb.DAO.getIdField()];
+            return {
+                type: type,
+                headline: item.headline,
+                url: item.url,
+                expiry_date: item.expiry_date,
+                edit_url: '/admin/content/' + type + 's/' + id
+            };
+        });
+    };
+
+    ExpiringContent.getSubNavItems = function(key, ls, data) {
+        return [{
+            name: SUB_NAV_KEY,
+            title: ls.g('admin.EXPIRING_CONTENT'),
+            icon: 'refresh',
+            href: '/admin/content/expiring'
+        }];
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, ExpiringContent.getSubNavItems);
+
+    //exports
+    return ExpiringContent;
+};
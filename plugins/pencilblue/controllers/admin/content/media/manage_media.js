@@ -15,6 +15,9 @@
     along with this program.  If not, see <http://www.gnu.org/licenses/>.
 */
 
+//dependencies
+var async = require('async');
+
 module.exports = function(pb) {
     
     //pb dependencies
@@ -29,38 +32,78 @@ module.exports = function(pb) {
     //statics
     var SUB_NAV_KEY = 'manage_media';
 
+    /**
+     * The query parameters that filter the media
+     * @private
+     * @static
+     * @readonly
+     * @property FILTER_PARAMS
+     * @type {Array}
+     */
+    var FILTER_PARAMS = ['folder', 'recursive', 'tags', 'type', 'uploader', 'from', 'to'];
+
     ManageMedia.prototype.render = function(cb) {
         var self = this;
+        var filters = ManageMedia.getFilters(this.query);
         var options = {
             select: {
                 name: 1,
                 caption: 1,
                 last_modified: 1,
                 media_type: 1,
-                location: 1
+                location: 1,
+                folder: 1,
+                tags: 1,
+                uploader: 1
             },
+            where: ManageMedia.getWhere(filters),
             order: {created: pb.DAO.DESC},
             format_media: true
         };
         var mediaService = new pb.MediaService(null, self.site, true);
         mediaService.get(options, function(err, mediaData) {
-            if(util.isError(mediaData) || mediaData.length === 0) {
+            if(util.isError(mediaData) || (mediaData.length === 0 && !ManageMedia.hasFilters(filters))) {
                 self.redirect('/admin/content/media/new', cb);
                 return;
             }
 
-            self.getAngularObjects(mediaData, function(angularObjects) {
-                var title = self.ls.get('MANAGE_MEDIA');
-                self.setPageName(title);
-                self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
-                self.ts.load('admin/content/media/manage_media', function(err, result) {
-                    cb({content: result});
+            var tasks = {
+                facets: util.wrapTask(mediaService, mediaService.getFacets),
+                usage: function(callback) {
+                    var service = new pb.MediaUsageService({site: self.site});
+                    service.countUsage(mediaData.map(function(item) {
+                        return item[pb.DAO.getIdField()];
+                    }), callback);
+                }
+            };
+            async.parallel(tasks, function(err, results) {
+                if (util.isError(err)) {
+                    return self.reqHandler.serveError(err);
+                }
+
+                mediaData.forEach(function(item) {
+                    item.usage_count = results.usage[item[pb.DAO.getIdField()] + ''] || 0;
+                });
+                self.getUploaders(results.facets.uploaders, function(err, uploaders) {
+                    if (util.isError(err)) {
+                        return self.reqHandler.serveError(err);
+                    }
+
+                    results.facets.uploaders = uploaders;
+                    self.getAngularObjects(mediaData, filters, results.facets, function(angularObjects) {
+                        var title = self.ls.get('MANAGE_MEDIA');
+                        self.setPageName(title);
+                        self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+                        self.ts.load('admin/content/media/manage_media', function(err, result) {
+                            cb({content: result});
+                        });
+                    });
                 });
             });
         });
     };
 
-    ManageMedia.prototype.getAngularObjects = function(mediaData, cb) {
+    ManageMedia.prototype.getAngularObjects = function(mediaData, filters, facets, cb) {
         var self = this;
         pb.AdminSubnavService.getWithSite(SUB_NAV_KEY, self.ls, SUB_NAV_KEY, {site: self.site}, function(err, pills) {
             //Log error. Don't return
@@ -73,13 +116,127 @@ module.exports = function(pb) {
                 {
                     navigation: pb.AdminNavigation.get(self.session, ['content', 'media'], self.ls, self.site),
                     pills: pills,
-                    media: pb.MediaService.formatMedia(mediaData)
+                    media: pb.MediaService.formatMedia(mediaData),
+                    filters: filters,
+                    folders: facets.folders,
+                    tags: facets.tags,
+                    types: facets.types,
+                    uploaders: facets.uploaders
                 });
             //TODO: err first arg for style. User experience error when no pills?
             cb(angularObjects);
         });
     };
 
+    /**
+     * Loads the names of the users who added media
+     * @method getUploaders
+     * @param {Array} userIds
+     * @param {Function} cb A callback that provides two parameters: an Error, if
+     * occurred, and an array of objects with the user's "id" and "name"
+     */
+    ManageMedia.prototype.getUploaders = function(userIds, cb) {
+        if (userIds.length === 0) {
+            return cb(null, []);
+        }
+
+        var opts = {
+            select: {
+                username: 1,
+                first_name: 1,
+                last_name: 1
+            },
+            where: pb.DAO.getIdInWhere(userIds),
+            order: {username: pb.DAO.ASC}
+        };
+        var userService = new pb.UserService(this.getServiceContext());
+        var dao = new pb.DAO();
+        dao.q('user', opts, function(err, users) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, users.map(function(user) {
+                return {
+                    id: user[pb.DAO.getIdField()] + '',
+                    name: userService.getFormattedName(user)
+                };
+            }));
+        });
+    };
+
+    /**
+     * Extracts the media filters from the query string
+     * @static
+     * @method getFilters
+     * @param {Object} query
+     * @return {Object}
+     */
+    ManageMedia.getFilters = function(query) {
+        var filters = {};
+        FILTER_PARAMS.forEach(function(param) {
+            filters[param] = util.isString(query[param]) ? query[param].trim() : '';
+        });
+        filters.recursive = filters.recursive === 'true';
+        return filters;
+    };
+
+    /**
+     * Determines if any of the filters are applied
+     * @static
+     * @method hasFilters
+     * @param {Object} filters
+     * @return {Boolean}
+     */
+    ManageMedia.hasFilters = function(filters) {
+        return FILTER_PARAMS.some(function(param) {
+            return param !== 'recursive' && filters[param].length > 0;
+        });
+    };
+
+    /**
+     * Builds the query for the filters.  The dates are expected to be formatted
+     * as YYYY-MM-DD and both are inclusive.
+     * @static
+     * @method getWhere
+     * @param {Object} filters
+     * @return {Object}
+     */
+    ManageMedia.getWhere = function(filters) {
+        var from = ManageMedia.parseDate(filters.from);
+        var to   = ManageMedia.parseDate(filters.to);
+        if (to) {
+            to.setUTCDate(to.getUTCDate() + 1);
+            to.setTime(to.getTime() - 1);
+        }
+
+        return pb.MediaService.getFilterWhere({
+            folder: filters.folder,
+            recursive: filters.recursive,
+            tags: filters.tags,
+            type: filters.type || null,
+            uploader: filters.uploader,
+            from: from,
+            to: to
+        });
+    };
+
+    /**
+     * Parses a date formatted as YYYY-MM-DD
+     * @static
+     * @method parseDate
+     * @param {String} value
+     * @return {Date} The start of the day in UTC or NULL when the value is not
+     * a valid date
+     */
+    ManageMedia.parseDate = function(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return null;
+        }
+
+        var date = new Date(value + 'T00:00:00Z');
+        return isNaN(date.getTime()) ? null : date;
+    };
+
     ManageMedia.getSubNavItems = function(key, ls, data) {
         return [{
             name: 'manage_media',
@@ -53,6 +53,11 @@ module.exports = function(pb) {
 
             self.media = data.media;
             data.media.media_topics = self.getMediaTopics(data);
+            data.folders = data.facets.folders;
+            data.tags = data.facets.tags.map(function(tag) {
+                return tag.name;
+            });
+            delete data.facets;
             self.getAngularObjects(data, function(angularObjects) {
                 self.setPageName(self.media[pb.DAO.getIdField()] ? self.media.name : self.ls.get('NEW_MEDIA'));
                 self.ts.registerLocal('acceptable_extensions', function(flag, cb) {
@@ -109,6 +114,13 @@ module.exports = function(pb) {
                     icon: 'tags',
                     title: self.ls.get('TOPICS')
                 }];
+                if (vars.id) {
+                    tabs.push({
+                        href: '#where_used',
+                        icon: 'link',
+                        title: self.ls.get('WHERE_USED')
+                    });
+                }
                 callback(null, tabs);
             },
 
@@ -129,12 +141,28 @@ module.exports = function(pb) {
                 if(!vars.id) {
                     return callback(null, {
                         media_topics: [],
+                        folder: pb.MediaService.ROOT_FOLDER,
+                        tags: [],
                         site: self.site
                     });
                 }
 
                 var mediaService = new pb.MediaService(null, self.site, true);
                 mediaService.loadById(vars.id, callback);
+            },
+
+            facets: function(callback) {
+                var mediaService = new pb.MediaService(null, self.site, true);
+                mediaService.getFacets(callback);
+            },
+
+            usage: function(callback) {
+                if(!vars.id) {
+                    return callback(null, []);
+                }
+
+                var service = new pb.MediaUsageService({site: self.site});
+                service.getUsage(vars.id, callback);
             }
         };
         async.series(tasks, cb);
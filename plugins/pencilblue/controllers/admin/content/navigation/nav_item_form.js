@@ -102,6 +102,11 @@ module.exports = function(pb) {
                         href: '#section_settings',
                         icon: 'cog',
                         title: self.ls.get('SETTINGS')
+                    },
+                    {
+                        href: '#translations',
+                        icon: 'language',
+                        title: self.ls.get('TRANSLATIONS')
                     }
                 ];
                 callback(null, tabs);
@@ -115,6 +120,10 @@ module.exports = function(pb) {
                 callback(null, SectionService.getTypes(self.ls));
             },
 
+            translationOptions: function(callback) {
+                callback(null, pb.ContentTranslationService.getFormOptions('section', self.siteObj));
+            },
+
             navItem: function(callback) {
                 if(!vars.id) {
                     var navItem = {
@@ -242,20 +242,29 @@ module.exports = function(pb) {
     };
 
     ObjectFormController.getSubNavItems = function(key, ls, data) {
-        return [
+        var pills = [
             {
                 name: 'manage_objects',
                 title: data.customObject[pb.DAO.getIdField()] ? ls.get('EDIT') + ' ' + data.customObject.name : ls.get('NEW') + ' ' + data.objectType.name + ' ' + ls.get('OBJECT'),
                 icon: 'chevron-left',
                 href: '/admin/content/objects/' + data.objectType[pb.DAO.getIdField()]
-            },
-            {
-                name: 'new_object',
-                title: '',
-                icon: 'plus',
-                href: '/admin/content/objects/' + data.objectType[pb.DAO.getIdField()] + '/new'
             }
         ];
+        if (data.customObject[pb.DAO.getIdField()]) {
+            pills.push({
+                name: 'manage_revisions',
+                title: ls.get('REVISIONS'),
+                icon: 'history',
+                href: '/admin/content/revisions/objects/' + data.customObject[pb.DAO.getIdField()]
+            });
+        }
+        pills.push({
+            name: 'new_object',
+            title: '',
+            icon: 'plus',
+            href: '/admin/content/objects/' + data.objectType[pb.DAO.getIdField()] + '/new'
+        });
+        return pills;
     };
 
     //register admin sub-nav
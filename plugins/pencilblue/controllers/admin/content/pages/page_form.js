@@ -129,6 +129,8 @@ module.exports = function(pb) {
             topics: data.topics,
             media: data.media,
             page: data.page,
+            workflow: pb.WorkflowService.getFormOptions(this.session, data.page),
+            translationOptions: pb.ContentTranslationService.getFormOptions('page', this.siteObj),
             siteKey: pb.SiteService.SITE_FIELD,
             site: self.site
         };
@@ -144,17 +146,27 @@ module.exports = function(pb) {
      *
      */
     PageFormController.getSubNavItems = function(key, ls, data) {
-        return [{
+        var pills = [{
             name: 'manage_pages',
             title: data.page[pb.DAO.getIdField()] ? ls.get('EDIT') + ' ' + data.page.headline : ls.get('NEW_PAGE'),
             icon: 'chevron-left',
             href: '/admin/content/pages'
-        }, {
+        }];
+        if (data.page[pb.DAO.getIdField()]) {
+            pills.push({
+                name: 'manage_revisions',
+                title: ls.get('REVISIONS'),
+                icon: 'history',
+                href: '/admin/content/revisions/pages/' + data.page[pb.DAO.getIdField()]
+            });
+        }
+        pills.push({
             name: 'new_page',
             title: '',
             icon: 'plus',
             href: '/admin/content/pages/new'
-        }];
+        });
+        return pills;
     };
 
     /**
@@ -241,6 +253,16 @@ module.exports = function(pb) {
                 href: '#seo',
                 icon: 'tasks',
                 title: this.ls.get('SEO')
+            },
+            {
+                href: '#workflow',
+                icon: 'exchange',
+                title: this.ls.get('WORKFLOW')
+            },
+            {
+                href: '#translations',
+                icon: 'language',
+                title: this.ls.get('TRANSLATIONS')
             }
         ];
     };
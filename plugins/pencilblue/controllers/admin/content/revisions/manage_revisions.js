@@ -0,0 +1,119 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Interface for reviewing and restoring the revisions of an article, page,
+     * or custom object
+     * @class ManageRevisions
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function ManageRevisions(){}
+    util.inherits(ManageRevisions, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'manage_revisions';
+
+    /**
+     * Describes each content type that has revisions: the object type, the
+     * field used as the display name, and the admin navigation item
+     * @private
+     * @static
+     * @readonly
+     * @property CONTENT_TYPES
+     * @type {Object}
+     */
+    var CONTENT_TYPES = Object.freeze({
+        articles: {objectType: 'article', nameField: 'headline', navItem: 'articles'},
+        pages: {objectType: 'page', nameField: 'headline', navItem: 'pages'},
+        objects: {objectType: 'custom_object', nameField: 'name', navItem: 'custom_objects'}
+    });
+
+    ManageRevisions.prototype.render = function(cb) {
+        var self       = this;
+        var vars       = this.pathVars;
+        var descriptor = CONTENT_TYPES.hasOwnProperty(vars.contentType) ? CONTENT_TYPES[vars.contentType] : null;
+        if (descriptor === null || !pb.validation.isIdStr(vars.id, true)) {
+            return this.reqHandler.serve404();
+        }
+        else if (!pb.RevisionService.isAuthorized(this.session, descriptor.objectType)) {
+            return this.reqHandler.serveError(pb.BaseObjectService.forbiddenError());
+        }
+
+        this.siteQueryService.loadById(vars.id, descriptor.objectType, function(err, obj) {
+            if (util.isError(err)) {
+                return self.reqHandler.serveError(err);
+            }
+            else if (!util.isObject(obj)) {
+                return self.reqHandler.serve404();
+            }
+
+            var data = {
+                contentType: vars.contentType,
+                name: obj[descriptor.nameField],
+                editUrl: ManageRevisions.getEditUrl(vars.contentType, obj)
+            };
+            var angularObjects = pb.ClientJs.getAngularObjects({
+                navigation: pb.AdminNavigation.get(self.session, ['content', descriptor.navItem], self.ls, self.site),
+                pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY, data),
+                contentType: vars.contentType,
+                objectId: vars.id
+            });
+
+            self.setPageName(self.ls.get('REVISION_HISTORY') + ' - ' + data.name);
+            self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+            self.ts.load('admin/content/revisions/manage_revisions', function(err, result) {
+                cb({content: result});
+            });
+        });
+    };
+
+    /**
+     * @static
+     * @method getEditUrl
+     * @param {String} contentType
+     * @param {Object} obj
+     * @return {String} The URL of the admin form used to edit the object
+     */
+    ManageRevisions.getEditUrl = function(contentType, obj) {
+        var id = obj[pb.DAO.getIdField()] + '';
+        if (contentType === 'objects') {
+            return pb.UrlService.urlJoin('/admin/content/objects', obj.type, id);
+        }
+        return pb.UrlService.urlJoin('/admin/content', contentType, id);
+    };
+
+    ManageRevisions.getSubNavItems = function(key, ls, data) {
+        return [{
+            name: SUB_NAV_KEY,
+            title: ls.get('REVISION_HISTORY') + ' - ' + data.name,
+            icon: 'chevron-left',
+            href: data.editUrl
+        }];
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, ManageRevisions.getSubNavItems);
+
+    //exports
+    return ManageRevisions;
+};
@@ -69,6 +69,11 @@ module.exports = function(pb) {
                         href: '#topic_settings',
                         icon: 'cog',
                         title: self.ls.get('SETTINGS')
+                    },
+                    {
+                        href: '#translations',
+                        icon: 'language',
+                        title: self.ls.get('TRANSLATIONS')
                     }
                 ];
                 callback(null, tabs);
@@ -78,6 +83,10 @@ module.exports = function(pb) {
                 callback(null, pb.AdminNavigation.get(self.session, ['content', 'topics'], self.ls, self.site));
             },
 
+            translationOptions: function(callback) {
+                callback(null, pb.ContentTranslationService.getFormOptions('topic', self.siteObj));
+            },
+
             topic: function(callback) {
                 if(!vars.id) {
                     callback(null, {});
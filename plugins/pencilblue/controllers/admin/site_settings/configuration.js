@@ -90,6 +90,11 @@ module.exports = function(pb) {
             title: ls.get('EMAIL'),
             icon: 'envelope',
             href: '/admin/site_settings/email'
+        }, {
+            name: 'security',
+            title: ls.get('SECURITY'),
+            icon: 'lock',
+            href: '/admin/site_settings/security'
         }];
 
         if(data && data.site === pb.SiteService.GLOBAL_SITE) {
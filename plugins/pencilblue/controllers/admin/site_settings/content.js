@@ -54,6 +54,11 @@ module.exports = function(pb) {
                 href: '#comments',
                 icon: 'comment',
                 title: self.ls.get('COMMENTS')
+            },
+            {
+                href: '#feeds',
+                icon: 'rss',
+                title: self.ls.get('FEEDS')
             }
         ];
 
@@ -86,6 +91,11 @@ module.exports = function(pb) {
             title: ls.get('EMAIL'),
             icon: 'envelope',
             href: '/admin/site_settings/email'
+        }, {
+            name: 'security',
+            title: ls.get('SECURITY'),
+            icon: 'lock',
+            href: '/admin/site_settings/security'
         }];
 
         if (data.site === pb.SiteService.GLOBAL_SITE) {
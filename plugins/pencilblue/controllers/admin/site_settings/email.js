@@ -81,6 +81,11 @@ module.exports = function(pb) {
             title: ls.get('CONTENT'),
             icon: 'quote-right',
             href: '/admin/site_settings/content'
+        }, {
+            name: 'security',
+            title: ls.get('SECURITY'),
+            icon: 'lock',
+            href: '/admin/site_settings/security'
         }];
 
         if(data && data.site === SiteService.GLOBAL_SITE) {
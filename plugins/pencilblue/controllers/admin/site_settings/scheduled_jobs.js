@@ -0,0 +1,77 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Interface for managing the recurring jobs of the cluster
+     * @class ScheduledJobs
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function ScheduledJobs(){}
+    util.inherits(ScheduledJobs, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'scheduled_jobs';
+
+    ScheduledJobs.prototype.render = function(cb) {
+        var self = this;
+
+        //jobs belong to the cluster so they are only managed from the global site
+        if (!pb.SiteService.isGlobal(this.site)) {
+            return this.reqHandler.serve404();
+        }
+
+        pb.JobScheduler.getSchedules(function(err, schedules) {
+            if (util.isError(err)) {
+                return self.reqHandler.serveError(err);
+            }
+
+            var angularObjects = pb.ClientJs.getAngularObjects({
+                navigation: pb.AdminNavigation.get(self.session, ['settings', 'scheduled_jobs'], self.ls, self.site),
+                pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY),
+                schedules: schedules,
+                schedulerEnabled: pb.config.scheduler.enabled
+            });
+
+            self.setPageName(self.ls.get('SCHEDULED_JOBS'));
+            self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+            self.ts.load('admin/site_settings/scheduled_jobs', function(err, result){
+                cb({content: result});
+            });
+        });
+    };
+
+    ScheduledJobs.getSubNavItems = function(key, ls, data) {
+        return [{
+            name: SUB_NAV_KEY,
+            title: ls.get('SCHEDULED_JOBS'),
+            icon: 'clock-o',
+            href: '/admin/site_settings/scheduled_jobs'
+        }];
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, ScheduledJobs.getSubNavItems);
+
+    //exports
+    return ScheduledJobs;
+};
@@ -0,0 +1,139 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+//dependencies
+var async = require('async');
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+    var SiteService = pb.SiteService;
+    var TwoFactorService = pb.TwoFactorService;
+
+    /**
+     * Interface for the site's security settings
+     */
+    function Security(){}
+    util.inherits(Security, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'site_security_settings';
+
+    Security.prototype.render = function(cb) {
+        var self = this;
+        var tabs =
+        [
+            {
+                active: 'active',
+                href: '#two_factor',
+                icon: 'mobile',
+                title: self.ls.get('TWO_FACTOR_AUTHENTICATION')
+            },
+            {
+                href: '#uploads',
+                icon: 'upload',
+                title: self.ls.get('UPLOADS')
+            }
+        ];
+
+        var tasks = {
+            securitySettings: function(callback) {
+                var service = new TwoFactorService({site: self.site});
+                service.getSettings(callback);
+            },
+            uploadSettings: function(callback) {
+                var service = new pb.MediaUploadService({site: self.site});
+                service.getSettings(callback);
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return self.reqHandler.serveError(err);
+            }
+
+            var uploadSettings = results.uploadSettings;
+            ['allowed_extensions', 'denied_extensions', 'allowed_mime_types', 'denied_mime_types'].forEach(function(key) {
+                uploadSettings[key] = uploadSettings[key].join(', ');
+            });
+
+            //users must be at least writers to upload media
+            var roleNames = pb.SecurityService.getRoleToDisplayNameMap(self.ls);
+            var roles = ['ACCESS_WRITER', 'ACCESS_EDITOR', 'ACCESS_MANAGING_EDITOR', 'ACCESS_ADMINISTRATOR'].map(function(role) {
+                return {name: role, title: roleNames[role]};
+            });
+
+            var angularObjects = pb.ClientJs.getAngularObjects({
+                navigation: pb.AdminNavigation.get(self.session, ['settings', 'site_settings'], self.ls, self.site),
+                pills: self.getAdminPills(SUB_NAV_KEY, self.ls, 'security', { site: self.site }),
+                tabs: tabs,
+                securitySettings: results.securitySettings,
+                uploadSettings: uploadSettings,
+                roles: roles,
+                defaultMaxSize: pb.config.media.max_upload_size,
+                requiredLevels: [
+                    {name: self.ls.get('TWO_FACTOR_OPTIONAL'), value: null},
+                    {name: self.ls.get('TWO_FACTOR_MANAGING_EDITORS'), value: pb.SecurityService.ACCESS_MANAGING_EDITOR},
+                    {name: self.ls.get('TWO_FACTOR_ADMINISTRATORS'), value: pb.SecurityService.ACCESS_ADMINISTRATOR}
+                ]
+            });
+
+            self.setPageName(self.ls.get('SECURITY'));
+            self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+            self.ts.load('admin/site_settings/security', function(err, result) {
+                cb({content: result});
+            });
+        });
+    };
+
+    Security.getSubNavItems = function(key, ls, data) {
+
+        var pills = [{
+            name: 'configuration',
+            title: ls.get('SECURITY'),
+            icon: 'chevron-left',
+            href: '/admin/site_settings'
+        }, {
+            name: 'content',
+            title: ls.get('CONTENT'),
+            icon: 'quote-right',
+            href: '/admin/site_settings/content'
+        }, {
+            name: 'email',
+            title: ls.get('EMAIL'),
+            icon: 'envelope',
+            href: '/admin/site_settings/email'
+        }];
+
+        if(data && data.site === SiteService.GLOBAL_SITE) {
+            pills.push({
+                name: 'libraries',
+                title: ls.get('LIBRARIES'),
+                icon: 'book',
+                href: '/admin/site_settings/libraries'
+            });
+        }
+
+        return pills;
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, Security.getSubNavItems);
+
+    //exports
+    return Security;
+};
@@ -0,0 +1,73 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util               = pb.util;
+    var TranslationService = pb.TranslationService;
+
+    /**
+     * Interface for reviewing and overriding the translations of a site
+     * @class Translations
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function Translations(){}
+    util.inherits(Translations, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'translations';
+
+    Translations.prototype.render = function(cb) {
+        var self = this;
+
+        var statuses = Object.keys(TranslationService.STATUSES).map(function(key) {
+            return {value: TranslationService.STATUSES[key], name: self.ls.get('TRANSLATION_STATUS_' + key)};
+        });
+        var angularObjects = pb.ClientJs.getAngularObjects({
+            navigation: pb.AdminNavigation.get(self.session, ['settings', 'translations'], self.ls, self.site),
+            pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY),
+            locales: pb.Localization.getSupportedWithDisplay(),
+            defaultLocale: pb.Localization.getDefaultLocale(),
+            providers: TranslationService.getProviders(),
+            statuses: statuses,
+            formats: TranslationService.getFormats()
+        });
+
+        self.setPageName(self.ls.get('TRANSLATIONS'));
+        self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+        self.ts.load('admin/site_settings/translations', function(err, result){
+            cb({content: result});
+        });
+    };
+
+    Translations.getSubNavItems = function(key, ls, data) {
+        return [{
+            name: SUB_NAV_KEY,
+            title: ls.get('TRANSLATIONS'),
+            icon: 'language',
+            href: '/admin/site_settings/translations'
+        }];
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, Translations.getSubNavItems);
+
+    //exports
+    return Translations;
+};
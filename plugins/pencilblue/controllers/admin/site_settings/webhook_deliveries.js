@@ -0,0 +1,75 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Interface for reviewing and replaying the deliveries made to a webhook
+     * @class WebhookDeliveries
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function WebhookDeliveries(){}
+    util.inherits(WebhookDeliveries, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'webhook_deliveries';
+
+    WebhookDeliveries.prototype.render = function(cb) {
+        var self = this;
+
+        var service = new pb.WebhookService(this.getServiceContext());
+        service.get(this.pathVars.id, function(err, webhook) {
+            if (util.isError(err)) {
+                return self.reqHandler.serveError(err);
+            }
+            else if (!webhook) {
+                return self.reqHandler.serve404();
+            }
+
+            var angularObjects = pb.ClientJs.getAngularObjects({
+                navigation: pb.AdminNavigation.get(self.session, ['settings', 'webhooks'], self.ls, self.site),
+                pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY, webhook),
+                webhook: webhook
+            });
+
+            self.setPageName(webhook.name);
+            self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+            self.ts.load('admin/site_settings/webhook_deliveries', function(err, result) {
+                cb({content: result});
+            });
+        });
+    };
+
+    WebhookDeliveries.getSubNavItems = function(key, ls, data) {
+        return [{
+            name: SUB_NAV_KEY,
+            title: ls.get('DELIVERIES') + ': ' + data.name,
+            icon: 'chevron-left',
+            href: '/admin/site_settings/webhooks/' + data[pb.DAO.getIdField()]
+        }];
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, WebhookDeliveries.getSubNavItems);
+
+    //exports
+    return WebhookDeliveries;
+};
@@ -0,0 +1,114 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Interface for creating and editing webhooks
+     * @class WebhookForm
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function WebhookForm(){}
+    util.inherits(WebhookForm, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'webhook_form';
+
+    WebhookForm.prototype.render = function(cb) {
+        var self = this;
+
+        this.getWebhook(function(err, webhook) {
+            if (util.isError(err)) {
+                return self.reqHandler.serveError(err);
+            }
+            else if (!webhook) {
+                return self.reqHandler.serve404();
+            }
+
+            var tabs = [
+                {
+                    active: 'active',
+                    href: '#webhook_settings',
+                    icon: 'cog',
+                    title: self.ls.get('SETTINGS')
+                }
+            ];
+            var angularObjects = pb.ClientJs.getAngularObjects({
+                navigation: pb.AdminNavigation.get(self.session, ['settings', 'webhooks'], self.ls, self.site),
+                pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY, webhook),
+                tabs: tabs,
+                webhook: webhook,
+                objectTypes: pb.WebhookService.getSupportedTypes(),
+                events: pb.WebhookService.getEvents()
+            });
+
+            self.setPageName(webhook[pb.DAO.getIdField()] ? webhook.name : self.ls.get('NEW_WEBHOOK'));
+            self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+            self.ts.load('admin/site_settings/webhook_form', function(err, result) {
+                cb({content: result});
+            });
+        });
+    };
+
+    /**
+     * Retrieves the webhook being edited or provides the defaults for a new
+     * webhook
+     * @method getWebhook
+     * @param {Function} cb (Error, Object)
+     */
+    WebhookForm.prototype.getWebhook = function(cb) {
+        if (!this.pathVars.id) {
+            return cb(null, {
+                active: true,
+                object_types: [],
+                events: pb.WebhookService.getEvents()
+            });
+        }
+
+        var service = new pb.WebhookService(this.getServiceContext());
+        service.get(this.pathVars.id, cb);
+    };
+
+    WebhookForm.getSubNavItems = function(key, ls, data) {
+        var pills = [{
+            name: SUB_NAV_KEY,
+            title: data[pb.DAO.getIdField()] ? ls.get('EDIT') + ' ' + data.name : ls.get('NEW_WEBHOOK'),
+            icon: 'chevron-left',
+            href: '/admin/site_settings/webhooks'
+        }];
+
+        if (data[pb.DAO.getIdField()]) {
+            pills.push({
+                name: 'webhook_deliveries',
+                title: ls.get('DELIVERIES'),
+                icon: 'list',
+                href: '/admin/site_settings/webhooks/' + data[pb.DAO.getIdField()] + '/deliveries'
+            });
+        }
+        return pills;
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, WebhookForm.getSubNavItems);
+
+    //exports
+    return WebhookForm;
+};
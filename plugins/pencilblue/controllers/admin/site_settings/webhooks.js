@@ -0,0 +1,80 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Interface for managing the webhooks of a site
+     * @class Webhooks
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function Webhooks(){}
+    util.inherits(Webhooks, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'webhooks';
+
+    Webhooks.prototype.render = function(cb) {
+        var self = this;
+
+        var opts = {
+            order: {name: pb.DAO.ASC}
+        };
+        var service = new pb.WebhookService(this.getServiceContext());
+        service.getAll(opts, function(err, webhooks) {
+            if(util.isError(err)) {
+                return self.reqHandler.serveError(err);
+            }
+
+            var angularObjects = pb.ClientJs.getAngularObjects({
+                navigation: pb.AdminNavigation.get(self.session, ['settings', 'webhooks'], self.ls, self.site),
+                pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY),
+                webhooks: webhooks
+            });
+
+            self.setPageName(self.ls.get('WEBHOOKS'));
+            self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+            self.ts.load('admin/site_settings/webhooks', function(err, result){
+                cb({content: result});
+            });
+        });
+    };
+
+    Webhooks.getSubNavItems = function(key, ls, data) {
+        return [{
+            name: SUB_NAV_KEY,
+            title: ls.get('WEBHOOKS'),
+            icon: 'refresh',
+            href: '/admin/site_settings/webhooks'
+        }, {
+            name: 'new_webhook',
+            title: '',
+            icon: 'plus',
+            href: '/admin/site_settings/webhooks/new'
+        }];
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, Webhooks.getSubNavItems);
+
+    //exports
+    return Webhooks;
+};
@@ -0,0 +1,141 @@
+/*
+ Copyright (C) 2016  PencilBlue, LLC
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Interface for managing API keys
+     * @class ApiKeys
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function ApiKeys(){}
+    util.inherits(ApiKeys, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'api_keys';
+
+    ApiKeys.prototype.render = function(cb) {
+        var self = this;
+
+        var auth = this.session.authentication;
+        var opts = {
+            where: auth.admin_level >= pb.SecurityService.ACCESS_ADMINISTRATOR ? {} : {owner: auth.user_id},
+            order: [{created: pb.DAO.DESC}]
+        };
+        var service = new pb.ApiKeyService(this.getServiceContext());
+        service.getAll(opts, function(err, apiKeys) {
+            if(util.isError(err)) {
+                return self.reqHandler.serveError(err);
+            }
+
+            self.getOwners(apiKeys, function(err, owners) {
+                if(util.isError(err)) {
+                    return self.reqHandler.serveError(err);
+                }
+
+                apiKeys.forEach(function(apiKey) {
+                    apiKey.owner_name = owners[apiKey.owner] || '';
+                });
+
+                var angularObjects = pb.ClientJs.getAngularObjects({
+                    navigation: pb.AdminNavigation.get(self.session, ['users', 'api_keys'], self.ls, self.site),
+                    pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY),
+                    apiKeys: apiKeys,
+                    accessLevels: self.getAccessLevels(),
+                    permissions: Object.keys(pb.PluginService.getPermissionsForRole(auth.admin_level)).sort(),
+                    showOwner: auth.admin_level >= pb.SecurityService.ACCESS_ADMINISTRATOR
+                });
+
+                self.setPageName(self.ls.get('API_KEYS'));
+                self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+                self.ts.load('admin/users/api_keys', function(err, result){
+                    cb({content: result});
+                });
+            });
+        });
+    };
+
+    /**
+     * Provides the access levels that the user can grant to a key
+     * @method getAccessLevels
+     * @return {Array}
+     */
+    ApiKeys.prototype.getAccessLevels = function() {
+        var self = this;
+        var levels = [
+            {name: 'generic.READER', value: pb.SecurityService.ACCESS_USER},
+            {name: 'generic.WRITER', value: pb.SecurityService.ACCESS_WRITER},
+            {name: 'generic.EDITOR', value: pb.SecurityService.ACCESS_EDITOR},
+            {name: 'generic.MANAGING_EDITOR', value: pb.SecurityService.ACCESS_MANAGING_EDITOR},
+            {name: 'generic.ADMINISTRATOR', value: pb.SecurityService.ACCESS_ADMINISTRATOR}
+        ];
+        return levels.filter(function(level) {
+            return level.value <= self.session.authentication.admin_level;
+        }).map(function(level) {
+            return {name: self.ls.g(level.name), value: level.value};
+        });
+    };
+
+    /**
+     * Retrieves the usernames of the owners of the keys
+     * @method getOwners
+     * @param {Array} apiKeys
+     * @param {Function} cb (Error, Object) Provides a hash of user IDs to
+     * usernames
+     */
+    ApiKeys.prototype.getOwners = function(apiKeys, cb) {
+        if (apiKeys.length === 0) {
+            return cb(null, {});
+        }
+
+        var opts = {
+            select: {username: 1},
+            where: pb.DAO.getIdInWhere(apiKeys, 'owner')
+        };
+        var dao = new pb.DAO();
+        dao.q('user', opts, function(err, users) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var owners = {};
+            users.forEach(function(user) {
+                owners[user[pb.DAO.getIdField()].toString()] = user.username;
+            });
+            cb(null, owners);
+        });
+    };
+
+    ApiKeys.getSubNavItems = function(key, ls, data) {
+        return [{
+            name: SUB_NAV_KEY,
+            title: ls.get('API_KEYS'),
+            icon: 'refresh',
+            href: '/admin/users/api_keys'
+        }];
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, ApiKeys.getSubNavItems);
+
+    //exports
+    return ApiKeys;
+};
@@ -46,25 +46,55 @@ module.exports = function(pb) {
             }
 
             self.user = data.user;
-            data.pills = self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY, {session: self.session, user: self.user});
+            self.isLocked(data.user, function(err, locked) {
+                if (util.isError(err)) {
+                    pb.log.error('UserForm: Failed to determine if the user is locked out: %s', err.stack);
+                }
+                data.locked = locked === true;
+                self.renderForm(data, cb);
+            });
+        });
+    };
 
-            data.adminOptions = [{name: self.ls.get('ADMINISTRATOR'), value: pb.SecurityService.ACCESS_ADMINISTRATOR}];
-            if(!data.user[pb.DAO.getIdField()] || self.session.authentication.user_id !== data.user[pb.DAO.getIdField()].toString()) {
-                var userService = new pb.UserService(self.getServiceContext());
-                data.adminOptions = userService.getAdminOptions(self.session, self.localizationService);
-            }
+    /**
+     * @method renderForm
+     * @param {Object} data
+     * @param {Function} cb
+     */
+    UserForm.prototype.renderForm = function(data, cb) {
+        var self = this;
+        data.pills = self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY, {session: self.session, user: self.user, locked: data.locked});
 
-            var angularObjects = pb.ClientJs.getAngularObjects(data);
+        data.adminOptions = [{name: self.ls.get('ADMINISTRATOR'), value: pb.SecurityService.ACCESS_ADMINISTRATOR}];
+        if(!data.user[pb.DAO.getIdField()] || self.session.authentication.user_id !== data.user[pb.DAO.getIdField()].toString()) {
+            var userService = new pb.UserService(self.getServiceContext());
+            data.adminOptions = userService.getAdminOptions(self.session, self.localizationService);
+        }
 
-            self.setPageName(data.user[pb.DAO.getIdField()] ? data.user.username : self.ls.get('NEW_USER'));
-            self.ts.registerLocal('image_title', self.ls.get('USER_PHOTO'));
-            self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
-            self.ts.load('admin/users/user_form', function(err, result) {
-                cb({content: result});
-            });
+        var angularObjects = pb.ClientJs.getAngularObjects(data);
+
+        self.setPageName(data.user[pb.DAO.getIdField()] ? data.user.username : self.ls.get('NEW_USER'));
+        self.ts.registerLocal('image_title', self.ls.get('USER_PHOTO'));
+        self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+        self.ts.load('admin/users/user_form', function(err, result) {
+            cb({content: result});
         });
     };
 
+    /**
+     * Determines if the user is currently locked out of logging in
+     * @method isLocked
+     * @param {Object} user
+     * @param {Function} cb (Error, Boolean)
+     */
+    UserForm.prototype.isLocked = function(user, cb) {
+        if (!user[pb.DAO.getIdField()]) {
+            return cb(null, false);
+        }
+        var throttle = new pb.LoginThrottleService({site: this.site});
+        throttle.isLocked(user, cb);
+    };
+
     UserForm.prototype.gatherData = function(vars, cb) {
         var self = this;
         var tasks = {
@@ -94,10 +124,11 @@ module.exports = function(pb) {
 
                 self.siteQueryService.loadById(vars.id, 'user', function(err, user) {
                     delete user.password;
+                    pb.TwoFactorService.sanitize(user);
                     callback(err, user);
                 });
             },
-            
+
             locales: function(callback) {
                 callback(null, pb.Localization.getSupportedWithDisplay());
             }
@@ -130,6 +161,24 @@ module.exports = function(pb) {
                     href: '/actions/admin/users/send_password_reset/' + data.user[pb.DAO.getIdField()].toString()
                 });
             }
+
+            if(data.locked && data.session.authentication.admin_level >= pb.SecurityService.ACCESS_MANAGING_EDITOR) {
+                pills.push({
+                    name: 'unlock_user',
+                    title: ls.get('UNLOCK_USER'),
+                    icon: 'unlock',
+                    href: '/actions/admin/users/unlock/' + data.user[pb.DAO.getIdField()].toString()
+                });
+            }
+
+            if(pb.TwoFactorService.isEnabled(data.user) && data.session.authentication.admin_level >= pb.SecurityService.ACCESS_ADMINISTRATOR) {
+                pills.push({
+                    name: 'reset_two_factor',
+                    title: ls.get('RESET_TWO_FACTOR'),
+                    icon: 'mobile',
+                    href: '/actions/admin/users/reset_two_factor/' + data.user[pb.DAO.getIdField()].toString()
+                });
+            }
         }
 
         pills.push({
@@ -0,0 +1,133 @@
+/*
+ Copyright (C) 2016  PencilBlue, LLC
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util              = pb.util;
+    var ApiKeyService     = pb.ApiKeyService;
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * Manages API keys.  Users manage their own keys while administrators can
+     * also view and revoke the keys of others.
+     * @class ApiKeyApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function ApiKeyApiController(){}
+    util.inherits(ApiKeyApiController, pb.BaseApiController);
+
+    /**
+     * Initializes the controller
+     * @method init
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    ApiKeyApiController.prototype.init = function(context, cb) {
+        var self = this;
+        var init = function(err) {
+
+            /**
+             *
+             * @property service
+             * @type {ApiKeyService}
+             */
+            self.service = new ApiKeyService(self.getServiceContext());
+
+            cb(err, true);
+        };
+        ApiKeyApiController.super_.prototype.init.apply(this, [context, init]);
+    };
+
+    /**
+     * Retrieves a single key
+     * @method get
+     * @param {Function} cb
+     */
+    ApiKeyApiController.prototype.get = function(cb) {
+        var self = this;
+        this.service.get(this.pathVars.id, function(err, apiKey) {
+            if (!util.isError(err) && apiKey && !self.canManage(apiKey)) {
+                apiKey = null;
+            }
+            self.handleGet(cb)(err, apiKey);
+        });
+    };
+
+    /**
+     * Creates a key.  The response is the only time that the key itself is
+     * provided.
+     * @method post
+     * @param {Function} cb
+     */
+    ApiKeyApiController.prototype.post = function(cb) {
+
+        //keys cannot be used to create additional keys
+        if (this.session.authentication.api_key) {
+            return cb(BaseObjectService.forbiddenError('API keys cannot be created with an API key'));
+        }
+        ApiKeyApiController.super_.prototype.post.apply(this, [cb]);
+    };
+
+    /**
+     * Revokes a key
+     * @method revoke
+     * @param {Function} cb
+     */
+    ApiKeyApiController.prototype.revoke = function(cb) {
+        var self = this;
+        this.service.get(this.pathVars.id, function(err, apiKey) {
+            if (util.isError(err) || !apiKey || !self.canManage(apiKey)) {
+                return self.handleGet(cb)(err, null);
+            }
+            self.service.revoke(self.pathVars.id, self.handleGet(cb));
+        });
+    };
+
+    /**
+     * Limits the keys provided to those owned by the user unless the user is
+     * an administrator
+     * @method processWhere
+     * @param {Object} q
+     * @return {Object}
+     */
+    ApiKeyApiController.prototype.processWhere = function(q) {
+        var where = null;
+        if (this.session.authentication.admin_level < pb.SecurityService.ACCESS_ADMINISTRATOR) {
+            where = {owner: this.session.authentication.user_id};
+        }
+        return {
+            where: where,
+            failures: []
+        };
+    };
+
+    /**
+     * @method canManage
+     * @param {Object} apiKey
+     * @return {Boolean} TRUE when the key belongs to the user or the user is
+     * an administrator
+     */
+    ApiKeyApiController.prototype.canManage = function(apiKey) {
+        return apiKey.owner === this.session.authentication.user_id ||
+            this.session.authentication.admin_level >= pb.SecurityService.ACCESS_ADMINISTRATOR;
+    };
+
+    //exports
+    return ApiKeyApiController;
+};
@@ -0,0 +1,79 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util              = pb.util;
+    var BaseController    = pb.BaseController;
+    var MediaUsageService = pb.MediaUsageService;
+
+    /**
+     * Provides the articles and pages that reference media
+     * @class MediaUsageApiController
+     * @constructor
+     * @extends BaseController
+     */
+    function MediaUsageApiController(){}
+    util.inherits(MediaUsageApiController, BaseController);
+
+    /**
+     * Responds with the articles and pages that reference the media specified
+     * by the "id" path variable
+     * @method render
+     * @param {Function} cb
+     */
+    MediaUsageApiController.prototype.render = function(cb) {
+        var self = this;
+
+        var service = new MediaUsageService({site: this.site});
+        service.getUsage(this.pathVars.id, function(err, usage) {
+            if (util.isError(err)) {
+                pb.log.error('MediaUsageApiController: Failed to retrieve the usage of media %s. %s', self.pathVars.id, err.stack);
+                return cb({
+                    code: 500,
+                    content: BaseController.apiResponse(BaseController.API_FAILURE, '', '')
+                });
+            }
+            cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, '', usage)});
+        });
+    };
+
+    /**
+     * Drops and re-creates the media usage index entries for the current site
+     * @method rebuild
+     * @param {Function} cb
+     */
+    MediaUsageApiController.prototype.rebuild = function(cb) {
+        var self = this;
+
+        var service = new MediaUsageService({site: this.site});
+        service.rebuild(function(err, count) {
+            if (util.isError(err)) {
+                pb.log.error('MediaUsageApiController: Failed to rebuild the media usage index for site %s. %s', self.site, err.stack);
+                return cb({
+                    code: 500,
+                    content: BaseController.apiResponse(BaseController.API_FAILURE, self.ls.g('generic.ERROR_SAVING'), '')
+                });
+            }
+            cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, '', {scanned: count})});
+        });
+    };
+
+    //exports
+    return MediaUsageApiController;
+};
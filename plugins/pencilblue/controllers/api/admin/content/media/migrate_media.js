@@ -0,0 +1,79 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util           = pb.util;
+    var BaseController = pb.BaseController;
+
+    /**
+     * Starts a job that copies all uploaded media from one media provider to
+     * another.  The job's progress can be followed through the jobs API.
+     * @class MigrateMediaApiController
+     * @constructor
+     * @extends BaseController
+     */
+    function MigrateMediaApiController(){}
+    util.inherits(MigrateMediaApiController, BaseController);
+
+    /**
+     * Expects a JSON body with the "from" and "to" providers and an optional
+     * "overwrite" flag.  Responds with the ID of the job.
+     * @method render
+     * @param {Function} cb
+     */
+    MigrateMediaApiController.prototype.render = function(cb) {
+        var self = this;
+
+        if (!pb.SiteService.isGlobal(this.site)) {
+            return cb({
+                code: 403,
+                content: BaseController.apiResponse(BaseController.API_FAILURE, 'Media can only be migrated from the global site')
+            });
+        }
+
+        this.getJSONPostParams(function(err, post) {
+            var message = util.isError(err) ? err.message : self.hasRequiredParams(post, ['from', 'to']);
+            if (!message && post.from === post.to) {
+                message = 'The providers to migrate from and to must be different';
+            }
+            if (message) {
+                return cb({
+                    code: 400,
+                    content: BaseController.apiResponse(BaseController.API_FAILURE, message)
+                });
+            }
+
+            var jobId;
+            try {
+                jobId = pb.MediaService.migrateContent({from: post.from, to: post.to, overwrite: post.overwrite === true});
+            }
+            catch(e) {
+                pb.log.error('MigrateMediaApiController: %s', e.stack);
+                return cb({
+                    code: 400,
+                    content: BaseController.apiResponse(BaseController.API_FAILURE, e.message)
+                });
+            }
+            cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, '', jobId)});
+        });
+    };
+
+    //exports
+    return MigrateMediaApiController;
+};
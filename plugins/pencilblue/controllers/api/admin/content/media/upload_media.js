@@ -26,7 +26,10 @@ module.exports = function(pb) {
     var util = pb.util;
     
     /**
-     * Uploads a media file to the system
+     * Uploads one or more media files to the system.  Each file is inspected
+     * and stored independently and the response provides a result for each.
+     * For compatibility, "filename" provides the media path of the first file
+     * that was stored.
      * @class UploadMediaController
      * @constructor
      */
@@ -59,6 +62,12 @@ module.exports = function(pb) {
              */
             self.service = new pb.MediaService(null, context.site, true);
 
+            /**
+             * @property uploadService
+             * @type {MediaUploadService}
+             */
+            self.uploadService = new pb.MediaUploadService({site: context.site, mediaService: self.service});
+
             cb(err, true);
         };
         UploadMediaController.super_.prototype.init.apply(this, [context, init]);
@@ -68,47 +77,114 @@ module.exports = function(pb) {
     UploadMediaController.prototype.render = function(cb) {
         var self  = this;
 
-        //set the limits on the file size
-        var form = new formidable.IncomingForm();
-        form.maxFieldSize = pb.config.media.max_upload_size;
-        form.on('progress', function(bytesReceived, bytesExpected) {
-            if (bytesReceived > pb.config.media.max_upload_size || bytesExpected > pb.config.max_upload_size) {
-                if (!self.errored++) {
-                    this.emit('error', new Error(self.ls.get('FILE_TOO_BIG')));
-                }
-            }
-        });
-
-        //parse the form out and let us know when its done
-        form.parse(this.req, function(err, fields, files) {
+        this.uploadService.getSettings(function(err, settings) {
             if (util.isError(err)) {
-                return self.onDone(err, null, files, cb);
+                return self.onDone(err, null, cb);
             }
 
-            var keys = Object.keys(files);
-            if (keys.length === 0) {
-                return self.onDone(new Error('No file inputs were submitted'), null, files, cb);
-            }
-            var fileDescriptor = files[keys[0]];
+            //set the limits on the size of the request
+            var accessLevel = self.session.authentication.admin_level;
+            var maxSize     = pb.MediaUploadService.getMaxSize(settings, accessLevel) * settings.max_files;
+            var form = new formidable.IncomingForm();
+            form.multiples = true;
+            form.on('progress', function(bytesReceived, bytesExpected) {
+                if (bytesReceived > maxSize || bytesExpected > maxSize) {
+                    if (!self.errored++) {
+                        this.emit('error', new Error(self.ls.get('FILE_TOO_BIG')));
+                    }
+                }
+            });
 
-            var stream = fs.createReadStream(fileDescriptor.path);
-            self.service.setContentStream(stream, fileDescriptor.name, function(err, sresult) {
+            //parse the form out and let us know when its done
+            form.parse(self.req, function(err, fields, files) {
                 if (util.isError(err)) {
                     return self.onDone(err, null, files, cb);
                 }
 
-                //write the response
-                var content = {
-                    content: JSON.stringify({
-                        filename: sresult.mediaPath
-                    }),
-                    content_type: 'application/json'
+                var descriptors = UploadMediaController.getFiles(files);
+                if (descriptors.length === 0) {
+                    return self.onDone(pb.MediaUploadService.error(400, 'No file inputs were submitted'), null, files, cb);
+                }
+                else if (descriptors.length > settings.max_files) {
+                    return self.onDone(pb.MediaUploadService.error(400, util.format('No more than %d files can be uploaded at once', settings.max_files)), null, files, cb);
+                }
+
+                var options = {
+                    settings: settings,
+                    accessLevel: accessLevel,
+                    onDuplicate: fields.on_duplicate
                 };
-                self.onDone(null, content, files, cb);
+                var tasks = util.getTasks(descriptors, function(descriptors, i) {
+                    return function(callback) {
+                        self.uploadService.upload(descriptors[i], options, function(err, result) {
+                            if (util.isError(err)) {
+                                pb.log.warn('UploadMediaController: Rejected upload of [%s]: %s', descriptors[i].name, err.message);
+                                result = {
+                                    name: descriptors[i].name,
+                                    error: err.message,
+                                    code: isNaN(err.code) ? 500 : err.code
+                                };
+                            }
+                            callback(null, result);
+                        });
+                    };
+                });
+                async.series(tasks, function(err, results) {
+                    self.onDone(null, UploadMediaController.getContent(results), files, cb);
+                });
             });
         });
     };
 
+    /**
+     * Builds the response from the result of each file.  When none of the
+     * files were accepted the response carries the status of the first
+     * failure.
+     * @static
+     * @method getContent
+     * @param {Array} results
+     * @return {Object}
+     */
+    UploadMediaController.getContent = function(results) {
+        var failures = results.filter(function(result) {
+            return !!result.error;
+        });
+        if (failures.length === results.length) {
+            return {
+                code: failures[0].code,
+                content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, failures[0].error, results),
+                content_type: 'application/json'
+            };
+        }
+
+        var stored = results.filter(function(result) {
+            return !!result.filename;
+        });
+        return {
+            content: JSON.stringify({
+                filename: stored.length > 0 ? stored[0].filename : null,
+                files: results
+            }),
+            content_type: 'application/json'
+        };
+    };
+
+    /**
+     * Flattens the files parsed from the form.  A field may provide several
+     * files.
+     * @static
+     * @method getFiles
+     * @param {Object} [files]
+     * @return {Array}
+     */
+    UploadMediaController.getFiles = function(files) {
+        var descriptors = [];
+        Object.keys(files || {}).forEach(function(field) {
+            descriptors = descriptors.concat(files[field]);
+        });
+        return descriptors;
+    };
+
     /**
      * Handles the cleanup after the incoming form data has been processed.  It
      * attempts to remove uploaded files or file partials after a failure or
@@ -130,9 +206,9 @@ module.exports = function(pb) {
 
         //ensure all files are removed
         var self = this;
-        var tasks = util.getTasks(Object.keys(files), function(fileFields, i) {
+        var tasks = util.getTasks(UploadMediaController.getFiles(files), function(descriptors, i) {
             return function(callback) {
-                var fileDescriptor = files[fileFields[i]];
+                var fileDescriptor = descriptors[i];
 
                 //ensure file has a path to delete
                 if (!fileDescriptor.path) {
@@ -157,7 +233,7 @@ module.exports = function(pb) {
 
             //we only care about the passed in error
             if (util.isError(err)) {
-                var code = err.message === self.ls.get('FILE_TOO_BIG') ? 413 : 500;
+                var code = err.message === self.ls.get('FILE_TOO_BIG') ? 413 : (isNaN(err.code) ? 500 : err.code);
                 return cb({content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, err.message), code: code});
             }
             cb(content);
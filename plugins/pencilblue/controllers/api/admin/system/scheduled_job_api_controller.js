@@ -0,0 +1,133 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util         = pb.util;
+    var JobScheduler = pb.JobScheduler;
+
+    /**
+     * Lists the scheduled jobs and allows them to be paused, resumed, and run
+     * on demand.  Scheduled jobs belong to the entire cluster so they are only
+     * managed from the global site.
+     * @class ScheduledJobApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function ScheduledJobApiController(){}
+    util.inherits(ScheduledJobApiController, pb.BaseApiController);
+
+    /**
+     * Retrieves the scheduled jobs sorted by name
+     * @method getAll
+     * @param {Function} cb
+     */
+    ScheduledJobApiController.prototype.getAll = globalOnly(function(cb) {
+        JobScheduler.getSchedules(this.handleGet(cb));
+    });
+
+    /**
+     * Retrieves the scheduled job with the name from the URI path ":name"
+     * @method get
+     * @param {Function} cb
+     */
+    ScheduledJobApiController.prototype.get = globalOnly(function(cb) {
+        JobScheduler.getSchedule(this.pathVars.name, this.handleGet(cb));
+    });
+
+    /**
+     * Pauses the job across the cluster
+     * @method pause
+     * @param {Function} cb
+     */
+    ScheduledJobApiController.prototype.pause = globalOnly(function(cb) {
+        JobScheduler.pause(this.pathVars.name, this.handleStateChange(cb));
+    });
+
+    /**
+     * Resumes the job across the cluster
+     * @method resume
+     * @param {Function} cb
+     */
+    ScheduledJobApiController.prototype.resume = globalOnly(function(cb) {
+        JobScheduler.resume(this.pathVars.name, this.handleStateChange(cb));
+    });
+
+    /**
+     * Runs the job now.  Responds with the ID of the job run so that its
+     * progress and log can be followed through the jobs API.
+     * @method run
+     * @param {Function} cb
+     */
+    ScheduledJobApiController.prototype.run = globalOnly(function(cb) {
+        var self = this;
+        JobScheduler.trigger(this.pathVars.name, function(err, jobId) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (!jobId) {
+                return self.notFound(cb);
+            }
+            cb({
+                content: {job_id: jobId},
+                code: 202
+            });
+        });
+    });
+
+    /**
+     * Creates a callback that responds with the job once its state has
+     * changed
+     * @method handleStateChange
+     * @param {Function} cb
+     * @return {Function} (Error, Boolean)
+     */
+    ScheduledJobApiController.prototype.handleStateChange = function(cb) {
+        var self = this;
+        return function(err, changed) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (!changed) {
+                return self.notFound(cb);
+            }
+            JobScheduler.getSchedule(self.pathVars.name, self.handleGet(cb));
+        };
+    };
+
+    /**
+     * Wraps a handler so that requests made from a site other than the global
+     * site are forbidden
+     * @private
+     * @static
+     * @method globalOnly
+     * @param {Function} handler
+     * @return {Function}
+     */
+    function globalOnly(handler) {
+        return function(cb) {
+            if (!pb.SiteService.isGlobal(this.site)) {
+                return cb(pb.BaseObjectService.forbiddenError('Scheduled jobs can only be managed from the global site'));
+            }
+            handler.call(this, cb);
+        };
+    }
+
+    //exports
+    return ScheduledJobApiController;
+};
@@ -0,0 +1,149 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util               = pb.util;
+    var TranslationService = pb.TranslationService;
+
+    /**
+     * Manages the translations of a site: the report of each key's status
+     * for a locale, the overrides of registered values, and the export and
+     * import of translation files
+     * @class TranslationApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function TranslationApiController(){}
+    util.inherits(TranslationApiController, pb.BaseApiController);
+
+    /**
+     * Initializes the controller
+     * @method init
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    TranslationApiController.prototype.init = function(context, cb) {
+        var self = this;
+        var init = function(err) {
+
+            /**
+             *
+             * @property service
+             * @type {TranslationService}
+             */
+            self.service = new TranslationService(self.getServiceContext());
+
+            cb(err, true);
+        };
+        TranslationApiController.super_.prototype.init.apply(this, [context, init]);
+    };
+
+    /**
+     * Retrieves the status of each key for the locale in the query string.
+     * The report can be filtered by "plugin", "status" and "q" and is paged
+     * by "$limit" and "$offset".
+     * @method report
+     * @param {Function} cb
+     */
+    TranslationApiController.prototype.report = function(cb) {
+        var options = {
+            locale: this.query.locale,
+            plugin: this.query.plugin,
+            status: this.query.status,
+            q: this.query.q,
+            limit: this.query.$limit,
+            offset: this.query.$offset
+        };
+        this.service.getReport(options, this.handleGet(cb));
+    };
+
+    /**
+     * Sets the value that the site uses in place of the registered value of
+     * the key.  Expects a JSON body with the "value".
+     * @method override
+     * @param {Function} cb
+     */
+    TranslationApiController.prototype.override = function(cb) {
+        var body = this.body || {};
+        this.service.setOverride(this.pathVars.locale, this.pathVars.key, body.value, this.handleSave(cb, false));
+    };
+
+    /**
+     * Removes the site's override of the key
+     * @method removeOverride
+     * @param {Function} cb
+     */
+    TranslationApiController.prototype.removeOverride = function(cb) {
+        this.service.removeOverride(this.pathVars.locale, this.pathVars.key, this.handleDelete(cb));
+    };
+
+    /**
+     * Provides the translations of the locale as a file download.  The query
+     * string provides the "format", "locale", and optionally the "plugin" and
+     * "missing" flag to export only the keys that are not translated.
+     * @method export
+     * @param {Function} cb
+     */
+    TranslationApiController.prototype.export = function(cb) {
+        var self = this;
+        var options = {
+            format: this.query.format,
+            locale: this.query.locale,
+            plugin: this.query.plugin,
+            missingOnly: this.query.missing === 'true' || this.query.missing === '1'
+        };
+        this.service.export(options, function(err, content) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var fileType = TranslationService.FILE_TYPES[options.format];
+            var fileName = [self.site, options.plugin, options.locale].filter(function(part) {
+                return !!part;
+            }).join('-').replace(/[^\w.-]/g, '_') + fileType.ext;
+            cb({
+                content: content,
+                content_type: fileType.mime + '; charset=utf-8',
+                headers: {
+                    'content-disposition': 'attachment; filename="' + fileName + '"'
+                }
+            });
+        });
+    };
+
+    /**
+     * Imports the translations of a file as overrides of the site.  Expects a
+     * JSON body with the "format" and "content" of the file and, optionally,
+     * the "locale" when it should not be read from the file.
+     * @method import
+     * @param {Function} cb
+     */
+    TranslationApiController.prototype.import = function(cb) {
+        var body = this.body || {};
+        var options = {
+            format: body.format,
+            content: body.content,
+            locale: body.locale
+        };
+        this.service.import(options, this.handleSave(cb, false));
+    };
+
+    //exports
+    return TranslationApiController;
+};
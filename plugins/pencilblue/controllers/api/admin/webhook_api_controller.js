@@ -0,0 +1,93 @@
+/*
+ Copyright (C) 2016  PencilBlue, LLC
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util                   = pb.util;
+    var WebhookService         = pb.WebhookService;
+    var WebhookDeliveryService = pb.WebhookDeliveryService;
+
+    /**
+     * Manages the webhooks of a site along with the log of their deliveries
+     * @class WebhookApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function WebhookApiController(){}
+    util.inherits(WebhookApiController, pb.BaseApiController);
+
+    /**
+     * Initializes the controller
+     * @method init
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    WebhookApiController.prototype.init = function(context, cb) {
+        var self = this;
+        var init = function(err) {
+
+            /**
+             *
+             * @property service
+             * @type {WebhookService}
+             */
+            self.service = new WebhookService(self.getServiceContext());
+
+            /**
+             *
+             * @property deliveryService
+             * @type {WebhookDeliveryService}
+             */
+            self.deliveryService = new WebhookDeliveryService(self.getServiceContext());
+
+            cb(err, true);
+        };
+        WebhookApiController.super_.prototype.init.apply(this, [context, init]);
+    };
+
+    /**
+     * Retrieves the deliveries made to the webhook, newest first
+     * @method deliveries
+     * @param {Function} cb
+     */
+    WebhookApiController.prototype.deliveries = function(cb) {
+        var self = this;
+        this.service.get(this.pathVars.id, function(err, webhook) {
+            if (util.isError(err) || !webhook) {
+                return self.handleGet(cb)(err, null);
+            }
+
+            var options = self.processQuery();
+            options.where = {webhook: self.pathVars.id};
+            options.order = {created: pb.DAO.DESC};
+            self.deliveryService.getAllWithCount(options, self.handleGet(cb));
+        });
+    };
+
+    /**
+     * Queues a new delivery with the body of an existing delivery
+     * @method replay
+     * @param {Function} cb
+     */
+    WebhookApiController.prototype.replay = function(cb) {
+        this.deliveryService.replay(this.pathVars.id, this.handleSave(cb, true));
+    };
+
+    //exports
+    return WebhookApiController;
+};
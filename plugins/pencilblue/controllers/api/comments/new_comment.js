@@ -55,28 +55,48 @@ module.exports = function NewCommentModule(pb) {
                 return;
             }
 
-            self.siteQueryService.loadById(post.article, 'article', function(err, article) {
-                if(util.isError(err) || article == null) {
-                    cb({content: BaseController.apiResponse(BaseController.API_FAILURE, 'article does not exist'), code: 400});
-                    return;
-                }
+            var dto = {
+                article: post.article,
+                content: post.content,
+                parent: post.parent
+            };
+            dto[pb.CommentService.HONEYPOT_FIELD] = post[pb.CommentService.HONEYPOT_FIELD];
 
-                var commentDocument       = pb.DocumentCreator.create('comment', post);
-                commentDocument.commenter = self.session.authentication.user_id;
+            var commentService = new pb.CommentService(self.getServiceContext());
+            commentService.save(dto, function(err, commentDocument) {
+                if (util.isError(err)) {
+                    var code = err.code === 400 ? 400 : 500;
+                    var msg  = code === 400 ? 'invalid comment' : 'error saving';
+                    return cb({content: BaseController.apiResponse(BaseController.API_FAILURE, msg, err.validationErrors), code: code});
+                }
 
-                self.siteQueryService.save(commentDocument, function(err, data) {
-                    if (util.isError(err)) {
-                        return cb({content: BaseController.apiResponse(BaseController.API_FAILURE, 'error saving'), code: 500});
-                    }
+                var timestamp  = pb.ContentService.getTimestampTextFromSettings(commentDocument.created, contentSettings, self.ls);
+                commentDocument.timestamp = self.localizationService.localize(['timestamp'], timestamp, self.hostname);
 
-                    var timestamp  = pb.ContentService.getTimestampTextFromSettings(commentDocument.created, contentSettings, self.ls);
-                    commentDocument.timestamp = self.localizationService.localize(['timestamp'], timestamp, self.hostname);
-                    cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, 'comment created' , commentDocument)});
-                });
+                var msg = commentDocument.status === pb.CommentService.STATUSES.APPROVED ? 'comment created' : 'comment awaiting moderation';
+                cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, msg, NewComment.getPublicFields(commentDocument))});
             });
         });
     };
 
+    /**
+     * Removes the moderation details from a comment before it is sent back to
+     * the commenter.  A comment that was not approved is always reported as
+     * pending so that the outcome of spam screening is not revealed.
+     * @static
+     * @method getPublicFields
+     * @param {Object} comment
+     * @return {Object}
+     */
+    NewComment.getPublicFields = function(comment) {
+        var result = util.clone(comment);
+        if (result.status !== pb.CommentService.STATUSES.APPROVED) {
+            result.status = pb.CommentService.STATUSES.PENDING;
+        }
+        delete result.spam_reason;
+        return result;
+    };
+
     //exports
     return NewComment;
 };
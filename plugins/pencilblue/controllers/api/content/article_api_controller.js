@@ -96,6 +96,19 @@ module.exports = function(pb) {
             };
         }
 
+        //filter by workflow state
+        var state = q.workflow_state;
+        if (pb.ValidationService.isNonEmptyStr(state, true)) {
+
+            if (pb.WorkflowService.isState(state)) {
+                var stateWhere = pb.WorkflowService.getStateWhere(state);
+                where = where === null ? stateWhere : {$and: [where, stateWhere]};
+            }
+            else {
+                failures.push(pb.BaseObjectService.validationFailure('workflow_state', 'An invalid workflow state was provided'));
+            }
+        }
+
         return {
             where: where,
             failures: failures
@@ -110,6 +123,11 @@ module.exports = function(pb) {
     ArticleApiController.prototype.getAllComments = function(cb) {
         var options = this.processQuery();
         options.where.article = this.pathVars.articleId;
+
+        //only editors may see comments that have not been approved
+        if (!pb.SecurityService.isAuthorized(this.session, {admin_level: pb.SecurityService.ACCESS_EDITOR})) {
+            CommentService.setVisibleClause(options.where);
+        }
         this.commentService.getAllWithCount(options, this.handleGet(cb));
     };
 
@@ -92,6 +92,19 @@ module.exports = function(pb) {
             };
         }
 
+        //filter by workflow state
+        var state = q.workflow_state;
+        if (pb.ValidationService.isNonEmptyStr(state, true)) {
+
+            if (pb.WorkflowService.isState(state)) {
+                var stateWhere = pb.WorkflowService.getStateWhere(state);
+                where = where === null ? stateWhere : {$and: [where, stateWhere]};
+            }
+            else {
+                failures.push(pb.BaseObjectService.validationFailure('workflow_state', 'An invalid workflow state was provided'));
+            }
+        }
+
         return {
             where: where,
             failures: failures
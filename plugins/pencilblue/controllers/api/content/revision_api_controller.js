@@ -0,0 +1,151 @@
+/*
+ Copyright (C) 2016  PencilBlue, LLC
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util            = pb.util;
+    var RevisionService = pb.RevisionService;
+
+    /**
+     * Provides access to the revision history of articles, pages, and custom
+     * objects.  The ":contentType" path variable is the plural name used in
+     * the content API (articles, pages, objects).
+     * @class RevisionApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function RevisionApiController(){}
+    util.inherits(RevisionApiController, pb.BaseApiController);
+
+    /**
+     * Maps the content type path variable to the object type that revisions
+     * are recorded for
+     * @static
+     * @readonly
+     * @property CONTENT_TYPES
+     * @type {Object}
+     */
+    RevisionApiController.CONTENT_TYPES = Object.freeze({
+        articles: 'article',
+        pages: 'page',
+        objects: 'custom_object'
+    });
+
+    /**
+     * Initializes the controller
+     * @method init
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    RevisionApiController.prototype.init = function(context, cb) {
+        var self = this;
+        var init = function(err) {
+
+            /**
+             *
+             * @property service
+             * @type {RevisionService}
+             */
+            self.service = new RevisionService(self.getServiceContext());
+
+            /**
+             * The object type that revisions are being requested for
+             * @property objectType
+             * @type {String}
+             */
+            self.objectType = RevisionApiController.getObjectType(self.pathVars.contentType);
+
+            cb(err, true);
+        };
+        RevisionApiController.super_.prototype.init.apply(this, [context, init]);
+    };
+
+    /**
+     * Retrieves a page of revision summaries for the object, newest first.
+     * Supports the $limit and $offset query parameters.
+     * @method getAll
+     * @param {Function} cb
+     */
+    RevisionApiController.prototype.getAll = function(cb) {
+        if (this.objectType === null || !pb.ValidationService.isIdStr(this.pathVars.id, true)) {
+            return this.notFound(cb);
+        }
+        else if (!RevisionService.isAuthorized(this.session, this.objectType)) {
+            return this.forbidden(cb);
+        }
+
+        var options = this.processQuery();
+        this.service.getAll(this.objectType, this.pathVars.id, options, this.handleGet(cb));
+    };
+
+    /**
+     * Retrieves a single revision, including its snapshot and the field level
+     * changes that restoring it would make to the current object
+     * @method get
+     * @param {Function} cb
+     */
+    RevisionApiController.prototype.get = function(cb) {
+        if (this.objectType === null) {
+            return this.notFound(cb);
+        }
+        else if (!RevisionService.isAuthorized(this.session, this.objectType)) {
+            return this.forbidden(cb);
+        }
+        this.service.compare(this.objectType, this.pathVars.id, this.pathVars.revisionId, this.handleGet(cb));
+    };
+
+    /**
+     * Restores the object to the state captured by the revision.  The
+     * restored object is provided in the response.
+     * @method restore
+     * @param {Function} cb
+     */
+    RevisionApiController.prototype.restore = function(cb) {
+        if (this.objectType === null) {
+            return this.notFound(cb);
+        }
+        else if (!RevisionService.isAuthorized(this.session, this.objectType)) {
+            return this.forbidden(cb);
+        }
+        this.service.restore(this.objectType, this.pathVars.id, this.pathVars.revisionId, this.handleGet(cb));
+    };
+
+    /**
+     * Calls back with an error representing a 403 for users whose admin level
+     * is not high enough for the content type
+     * @method forbidden
+     * @param {Function} cb
+     */
+    RevisionApiController.prototype.forbidden = function(cb) {
+        cb(pb.BaseObjectService.forbiddenError());
+    };
+
+    /**
+     * @static
+     * @method getObjectType
+     * @param {String} contentType
+     * @return {String} The object type or NULL when revisions are not
+     * supported for the content type
+     */
+    RevisionApiController.getObjectType = function(contentType) {
+        return RevisionApiController.CONTENT_TYPES.hasOwnProperty(contentType) ? RevisionApiController.CONTENT_TYPES[contentType] : null;
+    };
+
+    //exports
+    return RevisionApiController;
+};
@@ -18,25 +18,32 @@
 module.exports = function(pb) {
     
     //pb dependencies
-    var util           = pb.util;
-    var BaseController = pb.BaseController;
+    var util                 = pb.util;
+    var BaseController       = pb.BaseController;
+    var ContentSearchService = pb.ContentSearchService;
     
     /**
-     * Search for headline or subheading matching search term
+     * Searches the published articles and pages of the current site.  The
+     * results are ranked by relevance and paged using the $limit and $offset
+     * query parameters.
+     * @class ContentSearchController
+     * @constructor
+     * @extends BaseController
      */
     function ContentSearchController() {}
     util.inherits(ContentSearchController, BaseController);
 
     //constants
-    var VALID_CONTENT_TYPES = {
-        article: true,
-        page: true
-    };
-
     var MAX_RESULTS = 100;
 
     var MIN_LENGTH  = 3;
 
+    /**
+     * Executes the search.  Supports the query parameters "q" (required),
+     * "type" (article or page), "$limit" and "$offset".
+     * @method render
+     * @param {Function} cb
+     */
     ContentSearchController.prototype.render = function(cb) {
         var type   = this.query.type;
         var search = this.query.q;
@@ -49,44 +56,57 @@ module.exports = function(pb) {
             return;
         }
 
-        //build query & get results
-        var patternStr = ".*" + util.escapeRegExp(search) + ".*";
-        var pattern = new RegExp(patternStr, "i");
-        var opts = {
-            select: {
-                headline: 1,
-            },
-            where: {
-                $or: [
-                    {headline: pattern},
-                    {subheading: pattern}
-                ]
-            },
-            order: pb.DAO.NATURAL_ORDER,
-            limit: MAX_RESULTS
+        var limit = parseInt(this.query.$limit);
+        var offset = parseInt(this.query.$offset);
+        var options = {
+            types: type ? [type] : null,
+            limit: isNaN(limit) || limit <= 0 ? MAX_RESULTS : Math.min(limit, MAX_RESULTS),
+            offset: isNaN(offset) || offset < 0 ? 0 : offset
         };
-
-        var queryService = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
-        queryService.q(type, opts, function(err, items) {
+        var service = new ContentSearchService(this.getServiceContext());
+        service.search(search, options, function(err, results) {
             if (util.isError(err)) {
+                pb.log.error('ContentSearchController: Search failed. %s', err.stack);
                 var content = BaseController.apiResponse(BaseController.API_FAILURE, '', '');
                 return cb({content: content, code: 500});
             }
 
-            //change to display
-            for (var i = 0; i < items.length; i++) {
-                items[i].display = items[i].headline;
-                delete items[i].headline;
+            var content = BaseController.apiResponse(BaseController.API_SUCCESS, '', results);
+            cb({content: content});
+        });
+    };
+
+    /**
+     * Drops and re-creates the search index entries for the current site
+     * @method rebuild
+     * @param {Function} cb
+     */
+    ContentSearchController.prototype.rebuild = function(cb) {
+        var self = this;
+        var service = new ContentSearchService(this.getServiceContext());
+        service.rebuild(function(err, count) {
+            if (util.isError(err)) {
+                pb.log.error('ContentSearchController: Failed to rebuild the search index for site %s. %s', self.site, err.stack);
+                var content = BaseController.apiResponse(BaseController.API_FAILURE, self.ls.g('generic.ERROR_SAVING'), '');
+                return cb({content: content, code: 500});
             }
 
-            var content = BaseController.apiResponse(BaseController.API_SUCCESS, '', items);
+            var content = BaseController.apiResponse(BaseController.API_SUCCESS, '', {indexed: count});
             cb({content: content});
         });
     };
 
+    /**
+     * Validates the search parameters
+     * @static
+     * @method validate
+     * @param {String} [type] The content type to restrict the search to
+     * @param {String} search The search term
+     * @return {Array} The validation error messages
+     */
     ContentSearchController.validate = function(type, search) {
         var errors = [];
-        if (!VALID_CONTENT_TYPES[type]) {
+        if (!util.isNullOrUndefined(type) && !ContentSearchService.isSupportedType(type)) {
             errors.push('A valid content type is required');
         }
         if (!pb.validation.validateNonEmptyStr(search, true) || search.length < MIN_LENGTH) {
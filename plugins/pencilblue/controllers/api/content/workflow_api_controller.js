@@ -0,0 +1,128 @@
+/*
+ Copyright (C) 2016  PencilBlue, LLC
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util            = pb.util;
+    var WorkflowService = pb.WorkflowService;
+
+    /**
+     * Provides access to the editorial workflow of articles and pages.  The
+     * ":contentType" path variable is the plural name used in the content API
+     * (articles, pages).
+     * @class WorkflowApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function WorkflowApiController(){}
+    util.inherits(WorkflowApiController, pb.BaseApiController);
+
+    /**
+     * Maps the content type path variable to the object type that moves
+     * through the workflow
+     * @static
+     * @readonly
+     * @property CONTENT_TYPES
+     * @type {Object}
+     */
+    WorkflowApiController.CONTENT_TYPES = Object.freeze({
+        articles: 'article',
+        pages: 'page'
+    });
+
+    /**
+     * Initializes the controller
+     * @method init
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    WorkflowApiController.prototype.init = function(context, cb) {
+        var self = this;
+        var init = function(err) {
+
+            /**
+             *
+             * @property service
+             * @type {WorkflowService}
+             */
+            self.service = new WorkflowService(self.getServiceContext());
+
+            /**
+             * The object type that the workflow is being requested for
+             * @property objectType
+             * @type {String}
+             */
+            self.objectType = WorkflowApiController.getObjectType(self.pathVars.contentType);
+
+            cb(err, true);
+        };
+        WorkflowApiController.super_.prototype.init.apply(this, [context, init]);
+    };
+
+    /**
+     * Retrieves the current state of the content, the states the current
+     * user may move it to, and a page of its workflow history.  Supports the
+     * $limit and $offset query parameters.
+     * @method get
+     * @param {Function} cb
+     */
+    WorkflowApiController.prototype.get = function(cb) {
+        if (this.objectType === null || !pb.ValidationService.isIdStr(this.pathVars.id, true)) {
+            return this.notFound(cb);
+        }
+
+        var options = this.processQuery();
+        this.service.getStatus(this.objectType, this.pathVars.id, options, this.handleGet(cb));
+    };
+
+    /**
+     * Adds an internal note to the workflow history of the content.  The
+     * body is expected to provide a "note" property.
+     * @method addNote
+     * @param {Function} cb
+     */
+    WorkflowApiController.prototype.addNote = function(cb) {
+        if (this.objectType === null || !pb.ValidationService.isIdStr(this.pathVars.id, true)) {
+            return this.notFound(cb);
+        }
+
+        var self   = this;
+        var dto    = this.getPostDto();
+        var onSave = this.handleSave(cb, true);
+        this.service.addNote(this.objectType, this.pathVars.id, dto.note, function(err, entry) {
+            if (!util.isError(err) && util.isNullOrUndefined(entry)) {
+                return self.notFound(cb);
+            }
+            onSave(err, entry);
+        });
+    };
+
+    /**
+     * @static
+     * @method getObjectType
+     * @param {String} contentType
+     * @return {String} The object type or NULL when the content type does not
+     * move through the workflow
+     */
+    WorkflowApiController.getObjectType = function(contentType) {
+        return WorkflowApiController.CONTENT_TYPES.hasOwnProperty(contentType) ? WorkflowApiController.CONTENT_TYPES[contentType] : null;
+    };
+
+    //exports
+    return WorkflowApiController;
+};
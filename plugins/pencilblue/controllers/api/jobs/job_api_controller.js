@@ -15,6 +15,9 @@
     along with this program.  If not, see <http://www.gnu.org/licenses/>.
 */
 
+//dependencies
+var async = require('async');
+
 module.exports = function(pb) {
     
     //pb dependencies
@@ -45,9 +48,21 @@ module.exports = function(pb) {
      */
     var ACTIONS = {
         get: true,
-        getLogs: true
+        getLogs: true,
+        cancel: true,
+        retry: true
     };
 
+    /**
+     * The number of milliseconds after which a comment is written to an event
+     * stream that has been idle so that proxies do not close the connection
+     * @private
+     * @static
+     * @property HEARTBEAT_INTERVAL
+     * @type {Integer}
+     */
+    var HEARTBEAT_INTERVAL = 15000;
+
     /**
      * Provides the hash of all actions supported by this controller
      * @see ApiActionController#getActions
@@ -135,6 +150,254 @@ module.exports = function(pb) {
         });
     };
 
+    /**
+     * The "cancel" action handler.  Cancels a running job across the cluster.
+     * Responds with the job.
+     * @method cancel
+     * @param {Function} cb
+     */
+    JobApiController.prototype.cancel = function(cb) {
+        var self = this;
+        this.loadJob(cb, function(job) {
+            var service = new pb.JobService();
+            service.cancel(job._id.toString(), function(err, job) {
+                if (util.isError(err)) {
+                    return self.onError(err, cb);
+                }
+                cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, '', job)});
+            });
+        });
+    };
+
+    /**
+     * The "retry" action handler.  Starts a failed job again with the same
+     * parameters.  Responds with the ID of the new job.
+     * @method retry
+     * @param {Function} cb
+     */
+    JobApiController.prototype.retry = function(cb) {
+        var self = this;
+        this.loadJob(cb, function(job) {
+            var service = new pb.JobService();
+            service.retry(job._id.toString(), function(err, jobId) {
+                if (util.isError(err)) {
+                    return self.onError(err, cb);
+                }
+                cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, '', jobId)});
+            });
+        });
+    };
+
+    /**
+     * Retrieves a page of jobs, most recent first.  The jobs can be filtered
+     * through the query string by "type", "status", "site", and the range of
+     * dates, "from" and "to", in which they were created.  The page is
+     * controlled by "$limit" and "$offset".  Administrators of a site other
+     * than the global site only find the jobs of their site.
+     * @method getAll
+     * @param {Function} cb
+     */
+    JobApiController.prototype.getAll = function(cb) {
+        var self = this;
+
+        var filters = util.clone(this.query);
+        if (!pb.SiteService.isGlobal(this.site)) {
+            filters.site = this.site;
+        }
+        var where = pb.JobService.buildWhere(filters);
+        if (util.isError(where)) {
+            return this.onError(where, cb);
+        }
+
+        var options = {
+            where: where,
+            limit: parseInt(this.query.$limit, 10),
+            offset: parseInt(this.query.$offset, 10) || 0
+        };
+        var service = new pb.JobService();
+        service.getAll(options, function(err, result) {
+            if (util.isError(err)) {
+                return self.onError(err, cb);
+            }
+            cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, '', result)});
+        });
+    };
+
+    /**
+     * Streams the progress of a job as server-sent events until the job
+     * finishes or the client disconnects.  A "progress" event is sent with the
+     * status and progress of the job each time they change and a "log" event
+     * is sent for each log entry.  The ID of a "log" event is the time that the
+     * entry was created so that a reconnecting client, through the
+     * Last-Event-ID header, only receives newer entries.  A "done" event is
+     * sent once the job finishes and the stream is then closed.  A "failure"
+     * event is sent when the job can no longer be retrieved.
+     * @method stream
+     * @param {Function} cb
+     */
+    JobApiController.prototype.stream = function(cb) {
+        var self = this;
+        this.loadJob(cb, function(job) {
+            var jid     = job._id.toString();
+            var service = new pb.JobService();
+
+            self.res.writeHead(pb.HttpStatus.OK, {
+                'content-type': 'text/event-stream',
+                'cache-control': 'no-cache',
+                'connection': 'keep-alive'
+            });
+
+            var closed      = false;
+            var timerHandle = null;
+            var lastWrite   = Date.now();
+            var lastState   = null;
+            var since       = new Date(parseInt(self.req.headers['last-event-id'], 10) + 1 || 0);
+            var seen        = {};
+            var write = function(event, data, id) {
+                self.res.write(JobApiController.formatEvent(event, data, id));
+                lastWrite = Date.now();
+            };
+            var close = function() {
+                if (closed) {
+                    return;
+                }
+                closed = true;
+                clearTimeout(timerHandle);
+                self.res.end();
+            };
+            self.req.once('close', close);
+
+            var poll = function() {
+                var tasks = {
+                    job: function(callback) {
+                        service.loadById(jid, callback);
+                    },
+                    logs: function(callback) {
+                        service.getLogs(jid, since, callback);
+                    }
+                };
+                async.series(tasks, function(err, results) {
+                    if (closed) {
+                        return;
+                    }
+                    else if (util.isError(err) || !results.job) {
+                        pb.log.error('JobApiController: Failed to stream the progress of job [%s]. %s', jid, err ? err.stack : 'The job no longer exists');
+                        write('failure', {message: 'The progress of the job could not be retrieved'});
+                        return close();
+                    }
+
+                    //log entries created in the same millisecond as the last one
+                    //sent are retrieved again so those already sent are skipped
+                    results.logs.forEach(function(entry) {
+                        var key = entry._id.toString();
+                        if (seen[key]) {
+                            return;
+                        }
+                        if (entry.created > since) {
+                            since = entry.created;
+                            seen = {};
+                        }
+                        seen[key] = true;
+                        write('log', {created: entry.created, worker_id: entry.worker_id, message: entry.message}, entry.created.getTime());
+                    });
+
+                    var job   = results.job;
+                    var state = {status: job.status, progress: job.progress, cancel_requested: job.cancel_requested === true};
+                    if (JSON.stringify(state) !== lastState) {
+                        lastState = JSON.stringify(state);
+                        write('progress', state);
+                    }
+
+                    if (pb.JobService.isFinished(job)) {
+                        write('done', {status: job.status, progress: job.progress, error: job.error || null});
+                        return close();
+                    }
+                    if (Date.now() - lastWrite >= HEARTBEAT_INTERVAL) {
+                        self.res.write(': keep-alive\n\n');
+                        lastWrite = Date.now();
+                    }
+                    timerHandle = setTimeout(poll, pb.config.jobs.stream_interval);
+                });
+            };
+            poll();
+        });
+    };
+
+    /**
+     * Loads the job identified by the "id" path variable.  Responds with a 404
+     * when the job does not exist or belongs to another site.
+     * @method loadJob
+     * @param {Function} cb The callback to respond with when the job can not
+     * be provided
+     * @param {Function} onLoaded Called with the job
+     */
+    JobApiController.prototype.loadJob = function(cb, onLoaded) {
+        var self = this;
+        var service = new pb.JobService();
+        service.loadById(this.pathVars.id, function(err, job) {
+            if (util.isError(err)) {
+                return self.onError(err, cb);
+            }
+            else if (!job || !self.canAccess(job)) {
+                return cb({
+                    code: 404,
+                    content: BaseController.apiResponse(BaseController.API_FAILURE, self.ls.g('generic.OBJECT_NOT_FOUND'))
+                });
+            }
+            onLoaded(job);
+        });
+    };
+
+    /**
+     * Determines if the job may be managed from the current site.  The global
+     * site has access to every job.
+     * @method canAccess
+     * @param {Object} job
+     * @return {Boolean}
+     */
+    JobApiController.prototype.canAccess = function(job) {
+        return pb.SiteService.isGlobal(this.site) || job.site === this.site;
+    };
+
+    /**
+     * Responds with a failure.  Errors with a code of 400 are the result of an
+     * invalid request and their message is provided to the client.
+     * @method onError
+     * @param {Error} err
+     * @param {Function} cb
+     */
+    JobApiController.prototype.onError = function(err, cb) {
+        if (err.code === 400) {
+            return cb({
+                code: 400,
+                content: BaseController.apiResponse(BaseController.API_FAILURE, err.message)
+            });
+        }
+        cb({
+            code: 500,
+            content: BaseController.apiResponse(BaseController.API_FAILURE, err.stack)
+        });
+    };
+
+    /**
+     * Formats a server-sent event
+     * @static
+     * @method formatEvent
+     * @param {String} event The name of the event
+     * @param {Object} data Serialized as JSON
+     * @param {String|Integer} [id]
+     * @return {String}
+     */
+    JobApiController.formatEvent = function(event, data, id) {
+        var lines = [];
+        if (!util.isNullOrUndefined(id)) {
+            lines.push('id: ' + id);
+        }
+        lines.push('event: ' + event);
+        lines.push('data: ' + JSON.stringify(data));
+        return lines.join('\n') + '\n\n';
+    };
+
     //exports
     return JobApiController;
 };
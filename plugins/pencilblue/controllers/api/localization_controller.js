@@ -15,11 +15,24 @@
     along with this program.  If not, see <http://www.gnu.org/licenses/>.
 */
 
+//dependencies
+var fs   = require('fs');
+var path = require('path');
+
 module.exports = function LocalizationApiControllerModule(pb) {
     
     //pb dependencies
     var util = pb.util;
 
+    /**
+     * The source of the MessageFormat script.  It is loaded on first use.
+     * @private
+     * @static
+     * @property MESSAGE_FORMAT_SOURCE
+     * @type {String}
+     */
+    var MESSAGE_FORMAT_SOURCE = null;
+
     /**
      * 
      * @class LocalizationApiController
@@ -32,6 +45,10 @@ module.exports = function LocalizationApiControllerModule(pb) {
     /**
      * Retrieves the translation file and converts it to a JSON.  It then formats 
      * it such that it is valid javascript that can be executed client side.
+     * MessageFormat values are left unformatted.  The script also provides
+     * the global "MessageFormat", set to the requested locale, so that they
+     * can be formatted along with numbers, currencies and dates:
+     * MessageFormat.format(loc.comments.COMMENT_COUNT, {count: 3})
      * @method getAsScript
      * @param {Function} cb
      */
@@ -39,14 +56,30 @@ module.exports = function LocalizationApiControllerModule(pb) {
         var locale = this.query.locale || this.ls.language;
         var plugin = this.query.plugin;
         
-        var package = pb.Localization.getLocalizationPackage(locale, { plugin: plugin });
+        var package = pb.Localization.getLocalizationPackage(locale, { plugin: plugin, site: this.site, raw: true });
         var content = {
-            content: 'var loc = ' + JSON.stringify(package) + ';',
+            content: LocalizationApiController.getMessageFormatSource() +
+                '\nMessageFormat.locale = ' + JSON.stringify(String(locale)) + ';' +
+                '\nvar loc = ' + JSON.stringify(package) + ';',
             content_type: 'text/javascript'
         };
         cb(content);
     };
 
+    /**
+     * Retrieves the source of the MessageFormat script that is shared with
+     * the server
+     * @static
+     * @method getMessageFormatSource
+     * @return {String}
+     */
+    LocalizationApiController.getMessageFormatSource = function() {
+        if (MESSAGE_FORMAT_SOURCE === null) {
+            MESSAGE_FORMAT_SOURCE = fs.readFileSync(path.join(pb.config.docRoot, 'public', 'js', 'message_format.js'), 'utf8');
+        }
+        return MESSAGE_FORMAT_SOURCE;
+    };
+
     //exports
     return LocalizationApiController;
 };
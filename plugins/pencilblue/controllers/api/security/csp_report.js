@@ -0,0 +1,87 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util                   = pb.util;
+    var BaseController         = pb.BaseController;
+    var SecurityHeadersService = pb.SecurityHeadersService;
+
+    /**
+     * Collects the Content-Security-Policy violations reported by browsers and
+     * provides them to administrators
+     * @class CspReportApiController
+     * @constructor
+     * @extends BaseController
+     */
+    function CspReportApiController(){}
+    util.inherits(CspReportApiController, BaseController);
+
+    /**
+     * Stores the violations in the body of a report request.  Browsers do not
+     * read the response so it is empty.
+     * @method render
+     * @param {Function} cb
+     */
+    CspReportApiController.prototype.render = function(cb) {
+        var self = this;
+
+        this.getJSONPostParams(function(err, body) {
+            var reports = util.isError(err) ? [] : SecurityHeadersService.parseReports(body);
+            if (reports.length === 0) {
+                return cb({
+                    code: 400,
+                    content: BaseController.apiResponse(BaseController.API_FAILURE, 'A valid violation report is required')
+                });
+            }
+
+            var service = new SecurityHeadersService({site: self.site});
+            service.saveReports(reports, self.req.headers['user-agent'], function(err) {
+                if (util.isError(err)) {
+                    pb.log.error('CspReportApiController: Failed to store the violation reports for site %s. %s', self.site, err.stack);
+                }
+                cb({code: 204, content: ''});
+            });
+        });
+    };
+
+    /**
+     * Responds with the most recently reported violations.  The number of
+     * violations can be set with the "limit" query parameter.
+     * @method getAll
+     * @param {Function} cb
+     */
+    CspReportApiController.prototype.getAll = function(cb) {
+        var self = this;
+
+        var service = new SecurityHeadersService({site: this.site});
+        service.getReports({limit: this.query.limit}, function(err, reports) {
+            if (util.isError(err)) {
+                pb.log.error('CspReportApiController: Failed to retrieve the violation reports for site %s. %s', self.site, err.stack);
+                return cb({
+                    code: 500,
+                    content: BaseController.apiResponse(BaseController.API_FAILURE, '', '')
+                });
+            }
+            cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, '', reports)});
+        });
+    };
+
+    //exports
+    return CspReportApiController;
+};
@@ -0,0 +1,147 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function TwoFactorApiControllerModule(pb) {
+
+    //pb dependencies
+    var util             = pb.util;
+    var TwoFactorService = pb.TwoFactorService;
+
+    /**
+     * Allows the authenticated user to enrol, manage, and remove a second
+     * factor.  Every operation affects only the authenticated user.
+     * @class TwoFactorApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function TwoFactorApiController(){}
+    util.inherits(TwoFactorApiController, pb.BaseApiController);
+
+    /**
+     * Initializes the controller
+     * @method init
+     * @param {Object} context
+     * @param {Function} cb
+     */
+    TwoFactorApiController.prototype.init = function(context, cb) {
+        var self = this;
+        var init = function(err) {
+
+            /**
+             *
+             * @property service
+             * @type {TwoFactorService}
+             */
+            self.service = new TwoFactorService({site: self.site});
+
+            cb(err, true);
+        };
+        TwoFactorApiController.super_.prototype.init.apply(this, [context, init]);
+    };
+
+    /**
+     * Retrieves the second factor status of the authenticated user
+     * @method get
+     * @param {Function} cb
+     */
+    TwoFactorApiController.prototype.get = function(cb) {
+        this.getStatus(this.handleGet(cb));
+    };
+
+    /**
+     * Starts enrolment.  Provides the secret and the provisioning URI that is
+     * displayed as a QR code.
+     * @method enrol
+     * @param {Function} cb
+     */
+    TwoFactorApiController.prototype.enrol = function(cb) {
+        this.service.beginEnrolment(this.session.authentication.user_id, this.handleGet(cb));
+    };
+
+    /**
+     * Completes enrolment with the code from the authenticator app.  Provides
+     * the recovery codes.
+     * @method confirm
+     * @param {Function} cb
+     */
+    TwoFactorApiController.prototype.confirm = function(cb) {
+        var self = this;
+        var dto  = this.getPostDto();
+        this.service.confirmEnrolment(this.session.authentication.user_id, dto.code, function(err, result) {
+            if (!util.isError(err) && result) {
+                delete self.session.authentication.two_factor_enrolment;
+                self.session.authentication.user.two_factor = {
+                    enabled: true,
+                    recovery_codes_remaining: result.recovery_codes.length
+                };
+            }
+            self.handleGet(cb)(err, result);
+        });
+    };
+
+    /**
+     * Replaces the recovery codes of the authenticated user
+     * @method recoveryCodes
+     * @param {Function} cb
+     */
+    TwoFactorApiController.prototype.recoveryCodes = function(cb) {
+        var dto = this.getPostDto();
+        this.service.regenerateRecoveryCodes(this.session.authentication.user_id, dto.code, this.handleGet(cb));
+    };
+
+    /**
+     * Removes the second factor of the authenticated user.  Provides the
+     * updated status.
+     * @method disable
+     * @param {Function} cb
+     */
+    TwoFactorApiController.prototype.disable = function(cb) {
+        var self = this;
+        var dto  = this.getPostDto();
+        this.service.disable(this.session.authentication.user_id, dto.code, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            delete self.session.authentication.user.two_factor;
+            self.getStatus(self.handleGet(cb));
+        });
+    };
+
+    /**
+     * @method getStatus
+     * @param {Function} cb (Error, Object) Provides the "enabled" and
+     * "required" flags along with the number of recovery codes remaining
+     */
+    TwoFactorApiController.prototype.getStatus = function(cb) {
+        var self = this;
+        this.service.loadUser(this.session.authentication.user_id, function(err, user) {
+            if (util.isError(err) || !user) {
+                return cb(err, null);
+            }
+
+            self.service.isRequired(user, function(err, required) {
+                var status = TwoFactorService.sanitize(user).two_factor || {enabled: false, recovery_codes_remaining: 0};
+                status.required = required === true;
+                cb(err, status);
+            });
+        });
+    };
+
+    //exports
+    return TwoFactorApiController;
+};
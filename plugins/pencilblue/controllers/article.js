@@ -74,6 +74,9 @@ module.exports = function(pb) {
             else if (article == null) {
                 return self.reqHandler.serve404();
             }
+            else if (pb.ContentObjectService.isExpired(article)) {
+                return self.reqHandler.serveExpired();
+            }
 
             var options = {};
             self.contentViewLoader.render([article], options, function(err, html) {
@@ -112,6 +115,12 @@ module.exports = function(pb) {
             url: custUrl
         });
 
+        //put a check to look up by the URL translated for the request's locale
+        var translatedWhere = pb.ContentTranslationService.getUrlWhere(custUrl, this.ls.language);
+        if (translatedWhere !== null) {
+            conditions.push(translatedWhere);
+        }
+
         //check for object ID as the custom URL
         var where;
         if (conditions.length > 1) {
@@ -17,6 +17,7 @@
 
 //dependencies
 var path           = require('path');
+var crypto         = require('crypto');
 var HtmlEncoder    = require('htmlencode');
 var async          = require('async');
 var process        = require('process');
@@ -24,13 +25,18 @@ var process        = require('process');
 module.exports = function FeedModule(pb) {
 
     //pb dependencies
-    var util             = pb.util;
-    var ArticleServiceV2 = pb.ArticleServiceV2;
-    var MediaLoader      = pb.MediaLoader;
-    var UrlService       = pb.UrlService;
+    var util                 = pb.util;
+    var ArticleServiceV2     = pb.ArticleServiceV2;
+    var ContentObjectService = pb.ContentObjectService;
+    var UrlService           = pb.UrlService;
 
     /**
-     * RSS Feed
+     * Syndication feed of published articles.  The feed can be served as RSS
+     * 2.0, Atom 1.0 or JSON Feed 1.1 and may be narrowed to a single section,
+     * topic or author.
+     * @class ArticleFeed
+     * @constructor
+     * @extends BaseController
      */
     function ArticleFeed(){}
     util.inherits(ArticleFeed, pb.BaseController);
@@ -51,6 +57,37 @@ module.exports = function FeedModule(pb) {
      */
     var MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
+    /**
+     * The feed format used when none is specified
+     * @static
+     * @readonly
+     * @property DEFAULT_FORMAT
+     * @type {String}
+     */
+    ArticleFeed.DEFAULT_FORMAT = 'rss';
+
+    /**
+     * The supported feed formats mapped to the content type each is served as
+     * @static
+     * @readonly
+     * @property CONTENT_TYPES
+     * @type {Object}
+     */
+    ArticleFeed.CONTENT_TYPES = Object.freeze({
+        rss: 'application/rss+xml',
+        atom: 'application/atom+xml',
+        json: 'application/feed+json'
+    });
+
+    /**
+     * The version identifier required at the root of a JSON Feed document
+     * @static
+     * @readonly
+     * @property JSON_FEED_VERSION
+     * @type {String}
+     */
+    ArticleFeed.JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+
     /**
      * @method init
      * @param {Object} props
@@ -63,10 +100,26 @@ module.exports = function FeedModule(pb) {
                 return cb(err);
             }
 
-            //create the service
-            self.service = new pb.ArticleServiceV2(self.getServiceContext());
+            //get content settings
+            var contentService = new pb.ContentService(self.getServiceContext());
+            contentService.getSettings(function(err, contentSettings) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                self.contentSettings = contentSettings;
+
+                //create the service
+                var context = self.getServiceContext();
+                context.contentSettings = contentSettings;
+                self.service = new pb.ArticleServiceV2(context);
+
+                //provide a dao for filter lookups.  Authors may be global
+                //users so their lookup falls back to the global site
+                self.dao     = new pb.SiteQueryService({site: self.site, onlyThisSite: true});
+                self.userDao = new pb.SiteQueryService({site: self.site, onlyThisSite: false});
 
-            cb(null, true);
+                cb(null, true);
+            });
         };
         ArticleFeed.super_.prototype.init.apply(this, [props, init]);
     };
@@ -76,32 +129,183 @@ module.exports = function FeedModule(pb) {
      * @param {Function} cb
      */
     ArticleFeed.prototype.render = function(cb) {
+        var self   = this;
+        var format = ArticleFeed.getFormat(this.pathVars.format || this.query.format);
+        if (format === null) {
+            return this.reqHandler.serve404();
+        }
+
+        this.getFilter(function(err, filter) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (filter === null) {
+                return self.reqHandler.serve404();
+            }
+            self.filter = filter;
+
+            self.getFeedState(function(err, state) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                var lastModified  = state.lastModified;
+                self.lastModified = lastModified;
+
+                //build the validators so that readers can make conditional
+                //requests.  The item IDs are included so that deleted,
+                //unpublished and expired articles change the tag.
+                var etag = ArticleFeed.getETag([
+                    format,
+                    self.site,
+                    self.ls.language,
+                    filter.key,
+                    lastModified ? lastModified.getTime() : 0,
+                    state.ids.length,
+                    state.ids.join(','),
+                    self.contentSettings.feed_item_count,
+                    self.contentSettings.feed_full_content,
+                    self.contentSettings.feed_thumbnail_enclosure
+                ]);
+                var headers = {
+                    'Access-Control-Allow-Origin': '*',
+                    'ETag': etag
+                };
+                if (lastModified) {
+                    headers['Last-Modified'] = lastModified.toUTCString();
+                }
+
+                if (ArticleFeed.isNotModified(self.req.headers, etag, lastModified)) {
+                    return cb({
+                        code: 304,
+                        content: '',
+                        content_type: ArticleFeed.CONTENT_TYPES[format],
+                        headers: headers
+                    });
+                }
+
+                var renderer = format === 'json' ? self.renderJson : self.renderXml;
+                renderer.call(self, format, function(err, content) {
+                    if (util.isError(err)) {
+                        return cb(err);
+                    }
+                    cb({
+                        content: content,
+                        content_type: ArticleFeed.CONTENT_TYPES[format],
+                        headers: headers
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Renders the RSS or Atom representation of the feed
+     * @method renderXml
+     * @param {String} format Either "rss" or "atom"
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.renderXml = function(format, cb) {
         var self = this;
 
         this.ts.registerModel({
-            feed_url: UrlService.createSystemUrl(self.req.url),
+            feed_url: UrlService.createSystemUrl(self.req.url, {hostname: self.hostname}),
+            feed_title: self.getFeedTitle(),
+            home_url: self.hostname,
             language: pb.config.defaultLanguage ? pb.config.defaultLanguage : 'en-us',
             last_build: ArticleFeed.getRSSDate(),
+            updated: (self.lastModified || new Date()).toISOString(),
             items: function(flag, cb){
-                self.processItems(cb);
+                self.processItems(format, cb);
             }
         });
-        this.ts.load('xml_feeds/rss', function(err, content) {
-            var data = {
-                content: content,
-                headers: {
-                    'Access-Control-Allow-Origin': '*'
-                }
+        this.ts.load('xml_feeds/' + format, cb);
+    };
+
+    /**
+     * Renders the JSON Feed representation of the feed
+     * @method renderJson
+     * @param {String} format
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.renderJson = function(format, cb) {
+        var self = this;
+
+        this.getArticles(function(err, articles) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var feed = {
+                version: ArticleFeed.JSON_FEED_VERSION,
+                title: self.getFeedTitle(),
+                home_page_url: self.hostname,
+                feed_url: UrlService.createSystemUrl(self.req.url, {hostname: self.hostname}),
+                language: self.ls.language,
+                items: articles.map(function(article) {
+                    return self.getJsonItem(article);
+                })
             };
-            cb(data);
+            cb(null, JSON.stringify(feed));
         });
     };
 
+    /**
+     * Builds a single JSON Feed item from a rendered article
+     * @method getJsonItem
+     * @param {Object} article
+     * @return {Object}
+     */
+    ArticleFeed.prototype.getJsonItem = function(article) {
+        var url  = this.getArticleUrl(article);
+        var item = {
+            id: url,
+            url: url,
+            title: article.headline,
+            content_html: this.getContent(article),
+            summary: ArticleFeed.getDescription(article),
+            date_published: article.publish_date.toISOString(),
+            tags: article.section_names
+        };
+        if (util.isDate(article.last_modified)) {
+            item.date_modified = article.last_modified.toISOString();
+        }
+        if (article.author_name) {
+            item.authors = [{name: article.author_name}];
+        }
+        if (article.enclosure) {
+            item.image       = article.enclosure.url;
+            item.attachments = [{
+                url: article.enclosure.url,
+                mime_type: article.enclosure.type
+            }];
+        }
+        return item;
+    };
+
     /**
      * Builds the content
      * @method processItems
+     * @param {String} format Either "rss" or "atom"
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.processItems = function(format, cb) {
+        var self = this;
+
+        this.getArticles(function(err, articles) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            self.serializeArticles(articles, format, cb);
+        });
+    };
+
+    /**
+     * Retrieves the published articles that make up the feed along with their
+     * section names and, when enabled, their thumbnail enclosures.
+     * @method getArticles
+     * @param {Function} cb
      */
-    ArticleFeed.prototype.processItems = function(cb) {
+    ArticleFeed.prototype.getArticles = function(cb) {
         var self = this;
 
         var tasks = [
@@ -110,56 +314,76 @@ module.exports = function FeedModule(pb) {
             function(callback) {
                 var opts = {
                     render: true,
+                    readMore: !self.contentSettings.feed_full_content,
+                    where: util.clone(self.filter.where),
                     order: {publish_date: pb.DAO.DESC},
-                    limit: 100
+                    limit: ArticleFeed.getItemCount(self.contentSettings)
                 };
                 self.service.getPublished(opts, callback);
             },
 
             //get section names
             function(articles, callback) {
-                self.getSectionNames(articles, callback);
+                self.getSectionNames(articles || [], callback);
             },
 
-            //serialize articles
+            //get thumbnails
             function(articles, callback) {
-                self.serializeArticles(articles, callback);
+                self.getEnclosures(articles, callback);
             }
-        ]
+        ];
         async.waterfall(tasks, cb);
     };
 
     /**
      * @method serializeArticles
      * @param {Array} articles
+     * @param {String} [format='rss'] Either "rss" or "atom"
      * @param {Function} cb
      */
-    ArticleFeed.prototype.serializeArticles = function(articles, cb) {
+    ArticleFeed.prototype.serializeArticles = function(articles, format, cb) {
+        if (util.isFunction(format)) {
+            cb = format;
+            format = ArticleFeed.DEFAULT_FORMAT;
+        }
         var self = this;
 
-        var urlOptions = {
-            locale: this.ls.language
-        };
+        var isAtom   = format === 'atom';
+        var template = isAtom ? 'xml_feeds/atom/entry' : 'xml_feeds/rss/item';
         var tasks = util.getTasks(articles, function(articles, i) {
             return function(callback) {
 
-                var url = UrlService.createSystemUrl(UrlService.urlJoin('/article', articles[i].url), urlOptions);
+                var article = articles[i];
                 var ts = self.ts.getChildInstance();
-                ts.registerLocal('url', url);
-                ts.registerLocal('title', articles[i].headline);
-                ts.registerLocal('pub_date', ArticleFeed.getRSSDate(articles[i].publish_date));
-                ts.registerLocal('author', articles[i].author_name);
-                ts.registerLocal('description', new pb.TemplateValue(articles[i].meta_desc ? articles[i].meta_desc : articles[i].subheading, false));
-                ts.registerLocal('content', new pb.TemplateValue(articles[i].layout, false));
+                ts.registerLocal('url', self.getArticleUrl(article));
+                ts.registerLocal('title', article.headline);
+                ts.registerLocal('pub_date', ArticleFeed.getRSSDate(article.publish_date));
+                ts.registerLocal('published', article.publish_date.toISOString());
+                ts.registerLocal('updated', (util.isDate(article.last_modified) ? article.last_modified : article.publish_date).toISOString());
+                ts.registerLocal('author', article.author_name || '');
+                ts.registerLocal('description', new pb.TemplateValue(ArticleFeed.getDescription(article), false));
+                ts.registerLocal('content', new pb.TemplateValue(self.getContent(article), false));
                 ts.registerLocal('categories', function(flag, onFlagProccessed) {
-                    var categories = articles[i].section_names.reduce(function(prev, curr) {
-                        return prev + '\n<category>' + HtmlEncoder.htmlEncode(curr) + '</category>';
+                    var categories = article.section_names.reduce(function(prev, curr) {
+                        var name = HtmlEncoder.htmlEncode(curr);
+                        return prev + (isAtom ? '\n<category term="' + name + '"/>' : '\n<category>' + name + '</category>');
                     }, '');
                     onFlagProccessed(null, new pb.TemplateValue(categories, false));
                 });
+                ts.registerLocal('enclosure', function(flag, onFlagProccessed) {
+                    var enclosure = '';
+                    if (article.enclosure) {
+                        var url  = HtmlEncoder.htmlEncode(article.enclosure.url);
+                        var type = HtmlEncoder.htmlEncode(article.enclosure.type);
+                        enclosure = isAtom ?
+                            '<link rel="enclosure" href="' + url + '" type="' + type + '"/>' :
+                            '<enclosure url="' + url + '" length="0" type="' + type + '"/>';
+                    }
+                    onFlagProccessed(null, new pb.TemplateValue(enclosure, false));
+                });
 
                 process.nextTick(function() {
-                    ts.load('xml_feeds/rss/item', callback);
+                    ts.load(template, callback);
                 });
             };
         });
@@ -168,6 +392,174 @@ module.exports = function FeedModule(pb) {
         });
     };
 
+    /**
+     * Resolves the section, topic, or author that the feed is restricted to.
+     * The callback provides NULL as the result when the requested filter
+     * target does not exist.
+     * @method getFilter
+     * @param {Function} cb (Error, Object) The filter with a "where" clause,
+     * a "key" that uniquely identifies it and an optional display "name".
+     */
+    ArticleFeed.prototype.getFilter = function(cb) {
+        var pathVars = this.pathVars;
+
+        if (pathVars.customUrl) {
+            this.dao.loadByValue('url', pathVars.customUrl, 'section', function(err, section) {
+                if (util.isError(err) || !section) {
+                    return cb(err, null);
+                }
+
+                var where = {};
+                ArticleServiceV2.setSectionClause(where, section[pb.DAO.getIdField()]);
+                cb(null, {where: where, key: 'section:' + section[pb.DAO.getIdField()], name: section.name});
+            });
+        }
+        else if (pathVars.topicId) {
+            if (!pb.ValidationService.isIdStr(pathVars.topicId, true)) {
+                return cb(null, null);
+            }
+            this.dao.loadById(pathVars.topicId, 'topic', function(err, topic) {
+                if (util.isError(err) || !topic) {
+                    return cb(err, null);
+                }
+
+                var where = {};
+                ArticleServiceV2.setTopicClause(where, topic[pb.DAO.getIdField()]);
+                cb(null, {where: where, key: 'topic:' + topic[pb.DAO.getIdField()], name: topic.name});
+            });
+        }
+        else if (pathVars.username) {
+            this.userDao.loadByValue('username', pathVars.username, 'user', function(err, user) {
+                if (util.isError(err) || !user) {
+                    return cb(err, null);
+                }
+
+                var authorId = user[pb.DAO.getIdField()] + '';
+                cb(null, {where: {author: authorId}, key: 'author:' + authorId, name: user.first_name ? user.first_name + ' ' + user.last_name : user.username});
+            });
+        }
+        else {
+            cb(null, {where: {}, key: 'all', name: null});
+        }
+    };
+
+    /**
+     * Retrieves the state that determines whether the feed has changed: the
+     * IDs of the articles that currently make up the feed and the most recent
+     * modification, or publish, date among them.
+     * @method getFeedState
+     * @param {Function} cb (Error, Object) The object provides "ids" and
+     * "lastModified".  The date is NULL when the feed is empty.
+     */
+    ArticleFeed.prototype.getFeedState = function(cb) {
+        var where = util.clone(this.filter.where);
+        ContentObjectService.setPublishedClause(where);
+
+        var opts = {
+            select: {publish_date: 1, last_modified: 1},
+            where: where,
+            order: {publish_date: pb.DAO.DESC},
+            limit: ArticleFeed.getItemCount(this.contentSettings)
+        };
+        this.dao.q('article', opts, function(err, articles) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, {
+                ids: articles.map(function(article) {
+                    return article[pb.DAO.getIdField()] + '';
+                }),
+                lastModified: ArticleFeed.getLastModified(articles)
+            });
+        });
+    };
+
+    /**
+     * Looks up the thumbnail for each article and attaches it as an
+     * "enclosure" object with a URL and content type.  Only file based media
+     * can be enclosed.  When the thumbnail enclosure setting is disabled the
+     * articles are passed through untouched.
+     * @method getEnclosures
+     * @param {Array} articles
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.getEnclosures = function(articles, cb) {
+        if (!this.contentSettings.feed_thumbnail_enclosure) {
+            return cb(null, articles);
+        }
+
+        var ids = [];
+        articles.forEach(function(article) {
+            if (pb.ValidationService.isIdStr(article.thumbnail, true)) {
+                ids.push(article.thumbnail);
+            }
+        });
+        if (ids.length === 0) {
+            return cb(null, articles);
+        }
+
+        var self = this;
+        var opts = {
+            select: {location: 1, is_file: 1},
+            where: pb.DAO.getIdInWhere(ids)
+        };
+        var mediaService = new pb.MediaService(null, this.site, false);
+        mediaService.get(opts, function(err, media) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            //convert to hash for quick lookup
+            var idField   = pb.DAO.getIdField();
+            var mediaHash = util.arrayToHash(media, function(media, i) {
+                return media[i][idField];
+            });
+            articles.forEach(function(article) {
+                var item = mediaHash[article.thumbnail];
+                if (!item || !item.is_file || !item.location) {
+                    return;
+                }
+                article.enclosure = {
+                    url: UrlService.createSystemUrl(item.location, {hostname: self.hostname}),
+                    type: pb.RequestHandler.getMimeFromPath(item.location) || 'application/octet-stream'
+                };
+            });
+            cb(null, articles);
+        });
+    };
+
+    /**
+     * @method getArticleUrl
+     * @param {Object} article
+     * @return {String} The absolute URL of the article
+     */
+    ArticleFeed.prototype.getArticleUrl = function(article) {
+        var urlOptions = {
+            locale: this.ls.language,
+            hostname: this.hostname
+        };
+        return UrlService.createSystemUrl(UrlService.urlJoin('/article', article.url), urlOptions);
+    };
+
+    /**
+     * Provides the body of an item.  When the site is configured to only
+     * syndicate summaries the description is provided in place of the layout.
+     * @method getContent
+     * @param {Object} article
+     * @return {String}
+     */
+    ArticleFeed.prototype.getContent = function(article) {
+        return this.contentSettings.feed_full_content ? article.layout : ArticleFeed.getDescription(article);
+    };
+
+    /**
+     * @method getFeedTitle
+     * @return {String}
+     */
+    ArticleFeed.prototype.getFeedTitle = function() {
+        return this.filter.name ? this.siteName + ' - ' + this.filter.name : this.siteName;
+    };
+
     /**
      * @method getSectionNames
      * @param {Array} articles
@@ -233,6 +625,106 @@ module.exports = function FeedModule(pb) {
         return Object.keys(sectionsHash);
     }
 
+    /**
+     * Resolves the requested feed format
+     * @static
+     * @method getFormat
+     * @param {String} [format]
+     * @return {String} The normalized format or NULL when the format is not
+     * supported
+     */
+    ArticleFeed.getFormat = function(format) {
+        if (!pb.ValidationService.isNonEmptyStr(format, true)) {
+            return ArticleFeed.DEFAULT_FORMAT;
+        }
+        format = format.toLowerCase();
+        return ArticleFeed.CONTENT_TYPES.hasOwnProperty(format) ? format : null;
+    };
+
+    /**
+     * Determines the number of items to include in the feed based on the
+     * content settings.
+     * @static
+     * @method getItemCount
+     * @param {Object} contentSettings
+     * @return {Integer}
+     */
+    ArticleFeed.getItemCount = function(contentSettings) {
+        var count = parseInt(contentSettings.feed_item_count, 10);
+        return isNaN(count) || count <= 0 ? pb.ContentService.getDefaultSettings().feed_item_count : pb.BaseObjectService.getLimit(count);
+    };
+
+    /**
+     * @static
+     * @method getDescription
+     * @param {Object} article
+     * @return {String}
+     */
+    ArticleFeed.getDescription = function(article) {
+        return (article.meta_desc ? article.meta_desc : article.subheading) || '';
+    };
+
+    /**
+     * Determines the most recent point in time at which any of the provided
+     * articles was published or modified.
+     * @static
+     * @method getLastModified
+     * @param {Array} articles
+     * @return {Date} NULL when no article carries a date
+     */
+    ArticleFeed.getLastModified = function(articles) {
+        return articles.reduce(function(latest, article) {
+            [article.publish_date, article.last_modified].forEach(function(date) {
+                if (util.isDate(date) && (latest === null || date > latest)) {
+                    latest = date;
+                }
+            });
+            return latest;
+        }, null);
+    };
+
+    /**
+     * Creates a strong entity tag from the values that influence the output
+     * of the feed.
+     * @static
+     * @method getETag
+     * @param {Array} parts
+     * @return {String}
+     */
+    ArticleFeed.getETag = function(parts) {
+        return '"' + crypto.createHash('md5').update(parts.join('|')).digest('hex') + '"';
+    };
+
+    /**
+     * Inspects the conditional request headers to determine if the client's
+     * copy of the feed is still current.  When an If-None-Match header is
+     * present it takes precedence over If-Modified-Since.
+     * @static
+     * @method isNotModified
+     * @param {Object} headers The request headers
+     * @param {String} etag The current entity tag of the feed
+     * @param {Date} [lastModified] The most recent change to the feed's articles
+     * @return {Boolean}
+     */
+    ArticleFeed.isNotModified = function(headers, etag, lastModified) {
+        var ifNoneMatch = headers['if-none-match'];
+        if (ifNoneMatch) {
+            return ifNoneMatch.split(',').some(function(tag) {
+                tag = tag.trim().replace(/^W\//, '');
+                return tag === '*' || tag === etag;
+            });
+        }
+
+        var ifModifiedSince = headers['if-modified-since'];
+        if (!ifModifiedSince || !util.isDate(lastModified)) {
+            return false;
+        }
+        var since = Date.parse(ifModifiedSince);
+
+        //HTTP dates do not carry milliseconds
+        return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+    };
+
     /**
      * Ex: Thu, 03 Jul 2014 18:21:05 +0000
      * @method getRSSDate
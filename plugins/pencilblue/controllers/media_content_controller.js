@@ -30,6 +30,26 @@ module.exports = function (pb) {
     function MediaContentController() {};
     util.inherits(MediaContentController, pb.BaseController);
 
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property SVG_MIME
+     * @type {String}
+     */
+    var SVG_MIME = 'image/svg+xml';
+
+    /**
+     * The Content-Security-Policy served with SVG images.  Nothing the image
+     * references is loaded and no script runs when it is opened directly.
+     * Inline styles are still applied.
+     * @static
+     * @readonly
+     * @property SVG_POLICY
+     * @type {String}
+     */
+    MediaContentController.SVG_POLICY = "default-src 'none'; style-src 'unsafe-inline'";
+
     /**
      * Initializes the controller
      * @method init
@@ -53,41 +73,226 @@ module.exports = function (pb) {
     };
 
     /**
+     * Streams the media, or a derivative of an image when one is requested
+     * through the query string, to the client.  When the media provider is able
+     * to serve the media directly, such as through a pre-signed URL, the client
+     * is redirected instead.
      * @method render
      * @param {Function} cb
      */
     MediaContentController.prototype.render = function(cb) {
-        var self      = this;
+        var self = this;
+
+        this.getMediaPath(function(err, mediaPath, mime) {
+            if (util.isError(err)) {
+                if (err.code === 'ENOENT') {
+                    return self.reqHandler.serve404();
+                }
+                pb.log.error('Failed to load media derivative: URL=%s', self.req.url);
+                err.code = isNaN(err.code) ? 500 : err.code;
+                return self.reqHandler.serveError(err);
+            }
+
+            //providers may serve the media directly to the client
+            self.service.getRedirectUrl(mediaPath, function(err, location) {
+                if (util.isError(err)) {
+                    pb.log.error('Failed to generate media URL: PATH=%s', mediaPath);
+                    return self.reqHandler.serveError(err);
+                }
+                else if (location) {
+                    return self.redirect(location, cb);
+                }
+                self.serveMedia(mediaPath, mime, cb);
+            });
+        });
+    };
+
+    /**
+     * Determines the media that should be served.  When derivatives are enabled
+     * and the query string asks for one, the derivative is generated if it does
+     * not already exist.  Only the sizes of the presets and the srcset widths
+     * may be requested.
+     * @method getMediaPath
+     * @param {Function} cb (Error, String, String) Provides the media path and
+     * its MIME type
+     */
+    MediaContentController.prototype.getMediaPath = function(cb) {
+        var ImageDerivativeService = pb.ImageDerivativeService;
+
+        var pathname = this.reqHandler.url.pathname;
+        if (!pb.config.media.derivatives.enabled || !ImageDerivativeService.isSupported(pathname) || !ImageDerivativeService.isRequested(this.query)) {
+            return cb(null, this.req.url, pb.RequestHandler.getMimeFromPath(this.req.url));
+        }
+
+        var self = this;
+        var service = new ImageDerivativeService({site: this.site, mediaService: this.service});
+        service.getPresets(function(err, presets) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var options = ImageDerivativeService.parseOptions(self.query, presets, pathname);
+            if (util.isError(options)) {
+                return cb(options);
+            }
+            else if (!ImageDerivativeService.isAllowedSize(options, presets)) {
+                var err = new Error('Derivatives are only available in the sizes of the presets and srcset widths');
+                err.code = 400;
+                return cb(err);
+            }
+            service.getDerivative(pathname, options, function(err, derivativePath) {
+                cb(err, derivativePath, ImageDerivativeService.FORMATS[options.format]);
+            });
+        });
+    };
+
+    /**
+     * Streams the media to the client.  The response carries an ETag and the
+     * date the media was last modified so that conditional requests can be
+     * answered with a 304 without loading the content.  A single byte range
+     * may be requested, with an optional If-Range condition, in which case
+     * only that part of the media is streamed with a 206 (Partial Content).
+     * SVG images are served with a policy that prevents them from running
+     * script or loading other resources.
+     * @method serveMedia
+     * @param {String} mediaPath
+     * @param {String} [mime]
+     * @param {Function} cb
+     */
+    MediaContentController.prototype.serveMedia = function(mediaPath, mime, cb) {
+        var self = this;
 
-        var mime = pb.RequestHandler.getMimeFromPath(this.req.url);
         if (mime) {
             this.res.setHeader('content-type', mime);
         }
 
         //load the media if available
-        var mediaPath = this.req.url;
-        this.service.getContentStreamByPath(mediaPath, function(err, mstream) {
-            if(util.isError(err)) {
+        this.service.statByPath(mediaPath, function(err, stat) {
+            if (util.isError(err)) {
+                if (err.code === 'ENOENT') {
+                    return self.reqHandler.serve404();
+                }
+                pb.log.error('Failed to stat media: PATH=%s', mediaPath);
+                err.code = isNaN(err.code) ? 500 : err.code;
                 return self.reqHandler.serveError(err);
             }
 
-            mstream.once('end', function() {
-                //do nothing. content was streamed out and closed
-            })
-            .once('error', function(err) {
-                if (err.message.indexOf('ENOENT') === 0) {
-                    self.reqHandler.serve404();
-                }
-                else {
-                    pb.log.error('Failed to load media: MIME=%s PATH=%s', mime, mediaPath);
-                    err.code = isNaN(err.code) ? 500 : err.code;
-                    self.reqHandler.serveError(err);
+            var headers = MediaContentController.getCacheHeaders(stat);
+            if (mime === SVG_MIME) {
+                headers['content-security-policy'] = MediaContentController.SVG_POLICY;
+            }
+            var supportsRanges = self.service.supportsRanges();
+            headers['accept-ranges'] = supportsRanges ? 'bytes' : 'none';
+            if (pb.RequestHandler.isNotModified(self.req, headers)) {
+                return cb({
+                    code: pb.HttpStatus.NOT_MODIFIED,
+                    content_type: mime,
+                    headers: headers
+                });
+            }
+
+            //check for a partial request
+            var size = MediaContentController.getSize(stat);
+            var range = null;
+            if (supportsRanges && pb.RequestHandler.isRangeFresh(self.req, headers)) {
+                range = pb.RequestHandler.parseRange(self.req.headers.range, size);
+            }
+            if (range === false) {
+                headers['content-range'] = 'bytes */' + size;
+                return cb({
+                    code: pb.HttpStatus.REQUESTED_RANGE_NOT_SATISFIABLE,
+                    content_type: mime,
+                    headers: headers,
+                    content: ''
+                });
+            }
+
+            var code = pb.HttpStatus.OK;
+            var options = {};
+            if (range) {
+                code = pb.HttpStatus.PARTIAL_CONTENT;
+                options = range;
+                headers['content-range'] = 'bytes ' + range.start + '-' + range.end + '/' + size;
+                headers['content-length'] = range.end - range.start + 1;
+            }
+            else if (!isNaN(size)) {
+                headers['content-length'] = size;
+            }
+
+            self.service.getContentStreamByPath(mediaPath, options, function(err, mstream) {
+                if(util.isError(err)) {
+                    return self.reqHandler.serveError(err);
                 }
-            })
-            .pipe(self.res);
+
+                //the response is streamed so the security headers that the
+                //request handler adds to other responses are applied here
+                var securityHeaders = pb.SecurityHeadersService.getHeaders(self.req, self.reqHandler.themeRoute, self.site);
+                Object.keys(securityHeaders).forEach(function(header) {
+                    if (typeof headers[header] === 'undefined') {
+                        headers[header] = securityHeaders[header];
+                    }
+                });
+
+                self.res.statusCode = code;
+                Object.keys(headers).forEach(function(header) {
+                    self.res.setHeader(header, headers[header]);
+                });
+                mstream.once('end', function() {
+                    //do nothing. content was streamed out and closed
+                })
+                .once('error', function(err) {
+                    if (err.message.indexOf('ENOENT') === 0) {
+                        self.reqHandler.serve404();
+                    }
+                    else {
+                        pb.log.error('Failed to load media: MIME=%s PATH=%s', mime, mediaPath);
+                        err.code = isNaN(err.code) ? 500 : err.code;
+                        self.reqHandler.serveError(err);
+                    }
+                })
+                .pipe(self.res);
+            });
         });
     };
 
+    /**
+     * Retrieves the size, in bytes, of a media file from its stats.  Both the
+     * file system and the GridFS stats are supported.
+     * @static
+     * @method getSize
+     * @param {Object} stat The stats provided by the media provider
+     * @return {Integer} The size or NaN when it is not available
+     */
+    MediaContentController.getSize = function(stat) {
+        var size = util.isNullOrUndefined(stat.size) ? stat.length : stat.size;
+        return util.isNumber(size) ? size : NaN;
+    };
+
+    /**
+     * Builds the caching headers for a media file from its stats
+     * @static
+     * @method getCacheHeaders
+     * @param {Object} stat The stats provided by the media provider
+     * @return {Object} The headers keyed by lower case name
+     */
+    MediaContentController.getCacheHeaders = function(stat) {
+        var headers = {};
+
+        var etag = pb.RequestHandler.generateStatETag(stat);
+        if (etag) {
+            headers.etag = etag;
+        }
+        var modified = stat.mtime || stat.uploadDate;
+        if (util.isDate(modified)) {
+            headers['last-modified'] = modified.toUTCString();
+        }
+        var cacheControl = pb.RequestHandler.getCacheControl('media');
+        if (cacheControl) {
+            headers['cache-control'] = cacheControl;
+        }
+        return headers;
+    };
+
     //exports
     return MediaContentController;
 };
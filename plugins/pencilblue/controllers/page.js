@@ -72,7 +72,10 @@ module.exports = function(pb) {
                 return cb(err);
             }
             else if (content == null) {
-                return self.reqHandler.serve404();   
+                return self.reqHandler.serve404();
+            }
+            else if (pb.ContentObjectService.isExpired(content)) {
+                return self.reqHandler.serveExpired();
             }
                 
             var options = {};
@@ -112,6 +115,12 @@ module.exports = function(pb) {
             url: custUrl 
         });
         
+        //put a check to look up by the URL translated for the request's locale
+        var translatedWhere = pb.ContentTranslationService.getUrlWhere(custUrl, this.ls.language);
+        if (translatedWhere !== null) {
+            conditions.push(translatedWhere);
+        }
+        
         //check for object ID as the custom URL
         var where;
         if (conditions.length > 1) {
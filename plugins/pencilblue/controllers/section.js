@@ -106,8 +106,13 @@ module.exports = function(pb) {
     SectionViewController.prototype.getContent = function(custUrl, cb) {
         var self = this;
 
-        //lookup by URL
-        self.dao.loadByValue('url', custUrl, 'section', function(err, section) {
+        //lookup by URL or by the URL translated for the request's locale
+        var where = {url: custUrl};
+        var translatedWhere = pb.ContentTranslationService.getUrlWhere(custUrl, this.ls.language);
+        if (translatedWhere !== null) {
+            where = {$or: [where, translatedWhere]};
+        }
+        self.dao.loadByValues(where, 'section', function(err, section) {
             if (util.isError(err) || section == null) {
                 return cb(null, null);
             }
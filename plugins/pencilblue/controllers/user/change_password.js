@@ -84,6 +84,12 @@ module.exports = function ChangePasswordFormControllerModule(pb) {
                             title: this.ls.get('CHANGE_PASSWORD'),
                             icon: 'key',
                             href: '/user/change_password',
+                        },
+                        {
+                            id: 'two_factor',
+                            title: this.ls.get('TWO_FACTOR_AUTHENTICATION'),
+                            icon: 'mobile',
+                            href: '/user/manage_account/two_factor',
                         }
                     ]
                 }
@@ -0,0 +1,123 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function TwoFactorFormControllerModule(pb) {
+
+    //pb dependencies
+    var util             = pb.util;
+    var TwoFactorService = pb.TwoFactorService;
+
+    /**
+     * Interface for logged in user to enrol and manage a second factor
+     * @class TwoFactorFormController
+     * @constructor
+     * @extends FormController
+     */
+    function TwoFactorFormController(){}
+    util.inherits(TwoFactorFormController, pb.FormController);
+
+    /**
+     *
+     * @method render
+     * @param {Function} cb
+     */
+    TwoFactorFormController.prototype.render = function(cb) {
+        var self    = this;
+        var service = new TwoFactorService({site: this.site});
+        service.loadUser(this.session.authentication.user_id, function(err, user) {
+            if(util.isError(err) || user === null) {
+                return self.redirect('/', cb);
+            }
+
+            service.isRequired(user, function(err, required) {
+                var data = self.gatherData();
+                data.twoFactor = TwoFactorService.sanitize(user).two_factor || {enabled: false, recovery_codes_remaining: 0};
+                data.twoFactor.required = required === true;
+                data.enrolmentRequired = self.session.authentication.two_factor_enrolment === true;
+
+                self.setPageName(self.ls.get('TWO_FACTOR_AUTHENTICATION'));
+                self.ts.registerLocal('angular_objects', new pb.TemplateValue(pb.ClientJs.getAngularObjects(data), false));
+                self.ts.load('user/two_factor', function(err, result) {
+                    cb({content: result});
+                });
+            });
+        });
+    };
+
+    /**
+     *
+     * @method gatherData
+     * @return {Object}
+     */
+    TwoFactorFormController.prototype.gatherData = function() {
+        return {
+            navigation: [
+                {
+                    id: 'account',
+                    active: 'active',
+                    title: this.ls.get('ACCOUNT'),
+                    icon: 'user',
+                    href: '#',
+                    dropdown: true,
+                    children:
+                    [
+                        {
+                            id: 'manage',
+                            title: this.ls.get('MANAGE_ACCOUNT'),
+                            icon: 'cog',
+                            href: '/user/manage_account',
+                        },
+                        {
+                            id: 'change_password',
+                            title: this.ls.get('CHANGE_PASSWORD'),
+                            icon: 'key',
+                            href: '/user/change_password',
+                        },
+                        {
+                            id: 'two_factor',
+                            active: 'active',
+                            title: this.ls.get('TWO_FACTOR_AUTHENTICATION'),
+                            icon: 'mobile',
+                            href: '/user/manage_account/two_factor',
+                        }
+                    ]
+                }
+            ],
+
+            pills: [
+                {
+                    name: 'two_factor',
+                    title: this.ls.get('TWO_FACTOR_AUTHENTICATION'),
+                    icon: 'refresh',
+                    href: '/user/manage_account/two_factor'
+                }
+            ],
+
+            tabs: [
+                {
+                    active: 'active',
+                    href: '#two_factor',
+                    icon: 'mobile',
+                    title: this.ls.get('TWO_FACTOR_AUTHENTICATION')
+                }
+            ]
+        };
+    };
+
+    //exports
+    return TwoFactorFormController;
+};
@@ -0,0 +1,73 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+module.exports = function TwoFactorLoginViewControllerModule(pb) {
+
+    //pb dependencies
+    var util           = pb.util;
+    var ViewController = pb.ViewController;
+
+    /**
+     * Interface for providing the second factor after a valid username and
+     * password have been provided
+     * @class TwoFactorLoginViewController
+     * @constructor
+     * @extends ViewController
+     */
+    function TwoFactorLoginViewController(){}
+    util.inherits(TwoFactorLoginViewController, ViewController);
+
+    /**
+     * Renders the second step of the user login
+     * @method login
+     * @param {Function} cb
+     */
+    TwoFactorLoginViewController.prototype.login = function(cb) {
+        this.renderStep('/user/login', 'user/two_factor_login', cb);
+    };
+
+    /**
+     * Renders the second step of the admin login
+     * @method adminLogin
+     * @param {Function} cb
+     */
+    TwoFactorLoginViewController.prototype.adminLogin = function(cb) {
+        this.renderStep('/admin/login', 'admin/two_factor_login', cb);
+    };
+
+    /**
+     * @method renderStep
+     * @param {String} loginUrl Where to send the user when there is no login
+     * waiting on a second factor
+     * @param {String} view
+     * @param {Function} cb
+     */
+    TwoFactorLoginViewController.prototype.renderStep = function(loginUrl, view, cb) {
+        if(pb.security.isAuthenticated(this.session)) {
+            return this.redirect('/', cb);
+        }
+        else if (!pb.security.getPendingSecondFactor(this.session)) {
+            return this.redirect(loginUrl, cb);
+        }
+
+        this.setPageName(' ' + this.ls.get('TWO_FACTOR_AUTHENTICATION'));
+        this.render(view, cb);
+    };
+
+    //exports
+    return TwoFactorLoginViewController;
+};
@@ -54,6 +54,7 @@ module.exports = function Routes(pb){
             access_level: 0,
             auth_required: false,
             setup_required: false,
+            csrf: false,
             inactive_site_access: true,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'setup.js'),
             content_type: 'text/html'
@@ -76,6 +77,25 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'login.js'),
             content_type: 'text/html'
         },
+        {
+            method: 'post',
+            path: "/actions/login/two_factor",
+            access_level: 0,
+            auth_required: false,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'two_factor_login.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'get',
+            handler: 'adminLogin',
+            path: "/admin/login/two_factor",
+            access_level: 0,
+            auth_required: false,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'user', 'two_factor_login.js'),
+            content_type: 'text/html'
+        },
         {
             method: 'post',
             path: "/actions/admin/sites/auth_token/:siteid",
@@ -124,6 +144,7 @@ module.exports = function Routes(pb){
             path: "/actions/logout",
             access_level: 0,
             auth_required: true,
+            two_factor_enrolment: true,
             inactive_site_access: true,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'logout.js'),
             content_type: 'text/html'
@@ -172,6 +193,7 @@ module.exports = function Routes(pb){
             method: 'post',
             path: "/actions/user/sign_up",
             auth_required: false,
+            rate_limit: {capacity: 5, interval: 3600},
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'user', 'sign_up.js'),
             request_body: ['application/x-www-form-urlencoded', 'application/json']
         },
@@ -205,6 +227,7 @@ module.exports = function Routes(pb){
             method: 'get',
             path: "/api/user/get_username_available",
             auth_required: false,
+            rate_limit: {capacity: 30, interval: 60},
             inactive_site_access: true,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'get_username_available.js'),
             content_type: 'application/json'
@@ -216,6 +239,13 @@ module.exports = function Routes(pb){
             auth_required: false,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'user', 'login.js'),
         },
+        {
+            method: 'get',
+            handler: 'login',
+            path: "/user/login/two_factor",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'user', 'two_factor_login.js'),
+        },
         {
             method: 'get',
             path: "/feed",
@@ -223,6 +253,55 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
             content_type: 'application/rss+xml'
         },
+        {
+            method: 'get',
+            path: "/feed/:format",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
+            content_type: 'application/rss+xml'
+        },
+        {
+            method: 'get',
+            path: "/feed/section/:customUrl",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
+            content_type: 'application/rss+xml'
+        },
+        {
+            method: 'get',
+            path: "/feed/section/:customUrl/:format",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
+            content_type: 'application/rss+xml'
+        },
+        {
+            method: 'get',
+            path: "/feed/topic/:topicId",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
+            content_type: 'application/rss+xml'
+        },
+        {
+            method: 'get',
+            path: "/feed/topic/:topicId/:format",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
+            content_type: 'application/rss+xml'
+        },
+        {
+            method: 'get',
+            path: "/feed/author/:username",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
+            content_type: 'application/rss+xml'
+        },
+        {
+            method: 'get',
+            path: "/feed/author/:username/:format",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
+            content_type: 'application/rss+xml'
+        },
         {
             method: 'get',
             path: "/section/:customUrl",
@@ -251,6 +330,7 @@ module.exports = function Routes(pb){
             method: 'post',
             path: "/api/comments/new_comment",
             auth_required: true,
+            rate_limit: {capacity: 5, interval: 60, key: 'user'},
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'comments', 'new_comment.js'),
             content_type: 'text/html'
         },
@@ -268,6 +348,69 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'user', 'manage_account.js'),
             content_type: 'text/html'
         },
+        {
+            method: 'get',
+            path: "/user/manage_account/two_factor",
+            auth_required: true,
+            two_factor_enrolment: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'user', 'two_factor.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'get',
+            handler: 'get',
+            path: "/api/user/two_factor",
+            auth_required: true,
+            two_factor_enrolment: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'two_factor_api_controller.js'),
+            content_type: 'application/json'
+        },
+        {
+            method: 'post',
+            handler: 'enrol',
+            path: "/api/user/two_factor/enrol",
+            auth_required: true,
+            two_factor_enrolment: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'two_factor_api_controller.js'),
+            content_type: 'application/json',
+            request_body: ['application/json']
+        },
+        {
+            method: 'post',
+            handler: 'confirm',
+            path: "/api/user/two_factor/confirm",
+            auth_required: true,
+            two_factor_enrolment: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'two_factor_api_controller.js'),
+            content_type: 'application/json',
+            request_body: ['application/json']
+        },
+        {
+            method: 'post',
+            handler: 'recoveryCodes',
+            path: "/api/user/two_factor/recovery_codes",
+            auth_required: true,
+            two_factor_enrolment: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'two_factor_api_controller.js'),
+            content_type: 'application/json',
+            request_body: ['application/json']
+        },
+        {
+            method: 'post',
+            handler: 'disable',
+            path: "/api/user/two_factor/disable",
+            auth_required: true,
+            two_factor_enrolment: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'two_factor_api_controller.js'),
+            content_type: 'application/json',
+            request_body: ['application/json']
+        },
         {
             method: 'get',
             path: "/user/resend_verification",
@@ -308,12 +451,42 @@ module.exports = function Routes(pb){
         {
             method: 'get',
             path: "/api/content/search",
+            auth_required: false,
+            rate_limit: {capacity: 30, interval: 60},
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'content', 'search.js'),
+            content_type: 'application/json'
+        },
+        {
+            method: 'post',
+            path: "/api/content/search/rebuild",
+            handler: 'rebuild',
             auth_required: true,
             inactive_site_access: true,
-            access_level: pb.SecurityService.ACCESS_WRITER,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'content', 'search.js'),
             content_type: 'application/json'
         },
+        {
+            method: 'post',
+            path: "/api/security/csp_report",
+            auth_required: false,
+            inactive_site_access: true,
+            rate_limit: {capacity: 30, interval: 60},
+            security_headers: false,
+            csrf: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'security', 'csp_report.js'),
+            content_type: 'application/json'
+        },
+        {
+            method: 'get',
+            path: "/api/admin/security/csp_reports",
+            handler: 'getAll',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'security', 'csp_report.js'),
+            content_type: 'application/json'
+        },
         {
             method: 'post',
             handler: 'refresh',
@@ -333,6 +506,26 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'admin', 'system', 'cluster_api.js'),
             content_type: 'application/json'
         },
+        {
+            method: 'get',
+            handler: 'getAll',
+            path: "/api/jobs",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'jobs', 'job_api_controller.js'),
+            content_type: 'application/json'
+        },
+        {
+            method: 'get',
+            handler: 'stream',
+            path: "/api/jobs/:id/stream",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'jobs', 'job_api_controller.js'),
+            content_type: 'text/event-stream'
+        },
         {
             method: 'post',
             path: "/api/jobs/:action/:id",
@@ -532,6 +725,28 @@ module.exports = function Routes(pb){
             content_type: 'text/html'
         },
 
+        // REVISIONS
+        {
+            method: 'get',
+            path: "/admin/content/revisions/:contentType/:id",
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'content', 'revisions', 'manage_revisions.js'),
+            content_type: 'text/html'
+        },
+
+        // EXPIRING CONTENT
+        {
+            method: 'get',
+            path: "/admin/content/expiring",
+            access_level: pb.SecurityService.ACCESS_EDITOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'content', 'expiring', 'expiring_content.js'),
+            content_type: 'text/html'
+        },
+
         // PAGES
         {
             method: 'get',
@@ -662,6 +877,34 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'admin', 'content', 'media', 'get_preview.js'),
             content_type: 'application/json'
         },
+        {
+            method: 'post',
+            path: "/api/admin/content/media/migrate",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'admin', 'content', 'media', 'migrate_media.js'),
+            content_type: 'application/json'
+        },
+        {
+            method: 'post',
+            path: "/api/admin/content/media/rebuild_usage",
+            handler: 'rebuild',
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'admin', 'content', 'media', 'media_usage.js'),
+            content_type: 'application/json'
+        },
+        {
+            method: 'get',
+            path: "/api/admin/content/media/:id/usage",
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'admin', 'content', 'media', 'media_usage.js'),
+            content_type: 'application/json'
+        },
 
         // COMMENTS
         {
@@ -673,6 +916,15 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'content', 'comments', 'manage_comments.js'),
             content_type: 'text/html'
         },
+        {
+            method: 'post',
+            path: "/actions/admin/content/comments/moderate",
+            access_level: pb.SecurityService.ACCESS_EDITOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'content', 'comments', 'moderate_comments.js'),
+            content_type: 'text/html'
+        },
         {
             method: 'delete',
             path: "/actions/admin/content/comments/:id",
@@ -933,6 +1185,14 @@ module.exports = function Routes(pb){
             access_level: pb.SecurityService.ACCESS_EDITOR,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'users', 'unverified_users.js'),
         },
+        {
+            method: 'get',
+            path: "/admin/users/api_keys",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'users', 'api_keys.js'),
+        },
         {
             method: 'get',
             path: "/admin/users/new",
@@ -1025,6 +1285,38 @@ module.exports = function Routes(pb){
             access_level: pb.SecurityService.ACCESS_MANAGING_EDITOR,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'users', 'send_password_reset.js'),
         },
+        {
+            method: 'get',
+            path: "/actions/admin/users/unlock/:id",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_MANAGING_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'users', 'unlock_user.js'),
+        },
+        {
+            method: 'post',
+            path: "/actions/admin/users/unlock/:id",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_MANAGING_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'users', 'unlock_user.js'),
+        },
+        {
+            method: 'get',
+            path: "/actions/admin/users/reset_two_factor/:id",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'users', 'reset_two_factor.js'),
+        },
+        {
+            method: 'post',
+            path: "/actions/admin/users/reset_two_factor/:id",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'users', 'reset_two_factor.js'),
+        },
 
         // SITE SETTINGS
         {
@@ -1099,6 +1391,78 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'site_settings', 'libraries.js'),
             content_type: 'text/html'
         },
+        {
+            method: 'get',
+            path: "/admin/site_settings/security",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'site_settings', 'security.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'post',
+            path: "/actions/admin/site_settings/security",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'site_settings', 'security.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'get',
+            path: "/admin/site_settings/webhooks",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'site_settings', 'webhooks.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'get',
+            path: "/admin/site_settings/webhooks/new",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'site_settings', 'webhook_form.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'get',
+            path: "/admin/site_settings/webhooks/:id",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'site_settings', 'webhook_form.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'get',
+            path: "/admin/site_settings/webhooks/:id/deliveries",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'site_settings', 'webhook_deliveries.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'get',
+            path: "/admin/site_settings/translations",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'site_settings', 'translations.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'get',
+            path: "/admin/site_settings/scheduled_jobs",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'site_settings', 'scheduled_jobs.js'),
+            content_type: 'text/html'
+        },
         {
             method: 'get',
             path: "/api/localization/script",
@@ -1288,6 +1652,58 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/article_api_controller.js')
         },
 
+        //revisions
+        {
+            method: 'get',
+            path: "/api/content/:contentType/:id/revisions",
+            handler: "getAll",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/revision_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/:contentType/:id/revisions/:revisionId",
+            handler: "get",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/revision_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/content/:contentType/:id/revisions/:revisionId/restore",
+            handler: "restore",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/revision_api_controller.js')
+        },
+        //workflow
+        {
+            method: 'get',
+            path: "/api/content/:contentType/:id/workflow",
+            handler: "get",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/workflow_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/content/:contentType/:id/workflow/notes",
+            handler: "addNote",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/workflow_api_controller.js')
+        },
         //settings
         {
             method: 'get',
@@ -1338,6 +1754,229 @@ module.exports = function Routes(pb){
             request_body: ['application/json']
         },
 
+        //api keys
+        {
+            method: 'get',
+            path: "/api/admin/api_keys/:id",
+            handler: "get",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/api_key_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/admin/api_keys",
+            handler: "getAll",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/api_key_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/admin/api_keys",
+            handler: "post",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/api_key_api_controller.js'),
+            request_body: ['application/json']
+        },
+        {
+            method: 'post',
+            path: "/api/admin/api_keys/:id/revoke",
+            handler: "revoke",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/api_key_api_controller.js')
+        },
+
+        //webhooks
+        {
+            method: 'get',
+            path: "/api/admin/webhooks/:id",
+            handler: "get",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/admin/webhooks",
+            handler: "getAll",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/admin/webhooks",
+            handler: "post",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js'),
+            request_body: ['application/json']
+        },
+        {
+            method: 'put',
+            path: "/api/admin/webhooks/:id",
+            handler: "put",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js'),
+            request_body: ['application/json']
+        },
+        {
+            method: 'delete',
+            path: "/api/admin/webhooks/:id",
+            handler: "delete",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/admin/webhooks/:id/deliveries",
+            handler: "deliveries",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/admin/webhooks/deliveries/:id/replay",
+            handler: "replay",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js')
+        },
+
+        //translations
+        {
+            method: 'get',
+            path: "/api/admin/localization/translations",
+            handler: "report",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/translation_api_controller.js')
+        },
+        {
+            method: 'put',
+            path: "/api/admin/localization/translations/:locale/:key",
+            handler: "override",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/translation_api_controller.js'),
+            request_body: ['application/json']
+        },
+        {
+            method: 'delete',
+            path: "/api/admin/localization/translations/:locale/:key",
+            handler: "removeOverride",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/translation_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/admin/localization/export",
+            handler: "export",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/translation_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/admin/localization/import",
+            handler: "import",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/translation_api_controller.js'),
+            request_body: ['application/json']
+        },
+
+        //scheduled jobs
+        {
+            method: 'get',
+            path: "/api/admin/scheduled_jobs",
+            handler: "getAll",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/system/scheduled_job_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/admin/scheduled_jobs/:name",
+            handler: "get",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/system/scheduled_job_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/admin/scheduled_jobs/:name/pause",
+            handler: "pause",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/system/scheduled_job_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/admin/scheduled_jobs/:name/resume",
+            handler: "resume",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/system/scheduled_job_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/admin/scheduled_jobs/:name/run",
+            handler: "run",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/system/scheduled_job_api_controller.js')
+        },
+
         //topics
         {
             method: 'get',
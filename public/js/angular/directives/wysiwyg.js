@@ -153,6 +153,9 @@
           if(scope.wysiwyg.mediaMaxHeight) {
             mediaFormat = mediaFormat.concat(',maxHeight:' + scope.wysiwyg.mediaMaxHeight + scope.wysiwyg.mediaMaxHeightUnit);
           }
+          if(/^\d{4}-\d{2}-\d{2}$/.test(scope.wysiwyg.mediaExpires)) {
+            mediaFormat = mediaFormat.concat(',expires:' + scope.wysiwyg.mediaExpires);
+          }
 
           return mediaFormat;
         };
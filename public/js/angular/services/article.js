@@ -1,12 +1,16 @@
 (function() {
   angular.module('pencilblue.services.article', [])
   .service('articleService', function() {
+    this.getWorkflowStateName = function(state) {
+      return loc.workflow['STATE_' + state.toUpperCase()] || state.replace(/_/g, ' ');
+    };
+
     this.setArticleStatuses = function(articles) {
 			var now = new Date();
 
 			for(var i = 0; i < articles.length; i++) {
 				if(articles[i].draft) {
-					articles[i].status = loc.articles.DRAFT;
+					articles[i].status = articles[i].workflow_state ? this.getWorkflowStateName(articles[i].workflow_state) : loc.articles.DRAFT;
 				}
 				else if(articles[i].publish_date > now) {
 					articles[i].status = loc.articles.UNPUBLISHED;
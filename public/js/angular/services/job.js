@@ -0,0 +1,41 @@
+angular.module('job', [])
+.service('jobService', function($rootScope) {
+
+	/**
+	 * Follows the progress of a job through its event stream.  The handlers
+	 * are called within a digest:  "onLog" with each log entry, "onProgress"
+	 * with the status and progress of the job when they change, "onDone" with
+	 * the outcome once the job finishes, and "onFailure" when the progress can
+	 * no longer be retrieved.  Returns the EventSource so that it can be closed.
+	 */
+	this.follow = function(jobId, handlers) {
+		var source = new EventSource('/api/jobs/' + encodeURIComponent(jobId) + '/stream');
+
+		var listen = function(event, handler, isFinal) {
+			source.addEventListener(event, function(e) {
+				if (isFinal) {
+					source.close();
+				}
+				if (handler) {
+					var data = JSON.parse(e.data);
+					$rootScope.$apply(function() {
+						handler(data);
+					});
+				}
+			});
+		};
+		listen('log', handlers.onLog);
+		listen('progress', handlers.onProgress);
+		listen('done', handlers.onDone, true);
+		listen('failure', handlers.onFailure, true);
+		return source;
+	};
+
+	this.formatLog = function(entry) {
+		return entry.created + ':[' + entry.worker_id + '] ' + entry.message;
+	};
+
+	this.formatResult = function(result) {
+		return result.error ? result.status + ': ' + result.error : result.status;
+	};
+});
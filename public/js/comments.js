@@ -37,7 +37,13 @@ function submitComment(button)
             var articleID = $(this).attr('id').split('article_').join('');
             $('#comment_submitting_' + articleIndex).show();
 
-            $.post('/api/comments/new_comment', {article: articleID, content: $('#comment_content_' + articleIndex).val()}, function(data)
+            var comment = {
+                article: articleID,
+                content: $('#comment_content_' + articleIndex).val(),
+                parent: $('#comment_parent_' + articleIndex).val(),
+                website: $('#comment_website_' + articleIndex).val()
+            };
+            $.post('/api/comments/new_comment', comment, function(data)
             {
                 var response = $.parseJSON(data);
                 $('#comment_submitting_' + articleIndex).hide();
@@ -50,18 +56,51 @@ function submitComment(button)
                 {
                     $('#comment_error_' + articleIndex).hide();
                     $('#comment_content_' + articleIndex).val('');
+                    cancelReply(articleIndex);
+
+                    //comments that are held for moderation are not displayed yet
+                    if(response.data.status !== 'approved')
+                    {
+                        $('#comment_pending_' + articleIndex).show();
+                        return;
+                    }
+                    $('#comment_pending_' + articleIndex).hide();
 
                     var commentWell = $('#user_comment_' + articleIndex).html();
                     commentWell = commentWell.split('^content^').join(encodeHtml(response.data.content));
                     commentWell = commentWell.split('^timestamp^').join(response.data.timestamp);
 
-                    $('#comment_container_' + articleIndex).prepend(commentWell);
+                    if(comment.parent)
+                    {
+                        $('#comment_replies_' + comment.parent).append(commentWell);
+                    }
+                    else
+                    {
+                        $('#comment_container_' + articleIndex).prepend(commentWell);
+                    }
                 }
             });
         }
     });
 }
 
+function replyToComment(articleIndex, commentID, link)
+{
+    var commenterName = link.closest('.comment').find('.comment_content b').first().text();
+
+    $('#comment_parent_' + articleIndex).val(commentID);
+    $('#comment_reply_to_name_' + articleIndex).text(commenterName);
+    $('#comment_reply_to_' + articleIndex).show();
+    $('#submit_comment_collapse_' + articleIndex).collapse('show');
+    $('#comment_content_' + articleIndex).focus();
+}
+
+function cancelReply(articleIndex)
+{
+    $('#comment_parent_' + articleIndex).val('');
+    $('#comment_reply_to_' + articleIndex).hide();
+}
+
 function encodeHtml(value) {
     if (value) {
         return jQuery('<div />').text(value).html();
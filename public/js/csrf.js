@@ -0,0 +1,91 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/**
+ * Sends the CSRF token of the page with every request that changes state.  The
+ * token is read from the "csrf-token" meta tag.  Requests made with jQuery or
+ * Angular's $http carry it in the X-CSRF-Token header and forms posted to the
+ * site carry it in the "csrf_token" field.  The script must be loaded after
+ * jQuery and Angular.
+ */
+(function() {
+
+    var meta  = document.querySelector('meta[name="csrf-token"]');
+    var token = meta ? meta.getAttribute('content') : null;
+    if (!token) {
+        return;
+    }
+
+    var HEADER       = 'X-CSRF-Token';
+    var PARAM        = 'csrf_token';
+    var SAFE_METHODS = /^(GET|HEAD|OPTIONS)$/i;
+
+    var isSameOrigin = function(url) {
+        var a = document.createElement('a');
+        a.href = url;
+        return !a.host || a.host === window.location.host;
+    };
+
+    var addToForm = function(form) {
+        if (SAFE_METHODS.test(form.method || 'GET') || !isSameOrigin(form.action) || form.elements[PARAM]) {
+            return;
+        }
+
+        var input   = document.createElement('input');
+        input.type  = 'hidden';
+        input.name  = PARAM;
+        input.value = token;
+        form.appendChild(input);
+    };
+
+    //jQuery
+    if (window.jQuery) {
+        jQuery.ajaxPrefilter(function(options, originalOptions, xhr) {
+            if (!SAFE_METHODS.test(options.type) && !options.crossDomain) {
+                xhr.setRequestHeader(HEADER, token);
+            }
+        });
+    }
+
+    //Angular.  Every application loads the "ng" module.
+    if (window.angular) {
+        angular.module('ng').config(['$httpProvider', function($httpProvider) {
+            $httpProvider.interceptors.push(function() {
+                return {
+                    request: function(config) {
+                        if (!SAFE_METHODS.test(config.method) && isSameOrigin(config.url)) {
+                            config.headers[HEADER] = token;
+                        }
+                        return config;
+                    }
+                };
+            });
+        }]);
+    }
+
+    //forms in the page and forms that are added later
+    document.addEventListener('DOMContentLoaded', function() {
+        for (var i = 0; i < document.forms.length; i++) {
+            addToForm(document.forms[i]);
+        }
+    });
+    document.addEventListener('submit', function(event) {
+        if (event.target && event.target.tagName === 'FORM') {
+            addToForm(event.target);
+        }
+    }, true);
+})();
@@ -0,0 +1,722 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/**
+ * A dependency free implementation of the ICU MessageFormat syntax.  It
+ * supports simple arguments ("{name}"), the "plural", "selectordinal" and
+ * "select" arguments, including "offset:" and exact matches ("=0"), and the
+ * "number", "date" and "time" arguments.  Literal text may be quoted with
+ * apostrophes ("'{'") and two apostrophes produce a single one.  Plural
+ * categories as well as number and date formatting are provided by the
+ * runtime's Intl API.  The script is shared by the server and the browser.
+ * On the server it is exposed as pb.MessageFormat.  In the browser it is
+ * delivered with the localization script as the global "MessageFormat".
+ * @class MessageFormat
+ */
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    }
+    else {
+        root.MessageFormat = factory();
+    }
+})(this, function() {
+
+    var MessageFormat = {};
+
+    /**
+     * The locale used when one is not provided to the formatting functions
+     * @static
+     * @property locale
+     * @type {String}
+     */
+    MessageFormat.locale = 'en-US';
+
+    /**
+     * The argument types that can be provided after the argument name
+     * @static
+     * @readonly
+     * @property TYPES
+     * @type {Object}
+     */
+    MessageFormat.TYPES = Object.freeze({
+        PLURAL: 'plural',
+        SELECT_ORDINAL: 'selectordinal',
+        SELECT: 'select',
+        NUMBER: 'number',
+        DATE: 'date',
+        TIME: 'time'
+    });
+
+    /**
+     * The plural categories defined by the Unicode CLDR
+     * @static
+     * @readonly
+     * @property PLURAL_CATEGORIES
+     * @type {Array}
+     */
+    MessageFormat.PLURAL_CATEGORIES = Object.freeze(['zero', 'one', 'two', 'few', 'many', 'other']);
+
+    /**
+     * The styles that may be provided to a "number" argument.  Currency
+     * styles also carry the currency code, as in "currency/EUR".
+     * @static
+     * @readonly
+     * @property NUMBER_STYLES
+     * @type {Array}
+     */
+    MessageFormat.NUMBER_STYLES = Object.freeze(['integer', 'percent', 'currency']);
+
+    /**
+     * The styles that may be provided to a "date" or "time" argument
+     * @static
+     * @readonly
+     * @property DATE_STYLES
+     * @type {Array}
+     */
+    MessageFormat.DATE_STYLES = Object.freeze(['short', 'medium', 'long', 'full']);
+
+    /**
+     * Detects the arguments that make a value a MessageFormat message rather
+     * than a string with simple named parameters
+     * @private
+     * @property MESSAGE_REGEX
+     * @type {RegExp}
+     */
+    var MESSAGE_REGEX = /\{\s*[^{}\s,]+\s*,\s*(plural|selectordinal|select|number|date|time)\s*[,}]/;
+
+    /**
+     * Parsed messages keyed by their source
+     * @private
+     * @property PARSE_CACHE
+     * @type {Object}
+     */
+    var PARSE_CACHE = {};
+
+    /**
+     * Intl formatters keyed by their locale and options
+     * @private
+     * @property FORMATTER_CACHE
+     * @type {Object}
+     */
+    var FORMATTER_CACHE = {};
+
+    /**
+     * Determines if a value uses the MessageFormat argument types.  Values
+     * that only contain simple arguments, such as "Hello {name}", are not
+     * considered to be messages.
+     * @static
+     * @method isMessage
+     * @param {String} value
+     * @return {Boolean}
+     */
+    MessageFormat.isMessage = function(value) {
+        return typeof value === 'string' && MESSAGE_REGEX.test(value);
+    };
+
+    /**
+     * Parses a message into its parts.  Each part is either a string of
+     * literal text or an object that describes an argument.
+     * @static
+     * @method parse
+     * @param {String} message
+     * @return {Array}
+     * @throws {Error} When the message is malformed
+     */
+    MessageFormat.parse = function(message) {
+        if (typeof message !== 'string') {
+            throw new Error('message parameter must be a string');
+        }
+        if (PARSE_CACHE.hasOwnProperty(message)) {
+            return PARSE_CACHE[message];
+        }
+
+        var parser = new Parser(message);
+        var parts = parser.parseMessage(false);
+        if (parser.pos < message.length) {
+            throw parser.error('Unexpected "}"');
+        }
+        return (PARSE_CACHE[message] = parts);
+    };
+
+    /**
+     * Inspects a message for syntax errors and for arguments that can not be
+     * formatted, such as a plural argument without an "other" option.
+     * @static
+     * @method validate
+     * @param {String} message
+     * @return {Array} The descriptions of the errors.  Empty when the message
+     * is valid.
+     */
+    MessageFormat.validate = function(message) {
+        var parts;
+        try {
+            parts = MessageFormat.parse(message);
+        }
+        catch(e) {
+            return [e.message];
+        }
+
+        var errors = [];
+        var inspect = function(parts) {
+            parts.forEach(function(part) {
+                if (typeof part !== 'object' || !part.type) {
+                    return;
+                }
+
+                switch(part.type) {
+                    case MessageFormat.TYPES.PLURAL:
+                    case MessageFormat.TYPES.SELECT_ORDINAL:
+                        Object.keys(part.options).forEach(function(key) {
+                            if (key.charAt(0) !== '=' && MessageFormat.PLURAL_CATEGORIES.indexOf(key) < 0) {
+                                errors.push('The ' + part.type + ' argument "' + part.name + '" has an invalid category "' + key + '"');
+                            }
+                            else if (key.charAt(0) === '=' && isNaN(parseFloat(key.substring(1)))) {
+                                errors.push('The ' + part.type + ' argument "' + part.name + '" has an invalid exact match "' + key + '"');
+                            }
+                        });
+                        //fall through
+                    case MessageFormat.TYPES.SELECT:
+                        if (!part.options.hasOwnProperty('other')) {
+                            errors.push('The ' + part.type + ' argument "' + part.name + '" requires an "other" option');
+                        }
+                        Object.keys(part.options).forEach(function(key) {
+                            inspect(part.options[key]);
+                        });
+                        break;
+                    case MessageFormat.TYPES.NUMBER:
+                        if (part.style && MessageFormat.NUMBER_STYLES.indexOf(part.style.split('/')[0]) < 0) {
+                            errors.push('The number argument "' + part.name + '" has an invalid style "' + part.style + '"');
+                        }
+                        else if (part.style && part.style.indexOf('currency') === 0 && !/^currency\/[A-Z]{3}$/.test(part.style)) {
+                            errors.push('The number argument "' + part.name + '" must provide a currency code, as in "currency/USD"');
+                        }
+                        break;
+                    case MessageFormat.TYPES.DATE:
+                    case MessageFormat.TYPES.TIME:
+                        if (part.style && MessageFormat.DATE_STYLES.indexOf(part.style) < 0) {
+                            errors.push('The ' + part.type + ' argument "' + part.name + '" has an invalid style "' + part.style + '"');
+                        }
+                        break;
+                }
+            });
+        };
+        inspect(parts);
+        return errors;
+    };
+
+    /**
+     * Formats a message with the provided parameters.  When a parameter is
+     * not provided the default value, or the name of the parameter, is
+     * output in its place and plural arguments select their "other" option.
+     * @static
+     * @method format
+     * @param {String} message
+     * @param {Object} [params={}]
+     * @param {String} [locale=MessageFormat.locale]
+     * @param {String} [defaultVal]
+     * @return {String}
+     * @throws {Error} When the message is malformed
+     */
+    MessageFormat.format = function(message, params, locale, defaultVal) {
+        var context = {
+            params: params || {},
+            locale: locale || MessageFormat.locale,
+            defaultVal: defaultVal,
+            plural: null
+        };
+        return formatParts(MessageFormat.parse(message), context);
+    };
+
+    /**
+     * Formats a number for a locale
+     * @static
+     * @method formatNumber
+     * @param {Number} value
+     * @param {String} [locale=MessageFormat.locale]
+     * @param {Object} [options] The options of Intl.NumberFormat
+     * @return {String}
+     */
+    MessageFormat.formatNumber = function(value, locale, options) {
+        var formatter = getFormatter('NumberFormat', locale, options);
+        return formatter ? formatter.format(value) : String(value);
+    };
+
+    /**
+     * Formats an amount of money for a locale
+     * @static
+     * @method formatCurrency
+     * @param {Number} value
+     * @param {String} currency The ISO 4217 code of the currency, such as "USD"
+     * @param {String} [locale=MessageFormat.locale]
+     * @param {Object} [options] The options of Intl.NumberFormat
+     * @return {String}
+     */
+    MessageFormat.formatCurrency = function(value, currency, locale, options) {
+        options = extend({style: 'currency', currency: currency}, options);
+        var formatter = getFormatter('NumberFormat', locale, options);
+        return formatter ? formatter.format(value) : currency + ' ' + value;
+    };
+
+    /**
+     * Formats a date for a locale
+     * @static
+     * @method formatDate
+     * @param {Date|Number|String} date
+     * @param {String} [locale=MessageFormat.locale]
+     * @param {String|Object} [options='medium'] One of the DATE_STYLES or the
+     * options of Intl.DateTimeFormat
+     * @return {String}
+     */
+    MessageFormat.formatDate = function(date, locale, options) {
+        return formatDateTime(date, locale, typeof options === 'object' ? options : {dateStyle: options || 'medium'});
+    };
+
+    /**
+     * Formats the time of a date for a locale
+     * @static
+     * @method formatTime
+     * @param {Date|Number|String} date
+     * @param {String} [locale=MessageFormat.locale]
+     * @param {String|Object} [options='medium'] One of the DATE_STYLES or the
+     * options of Intl.DateTimeFormat
+     * @return {String}
+     */
+    MessageFormat.formatTime = function(date, locale, options) {
+        return formatDateTime(date, locale, typeof options === 'object' ? options : {timeStyle: options || 'medium'});
+    };
+
+    /**
+     * Determines the plural category of a number for a locale
+     * @static
+     * @method getPluralCategory
+     * @param {Number} value
+     * @param {String} [locale=MessageFormat.locale]
+     * @param {Boolean} [ordinal=false]
+     * @return {String} One of the PLURAL_CATEGORIES
+     */
+    MessageFormat.getPluralCategory = function(value, locale, ordinal) {
+        var rules = getFormatter('PluralRules', locale, {type: ordinal ? 'ordinal' : 'cardinal'});
+        if (rules) {
+            return rules.select(value);
+        }
+        return !ordinal && value === 1 ? 'one' : 'other';
+    };
+
+    /**
+     * Converts the parts of a message to a string
+     * @private
+     * @static
+     * @method formatParts
+     * @param {Array} parts
+     * @param {Object} context
+     * @return {String}
+     */
+    function formatParts(parts, context) {
+        var result = '';
+        for (var i = 0; i < parts.length; i++) {
+            var part = parts[i];
+            if (typeof part === 'string') {
+                result += part;
+                continue;
+            }
+            if (part.type === '#') {
+                if (!context.plural) {
+                    result += '#';
+                }
+                else if (context.plural.value === null) {
+                    result += context.defaultVal || context.plural.name;
+                }
+                else {
+                    result += MessageFormat.formatNumber(context.plural.value, context.locale);
+                }
+                continue;
+            }
+
+            var value = context.params[part.name];
+            if (value === undefined || value === null) {
+                if (part.options) {
+                    result += formatParts(part.options.other || [], {
+                        params: context.params,
+                        locale: context.locale,
+                        defaultVal: context.defaultVal,
+                        plural: part.type === MessageFormat.TYPES.SELECT ? context.plural : {name: part.name, value: null}
+                    });
+                }
+                else {
+                    result += context.defaultVal || part.name;
+                }
+                continue;
+            }
+
+            switch(part.type) {
+                case MessageFormat.TYPES.PLURAL:
+                case MessageFormat.TYPES.SELECT_ORDINAL:
+                    var number = Number(value);
+                    var options = part.options['=' + number];
+                    if (!options) {
+                        var category = MessageFormat.getPluralCategory(number - part.offset, context.locale, part.type === MessageFormat.TYPES.SELECT_ORDINAL);
+                        options = part.options[category] || part.options.other;
+                    }
+                    result += formatParts(options, {
+                        params: context.params,
+                        locale: context.locale,
+                        defaultVal: context.defaultVal,
+                        plural: {name: part.name, value: number - part.offset}
+                    });
+                    break;
+                case MessageFormat.TYPES.SELECT:
+                    result += formatParts(part.options[String(value)] || part.options.other, context);
+                    break;
+                case MessageFormat.TYPES.NUMBER:
+                    result += formatNumberArgument(value, part.style, context.locale);
+                    break;
+                case MessageFormat.TYPES.DATE:
+                    result += MessageFormat.formatDate(value, context.locale, part.style);
+                    break;
+                case MessageFormat.TYPES.TIME:
+                    result += MessageFormat.formatTime(value, context.locale, part.style);
+                    break;
+                default:
+                    result += String(value);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Formats the value of a "number" argument
+     * @private
+     * @static
+     * @method formatNumberArgument
+     * @param {Number} value
+     * @param {String} [style]
+     * @param {String} locale
+     * @return {String}
+     */
+    function formatNumberArgument(value, style, locale) {
+        var styleParts = (style || '').split('/');
+        switch(styleParts[0]) {
+            case 'integer':
+                return MessageFormat.formatNumber(value, locale, {maximumFractionDigits: 0});
+            case 'percent':
+                return MessageFormat.formatNumber(value, locale, {style: 'percent'});
+            case 'currency':
+                return MessageFormat.formatCurrency(value, styleParts[1], locale);
+            default:
+                return MessageFormat.formatNumber(value, locale);
+        }
+    }
+
+    /**
+     * Formats a date with the provided Intl.DateTimeFormat options
+     * @private
+     * @static
+     * @method formatDateTime
+     * @param {Date|Number|String} date
+     * @param {String} [locale]
+     * @param {Object} options
+     * @return {String}
+     */
+    function formatDateTime(date, locale, options) {
+        if (!(date instanceof Date)) {
+            date = new Date(date);
+        }
+        if (isNaN(date.getTime())) {
+            return '';
+        }
+        var formatter = getFormatter('DateTimeFormat', locale, options);
+        return formatter ? formatter.format(date) : date.toString();
+    }
+
+    /**
+     * Retrieves a cached Intl formatter.  When the runtime does not provide
+     * the formatter, or the locale is not valid, NULL is returned.
+     * @private
+     * @static
+     * @method getFormatter
+     * @param {String} type The name of the Intl constructor
+     * @param {String} [locale]
+     * @param {Object} [options]
+     * @return {Object}
+     */
+    function getFormatter(type, locale, options) {
+        if (typeof Intl === 'undefined' || !Intl[type]) {
+            return null;
+        }
+
+        locale = locale || MessageFormat.locale;
+        var key = type + '|' + locale + '|' + JSON.stringify(options || {});
+        if (!FORMATTER_CACHE.hasOwnProperty(key)) {
+            try {
+                FORMATTER_CACHE[key] = new Intl[type](locale, options);
+            }
+            catch(e) {
+                FORMATTER_CACHE[key] = null;
+            }
+        }
+        return FORMATTER_CACHE[key];
+    }
+
+    /**
+     * Copies the properties of the source on to the target
+     * @private
+     * @static
+     * @method extend
+     * @param {Object} target
+     * @param {Object} [source]
+     * @return {Object} The target
+     */
+    function extend(target, source) {
+        Object.keys(source || {}).forEach(function(key) {
+            target[key] = source[key];
+        });
+        return target;
+    }
+
+    /**
+     * Parses the source of a message one character at a time
+     * @private
+     * @class Parser
+     * @constructor
+     * @param {String} message
+     */
+    function Parser(message) {
+        this.message = message;
+        this.pos = 0;
+    }
+
+    /**
+     * Creates an error that describes the current position in the message
+     * @method error
+     * @param {String} description
+     * @return {Error}
+     */
+    Parser.prototype.error = function(description) {
+        return new Error(description + ' at position ' + this.pos + ' of message "' + this.message + '"');
+    };
+
+    /**
+     * Parses text and arguments until the end of the message or a closing
+     * brace is found
+     * @method parseMessage
+     * @param {Boolean} inPlural When TRUE "#" is parsed as the number of the plural
+     * @return {Array}
+     */
+    Parser.prototype.parseMessage = function(inPlural) {
+        var parts = [];
+        var text = '';
+        while (this.pos < this.message.length) {
+            var c = this.message.charAt(this.pos);
+            if (c === '}') {
+                break;
+            }
+            else if (c === '{') {
+                if (text) {
+                    parts.push(text);
+                    text = '';
+                }
+                parts.push(this.parseArgument());
+            }
+            else if (c === '#' && inPlural) {
+                if (text) {
+                    parts.push(text);
+                    text = '';
+                }
+                parts.push({type: '#'});
+                this.pos++;
+            }
+            else if (c === '\'') {
+                text += this.parseQuoted(inPlural);
+            }
+            else {
+                text += c;
+                this.pos++;
+            }
+        }
+        if (text) {
+            parts.push(text);
+        }
+        return parts;
+    };
+
+    /**
+     * Parses an apostrophe.  Two apostrophes produce one.  An apostrophe
+     * followed by a syntax character starts quoted text that runs until the
+     * next single apostrophe.  Any other apostrophe is literal.
+     * @method parseQuoted
+     * @param {Boolean} inPlural
+     * @return {String}
+     */
+    Parser.prototype.parseQuoted = function(inPlural) {
+        var next = this.message.charAt(this.pos + 1);
+        if (next === '\'') {
+            this.pos += 2;
+            return '\'';
+        }
+        if (next !== '{' && next !== '}' && !(next === '#' && inPlural)) {
+            this.pos++;
+            return '\'';
+        }
+
+        var text = '';
+        this.pos++;
+        while (this.pos < this.message.length) {
+            var c = this.message.charAt(this.pos);
+            if (c === '\'' && this.message.charAt(this.pos + 1) === '\'') {
+                text += '\'';
+                this.pos += 2;
+            }
+            else if (c === '\'') {
+                this.pos++;
+                break;
+            }
+            else {
+                text += c;
+                this.pos++;
+            }
+        }
+        return text;
+    };
+
+    /**
+     * Parses an argument starting with the opening brace
+     * @method parseArgument
+     * @return {Object}
+     */
+    Parser.prototype.parseArgument = function() {
+        this.pos++;
+        var name = this.parseWord();
+        if (!name) {
+            throw this.error('Expected an argument name');
+        }
+
+        var c = this.expect(',}');
+        if (c === '}') {
+            return {type: 'argument', name: name};
+        }
+
+        var type = this.parseWord();
+        var argument = {type: type, name: name};
+        switch(type) {
+            case MessageFormat.TYPES.PLURAL:
+            case MessageFormat.TYPES.SELECT_ORDINAL:
+            case MessageFormat.TYPES.SELECT:
+                this.expect(',');
+                argument.offset = 0;
+                if (type !== MessageFormat.TYPES.SELECT && this.message.substr(this.skipWhitespace(), 7) === 'offset:') {
+                    this.pos += 7;
+                    this.skipWhitespace();
+                    var offset = this.parseWord();
+                    if (!/^\d+$/.test(offset)) {
+                        throw this.error('Expected an integer offset');
+                    }
+                    argument.offset = parseInt(offset, 10);
+                }
+                argument.options = this.parseOptions(type !== MessageFormat.TYPES.SELECT);
+                break;
+            case MessageFormat.TYPES.NUMBER:
+            case MessageFormat.TYPES.DATE:
+            case MessageFormat.TYPES.TIME:
+                if (this.expect(',}') === ',') {
+                    argument.style = this.parseWord();
+                    this.expect('}');
+                }
+                return argument;
+            default:
+                throw this.error('Unknown argument type "' + type + '"');
+        }
+        this.expect('}');
+        return argument;
+    };
+
+    /**
+     * Parses the options of a plural or select argument.  The closing brace
+     * of the argument is not consumed.
+     * @method parseOptions
+     * @param {Boolean} inPlural
+     * @return {Object}
+     */
+    Parser.prototype.parseOptions = function(inPlural) {
+        var options = {};
+        var count = 0;
+        while (this.skipWhitespace() < this.message.length && this.message.charAt(this.pos) !== '}') {
+            var key = this.parseWord();
+            if (!key) {
+                throw this.error('Expected an option key');
+            }
+            if (options.hasOwnProperty(key)) {
+                throw this.error('Duplicate option "' + key + '"');
+            }
+
+            this.expect('{');
+            options[key] = this.parseMessage(inPlural);
+            this.expect('}');
+            count++;
+        }
+        if (count === 0) {
+            throw this.error('Expected at least one option');
+        }
+        return options;
+    };
+
+    /**
+     * Parses a run of characters that are not whitespace or syntax characters.
+     * Leading whitespace is skipped.
+     * @method parseWord
+     * @return {String}
+     */
+    Parser.prototype.parseWord = function() {
+        this.skipWhitespace();
+        var start = this.pos;
+        while (this.pos < this.message.length && !/[\s{},]/.test(this.message.charAt(this.pos))) {
+            this.pos++;
+        }
+        return this.message.substring(start, this.pos);
+    };
+
+    /**
+     * Consumes one of the expected characters after skipping whitespace
+     * @method expect
+     * @param {String} chars The characters that are allowed
+     * @return {String} The character that was consumed
+     * @throws {Error} When a different character or the end of the message is found
+     */
+    Parser.prototype.expect = function(chars) {
+        this.skipWhitespace();
+        var c = this.message.charAt(this.pos);
+        if (!c || chars.indexOf(c) < 0) {
+            throw this.error('Expected "' + chars.split('').join('" or "') + '"');
+        }
+        this.pos++;
+        return c;
+    };
+
+    /**
+     * Moves past any whitespace
+     * @method skipWhitespace
+     * @return {Integer} The current position
+     */
+    Parser.prototype.skipWhitespace = function() {
+        while (this.pos < this.message.length && /\s/.test(this.message.charAt(this.pos))) {
+            this.pos++;
+        }
+        return this.pos;
+    };
+
+    return MessageFormat;
+});
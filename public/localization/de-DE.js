@@ -70,6 +70,7 @@ module.exports = {
         PREFERENCES: 'Einstellungen',
         COMMENT: 'Kommentar',
         COMMENTS: 'Kommentare',
+        COMMENT_COUNT: '{comments_length, plural, =0 {Keine Kommentare} one {# Kommentar} other {# Kommentare}}',
         SUBMIT_COMMENT: 'Kommentieren',
         LOGIN_TO_COMMENT: 'Anmelden, um einen Kommentar zu verfassen.',
         COMMENT_SUBMITTED: 'Ihr Kommentar wurde gespeichert.',
@@ -196,7 +197,11 @@ module.exports = {
         NOV: 'November',
         DEC: 'Dezember',
         TIME_AM: 'AM',
-        TIME_PM: 'PM'
+        TIME_PM: 'PM',
+        JUST_NOW: 'Gerade eben',
+        MINUTES_AGO: '{count, plural, one {vor # Minute} other {vor # Minuten}}',
+        HOURS_AGO: '{count, plural, one {vor # Stunde} other {vor # Stunden}}',
+        DAYS_AGO: '{count, plural, one {vor # Tag} other {vor # Tagen}}'
     },
     setup: {
         REGISTER_ADMIN: 'Bitte das erste Admin-Konto für die Seite anlegen.'
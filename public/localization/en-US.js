@@ -55,10 +55,14 @@ module.exports = {
         PREFERENCES: 'Preferences',
         COMMENT: 'Comment',
         COMMENTS: 'Comments',
+        COMMENT_COUNT: '{comments_length, plural, =0 {No comments} one {# comment} other {# comments}}',
         SUBMIT_COMMENT: 'Submit a comment',
         LOGIN_TO_COMMENT: 'Login to comment',
         COMMENT_SUBMITTED: 'Your comment was submitted',
         COMMENT_ERROR: 'There was an error submitting your comment',
+        COMMENT_PENDING: 'Your comment was submitted and will appear once it has been approved',
+        REPLY: 'Reply',
+        REPLYING_TO: 'Replying to',
         DATE_ADDED: 'Date added',
         LAST_MODIFIED: 'Last modified',
         CHECK: 'Check',
@@ -174,7 +178,9 @@ module.exports = {
     },
     error: {
     	ERROR: 'Error',
-        PAGE_NOT_FOUND: 'The page can not be found'
+        PAGE_NOT_FOUND: 'The page can not be found',
+        TOO_MANY_REQUESTS: 'Too many requests have been made. Please try again later.',
+        CSRF_TOKEN_INVALID: 'The request could not be verified. Please reload the page and try again.'
     },
     timestamp: {
         JAN: 'January',
@@ -190,7 +196,11 @@ module.exports = {
         NOV: 'November',
         DEC: 'December',
         TIME_AM: 'AM',
-        TIME_PM: 'PM'
+        TIME_PM: 'PM',
+        JUST_NOW: 'Just now',
+        MINUTES_AGO: '{count, plural, one {# minute ago} other {# minutes ago}}',
+        HOURS_AGO: '{count, plural, one {# hour ago} other {# hours ago}}',
+        DAYS_AGO: '{count, plural, one {# day ago} other {# days ago}}'
     },
     setup: {
         REGISTER_ADMIN: 'Register the site\'s first admin account'
@@ -201,7 +211,14 @@ module.exports = {
         INVALID_LOGIN: 'Invalid username and password combination',
         READY_TO_USE: 'Your PencilBlue installation is ready to use',
         ACCOUNT_CREATED: 'Your account was successfully created, you may now login',
-        FORGOT_PASSWORD: 'I forgot my password'
+        FORGOT_PASSWORD: 'I forgot my password',
+        TOO_MANY_LOGIN_ATTEMPTS: 'Too many failed login attempts. Please try again in %s minute(s)',
+        TOO_MANY_RESET_REQUESTS: 'Too many password reset requests. Please try again in %s minute(s)',
+        TWO_FACTOR_AUTHENTICATION: 'Two-factor authentication',
+        AUTHENTICATION_CODE: 'Authentication code',
+        AUTHENTICATION_CODE_HELP: 'Enter the code from your authenticator app or one of your recovery codes',
+        INVALID_AUTHENTICATION_CODE: 'Invalid authentication code',
+        TWO_FACTOR_EXPIRED: 'Your login has expired. Please login again'
     },
     admin: {
         DASHBOARD: 'Dashboard',
@@ -250,7 +267,10 @@ module.exports = {
         REQUESTS_CURRENT: 'Current Requests',
         ETC: 'And other items...',
         GENERATED: 'Generated',
-        NOT_GENERATED: 'Not Generated'
+        NOT_GENERATED: 'Not Generated',
+        EXPIRING_CONTENT: 'Expiring content',
+        EXPIRING_CONTENT_HELP: 'Published articles and pages that expire within the following number of days:',
+        NO_EXPIRING_CONTENT: 'No content is due to expire'
     },
     topics: {
         MANAGE_TOPICS: 'Manage topics',
@@ -282,7 +302,33 @@ module.exports = {
         UPLOAD_IMAGE: 'Upload image',
         IMAGE_URL: 'Image URL',
         IMAGE_URL_PLACEHOLDER: '.jpg, .png, .gif, or .svg',
-        FILE_TOO_BIG: 'The file is larger than the allowed limit'
+        FILE_TOO_BIG: 'The file is larger than the allowed limit',
+        DUPLICATE_MEDIA: 'This file has already been uploaded as',
+        USE_EXISTING_MEDIA: 'Edit the existing media',
+        UPLOAD_ANYWAY: 'Upload anyway',
+        MEDIA_EXPIRES: 'Remove after',
+        MEDIA_EXPIRES_HELP: 'Optional. The media is no longer displayed in the content after this date',
+        FOLDER: 'Folder',
+        FOLDER_HELP: 'Separate nested folders with a forward slash, e.g. /events/2016',
+        ALL_FOLDERS: 'All folders',
+        INCLUDE_SUBFOLDERS: 'Include sub-folders',
+        TAGS: 'Tags',
+        TAGS_PLACEHOLDER: 'Comma separated tags',
+        ALL_TYPES: 'All types',
+        UPLOADER: 'Added by',
+        ALL_UPLOADERS: 'Anyone',
+        ADDED_FROM: 'Added on or after',
+        ADDED_TO: 'Added on or before',
+        FILTER: 'Filter',
+        CLEAR_FILTERS: 'Clear filters',
+        USED_IN: 'Used in',
+        WHERE_USED: 'Where used',
+        NOT_USED: 'This media is not used by any articles or pages',
+        EMBEDDED: 'Embedded',
+        ATTACHED: 'Attached',
+        MEDIA_IN_USE: 'This media is still used by the following articles and pages. Deleting it will leave broken references.',
+        MEDIA_IN_USE_BLOCKED: 'This media cannot be deleted until it is removed from the following articles and pages.',
+        DELETE_ANYWAY: 'Delete anyway'
     },
     pages: {
         MANAGE_PAGES: 'Manage pages',
@@ -292,7 +338,9 @@ module.exports = {
         TEMPLATE: 'Template',
         HEADLINE: 'Headline',
         SUBHEADING: 'Subheading',
-        PUBLISH_DATE: 'Publish date'
+        PUBLISH_DATE: 'Publish date',
+        EXPIRY_DATE: 'Expiry date',
+        EXPIRY_DATE_HELP: 'Optional. After this date the page is removed from listings and the sitemap, and its URL is no longer available'
     },
     articles: {
         MANAGE_ARTICLES: 'Manage articles',
@@ -303,6 +351,8 @@ module.exports = {
         HEADLINE: 'Headline',
         SUBHEADING: 'Subheading',
         PUBLISH_DATE: 'Publish date',
+        EXPIRY_DATE: 'Expiry date',
+        EXPIRY_DATE_HELP: 'Optional. After this date the article is removed from listings, feeds, and the sitemap, and its URL is no longer available',
         ACTIVE_SECTIONS: 'Drag associated sections here',
         INACTIVE_SECTIONS: 'Drag unassociated sections here',
         PUBLISHED: 'Published',
@@ -352,7 +402,18 @@ module.exports = {
         MANAGE_COMMENTS: 'Manage comments',
         CONFIRM_DELETE_COMMENT: 'Are you sure you want to delete this comment by',
         COMMENTS_DISABLED: 'Comments are disabled',
-        ENABLE_HERE: 'Enable them here'
+        ENABLE_HERE: 'Enable them here',
+        ALL_COMMENTS: 'All',
+        PENDING: 'Pending',
+        APPROVED: 'Approved',
+        SPAM: 'Spam',
+        REJECTED: 'Rejected',
+        APPROVE: 'Approve',
+        REJECT: 'Reject',
+        MARK_AS_SPAM: 'Mark as spam',
+        SELECTED_COMMENTS: 'With the selected comments',
+        COMMENTS_MODERATED: 'The comments were updated',
+        SPAM_REASON: 'Flagged because'
     },
     custom_objects: {
         MANAGE_OBJECT_TYPES: 'Manage object types',
@@ -377,6 +438,44 @@ module.exports = {
         DESCRIPTION: 'Description',
         INVALID_FIELD: 'Invalid field was submitted. Make sure there are no duplicate field names or unselected field types'
     },
+    revisions: {
+        REVISIONS: 'Revisions',
+        REVISION: 'Revision',
+        REVISION_HISTORY: 'Revision history',
+        NO_REVISIONS: 'No revisions have been recorded yet',
+        SELECT_REVISION: 'Select a revision to compare it with the current version',
+        FIELD: 'Field',
+        CURRENT_VALUE: 'Current value',
+        REVISION_VALUE: 'Revision value',
+        NO_CHANGES: 'This revision is identical to the current version',
+        RESTORE: 'Restore',
+        CONFIRM_RESTORE: 'Are you sure you want to restore this revision? The current version will be kept as a revision.',
+        REVISION_RESTORED: 'The revision was restored'
+    },
+    workflow: {
+        WORKFLOW: 'Workflow',
+        WORKFLOW_STATE: 'Workflow state',
+        ALL_WORKFLOW_STATES: 'All workflow states',
+        STATE_DRAFT: 'Draft',
+        STATE_IN_REVIEW: 'In review',
+        STATE_APPROVED: 'Approved',
+        STATE_PUBLISHED: 'Published',
+        STATE_ARCHIVED: 'Archived',
+        INTERNAL_NOTE: 'Internal note',
+        INTERNAL_NOTE_PLACEHOLDER: 'Only visible to writers and editors. Saved with the content or added on its own.',
+        ADD_NOTE: 'Add note',
+        NOTE_ADDED: 'The note was added',
+        WORKFLOW_HISTORY: 'Workflow history'
+    },
+    translations: {
+        TRANSLATIONS: 'Translations',
+        TRANSLATION_COMPLETE: 'Complete',
+        TRANSLATION_PARTIAL: 'Partial',
+        TRANSLATION_MISSING: 'Missing',
+        TRANSLATION_FALLBACK_HELP: 'Fields that are left empty are displayed in the default locale:',
+        TRANSLATED_LAYOUT_HELP: 'HTML is allowed. Leave empty to display the layout of the default locale.',
+        NO_TRANSLATION_LOCALES: 'The site only supports its default locale. Add supported locales to the site to translate its content.'
+    },
     users: {
         MANAGE_USERS: 'Manage users',
         UNVERIFIED_USERS: 'Unverified users',
@@ -425,7 +524,36 @@ module.exports = {
         CONFIRM_VERIFY: 'Are you sure you want to verify',
         VERIFY: 'Verify',
         VERIFIED: 'was verified',
-        LOCALE_PREFERENCE: 'Locale Preference'
+        LOCALE_PREFERENCE: 'Locale Preference',
+        UNLOCK_USER: 'Unlock account',
+        USER_UNLOCKED: 'The account was successfully unlocked',
+        USER_NOT_LOCKED: 'The account is not locked',
+        ENABLE_TWO_FACTOR: 'Enable two-factor authentication',
+        DISABLE_TWO_FACTOR: 'Disable two-factor authentication',
+        TWO_FACTOR_ENABLED: 'Two-factor authentication is enabled for your account',
+        TWO_FACTOR_DISABLED: 'Two-factor authentication is not enabled for your account',
+        TWO_FACTOR_ENROLMENT_REQUIRED: 'You must enable two-factor authentication before you can continue',
+        TWO_FACTOR_SCAN: 'Scan the code below with your authenticator app, then enter the code it displays to finish',
+        TWO_FACTOR_SECRET: 'Key for manual entry',
+        RECOVERY_CODES: 'Recovery codes',
+        RECOVERY_CODES_HELP: 'Store these codes somewhere safe. Each code can be used once to login when your authenticator app is unavailable. They will not be shown again.',
+        REGENERATE_RECOVERY_CODES: 'Generate new recovery codes',
+        RESET_TWO_FACTOR: 'Reset two-factor authentication',
+        TWO_FACTOR_RESET: 'Two-factor authentication was reset for the account',
+        TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled for the account',
+        API_KEYS: 'API keys',
+        API_KEY: 'API key',
+        NEW_API_KEY: 'New API key',
+        CREATE_API_KEY: 'Create key',
+        API_KEY_CREATED: 'Copy the key below and store it somewhere safe. It will not be shown again.',
+        API_KEY_ACCESS_LEVEL: 'Access level',
+        API_KEY_RESTRICT_PERMISSIONS: 'Only allow the following permissions',
+        API_KEY_LAST_USED: 'Last used',
+        API_KEY_REVOKED: 'Revoked',
+        NO_API_KEYS: 'No API keys have been created',
+        INVALID_API_KEY: 'The API key is invalid or has been revoked',
+        NEVER: 'Never',
+        REVOKE: 'Revoke'
     },
     sites: {
         EXISTING_HOSTNAME: 'That hostname is already in use',
@@ -503,7 +631,19 @@ module.exports = {
         ALLOW_COMMENTS: 'Allow users to comment',
         COMMENTS_ON: 'Allow comments on articles by default',
         REQUIRE_ACCOUNT: 'Require an account to comment',
+        MODERATE_COMMENTS: 'Hold new comments for approval',
+        AUTO_APPROVE_TRUSTED: 'Approve comments from trusted users automatically',
+        AUTO_APPROVE_TRUSTED_HELP: 'Writers, editors, administrators and users who have had a comment approved are trusted',
+        COMMENT_MAX_LINKS: 'Maximum number of links in a comment before it is marked as spam',
+        COMMENT_BLOCKED_WORDS: 'Blocked words',
+        COMMENT_BLOCKED_WORDS_HELP: 'Comments containing any of these words, separated by commas or new lines, are marked as spam',
         REQUIRE_VERIFICATION: 'Require new users to verify their email address',
+        FEEDS: 'Feeds',
+        FEED_ITEM_COUNT: 'Number of articles in feeds',
+        FEED_FULL_CONTENT: 'Article content in feeds',
+        FULL_CONTENT: 'Full content',
+        SUMMARY_ONLY: 'Summary only',
+        FEED_THUMBNAIL_ENCLOSURE: 'Include article thumbnails as feed enclosures',
         SMTP: 'SMTP',
         TEST: 'Test',
         FROM_NAME: 'From name',
@@ -522,5 +662,75 @@ module.exports = {
         USE_BOWER: 'Use Bower',
         TEST_EMAIL_SUCCESS: 'Test email successfully sent',
         CANNOT_SIGN_UP_GLOBAL: 'You cannot sign up on global; an admin must create a global user within admin panel',
+        SECURITY: 'Security',
+        SECURITY_SETTINGS: 'Security settings',
+        REQUIRE_TWO_FACTOR: 'Require two-factor authentication for',
+        REQUIRE_TWO_FACTOR_HELP: 'Users that have not enabled two-factor authentication are asked to do so at their next login',
+        TWO_FACTOR_OPTIONAL: 'Nobody (optional)',
+        TWO_FACTOR_MANAGING_EDITORS: 'Managing editors and administrators',
+        TWO_FACTOR_ADMINISTRATORS: 'Administrators',
+        UPLOADS: 'Uploads',
+        ALLOWED_EXTENSIONS: 'Allowed file extensions',
+        DENIED_EXTENSIONS: 'Denied file extensions',
+        ALLOWED_MIME_TYPES: 'Allowed file types',
+        DENIED_MIME_TYPES: 'Denied file types',
+        ALLOWED_LIST_HELP: 'A comma separated list. When empty, anything that is not denied is allowed.',
+        MIME_TYPE_PREFIX_HELP: 'Types ending with a slash, such as image/, match all of their subtypes.',
+        MAX_UPLOAD_SIZE: 'Maximum upload size in bytes',
+        MAX_UPLOAD_SIZE_HELP: 'When empty, the size configured for the server is used',
+        WEBHOOKS: 'Webhooks',
+        NEW_WEBHOOK: 'New webhook',
+        NO_WEBHOOKS: 'No webhooks have been created',
+        WEBHOOK_URL: 'Endpoint URL',
+        WEBHOOK_OBJECT_TYPES: 'Object types',
+        WEBHOOK_EVENTS: 'Events',
+        WEBHOOK_SECRET: 'Signing secret',
+        WEBHOOK_SECRET_HELP: 'Each delivery is signed with an HMAC SHA-256 of its body using this secret. The signature is sent in the X-PencilBlue-Signature header.',
+        REGENERATE_WEBHOOK_SECRET: 'Generate a new secret when saving',
+        WEBHOOK_SAVED: 'The webhook was saved',
+        WEBHOOK_DELETED: 'The webhook was deleted',
+        DELIVERIES: 'Deliveries',
+        NO_WEBHOOK_DELIVERIES: 'No deliveries have been made',
+        WEBHOOK_RESPONSE_CODE: 'Response code',
+        WEBHOOK_ATTEMPTS: 'Attempts',
+        WEBHOOK_PAYLOAD: 'Payload',
+        WEBHOOK_REPLAY: 'Replay',
+        WEBHOOK_REPLAY_QUEUED: 'The delivery was queued to be sent again',
+        TRANSLATION_LOCALE: 'Locale',
+        TRANSLATION_PROVIDER: 'Provided by',
+        ALL_TRANSLATION_PROVIDERS: 'All providers',
+        ALL_TRANSLATION_STATUSES: 'All statuses',
+        TRANSLATION_SEARCH: 'Search keys and values',
+        TRANSLATION_KEY: 'Key',
+        TRANSLATION_SOURCE: 'Default locale',
+        TRANSLATION: 'Translation',
+        TRANSLATION_STATUS_TRANSLATED: 'Translated',
+        TRANSLATION_STATUS_MISSING: 'Missing',
+        TRANSLATION_STATUS_OVERRIDDEN: 'Overridden',
+        TRANSLATION_REVERT: 'Revert to the registered value',
+        NO_TRANSLATIONS: 'No keys match the filters',
+        TRANSLATION_SAVED: 'The translation was saved',
+        TRANSLATION_REVERTED: 'The translation was reverted to its registered value',
+        TRANSLATION_EXPORT: 'Export',
+        TRANSLATION_EXPORT_HELP: 'Download the keys of the selected locale and provider as XLIFF 2.0 or gettext PO for translators. Each key is exported with its value in the default locale and its current translation.',
+        TRANSLATION_EXPORT_MISSING: 'Only export the keys that are missing',
+        TRANSLATION_IMPORT: 'Import',
+        TRANSLATION_IMPORT_HELP: 'Upload a translated XLIFF 2.0 (.xlf) or PO (.po) file. Its translations are saved as overrides for the locale of the file. Translations that match the registered value remove the override.',
+        TRANSLATION_IMPORT_FILE_REQUIRED: 'Choose an XLIFF or PO file to import',
+        TRANSLATIONS_IMPORTED: '{saved, plural, one {# translation was saved} other {# translations were saved}}, {removed, plural, one {# was reverted} other {# were reverted}} and {skipped, plural, one {# was skipped} other {# were skipped}}',
+        SCHEDULED_JOBS: 'Scheduled jobs',
+        NO_SCHEDULED_JOBS: 'No jobs have been scheduled',
+        SCHEDULER_DISABLED: 'The scheduler is disabled in the configuration. Jobs only run when triggered.',
+        JOB_SCHEDULE: 'Schedule',
+        JOB_LAST_RUN: 'Last run',
+        JOB_NEXT_RUN: 'Next run',
+        JOB_NEVER_RUN: 'Never',
+        JOB_PAUSED: 'Paused',
+        JOB_PAUSE: 'Pause',
+        JOB_RESUME: 'Resume',
+        JOB_RUN_NOW: 'Run now',
+        JOB_PAUSED_SUCCESS: 'The job was paused',
+        JOB_RESUMED_SUCCESS: 'The job was resumed',
+        JOB_STARTED: 'The job was started'
     }
 };
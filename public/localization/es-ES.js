@@ -55,6 +55,7 @@ module.exports = {
         PREFERENCES: 'Preferencias',
         COMMENT: 'Comentario',
         COMMENTS: 'Comentarios',
+        COMMENT_COUNT: '{comments_length, plural, =0 {Sin comentarios} one {# comentario} other {# comentarios}}',
         SUBMIT_COMMENT: 'Enviar un comentario',
         LOGIN_TO_COMMENT: 'Inicia sesión para comentar',
         COMMENT_SUBMITTED: 'El comentario ha sido enviado',
@@ -186,7 +187,11 @@ module.exports = {
         NOV: 'Noviembre',
         DEC: 'Diciembre',
         TIME_AM: 'AM',
-        TIME_PM: 'PM'
+        TIME_PM: 'PM',
+        JUST_NOW: 'Ahora mismo',
+        MINUTES_AGO: '{count, plural, one {hace # minuto} other {hace # minutos}}',
+        HOURS_AGO: '{count, plural, one {hace # hora} other {hace # horas}}',
+        DAYS_AGO: '{count, plural, one {hace # día} other {hace # días}}'
     },
     setup: {
         REGISTER_ADMIN: 'Registra la primera cuenta de administrador en el sitio'
@@ -55,6 +55,7 @@ module.exports = {
         PREFERENCES: 'ترجیحات',
         COMMENT: 'نظر',
         COMMENTS: 'نظرها',
+        COMMENT_COUNT: '{comments_length, plural, =0 {بدون نظر} other {# نظر}}',
         SUBMIT_COMMENT: 'ارسال نظر',
         LOGIN_TO_COMMENT: 'برای نظر دادن وارد شوید',
         COMMENT_SUBMITTED: 'نظر شما ارسال شد.',
@@ -186,7 +187,11 @@ module.exports = {
         NOV: 'نوامبر',
         DEC: 'دسامبر',
         TIME_AM: 'AM',
-        TIME_PM: 'PM'
+        TIME_PM: 'PM',
+        JUST_NOW: 'همین الان',
+        MINUTES_AGO: '{count, plural, other {# دقیقه پیش}}',
+        HOURS_AGO: '{count, plural, other {# ساعت پیش}}',
+        DAYS_AGO: '{count, plural, other {# روز پیش}}'
     },
     setup: {
         REGISTER_ADMIN: 'Register the site\'s first admin account'
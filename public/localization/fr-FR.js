@@ -55,6 +55,7 @@ module.exports = {
         PREFERENCES: 'Préférences',
         COMMENT: 'Commenter',
         COMMENTS: 'Commentaires',
+        COMMENT_COUNT: '{comments_length, plural, =0 {Aucun commentaire} one {# commentaire} other {# commentaires}}',
         SUBMIT_COMMENT: 'Envoyer un commentaire',
         LOGIN_TO_COMMENT: 'S\'identifier pour commenter',
         COMMENT_SUBMITTED: 'Votre commentaire a été soumis',
@@ -186,7 +187,11 @@ module.exports = {
         NOV: 'Novembre',
         DEC: 'Décembre',
         TIME_AM: 'AM',
-        TIME_PM: 'PM'
+        TIME_PM: 'PM',
+        JUST_NOW: 'À l\'instant',
+        MINUTES_AGO: '{count, plural, one {il y a # minute} other {il y a # minutes}}',
+        HOURS_AGO: '{count, plural, one {il y a # heure} other {il y a # heures}}',
+        DAYS_AGO: '{count, plural, one {il y a # jour} other {il y a # jours}}'
     },
     setup: {
         REGISTER_ADMIN: 'Enregistrer le premier administraeur du site'
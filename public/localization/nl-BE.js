@@ -55,6 +55,7 @@ module.exports = {
         PREFERENCES: 'Voorkeuren',
         COMMENT: 'Commentaar',
         COMMENTS: 'Commentaren',
+        COMMENT_COUNT: '{comments_length, plural, =0 {Geen commentaren} one {# commentaar} other {# commentaren}}',
         SUBMIT_COMMENT: 'Verzend u commentaar',
         LOGIN_TO_COMMENT: 'Login om te reageren',
         COMMENT_SUBMITTED: 'U commentaar is verzonden',
@@ -186,7 +187,11 @@ module.exports = {
         NOV: 'November',
         DEC: 'December',
         TIME_AM: 'AM',
-        TIME_PM: 'PM'
+        TIME_PM: 'PM',
+        JUST_NOW: 'Zonet',
+        MINUTES_AGO: '{count, plural, one {# minuut geleden} other {# minuten geleden}}',
+        HOURS_AGO: '{count, plural, one {# uur geleden} other {# uur geleden}}',
+        DAYS_AGO: '{count, plural, one {# dag geleden} other {# dagen geleden}}'
     },
     setup: {
         REGISTER_ADMIN: 'Registreer het eerste administaror account'
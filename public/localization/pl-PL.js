@@ -55,6 +55,7 @@ module.exports = {
         PREFERENCES: 'Ustawienia',
         COMMENT: 'Komentarz',
         COMMENTS: 'Komentarze',
+        COMMENT_COUNT: '{comments_length, plural, =0 {Brak komentarzy} one {# komentarz} few {# komentarze} many {# komentarzy} other {# komentarza}}',
         SUBMIT_COMMENT: 'Wyślij komentarz',
         LOGIN_TO_COMMENT: 'Zaloguj się aby skomentować',
         COMMENT_SUBMITTED: 'Twój komentarz został wysłany',
@@ -186,7 +187,11 @@ module.exports = {
         NOV: 'Listopad',
         DEC: 'Grudzień',
         TIME_AM: 'AM',
-        TIME_PM: 'PM'
+        TIME_PM: 'PM',
+        JUST_NOW: 'Przed chwilą',
+        MINUTES_AGO: '{count, plural, one {# minutę temu} few {# minuty temu} many {# minut temu} other {# minuty temu}}',
+        HOURS_AGO: '{count, plural, one {# godzinę temu} few {# godziny temu} many {# godzin temu} other {# godziny temu}}',
+        DAYS_AGO: '{count, plural, one {# dzień temu} other {# dni temu}}'
     },
     setup: {
         REGISTER_ADMIN: 'Proszę utworzyć konto admistratora serwisu.'
@@ -55,6 +55,7 @@ module.exports = {
         PREFERENCES: 'Preferências',
         COMMENT: 'Comentario',
         COMMENTS: 'Comentários',
+        COMMENT_COUNT: '{comments_length, plural, =0 {Nenhum comentário} one {# comentário} other {# comentários}}',
         SUBMIT_COMMENT: 'Enviar comentário',
         LOGIN_TO_COMMENT: 'Entrar para comentar',
         COMMENT_SUBMITTED: 'Comentario enviado',
@@ -186,7 +187,11 @@ module.exports = {
         NOV: 'November',
         DEC: 'December',
         TIME_AM: 'AM',
-        TIME_PM: 'PM'
+        TIME_PM: 'PM',
+        JUST_NOW: 'Agora mesmo',
+        MINUTES_AGO: '{count, plural, one {há # minuto} other {há # minutos}}',
+        HOURS_AGO: '{count, plural, one {há # hora} other {há # horas}}',
+        DAYS_AGO: '{count, plural, one {há # dia} other {há # dias}}'
     },
     setup: {
         REGISTER_ADMIN: 'Register the site\'s first admin account'
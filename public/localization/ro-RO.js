@@ -55,6 +55,7 @@ module.exports = {
         PREFERENCES: 'Preferinte',
         COMMENT: 'Comentariu',
         COMMENTS: 'Comentarii',
+        COMMENT_COUNT: '{comments_length, plural, =0 {Niciun comentariu} one {# comentariu} few {# comentarii} other {# de comentarii}}',
         SUBMIT_COMMENT: 'Trimite un comentariu',
         LOGIN_TO_COMMENT: 'Logheaza-te pentru a comenta',
         COMMENT_SUBMITTED: 'Comentariul tau a fost trimis',
@@ -181,7 +182,11 @@ module.exports = {
         NOV: 'Novembrie',
         DEC: 'Decembrie',
         TIME_AM: 'AM',
-        TIME_PM: 'PM'
+        TIME_PM: 'PM',
+        JUST_NOW: 'Chiar acum',
+        MINUTES_AGO: '{count, plural, one {acum # minut} few {acum # minute} other {acum # de minute}}',
+        HOURS_AGO: '{count, plural, one {acum # ora} few {acum # ore} other {acum # de ore}}',
+        DAYS_AGO: '{count, plural, one {acum # zi} few {acum # zile} other {acum # de zile}}'
     },
     setup: {
         REGISTER_ADMIN: 'Inregistreaza primul administrator al site-ului'
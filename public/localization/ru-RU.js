@@ -55,6 +55,7 @@ module.exports = {
         PREFERENCES: 'Настройки',
         COMMENT: 'Комментарий',
         COMMENTS: 'Комментарии',
+        COMMENT_COUNT: '{comments_length, plural, =0 {Нет комментариев} one {# комментарий} few {# комментария} many {# комментариев} other {# комментария}}',
         SUBMIT_COMMENT: 'Оставить комментарий',
         LOGIN_TO_COMMENT: 'Войдите, чтобы оставить комментарий',
         COMMENT_SUBMITTED: 'Ваш комментарий добавлен',
@@ -188,7 +189,11 @@ module.exports = {
         NOV: 'Ноябрь',
         DEC: 'Декабрь',
         TIME_AM: 'AM',
-        TIME_PM: 'PM'
+        TIME_PM: 'PM',
+        JUST_NOW: 'Только что',
+        MINUTES_AGO: '{count, plural, one {# минуту назад} few {# минуты назад} many {# минут назад} other {# минуты назад}}',
+        HOURS_AGO: '{count, plural, one {# час назад} few {# часа назад} many {# часов назад} other {# часа назад}}',
+        DAYS_AGO: '{count, plural, one {# день назад} few {# дня назад} many {# дней назад} other {# дня назад}}'
     },
     setup:
     {
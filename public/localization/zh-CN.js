@@ -55,6 +55,7 @@ module.exports = {
         PREFERENCES: '偏好',
         COMMENT: '评论',
         COMMENTS: '评论',
+        COMMENT_COUNT: '{comments_length, plural, =0 {暂无评论} other {# 条评论}}',
         SUBMIT_COMMENT: '发表评论',
         LOGIN_TO_COMMENT: '登录发表评论',
         COMMENT_SUBMITTED: '您的评论已提交',
@@ -186,7 +187,11 @@ module.exports = {
         NOV: '十一月',
         DEC: '十二月',
         TIME_AM: '上午',
-        TIME_PM: '下午'
+        TIME_PM: '下午',
+        JUST_NOW: '刚刚',
+        MINUTES_AGO: '{count, plural, other {# 分钟前}}',
+        HOURS_AGO: '{count, plural, other {# 小时前}}',
+        DAYS_AGO: '{count, plural, other {# 天前}}'
     },
     setup: {
         REGISTER_ADMIN: '注册此站点第一个管理员账户'
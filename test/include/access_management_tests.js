@@ -59,4 +59,135 @@ describe('SecurityService', function() {
             SecurityService.getRoleNames.bind(null).should.throwError();
         });
     });
+
+    describe('SecurityService password hashing', function() {
+
+        before(function() {
+
+            //keep the key derivation quick for the tests
+            pb.config.passwords.iterations = 1000;
+        });
+
+        it('should provide a versioned hash with a random salt', function(next) {
+            SecurityService.hashPassword('secret', function(err, hash) {
+                should(err).eql(null);
+                hash.indexOf('$pbkdf2$v1$sha512$1000$').should.eql(0);
+
+                SecurityService.hashPassword('secret', function(err, hash2) {
+                    hash2.should.not.eql(hash);
+                    next();
+                });
+            });
+        });
+
+        it('should verify the password that was hashed', function(next) {
+            SecurityService.hashPassword('secret', function(err, hash) {
+                SecurityService.verifyPassword('secret', hash, function(err, isValid) {
+                    should(err).eql(null);
+                    isValid.should.be.true;
+
+                    SecurityService.verifyPassword('Secret', hash, function(err, isValid) {
+                        isValid.should.be.false;
+                        next();
+                    });
+                });
+            });
+        });
+
+        it('should verify a password hashed synchronously', function(next) {
+            var hash = SecurityService.hashPasswordSync('secret');
+            SecurityService.verifyPassword('secret', hash, function(err, isValid) {
+                isValid.should.be.true;
+                next();
+            });
+        });
+
+        it('should not verify against a malformed hash', function(next) {
+            SecurityService.verifyPassword('secret', '$pbkdf2$v1$sha512$abc$$', function(err, isValid) {
+                should(err).eql(null);
+                isValid.should.be.false;
+                next();
+            });
+        });
+
+        it('should parse the parameters of a hash', function() {
+            var parsed = SecurityService.parsePasswordHash(SecurityService.hashPasswordSync('secret'));
+            parsed.digest.should.eql('sha512');
+            parsed.iterations.should.eql(1000);
+            parsed.salt.length.should.eql(16);
+            parsed.key.length.should.eql(64);
+        });
+
+        it('should identify legacy hashes', function() {
+            SecurityService.isLegacyPasswordHash(new Array(129).join('a')).should.be.true;
+            SecurityService.isLegacyPasswordHash(SecurityService.hashPasswordSync('secret')).should.be.false;
+        });
+
+        it('should require a rehash for legacy hashes and outdated parameters', function() {
+            var hash = SecurityService.hashPasswordSync('secret');
+            SecurityService.needsPasswordRehash(new Array(129).join('a')).should.be.true;
+            SecurityService.needsPasswordRehash(hash).should.be.false;
+
+            pb.config.passwords.iterations = 2000;
+            SecurityService.needsPasswordRehash(hash).should.be.true;
+            pb.config.passwords.iterations = 1000;
+        });
+    });
+
+    describe('SecurityService.authenticateSession', function() {
+
+        var getAuthenticator = function(user, skipSecondFactor) {
+            return {
+                skipSecondFactor: skipSecondFactor,
+                authenticate: function(options, cb) {
+                    cb(null, user);
+                }
+            };
+        };
+
+        var getUser = function(twoFactor) {
+            return {_id: 'abc123', admin: pb.SecurityService.ACCESS_ADMINISTRATOR, password: 'hash', two_factor: twoFactor};
+        };
+
+        it('should authenticate the session when the user has no second factor', function(next) {
+            var session = {authentication: {}};
+            SecurityService.authenticateSession(session, {}, getAuthenticator(getUser()), function(err, user) {
+                should(err).eql(null);
+                session.authentication.user_id.should.eql('abc123');
+                should(session.authentication.user.password).eql(undefined);
+                should(SecurityService.getPendingSecondFactor(session)).eql(null);
+                next();
+            });
+        });
+
+        it('should wait for the second factor when the user has enrolled', function(next) {
+            var session = {authentication: {}};
+            SecurityService.authenticateSession(session, {}, getAuthenticator(getUser({enabled: true, secret: 'ABC'})), function(err, user) {
+                should(err).eql(null);
+                should(session.authentication.user_id).eql(undefined);
+                SecurityService.getPendingSecondFactor(session).user_id.should.eql('abc123');
+
+                SecurityService.completeAuthentication(session, user);
+                session.authentication.user_id.should.eql('abc123');
+                session.authentication.user.two_factor.should.eql({enabled: true, recovery_codes_remaining: 0});
+                should(SecurityService.getPendingSecondFactor(session)).eql(null);
+                next();
+            });
+        });
+
+        it('should skip the second factor when the authenticator allows it', function(next) {
+            var session = {authentication: {}};
+            SecurityService.authenticateSession(session, {}, getAuthenticator(getUser({enabled: true, secret: 'ABC'}), true), function(err, user) {
+                should(err).eql(null);
+                session.authentication.user_id.should.eql('abc123');
+                next();
+            });
+        });
+
+        it('should discard an expired pending login', function() {
+            var session = {authentication: {two_factor: {user_id: 'abc123', expires: Date.now() - 1}}};
+            should(SecurityService.getPendingSecondFactor(session)).eql(null);
+            should(session.authentication.two_factor).eql(undefined);
+        });
+    });
 });
@@ -0,0 +1,80 @@
+//dependencies
+var should        = require('should');
+var Configuration = require('../../include/config.js');
+var Lib           = require('../../lib');
+
+describe('ContentService', function() {
+
+    var pb = null;
+    var ContentService = null;
+    before('Initialize the Environment with the default configuration', function(next) {
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        ContentService = pb.ContentService;
+        pb.Localization.init(next);
+    });
+
+    describe('ContentService.getRelativeTimestampText', function() {
+
+        var now = new Date(2016, 5, 15, 12, 0, 0);
+        var minutesAgo = function(minutes) {
+            return new Date(now.getTime() - minutes * 60 * 1000);
+        };
+
+        var englishCases = [
+            [0, 'Just now'],
+            [1, '1 minute ago'],
+            [59, '59 minutes ago'],
+            [60, '1 hour ago'],
+            [3 * 60, '3 hours ago'],
+            [24 * 60, '1 day ago'],
+            [6 * 24 * 60, '6 days ago']
+        ];
+        englishCases.forEach(function(testCase) {
+            it('should describe a date ' + testCase[0] + ' minutes old as "' + testCase[1] + '"', function() {
+                var ls = new pb.Localization('en-US');
+                ContentService.getRelativeTimestampText(minutesAgo(testCase[0]), ls, now).should.eql(testCase[1]);
+            });
+        });
+
+        var polishCases = [[2, '2 minuty temu'], [5, '5 minut temu'], [22 * 60, '22 godziny temu']];
+        polishCases.forEach(function(testCase) {
+            it('should pluralize the text for the locale when the date is ' + testCase[0] + ' minutes old', function() {
+                var ls = new pb.Localization('pl-PL');
+                ContentService.getRelativeTimestampText(minutesAgo(testCase[0]), ls, now).should.eql(testCase[1]);
+            });
+        });
+
+        it('should return null when the date is in the future or more than a week old', function() {
+            var ls = new pb.Localization('en-US');
+            should(ContentService.getRelativeTimestampText(minutesAgo(-5), ls, now)).eql(null);
+            should(ContentService.getRelativeTimestampText(minutesAgo(7 * 24 * 60), ls, now)).eql(null);
+        });
+    });
+
+    describe('ContentService.getTimestampText', function() {
+
+        it('should provide relative text when requested for a recent date', function() {
+            var now = new Date();
+            var options = {
+                date: new Date(now.getTime() - 5 * 60 * 1000),
+                format: 'M dd, YYYY',
+                ls: new pb.Localization('en-US'),
+                relative: true,
+                now: now
+            };
+            ContentService.getTimestampText(options).should.eql('5 minutes ago');
+        });
+
+        it('should format the date when relative text is not requested', function() {
+            var options = {
+                date: new Date(2016, 0, 5),
+                format: 'M dd, YYYY',
+                twoDigitDate: true,
+                ls: new pb.Localization('en-US')
+            };
+            ContentService.getTimestampText(options).should.eql('January 05, 2016');
+        });
+    });
+});
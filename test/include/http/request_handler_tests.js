@@ -1,5 +1,7 @@
 
 //dependencies
+var fs            = require('fs');
+var path          = require('path');
 var should        = require('should');
 var Configuration = require('../../../include/config.js');
 var Lib           = require('../../../lib');
@@ -17,6 +19,81 @@ describe('RequestHandler', function(){
         RequestHandler = pb.RequestHandler;
     });
     
+    describe('RequestHandler.getClientIp', function() {
+
+        var req = {
+            headers: {'x-forwarded-for': '10.0.0.1, 192.168.1.1'},
+            connection: {remoteAddress: '127.0.0.1'}
+        };
+
+        afterEach(function() {
+            pb.config.security.trust_proxy = false;
+        });
+
+        it('should return the remote address when the proxy is not trusted', function() {
+            RequestHandler.getClientIp(req).should.eql('127.0.0.1');
+        });
+
+        it('should return the address appended by the proxy when the proxy is trusted', function() {
+            pb.config.security.trust_proxy = true;
+            RequestHandler.getClientIp(req).should.eql('192.168.1.1');
+        });
+
+        it('should ignore a spoofed leading address', function() {
+            pb.config.security.trust_proxy = true;
+            var spoofed = {
+                headers: {'x-forwarded-for': '1.2.3.4, 10.0.0.1'},
+                connection: {remoteAddress: '127.0.0.1'}
+            };
+            RequestHandler.getClientIp(spoofed).should.eql('10.0.0.1');
+        });
+
+        it('should count back the configured number of proxies', function() {
+            pb.config.security.trust_proxy = 2;
+            RequestHandler.getClientIp({
+                headers: {'x-forwarded-for': '1.2.3.4, 10.0.0.1, 192.168.1.1'},
+                connection: {remoteAddress: '127.0.0.1'}
+            }).should.eql('10.0.0.1');
+            RequestHandler.getClientIp(req).should.eql('10.0.0.1');
+
+            pb.config.security.trust_proxy = 3;
+            RequestHandler.getClientIp(req).should.eql('10.0.0.1');
+        });
+
+        it('should return the remote address when the proxy is trusted but no header was provided', function() {
+            pb.config.security.trust_proxy = true;
+            RequestHandler.getClientIp({headers: {}, connection: {remoteAddress: '127.0.0.1'}}).should.eql('127.0.0.1');
+        });
+    });
+
+    describe('RequestHandler.getBearerToken', function() {
+
+        it('should return the token from the authorization header', function() {
+            RequestHandler.getBearerToken({headers: {authorization: 'Bearer pbk_abc123'}}).should.eql('pbk_abc123');
+            RequestHandler.getBearerToken({headers: {authorization: 'bearer  pbk_abc123 '}}).should.eql('pbk_abc123');
+        });
+
+        it('should return null when a bearer token was not provided', function() {
+            should(RequestHandler.getBearerToken({headers: {}})).eql(null);
+            should(RequestHandler.getBearerToken({headers: {authorization: 'Basic YWRtaW46YWRtaW4='}})).eql(null);
+            should(RequestHandler.getBearerToken({headers: {authorization: 'Bearer'}})).eql(null);
+        });
+    });
+
+    describe('RequestHandler.isApiURL', function() {
+
+        it('should identify paths that belong to the API', function() {
+            RequestHandler.isApiURL('/api').should.be.true;
+            RequestHandler.isApiURL('/api/content/articles').should.be.true;
+        });
+
+        it('should not identify other paths', function() {
+            RequestHandler.isApiURL('/apis').should.be.false;
+            RequestHandler.isApiURL('/admin/api').should.be.false;
+            RequestHandler.isApiURL(null).should.be.false;
+        });
+    });
+
     describe('RequestHandler.getBodyParsers', function() {
         
         it('should return the default list of body parsers', function() {
@@ -62,4 +139,326 @@ describe('RequestHandler', function(){
             parsers['application/json'].should.eql(newParser);
         });
     });
-});
\ No newline at end of file
+
+    describe('RequestHandler.generateETag', function() {
+
+        it('should generate the same quoted tag for the same content', function() {
+            var etag = RequestHandler.generateETag('body { color: red; }');
+            etag.should.match(/^"[0-9a-f]{40}"$/);
+            RequestHandler.generateETag(new Buffer('body { color: red; }')).should.eql(etag);
+            RequestHandler.generateETag('body { color: blue; }').should.not.eql(etag);
+        });
+    });
+
+    describe('RequestHandler.generateStatETag', function() {
+
+        it('should generate a tag from the file system stats', function() {
+            RequestHandler.generateStatETag({size: 255, mtime: new Date(4096)}).should.eql('"ff-1000"');
+        });
+
+        it('should generate a tag from the GridFS stats', function() {
+            RequestHandler.generateStatETag({length: 16, uploadDate: new Date(255)}).should.eql('"10-ff"');
+        });
+
+        it('should return null when the modification time is not available', function() {
+            should(RequestHandler.generateStatETag({size: 16})).eql(null);
+        });
+    });
+
+    describe('RequestHandler.getEncodedETag', function() {
+
+        it('should append the content-coding inside the quotes', function() {
+            RequestHandler.getEncodedETag('"abc"', 'gzip').should.eql('"abc-gzip"');
+        });
+
+        it('should keep a weak tag weak', function() {
+            RequestHandler.getEncodedETag('W/"abc"', 'deflate').should.eql('W/"abc-deflate"');
+        });
+
+        it('should leave a malformed tag untouched', function() {
+            RequestHandler.getEncodedETag('abc', 'gzip').should.eql('abc');
+        });
+    });
+
+    describe('RequestHandler.getCacheClass', function() {
+
+        it('should classify the route of the request', function() {
+            RequestHandler.getCacheClass('/media/2016/1/abc.jpg').should.eql('media');
+            RequestHandler.getCacheClass('/public/pencilblue/js/app.js').should.eql('public');
+            RequestHandler.getCacheClass('/js/angular/angular.min.js').should.eql('public');
+            RequestHandler.getCacheClass('/api/content/articles').should.eql('api');
+            RequestHandler.getCacheClass('/actions/login', 'application/json').should.eql('api');
+            RequestHandler.getCacheClass('/article/hello-world', 'text/html').should.eql('html');
+            RequestHandler.getCacheClass(undefined).should.eql('html');
+        });
+    });
+
+    describe('RequestHandler.getCacheControl', function() {
+
+        afterEach(function() {
+            pb.config.cache_control.html = 'no-cache';
+        });
+
+        it('should return the configured header for the class', function() {
+            RequestHandler.getCacheControl('public').should.eql(pb.config.cache_control.public);
+        });
+
+        it('should return null when the header is not configured', function() {
+            pb.config.cache_control.html = null;
+            should(RequestHandler.getCacheControl('html')).eql(null);
+            should(RequestHandler.getCacheControl('unknown')).eql(null);
+        });
+    });
+
+    describe('RequestHandler.isNotModified', function() {
+
+        var modified = 'Wed, 06 Jan 2016 12:00:00 GMT';
+        var headers = {etag: '"abc"', 'last-modified': modified};
+
+        it('should match the entity tag', function() {
+            RequestHandler.isNotModified({method: 'GET', headers: {'if-none-match': '"abc"'}}, headers).should.be.true;
+            RequestHandler.isNotModified({method: 'GET', headers: {'if-none-match': '"xyz", W/"abc"'}}, headers).should.be.true;
+            RequestHandler.isNotModified({method: 'GET', headers: {'if-none-match': '*'}}, headers).should.be.true;
+            RequestHandler.isNotModified({method: 'GET', headers: {'if-none-match': '"xyz"'}}, headers).should.be.false;
+        });
+
+        it('should prefer the entity tag over the modification date', function() {
+            var req = {method: 'GET', headers: {'if-none-match': '"xyz"', 'if-modified-since': modified}};
+            RequestHandler.isNotModified(req, headers).should.be.false;
+        });
+
+        it('should compare the modification date', function() {
+            RequestHandler.isNotModified({method: 'GET', headers: {'if-modified-since': modified}}, headers).should.be.true;
+            RequestHandler.isNotModified({method: 'GET', headers: {'if-modified-since': 'Thu, 07 Jan 2016 12:00:00 GMT'}}, headers).should.be.true;
+            RequestHandler.isNotModified({method: 'GET', headers: {'if-modified-since': 'Tue, 05 Jan 2016 12:00:00 GMT'}}, headers).should.be.false;
+            RequestHandler.isNotModified({method: 'GET', headers: {'if-modified-since': 'garbage'}}, headers).should.be.false;
+        });
+
+        it('should not consider requests other than GET and HEAD', function() {
+            RequestHandler.isNotModified({method: 'POST', headers: {'if-none-match': '"abc"'}}, headers).should.be.false;
+            RequestHandler.isNotModified({method: 'HEAD', headers: {'if-none-match': '"abc"'}}, headers).should.be.true;
+        });
+
+        it('should return false when the request is not conditional', function() {
+            RequestHandler.isNotModified({method: 'GET', headers: {}}, headers).should.be.false;
+        });
+    });
+
+    describe('RequestHandler.parseRange', function() {
+
+        it('should parse a bounded range', function() {
+            RequestHandler.parseRange('bytes=0-99', 1000).should.eql({start: 0, end: 99});
+            RequestHandler.parseRange('bytes=500-2000', 1000).should.eql({start: 500, end: 999});
+        });
+
+        it('should parse an open ended range', function() {
+            RequestHandler.parseRange('bytes=900-', 1000).should.eql({start: 900, end: 999});
+        });
+
+        it('should parse a suffix range', function() {
+            RequestHandler.parseRange('bytes=-100', 1000).should.eql({start: 900, end: 999});
+            RequestHandler.parseRange('bytes=-5000', 1000).should.eql({start: 0, end: 999});
+        });
+
+        it('should return false when the range cannot be satisfied', function() {
+            RequestHandler.parseRange('bytes=1000-', 1000).should.be.false;
+            RequestHandler.parseRange('bytes=-0', 1000).should.be.false;
+            RequestHandler.parseRange('bytes=0-', 0).should.be.false;
+        });
+
+        it('should return null when the header should be ignored', function() {
+            should(RequestHandler.parseRange(undefined, 1000)).eql(null);
+            should(RequestHandler.parseRange('bytes=0-1,5-6', 1000)).eql(null);
+            should(RequestHandler.parseRange('items=0-1', 1000)).eql(null);
+            should(RequestHandler.parseRange('bytes=-', 1000)).eql(null);
+            should(RequestHandler.parseRange('bytes=5-1', 1000)).eql(null);
+            should(RequestHandler.parseRange('bytes=0-1', NaN)).eql(null);
+        });
+    });
+
+    describe('RequestHandler.isRangeFresh', function() {
+
+        var modified = 'Wed, 06 Jan 2016 12:00:00 GMT';
+        var headers = {etag: '"abc"', 'last-modified': modified};
+
+        it('should return true when If-Range is not provided', function() {
+            RequestHandler.isRangeFresh({headers: {}}, headers).should.be.true;
+        });
+
+        it('should strongly compare the entity tag', function() {
+            RequestHandler.isRangeFresh({headers: {'if-range': '"abc"'}}, headers).should.be.true;
+            RequestHandler.isRangeFresh({headers: {'if-range': 'W/"abc"'}}, headers).should.be.false;
+            RequestHandler.isRangeFresh({headers: {'if-range': '"xyz"'}}, headers).should.be.false;
+        });
+
+        it('should exactly compare the modification date', function() {
+            RequestHandler.isRangeFresh({headers: {'if-range': modified}}, headers).should.be.true;
+            RequestHandler.isRangeFresh({headers: {'if-range': 'Thu, 07 Jan 2016 12:00:00 GMT'}}, headers).should.be.false;
+        });
+    });
+
+    describe('RequestHandler.isCompressible', function() {
+
+        afterEach(function() {
+            pb.config.compression.enabled = true;
+        });
+
+        it('should match the configured types', function() {
+            RequestHandler.isCompressible('text/html').should.be.true;
+            RequestHandler.isCompressible('text/css; charset=utf-8').should.be.true;
+            RequestHandler.isCompressible('application/json').should.be.true;
+            RequestHandler.isCompressible('image/png').should.be.false;
+            RequestHandler.isCompressible(undefined).should.be.false;
+        });
+
+        it('should return false when compression is disabled', function() {
+            pb.config.compression.enabled = false;
+            RequestHandler.isCompressible('text/html').should.be.false;
+        });
+    });
+
+    describe('RequestHandler.getEncoding', function() {
+
+        it('should prefer gzip', function() {
+            RequestHandler.getEncoding('gzip, deflate').should.eql('gzip');
+            RequestHandler.getEncoding('deflate, gzip').should.eql('gzip');
+            RequestHandler.getEncoding('*').should.eql('gzip');
+        });
+
+        it('should respect the quality values', function() {
+            RequestHandler.getEncoding('gzip;q=0.5, deflate').should.eql('deflate');
+            RequestHandler.getEncoding('gzip;q=0, *').should.eql('deflate');
+        });
+
+        it('should return null when neither encoding is acceptable', function() {
+            should(RequestHandler.getEncoding('br, identity')).eql(null);
+            should(RequestHandler.getEncoding('gzip;q=0, deflate;q=0')).eql(null);
+            should(RequestHandler.getEncoding(undefined)).eql(null);
+        });
+    });
+
+    describe('RequestHandler.writeResponse', function() {
+
+        var getResponse = function(cb) {
+            var resp = {
+                headers: {},
+                setHeader: function(name, value) {
+                    this.headers[name.toLowerCase()] = value;
+                },
+                writeHead: function(code) {
+                    this.statusCode = code;
+                },
+                end: function(body) {
+                    this.body = body;
+                    cb(this);
+                }
+            };
+            return resp;
+        };
+
+        var getHandler = function(path, headers, resp) {
+            headers.host = 'localhost';
+            return new RequestHandler(null, {method: 'GET', url: path, headers: headers}, resp);
+        };
+
+        it('should compress a large text response', function(done) {
+            var content = new Array(2048).join('a');
+            var resp = getResponse(function(resp) {
+                resp.statusCode.should.eql(200);
+                resp.headers['content-encoding'].should.eql('gzip');
+                resp.headers.vary.should.eql('Accept-Encoding');
+                resp.headers['cache-control'].should.eql(pb.config.cache_control.html);
+                require('zlib').gunzipSync(resp.body).toString().should.eql(content);
+                done();
+            });
+            getHandler('/article/hello', {'accept-encoding': 'gzip, deflate'}, resp).writeResponse({content: content});
+        });
+
+        it('should not compress a small response', function(done) {
+            var resp = getResponse(function(resp) {
+                should(resp.headers['content-encoding']).eql(undefined);
+                resp.body.should.eql('<p>hello</p>');
+                done();
+            });
+            getHandler('/article/hello', {'accept-encoding': 'gzip'}, resp).writeResponse({content: '<p>hello</p>'});
+        });
+
+        it('should send a 304 without a body when the client is fresh', function(done) {
+            var resp = getResponse(function(resp) {
+                resp.statusCode.should.eql(304);
+                should(resp.body).eql(undefined);
+                resp.headers.etag.should.eql('"abc"');
+                resp.headers['cache-control'].should.eql(pb.config.cache_control.public);
+                done();
+            });
+            var data = {content: 'var a = 1;', content_type: 'text/javascript', headers: {ETag: '"abc"'}};
+            getHandler('/js/app.js', {'if-none-match': '"abc"'}, resp).writeResponse(data);
+        });
+
+        it('should give each content-coding its own tag', function(done) {
+            var content = new Array(2048).join('a');
+            var data = {content: content, content_type: 'text/javascript', headers: {ETag: '"abc"'}};
+            var resp = getResponse(function(resp) {
+                resp.headers['content-encoding'].should.eql('gzip');
+                resp.headers.etag.should.eql('"abc-gzip"');
+
+                var identity = getResponse(function(identity) {
+                    should(identity.headers['content-encoding']).eql(undefined);
+                    identity.headers.etag.should.eql('"abc"');
+                    done();
+                });
+                getHandler('/js/app.js', {}, identity).writeResponse({content: content, content_type: 'text/javascript', headers: {ETag: '"abc"'}});
+            });
+            getHandler('/js/app.js', {'accept-encoding': 'gzip'}, resp).writeResponse(data);
+        });
+
+        it('should only send a 304 for the tag of the negotiated content-coding', function(done) {
+            var content = new Array(2048).join('a');
+            var resp = getResponse(function(resp) {
+                resp.statusCode.should.eql(304);
+                should(resp.body).eql(undefined);
+                should(resp.headers['content-encoding']).eql(undefined);
+                resp.headers.etag.should.eql('"abc-gzip"');
+
+                var identity = getResponse(function(identity) {
+                    identity.statusCode.should.eql(200);
+                    identity.body.should.eql(content);
+                    done();
+                });
+                getHandler('/js/app.js', {'if-none-match': '"abc-gzip"'}, identity).writeResponse({content: content, content_type: 'text/javascript', headers: {ETag: '"abc"'}});
+            });
+            var data = {content: content, content_type: 'text/javascript', headers: {ETag: '"abc"'}};
+            getHandler('/js/app.js', {'accept-encoding': 'gzip', 'if-none-match': '"abc-gzip"'}, resp).writeResponse(data);
+        });
+
+        it('should tag public content from the file stats', function(done) {
+            var file = path.join(pb.config.docRoot, 'public', 'favicon.ico');
+            var resp = getResponse(function(resp) {
+                resp.statusCode.should.eql(200);
+                resp.headers.etag.should.eql(RequestHandler.generateStatETag(fs.statSync(file)));
+                done();
+            });
+            getHandler('/favicon.ico', {}, resp).servePublicContent(file);
+        });
+
+        it('should not add caching headers to errors', function(done) {
+            var resp = getResponse(function(resp) {
+                resp.statusCode.should.eql(500);
+                should(resp.headers['cache-control']).eql(undefined);
+                done();
+            });
+            getHandler('/article/hello', {}, resp).writeResponse({code: 500, content: 'error'});
+        });
+
+        it('should add the security headers unless provided by the controller', function(done) {
+            var resp = getResponse(function(resp) {
+                resp.headers['x-content-type-options'].should.eql('nosniff');
+                resp.headers['x-frame-options'].should.eql('DENY');
+                resp.headers.should.have.property('content-security-policy-report-only');
+                done();
+            });
+            var data = {content: '<p>hello</p>', headers: {'X-Frame-Options': 'DENY'}};
+            getHandler('/article/hello', {}, resp).writeResponse(data);
+        });
+    });
+});
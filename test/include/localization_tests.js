@@ -142,6 +142,51 @@ describe('Localization', function() {
             var result = loc.g(key, opts);
             result.should.eql("PencilBlue is an amazing CMS.  It is quite comprehensive and provides a lot of features.");
         });
+
+        it('should format MessageFormat values with the plural rules of the locale', function() {
+
+            var loc = new Localization(dummyLocale);
+            [[0, 'Brak komentarzy'], [1, '1 komentarz'], [3, '3 komentarze'], [5, '5 komentarzy']].forEach(function(testCase) {
+                loc.g('generic.COMMENT_COUNT', { params: { comments_length: testCase[0] } }).should.eql(testCase[1]);
+            });
+        });
+
+        it('should format MessageFormat values with the plural rules of the default locale when falling back', function() {
+
+            var plugin = 'test';
+            var key = 'generic.test.ITEM_COUNT';
+            var val = '{count, plural, one {# item} other {# items}}';
+            Localization.registerLocalization('en-US', key, val, { plugin: plugin }).should.be.ok;
+
+            var loc = new Localization(dummyLocale);
+            loc.g(key, { plugin: plugin, params: { count: 5 } }).should.eql('5 items');
+        });
+
+        it('should return the unformatted MessageFormat value when the raw option is provided', function() {
+
+            var loc = new Localization('en-US');
+            var result = loc.g('generic.COMMENT_COUNT', { raw: true });
+            result.should.eql('{comments_length, plural, =0 {No comments} one {# comment} other {# comments}}');
+        });
+    });
+
+    describe('Localization.get', function() {
+
+        it('should treat an object as the named parameters of the value', function() {
+
+            var loc = new Localization('en-US');
+            loc.get('COMMENT_COUNT', { comments_length: 2 }).should.eql('2 comments');
+        });
+    });
+
+    describe('Localization.formatNumber', function() {
+
+        it('should format the number for the locale of the instance', function() {
+
+            var loc = new Localization(dummyLocale);
+            loc.formatNumber(1234.5).should.eql(pb.MessageFormat.formatNumber(1234.5, 'pl-PL'));
+            loc.formatCurrency(5, 'PLN').should.eql(pb.MessageFormat.formatCurrency(5, 'PLN', 'pl-PL'));
+        });
     });
     
     describe('Localization.replaceParameters', function() {
@@ -323,7 +368,114 @@ describe('Localization', function() {
     });
     
     describe('Localization.registerLocalization', function() {
-        //TODO
+
+        it('should not register a malformed MessageFormat value', function() {
+
+            var key = 'generic.test.MALFORMED';
+            var result = Localization.registerLocalization(dummyLocale, key, '{count, plural, one {# item}}', { plugin: 'test' });
+            result.should.eql(false);
+
+            var loc = new Localization(dummyLocale);
+            loc.g(key, { plugin: 'test' }).should.eql(key);
+        });
+    });
+
+    describe('Localization.getMissingKeys', function() {
+
+        it('should return the keys of a plugin that the locale does not translate', function() {
+
+            var plugin = 'missing_keys_test';
+            Localization.registerLocalization('en-US', 'generic.missing.ONE', 'One', { plugin: plugin });
+            Localization.registerLocalization('en-US', 'generic.missing.TWO', 'Two', { plugin: plugin });
+            Localization.registerLocalization('pl', 'generic.missing.ONE', 'Jeden', { plugin: plugin });
+
+            Localization.getMissingKeys(dummyLocale, { plugin: plugin }).should.eql(['generic.missing.TWO']);
+            Localization.getMissingKeys('en-US', { plugin: plugin }).should.eql([]);
+        });
+    });
+
+    describe('Localization.registerOverride', function() {
+
+        afterEach(function() {
+            Localization.overrides = {};
+        });
+
+        it('should take precedence over the registered value for the site', function() {
+            Localization.registerOverride('override_site', 'en-US', 'generic.NONE', 'Nothing').should.eql(true);
+
+            new Localization('en-US', { site: 'override_site' }).g('generic.NONE').should.eql('Nothing');
+            new Localization('en-US', { site: 'other_site' }).g('generic.NONE').should.eql('None');
+        });
+
+        it('should apply the overrides of the global site to sites without their own', function() {
+            Localization.registerOverride(pb.SiteService.GLOBAL_SITE, 'en-US', 'generic.NONE', 'Nothing');
+            Localization.registerOverride('override_site', 'en-US', 'generic.NONE', 'Nada');
+
+            new Localization('en-US', { site: 'other_site' }).g('generic.NONE').should.eql('Nothing');
+            new Localization('en-US', { site: 'override_site' }).g('generic.NONE').should.eql('Nada');
+        });
+
+        it('should format an overridden message', function() {
+            Localization.registerOverride('override_site', 'en-US', 'generic.COMMENT_COUNT', '{comments_length, plural, one {# reply} other {# replies}}');
+
+            var ls = new Localization('en-US', { site: 'override_site' });
+            ls.g('generic.COMMENT_COUNT', { params: { comments_length: 2 } }).should.eql('2 replies');
+        });
+
+        it('should return false when provided a malformed message', function() {
+            Localization.registerOverride('override_site', 'en-US', 'generic.NONE', '{count, plural, one {#}').should.eql(false);
+            Localization.getOverrides('override_site', 'en-US').should.eql({});
+        });
+
+        it('should no longer apply once unregistered', function() {
+            Localization.registerOverride('override_site', 'en-US', 'generic.NONE', 'Nothing');
+
+            Localization.unregisterOverride('override_site', 'en-US', 'generic.NONE').should.eql(true);
+            Localization.unregisterOverride('override_site', 'en-US', 'generic.NONE').should.eql(false);
+            new Localization('en-US', { site: 'override_site' }).g('generic.NONE').should.eql('None');
+        });
+    });
+
+    describe('Localization.getLocalization', function() {
+
+        it('should return the registered value without falling back to the default locale', function() {
+            var plugin = 'get_localization_test';
+            Localization.registerLocalization('en-US', 'generic.lookup.ONE', 'One', { plugin: plugin });
+
+            Localization.getLocalization('en-US', 'generic.lookup.ONE').should.eql('One');
+            should(Localization.getLocalization(dummyLocale, 'generic.lookup.ONE')).eql(null);
+            should(Localization.getLocalization('en-US', 'generic.lookup.NOPE')).eql(null);
+            Localization.getPlugins('generic.lookup.ONE').should.eql([plugin]);
+            Localization.isSystemKey('generic.lookup.ONE').should.eql(false);
+            Localization.isSystemKey('generic.NONE').should.eql(true);
+        });
+    });
+
+    describe('Localization files', function() {
+
+        it('should only contain valid MessageFormat values', function(next) {
+
+            getLocalizationFiles(function(err, files) {
+                if (err) {
+                    return next(err);
+                }
+
+                files.forEach(function(file) {
+                    var queue = [require(file)];
+                    while (queue.length > 0) {
+                        pb.util.forEach(queue.shift(), function(val, key) {
+                            if (pb.util.isObject(val)) {
+                                return queue.push(val);
+                            }
+                            if (pb.MessageFormat.isMessage(val)) {
+                                pb.MessageFormat.validate(val).should.eql([], path.basename(file) + ' ' + key);
+                            }
+                        });
+                    }
+                });
+                next();
+            });
+        });
     });
     
     describe('Localization.registerLocale', function() {
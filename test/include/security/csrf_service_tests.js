@@ -0,0 +1,103 @@
+//depedencies
+var should        = require('should');
+var Configuration = require('../../../include/config.js');
+var Lib           = require('../../../lib');
+
+describe('CsrfService', function() {
+
+    var pb = null;
+    var CsrfService = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        CsrfService = pb.CsrfService;
+    });
+
+    afterEach(function() {
+        pb.config.security.csrf = {enabled: true};
+    });
+
+    describe('CsrfService.getToken', function() {
+
+        it('should generate one token per session', function() {
+            var session = {};
+            var token = CsrfService.getToken(session);
+            token.should.match(/^[a-f0-9]{64}$/);
+            CsrfService.getToken(session).should.eql(token);
+            CsrfService.getToken({}).should.not.eql(token);
+        });
+    });
+
+    describe('CsrfService.isValid', function() {
+
+        it('should accept the token of the session', function() {
+            var session = {};
+            CsrfService.isValid(session, CsrfService.getToken(session)).should.eql(true);
+        });
+
+        it('should reject other tokens', function() {
+            var session = {};
+            var token = CsrfService.getToken(session);
+            CsrfService.isValid(session, token.substring(1)).should.eql(false);
+            CsrfService.isValid(session, CsrfService.getToken({})).should.eql(false);
+            CsrfService.isValid(session, undefined).should.eql(false);
+            CsrfService.isValid({}, token).should.eql(false);
+            CsrfService.isValid(null, token).should.eql(false);
+        });
+    });
+
+    describe('CsrfService.isRequired', function() {
+
+        it('should require a token for methods that change state', function() {
+            ['POST', 'put', 'DELETE', 'PATCH'].forEach(function(method) {
+                CsrfService.isRequired({path: '/a'}, method).should.eql(true);
+            });
+        });
+
+        it('should not require a token for safe methods', function() {
+            ['GET', 'head', 'OPTIONS'].forEach(function(method) {
+                CsrfService.isRequired({path: '/a'}, method).should.eql(false);
+            });
+        });
+
+        it('should not require a token for stateless requests or routes that opt out', function() {
+            CsrfService.isRequired({path: '/a'}, 'POST', true).should.eql(false);
+            CsrfService.isRequired({path: '/a', csrf: false}, 'POST').should.eql(false);
+        });
+
+        it('should not require a token when disabled', function() {
+            pb.config.security.csrf.enabled = false;
+            CsrfService.isRequired({path: '/a'}, 'POST').should.eql(false);
+        });
+    });
+
+    describe('CsrfService.isDeferrable', function() {
+
+        var req = {headers: {'content-type': 'application/x-www-form-urlencoded; charset=UTF-8'}};
+
+        it('should defer forms posted to a FormController', function() {
+            function Controller(){}
+            pb.util.inherits(Controller, pb.FormController);
+            CsrfService.isDeferrable(req, Controller).should.eql(true);
+            CsrfService.isDeferrable(req, pb.FormController).should.eql(true);
+        });
+
+        it('should not defer other controllers or content types', function() {
+            CsrfService.isDeferrable(req, pb.BaseController).should.eql(false);
+            CsrfService.isDeferrable({headers: {'content-type': 'application/json'}}, pb.FormController).should.eql(false);
+            CsrfService.isDeferrable({headers: {}}, pb.FormController).should.eql(false);
+        });
+    });
+
+    describe('CsrfService.createError', function() {
+
+        it('should create a 403 error', function() {
+            var error = CsrfService.createError({get: function(key) { return key; }});
+            error.code.should.eql(403);
+            error.message.should.eql('CSRF_TOKEN_INVALID');
+        });
+    });
+});
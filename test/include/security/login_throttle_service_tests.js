@@ -0,0 +1,176 @@
+//depedencies
+var should        = require('should');
+var Configuration = require('../../../include/config.js');
+var Lib           = require('../../../lib');
+
+describe('LoginThrottleService', function() {
+
+    var pb = null;
+    var LoginThrottleService = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        LoginThrottleService = pb.LoginThrottleService;
+        pb.config.security.login.max_account_attempts = 3;
+        pb.config.security.login.max_ip_attempts = 5;
+    });
+
+    var getService = function(scope) {
+        var service = new LoginThrottleService({scope: scope});
+        service.audited = [];
+        service.audit = function(event, entry, cb) {
+            this.audited.push(event);
+            cb(null);
+        };
+        return service;
+    };
+
+    describe('LoginThrottleService.getDelay', function() {
+
+        var options = {delay: 250, max_delay: 1000};
+
+        it('should not delay when no attempts have been made', function() {
+            LoginThrottleService.getDelay(0, options).should.eql(0);
+        });
+
+        it('should double the delay with each attempt', function() {
+            LoginThrottleService.getDelay(1, options).should.eql(250);
+            LoginThrottleService.getDelay(2, options).should.eql(500);
+            LoginThrottleService.getDelay(3, options).should.eql(1000);
+        });
+
+        it('should not exceed the maximum delay', function() {
+            LoginThrottleService.getDelay(10, options).should.eql(1000);
+        });
+    });
+
+    describe('LoginThrottleService.getKey', function() {
+
+        it('should not be case sensitive', function() {
+            LoginThrottleService.getKey('global', 'login', 'LOCK', 'account', 'Admin').should.eql(LoginThrottleService.getKey('global', 'login', 'LOCK', 'account', 'admin'));
+        });
+
+        it('should separate the scopes', function() {
+            LoginThrottleService.getKey('global', 'login', 'LOCK', 'account', 'admin').should.not.eql(LoginThrottleService.getKey('global', 'password_reset', 'LOCK', 'account', 'admin'));
+        });
+
+        it('should separate the sites', function() {
+            LoginThrottleService.getKey('global', 'login', 'LOCK', 'account', 'admin').should.not.eql(LoginThrottleService.getKey('abc123', 'login', 'LOCK', 'account', 'admin'));
+        });
+    });
+
+    describe('LoginThrottleService.recordAttempt', function() {
+
+        it('should lock out the account once the limit is reached', function(next) {
+            var service = getService();
+            service.recordAttempt('jdoe', '10.0.0.1', function(err, result) {
+                should(err).eql(null);
+                result.attempts.should.eql(1);
+                result.locked.should.be.false;
+
+                service.recordAttempt('JDoe', '10.0.0.1', function(err, result) {
+                    result.attempts.should.eql(2);
+                    result.delay.should.eql(500);
+
+                    service.recordAttempt('jdoe', '10.0.0.1', function(err, result) {
+                        result.locked.should.be.true;
+                        service.audited.should.eql([LoginThrottleService.EVENTS.LOCKOUT]);
+
+                        service.getStatus('jdoe', '10.0.0.2', function(err, status) {
+                            status.locked.should.be.true;
+                            status.target.should.eql(LoginThrottleService.TARGETS.ACCOUNT);
+                            status.retryAfter.should.be.above(0);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should lock out the IP address once the limit is reached', function(next) {
+            var service = getService();
+            var names = ['a', 'b', 'c', 'd', 'e'];
+            var record = function(i) {
+                if (i === names.length) {
+                    return service.getStatus('f', '10.0.0.3', function(err, status) {
+                        status.locked.should.be.true;
+                        status.target.should.eql(LoginThrottleService.TARGETS.IP);
+                        next();
+                    });
+                }
+                service.recordAttempt(names[i], '10.0.0.3', function(err) {
+                    should(err).eql(null);
+                    record(i + 1);
+                });
+            };
+            record(0);
+        });
+
+        it('should not count attempts when the scope is disabled', function(next) {
+            pb.config.security.password_reset.enabled = false;
+            var service = getService(LoginThrottleService.SCOPES.PASSWORD_RESET);
+            service.recordAttempt('disabled', '10.0.0.4', function(err, result) {
+                pb.config.security.password_reset.enabled = true;
+                result.attempts.should.eql(0);
+                result.locked.should.be.false;
+                next();
+            });
+        });
+    });
+
+    describe('LoginThrottleService.reset', function() {
+
+        it('should clear the attempts made against the account', function(next) {
+            var service = getService();
+            service.recordAttempt('reset', '10.0.0.5', function(err, result) {
+                result.attempts.should.eql(1);
+
+                service.reset('reset', function(err) {
+                    should(err).eql(null);
+
+                    service.recordAttempt('reset', '10.0.0.5', function(err, result) {
+                        result.attempts.should.eql(1);
+                        next();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('LoginThrottleService.unlock', function() {
+
+        it('should remove the lockout for the username and email address', function(next) {
+            var service = getService();
+            var user = {username: 'locked', email: 'locked@example.com'};
+            service.lock({type: LoginThrottleService.TARGETS.ACCOUNT, value: user.email}, {identifier: user.email, attempts: 3}, function(err) {
+                should(err).eql(null);
+
+                service.isLocked(user, function(err, locked) {
+                    locked.should.be.true;
+
+                    service.unlock(user, function(err, unlocked) {
+                        should(err).eql(null);
+                        unlocked.should.be.true;
+                        service.audited.should.eql([LoginThrottleService.EVENTS.LOCKOUT, LoginThrottleService.EVENTS.UNLOCK]);
+
+                        service.isLocked(user, function(err, locked) {
+                            locked.should.be.false;
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should indicate when the user was not locked', function(next) {
+            getService().unlock({username: 'free', email: 'free@example.com'}, function(err, unlocked) {
+                should(err).eql(null);
+                unlocked.should.be.false;
+                next();
+            });
+        });
+    });
+});
@@ -0,0 +1,195 @@
+//depedencies
+var should        = require('should');
+var async         = require('async');
+var Configuration = require('../../../include/config.js');
+var Lib           = require('../../../lib');
+
+describe('RateLimitService', function() {
+
+    var pb = null;
+    var RateLimitService = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        RateLimitService = pb.RateLimitService;
+    });
+
+    afterEach(function() {
+        pb.config.rate_limit = {enabled: true, default: null, routes: {}};
+    });
+
+    var limit = {capacity: 2, interval: 10, key: 'ip'};
+
+    describe('RateLimitService.getLimit', function() {
+
+        it('should provide null when the route does not declare a limit and there is no default', function() {
+            should(RateLimitService.getLimit({path: '/a'})).eql(null);
+        });
+
+        it('should provide the limit declared by the route with the IP key by default', function() {
+            RateLimitService.getLimit({path: '/a', rate_limit: {capacity: 5, interval: 60}})
+                .should.eql({capacity: 5, interval: 60, key: 'ip'});
+        });
+
+        it('should apply the default to routes that do not declare a limit', function() {
+            pb.config.rate_limit.default = {capacity: 100, interval: 60, key: 'session'};
+            RateLimitService.getLimit({path: '/a'}).should.eql({capacity: 100, interval: 60, key: 'session'});
+        });
+
+        it('should not apply the default to routes that opt out', function() {
+            pb.config.rate_limit.default = {capacity: 100, interval: 60};
+            should(RateLimitService.getLimit({path: '/a', rate_limit: false})).eql(null);
+        });
+
+        it('should prefer the configured limit for the route path', function() {
+            pb.config.rate_limit.routes['/a'] = {capacity: 1, interval: 1};
+            RateLimitService.getLimit({path: '/a', rate_limit: {capacity: 5, interval: 60}}).capacity.should.eql(1);
+        });
+
+        it('should provide null when disabled', function() {
+            pb.config.rate_limit.enabled = false;
+            should(RateLimitService.getLimit({path: '/a', rate_limit: {capacity: 5, interval: 60}})).eql(null);
+        });
+
+        it('should provide null when the limit is not valid', function() {
+            should(RateLimitService.getLimit({path: '/a', rate_limit: {capacity: 0, interval: 60}})).eql(null);
+        });
+    });
+
+    describe('RateLimitService.getClientKey', function() {
+
+        var req = {headers: {}, connection: {remoteAddress: '127.0.0.1'}};
+        var session = {uid: 'abc', authentication: {user_id: 'u1', api_key: 'k1'}};
+
+        it('should key by IP address by default', function() {
+            RateLimitService.getClientKey(limit, req, session).should.eql('ip:127.0.0.1');
+        });
+
+        it('should key by user, session or API key when requested', function() {
+            RateLimitService.getClientKey({key: 'user'}, req, session).should.eql('user:u1');
+            RateLimitService.getClientKey({key: 'session'}, req, session).should.eql('session:abc');
+            RateLimitService.getClientKey({key: 'api_key'}, req, session).should.eql('api_key:k1');
+        });
+
+        it('should fall back to the IP address when the session is not authenticated', function() {
+            var anonymous = {uid: 'abc', authentication: {}};
+            RateLimitService.getClientKey({key: 'user'}, req, anonymous).should.eql('ip:127.0.0.1');
+            RateLimitService.getClientKey({key: 'session'}, req, anonymous).should.eql('ip:127.0.0.1');
+        });
+
+        it('should fall back to the IP address when there is no API key', function() {
+            RateLimitService.getClientKey({key: 'api_key'}, req, {uid: 'abc', authentication: {}}).should.eql('ip:127.0.0.1');
+        });
+    });
+
+    describe('RateLimitService.take', function() {
+
+        it('should start with a full bucket', function() {
+            var result = RateLimitService.take(null, limit, 1000);
+            result.allowed.should.be.ok;
+            result.remaining.should.eql(1);
+            result.bucket.should.eql({tokens: 1, updated: 1000});
+        });
+
+        it('should reject the request and provide the seconds until a token is available when empty', function() {
+            var result = RateLimitService.take({tokens: 0.5, updated: 1000}, limit, 1000);
+            result.allowed.should.not.be.ok;
+            result.remaining.should.eql(0);
+            result.retryAfter.should.eql(3);
+        });
+
+        it('should refill the bucket for the elapsed time without exceeding the capacity', function() {
+            RateLimitService.take({tokens: 0, updated: 0}, limit, 5000).bucket.tokens.should.eql(0);
+            RateLimitService.take({tokens: 0, updated: 0}, limit, 60000).bucket.tokens.should.eql(1);
+        });
+    });
+
+    describe('RateLimitService.parseBucket', function() {
+
+        it('should parse a serialized bucket', function() {
+            var bucket = {tokens: 1.25, updated: 12345};
+            RateLimitService.parseBucket(RateLimitService.serializeBucket(bucket)).should.eql(bucket);
+        });
+
+        [null, undefined, '', 'abc', '1:2:3'].forEach(function(val) {
+
+            it('should provide null when passed '+JSON.stringify(val), function() {
+                should(RateLimitService.parseBucket(val)).eql(null);
+            });
+        });
+    });
+
+    describe('RateLimitService.consume', function() {
+
+        it('should reject requests once the capacity is used up', function(done) {
+            var service = new RateLimitService({site: 'test'});
+            var client = 'ip:' + Date.now();
+            service.consume('GET /a', client, limit, function(err, first) {
+                should(err).eql(null);
+                first.allowed.should.be.ok;
+                service.consume('GET /a', client, limit, function(err, second) {
+                    second.allowed.should.be.ok;
+                    service.consume('GET /a', client, limit, function(err, third) {
+                        third.allowed.should.not.be.ok;
+                        third.retryAfter.should.be.above(0);
+
+                        //other routes have their own bucket
+                        service.consume('GET /b', client, limit, function(err, other) {
+                            other.allowed.should.be.ok;
+                            done(err);
+                        });
+                    });
+                });
+            });
+        });
+
+        var burst = function(service, client, count, cb) {
+            var tasks = [];
+            for (var i = 0; i < count; i++) {
+                tasks.push(function(callback) {
+                    service.consume('GET /a', client, limit, callback);
+                });
+            }
+            async.parallel(tasks, function(err, results) {
+                cb(err, results && results.filter(function(result) {
+                    return result.allowed;
+                }).length);
+            });
+        };
+
+        it('should only allow the capacity when requests are made in parallel', function(done) {
+            var service = new RateLimitService({site: 'test'});
+            burst(service, 'ip:parallel:' + Date.now(), 10, function(err, allowed) {
+                should.not.exist(err);
+                allowed.should.eql(limit.capacity);
+                done();
+            });
+        });
+
+        it('should cap a burst across the end of an interval at the capacity', function(done) {
+            var service = new RateLimitService({site: 'test'});
+            var client = 'ip:boundary:' + Date.now();
+            var now = Date.now;
+            var start = now();
+
+            //the bursts are made just before and just after the end of the interval
+            Date.now = function() {
+                return start + limit.interval * 1000 - 1;
+            };
+            burst(service, client, 5, function(err, first) {
+                Date.now = function() {
+                    return start + limit.interval * 1000 + 1;
+                };
+                burst(service, client, 5, function(err2, second) {
+                    Date.now = now;
+                    should.not.exist(err || err2);
+                    (first + second).should.eql(limit.capacity);
+                    done();
+                });
+            });
+        });
+    });
+});
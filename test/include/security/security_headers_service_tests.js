@@ -0,0 +1,220 @@
+//depedencies
+var should        = require('should');
+var Configuration = require('../../../include/config.js');
+var Lib           = require('../../../lib');
+
+describe('SecurityHeadersService', function() {
+
+    var pb = null;
+    var SecurityHeadersService = null;
+    var defaults = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        SecurityHeadersService = pb.SecurityHeadersService;
+        defaults = pb.util.clone(pb.config.security_headers);
+    });
+
+    afterEach(function() {
+        pb.config.security_headers = pb.util.clone(defaults);
+        pb.config.server.ssl.enabled = false;
+        SecurityHeadersService.registerLibraries({});
+    });
+
+    describe('SecurityHeadersService.getOptions', function() {
+
+        it('should provide the configured settings without the routes', function() {
+            var options = SecurityHeadersService.getOptions({path: '/a'});
+            options.frame_options.should.eql('SAMEORIGIN');
+            should(options.routes).eql(undefined);
+        });
+
+        it('should provide null when disabled or when the route opts out', function() {
+            should(SecurityHeadersService.getOptions({path: '/a', security_headers: false})).eql(null);
+
+            pb.config.security_headers.enabled = false;
+            should(SecurityHeadersService.getOptions({path: '/a'})).eql(null);
+        });
+
+        it('should merge the overrides of the route', function() {
+            var descriptor = {
+                path: '/a',
+                security_headers: {frame_options: 'DENY', csp: {report_only: false, directives: {'frame-ancestors': ["'none'"], 'object-src': false}}}
+            };
+            var options = SecurityHeadersService.getOptions(descriptor);
+            options.frame_options.should.eql('DENY');
+            options.csp.report_only.should.eql(false);
+            options.csp.report_uri.should.eql(defaults.csp.report_uri);
+            options.csp.directives['frame-ancestors'].should.eql(["'none'"]);
+            options.csp.directives['default-src'].should.eql(["'self'"]);
+            should(options.csp.directives['object-src']).eql(undefined);
+        });
+
+        it('should prefer the configured settings for the route path', function() {
+            pb.config.security_headers.routes['/a'] = {frame_options: false};
+            var options = SecurityHeadersService.getOptions({path: '/a', security_headers: {frame_options: 'DENY'}});
+            options.frame_options.should.eql(false);
+        });
+    });
+
+    describe('SecurityHeadersService.getHeaders', function() {
+
+        it('should provide the default headers in report only mode', function() {
+            var headers = SecurityHeadersService.getHeaders({}, {path: '/a'});
+            headers['x-frame-options'].should.eql('SAMEORIGIN');
+            headers['x-content-type-options'].should.eql('nosniff');
+            headers['referrer-policy'].should.eql('strict-origin-when-cross-origin');
+            headers['content-security-policy-report-only'].should.containEql("default-src 'self'; ");
+            headers['content-security-policy-report-only'].should.endWith('; report-uri /api/security/csp_report');
+            should(headers['content-security-policy']).eql(undefined);
+            should(headers['strict-transport-security']).eql(undefined);
+        });
+
+        it('should send HSTS when SSL is enabled', function() {
+            pb.config.server.ssl.enabled = true;
+            SecurityHeadersService.getHeaders({}, {path: '/a'})['strict-transport-security'].should.eql('max-age=15552000');
+        });
+
+        it('should add the nonce of the request when enabled', function() {
+            pb.config.security_headers.csp.nonce = true;
+            pb.config.security_headers.csp.report_only = false;
+
+            var req = {};
+            SecurityHeadersService.getHeaders(req, {path: '/a'})['content-security-policy'].should.not.containEql("'nonce-");
+
+            var nonce = SecurityHeadersService.getNonce(req);
+            SecurityHeadersService.getHeaders(req, {path: '/a'})['content-security-policy'].should.containEql("'nonce-" + nonce + "'");
+        });
+
+        it('should provide no headers when the route opts out', function() {
+            SecurityHeadersService.getHeaders({}, {path: '/a', security_headers: false}).should.eql({});
+        });
+    });
+
+    describe('SecurityHeadersService.getDirectives', function() {
+
+        it('should add the hosts of the libraries to the directives that load them', function() {
+            SecurityHeadersService.registerLibraries({
+                jquery: '//code.jquery.com/jquery.min.js',
+                bootstrap_css: 'https://maxcdn.bootstrapcdn.com/bootstrap.min.css',
+                he: '/js/lib/he/he.js'
+            });
+            var directives = SecurityHeadersService.getDirectives(defaults.csp);
+            directives['script-src'].should.eql(["'self'", "'unsafe-inline'", "'unsafe-eval'", 'code.jquery.com', 'https://maxcdn.bootstrapcdn.com']);
+            directives['font-src'].should.eql(["'self'", 'data:', 'code.jquery.com', 'https://maxcdn.bootstrapcdn.com']);
+            directives['connect-src'].should.eql(["'self'"]);
+        });
+
+        it('should start directives that are not configured from the default', function() {
+            SecurityHeadersService.registerLibraries({jquery: '//code.jquery.com/jquery.min.js'});
+            var directives = SecurityHeadersService.getDirectives({directives: {'default-src': ["'none'"]}});
+            directives['script-src'].should.eql(['code.jquery.com']);
+            directives['default-src'].should.eql(["'none'"]);
+        });
+
+        it('should not restrict directives when there is no default', function() {
+            SecurityHeadersService.registerLibraries({jquery: '//code.jquery.com/jquery.min.js'});
+            SecurityHeadersService.getDirectives({directives: {}}).should.eql({});
+        });
+    });
+
+    describe('SecurityHeadersService.buildPolicy', function() {
+
+        it('should serialize the directives', function() {
+            var directives = {'default-src': ["'self'"], 'upgrade-insecure-requests': []};
+            SecurityHeadersService.buildPolicy(directives).should.eql("default-src 'self'; upgrade-insecure-requests");
+            SecurityHeadersService.buildPolicy(directives, '/r').should.eql("default-src 'self'; upgrade-insecure-requests; report-uri /r");
+        });
+    });
+
+    describe('SecurityHeadersService.getHstsValue', function() {
+
+        it('should include the optional flags', function() {
+            SecurityHeadersService.getHstsValue({max_age: 60, include_subdomains: true, preload: true}).should.eql('max-age=60; includeSubDomains; preload');
+        });
+    });
+
+    describe('SecurityHeadersService.getNonce', function() {
+
+        it('should generate one nonce per request', function() {
+            var req = {};
+            var nonce = SecurityHeadersService.getNonce(req);
+            nonce.should.match(/^[A-Za-z0-9+\/]{22}==$/);
+            SecurityHeadersService.getNonce(req).should.eql(nonce);
+            SecurityHeadersService.getNonce({}).should.not.eql(nonce);
+        });
+    });
+
+    describe('SecurityHeadersService.getSourceFromUrl', function() {
+
+        it('should provide the host of absolute and protocol relative URLs', function() {
+            SecurityHeadersService.getSourceFromUrl('//CDN.example.com/a.js?v=1').should.eql('cdn.example.com');
+            SecurityHeadersService.getSourceFromUrl('https://cdn.example.com:8443/a.js').should.eql('https://cdn.example.com:8443');
+        });
+
+        it('should provide null for relative URLs', function() {
+            should(SecurityHeadersService.getSourceFromUrl('/js/a.js')).eql(null);
+            should(SecurityHeadersService.getSourceFromUrl(null)).eql(null);
+        });
+    });
+
+    describe('SecurityHeadersService.validatePolicy', function() {
+
+        it('should accept directives with arrays of sources', function() {
+            SecurityHeadersService.validatePolicy({'script-src': ['www.google-analytics.com', "'self'"]}).should.eql([]);
+        });
+
+        it('should reject invalid directives and sources', function() {
+            SecurityHeadersService.validatePolicy([]).length.should.eql(1);
+            SecurityHeadersService.validatePolicy({'Script Src': ['a.com']}).length.should.eql(1);
+            SecurityHeadersService.validatePolicy({'script-src': 'a.com'}).length.should.eql(1);
+            SecurityHeadersService.validatePolicy({'script-src': ['a.com; img-src *', '', 1]}).length.should.eql(3);
+        });
+    });
+
+    describe('SecurityHeadersService.parseReports', function() {
+
+        it('should parse a report-uri report', function() {
+            var body = {
+                'csp-report': {
+                    'document-uri': 'https://example.com/page',
+                    'blocked-uri': 'https://evil.com/x.js',
+                    'violated-directive': 'script-src',
+                    'original-policy': "default-src 'self'",
+                    'line-number': 10
+                }
+            };
+            SecurityHeadersService.parseReports(body).should.eql([{
+                document_uri: 'https://example.com/page',
+                blocked_uri: 'https://evil.com/x.js',
+                violated_directive: 'script-src',
+                line_number: 10
+            }]);
+        });
+
+        it('should parse the CSP violations of a Reporting API report', function() {
+            var body = [
+                {type: 'csp-violation', body: {documentURL: 'https://example.com/page', effectiveDirective: 'img-src', disposition: 'report'}},
+                {type: 'deprecation', body: {message: 'x'}}
+            ];
+            SecurityHeadersService.parseReports(body).should.eql([{
+                document_uri: 'https://example.com/page',
+                violated_directive: 'img-src',
+                effective_directive: 'img-src',
+                disposition: 'report'
+            }]);
+        });
+
+        it('should ignore invalid reports and truncate long values', function() {
+            SecurityHeadersService.parseReports({a: 1}).should.eql([]);
+            SecurityHeadersService.parseReports({'csp-report': {foo: 'bar'}}).should.eql([]);
+            SecurityHeadersService.parseReports(null).should.eql([]);
+
+            var reports = SecurityHeadersService.parseReports({'csp-report': {'blocked-uri': new Array(2000).join('a')}});
+            reports[0].blocked_uri.length.should.eql(1024);
+        });
+    });
+});
@@ -0,0 +1,258 @@
+//depedencies
+var should        = require('should');
+var async         = require('async');
+var Configuration = require('../../../include/config.js');
+var Lib           = require('../../../lib');
+
+describe('TwoFactorService', function() {
+
+    //RFC 6238 test secret "12345678901234567890"
+    var RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+    var pb = null;
+    var TwoFactorService = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        TwoFactorService = pb.TwoFactorService;
+    });
+
+    describe('TwoFactorService.encodeBase32', function() {
+
+        it('should decode to the original value', function() {
+            var buffer = new Buffer('12345678901234567890');
+            var encoded = TwoFactorService.encodeBase32(buffer);
+            encoded.should.eql(RFC_SECRET);
+            TwoFactorService.decodeBase32(encoded).toString().should.eql('12345678901234567890');
+        });
+
+        it('should ignore case, spaces, and padding when decoding', function() {
+            TwoFactorService.decodeBase32('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==').toString().should.eql('12345678901234567890');
+        });
+    });
+
+    describe('TwoFactorService.generateSecret', function() {
+
+        it('should provide a base32 encoded 160 bit secret', function() {
+            var secret = TwoFactorService.generateSecret();
+            secret.should.match(/^[A-Z2-7]{32}$/);
+            secret.should.not.eql(TwoFactorService.generateSecret());
+        });
+    });
+
+    describe('TwoFactorService.generateCode', function() {
+
+        it('should match the RFC 6238 SHA1 test vectors', function() {
+            TwoFactorService.generateCode(RFC_SECRET, TwoFactorService.getCounter(59 * 1000), 8).should.eql('94287082');
+            TwoFactorService.generateCode(RFC_SECRET, TwoFactorService.getCounter(1111111109 * 1000), 8).should.eql('07081804');
+            TwoFactorService.generateCode(RFC_SECRET, TwoFactorService.getCounter(20000000000 * 1000), 8).should.eql('65353130');
+        });
+
+        it('should pad codes to the number of digits', function() {
+            TwoFactorService.generateCode(RFC_SECRET, TwoFactorService.getCounter(1111111109 * 1000), 6).should.eql('081804');
+        });
+    });
+
+    describe('TwoFactorService.verifyCode', function() {
+
+        var time = 1111111109 * 1000;
+        var counter = null;
+        before(function() {
+            counter = TwoFactorService.getCounter(time);
+        });
+
+        it('should accept the code for the current time step', function() {
+            TwoFactorService.verifyCode(RFC_SECRET, '081804', {time: time}).should.eql(counter);
+        });
+
+        it('should accept codes from adjacent time steps', function() {
+            var previous = TwoFactorService.generateCode(RFC_SECRET, counter - 1, 6);
+            TwoFactorService.verifyCode(RFC_SECRET, previous, {time: time}).should.eql(counter - 1);
+        });
+
+        it('should reject codes outside of the window', function() {
+            var old = TwoFactorService.generateCode(RFC_SECRET, counter - 2, 6);
+            TwoFactorService.verifyCode(RFC_SECRET, old, {time: time}).should.eql(-1);
+        });
+
+        it('should reject a code that was already used', function() {
+            TwoFactorService.verifyCode(RFC_SECRET, '081804', {time: time, lastCounter: counter}).should.eql(-1);
+        });
+
+        it('should reject malformed codes', function() {
+            TwoFactorService.verifyCode(RFC_SECRET, '', {time: time}).should.eql(-1);
+            TwoFactorService.verifyCode(RFC_SECRET, 'abcdef', {time: time}).should.eql(-1);
+            TwoFactorService.verifyCode(RFC_SECRET, '0818040', {time: time}).should.eql(-1);
+            TwoFactorService.verifyCode(null, '081804', {time: time}).should.eql(-1);
+        });
+    });
+
+    describe('TwoFactorService.getProvisioningUri', function() {
+
+        it('should provide an otpauth URI', function() {
+            var uri = TwoFactorService.getProvisioningUri(RFC_SECRET, 'jdoe', 'My Site');
+            uri.should.eql('otpauth://totp/My%20Site:jdoe?secret=' + RFC_SECRET + '&issuer=My%20Site&algorithm=SHA1&digits=6&period=30');
+        });
+    });
+
+    describe('TwoFactorService.generateRecoveryCodes', function() {
+
+        it('should provide the configured number of unique codes', function() {
+            var codes = TwoFactorService.generateRecoveryCodes();
+            codes.length.should.eql(pb.config.security.two_factor.recovery_codes);
+            codes.forEach(function(code) {
+                code.should.match(/^[a-z0-9]{5}-[a-z0-9]{5}$/);
+                codes.indexOf(code).should.eql(codes.lastIndexOf(code));
+            });
+        });
+    });
+
+    describe('TwoFactorService.hashRecoveryCode', function() {
+
+        it('should ignore case, dashes, and whitespace', function() {
+            TwoFactorService.hashRecoveryCode('abcde-12345').should.eql(TwoFactorService.hashRecoveryCode(' ABCDE 12345 '));
+        });
+
+        it('should not provide the code itself', function() {
+            TwoFactorService.hashRecoveryCode('abcde-12345').should.not.containEql('abcde');
+        });
+    });
+
+    describe('TwoFactorService.sanitize', function() {
+
+        it('should remove the secret and recovery codes', function() {
+            var user = {username: 'jdoe', two_factor: {enabled: true, secret: RFC_SECRET, recovery_codes: ['a', 'b'], last_counter: 1}};
+            TwoFactorService.sanitize(user).two_factor.should.eql({enabled: true, recovery_codes_remaining: 2});
+            TwoFactorService.isEnabled(user).should.be.true;
+        });
+
+        it('should treat a pending enrolment as disabled', function() {
+            var user = {two_factor: {enabled: false, pending_secret: RFC_SECRET}};
+            TwoFactorService.sanitize(user).two_factor.should.eql({enabled: false, recovery_codes_remaining: 0});
+            TwoFactorService.isEnabled(user).should.be.false;
+        });
+
+        it('should leave users without a second factor untouched', function() {
+            TwoFactorService.sanitize({username: 'jdoe'}).should.eql({username: 'jdoe'});
+        });
+    });
+
+    describe('TwoFactorService.verify', function() {
+
+        var getUser = function() {
+            return {
+                _id: 'u1',
+                two_factor: {
+                    enabled: true,
+                    secret: TwoFactorService.generateSecret(),
+                    recovery_codes: [TwoFactorService.hashRecoveryCode('abcde-12345')]
+                }
+            };
+        };
+
+        //applies the conditional updates to a persisted copy of the user
+        var getService = function(user) {
+            var persisted = user ? pb.util.clone(user.two_factor) : {};
+            var service = new TwoFactorService({});
+            service.dao = {
+                updateFields: function(collection, where, updates, cb) {
+                    var matches = true;
+                    if (where.$or) {
+                        matches = persisted.last_counter === undefined || persisted.last_counter < updates.$set['two_factor.last_counter'];
+                    }
+                    if (where['two_factor.recovery_codes']) {
+                        matches = persisted.recovery_codes.indexOf(where['two_factor.recovery_codes']) >= 0;
+                    }
+                    if (matches && updates.$set) {
+                        persisted.last_counter = updates.$set['two_factor.last_counter'];
+                    }
+                    else if (matches && updates.$pull) {
+                        persisted.recovery_codes.splice(persisted.recovery_codes.indexOf(updates.$pull['two_factor.recovery_codes']), 1);
+                    }
+                    setImmediate(function() {
+                        cb(null, {result: {n: matches ? 1 : 0}});
+                    });
+                }
+            };
+            return service;
+        };
+
+        it('should accept a valid code only once', function(next) {
+            var user = getUser();
+            var code = TwoFactorService.generateCode(user.two_factor.secret, TwoFactorService.getCounter(), 6);
+            var service = getService(user);
+            service.verify(user, code, function(err, verified) {
+                should(err).eql(null);
+                verified.should.be.true;
+
+                service.verify(user, code, function(err, verified) {
+                    verified.should.be.false;
+                    next();
+                });
+            });
+        });
+
+        it('should consume recovery codes', function(next) {
+            var user = getUser();
+            var service = getService(user);
+            service.verify(user, 'ABCDE-12345', function(err, verified) {
+                should(err).eql(null);
+                verified.should.be.true;
+                user.two_factor.recovery_codes.length.should.eql(0);
+
+                service.verify(user, 'abcde-12345', function(err, verified) {
+                    verified.should.be.false;
+                    next();
+                });
+            });
+        });
+
+        it('should accept a recovery code once when it is submitted twice in parallel', function(next) {
+            var user = getUser();
+            var service = getService(user);
+
+            //each request loads its own copy of the user
+            async.parallel([
+                function(callback) {
+                    service.verify(pb.util.clone(user), 'abcde-12345', callback);
+                },
+                function(callback) {
+                    service.verify(pb.util.clone(user), 'abcde-12345', callback);
+                }
+            ], function(err, results) {
+                should.not.exist(err);
+                results.sort().should.eql([false, true]);
+                next();
+            });
+        });
+
+        it('should accept a one time password once when it is submitted twice in parallel', function(next) {
+            var user = getUser();
+            var code = TwoFactorService.generateCode(user.two_factor.secret, TwoFactorService.getCounter(), 6);
+            var service = getService(user);
+            async.parallel([
+                function(callback) {
+                    service.verify(pb.util.clone(user), code, callback);
+                },
+                function(callback) {
+                    service.verify(pb.util.clone(user), code, callback);
+                }
+            ], function(err, results) {
+                should.not.exist(err);
+                results.sort().should.eql([false, true]);
+                next();
+            });
+        });
+
+        it('should reject users that have not enrolled', function(next) {
+            getService().verify({}, '123456', function(err, verified) {
+                should(err).eql(null);
+                verified.should.be.false;
+                next();
+            });
+        });
+    });
+});
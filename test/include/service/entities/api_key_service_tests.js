@@ -0,0 +1,155 @@
+//depedencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('ApiKeyService', function() {
+
+    var pb = null;
+    var ApiKeyService = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        ApiKeyService = pb.ApiKeyService;
+    });
+
+    describe('ApiKeyService.generateKey', function() {
+
+        it('should provide unique keys in the expected format', function() {
+            var key = ApiKeyService.generateKey();
+            ApiKeyService.isKey(key).should.be.true;
+            key.should.not.eql(ApiKeyService.generateKey());
+        });
+    });
+
+    describe('ApiKeyService.isKey', function() {
+
+        [null, undefined, '', 'pbk_', 'abc', 'pbk_' + new Array(49).join('z'), 'xyz_' + new Array(49).join('a')].forEach(function(key) {
+
+            it('should return false when provided '+key, function() {
+                ApiKeyService.isKey(key).should.be.false;
+            });
+        });
+    });
+
+    describe('ApiKeyService.hashKey', function() {
+
+        it('should not provide the key itself', function() {
+            var key = ApiKeyService.generateKey();
+            var hash = ApiKeyService.hashKey(key);
+            hash.should.not.containEql(key.substr(ApiKeyService.KEY_PREFIX.length));
+            hash.should.eql(ApiKeyService.hashKey(key));
+        });
+    });
+
+    describe('ApiKeyService.getKeyPrefix', function() {
+
+        it('should provide the beginning of the key', function() {
+            ApiKeyService.getKeyPrefix('pbk_0123456789abcdef').should.eql('pbk_01234567');
+        });
+    });
+
+    describe('ApiKeyService.getAccessLevel', function() {
+
+        it('should not grant more than the owner has', function() {
+            ApiKeyService.getAccessLevel({access_level: 4}, {admin: 2}).should.eql(2);
+            ApiKeyService.getAccessLevel({access_level: 1}, {admin: 3}).should.eql(1);
+        });
+    });
+
+    describe('ApiKeyService.restrictPermissions', function() {
+
+        var permissions = {create_article: true, publish_article: true};
+
+        it('should provide all permissions when the key is not restricted', function() {
+            ApiKeyService.restrictPermissions({permissions: null}, permissions).should.eql(permissions);
+        });
+
+        it('should provide only the permissions of the key that the owner has', function() {
+            var apiKey = {permissions: ['create_article', 'manage_plugins']};
+            ApiKeyService.restrictPermissions(apiKey, permissions).should.eql({create_article: true});
+        });
+    });
+
+    describe('ApiKeyService.isActive', function() {
+
+        it('should return false when the key was revoked', function() {
+            ApiKeyService.isActive({revoked: new Date()}).should.be.false;
+            ApiKeyService.isActive({revoked: null}).should.be.true;
+            ApiKeyService.isActive(null).should.be.false;
+        });
+    });
+
+    describe('ApiKeyService.validate', function() {
+
+        var validate = function(obj, adminLevel, cb) {
+            var context = {
+                data: obj,
+                validationErrors: [],
+                service: {context: {session: {authentication: {admin_level: adminLevel}}}}
+            };
+            ApiKeyService.validate(context, function(err) {
+                cb(err, context.validationErrors.map(function(failure) {
+                    return failure.field;
+                }));
+            });
+        };
+
+        var getKey = function(accessLevel) {
+            return {name: 'Build server', owner: 'abc123', key_hash: 'hash', access_level: accessLevel};
+        };
+
+        it('should accept a key no more powerful than its creator', function(next) {
+            validate(getKey(pb.SecurityService.ACCESS_WRITER), pb.SecurityService.ACCESS_EDITOR, function(err, fields) {
+                should(err).eql(null);
+                fields.should.eql([]);
+                next();
+            });
+        });
+
+        it('should reject a key more powerful than its creator', function(next) {
+            validate(getKey(pb.SecurityService.ACCESS_ADMINISTRATOR), pb.SecurityService.ACCESS_EDITOR, function(err, fields) {
+                fields.should.eql(['access_level']);
+                next();
+            });
+        });
+
+        it('should require a name, owner, and generated key', function(next) {
+            validate({access_level: 0}, pb.SecurityService.ACCESS_EDITOR, function(err, fields) {
+                fields.should.eql(['name', 'key', 'owner']);
+                next();
+            });
+        });
+    });
+
+    describe('ApiKeyService.merge', function() {
+
+        it('should only accept the generated key on create', function(next) {
+            var key = ApiKeyService.generateKey();
+            var context = {
+                isCreate: true,
+                data: {name: 'Build server', access_level: 1, permissions: null, key: key},
+                object: {},
+                service: {context: {session: {authentication: {user_id: 'abc123'}}}}
+            };
+            ApiKeyService.merge(context, function(err) {
+                should(err).eql(null);
+                context.object.owner.should.eql('abc123');
+                context.object.key_hash.should.eql(ApiKeyService.hashKey(key));
+                context.object.key_prefix.should.eql(ApiKeyService.getKeyPrefix(key));
+                should(context.object.key).eql(undefined);
+
+                context.isCreate = false;
+                context.object = {key_hash: 'original'};
+                context.data.key = ApiKeyService.generateKey();
+                ApiKeyService.merge(context, function(err) {
+                    context.object.key_hash.should.eql('original');
+                    next();
+                });
+            });
+        });
+    });
+});
@@ -5,6 +5,7 @@ var pb = {};
 pb.DAO = require('../../../../../include/dao/dao.js')(pb);
 pb.BaseObjectService = require('../../../../../include/service/base_object_service.js')(pb);
 pb.ValidationService = require('../../../../../include/validation/validation_service.js')(pb);
+pb.ContentTranslationService = require('../../../../../include/service/entities/content/content_translation_service.js')(pb);
 pb.ContentObjectService = require('../../../../../include/service/entities/content/content_object_service.js')(pb);
 var ArticleServiceV2 = require('../../../../../include/service/entities/content/article_service_v2.js')(pb);
 
@@ -29,6 +30,14 @@ describe('ArticleServiceV2', function() {
       article.meta_keywords[0].should.eql("A Keyword With HTML");
       article.meta_keywords[1].should.eql("Another HTML keyword");
     });
+
+    it('should parse the expiry date when provided', function () {
+      var article = getArticle();
+      article.expiry_date = "2015-10-08T01:55:28+00:00";
+
+      ArticleServiceV2.format({data: article}, function() {});
+      article.expiry_date.should.eql(new Date("2015-10-08T01:55:28+00:00"));
+    });
   });
 
   describe('ArticleServiceV2.merge', function () {
@@ -39,6 +48,15 @@ describe('ArticleServiceV2', function() {
       ArticleServiceV2.merge({data: article, object: article2}, function() {});
       should.deepEqual(article, article2);
     });
+
+    it('should clear the expiry date when it is removed', function () {
+      var article = getArticle();
+      article.expiry_date = null;
+      var article2 = {expiry_date: new Date()};
+
+      ArticleServiceV2.merge({data: article, object: article2}, function() {});
+      (article2.expiry_date === null).should.be.ok;
+    });
   });
 
   describe('ArticleServiceV2.validate', function () {
@@ -65,6 +83,18 @@ describe('ArticleServiceV2', function() {
       errors[0].field.should.eql("publish_date");
       errors[1].field.should.eql("meta_keywords");
     });
+
+    it('should require the expiry date to come after the publish date', function () {
+      var article = getArticle();
+      var errors = [];
+
+      article.publish_date = pb.BaseObjectService.getDate(article.publish_date);
+      article.expiry_date = pb.BaseObjectService.getDate("2015-09-01T01:55:28+00:00");
+
+      ArticleServiceV2.validate({data: article, validationErrors: errors}, function() {});
+      errors.length.should.eql(1);
+      errors[0].field.should.eql("expiry_date");
+    });
   });
 });
 
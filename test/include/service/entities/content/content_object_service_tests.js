@@ -0,0 +1,86 @@
+//depedencies
+var should = require('should');
+var pb = {};
+pb.config = {
+    workflow: {
+        published: 'published'
+    }
+};
+pb.DAO = require('../../../../../include/dao/dao.js')(pb);
+pb.BaseObjectService = require('../../../../../include/service/base_object_service.js')(pb);
+pb.ValidationService = require('../../../../../include/validation/validation_service.js')(pb);
+var ContentObjectService = require('../../../../../include/service/entities/content/content_object_service.js')(pb);
+
+describe('ContentObjectService', function() {
+
+    describe('ContentObjectService.setPublishedClause', function() {
+
+        it('should exclude drafts, future content, and expired content', function() {
+            var where = {};
+            ContentObjectService.setPublishedClause(where);
+            where.draft.should.eql({$nin: [1, true]});
+            where.workflow_state.should.eql({$in: ['published', null]});
+            where.publish_date.$lte.should.be.instanceof(Date);
+            where.expiry_date.$not.$lte.should.be.instanceof(Date);
+        });
+    });
+
+    describe('ContentObjectService.setUnexpiredClause', function() {
+
+        it('should match content whose expiry date has not passed', function() {
+            var now = new Date(1000);
+            var where = {};
+            ContentObjectService.setUnexpiredClause(where, now);
+            where.should.eql({expiry_date: {$not: {$lte: now}}});
+        });
+    });
+
+    describe('ContentObjectService.isExpired', function() {
+
+        var now = new Date(10000);
+
+        it('should not consider content without an expiry date to be expired', function() {
+            ContentObjectService.isExpired({}, now).should.be.false;
+            ContentObjectService.isExpired({expiry_date: null}, now).should.be.false;
+            ContentObjectService.isExpired(null, now).should.be.false;
+        });
+
+        it('should not consider content with a future expiry date to be expired', function() {
+            ContentObjectService.isExpired({expiry_date: new Date(10001)}, now).should.be.false;
+        });
+
+        it('should consider content expired once the expiry date is reached', function() {
+            ContentObjectService.isExpired({expiry_date: new Date(10000)}, now).should.be.true;
+            ContentObjectService.isExpired({expiry_date: new Date(9999)}, now).should.be.true;
+        });
+    });
+
+    describe('ContentObjectService.validateExpiryDate', function() {
+
+        it('should allow content without an expiry date', function() {
+            var errors = [];
+            ContentObjectService.validateExpiryDate({publish_date: new Date()}, errors);
+            errors.length.should.eql(0);
+        });
+
+        it('should allow an expiry date after the publish date', function() {
+            var errors = [];
+            ContentObjectService.validateExpiryDate({publish_date: new Date(1000), expiry_date: new Date(2000)}, errors);
+            errors.length.should.eql(0);
+        });
+
+        it('should reject an expiry date that is not after the publish date', function() {
+            var errors = [];
+            ContentObjectService.validateExpiryDate({publish_date: new Date(1000), expiry_date: new Date(1000)}, errors);
+            errors.length.should.eql(1);
+            errors[0].field.should.eql('expiry_date');
+        });
+
+        it('should reject an expiry date that is not a date', function() {
+            var errors = [];
+            ContentObjectService.validateExpiryDate({publish_date: new Date(1000), expiry_date: 'tomorrow'}, errors);
+            errors.length.should.eql(1);
+            errors[0].field.should.eql('expiry_date');
+        });
+    });
+});
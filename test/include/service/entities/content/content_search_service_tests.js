@@ -0,0 +1,205 @@
+//depedencies
+var should = require('should');
+var pb = {};
+pb.DAO = require('../../../../../include/dao/dao.js')(pb);
+pb.BaseObjectService = require('../../../../../include/service/base_object_service.js')(pb);
+pb.ValidationService = require('../../../../../include/validation/validation_service.js')(pb);
+pb.ContentTranslationService = require('../../../../../include/service/entities/content/content_translation_service.js')(pb);
+pb.ContentObjectService = require('../../../../../include/service/entities/content/content_object_service.js')(pb);
+var ContentSearchService = require('../../../../../include/service/entities/content/content_search_service.js')(pb);
+
+describe('ContentSearchService', function() {
+
+    describe('ContentSearchService.tokenize', function() {
+
+        [null, undefined, 1, {}, []].forEach(function(val) {
+
+            it('should return an empty array when provided '+val, function() {
+                ContentSearchService.tokenize(val).should.eql([]);
+            });
+        });
+
+        it('should lower case, de-duplicate and drop short terms', function() {
+            var result = ContentSearchService.tokenize('Node, node & a MongoDB-driver');
+            result.should.eql(['node', 'mongodb', 'driver']);
+        });
+    });
+
+    describe('ContentSearchService.getText', function() {
+
+        it('should strip markup, media flags and entities', function() {
+            var layout = '<p>Hello&nbsp;<b>world</b></p>^media_display_abc123/position:left^<p>Again &amp; again</p>';
+            ContentSearchService.getText(layout).should.eql('Hello world Again & again');
+        });
+
+        it('should return an empty string when the layout is not a string', function() {
+            ContentSearchService.getText(null).should.eql('');
+        });
+    });
+
+    describe('ContentSearchService.highlight', function() {
+
+        it('should wrap terms, including stemmed variations, in mark elements', function() {
+            var result = ContentSearchService.highlight('Running is fun, run <fast>', ['run']);
+            result.should.eql('<mark>Running</mark> is fun, <mark>run</mark> &lt;fast&gt;');
+        });
+
+        it('should not match terms in the middle of a word', function() {
+            ContentSearchService.highlight('overrun', ['run']).should.eql('overrun');
+        });
+    });
+
+    describe('ContentSearchService.getSnippet', function() {
+
+        it('should center the snippet around the first match', function() {
+            var text = new Array(50).join('filler ') + 'needle ' + new Array(50).join('filler ');
+            var result = ContentSearchService.getSnippet(text.trim(), ['needle'], 40);
+            result.indexOf('&hellip;').should.eql(0);
+            result.indexOf('<mark>needle</mark>').should.be.above(0);
+            result.lastIndexOf('&hellip;').should.be.above(result.indexOf('<mark>needle</mark>'));
+        });
+
+        it('should start at the beginning of the text when no term matches', function() {
+            ContentSearchService.getSnippet('short text', ['missing']).should.eql('short text');
+        });
+    });
+
+    describe('ContentSearchService.buildEntry', function() {
+
+        it('should flatten an article into an index entry', function() {
+            var article = {
+                _id: 'abc123',
+                headline: 'Headline',
+                subheading: 'Sub',
+                article_layout: '<p>Body</p>',
+                meta_keywords: ['one', 'two'],
+                url: 'headline',
+                draft: 0,
+                publish_date: new Date(0)
+            };
+            var entry = ContentSearchService.buildEntry('article', article, ['Topic'], ['Section']);
+            entry.object_type.should.eql('article');
+            entry.object_id.should.eql('abc123');
+            entry.body.should.eql('Body');
+            entry.keywords.should.eql('one two');
+            entry.topics.should.eql('Topic');
+            entry.sections.should.eql('Section');
+            entry.draft.should.eql(0);
+        });
+
+        it('should include the text of the translations', function() {
+            var article = {
+                _id: 'abc123',
+                article_layout: '<p>Body</p>',
+                translations: {
+                    'es-ES': {headline: 'Titular', meta_keywords: ['uno'], article_layout: '<p>Cuerpo</p>'},
+                    'fr-FR': {subheading: 'Sous-titre'}
+                }
+            };
+            var entry = ContentSearchService.buildEntry('article', article);
+            entry.body.should.eql('Body');
+            entry.translations.should.eql('Titular Sous-titre uno Cuerpo');
+        });
+
+        it('should carry the expiry date so that expired content is not found', function() {
+            var expiry = new Date(1000);
+            var entry = ContentSearchService.buildEntry('page', {_id: 'abc123', page_layout: '', expiry_date: expiry});
+            entry.expiry_date.should.eql(expiry);
+
+            entry = ContentSearchService.buildEntry('page', {_id: 'abc123', page_layout: ''});
+            (entry.expiry_date === null).should.be.ok;
+        });
+    });
+
+    describe('ContentSearchService.prototype.indexMissing', function() {
+
+        it('should only index the content that does not have an entry', function(done) {
+            var service = Object.create(ContentSearchService.prototype);
+            service.dao = {
+                q: function(collection, opts, cb) {
+                    if (collection === ContentSearchService.COLLECTION) {
+                        return cb(null, opts.where.object_type === 'article' ? [{object_id: 'a1'}] : []);
+                    }
+                    cb(null, collection === 'article' ? [{_id: 'a1'}, {_id: 'a2'}] : [{_id: 'p1'}]);
+                }
+            };
+            var indexed = [];
+            service.index = function(type, content, cb) {
+                indexed.push(type + ':' + content._id);
+                cb(null);
+            };
+            service.indexMissing(function(err, count) {
+                should.not.exist(err);
+                count.should.eql(2);
+                indexed.should.eql(['article:a2', 'page:p1']);
+                done();
+            });
+        });
+    });
+
+    describe('ContentSearchService.buildMissing', function() {
+
+        var released = false;
+        var originalIndexMissing = ContentSearchService.prototype.indexMissing;
+        before(function() {
+            pb.log = {info: function() {}, error: function() {}};
+            pb.SiteQueryService = function() {};
+            pb.SiteService = function() {};
+            pb.SiteService.GLOBAL_SITE = 'global';
+            pb.SiteService.getCurrentSite = function(site) {
+                return site || 'global';
+            };
+            pb.SiteService.prototype.getAllSites = function(cb) {
+                cb(null, [{uid: 'site1'}]);
+            };
+        });
+
+        beforeEach(function() {
+            released = false;
+            pb.LockService = function() {};
+            pb.LockService.prototype.acquire = function(name, options, cb) {
+                cb(null, true);
+            };
+            pb.LockService.prototype.release = function(name, cb) {
+                released = true;
+                cb(null, true);
+            };
+        });
+
+        after(function() {
+            ContentSearchService.prototype.indexMissing = originalIndexMissing;
+        });
+
+        it('should index the missing content of each site and release the lock', function(done) {
+            var sites = [];
+            ContentSearchService.prototype.indexMissing = function(cb) {
+                sites.push(this.site);
+                cb(null, this.site === 'site1' ? 3 : 0);
+            };
+            ContentSearchService.buildMissing(function(err, built) {
+                should.not.exist(err);
+                sites.should.eql(['global', 'site1']);
+                built.should.eql(['site1']);
+                released.should.eql(true);
+                done();
+            });
+        });
+
+        it('should not build when another process holds the lock', function(done) {
+            var called = false;
+            pb.LockService.prototype.acquire = function(name, options, cb) {
+                cb(null, false);
+            };
+            ContentSearchService.prototype.indexMissing = function(cb) {
+                called = true;
+                cb(null, 0);
+            };
+            ContentSearchService.buildMissing(function(err, built) {
+                should.not.exist(err);
+                built.should.eql([]);
+                called.should.eql(false);
+                done();
+            });
+        });
+    });
+});
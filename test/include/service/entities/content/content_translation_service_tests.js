@@ -0,0 +1,239 @@
+//depedencies
+var should = require('should');
+var pb = {};
+pb.DAO = require('../../../../../include/dao/dao.js')(pb);
+pb.BaseObjectService = require('../../../../../include/service/base_object_service.js')(pb);
+pb.ValidationService = require('../../../../../include/validation/validation_service.js')(pb);
+var ContentTranslationService = require('../../../../../include/service/entities/content/content_translation_service.js')(pb);
+
+describe('ContentTranslationService', function() {
+
+    describe('ContentTranslationService.getLocales', function() {
+
+        it('should provide the supported locales other than the default', function() {
+            var siteObj = {
+                defaultLocale: 'en-US',
+                supportedLocales: {'fr-FR': true, 'en-US': true, 'es-ES': true, 'de-DE': false}
+            };
+            ContentTranslationService.getLocales(siteObj).should.eql(['es-ES', 'fr-FR']);
+        });
+
+        it('should provide an empty array when the site is not available', function() {
+            ContentTranslationService.getLocales(null).should.eql([]);
+            ContentTranslationService.getLocales({defaultLocale: 'en-US'}).should.eql([]);
+        });
+    });
+
+    describe('ContentTranslationService.resolve', function() {
+
+        var getArticle = function() {
+            return {
+                headline: 'Hello',
+                subheading: 'World',
+                article_layout: '<p>Hello World</p>',
+                url: 'hello-world',
+                translations: {
+                    'es-ES': {
+                        headline: 'Hola',
+                        article_layout: '<p>Hola Mundo</p>',
+                        url: 'hola-mundo'
+                    }
+                }
+            };
+        };
+
+        it('should replace the translated fields and fall back to the default for the rest', function() {
+            var article = getArticle();
+            ContentTranslationService.resolve('article', article, 'es-ES', 'en-US').should.eql('es-ES');
+            article.headline.should.eql('Hola');
+            article.article_layout.should.eql('<p>Hola Mundo</p>');
+            article.url.should.eql('hola-mundo');
+            article.subheading.should.eql('World');
+            article.locale.should.eql('es-ES');
+        });
+
+        it('should fall back to the default locale when there is no translation', function() {
+            var article = getArticle();
+            ContentTranslationService.resolve('article', article, 'fr-FR', 'en-US').should.eql('en-US');
+            article.headline.should.eql('Hello');
+            article.locale.should.eql('en-US');
+        });
+
+        it('should not apply a translation for the default locale', function() {
+            var article = getArticle();
+            ContentTranslationService.resolve('article', article, 'es-ES', 'es-ES').should.eql('es-ES');
+            article.headline.should.eql('Hello');
+        });
+
+        it('should only resolve a document once', function() {
+            var article = getArticle();
+            ContentTranslationService.resolve('article', article, 'es-ES', 'en-US');
+            ContentTranslationService.resolve('article', article, 'fr-FR', 'en-US').should.eql('es-ES');
+            article.headline.should.eql('Hola');
+        });
+
+        it('should only replace the fields that can be translated for the type', function() {
+            var topic = {name: 'Sports', translations: {'es-ES': {name: 'Deportes', url: 'deportes'}}};
+            ContentTranslationService.resolve('topic', topic, 'es-ES', 'en-US');
+            topic.name.should.eql('Deportes');
+            should.strictEqual(topic.url, undefined);
+        });
+    });
+
+    describe('ContentTranslationService.sanitize', function() {
+
+        it('should strip HTML, drop empty values and drop fields that can not be translated', function() {
+            var translations = {
+                'es-ES': {
+                    headline: ' <b>Hola</b> ',
+                    subheading: '',
+                    article_layout: '<p>Hola</p><script>alert(1)</script>',
+                    meta_keywords: 'uno, <i>dos</i>, ',
+                    author: 'someone'
+                },
+                'fr-FR': {
+                    headline: ''
+                }
+            };
+            ContentTranslationService.sanitize('article', translations).should.eql({
+                'es-ES': {
+                    headline: 'Hola',
+                    article_layout: '<p>Hola</p>',
+                    meta_keywords: ['uno', 'dos']
+                }
+            });
+        });
+
+        it('should leave values of an unexpected type for validation', function() {
+            ContentTranslationService.sanitize('topic', 'es-ES').should.eql('es-ES');
+            ContentTranslationService.sanitize('topic', {'es-ES': 'Deportes'}).should.eql({'es-ES': 'Deportes'});
+        });
+    });
+
+    describe('ContentTranslationService.validate', function() {
+
+        it('should allow valid translations', function() {
+            var errors = [];
+            ContentTranslationService.validate('article', {'es-ES': {headline: 'Hola', meta_keywords: ['uno']}}, errors);
+            ContentTranslationService.validate('article', undefined, errors);
+            errors.length.should.eql(0);
+        });
+
+        it('should find errors', function() {
+            var errors = [];
+            ContentTranslationService.validate('topic', ['es-ES'], errors);
+            ContentTranslationService.validate('topic', {'es.ES': {name: 'Deportes'}}, errors);
+            ContentTranslationService.validate('topic', {'es-ES': 'Deportes'}, errors);
+            ContentTranslationService.validate('topic', {'es-ES': {name: 1, headline: 'Hola'}}, errors);
+            ContentTranslationService.validate('article', {'es-ES': {meta_keywords: 'uno'}}, errors);
+            ContentTranslationService.validate('article', {'es-ES': {url: 'hola/mundo'}}, errors);
+
+            errors.map(function(error) { return error.field; }).should.eql([
+                'translations',
+                'translations.es.ES',
+                'translations.es-ES',
+                'translations.es-ES.name',
+                'translations.es-ES.headline',
+                'translations.es-ES.meta_keywords',
+                'translations.es-ES.url'
+            ]);
+        });
+    });
+
+    describe('ContentTranslationService.isValidSlug', function() {
+
+        it('should allow a single path segment', function() {
+            ContentTranslationService.isValidSlug('hola-mundo').should.eql(true);
+            ContentTranslationService.isValidSlug('привет-мир').should.eql(true);
+        });
+
+        [null, '', 'hola mundo', 'hola/mundo', 'hola?mundo', 'hola#mundo', 1].forEach(function(val) {
+
+            it('should not allow '+JSON.stringify(val), function() {
+                ContentTranslationService.isValidSlug(val).should.eql(false);
+            });
+        });
+    });
+
+    describe('ContentTranslationService.validateUrls', function() {
+
+        var wheres = null;
+        before(function() {
+            pb.Localization = {
+                getSupported: function() {
+                    return ['en-US', 'es-ES'];
+                }
+            };
+            pb.UrlService = function() {};
+            pb.UrlService.prototype.existsForType = function(params, cb) {
+                cb(null, params.url === 'taken');
+            };
+            pb.SiteQueryService = function() {};
+            pb.SiteQueryService.prototype.unique = function(type, where, id, cb) {
+                wheres.push(where);
+                cb(null, JSON.stringify(where).indexOf('"used"') < 0);
+            };
+        });
+
+        beforeEach(function() {
+            wheres = [];
+        });
+
+        it('should allow slugs that are not used by other documents', function(done) {
+            var errors = [];
+            var obj = {_id: 'a1', url: 'hello', translations: {'es-ES': {url: 'hola'}}};
+            ContentTranslationService.validateUrls('article', obj, 'global', errors, function(err) {
+                should.not.exist(err);
+                errors.length.should.eql(0);
+                wheres.should.eql([
+                    {'translations.es-ES.url': 'hola'},
+                    {$or: [{'translations.en-US.url': 'hello'}, {'translations.es-ES.url': 'hello'}]}
+                ]);
+                done();
+            });
+        });
+
+        it('should find slugs used as the URL or the translated slug of another document', function(done) {
+            var errors = [];
+            var obj = {
+                _id: 'a1',
+                url: 'used',
+                translations: {
+                    'es-ES': {url: 'taken'},
+                    'fr-FR': {url: 'used'},
+                    'de-DE': {url: 'not valid'}
+                }
+            };
+            ContentTranslationService.validateUrls('article', obj, 'global', errors, function(err) {
+                should.not.exist(err);
+                errors.map(function(error) { return error.field; }).should.eql([
+                    'translations.es-ES.url',
+                    'translations.fr-FR.url',
+                    'url'
+                ]);
+                done();
+            });
+        });
+    });
+
+    describe('ContentTranslationService.getValues', function() {
+
+        it('should provide the translated values of the field in order of locale', function() {
+            var obj = {translations: {'fr-FR': {name: 'Sports'}, 'es-ES': {name: 'Deportes'}, 'de-DE': {}}};
+            ContentTranslationService.getValues(obj, 'name').should.eql(['Deportes', 'Sports']);
+            ContentTranslationService.getValues({}, 'name').should.eql([]);
+        });
+    });
+
+    describe('ContentTranslationService.getUrlWhere', function() {
+
+        it('should match the URL slug translated for the locale', function() {
+            ContentTranslationService.getUrlWhere('hola-mundo', 'es-ES').should.eql({'translations.es-ES.url': 'hola-mundo'});
+        });
+
+        it('should not provide a where clause for an invalid locale', function() {
+            should.strictEqual(ContentTranslationService.getUrlWhere('hola-mundo', 'es.ES'), null);
+            should.strictEqual(ContentTranslationService.getUrlWhere('hola-mundo', null), null);
+        });
+    });
+});
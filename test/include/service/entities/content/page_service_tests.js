@@ -5,6 +5,7 @@ var pb = {};
 pb.DAO = require('../../../../../include/dao/dao.js')(pb);
 pb.BaseObjectService = require('../../../../../include/service/base_object_service.js')(pb);
 pb.ValidationService = require('../../../../../include/validation/validation_service.js')(pb);
+pb.ContentTranslationService = require('../../../../../include/service/entities/content/content_translation_service.js')(pb);
 pb.ContentObjectService = require('../../../../../include/service/entities/content/content_object_service.js')(pb);
 var PageService = require('../../../../../include/service/entities/content/page_service.js')(pb);
 
@@ -0,0 +1,125 @@
+//depedencies
+var should = require('should');
+var pb = {};
+pb.util = require('../../../../../include/util.js');
+pb.config = {
+    workflow: {
+        initial: 'draft',
+        published: 'published',
+        states: {
+            draft: {transitions: {in_review: 1, published: 2}},
+            in_review: {notify: 2, transitions: {draft: 1, approved: 'approve_content'}},
+            approved: {transitions: {published: 2}},
+            published: {transitions: {draft: 2}}
+        }
+    }
+};
+pb.DAO = require('../../../../../include/dao/dao.js')(pb);
+pb.SecurityService = require('../../../../../include/access_management.js')(pb);
+pb.BaseObjectService = require('../../../../../include/service/base_object_service.js')(pb);
+pb.ValidationService = require('../../../../../include/validation/validation_service.js')(pb);
+var WorkflowService = require('../../../../../include/service/entities/content/workflow_service.js')(pb);
+
+describe('WorkflowService', function() {
+
+    var getSession = function(level, permissions) {
+        return {
+            authentication: {
+                admin_level: level,
+                user: {admin: level, permissions: permissions || {}}
+            }
+        };
+    };
+
+    describe('WorkflowService.getState', function() {
+
+        it('should return the workflow state when it is known', function() {
+            WorkflowService.getState({workflow_state: 'in_review', draft: 1}).should.eql('in_review');
+        });
+
+        it('should derive the state from the draft flag when no state is set', function() {
+            WorkflowService.getState({draft: 1}).should.eql('draft');
+            WorkflowService.getState({draft: 0}).should.eql('published');
+        });
+
+        it('should derive the state from the draft flag when the state is unknown', function() {
+            WorkflowService.getState({workflow_state: 'retired', draft: 0}).should.eql('published');
+        });
+    });
+
+    describe('WorkflowService.resolveState', function() {
+
+        it('should use the requested state when it differs from the current state', function() {
+            WorkflowService.resolveState('draft', {workflow_state: 'in_review', draft: 0}).should.eql('in_review');
+        });
+
+        it('should publish when the requested state is unchanged and the draft flag is off', function() {
+            WorkflowService.resolveState('approved', {workflow_state: 'approved', draft: 0}).should.eql('published');
+        });
+
+        it('should keep an unpublished state when saving as a draft', function() {
+            WorkflowService.resolveState('in_review', {draft: 1}).should.eql('in_review');
+        });
+
+        it('should return published content to the initial state when saving as a draft', function() {
+            WorkflowService.resolveState('published', {draft: 1}).should.eql('draft');
+        });
+
+        it('should keep the current state when neither a state nor a draft flag is provided', function() {
+            WorkflowService.resolveState('approved', {}).should.eql('approved');
+            WorkflowService.resolveState(null, {}).should.eql('draft');
+        });
+    });
+
+    describe('WorkflowService.isAuthorized', function() {
+
+        it('should allow remaining in the same state', function() {
+            WorkflowService.isAuthorized(getSession(0), 'published', 'published').should.be.true;
+        });
+
+        it('should reject transitions that do not exist', function() {
+            WorkflowService.isAuthorized(getSession(4), 'draft', 'approved').should.be.false;
+        });
+
+        it('should enforce the access level of the transition', function() {
+            WorkflowService.isAuthorized(getSession(1), 'draft', 'in_review').should.be.true;
+            WorkflowService.isAuthorized(getSession(1), 'draft', 'published').should.be.false;
+            WorkflowService.isAuthorized(getSession(2), 'draft', 'published').should.be.true;
+        });
+
+        it('should enforce the plugin permission of the transition', function() {
+            WorkflowService.isAuthorized(getSession(3), 'in_review', 'approved').should.be.false;
+            WorkflowService.isAuthorized(getSession(1, {approve_content: 1}), 'in_review', 'approved').should.be.true;
+            WorkflowService.isAuthorized(getSession(4), 'in_review', 'approved').should.be.true;
+        });
+
+        it('should allow existing transitions when no session is provided', function() {
+            WorkflowService.isAuthorized(null, 'draft', 'published').should.be.true;
+        });
+    });
+
+    describe('WorkflowService.getAllowedTransitions', function() {
+
+        it('should only provide the transitions the session may make', function() {
+            WorkflowService.getAllowedTransitions(getSession(1), 'draft').should.eql(['in_review']);
+            WorkflowService.getAllowedTransitions(getSession(2), 'draft').should.eql(['in_review', 'published']);
+        });
+
+        it('should return an empty array for an unknown state', function() {
+            WorkflowService.getAllowedTransitions(getSession(4), 'retired').should.eql([]);
+        });
+    });
+
+    describe('WorkflowService.getStateWhere', function() {
+
+        it('should match legacy drafts when filtering by the initial state', function() {
+            WorkflowService.getStateWhere('draft').should.eql({
+                $or: [{workflow_state: 'draft'}, {workflow_state: null, draft: {$in: [1, true]}}]
+            });
+        });
+
+        it('should only match the state for intermediate states', function() {
+            WorkflowService.getStateWhere('in_review').should.eql({workflow_state: 'in_review'});
+        });
+    });
+});
@@ -0,0 +1,229 @@
+//dependencies
+var should        = require('should');
+var async         = require('async');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('JobService', function() {
+
+    var pb = null;
+    var JobService = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        JobService = pb.JobService;
+    });
+
+    describe('JobService.buildWhere', function() {
+
+        it('should provide an empty query when no filters are provided', function() {
+            JobService.buildWhere().should.eql({});
+            JobService.buildWhere({type: '', status: null}).should.eql({});
+        });
+
+        it('should match on the type, status, and site', function() {
+            var where = JobService.buildWhere({type: 'install_plugin', status: 'ERRORED', site: 'global', other: 'ignored'});
+            where.should.eql({type: 'install_plugin', status: 'ERRORED', site: 'global'});
+        });
+
+        it('should match on the range of dates that the job was created in', function() {
+            var where = JobService.buildWhere({from: '2026-01-01T00:00:00Z', to: '1767312000000'});
+            where.created.$gte.toISOString().should.eql('2026-01-01T00:00:00.000Z');
+            where.created.$lte.toISOString().should.eql('2026-01-02T00:00:00.000Z');
+        });
+
+        it('should provide an error with a code of 400 when a filter is not valid', function() {
+            var result = JobService.buildWhere({status: ['ERRORED', 'RUNNING'], from: 'yesterday'});
+            result.should.be.an.instanceOf(Error);
+            result.code.should.eql(400);
+            result.message.should.containEql('status');
+            result.message.should.containEql('from');
+        });
+    });
+
+    describe('JobService.isFinished', function() {
+
+        it('should return true when the job has completed', function() {
+            JobService.isFinished({status: 'COMPLETED: 3 copied, 0 skipped, 0 failed', completed: new Date()}).should.eql(true);
+        });
+
+        ['COMPLETED', 'ERRORED', 'CANCELLED'].forEach(function(status) {
+
+            it('should return true when the status is '+status, function() {
+                JobService.isFinished({status: status}).should.eql(true);
+            });
+        });
+
+        it('should return false when the job is in progress', function() {
+            JobService.isFinished({status: 'RUNNING'}).should.eql(false);
+            JobService.isFinished({status: 'MIGRATING', cancel_requested: true}).should.eql(false);
+        });
+    });
+
+    describe('JobService.registerRetryHandler', function() {
+
+        var handler = function(parameters, cb) {
+            cb(null, 'abc');
+        };
+
+        afterEach(function() {
+            JobService.unregisterRetryHandler('test_job');
+        });
+
+        it('should register the handler for the type', function() {
+            JobService.registerRetryHandler('test_job', handler).should.eql(false);
+            JobService.hasRetryHandler('test_job').should.eql(true);
+        });
+
+        it('should replace an existing handler', function() {
+            JobService.registerRetryHandler('test_job', handler);
+            JobService.registerRetryHandler('test_job', handler).should.eql(true);
+        });
+
+        it('should throw when the type or handler is not valid', function() {
+            (function() {
+                JobService.registerRetryHandler('', handler);
+            }).should.throw();
+            (function() {
+                JobService.registerRetryHandler('test_job', null);
+            }).should.throw();
+            JobService.hasRetryHandler('test_job').should.eql(false);
+        });
+
+        it('should remove the handler', function() {
+            JobService.registerRetryHandler('test_job', handler);
+            JobService.unregisterRetryHandler('test_job').should.eql(true);
+            JobService.unregisterRetryHandler('test_job').should.eql(false);
+            JobService.hasRetryHandler('test_job').should.eql(false);
+        });
+
+        it('should return false for a job without a type', function() {
+            JobService.hasRetryHandler(undefined).should.eql(false);
+            JobService.hasRetryHandler('constructor').should.eql(false);
+        });
+    });
+
+    describe('JobService.retry', function() {
+
+        var job = null;
+        var calls = 0;
+        var originals = {};
+        beforeEach(function() {
+            job = {_id: 'j1', type: 'test_job', status: 'ERRORED', parameters: {a: 1}};
+            calls = 0;
+            originals.loadById = JobService.prototype.loadById;
+            originals.updateFields = pb.DAO.prototype.updateFields;
+
+            JobService.prototype.loadById = function(jid, cb) {
+                var copy = pb.util.clone(job);
+                setImmediate(function() {
+                    cb(null, copy);
+                });
+            };
+
+            //applies the conditions on the status and "retried_by" atomically
+            pb.DAO.prototype.updateFields = function(collection, where, updates, cb) {
+                var matches = (where.status === undefined || where.status === job.status) &&
+                    (!pb.util.isObject(where.retried_by) || job.retried_by === undefined) &&
+                    (!pb.util.isString(where.retried_by) || job.retried_by === where.retried_by);
+                if (matches && updates.$set) {
+                    job.retried_by = updates.$set.retried_by;
+                }
+                else if (matches && updates.$unset) {
+                    delete job.retried_by;
+                }
+                setImmediate(function() {
+                    cb(null, {result: {n: matches ? 1 : 0}});
+                });
+            };
+        });
+
+        afterEach(function() {
+            JobService.prototype.loadById = originals.loadById;
+            pb.DAO.prototype.updateFields = originals.updateFields;
+            JobService.unregisterRetryHandler('test_job');
+        });
+
+        it('should only start one job when retried concurrently', function(done) {
+            JobService.registerRetryHandler('test_job', function(parameters, cb) {
+                calls++;
+                parameters.should.eql({a: 1});
+                setImmediate(function() {
+                    cb(null, 'j2');
+                });
+            });
+
+            var service = new JobService();
+            async.parallel([
+                function(callback) {
+                    service.retry('j1', function(err, jid) {
+                        callback(null, err || jid);
+                    });
+                },
+                function(callback) {
+                    service.retry('j1', function(err, jid) {
+                        callback(null, err || jid);
+                    });
+                }
+            ], function(err, results) {
+                calls.should.eql(1);
+                results.filter(function(result) {
+                    return result === 'j2';
+                }).length.should.eql(1);
+                results.filter(function(result) {
+                    return result instanceof Error && result.code === 400;
+                }).length.should.eql(1);
+                job.retried_by.should.eql('j2');
+                done(err);
+            });
+        });
+
+        it('should release the claim when the job can not be started', function(done) {
+            JobService.registerRetryHandler('test_job', function(parameters, cb) {
+                calls++;
+                cb(new Error('failed to start'));
+            });
+
+            var service = new JobService();
+            service.retry('j1', function(err) {
+                err.message.should.eql('failed to start');
+                should.not.exist(job.retried_by);
+                done();
+            });
+        });
+
+        it('should not retry a job that was already retried', function(done) {
+            job.retried_by = 'j0';
+            JobService.registerRetryHandler('test_job', function(parameters, cb) {
+                calls++;
+                cb(null, 'j2');
+            });
+
+            var service = new JobService();
+            service.retry('j1', function(err) {
+                err.code.should.eql(400);
+                calls.should.eql(0);
+                job.retried_by.should.eql('j0');
+                done();
+            });
+        });
+    });
+
+    describe('JobService.onCancelCommandReceived', function() {
+
+        it('should cancel the job on this process', function() {
+            var jobId = pb.util.uniqueId();
+            JobService.onCancelCommandReceived({jobId: jobId});
+            pb.JobRunner.isCancelled(jobId).should.eql(true);
+        });
+
+        it('should ignore invalid commands', function() {
+            JobService.onCancelCommandReceived(null);
+            JobService.onCancelCommandReceived({jobId: 5});
+            pb.JobRunner.isCancelled(5).should.eql(false);
+        });
+    });
+});
@@ -56,6 +56,31 @@ describe('MediaService', function() {
         });
     });
 
+    describe('MediaService.isFlagExpired', function() {
+
+        var now = new Date('2016-06-15T00:00:00Z');
+
+        it('should not expire a placement without an expiry', function() {
+            var flag = MediaService.parseMediaFlag('^media_display_4567/position:left^');
+            MediaService.isFlagExpired(flag, now).should.be.false;
+        });
+
+        it('should not expire a placement before its expiry', function() {
+            var flag = MediaService.parseMediaFlag('^media_display_4567/position:left,expires:2016-06-16^');
+            MediaService.isFlagExpired(flag, now).should.be.false;
+        });
+
+        it('should expire a placement once its expiry has been reached', function() {
+            var flag = MediaService.parseMediaFlag('^media_display_4567/expires:2016-06-15^');
+            MediaService.isFlagExpired(flag, now).should.be.true;
+        });
+
+        it('should ignore an expiry that is not a date', function() {
+            var flag = MediaService.parseMediaFlag('^media_display_4567/expires:never^');
+            MediaService.isFlagExpired(flag, now).should.be.false;
+        });
+    });
+
     describe('MediaService.getStyleForPosition', function() {
 
         ['right', 'left', 'center'].forEach(function(position) {
@@ -72,4 +97,156 @@ describe('MediaService', function() {
             });
         });
     });
+
+    describe('MediaService.getContentStreamByPath', function() {
+
+        it('should pass the range to a provider that supports ranges', function(done) {
+            var provider = {
+                getStream: function(mediaPath, options, cb) {
+                    options.should.eql({start: 1, end: 2});
+                    cb(null, mediaPath);
+                }
+            };
+            var service = new MediaService(provider);
+            service.supportsRanges().should.be.true;
+            service.getContentStreamByPath('/media/a.mp4', {start: 1, end: 2}, function(err, result) {
+                result.should.eql('/media/a.mp4');
+                done(err);
+            });
+        });
+
+        it('should only pass the path to a provider that does not support ranges', function(done) {
+            var provider = {
+                getStream: function(mediaPath, cb) {
+                    cb(null, mediaPath);
+                }
+            };
+            var service = new MediaService(provider);
+            service.supportsRanges().should.be.false;
+            service.getContentStreamByPath('/media/a.mp4', {start: 1, end: 2}, function(err, result) {
+                result.should.eql('/media/a.mp4');
+                done(err);
+            });
+        });
+    });
+
+    describe('MediaService.getRedirectUrl', function() {
+
+        it('should provide null when the provider does not serve media directly', function(done) {
+            var service = new MediaService({});
+            service.getRedirectUrl('/media/a.jpg', function(err, location) {
+                should(location).eql(null);
+                done(err);
+            });
+        });
+
+        it('should provide the URL from the provider', function(done) {
+            var provider = {
+                getUrl: function(mediaPath, cb) {
+                    cb(null, 'https://bucket.example.com' + mediaPath);
+                }
+            };
+            var service = new MediaService(provider);
+            service.getRedirectUrl('/media/a.jpg', function(err, location) {
+                location.should.eql('https://bucket.example.com/media/a.jpg');
+                done(err);
+            });
+        });
+    });
+
+    describe('MediaService.loadMediaProvider', function() {
+
+        it('should load the configured provider by default', function() {
+            MediaService.loadMediaProvider({}).should.be.an.instanceOf(pb.media.providers.FsMediaProvider);
+        });
+
+        it('should load the named provider', function() {
+            MediaService.loadMediaProvider({}, 'mongo').should.be.an.instanceOf(pb.media.providers.MongoMediaProvider);
+        });
+
+        it('should provide null when the provider cannot be found', function() {
+            should(MediaService.loadMediaProvider({}, 'not_a_provider')).eql(null);
+        });
+    });
+
+    describe('MediaService.normalizeFolder', function() {
+
+        [null, undefined, 1, {}, '', '/', '//'].forEach(function(val) {
+
+            it('should provide the root folder when passed '+JSON.stringify(val), function() {
+                MediaService.normalizeFolder(val).should.eql('/');
+            });
+        });
+
+        it('should add the leading slash and remove empty, relative and trailing segments', function() {
+            MediaService.normalizeFolder(' events//2016/../ photos /./').should.eql('/events/2016/photos');
+        });
+    });
+
+    describe('MediaService.normalizeTags', function() {
+
+        it('should split a comma separated string', function() {
+            MediaService.normalizeTags(' Sports, news ,,sports').should.eql(['sports', 'news']);
+        });
+
+        it('should ignore values that are not strings', function() {
+            MediaService.normalizeTags(['a', 1, null, 'B']).should.eql(['a', 'b']);
+        });
+
+        it('should provide an empty array when passed neither a string or an array', function() {
+            MediaService.normalizeTags(null).should.eql([]);
+        });
+    });
+
+    describe('MediaService.getFolderList', function() {
+
+        it('should include the root and every ancestor in sorted order', function() {
+            var result = MediaService.getFolderList(['/events/2016', null, '/events', '/archive']);
+            result.should.eql([
+                {path: '/', name: '/', depth: 0},
+                {path: '/archive', name: 'archive', depth: 1},
+                {path: '/events', name: 'events', depth: 1},
+                {path: '/events/2016', name: '2016', depth: 2}
+            ]);
+        });
+    });
+
+    describe('MediaService.getFilterWhere', function() {
+
+        it('should provide an empty query when no filters are provided', function() {
+            MediaService.getFilterWhere(null).should.eql({});
+            MediaService.getFilterWhere({folder: '', tags: '', type: null, uploader: ''}).should.eql({});
+        });
+
+        it('should include media without a folder when filtering by the root folder', function() {
+            MediaService.getFilterWhere({folder: '/'}).should.eql({folder: {$in: ['/', null]}});
+        });
+
+        it('should not filter by folder when the root folder is searched recursively', function() {
+            MediaService.getFilterWhere({folder: '/', recursive: true}).should.eql({});
+        });
+
+        it('should match sub-folders but not sibling folders with a similar name when recursive', function() {
+            var where = MediaService.getFilterWhere({folder: 'events', recursive: true});
+            where.folder.test('/events').should.be.ok;
+            where.folder.test('/events/2016').should.be.ok;
+            where.folder.test('/events-old').should.not.be.ok;
+        });
+
+        it('should require all tags and any of the types', function() {
+            var where = MediaService.getFilterWhere({tags: 'News, sports', type: 'image', uploader: 'abc'});
+            where.should.eql({
+                tags: {$all: ['news', 'sports']},
+                media_type: {$in: ['image']},
+                uploader: 'abc'
+            });
+        });
+
+        it('should filter by the creation date range', function() {
+            var from = new Date(0);
+            var to = new Date();
+            MediaService.getFilterWhere({from: from, to: to}).should.eql({created: {$gte: from, $lte: to}});
+            MediaService.getFilterWhere({to: to}).should.eql({created: {$lte: to}});
+        });
+    });
 });
@@ -0,0 +1,209 @@
+//depedencies
+var should = require('should');
+var pb = {};
+pb.util = require('../../../../include/util.js');
+pb.DAO = require('../../../../include/dao/dao.js')(pb);
+pb.BaseObjectService = require('../../../../include/service/base_object_service.js')(pb);
+pb.ValidationService = require('../../../../include/validation/validation_service.js')(pb);
+var RevisionService = require('../../../../include/service/entities/revision_service.js')(pb);
+
+describe('RevisionService', function() {
+
+    describe('RevisionService.isSupportedType', function() {
+
+        ['article', 'page', 'custom_object'].forEach(function(type) {
+
+            it('should return true when provided '+type, function() {
+                RevisionService.isSupportedType(type).should.be.true;
+            });
+        });
+
+        [null, undefined, 'comment', 'articles', 1].forEach(function(type) {
+
+            it('should return false when provided '+type, function() {
+                RevisionService.isSupportedType(type).should.be.false;
+            });
+        });
+    });
+
+    describe('RevisionService.getRetentionLimit', function() {
+
+        before(function() {
+            pb.config = {
+                revisions: {
+                    retention: {
+                        default: 10,
+                        article: 5,
+                        page: 0
+                    }
+                }
+            };
+        });
+
+        after(function() {
+            delete pb.config;
+        });
+
+        it('should return the limit configured for the type', function() {
+            RevisionService.getRetentionLimit('article').should.eql(5);
+        });
+
+        it('should fallback to the default when the type is not configured', function() {
+            RevisionService.getRetentionLimit('custom_object').should.eql(10);
+        });
+
+        it('should return 0 when the type keeps all revisions', function() {
+            RevisionService.getRetentionLimit('page').should.eql(0);
+        });
+    });
+
+    describe('RevisionService.getSnapshot', function() {
+
+        it('should exclude the fields maintained by the persistence layer', function() {
+            var obj = {
+                _id: 'abc123',
+                object_type: 'article',
+                site: 'global',
+                created: new Date(),
+                last_modified: new Date(),
+                headline: 'Headline'
+            };
+            RevisionService.getSnapshot(obj).should.eql({headline: 'Headline'});
+        });
+    });
+
+    describe('RevisionService.diff', function() {
+
+        it('should detect added, removed, and modified fields in field order', function() {
+            var before = {
+                _id: 'abc123',
+                headline: 'Old',
+                subheading: 'Sub',
+                article_topics: ['1', '2'],
+                last_modified: new Date(0)
+            };
+            var after = {
+                _id: 'abc123',
+                headline: 'New',
+                article_topics: ['1', '2'],
+                meta_desc: 'Desc',
+                last_modified: new Date()
+            };
+            var result = RevisionService.diff(before, after);
+            result.should.eql([
+                {field: 'headline', change: 'modified', before: 'Old', after: 'New'},
+                {field: 'meta_desc', change: 'added', before: null, after: 'Desc'},
+                {field: 'subheading', change: 'removed', before: 'Sub', after: null}
+            ]);
+        });
+
+        it('should compare nested values by content', function() {
+            var result = RevisionService.diff({article_topics: ['1', '2']}, {article_topics: ['2', '1']});
+            result.length.should.eql(1);
+            result[0].field.should.eql('article_topics');
+        });
+
+        it('should return an empty array when the objects are equivalent', function() {
+            RevisionService.diff({headline: 'Same', draft: null}, {headline: 'Same'}).should.eql([]);
+        });
+    });
+
+    describe('RevisionService.getAccessLevel', function() {
+
+        before(function() {
+            pb.SecurityService = {ACCESS_WRITER: 1, ACCESS_EDITOR: 2};
+        });
+
+        after(function() {
+            delete pb.SecurityService;
+        });
+
+        it('should allow writers to manage article revisions', function() {
+            RevisionService.getAccessLevel('article').should.eql(1);
+        });
+
+        it('should require editors for page and custom object revisions', function() {
+            RevisionService.getAccessLevel('page').should.eql(2);
+            RevisionService.getAccessLevel('custom_object').should.eql(2);
+        });
+    });
+
+    describe('RevisionService.create', function() {
+
+        /**
+         * Creates a service backed by an in-memory collection that enforces
+         * the unique revision number index
+         */
+        var getService = function(revisions) {
+            var service = Object.create(RevisionService.prototype);
+            service.dao = {
+                q: function(collection, opts, cb) {
+                    var matches = revisions.filter(function(revision) {
+                        return revision.revision_of === opts.where.revision_of;
+                    }).sort(function(a, b) {
+                        return b.revision - a.revision;
+                    });
+
+                    //yield so that concurrent creates read before either saves
+                    setImmediate(function() {
+                        cb(null, opts.offset ? matches.slice(opts.offset) : matches.slice(0, opts.limit));
+                    });
+                },
+                save: function(revision, cb) {
+                    var duplicate = revisions.some(function(existing) {
+                        return existing.revision_of === revision.revision_of && existing.revision === revision.revision;
+                    });
+                    if (duplicate) {
+                        var err = new Error('E11000 duplicate key error');
+                        err.code = 11000;
+                        return setImmediate(cb, err);
+                    }
+                    revision._id = 'r' + revisions.length;
+                    revisions.push(revision);
+                    setImmediate(cb, null, revision);
+                }
+            };
+            return service;
+        };
+
+        before(function() {
+            pb.config = {revisions: {retention: {default: 0}}};
+        });
+
+        after(function() {
+            delete pb.config;
+        });
+
+        it('should assign distinct numbers to concurrent revisions of the same object', function(done) {
+            var revisions = [];
+            var service   = getService(revisions);
+            var pending   = 3;
+            var onCreated = function(err) {
+                should.not.exist(err);
+                if (--pending === 0) {
+                    revisions.map(function(revision) {
+                        return revision.revision;
+                    }).sort().should.eql([1, 2, 3]);
+                    done();
+                }
+            };
+            for (var i = 0; i < 3; i++) {
+                service.create('article', {_id: 'abc123', headline: 'Headline ' + i}, onCreated);
+            }
+        });
+
+        it('should provide errors other than duplicate keys without retrying', function(done) {
+            var service = getService([]);
+            var saves   = 0;
+            service.dao.save = function(revision, cb) {
+                saves++;
+                cb(new Error('connection lost'));
+            };
+            service.create('page', {_id: 'abc123'}, function(err) {
+                err.message.should.eql('connection lost');
+                saves.should.eql(1);
+                done();
+            });
+        });
+    });
+});
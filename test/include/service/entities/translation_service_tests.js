@@ -0,0 +1,192 @@
+//depedencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('TranslationService', function() {
+
+    var pb = null;
+    var TranslationService = null;
+    before('Initialize the Environment with the default configuration', function(next) {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        TranslationService = pb.TranslationService;
+        pb.Localization.init(next);
+    });
+
+    var entries = [
+        {key: 'generic.NONE', plugin: 'system', source: 'None', target: 'Brak'},
+        {key: 'generic.COMMENT_COUNT', plugin: 'system', source: '{count, plural, one {# comment} other {# comments}}', target: 'A "quoted" <b>value</b> & more\non two lines'},
+        {key: 'sample.MISSING', plugin: 'sample', source: 'Missing'}
+    ];
+
+    describe('TranslationService.buildXliff', function() {
+
+        it('should produce a document that parses to the same translations', function() {
+            var content = TranslationService.buildXliff(entries, 'en-US', 'pl-PL');
+            var result = TranslationService.parseXliff(content);
+
+            result.locale.should.eql('pl-PL');
+            result.entries.should.eql([
+                {key: 'generic.NONE', value: 'Brak'},
+                {key: 'generic.COMMENT_COUNT', value: entries[1].target},
+                {key: 'sample.MISSING'}
+            ]);
+        });
+
+        it('should group the units in a file per plugin', function() {
+            var content = TranslationService.buildXliff(entries, 'en-US', 'pl-PL');
+            content.match(/<file /g).length.should.eql(2);
+            content.indexOf('<segment state="initial">').should.be.above(-1);
+        });
+    });
+
+    describe('TranslationService.parseXliff', function() {
+
+        it('should read CDATA sections and fall back to the unit ID as the key', function() {
+            var content = '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="de">' +
+                '<file id="f1"><unit id="generic.NONE"><segment><source>None</source><target><![CDATA[<Keine>]]></target></segment></unit></file></xliff>';
+            TranslationService.parseXliff(content).entries.should.eql([{key: 'generic.NONE', value: '<Keine>'}]);
+        });
+
+        it('should provide an error for targets with inline markup', function() {
+            var content = '<xliff version="2.0" trgLang="de"><file id="f1"><unit id="u1" name="generic.NONE"><segment>' +
+                '<source>None</source><target><pc id="1">Keine</pc></target></segment></unit></file></xliff>';
+            var entry = TranslationService.parseXliff(content).entries[0];
+            entry.key.should.eql('generic.NONE');
+            entry.error.should.be.an.instanceOf(Error);
+        });
+
+        [null, '', '<xliff version="1.2"></xliff>', '<html></html>'].forEach(function(content) {
+
+            it('should throw when provided ' + content, function() {
+                (function() {
+                    TranslationService.parseXliff(content);
+                }).should.throw();
+            });
+        });
+    });
+
+    describe('TranslationService.buildPo', function() {
+
+        it('should produce a file that parses to the same translations', function() {
+            var content = TranslationService.buildPo(entries, 'en-US', 'pl-PL');
+            var result = TranslationService.parsePo(content);
+
+            result.locale.should.eql('pl-PL');
+            result.entries.should.eql([
+                {key: 'generic.NONE', value: 'Brak'},
+                {key: 'generic.COMMENT_COUNT', value: entries[1].target},
+                {key: 'sample.MISSING', value: ''}
+            ]);
+        });
+    });
+
+    describe('TranslationService.parsePo', function() {
+
+        it('should join continued strings and skip fuzzy entries and entries without a context', function() {
+            var content = [
+                'msgid ""',
+                'msgstr ""',
+                '"Language: de_DE\\n"',
+                '',
+                '#, fuzzy',
+                'msgctxt "generic.YES"',
+                'msgid "Yes"',
+                'msgstr "Ja"',
+                '',
+                'msgid "No"',
+                'msgstr "Nein"',
+                '',
+                '#. system',
+                'msgctxt "generic.NONE"',
+                'msgid "None"',
+                'msgstr ""',
+                '"Kei"',
+                '"ne"'
+            ].join('\n');
+            TranslationService.parsePo(content).should.eql({
+                locale: 'de-DE',
+                entries: [{key: 'generic.NONE', value: 'Keine'}]
+            });
+        });
+
+        it('should throw when a line can not be parsed', function() {
+            (function() {
+                TranslationService.parsePo('msgctxt "generic.NONE"\nmsgid None');
+            }).should.throw();
+        });
+    });
+
+    describe('TranslationService.getReport', function() {
+
+        afterEach(function() {
+            pb.Localization.overrides = {};
+        });
+
+        it('should provide the status of each key for the locale', function(next) {
+            pb.Localization.registerOverride('report_site', 'pl-PL', 'generic.YES', 'Tak!');
+
+            var service = new TranslationService({site: 'report_site'});
+            service.getReport({locale: 'pl-PL', q: 'generic.yes'}, function(err, report) {
+                should(err).eql(null);
+                report.total.should.eql(1);
+                report.data[0].key.should.eql('generic.YES');
+                report.data[0].source.should.eql('Yes');
+                report.data[0].translation.should.eql('Tak');
+                report.data[0].override.should.eql('Tak!');
+                report.data[0].status.should.eql(TranslationService.STATUSES.OVERRIDDEN);
+                next();
+            });
+        });
+
+        it('should report the keys that a plugin does not translate', function(next) {
+            pb.Localization.registerLocalization('en-US', 'generic.report.ONE', 'One', {plugin: 'report_plugin'});
+
+            var service = new TranslationService({site: 'report_site'});
+            service.getReport({locale: 'pl-PL', plugin: 'report_plugin', status: TranslationService.STATUSES.MISSING}, function(err, report) {
+                should(err).eql(null);
+                report.data.should.eql([{
+                    key: 'generic.report.ONE',
+                    plugins: ['report_plugin'],
+                    source: 'One',
+                    translation: null,
+                    override: null,
+                    status: TranslationService.STATUSES.MISSING
+                }]);
+                next();
+            });
+        });
+
+        it('should callback with a validation error when the locale is not supported', function(next) {
+            new TranslationService({site: 'report_site'}).getReport({locale: 'xx-XX'}, function(err) {
+                err.code.should.eql(400);
+                next();
+            });
+        });
+    });
+
+    describe('TranslationService.import', function() {
+
+        it('should skip unknown keys and leave matching translations unchanged', function(next) {
+            var content = TranslationService.buildPo([
+                {key: 'generic.YES', plugin: 'system', source: 'Yes', target: 'Tak'},
+                {key: 'generic.not.A_KEY', plugin: 'system', source: 'Nope', target: 'Nie'}
+            ], 'en-US', 'pl-PL');
+
+            var service = new TranslationService({site: 'import_site'});
+            service.import({format: TranslationService.FORMATS.PO, content: content}, function(err, summary) {
+                should(err).eql(null);
+                summary.locale.should.eql('pl-PL');
+                summary.saved.should.eql(0);
+                summary.unchanged.should.eql(1);
+                summary.skipped.length.should.eql(1);
+                summary.skipped[0].key.should.eql('generic.not.A_KEY');
+                next();
+            });
+        });
+    });
+});
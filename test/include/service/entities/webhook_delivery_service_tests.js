@@ -0,0 +1,233 @@
+//depedencies
+var http          = require('http');
+var crypto        = require('crypto');
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('WebhookDeliveryService', function() {
+
+    var pb = null;
+    var WebhookDeliveryService = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        WebhookDeliveryService = pb.WebhookDeliveryService;
+    });
+
+    var getDelivery = function(body) {
+        var delivery = WebhookDeliveryService.createDelivery({_id: 'abc123'}, 'article.created', body || '{"event":"article.created"}');
+        delivery._id = 'def456';
+        return delivery;
+    };
+
+    describe('WebhookDeliveryService.sign', function() {
+
+        it('should provide the HMAC SHA-256 of the body', function() {
+            var expected = crypto.createHmac('sha256', 'secret').update('{"a":1}').digest('hex');
+            WebhookDeliveryService.sign('secret', '{"a":1}').should.eql('sha256=' + expected);
+        });
+
+        it('should provide a different signature for a different secret', function() {
+            WebhookDeliveryService.sign('secret', '{"a":1}').should.not.eql(WebhookDeliveryService.sign('other', '{"a":1}'));
+        });
+    });
+
+    describe('WebhookDeliveryService.getRetryDelay', function() {
+
+        it('should double the delay with each attempt', function() {
+            WebhookDeliveryService.getRetryDelay(1).should.eql(30000);
+            WebhookDeliveryService.getRetryDelay(2).should.eql(60000);
+            WebhookDeliveryService.getRetryDelay(3).should.eql(120000);
+        });
+
+        it('should not exceed the maximum delay', function() {
+            WebhookDeliveryService.getRetryDelay(20).should.eql(pb.config.webhooks.max_retry_delay * 1000);
+        });
+    });
+
+    describe('WebhookDeliveryService.isSuccess', function() {
+
+        [[200, true], [204, true], [301, false], [404, false], [500, false], [null, false]].forEach(function(testCase) {
+
+            it('should return '+testCase[1]+' when provided '+testCase[0], function() {
+                WebhookDeliveryService.isSuccess(testCase[0]).should.eql(testCase[1]);
+            });
+        });
+    });
+
+    describe('WebhookDeliveryService.recordAttempt', function() {
+
+        var getResult = function(statusCode) {
+            return {date: new Date(), status_code: statusCode, response: null, error: null, duration: 5};
+        };
+
+        it('should mark the delivery as succeeded when the endpoint accepts it', function() {
+            var delivery = WebhookDeliveryService.recordAttempt(getDelivery(), getResult(200));
+            delivery.status.should.eql(WebhookDeliveryService.STATUSES.SUCCEEDED);
+            delivery.attempts.should.eql(1);
+            delivery.last_status_code.should.eql(200);
+            delivery.responses.length.should.eql(1);
+            should(delivery.completed).not.eql(null);
+        });
+
+        it('should schedule a retry when the endpoint rejects it', function() {
+            var result = getResult(500);
+            var delivery = WebhookDeliveryService.recordAttempt(getDelivery(), result);
+            delivery.status.should.eql(WebhookDeliveryService.STATUSES.PENDING);
+            delivery.next_attempt.getTime().should.eql(result.date.getTime() + WebhookDeliveryService.getRetryDelay(1));
+            should(delivery.completed).eql(null);
+        });
+
+        it('should mark the delivery as failed when no attempts remain', function() {
+            var delivery = getDelivery();
+            delivery.attempts = pb.config.webhooks.max_attempts - 1;
+            WebhookDeliveryService.recordAttempt(delivery, getResult(500));
+            delivery.status.should.eql(WebhookDeliveryService.STATUSES.FAILED);
+        });
+
+        it('should mark the delivery as failed when retries are not allowed', function() {
+            var delivery = WebhookDeliveryService.recordAttempt(getDelivery(), getResult(null), false);
+            delivery.status.should.eql(WebhookDeliveryService.STATUSES.FAILED);
+        });
+    });
+
+    describe('WebhookDeliveryService.cleanup', function() {
+
+        var deleteFn = null;
+        before(function() {
+            deleteFn = pb.DAO.prototype.delete;
+        });
+
+        after(function() {
+            pb.DAO.prototype.delete = deleteFn;
+        });
+
+        it('should only remove completed deliveries that finished before the date', function(done) {
+            var before = new Date();
+            pb.DAO.prototype.delete = function(where, collection, cb) {
+                collection.should.eql('webhook_delivery');
+                where.should.eql({
+                    status: {$in: ['succeeded', 'failed']},
+                    completed: {$lt: before}
+                });
+                cb(null, {result: {n: 4}});
+            };
+            WebhookDeliveryService.cleanup(before, function(err, count) {
+                should.not.exist(err);
+                count.should.eql(4);
+                done();
+            });
+        });
+    });
+
+    describe('WebhookDeliveryService.send', function() {
+
+        var server = null;
+        var port = null;
+        var requests = [];
+        var respond = null;
+        before('Start a local endpoint', function(next) {
+            server = http.createServer(function(req, res) {
+                var body = '';
+                req.on('data', function(chunk) {
+                    body += chunk;
+                });
+                req.on('end', function() {
+                    requests.push({headers: req.headers, body: body, url: req.url});
+                    respond(req, res);
+                });
+            });
+            server.listen(0, '127.0.0.1', function() {
+                port = server.address().port;
+                next();
+            });
+        });
+
+        after('Stop the local endpoint', function(next) {
+            server.close(next);
+        });
+
+        beforeEach(function() {
+            requests = [];
+        });
+
+        var getWebhook = function() {
+            return {
+                _id: 'abc123',
+                url: 'http://127.0.0.1:' + port + '/hooks?source=pb',
+                secret: 'shh'
+            };
+        };
+
+        it('should post the signed body to the endpoint', function(next) {
+            respond = function(req, res) {
+                res.writeHead(200, {'Content-Type': 'text/plain'});
+                res.end('thanks');
+            };
+
+            var delivery = getDelivery('{"event":"article.created","data":{"headline":"Hello"}}');
+            WebhookDeliveryService.send(getWebhook(), delivery, function(err, result) {
+                should(err).eql(null);
+                result.status_code.should.eql(200);
+                result.response.should.eql('thanks');
+                should(result.error).eql(null);
+
+                requests.length.should.eql(1);
+                requests[0].url.should.eql('/hooks?source=pb');
+                requests[0].body.should.eql(delivery.body);
+                requests[0].headers['content-type'].should.eql('application/json');
+                requests[0].headers['x-pencilblue-event'].should.eql('article.created');
+                requests[0].headers['x-pencilblue-delivery'].should.eql('def456');
+                requests[0].headers['x-pencilblue-signature'].should.eql(WebhookDeliveryService.sign('shh', delivery.body));
+                next();
+            });
+        });
+
+        it('should report the status code and truncated response when the endpoint fails', function(next) {
+            respond = function(req, res) {
+                res.writeHead(500, {'Content-Type': 'text/plain'});
+                res.end(new Array(WebhookDeliveryService.MAX_RESPONSE_LENGTH * 2).join('x'));
+            };
+
+            WebhookDeliveryService.send(getWebhook(), getDelivery(), function(err, result) {
+                should(err).eql(null);
+                result.status_code.should.eql(500);
+                result.response.length.should.eql(WebhookDeliveryService.MAX_RESPONSE_LENGTH);
+                next();
+            });
+        });
+
+        it('should report an error when the endpoint does not respond in time', function(next) {
+            var timeout = pb.config.webhooks.timeout;
+            pb.config.webhooks.timeout = 50;
+            respond = function(req, res) {
+                setTimeout(function() {
+                    res.end();
+                }, 200);
+            };
+
+            WebhookDeliveryService.send(getWebhook(), getDelivery(), function(err, result) {
+                pb.config.webhooks.timeout = timeout;
+                should(err).eql(null);
+                should(result.status_code).eql(null);
+                result.error.should.be.type('string');
+                next();
+            });
+        });
+
+        it('should report an error when the endpoint cannot be reached', function(next) {
+            var webhook = getWebhook();
+            webhook.url = 'http://127.0.0.1:1/hooks';
+            WebhookDeliveryService.send(webhook, getDelivery(), function(err, result) {
+                should(err).eql(null);
+                should(result.status_code).eql(null);
+                result.error.should.be.type('string');
+                next();
+            });
+        });
+    });
+});
@@ -0,0 +1,129 @@
+//depedencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('WebhookService', function() {
+
+    var pb = null;
+    var WebhookService = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        WebhookService = pb.WebhookService;
+    });
+
+    describe('WebhookService.isEndpoint', function() {
+
+        ['http://example.com/hooks', 'https://example.com:8443/hooks?a=b', 'http://127.0.0.1:3000'].forEach(function(value) {
+
+            it('should return true when provided '+value, function() {
+                WebhookService.isEndpoint(value).should.be.true;
+            });
+        });
+
+        [null, undefined, '', '/hooks', 'ftp://example.com/hooks', 'example.com/hooks', 'javascript:alert(1)'].forEach(function(value) {
+
+            it('should return false when provided '+value, function() {
+                WebhookService.isEndpoint(value).should.be.false;
+            });
+        });
+    });
+
+    describe('WebhookService.getEventName', function() {
+
+        it('should combine the object type and event', function() {
+            WebhookService.getEventName('article', WebhookService.EVENTS.UPDATED).should.eql('article.updated');
+        });
+    });
+
+    describe('WebhookService.buildPayload', function() {
+
+        it('should remove sensitive fields from the object', function() {
+            var user = {_id: 'abc123', username: 'jdoe', password: 'hash', two_factor: {secret: 'x'}};
+            var payload = WebhookService.buildPayload('user', WebhookService.EVENTS.CREATED, user, 'global');
+            payload.event.should.eql('user.created');
+            payload.object_type.should.eql('user');
+            payload.site.should.eql('global');
+            payload.data.should.eql({_id: 'abc123', username: 'jdoe'});
+            payload.timestamp.should.be.type('string');
+
+            //the original object is not modified
+            user.password.should.eql('hash');
+        });
+    });
+
+    describe('WebhookService.merge', function() {
+
+        var getContext = function(isCreate, dto) {
+            return {
+                isCreate: isCreate,
+                data: dto,
+                object: {secret: 'original'}
+            };
+        };
+
+        it('should generate a secret on create', function(next) {
+            var context = getContext(true, {name: 'Search', url: 'http://example.com', object_types: ['article'], events: ['created'], active: true});
+            WebhookService.merge(context, function(err) {
+                should(err).eql(null);
+                context.object.secret.should.not.eql('original');
+                context.object.secret.length.should.eql(WebhookService.SECRET_BYTES * 2);
+                next();
+            });
+        });
+
+        it('should keep the secret on update unless asked to regenerate it', function(next) {
+            var context = getContext(false, {name: 'Search', secret: 'provided'});
+            WebhookService.merge(context, function(err) {
+                context.object.secret.should.eql('original');
+
+                context = getContext(false, {name: 'Search', regenerate_secret: true});
+                WebhookService.merge(context, function(err) {
+                    context.object.secret.should.not.eql('original');
+                    next();
+                });
+            });
+        });
+    });
+
+    describe('WebhookService.validate', function() {
+
+        var validate = function(obj, cb) {
+            var context = {
+                data: obj,
+                validationErrors: []
+            };
+            WebhookService.validate(context, function(err) {
+                cb(err, context.validationErrors.map(function(failure) {
+                    return failure.field;
+                }));
+            });
+        };
+
+        it('should accept a valid webhook', function(next) {
+            validate({name: 'Search', url: 'https://example.com/hooks', object_types: ['article', 'page'], events: ['created', 'deleted']}, function(err, fields) {
+                should(err).eql(null);
+                fields.should.eql([]);
+                next();
+            });
+        });
+
+        it('should reject unsupported object types and events', function(next) {
+            validate({name: 'Search', url: 'https://example.com/hooks', object_types: ['article', 'api_key'], events: ['published']}, function(err, fields) {
+                fields.should.eql(['object_types[1]', 'events[0]']);
+                next();
+            });
+        });
+
+        it('should require a name, URL, object type, and event', function(next) {
+            validate({url: 'example.com', object_types: [], events: []}, function(err, fields) {
+                fields.should.eql(['name', 'url', 'object_types', 'events']);
+                next();
+            });
+        });
+    });
+});
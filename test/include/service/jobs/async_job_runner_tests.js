@@ -0,0 +1,71 @@
+//dependencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('AsyncJobRunner', function() {
+
+    var pb = null;
+    var TestJob = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+
+        TestJob = function(tasks) {
+            TestJob.super_.call(this);
+            this.tasks = tasks;
+        };
+        pb.util.inherits(TestJob, pb.AsyncJobRunner);
+        TestJob.prototype.getTasks = function(cb) {
+            cb(null, this.tasks);
+        };
+    });
+
+    describe('AsyncJobRunner.run', function() {
+
+        it('should run each task', function(done) {
+            var job = new TestJob({
+                a: function(callback) { callback(null, 1); },
+                b: function(callback) { callback(null, 2); }
+            }).init('test_job');
+            job.run(function(err, results) {
+                should.not.exist(err);
+                results.should.eql({a: 1, b: 2});
+                done();
+            });
+        });
+
+        it('should skip the remaining tasks once the job is cancelled', function(done) {
+            var ran = [];
+            var job = new TestJob([
+                function(callback) {
+                    ran.push(0);
+                    pb.JobRunner.cancel(job.getId());
+                    callback(null, 0);
+                },
+                function(callback) {
+                    ran.push(1);
+                    callback(null, 1);
+                }
+            ]).init('test_job');
+            job.run(function(err) {
+                pb.JobRunner.isCancelledError(err).should.eql(true);
+                ran.should.eql([0]);
+                done();
+            });
+        });
+    });
+
+    describe('AsyncJobRunner.wrapTasks', function() {
+
+        it('should keep the structure of the tasks', function() {
+            var task = function(callback) { callback(null); };
+            var job = new TestJob().init('test_job');
+            job.wrapTasks([task, task]).length.should.eql(2);
+            Object.keys(job.wrapTasks({a: task, b: task})).should.eql(['a', 'b']);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+//dependencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('CronExpression', function() {
+
+    var pb = null;
+    var CronExpression = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        CronExpression = pb.CronExpression;
+    });
+
+    describe('CronExpression.isValid', function() {
+
+        ['* * * * *', '*/15 0-6 1,15 JAN-MAR mon-fri', '0 0 * * 7', '5/10 * * * *', '@daily', '@HOURLY'].forEach(function(expression) {
+
+            it('should return true when provided '+expression, function() {
+                CronExpression.isValid(expression).should.eql(true);
+            });
+        });
+
+        [null, undefined, '', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8', '5-1 * * * *', '*/0 * * * *', 'a * * * *', '1-2-3 * * * *', '@often'].forEach(function(expression) {
+
+            it('should return false when provided '+expression, function() {
+                CronExpression.isValid(expression).should.eql(false);
+            });
+        });
+    });
+
+    describe('CronExpression.isTimeZone', function() {
+
+        it('should return true for known time zones', function() {
+            CronExpression.isTimeZone('UTC').should.eql(true);
+            CronExpression.isTimeZone('America/New_York').should.eql(true);
+        });
+
+        it('should return false for unknown time zones', function() {
+            CronExpression.isTimeZone('Nowhere/Special').should.eql(false);
+            CronExpression.isTimeZone('').should.eql(false);
+            CronExpression.isTimeZone(null).should.eql(false);
+        });
+    });
+
+    describe('CronExpression.next', function() {
+
+        var tests = [
+            {expression: '*/15 * * * *', from: '2026-01-01T00:07:30Z', expected: '2026-01-01T00:15:00.000Z'},
+            {expression: '0 * * * *', from: '2026-01-01T00:00:00Z', expected: '2026-01-01T01:00:00.000Z'},
+            {expression: '@weekly', from: '2026-10-18T00:00:00Z', expected: '2026-10-25T00:00:00.000Z'},
+            {expression: '0 0 29 2 *', from: '2026-01-01T00:00:00Z', expected: '2028-02-29T00:00:00.000Z'},
+            {expression: '0 9 * * MON-FRI', from: '2026-10-17T12:00:00Z', timeZone: 'Europe/Warsaw', expected: '2026-10-19T07:00:00.000Z'},
+            {expression: '0 12 * * 7', from: '2026-10-18T13:00:00Z', timeZone: 'Asia/Kolkata', expected: '2026-10-25T06:30:00.000Z'},
+
+            //either the day of the month or the day of the week may match when both are restricted
+            {expression: '0 0 13 * 5', from: '2026-01-01T00:00:00Z', expected: '2026-01-02T00:00:00.000Z'},
+
+            //2:00 does not exist when daylight saving time starts so the job runs at the end of the gap
+            {expression: '0 2 * * *', from: '2026-03-08T06:00:00Z', timeZone: 'America/New_York', expected: '2026-03-08T07:00:00.000Z'},
+
+            //1:30 happens twice when daylight saving time ends but the job only runs the first time
+            {expression: '30 1 * * *', from: '2026-11-01T04:00:00Z', timeZone: 'America/New_York', expected: '2026-11-01T05:30:00.000Z'},
+            {expression: '30 1 * * *', from: '2026-11-01T05:30:00Z', timeZone: 'America/New_York', expected: '2026-11-02T06:30:00.000Z'}
+        ];
+        tests.forEach(function(test) {
+
+            it('should find the next occurrence of '+test.expression+' after '+test.from+' in '+(test.timeZone || 'UTC'), function() {
+                var next = new CronExpression(test.expression).next(new Date(test.from), test.timeZone);
+                next.toISOString().should.eql(test.expected);
+            });
+        });
+
+        it('should return null when the expression never occurs', function() {
+            should(new CronExpression('0 0 30 2 *').next(new Date('2026-01-01T00:00:00Z'))).eql(null);
+        });
+    });
+
+    describe('CronExpression.matches', function() {
+
+        it('should evaluate the date in the time zone', function() {
+            var expression = new CronExpression('0 9 * * *');
+            var date = new Date('2026-07-01T13:00:00Z');
+            expression.matches(date, 'America/New_York').should.eql(true);
+            expression.matches(date).should.eql(false);
+        });
+    });
+});
@@ -0,0 +1,80 @@
+//dependencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('JobRunner', function() {
+
+    var pb = null;
+    var JobRunner = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        JobRunner = pb.JobRunner;
+    });
+
+    describe('JobRunner.setType', function() {
+
+        it('should set the type and parameters of the job', function() {
+            var job = new JobRunner().init('test_job').setType('test', {a: 1});
+            job.type.should.eql('test');
+            job.parameters.should.eql({a: 1});
+        });
+
+        it('should default the parameters to an empty object', function() {
+            new JobRunner().setType('test').parameters.should.eql({});
+        });
+    });
+
+    describe('JobRunner.getSiteUid', function() {
+
+        it('should default to the global site', function() {
+            new JobRunner().getSiteUid().should.eql(pb.SiteService.GLOBAL_SITE);
+        });
+
+        it('should provide the site of a plugin job', function() {
+            new pb.PluginJobRunner().setSite('abc').getSiteUid().should.eql('abc');
+            new pb.PluginJobRunner().getSiteUid().should.eql(pb.SiteService.GLOBAL_SITE);
+        });
+
+        it('should provide the site of a site job', function() {
+            new pb.SiteJobRunner().setSite({uid: 'abc'}).getSiteUid().should.eql('abc');
+            new pb.SiteJobRunner().setSite('def').getSiteUid().should.eql('def');
+        });
+    });
+
+    describe('JobRunner.cancel', function() {
+
+        it('should mark the job as cancelled', function() {
+            var job = new JobRunner().init('test_job');
+            job.isCancelled().should.eql(false);
+
+            JobRunner.cancel(job.getId());
+            job.isCancelled().should.eql(true);
+            JobRunner.isCancelled(job.getId()).should.eql(true);
+        });
+
+        it('should not affect other jobs', function() {
+            JobRunner.cancel(pb.util.uniqueId());
+            new JobRunner().init('test_job').isCancelled().should.eql(false);
+        });
+    });
+
+    describe('JobRunner.createCancelledError', function() {
+
+        it('should create an error that is recognized as a cancellation', function() {
+            var err = JobRunner.createCancelledError('abc');
+            err.should.be.an.instanceOf(Error);
+            err.message.should.containEql('abc');
+            JobRunner.isCancelledError(err).should.eql(true);
+        });
+
+        it('should not recognize other errors as a cancellation', function() {
+            JobRunner.isCancelledError(new Error('expected')).should.eql(false);
+            JobRunner.isCancelledError(null).should.eql(false);
+        });
+    });
+});
@@ -0,0 +1,160 @@
+//dependencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('JobScheduler', function() {
+
+    var pb = null;
+    var JobScheduler = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        JobScheduler = pb.JobScheduler;
+    });
+
+    var noop = function(job, cb) {
+        cb(null);
+    };
+
+    afterEach(function() {
+        ['test_job', 'plugin_job', 'site_job'].forEach(JobScheduler.unregister);
+    });
+
+    describe('JobScheduler.register', function() {
+
+        it('should register a job', function() {
+            JobScheduler.register('test_job', {cron: '@daily', handler: noop}).should.eql(false);
+            JobScheduler.isRegistered('test_job').should.eql(true);
+        });
+
+        it('should replace a job with the same name', function() {
+            JobScheduler.register('test_job', {cron: '@daily', handler: noop});
+            JobScheduler.register('test_job', {cron: '@hourly', handler: noop}).should.eql(true);
+        });
+
+        var invalid = [
+            {name: '', options: {cron: '@daily', handler: noop}},
+            {name: 'test_job', options: {cron: '@daily'}},
+            {name: 'test_job', options: {cron: '61 * * * *', handler: noop}},
+            {name: 'test_job', options: {cron: '@daily', timeZone: 'Nowhere/Special', handler: noop}}
+        ];
+        invalid.forEach(function(test, i) {
+
+            it('should throw when provided invalid registration '+i, function() {
+                (function() {
+                    JobScheduler.register(test.name, test.options);
+                }).should.throw();
+                JobScheduler.isRegistered('test_job').should.eql(false);
+            });
+        });
+    });
+
+    describe('JobScheduler.unregisterForPlugin', function() {
+
+        it('should only remove the jobs of the plugin for the site', function() {
+            JobScheduler.register('test_job', {cron: '@daily', handler: noop});
+            JobScheduler.register('plugin_job', {cron: '@daily', handler: noop, plugin: 'sample'});
+            JobScheduler.register('site_job', {cron: '@daily', handler: noop, plugin: 'sample', site: 'abc'});
+
+            JobScheduler.unregisterForPlugin('sample').should.eql(1);
+            JobScheduler.isRegistered('test_job').should.eql(true);
+            JobScheduler.isRegistered('plugin_job').should.eql(false);
+            JobScheduler.isRegistered('site_job').should.eql(true);
+        });
+    });
+
+    describe('JobScheduler.describe', function() {
+
+        it('should combine the registration with the persisted state', function() {
+            JobScheduler.register('test_job', {cron: '0 3 * * *', timeZone: 'Europe/Warsaw', handler: noop, description: 'Test'});
+            var schedule = {
+                name: 'test_job',
+                expression: new pb.CronExpression('0 3 * * *'),
+                timeZone: 'Europe/Warsaw',
+                description: 'Test',
+                plugin: null,
+                site: null
+            };
+            var lastRun = new Date();
+            var result = JobScheduler.describe(schedule, {paused: true, last_run: lastRun, last_status: JobScheduler.STATUSES.COMPLETED});
+
+            result.cron.should.eql('0 3 * * *');
+            result.time_zone.should.eql('Europe/Warsaw');
+            result.paused.should.eql(true);
+            result.last_run.should.eql(lastRun);
+            result.last_status.should.eql(JobScheduler.STATUSES.COMPLETED);
+            result.next_run.should.be.an.instanceOf(Date);
+            schedule.expression.matches(result.next_run, 'Europe/Warsaw').should.eql(true);
+        });
+    });
+
+    describe('JobScheduler.createRunner', function() {
+
+        it('should wrap a function in a ScheduledJobRunner', function() {
+            var runner = JobScheduler.createRunner({name: 'test_job', handler: noop});
+            runner.should.be.an.instanceOf(pb.ScheduledJobRunner);
+            runner.name.should.eql('test_job');
+        });
+
+        it('should instantiate a JobRunner prototype', function() {
+            var TestJob = function() {
+                TestJob.super_.call(this);
+            };
+            pb.util.inherits(TestJob, pb.JobRunner);
+
+            var runner = JobScheduler.createRunner({name: 'test_job', handler: TestJob});
+            runner.should.be.an.instanceOf(TestJob);
+            runner.getId().should.be.type('string');
+        });
+    });
+
+    describe('JobScheduler.getLockName', function() {
+
+        it('should be unique to each occurrence of a job', function() {
+            var first = JobScheduler.getLockName('test_job', new Date('2026-01-01T00:00:00Z'));
+            var second = JobScheduler.getLockName('test_job', new Date('2026-01-01T01:00:00Z'));
+            first.should.not.eql(second);
+        });
+    });
+
+    describe('ScheduledJobRunner.run', function() {
+
+        var getRunner = function(handler) {
+            var runner = new pb.ScheduledJobRunner(handler).init('test_job');
+            runner.completed = [];
+            runner.onStart = function() {};
+            runner.log = function() {};
+            runner.onCompleted = function(status) {
+                this.completed.push(status);
+            };
+            return runner;
+        };
+
+        it('should mark the job as completed with the result of the handler', function(done) {
+            var runner = getRunner(function(job, cb) {
+                cb(null, 'done');
+            });
+            runner.run(function(err, result) {
+                should(err).eql(null);
+                result.should.eql('done');
+                runner.completed.should.eql([undefined]);
+                done();
+            });
+        });
+
+        it('should fail the job when the handler throws', function(done) {
+            var runner = getRunner(function(job, cb) {
+                throw new Error('expected');
+            });
+            runner.run(function(err) {
+                err.message.should.eql('expected');
+                runner.completed[0].should.be.an.instanceOf(Error);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,116 @@
+//dependencies
+var should        = require('should');
+var Readable      = require('stream').Readable;
+var Configuration = require('../../../../../include/config.js');
+var Lib           = require('../../../../../lib');
+
+describe('MediaMigrationJob', function() {
+
+    var pb = null;
+    var MediaMigrationJob = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        MediaMigrationJob = pb.MediaMigrationJob;
+    });
+
+    //an in memory provider that implements the parts of the contract used by the job
+    var getProvider = function(objects) {
+        return {
+            objects: objects,
+            exists: function(mediaPath, cb) {
+                cb(null, !!objects[mediaPath]);
+            },
+            getStream: function(mediaPath, cb) {
+                if (!objects[mediaPath]) {
+                    var err = new Error('ENOENT, no such file');
+                    err.code = 'ENOENT';
+                    return cb(err);
+                }
+                var stream = new Readable();
+                stream._read = function() {};
+                stream.push(objects[mediaPath]);
+                stream.push(null);
+                cb(null, stream);
+            },
+            setStream: function(stream, mediaPath, cb) {
+                var buffers = [];
+                stream.on('data', function(buffer) {
+                    buffers.push(buffer);
+                });
+                stream.on('end', function() {
+                    objects[mediaPath] = Buffer.concat(buffers).toString();
+                    cb(null, true);
+                });
+            }
+        };
+    };
+
+    describe('MediaMigrationJob constructor', function() {
+
+        it('should throw when a provider cannot be loaded', function() {
+            (function() {
+                new MediaMigrationJob({from: 'fs', to: 'not_a_provider'});
+            }).should.throw();
+        });
+    });
+
+    describe('MediaMigrationJob.migrate', function() {
+
+        it('should copy the media to the target', function(done) {
+            var target = getProvider({});
+            var job = new MediaMigrationJob({source: getProvider({'/media/a.jpg': 'abc'}), target: target});
+            job.migrate('/media/a.jpg', function(err, result) {
+                should(err).eql(null);
+                result.should.eql(MediaMigrationJob.RESULTS.COPIED);
+                target.objects['/media/a.jpg'].should.eql('abc');
+                done();
+            });
+        });
+
+        it('should skip media that already exists in the target', function(done) {
+            var target = getProvider({'/media/a.jpg': 'old'});
+            var job = new MediaMigrationJob({source: getProvider({'/media/a.jpg': 'abc'}), target: target});
+            job.migrate('/media/a.jpg', function(err, result) {
+                should(err).eql(null);
+                result.should.eql(MediaMigrationJob.RESULTS.SKIPPED);
+                target.objects['/media/a.jpg'].should.eql('old');
+                done();
+            });
+        });
+
+        it('should copy media that already exists in the target when overwriting', function(done) {
+            var target = getProvider({'/media/a.jpg': 'old'});
+            var job = new MediaMigrationJob({source: getProvider({'/media/a.jpg': 'abc'}), target: target, overwrite: true});
+            job.migrate('/media/a.jpg', function(err, result) {
+                should(err).eql(null);
+                result.should.eql(MediaMigrationJob.RESULTS.COPIED);
+                target.objects['/media/a.jpg'].should.eql('abc');
+                done();
+            });
+        });
+
+        it('should provide an error when the source does not have the media', function(done) {
+            var job = new MediaMigrationJob({source: getProvider({}), target: getProvider({})});
+            job.migrate('/media/a.jpg', function(err) {
+                err.code.should.eql('ENOENT');
+                done();
+            });
+        });
+    });
+
+    describe('MediaMigrationJob.summarize', function() {
+
+        it('should count each result', function() {
+            var results = ['copied', 'skipped', 'copied', 'failed'];
+            MediaMigrationJob.summarize(results).should.eql({copied: 2, skipped: 1, failed: 1});
+        });
+
+        it('should count nothing when there were no results', function() {
+            MediaMigrationJob.summarize(null).should.eql({copied: 0, skipped: 0, failed: 0});
+        });
+    });
+});
@@ -0,0 +1,71 @@
+
+//dependencies
+var os            = require('os');
+var fs            = require('fs');
+var path          = require('path');
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('FsMediaProvider', function() {
+
+    var pb = null;
+    var FsMediaProvider = null;
+    var parentDir = null;
+    var mediaPath = '/media/fs-media-provider-test.txt';
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        FsMediaProvider = pb.media.providers.FsMediaProvider;
+
+        parentDir = os.tmpdir();
+        var dir = path.join(parentDir, 'media');
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir);
+        }
+        fs.writeFileSync(path.join(parentDir, mediaPath), '0123456789');
+    });
+
+    after(function() {
+        fs.unlinkSync(path.join(parentDir, mediaPath));
+    });
+
+    var read = function(stream, cb) {
+        var buffers = [];
+        stream.on('data', function(buffer) {
+            buffers.push(buffer);
+        })
+        .on('error', cb)
+        .on('end', function() {
+            cb(null, Buffer.concat(buffers).toString());
+        });
+    };
+
+    describe('FsMediaProvider.getStream', function() {
+
+        it('should stream the entire file when a range is not provided', function(done) {
+            var provider = new FsMediaProvider({parentDir: parentDir});
+            provider.getStream(mediaPath, function(err, stream) {
+                should(err).eql(null);
+                read(stream, function(err, content) {
+                    content.should.eql('0123456789');
+                    done(err);
+                });
+            });
+        });
+
+        it('should stream the inclusive range of bytes', function(done) {
+            var provider = new FsMediaProvider({parentDir: parentDir});
+            provider.getStream(mediaPath, {start: 2, end: 5}, function(err, stream) {
+                should(err).eql(null);
+                read(stream, function(err, content) {
+                    content.should.eql('2345');
+                    done(err);
+                });
+            });
+        });
+    });
+});
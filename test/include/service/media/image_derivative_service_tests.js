@@ -0,0 +1,299 @@
+
+//dependencies
+var should        = require('should');
+var Jimp          = require('jimp');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('ImageDerivativeService', function() {
+
+    var pb = null;
+    var ImageDerivativeService = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        ImageDerivativeService = pb.ImageDerivativeService;
+    });
+
+    var getImage = function(width, height, cb) {
+        new Jimp(width, height, 0xFF0000FF, function(err, image) {
+            image.getBuffer(Jimp.MIME_PNG, cb);
+        });
+    };
+
+    describe('ImageDerivativeService.isSupported', function() {
+
+        it('should support uploaded images', function() {
+            ImageDerivativeService.isSupported('/media/2016/1/abc.jpg').should.be.true;
+            ImageDerivativeService.isSupported('/media/2016/1/abc.PNG').should.be.true;
+        });
+
+        it('should not support other media, external images, or derivatives', function() {
+            ImageDerivativeService.isSupported('/media/2016/1/abc.svg').should.be.false;
+            ImageDerivativeService.isSupported('/media/2016/1/abc.mp4').should.be.false;
+            ImageDerivativeService.isSupported('http://example.com/media/abc.jpg').should.be.false;
+            ImageDerivativeService.isSupported('/media/derivatives/2016/1/abc-150x150-cover.jpeg').should.be.false;
+            ImageDerivativeService.isSupported(null).should.be.false;
+        });
+    });
+
+    describe('ImageDerivativeService.isRequested', function() {
+
+        it('should detect the derivative parameters', function() {
+            ImageDerivativeService.isRequested({width: '100'}).should.be.true;
+            ImageDerivativeService.isRequested({preset: 'thumbnail'}).should.be.true;
+            ImageDerivativeService.isRequested({v: '1'}).should.be.false;
+            ImageDerivativeService.isRequested(undefined).should.be.false;
+        });
+    });
+
+    describe('ImageDerivativeService.parseOptions', function() {
+
+        var presets = {
+            thumbnail: {width: 150, height: 150, fit: 'cover'}
+        };
+
+        it('should apply the defaults', function() {
+            var result = ImageDerivativeService.parseOptions({width: '320'}, presets, '/media/a.jpg');
+            result.should.eql({width: 320, height: null, fit: 'inside', format: 'jpeg'});
+
+            result = ImageDerivativeService.parseOptions({height: '100'}, presets, '/media/a.gif');
+            result.should.eql({width: null, height: 100, fit: 'inside', format: 'png'});
+        });
+
+        it('should override the preset with the parameters', function() {
+            var result = ImageDerivativeService.parseOptions({preset: 'thumbnail', format: 'jpg', width: '200'}, presets, '/media/a.png');
+            result.should.eql({width: 200, height: 150, fit: 'cover', format: 'jpeg'});
+        });
+
+        it('should return an error when the parameters are invalid', function() {
+            [
+                {preset: 'huge'},
+                {width: 'abc'},
+                {width: '0'},
+                {height: '100000'},
+                {width: '100', fit: 'stretch'},
+                {format: 'tiff'}
+            ].forEach(function(query) {
+                var result = ImageDerivativeService.parseOptions(query, presets, '/media/a.png');
+                result.should.be.instanceof(Error);
+                result.code.should.eql(400);
+            });
+        });
+    });
+
+    describe('ImageDerivativeService.isAllowedSize', function() {
+
+        var presets = {
+            thumbnail: {width: 150, height: 150, fit: 'cover'},
+            small: {width: 320}
+        };
+
+        it('should allow the sizes of the presets in any format', function() {
+            ImageDerivativeService.isAllowedSize({width: 150, height: 150, fit: 'cover', format: 'png'}, presets).should.be.true;
+            ImageDerivativeService.isAllowedSize({width: 320, height: null, fit: 'inside', format: 'jpeg'}, presets).should.be.true;
+        });
+
+        it('should allow the srcset widths', function() {
+            pb.config.media.derivatives.srcset_widths.forEach(function(width) {
+                ImageDerivativeService.isAllowedSize({width: width, height: null, fit: 'inside', format: 'png'}, presets).should.be.true;
+            });
+        });
+
+        it('should not allow arbitrary sizes', function() {
+            [
+                {width: 321, height: null, fit: 'inside'},
+                {width: 150, height: 150, fit: 'contain'},
+                {width: 200, height: 150, fit: 'cover'},
+                {width: null, height: 2400, fit: 'inside'}
+            ].forEach(function(options) {
+                ImageDerivativeService.isAllowedSize(options, presets).should.be.false;
+            });
+        });
+    });
+
+    describe('ImageDerivativeService.getDerivativePath', function() {
+
+        it('should place the derivative under the derivatives prefix', function() {
+            var options = {width: 320, height: null, fit: 'inside', format: 'jpeg'};
+            ImageDerivativeService.getDerivativePath('/media/2016/1/abc.png', options)
+                .should.eql('/media/derivatives/2016/1/abc-320xauto-inside.jpeg');
+        });
+    });
+
+    describe('ImageDerivativeService.getDimensions', function() {
+
+        it('should scale proportionally without enlarging', function() {
+            ImageDerivativeService.getDimensions(1000, 500, {width: 200, fit: 'inside'}).should.eql({width: 200, height: 100});
+            ImageDerivativeService.getDimensions(1000, 500, {height: 100, fit: 'inside'}).should.eql({width: 200, height: 100});
+            ImageDerivativeService.getDimensions(1000, 500, {width: 2000, fit: 'inside'}).should.eql({width: 1000, height: 500});
+            ImageDerivativeService.getDimensions(1000, 500, {width: 100, height: 100, fit: 'inside'}).should.eql({width: 100, height: 50});
+        });
+
+        it('should fill the box for cover and contain', function() {
+            ImageDerivativeService.getDimensions(1000, 500, {width: 100, height: 100, fit: 'cover'}).should.eql({width: 100, height: 100});
+            ImageDerivativeService.getDimensions(1000, 500, {width: 100, height: 100, fit: 'contain'}).should.eql({width: 100, height: 100});
+        });
+    });
+
+    describe('ImageDerivativeService.transform', function() {
+
+        it('should resize and re-encode the image', function(done) {
+            getImage(40, 20, function(err, content) {
+                var options = {width: 10, height: null, fit: 'inside', format: 'jpeg'};
+                ImageDerivativeService.transform(content, options, function(err, derivative) {
+                    should(err).eql(null);
+                    Jimp.read(derivative, function(err, image) {
+                        image.getMIME().should.eql('image/jpeg');
+                        image.bitmap.width.should.eql(10);
+                        image.bitmap.height.should.eql(5);
+                        done(err);
+                    });
+                });
+            });
+        });
+
+        it('should crop the image to cover the box', function(done) {
+            getImage(40, 20, function(err, content) {
+                var options = {width: 10, height: 10, fit: 'cover', format: 'png'};
+                ImageDerivativeService.transform(content, options, function(err, derivative) {
+                    should(err).eql(null);
+                    Jimp.read(derivative, function(err, image) {
+                        image.bitmap.width.should.eql(10);
+                        image.bitmap.height.should.eql(10);
+                        done(err);
+                    });
+                });
+            });
+        });
+
+        it('should callback with an error when the content is not an image', function(done) {
+            ImageDerivativeService.transform(new Buffer('not an image'), {format: 'png'}, function(err) {
+                err.should.be.instanceof(Error);
+                done();
+            });
+        });
+    });
+
+    describe('ImageDerivativeService.getDerivative', function() {
+
+        var getMediaService = function(store) {
+            return {
+                existsByPath: function(mediaPath, cb) {
+                    cb(null, !!store[mediaPath]);
+                },
+                getContentByPath: function(mediaPath, cb) {
+                    cb(null, store[mediaPath]);
+                },
+                setContentByPath: function(content, mediaPath, cb) {
+                    store[mediaPath] = content;
+                    cb(null, true);
+                },
+                deleteContentByPath: function(mediaPath, cb) {
+                    delete store[mediaPath];
+                    cb(null, true);
+                }
+            };
+        };
+
+        it('should generate and store the derivative once', function(done) {
+            getImage(40, 20, function(err, content) {
+                var store = {'/media/2016/1/abc.png': content};
+                var service = new ImageDerivativeService({mediaService: getMediaService(store)});
+                var options = {width: 10, height: null, fit: 'inside', format: 'png'};
+                service.getDerivative('/media/2016/1/abc.png', options, function(err, derivativePath) {
+                    should(err).eql(null);
+                    derivativePath.should.eql('/media/derivatives/2016/1/abc-10xauto-inside.png');
+                    Buffer.isBuffer(store[derivativePath]).should.be.true;
+
+                    var stored = store[derivativePath];
+                    service.getDerivative('/media/2016/1/abc.png', options, function(err, derivativePath) {
+                        store[derivativePath].should.equal(stored);
+                        done(err);
+                    });
+                });
+            });
+        });
+
+        it('should generate the derivative once for concurrent requests', function(done) {
+            getImage(40, 20, function(err, content) {
+                var store = {'/media/2016/1/abc.png': content};
+                var mediaService = getMediaService(store);
+                var sets = 0;
+                var setContentByPath = mediaService.setContentByPath;
+                mediaService.setContentByPath = function(content, mediaPath, cb) {
+                    sets++;
+                    setContentByPath(content, mediaPath, cb);
+                };
+
+                var service = new ImageDerivativeService({mediaService: mediaService});
+                var options = {width: 20, height: null, fit: 'inside', format: 'png'};
+                var pending = 3;
+                var onDerivative = function(err, derivativePath) {
+                    should.not.exist(err);
+                    derivativePath.should.eql('/media/derivatives/2016/1/abc-20xauto-inside.png');
+                    if (--pending === 0) {
+                        sets.should.eql(1);
+                        done();
+                    }
+                };
+                for (var i = 0; i < 3; i++) {
+                    service.getDerivative('/media/2016/1/abc.png', options, onDerivative);
+                }
+            });
+        });
+    });
+
+    describe('ImageDerivativeService.deleteDerivatives', function() {
+
+        it('should remove the derivatives of the allowed sizes and leave the rest', function(done) {
+            var store = {
+                '/media/2016/1/abc.png': 'original',
+                '/media/derivatives/2016/1/abc-150x150-cover.png': 'thumbnail',
+                '/media/derivatives/2016/1/abc-320xauto-inside.jpeg': 'srcset',
+                '/media/derivatives/2016/1/def-320xauto-inside.jpeg': 'other'
+            };
+            var service = new ImageDerivativeService({
+                mediaService: {
+                    existsByPath: function(mediaPath, cb) {
+                        cb(null, store.hasOwnProperty(mediaPath));
+                    },
+                    deleteContentByPath: function(mediaPath, cb) {
+                        delete store[mediaPath];
+                        cb(null, true);
+                    }
+                }
+            });
+            service.getPresets = function(cb) {
+                cb(null, {thumbnail: {width: 150, height: 150, fit: 'cover'}});
+            };
+            service.deleteDerivatives('/media/2016/1/abc.png', function(err, count) {
+                should.not.exist(err);
+                count.should.eql(2);
+                Object.keys(store).should.eql(['/media/2016/1/abc.png', '/media/derivatives/2016/1/def-320xauto-inside.jpeg']);
+                done();
+            });
+        });
+    });
+
+    describe('ImageMediaRenderer.render', function() {
+
+        it('should list a derivative for each configured width', function(done) {
+            pb.config.media.derivatives.srcset_widths = [320, 640];
+            pb.media.renderers.ImageMediaRenderer.render({location: '/media/2016/1/abc.jpg'}, {}, function(err, html) {
+                html.should.containEql('srcset="/media/2016/1/abc.jpg?width=320 320w, /media/2016/1/abc.jpg?width=640 640w"');
+                done(err);
+            });
+        });
+
+        it('should not list derivatives for external images', function(done) {
+            pb.media.renderers.ImageMediaRenderer.render({location: 'http://example.com/abc.jpg'}, {}, function(err, html) {
+                html.should.not.containEql('srcset');
+                done(err);
+            });
+        });
+    });
+});
@@ -0,0 +1,280 @@
+//dependencies
+var os            = require('os');
+var fs            = require('fs');
+var path          = require('path');
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('MediaUploadService', function() {
+
+    var pb = null;
+    var MediaUploadService = null;
+    var settings = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        MediaUploadService = pb.MediaUploadService;
+        settings = pb.util.clone(pb.config.media.uploads);
+    });
+
+    var PNG  = new Buffer([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00]);
+    var JPEG = new Buffer([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]);
+    var HTML = new Buffer('\n  <!DOCTYPE html><html><body><script>alert(1)</script></body></html>');
+    var SVG  = new Buffer('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg"><circle r="1"/></svg>');
+
+    describe('MediaUploadService.sniff', function() {
+
+        it('should detect content from its signature', function() {
+            MediaUploadService.sniff(PNG).mime.should.eql('image/png');
+            MediaUploadService.sniff(JPEG).mime.should.eql('image/jpeg');
+            MediaUploadService.sniff(new Buffer('GIF89a....')).mime.should.eql('image/gif');
+            MediaUploadService.sniff(new Buffer('%PDF-1.4')).mime.should.eql('application/pdf');
+            MediaUploadService.sniff(new Buffer('\u0000\u0000\u0000\u0018ftypmp42')).mime.should.eql('video/mp4');
+        });
+
+        it('should detect HTML documents', function() {
+            MediaUploadService.sniff(HTML).mime.should.eql('text/html');
+            MediaUploadService.sniff(new Buffer('<script src="x.js"></script>')).mime.should.eql('text/html');
+        });
+
+        it('should detect SVG images', function() {
+            MediaUploadService.sniff(SVG).mime.should.eql('image/svg+xml');
+        });
+
+        it('should provide null for unknown content', function() {
+            should(MediaUploadService.sniff(new Buffer('just some text'))).eql(null);
+        });
+    });
+
+    describe('MediaUploadService.getType', function() {
+
+        it('should accept content that matches its extension', function() {
+            MediaUploadService.getType('photo.PNG', PNG, settings).should.eql({extension: 'png', mime: 'image/png'});
+        });
+
+        it('should reject an HTML document renamed as an image', function() {
+            var result = MediaUploadService.getType('photo.jpg', HTML, settings);
+            result.should.be.an.instanceOf(Error);
+            result.code.should.eql(415);
+        });
+
+        it('should reject an HTML document renamed as text', function() {
+            MediaUploadService.getType('notes.txt', HTML, settings).code.should.eql(415);
+        });
+
+        it('should reject an image whose content is not a known signature', function() {
+            MediaUploadService.getType('photo.jpg', new Buffer('not an image'), settings).code.should.eql(415);
+        });
+
+        it('should reject content that is a different image type than its extension', function() {
+            MediaUploadService.getType('photo.jpg', PNG, settings).code.should.eql(415);
+        });
+
+        it('should accept text without a signature', function() {
+            MediaUploadService.getType('notes.txt', new Buffer('hello'), settings).mime.should.eql('text/plain');
+        });
+
+        it('should reject denied extensions and files without an extension', function() {
+            MediaUploadService.getType('page.html', HTML, settings).code.should.eql(415);
+            MediaUploadService.getType('README', new Buffer('hello'), settings).code.should.eql(415);
+        });
+
+        it('should reject extensions and MIME types that are not allowed', function() {
+            var restricted = pb.util.merge({allowed_extensions: ['png', 'jpg'], allowed_mime_types: ['image/png']}, pb.util.clone(settings));
+            MediaUploadService.getType('notes.txt', new Buffer('hello'), restricted).code.should.eql(415);
+            MediaUploadService.getType('photo.jpg', JPEG, restricted).code.should.eql(415);
+            MediaUploadService.getType('photo.png', PNG, restricted).mime.should.eql('image/png');
+        });
+    });
+
+    describe('MediaUploadService.isAllowed', function() {
+
+        it('should allow anything that is not denied when there is no allow list', function() {
+            MediaUploadService.isAllowed('image/png', [], ['text/html']).should.be.true;
+            MediaUploadService.isAllowed('text/html', [], ['text/html']).should.be.false;
+        });
+
+        it('should match all subtypes of a type that ends with a slash', function() {
+            MediaUploadService.isAllowed('video/mp4', ['image/', 'video/'], []).should.be.true;
+            MediaUploadService.isAllowed('audio/mpeg', ['image/', 'video/'], []).should.be.false;
+        });
+    });
+
+    describe('MediaUploadService.getMaxSize', function() {
+
+        it('should provide the size for the role', function() {
+            var sizes = {max_sizes: {ACCESS_EDITOR: 5000}};
+            MediaUploadService.getMaxSize(sizes, pb.SecurityService.ACCESS_EDITOR).should.eql(5000);
+        });
+
+        it('should fall back to the configured size', function() {
+            var sizes = {max_sizes: {ACCESS_EDITOR: 5000}};
+            MediaUploadService.getMaxSize(sizes, pb.SecurityService.ACCESS_WRITER).should.eql(pb.config.media.max_upload_size);
+        });
+    });
+
+    describe('MediaUploadService.sanitizeSvg', function() {
+
+        it('should remove scripts and embedded documents', function() {
+            var svg = '<svg><script type="text/javascript">alert(1)</script><foreignObject><iframe src="x"></iframe></foreignObject><circle r="1"/></svg>';
+            MediaUploadService.sanitizeSvg(svg).should.eql('<svg><circle r="1"/></svg>');
+        });
+
+        it('should remove event handlers', function() {
+            var svg = '<svg onload="alert(1)"><circle r="1" ONCLICK=\'alert(2)\'/></svg>';
+            MediaUploadService.sanitizeSvg(svg).should.not.match(/on(load|click)/i);
+        });
+
+        it('should remove script URLs even when encoded', function() {
+            var svg = '<svg><a xlink:href="javascript:alert(1)"><text>a</text></a><a href="&#106;avascript:alert(1)">b</a><a href="https://example.com">c</a></svg>';
+            var result = MediaUploadService.sanitizeSvg(svg);
+            result.should.not.containEql('javascript');
+            result.should.not.containEql('&#106;');
+            result.should.containEql('href="https://example.com"');
+        });
+
+        it('should remove entity declarations', function() {
+            var svg = '<?xml version="1.0"?><!DOCTYPE svg [<!ENTITY x SYSTEM "file:///etc/passwd">]><svg>&x;</svg>';
+            MediaUploadService.sanitizeSvg(svg).should.not.containEql('ENTITY');
+        });
+
+        it('should keep embedded images', function() {
+            var svg = '<svg><image href="data:image/png;base64,AAAA"/></svg>';
+            MediaUploadService.sanitizeSvg(svg).should.eql(svg);
+        });
+
+        it('should not reassemble tags that are nested to survive removal', function() {
+            var svg = '<svg xmlns="http://www.w3.org/2000/svg"><scr<script>ipt>alert(document.cookie)</scr<script>ipt></svg>';
+            var result = MediaUploadService.sanitizeSvg(svg);
+            result.should.not.match(/<script/i);
+            result.should.not.containEql('alert');
+            result.indexOf('<svg xmlns="http://www.w3.org/2000/svg">').should.eql(0);
+        });
+
+        it('should drop elements and attributes that are not allowed along with their content', function() {
+            var svg = '<svg><set attributeName="href" to="javascript:alert(1)"/><metadata><rdf>x</rdf></metadata><g data-x="1" fill="red"><path d="M0 0"/></g></svg>';
+            MediaUploadService.sanitizeSvg(svg).should.eql('<svg><g fill="red"><path d="M0 0"/></g></svg>');
+        });
+
+        it('should escape text and attribute values', function() {
+            var svg = '<svg><text id=\'a"b\'>1 &lt; 2 &amp; &x; 3 > 2</text></svg>';
+            MediaUploadService.sanitizeSvg(svg).should.eql('<svg><text id="a&quot;b">1 &lt; 2 &amp; &amp;x; 3 &gt; 2</text></svg>');
+        });
+
+        it('should remove external references from styles', function() {
+            var svg = '<svg><style>@import url(http://example.com/a.css);</style><style><![CDATA[.a{fill:url(#g);background:url(http://example.com/a.png)}]]></style><rect style="fill:url(#g)"/></svg>';
+            MediaUploadService.sanitizeSvg(svg).should.eql('<svg><style></style><style>.a{fill:url(#g);background:none}</style><rect style="fill:url(#g)"/></svg>');
+        });
+
+        it('should only keep a single svg root element', function() {
+            MediaUploadService.sanitizeSvg('<html><svg/></html>').should.eql('');
+            MediaUploadService.sanitizeSvg('<svg/><script>alert(1)</script><svg/>').should.eql('<svg/>');
+        });
+    });
+
+    describe('MediaUploadService.normalizeList', function() {
+
+        it('should split, trim, and lower case a comma separated list', function() {
+            MediaUploadService.normalizeList(' .JPG, png,, .Gif', true).should.eql(['jpg', 'png', 'gif']);
+        });
+
+        it('should provide an empty list for other values', function() {
+            MediaUploadService.normalizeList(null).should.eql([]);
+        });
+    });
+
+    describe('MediaUploadService.upload', function() {
+
+        var filePath = path.join(os.tmpdir(), 'media-upload-service-test.svg');
+        before(function() {
+            fs.writeFileSync(filePath, '<svg onload="alert(1)"><circle r="1"/></svg>');
+        });
+
+        after(function() {
+            fs.unlinkSync(filePath);
+        });
+
+        var getService = function(existing, stored) {
+            return new MediaUploadService({
+                site: pb.SiteService.GLOBAL_SITE,
+                mediaService: {
+                    findByContentHash: function(hash, cb) {
+                        cb(null, existing && existing.content_hash === hash ? existing : null);
+                    },
+                    setContent: function(content, fileName, cb) {
+                        stored.push(content.toString());
+                        cb(null, {mediaPath: '/media/2016/1/' + fileName});
+                    }
+                }
+            });
+        };
+
+        var options = function(onDuplicate) {
+            return {
+                settings: pb.util.clone(pb.config.media.uploads),
+                accessLevel: pb.SecurityService.ACCESS_WRITER,
+                onDuplicate: onDuplicate
+            };
+        };
+
+        it('should store the sanitized content', function(done) {
+            var stored = [];
+            getService(null, stored).upload({name: 'a.svg', path: filePath}, options(), function(err, result) {
+                should(err).eql(null);
+                stored.should.eql(['<svg><circle r="1"/></svg>']);
+                result.filename.should.eql('/media/2016/1/a.svg');
+                result.mime.should.eql('image/svg+xml');
+                result.content_hash.should.eql(MediaUploadService.hash(stored[0]));
+                should(result.duplicate).eql(undefined);
+                done();
+            });
+        });
+
+        it('should provide the existing media instead of storing a duplicate', function(done) {
+            var stored = [];
+            var existing = {_id: 'abc', name: 'Existing', location: '/media/a.svg', content_hash: MediaUploadService.hash('<svg><circle r="1"/></svg>')};
+            getService(existing, stored).upload({name: 'a.svg', path: filePath}, options(), function(err, result) {
+                should(err).eql(null);
+                stored.length.should.eql(0);
+                should(result.filename).eql(undefined);
+                result.duplicate.name.should.eql('Existing');
+                done();
+            });
+        });
+
+        it('should store a duplicate when asked to', function(done) {
+            var stored = [];
+            var existing = {_id: 'abc', name: 'Existing', location: '/media/a.svg', content_hash: MediaUploadService.hash('<svg><circle r="1"/></svg>')};
+            getService(existing, stored).upload({name: 'a.svg', path: filePath}, options('upload'), function(err, result) {
+                should(err).eql(null);
+                stored.length.should.eql(1);
+                result.filename.should.eql('/media/2016/1/a.svg');
+                result.duplicate.name.should.eql('Existing');
+                done();
+            });
+        });
+
+        it('should reject an SVG image without an svg root element', function(done) {
+            var invalidPath = path.join(os.tmpdir(), 'media-upload-service-test-invalid.svg');
+            fs.writeFileSync(invalidPath, '<!-- image --><html><svg/></html>');
+            getService(null, []).upload({name: 'a.svg', path: invalidPath}, options(), function(err) {
+                fs.unlinkSync(invalidPath);
+                err.code.should.eql(415);
+                done();
+            });
+        });
+
+        it('should reject files larger than the limit for the role', function(done) {
+            var opts = options();
+            opts.settings.max_sizes = {ACCESS_WRITER: 10};
+            getService(null, []).upload({name: 'a.svg', path: filePath}, opts, function(err) {
+                err.code.should.eql(413);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,216 @@
+//dependencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('MediaUsageService', function() {
+
+    var pb = null;
+    var MediaUsageService = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        MediaUsageService = pb.MediaUsageService;
+    });
+
+    describe('MediaUsageService.getEmbeddedMedia', function() {
+
+        [null, undefined, 1, {}, [], ''].forEach(function(val) {
+
+            it('should provide an empty array when passed '+JSON.stringify(val), function() {
+                MediaUsageService.getEmbeddedMedia(val).should.eql([]);
+            });
+        });
+
+        it('should provide the distinct IDs of each flag in the order they appear', function() {
+            var layout = '<p>^media_display_abc/position:left^</p>^media_display_def^<p>^media_display_abc/maxHeight:10^</p>';
+            MediaUsageService.getEmbeddedMedia(layout).should.eql(['abc', 'def']);
+        });
+
+        it('should ignore a flag that is not terminated', function() {
+            MediaUsageService.getEmbeddedMedia('^media_display_abc^ ^media_display_def').should.eql(['abc']);
+        });
+    });
+
+    describe('MediaUsageService.getAttachedMedia', function() {
+
+        it('should provide distinct string IDs', function() {
+            MediaUsageService.getAttachedMedia(['abc', null, 'abc', 12]).should.eql(['abc', '12']);
+        });
+
+        it('should provide an empty array when the media is not an array', function() {
+            MediaUsageService.getAttachedMedia(undefined).should.eql([]);
+        });
+    });
+
+    describe('MediaUsageService.buildEntry', function() {
+
+        it('should combine the embedded and attached media of an article', function() {
+            var article = {
+                _id: 'a1',
+                headline: 'Hello',
+                url: 'hello',
+                article_layout: '^media_display_m1/^ ^media_display_m2/^',
+                article_media: ['m2', 'm3']
+            };
+            MediaUsageService.buildEntry('article', article).should.eql({
+                object_type: 'article',
+                object_id: 'a1',
+                headline: 'Hello',
+                url: 'hello',
+                media: ['m1', 'm2', 'm3'],
+                embedded: ['m1', 'm2'],
+                attached: ['m2', 'm3']
+            });
+        });
+
+        it('should read the page fields for pages', function() {
+            var page = {
+                _id: 'p1',
+                page_layout: '^media_display_m1^',
+                page_media: []
+            };
+            MediaUsageService.buildEntry('page', page).media.should.eql(['m1']);
+        });
+
+        it('should include the media embedded in translated layouts', function() {
+            var page = {
+                _id: 'p1',
+                page_layout: '^media_display_m1^',
+                translations: {
+                    'es-ES': {page_layout: '^media_display_m2^ ^media_display_m1^'},
+                    'fr-FR': {headline: 'Bonjour'}
+                }
+            };
+            MediaUsageService.buildEntry('page', page).embedded.should.eql(['m1', 'm2']);
+        });
+    });
+
+    describe('MediaUsageService.formatUsage', function() {
+
+        var entry = {
+            object_type: 'page',
+            object_id: 'p1',
+            headline: 'About',
+            url: 'about',
+            media: ['m1', 'm2'],
+            embedded: ['m1'],
+            attached: ['m2']
+        };
+
+        it('should describe how the media is used and link to the content', function() {
+            MediaUsageService.formatUsage(entry, 'm1').should.eql({
+                object_type: 'page',
+                object_id: 'p1',
+                headline: 'About',
+                url: 'about',
+                admin_link: '/admin/content/pages/p1',
+                embedded: true,
+                attached: false
+            });
+            MediaUsageService.formatUsage(entry, 'm2').attached.should.be.ok;
+        });
+    });
+
+    describe('MediaUsageService.index', function() {
+
+        it('should reject unsupported types', function(done) {
+            var service = new MediaUsageService();
+            service.index('topic', {_id: 'a'}, function(err) {
+                err.should.be.an.instanceOf(Error);
+                done();
+            });
+        });
+
+        it('should reject content that has not been persisted', function(done) {
+            var service = new MediaUsageService();
+            service.index('article', {}, function(err) {
+                err.should.be.an.instanceOf(Error);
+                done();
+            });
+        });
+    });
+
+    describe('MediaUsageService.buildMissing', function() {
+
+        var originals = {};
+        beforeEach(function() {
+            originals.acquire = pb.LockService.prototype.acquire;
+            originals.release = pb.LockService.prototype.release;
+            originals.getAllSites = pb.SiteService.prototype.getAllSites;
+            originals.hasIndex = MediaUsageService.prototype.hasIndex;
+            originals.rebuild = MediaUsageService.prototype.rebuild;
+
+            pb.LockService.prototype.acquire = function(name, options, cb) {
+                cb(null, true);
+            };
+            pb.LockService.prototype.release = function(name, cb) {
+                cb(null, true);
+            };
+            pb.SiteService.prototype.getAllSites = function(cb) {
+                cb(null, [{uid: 'indexed'}, {uid: 'empty'}]);
+            };
+            MediaUsageService.prototype.hasIndex = function(cb) {
+                cb(null, this.site === 'indexed');
+            };
+        });
+
+        afterEach(function() {
+            pb.LockService.prototype.acquire = originals.acquire;
+            pb.LockService.prototype.release = originals.release;
+            pb.SiteService.prototype.getAllSites = originals.getAllSites;
+            MediaUsageService.prototype.hasIndex = originals.hasIndex;
+            MediaUsageService.prototype.rebuild = originals.rebuild;
+        });
+
+        it('should only rebuild the sites that do not have an index', function(done) {
+            var rebuilt = [];
+            MediaUsageService.prototype.rebuild = function(cb) {
+                rebuilt.push(this.site);
+                cb(null, 0);
+            };
+            MediaUsageService.buildMissing(function(err, built) {
+                should.not.exist(err);
+                rebuilt.should.eql([pb.SiteService.GLOBAL_SITE, 'empty']);
+                built.should.eql(rebuilt);
+                done();
+            });
+        });
+
+        it('should not build when another process holds the lock', function(done) {
+            var rebuilt = false;
+            pb.LockService.prototype.acquire = function(name, options, cb) {
+                cb(null, false);
+            };
+            MediaUsageService.prototype.rebuild = function(cb) {
+                rebuilt = true;
+                cb(null, 0);
+            };
+            MediaUsageService.buildMissing(function(err, built) {
+                should.not.exist(err);
+                built.should.eql([]);
+                rebuilt.should.eql(false);
+                done();
+            });
+        });
+
+        it('should release the lock when a rebuild fails', function(done) {
+            var released = false;
+            pb.LockService.prototype.release = function(name, cb) {
+                released = true;
+                cb(null, true);
+            };
+            MediaUsageService.prototype.rebuild = function(cb) {
+                cb(new Error('rebuild failed'));
+            };
+            MediaUsageService.buildMissing(function(err) {
+                err.should.be.an.instanceOf(Error);
+                released.should.eql(true);
+                done();
+            });
+        });
+    });
+});
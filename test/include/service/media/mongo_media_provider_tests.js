@@ -0,0 +1,65 @@
+
+//dependencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('MongoMediaProvider', function() {
+
+    var pb = null;
+    var MongoMediaProvider = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        MongoMediaProvider = pb.media.providers.MongoMediaProvider;
+    });
+
+    describe('MongoMediaProvider.getRangeStream', function() {
+
+        var getStore = function(content, position) {
+            return {
+                chunkSize: 4,
+                closed: false,
+                read: function(length, cb) {
+                    var data = new Buffer(content.substring(position, position + length));
+                    position += data.length;
+                    cb(null, data);
+                },
+                close: function(cb) {
+                    this.closed = true;
+                    cb(null);
+                }
+            };
+        };
+
+        it('should read the number of bytes from the current position across chunks', function(done) {
+            var gs = getStore('0123456789abcdef', 3);
+            var buffers = [];
+            MongoMediaProvider.getRangeStream(gs, 9)
+            .on('data', function(buffer) {
+                buffers.push(buffer);
+            })
+            .on('end', function() {
+                Buffer.concat(buffers).toString().should.eql('3456789ab');
+                gs.closed.should.be.true;
+                done();
+            });
+        });
+
+        it('should end when the store is shorter than the range', function(done) {
+            var gs = getStore('0123', 2);
+            var buffers = [];
+            MongoMediaProvider.getRangeStream(gs, 10)
+            .on('data', function(buffer) {
+                buffers.push(buffer);
+            })
+            .on('end', function() {
+                Buffer.concat(buffers).toString().should.eql('23');
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,158 @@
+//depedencies
+var should        = require('should');
+var Configuration = require('../../../include/config.js');
+var Lib           = require('../../../lib');
+
+describe('CommentService', function() {
+
+    var pb = null;
+    var CommentService = null;
+    before('Initialize the Environment with the default configuration', function(next) {
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        CommentService = pb.CommentService;
+        next();
+    });
+
+    var getContext = function(settings, honeypot) {
+        return {
+            contentSettings: pb.util.merge(settings || {}, pb.ContentService.getDefaultSettings()),
+            honeypot: honeypot
+        };
+    };
+
+    describe('CommentService.isStatus', function() {
+
+        ['pending', 'approved', 'spam', 'rejected'].forEach(function(status) {
+            it('should accept the status ' + status, function() {
+                CommentService.isStatus(status).should.be.true;
+            });
+        });
+
+        ['', null, undefined, 'deleted', 1].forEach(function(status) {
+            it('should reject the status ' + status, function() {
+                CommentService.isStatus(status).should.be.false;
+            });
+        });
+    });
+
+    describe('CommentService.setVisibleClause', function() {
+
+        it('should include approved comments and those without a status', function() {
+            var where = {article: 'abc'};
+            CommentService.setVisibleClause(where);
+            where.should.eql({article: 'abc', status: {$in: ['approved', null]}});
+        });
+    });
+
+    describe('CommentService.buildThreads', function() {
+
+        it('should nest replies under the comment they reply to', function() {
+            var comments = [{_id: 'a'}, {_id: 'b', parent: 'a'}, {_id: 'c', parent: 'b'}, {_id: 'd'}];
+            var threads = CommentService.buildThreads(comments);
+            threads.length.should.eql(2);
+            threads[0]._id.should.eql('a');
+            threads[0].replies[0]._id.should.eql('b');
+            threads[0].replies[0].replies[0]._id.should.eql('c');
+            threads[1].replies.length.should.eql(0);
+        });
+
+        it('should start a thread with a reply whose parent is not available', function() {
+            var threads = CommentService.buildThreads([{_id: 'b', parent: 'a'}]);
+            threads.length.should.eql(1);
+            threads[0]._id.should.eql('b');
+        });
+    });
+
+    describe('CommentService.countThreads', function() {
+
+        it('should count every comment including replies', function() {
+            var threads = CommentService.buildThreads([{_id: 'a'}, {_id: 'b', parent: 'a'}, {_id: 'c', parent: 'b'}, {_id: 'd'}]);
+            CommentService.countThreads(threads).should.eql(4);
+        });
+
+        it('should count nothing when there are no comments', function() {
+            CommentService.countThreads(undefined).should.eql(0);
+            CommentService.countThreads([]).should.eql(0);
+        });
+    });
+
+    describe('CommentService.countLinks', function() {
+
+        it('should count web addresses', function() {
+            CommentService.countLinks('see http://a.com, https://b.com and www.c.com').should.eql(3);
+        });
+
+        it('should count nothing in plain text', function() {
+            CommentService.countLinks('no links here').should.eql(0);
+            CommentService.countLinks(null).should.eql(0);
+        });
+    });
+
+    describe('CommentService.getBlockedWords', function() {
+
+        it('should split on commas and new lines', function() {
+            var words = CommentService.getBlockedWords({comment_blocked_words: 'Casino, pills\n\n  Loans '});
+            words.should.eql(['casino', 'pills', 'loans']);
+        });
+
+        it('should provide an empty list when no words are configured', function() {
+            CommentService.getBlockedWords({}).should.eql([]);
+        });
+    });
+
+    describe('CommentService.screen', function() {
+
+        it('should pass a comment that no check flags', function(next) {
+            CommentService.screen({content: 'A thoughtful comment'}, getContext(), function(err, result) {
+                should(err).eql(null);
+                should(result).eql(null);
+                next();
+            });
+        });
+
+        it('should flag a comment with too many links', function(next) {
+            var context = getContext({comment_max_links: 1});
+            CommentService.screen({content: 'http://a.com http://b.com'}, context, function(err, result) {
+                result.check.should.eql('links');
+                next(err);
+            });
+        });
+
+        it('should flag a comment that contains a blocked word', function(next) {
+            var context = getContext({comment_blocked_words: 'casino'});
+            CommentService.screen({content: 'Visit my CASINO'}, context, function(err, result) {
+                result.check.should.eql('blocked_words');
+                next(err);
+            });
+        });
+
+        it('should flag a comment when the honeypot is filled in', function(next) {
+            CommentService.screen({content: 'Hello there'}, getContext({}, 'http://spam.com'), function(err, result) {
+                result.check.should.eql('honeypot');
+                next(err);
+            });
+        });
+
+        it('should run checks registered by plugins', function(next) {
+            CommentService.registerSpamCheck('test', function(comment, context, cb) {
+                cb(null, comment.content === 'flag me' ? 'Test check' : null);
+            }).should.be.true;
+
+            CommentService.screen({content: 'flag me'}, getContext(), function(err, result) {
+                CommentService.unregisterSpamCheck('test').should.be.true;
+                result.should.eql({check: 'test', reason: 'Test check'});
+                next(err);
+            });
+        });
+    });
+
+    describe('CommentService.registerSpamCheck', function() {
+
+        it('should reject a check without a name or function', function() {
+            CommentService.registerSpamCheck('', function(){}).should.be.false;
+            CommentService.registerSpamCheck('test', null).should.be.false;
+        });
+    });
+});
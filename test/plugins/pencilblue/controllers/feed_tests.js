@@ -0,0 +1,255 @@
+//dependencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('ArticleFeed', function() {
+
+    var pb = null;
+    var ArticleFeed = null;
+    before('Initialize the Environment with the default configuration', function() {
+
+        //travis gets slow so we bump the timeout just a little here to get around the BS
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        ArticleFeed = require('../../../../plugins/pencilblue/controllers/feed.js')(pb);
+    });
+
+    /**
+     * Creates a feed controller whose DAOs are replaced by the provided
+     * lookup functions
+     */
+    var getFeed = function(pathVars, dao, userDao) {
+        var feed = new ArticleFeed();
+        feed.site = 'global';
+        feed.pathVars = pathVars || {};
+        feed.contentSettings = {feed_item_count: 10};
+        feed.dao = dao || {};
+        feed.userDao = userDao || {};
+        return feed;
+    };
+
+    describe('ArticleFeed.getFormat', function() {
+
+        it('should default to RSS when no format is provided', function() {
+            ArticleFeed.getFormat().should.eql('rss');
+            ArticleFeed.getFormat('').should.eql('rss');
+        });
+
+        it('should normalize the supported formats', function() {
+            ArticleFeed.getFormat('ATOM').should.eql('atom');
+            ArticleFeed.getFormat('json').should.eql('json');
+        });
+
+        it('should provide null for an unsupported format', function() {
+            should(ArticleFeed.getFormat('html')).eql(null);
+            should(ArticleFeed.getFormat('hasOwnProperty')).eql(null);
+        });
+    });
+
+    describe('ArticleFeed.getETag', function() {
+
+        it('should provide a quoted, stable tag', function() {
+            var etag = ArticleFeed.getETag(['rss', 'global', 1]);
+            etag.should.eql(ArticleFeed.getETag(['rss', 'global', 1]));
+            /^"[a-f0-9]{32}"$/.test(etag).should.eql(true);
+        });
+
+        it('should change when any of the parts change', function() {
+            var etag = ArticleFeed.getETag(['rss', 'global', 1000, 2, 'a,b']);
+            ArticleFeed.getETag(['rss', 'global', 1000, 1, 'a']).should.not.eql(etag);
+            ArticleFeed.getETag(['rss', 'global', 2000, 2, 'a,b']).should.not.eql(etag);
+            ArticleFeed.getETag(['atom', 'global', 1000, 2, 'a,b']).should.not.eql(etag);
+        });
+    });
+
+    describe('ArticleFeed.isNotModified', function() {
+
+        var etag = '"abc"';
+        var lastModified = new Date('2016-01-01T12:00:00.500Z');
+
+        it('should match a current If-None-Match tag', function() {
+            ArticleFeed.isNotModified({'if-none-match': '"abc"'}, etag, lastModified).should.eql(true);
+            ArticleFeed.isNotModified({'if-none-match': '"xyz", W/"abc"'}, etag, lastModified).should.eql(true);
+            ArticleFeed.isNotModified({'if-none-match': '*'}, etag, lastModified).should.eql(true);
+        });
+
+        it('should not match a stale If-None-Match tag even when the date is current', function() {
+            var headers = {
+                'if-none-match': '"xyz"',
+                'if-modified-since': 'Fri, 01 Jan 2016 12:00:00 GMT'
+            };
+            ArticleFeed.isNotModified(headers, etag, lastModified).should.eql(false);
+        });
+
+        it('should compare If-Modified-Since to the second', function() {
+            ArticleFeed.isNotModified({'if-modified-since': 'Fri, 01 Jan 2016 12:00:00 GMT'}, etag, lastModified).should.eql(true);
+            ArticleFeed.isNotModified({'if-modified-since': 'Fri, 01 Jan 2016 11:59:59 GMT'}, etag, lastModified).should.eql(false);
+        });
+
+        it('should be modified when the date is missing or unparsable', function() {
+            ArticleFeed.isNotModified({}, etag, lastModified).should.eql(false);
+            ArticleFeed.isNotModified({'if-modified-since': 'yesterday'}, etag, lastModified).should.eql(false);
+            ArticleFeed.isNotModified({'if-modified-since': 'Fri, 01 Jan 2016 12:00:00 GMT'}, etag, null).should.eql(false);
+        });
+    });
+
+    describe('ArticleFeed.getLastModified', function() {
+
+        it('should provide null when there are no dates', function() {
+            should(ArticleFeed.getLastModified([])).eql(null);
+            should(ArticleFeed.getLastModified([{}])).eql(null);
+        });
+
+        it('should prefer a later modification over the publish date', function() {
+            var articles = [
+                {publish_date: new Date(3000), last_modified: new Date(3000)},
+                {publish_date: new Date(1000), last_modified: new Date(5000)},
+                {publish_date: new Date(2000)}
+            ];
+            ArticleFeed.getLastModified(articles).getTime().should.eql(5000);
+        });
+    });
+
+    describe('ArticleFeed.getFeedState', function() {
+
+        it('should provide the IDs and latest change of the articles in the feed', function(done) {
+            var dao = {
+                q: function(collection, opts, cb) {
+                    collection.should.eql('article');
+                    opts.limit.should.eql(10);
+                    opts.where.author.should.eql('abc');
+                    should.exist(opts.where.publish_date);
+                    should.exist(opts.where.expiry_date);
+                    cb(null, [
+                        {_id: 1, publish_date: new Date(2000), last_modified: new Date(4000)},
+                        {_id: 2, publish_date: new Date(1000)}
+                    ]);
+                }
+            };
+            var feed = getFeed({}, dao);
+            feed.filter = {where: {author: 'abc'}};
+            feed.getFeedState(function(err, state) {
+                should.not.exist(err);
+                state.ids.should.eql(['1', '2']);
+                state.lastModified.getTime().should.eql(4000);
+                feed.filter.where.should.eql({author: 'abc'});
+                done();
+            });
+        });
+
+        it('should provide a null date for an empty feed', function(done) {
+            var feed = getFeed({}, {q: function(collection, opts, cb) { cb(null, []); }});
+            feed.filter = {where: {}};
+            feed.getFeedState(function(err, state) {
+                should.not.exist(err);
+                state.ids.should.eql([]);
+                should(state.lastModified).eql(null);
+                done();
+            });
+        });
+    });
+
+    describe('ArticleFeed.getFilter', function() {
+
+        it('should not filter when no target is provided', function(done) {
+            getFeed().getFilter(function(err, filter) {
+                should.not.exist(err);
+                filter.should.eql({where: {}, key: 'all', name: null});
+                done();
+            });
+        });
+
+        it('should filter by the section with the custom URL', function(done) {
+            var dao = {
+                loadByValue: function(field, value, collection, cb) {
+                    field.should.eql('url');
+                    value.should.eql('news');
+                    collection.should.eql('section');
+                    cb(null, {_id: 's1', name: 'News'});
+                }
+            };
+            getFeed({customUrl: 'news'}, dao).getFilter(function(err, filter) {
+                should.not.exist(err);
+                filter.key.should.eql('section:s1');
+                filter.name.should.eql('News');
+                filter.where.article_sections.should.eql('s1');
+                done();
+            });
+        });
+
+        it('should provide null when the section does not exist', function(done) {
+            var dao = {
+                loadByValue: function(field, value, collection, cb) {
+                    cb(null, null);
+                }
+            };
+            getFeed({customUrl: 'missing'}, dao).getFilter(function(err, filter) {
+                should.not.exist(err);
+                should(filter).eql(null);
+                done();
+            });
+        });
+
+        it('should provide null for a malformed topic ID without a lookup', function(done) {
+            var dao = {
+                loadById: function() {
+                    throw new Error('The topic should not have been looked up');
+                }
+            };
+            getFeed({topicId: 'not-an-id'}, dao).getFilter(function(err, filter) {
+                should.not.exist(err);
+                should(filter).eql(null);
+                done();
+            });
+        });
+
+        it('should filter by the topic', function(done) {
+            var topicId = '507f1f77bcf86cd799439011';
+            var dao = {
+                loadById: function(id, collection, cb) {
+                    id.should.eql(topicId);
+                    collection.should.eql('topic');
+                    cb(null, {_id: topicId, name: 'Sports'});
+                }
+            };
+            getFeed({topicId: topicId}, dao).getFilter(function(err, filter) {
+                should.not.exist(err);
+                filter.key.should.eql('topic:' + topicId);
+                filter.name.should.eql('Sports');
+                filter.where.article_topics.should.eql(topicId);
+                done();
+            });
+        });
+
+        it('should filter by the author and name them', function(done) {
+            var userDao = {
+                loadByValue: function(field, value, collection, cb) {
+                    field.should.eql('username');
+                    value.should.eql('jdoe');
+                    collection.should.eql('user');
+                    cb(null, {_id: 'u1', username: 'jdoe', first_name: 'Jane', last_name: 'Doe'});
+                }
+            };
+            getFeed({username: 'jdoe'}, {}, userDao).getFilter(function(err, filter) {
+                should.not.exist(err);
+                filter.should.eql({where: {author: 'u1'}, key: 'author:u1', name: 'Jane Doe'});
+                done();
+            });
+        });
+
+        it('should pass along lookup errors', function(done) {
+            var userDao = {
+                loadByValue: function(field, value, collection, cb) {
+                    cb(new Error('boom'));
+                }
+            };
+            getFeed({username: 'jdoe'}, {}, userDao).getFilter(function(err, filter) {
+                err.message.should.eql('boom');
+                should(filter).eql(null);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,220 @@
+//dependencies
+var should        = require('should');
+var MessageFormat = require('../../../public/js/message_format.js');
+
+describe('MessageFormat', function() {
+
+    describe('MessageFormat.isMessage', function() {
+
+        var messages = [
+            '{count, plural, one {# item} other {# items}}',
+            'You finished {place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}',
+            '{gender, select, female {She} male {He} other {They}} replied',
+            'Total: { price , number, currency/USD}',
+            'Published {date, date}'
+        ];
+        messages.forEach(function(message) {
+            it('should return true when provided the message ' + message, function() {
+                MessageFormat.isMessage(message).should.eql(true);
+            });
+        });
+
+        var values = ['Hello {name}', 'No arguments', '%{percent}', '{a} {b}', null, undefined, 5, {}];
+        values.forEach(function(value) {
+            it('should return false when provided the value ' + value, function() {
+                MessageFormat.isMessage(value).should.eql(false);
+            });
+        });
+    });
+
+    describe('MessageFormat.parse', function() {
+
+        it('should parse text, simple arguments and plural arguments', function() {
+            var result = MessageFormat.parse('Hi {name}, {count, plural, offset:1 =0 {none} other {# more}}');
+            result.should.eql([
+                'Hi ',
+                {type: 'argument', name: 'name'},
+                ', ',
+                {
+                    type: 'plural',
+                    name: 'count',
+                    offset: 1,
+                    options: {
+                        '=0': ['none'],
+                        other: [{type: '#'}, ' more']
+                    }
+                }
+            ]);
+        });
+
+        var malformed = [
+            '{count, plural, one {# item} other {# items}',
+            '{count, plural}',
+            '{count, plural, one}',
+            '{count, plural, other {x} other {y}}',
+            '{count, bogus}',
+            '{, plural, other {x}}',
+            'closing } without an opening',
+            '{count, plural, offset:x other {x}}'
+        ];
+        malformed.forEach(function(message) {
+            it('should throw when provided the malformed message ' + message, function() {
+                MessageFormat.parse.bind(MessageFormat, message).should.throwError();
+            });
+        });
+    });
+
+    describe('MessageFormat.validate', function() {
+
+        it('should return no errors for a valid message', function() {
+            MessageFormat.validate('{count, plural, =0 {none} one {# item} other {# items}}').should.eql([]);
+        });
+
+        var invalid = [
+            '{count, plural, one {# item}}',
+            '{gender, select, male {He}}',
+            '{count, plural, some {x} other {y}}',
+            '{count, plural, =x {x} other {y}}',
+            '{price, number, money}',
+            '{price, number, currency}',
+            '{date, date, tiny}',
+            '{count, plural, other {# items}'
+        ];
+        invalid.forEach(function(message) {
+            it('should return an error for the invalid message ' + message, function() {
+                MessageFormat.validate(message).length.should.eql(1);
+            });
+        });
+    });
+
+    describe('MessageFormat.format', function() {
+
+        var comments = '{count, plural, =0 {No comments} one {# comment} other {# comments}}';
+        var englishCases = [
+            [0, 'No comments'],
+            [1, '1 comment'],
+            [2, '2 comments'],
+            [1000, '1,000 comments']
+        ];
+        englishCases.forEach(function(testCase) {
+            it('should format the english plural for ' + testCase[0], function() {
+                MessageFormat.format(comments, {count: testCase[0]}, 'en-US').should.eql(testCase[1]);
+            });
+        });
+
+        var minutes = '{count, plural, one {# minutę} few {# minuty} many {# minut} other {# minuty}} temu';
+        var polishCases = [
+            [1, '1 minutę temu'],
+            [3, '3 minuty temu'],
+            [5, '5 minut temu'],
+            [22, '22 minuty temu'],
+            [25, '25 minut temu'],
+            [1.5, '1,5 minuty temu']
+        ];
+        polishCases.forEach(function(testCase) {
+            it('should format the polish plural for ' + testCase[0], function() {
+                MessageFormat.format(minutes, {count: testCase[0]}, 'pl-PL').should.eql(testCase[1]);
+            });
+        });
+
+        var days = '{count, plural, one {# день} few {# дня} many {# дней} other {# дня}}';
+        var russianCases = [[1, '1 день'], [21, '21 день'], [3, '3 дня'], [11, '11 дней']];
+        russianCases.forEach(function(testCase) {
+            it('should format the russian plural for ' + testCase[0], function() {
+                MessageFormat.format(days, {count: testCase[0]}, 'ru-RU').should.eql(testCase[1]);
+            });
+        });
+
+        var ordinal = '{place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}';
+        var ordinalCases = [[1, '1st'], [2, '2nd'], [3, '3rd'], [4, '4th'], [11, '11th'], [23, '23rd']];
+        ordinalCases.forEach(function(testCase) {
+            it('should format the ordinal for ' + testCase[0], function() {
+                MessageFormat.format(ordinal, {place: testCase[0]}, 'en-US').should.eql(testCase[1]);
+            });
+        });
+
+        it('should select an option by the value of the parameter', function() {
+            var message = '{gender, select, female {She} male {He} other {They}} replied';
+            MessageFormat.format(message, {gender: 'female'}).should.eql('She replied');
+            MessageFormat.format(message, {gender: 'unknown'}).should.eql('They replied');
+        });
+
+        it('should apply the offset to the number of the plural but not to exact matches', function() {
+            var message = '{count, plural, offset:1 =1 {{name}} one {{name} and # other} other {{name} and # others}}';
+            MessageFormat.format(message, {count: 1, name: 'Ann'}, 'en-US').should.eql('Ann');
+            MessageFormat.format(message, {count: 2, name: 'Ann'}, 'en-US').should.eql('Ann and 1 other');
+            MessageFormat.format(message, {count: 4, name: 'Ann'}, 'en-US').should.eql('Ann and 3 others');
+        });
+
+        it('should support nested arguments', function() {
+            var message = '{gender, select, female {{count, plural, one {She has # item} other {She has # items}}} other {{count, plural, one {They have # item} other {They have # items}}}}';
+            MessageFormat.format(message, {gender: 'female', count: 2}, 'en-US').should.eql('She has 2 items');
+            MessageFormat.format(message, {gender: 'x', count: 1}, 'en-US').should.eql('They have 1 item');
+        });
+
+        it('should treat quoted syntax characters and apostrophes as text', function() {
+            var message = 'It\'s \'{literal}\' and \'\'quoted\'\' {count, plural, other {\'#\' is #}}';
+            MessageFormat.format(message, {count: 2}, 'en-US').should.eql('It\'s {literal} and \'quoted\' # is 2');
+        });
+
+        it('should format number, currency, date and time arguments for the locale', function() {
+            var date = new Date(2016, 0, 31, 13, 5);
+            var message = '{n, number} {i, number, integer} {p, number, percent} {c, number, currency/EUR} {d, date, long} {d, time, short}';
+            var result = MessageFormat.format(message, {n: 1234.5, i: 2.7, p: 0.25, c: 3.5, d: date}, 'de-DE');
+            result.should.eql([
+                MessageFormat.formatNumber(1234.5, 'de-DE'),
+                '3',
+                MessageFormat.formatNumber(0.25, 'de-DE', {style: 'percent'}),
+                MessageFormat.formatCurrency(3.5, 'EUR', 'de-DE'),
+                MessageFormat.formatDate(date, 'de-DE', 'long'),
+                MessageFormat.formatTime(date, 'de-DE', 'short')
+            ].join(' '));
+        });
+
+        it('should output the default value or the parameter name when a parameter is not provided', function() {
+            var message = '{name} has {count, plural, one {# item} other {# items}}';
+            MessageFormat.format(message, {}).should.eql('name has count items');
+            MessageFormat.format(message, {}, 'en-US', '?').should.eql('? has ? items');
+        });
+
+        it('should fall back to the default formatting when the locale is not valid', function() {
+            MessageFormat.format('{count, plural, one {# item} other {# items}}', {count: 1}, 'not a locale').should.eql('1 item');
+        });
+    });
+
+    describe('MessageFormat.formatNumber', function() {
+
+        it('should format the number for the locale', function() {
+            MessageFormat.formatNumber(1234.5, 'en-US').should.eql('1,234.5');
+            MessageFormat.formatNumber(1234.5, 'de-DE').should.eql('1.234,5');
+        });
+    });
+
+    describe('MessageFormat.formatCurrency', function() {
+
+        it('should format the amount for the currency and locale', function() {
+            MessageFormat.formatCurrency(1234.5, 'USD', 'en-US').should.eql('$1,234.50');
+        });
+    });
+
+    describe('MessageFormat.formatDate', function() {
+
+        it('should format the date with the style for the locale', function() {
+            var date = new Date(2016, 0, 31);
+            MessageFormat.formatDate(date, 'en-US', 'long').should.eql('January 31, 2016');
+            MessageFormat.formatDate(date.getTime(), 'en-US', {year: 'numeric'}).should.eql('2016');
+        });
+
+        it('should return an empty string when the date is not valid', function() {
+            MessageFormat.formatDate('not a date', 'en-US').should.eql('');
+        });
+    });
+
+    describe('MessageFormat.getPluralCategory', function() {
+
+        it('should return the cardinal and ordinal categories for the locale', function() {
+            MessageFormat.getPluralCategory(5, 'pl-PL').should.eql('many');
+            MessageFormat.getPluralCategory(2, 'en-US', true).should.eql('two');
+        });
+    });
+});